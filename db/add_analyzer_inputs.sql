@@ -0,0 +1,41 @@
+-- ============================================================================
+-- MIGRATION: Analyzer input storage (exact reproducibility)
+-- ============================================================================
+-- Run this in Supabase SQL Editor.
+--
+-- analyzer_inputs holds the raw { snapshot, history, symbol, resolvedAbsorptions }
+-- fed to calculateMarketMetrics, content-addressed by sha256 and gzip-compressed.
+-- market_states and replay_states reference it and record the config version
+-- and build version that produced each output.
+-- ============================================================================
+
+-- Step 1: Content-addressed input store
+CREATE TABLE IF NOT EXISTS analyzer_inputs (
+  inputs_hash TEXT PRIMARY KEY,          -- sha256 of canonical JSON
+  symbol TEXT NOT NULL DEFAULT 'BTC',
+  encoding TEXT NOT NULL DEFAULT 'gzip+base64',
+  payload TEXT NOT NULL,
+  raw_bytes INTEGER,
+  stored_bytes INTEGER,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_analyzer_inputs_symbol ON analyzer_inputs(symbol, created_at DESC);
+
+-- Step 2: Provenance columns on live states
+ALTER TABLE market_states
+ADD COLUMN IF NOT EXISTS inputs_hash TEXT,
+ADD COLUMN IF NOT EXISTS config_version TEXT,
+ADD COLUMN IF NOT EXISTS build_version TEXT;
+
+-- Step 3: Provenance columns on replay states
+ALTER TABLE replay_states
+ADD COLUMN IF NOT EXISTS inputs_hash TEXT,
+ADD COLUMN IF NOT EXISTS config_version TEXT,
+ADD COLUMN IF NOT EXISTS build_version TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_market_states_inputs_hash ON market_states(inputs_hash);
+CREATE INDEX IF NOT EXISTS idx_replay_states_inputs_hash ON replay_states(inputs_hash);
+
+-- Notify PostgREST to refresh schema cache
+NOTIFY pgrst, 'reload config';
@@ -0,0 +1,31 @@
+-- ============================================================================
+-- MIGRATION: Multi-symbol support (BTC, ETH, SOL)
+-- ============================================================================
+-- Run this in Supabase SQL Editor.
+--
+-- market_states, replay_states, historical_candles and absorption_events
+-- already carry a symbol column. This adds it where it was missing:
+--   - alerts_history: alerts are now tagged with their symbol
+--   - daily_summaries: one summary per (date, symbol) instead of per date
+-- Existing rows default to 'BTC'.
+-- ============================================================================
+
+-- Step 1: alerts_history.symbol
+ALTER TABLE alerts_history
+ADD COLUMN IF NOT EXISTS symbol TEXT NOT NULL DEFAULT 'BTC';
+
+CREATE INDEX IF NOT EXISTS idx_alerts_history_symbol_timestamp
+ON alerts_history (symbol, timestamp DESC);
+
+-- Step 2: daily_summaries unique per (date, symbol)
+ALTER TABLE daily_summaries
+ADD COLUMN IF NOT EXISTS symbol TEXT NOT NULL DEFAULT 'BTC';
+
+ALTER TABLE daily_summaries
+DROP CONSTRAINT IF EXISTS daily_summaries_date_key;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_daily_summaries_date_symbol
+ON daily_summaries (date, symbol);
+
+-- Notify PostgREST to refresh schema cache
+NOTIFY pgrst, 'reload config';
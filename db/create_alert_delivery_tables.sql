@@ -0,0 +1,53 @@
+-- ============================================================================
+-- alert_subscriptions + alert_deliveries tables for alert delivery channels
+-- ============================================================================
+-- Subscriptions route alerts (filtered by category, priority and symbol) to a
+-- webhook, Telegram chat or email address. Every delivery outcome is logged.
+-- Run this in Supabase SQL Editor
+
+CREATE TABLE IF NOT EXISTS alert_subscriptions (
+  id UUID PRIMARY KEY,
+  user_id TEXT NOT NULL,
+
+  -- Channel: webhook | telegram | email
+  channel TEXT NOT NULL,
+  target JSONB NOT NULL DEFAULT '{}'::jsonb,     -- { url } | { chatId } | { to }
+
+  -- Filters (empty array = all)
+  categories TEXT[] DEFAULT '{}',
+  min_priority TEXT NOT NULL DEFAULT 'low',
+  symbols TEXT[] DEFAULT '{}',
+
+  -- { start: 'HH:MM', end: 'HH:MM', timezone, allowCritical }
+  quiet_hours JSONB,
+
+  enabled BOOLEAN DEFAULT TRUE,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS alert_deliveries (
+  id UUID PRIMARY KEY,
+  subscription_id UUID REFERENCES alert_subscriptions(id) ON DELETE SET NULL,
+  alert_id TEXT,
+  channel TEXT NOT NULL,
+  symbol TEXT,
+  category TEXT,
+  priority TEXT,
+
+  -- SENT | FAILED | SUPPRESSED
+  status TEXT NOT NULL,
+  attempts INTEGER DEFAULT 0,
+  response_status INTEGER,
+  last_error TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Indexes for common queries
+CREATE INDEX IF NOT EXISTS idx_alert_subscriptions_user ON alert_subscriptions(user_id);
+CREATE INDEX IF NOT EXISTS idx_alert_subscriptions_enabled ON alert_subscriptions(enabled);
+CREATE INDEX IF NOT EXISTS idx_alert_deliveries_subscription ON alert_deliveries(subscription_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_alert_deliveries_status ON alert_deliveries(status, created_at DESC);
+
+-- Notify PostgREST to refresh schema cache
+NOTIFY pgrst, 'reload config';
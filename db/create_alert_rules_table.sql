@@ -0,0 +1,31 @@
+-- ============================================================================
+-- alert_rules table for user-defined alert rules
+-- ============================================================================
+-- Each rule is an expression over the analyzer output (see
+-- src/services/alertRuleEngine.js), e.g.
+--   timeframes.4h.marketRegime.regime == 'distribution' AND fundingAdvanced.zScore > 2
+-- Matching rules raise CUSTOM_RULE alerts with a per-rule cooldown.
+-- Run this in Supabase SQL Editor
+
+CREATE TABLE IF NOT EXISTS alert_rules (
+  id UUID PRIMARY KEY,
+  user_id TEXT NOT NULL,
+  name TEXT NOT NULL,
+  description TEXT,
+
+  expression TEXT NOT NULL,
+  priority TEXT NOT NULL DEFAULT 'medium',
+  cooldown_ms BIGINT NOT NULL DEFAULT 3600000,
+  symbols TEXT[] DEFAULT '{}',                  -- empty = all symbols
+
+  enabled BOOLEAN DEFAULT TRUE,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Indexes for common queries
+CREATE INDEX IF NOT EXISTS idx_alert_rules_user ON alert_rules(user_id);
+CREATE INDEX IF NOT EXISTS idx_alert_rules_enabled ON alert_rules(enabled);
+
+-- Notify PostgREST to refresh schema cache
+NOTIFY pgrst, 'reload config';
@@ -0,0 +1,51 @@
+-- ============================================================================
+-- replay_batches + replay_batch_samples tables for persisted replay batches
+-- ============================================================================
+-- Batch metadata and per-sample status used to live only in memory, so a
+-- restart lost progress and failures of long replays. Completed samples are
+-- still stored in replay_states; these tables track the batch itself.
+-- Run this in Supabase SQL Editor
+
+CREATE TABLE IF NOT EXISTS replay_batches (
+  batch_id UUID PRIMARY KEY,
+  symbol TEXT NOT NULL DEFAULT 'BTC',
+
+  -- Batch config
+  start_time BIGINT NOT NULL,
+  end_time BIGINT NOT NULL,
+  step_ms BIGINT NOT NULL,
+  horizons JSONB DEFAULT '["MICRO"]'::jsonb,
+  max_samples INTEGER,
+  use_local_only BOOLEAN DEFAULT TRUE,
+
+  -- Progress
+  status TEXT NOT NULL DEFAULT 'PENDING',
+  total_samples INTEGER DEFAULT 0,
+  completed_samples INTEGER DEFAULT 0,
+  failed_samples INTEGER DEFAULT 0,
+  error_message TEXT,
+
+  -- Timing (ms epoch, same as BatchState)
+  started_at BIGINT,
+  updated_at BIGINT,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS replay_batch_samples (
+  batch_id UUID NOT NULL REFERENCES replay_batches(batch_id) ON DELETE CASCADE,
+  as_of_timestamp BIGINT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'PENDING',
+  state_id UUID,
+  error_message TEXT,
+  updated_at BIGINT,
+
+  PRIMARY KEY (batch_id, as_of_timestamp)
+);
+
+-- Indexes for common queries
+CREATE INDEX IF NOT EXISTS idx_replay_batches_status ON replay_batches(status);
+CREATE INDEX IF NOT EXISTS idx_replay_batches_symbol ON replay_batches(symbol, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_replay_batch_samples_status ON replay_batch_samples(batch_id, status);
+
+-- Notify PostgREST to refresh schema cache
+NOTIFY pgrst, 'reload config';
@@ -0,0 +1,40 @@
+-- ============================================================================
+-- scoreboard_baselines table for persisted calibration baselines
+-- ============================================================================
+-- Baselines used to live in memory and were lost on every deploy.
+-- Each baseline is a scoreboard snapshot linked to the config version and
+-- (optionally) the replay batch it was measured on, so config changes can be
+-- compared over time.
+-- Run this in Supabase SQL Editor
+
+CREATE TABLE IF NOT EXISTS scoreboard_baselines (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  name TEXT NOT NULL,
+  symbol TEXT NOT NULL DEFAULT 'BTC',
+
+  -- What the baseline was measured on
+  config_version TEXT,
+  batch_id UUID,
+
+  -- Top-line numbers (queryable)
+  labeled_states INTEGER,
+  overall_accuracy NUMERIC,
+  directional_accuracy NUMERIC,
+  wait_correctness_rate NUMERIC,
+
+  -- Full summary metrics + per-dimension breakdowns
+  -- breakdowns: { regime, scenario, timeframe, confidence, bias }
+  metrics JSONB NOT NULL,
+  breakdowns JSONB,
+
+  saved_at BIGINT NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Indexes for common queries
+CREATE INDEX IF NOT EXISTS idx_scoreboard_baselines_symbol ON scoreboard_baselines(symbol, saved_at DESC);
+CREATE INDEX IF NOT EXISTS idx_scoreboard_baselines_config ON scoreboard_baselines(config_version);
+CREATE INDEX IF NOT EXISTS idx_scoreboard_baselines_batch ON scoreboard_baselines(batch_id);
+
+-- Notify PostgREST to refresh schema cache
+NOTIFY pgrst, 'reload config';
@@ -0,0 +1,400 @@
+-- 001_baseline (Postgres / Supabase)
+-- Consolidates the hand-applied scripts in db/*.sql and
+-- data/migrations/001_stage2_outcome_labeling.sql (kept for reference).
+--
+-- Idempotent: databases that already ran those scripts can apply this
+-- migration as-is (or mark it with `npm run migrate -- baseline`).
+
+-- =====================================================================
+-- MARKET STATES (live analyzer output)
+-- =====================================================================
+CREATE TABLE IF NOT EXISTS market_states (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  timestamp BIGINT NOT NULL,
+  symbol TEXT NOT NULL DEFAULT 'BTC',
+  bias TEXT,
+  confidence NUMERIC,
+  primary_regime TEXT,
+  price NUMERIC,
+  full_state_json JSONB NOT NULL,
+  outcome_label TEXT,
+  outcome_reason TEXT,
+  outcome_horizon TEXT,
+  outcome_price NUMERIC,
+  outcome_move_pct NUMERIC,
+  outcome_mfe NUMERIC,
+  outcome_mae NUMERIC,
+  outcome_labeled_at BIGINT,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Stage 2 hierarchy columns + provenance
+ALTER TABLE market_states
+ADD COLUMN IF NOT EXISTS macro_bias TEXT,
+ADD COLUMN IF NOT EXISTS macro_confidence NUMERIC,
+ADD COLUMN IF NOT EXISTS micro_bias TEXT,
+ADD COLUMN IF NOT EXISTS micro_confidence NUMERIC,
+ADD COLUMN IF NOT EXISTS scalping_bias TEXT,
+ADD COLUMN IF NOT EXISTS scalping_confidence NUMERIC,
+ADD COLUMN IF NOT EXISTS macro_anchored BOOLEAN DEFAULT FALSE,
+ADD COLUMN IF NOT EXISTS hierarchy_warning TEXT,
+ADD COLUMN IF NOT EXISTS inputs_hash TEXT,
+ADD COLUMN IF NOT EXISTS config_version TEXT,
+ADD COLUMN IF NOT EXISTS build_version TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_market_states_timestamp ON market_states(timestamp);
+CREATE INDEX IF NOT EXISTS idx_market_states_symbol ON market_states(symbol);
+CREATE INDEX IF NOT EXISTS idx_market_states_outcome_label ON market_states(outcome_label);
+CREATE INDEX IF NOT EXISTS idx_market_states_inputs_hash ON market_states(inputs_hash);
+
+-- =====================================================================
+-- REPLAY
+-- =====================================================================
+CREATE TABLE IF NOT EXISTS replay_states (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  batch_id UUID NOT NULL,
+  as_of_timestamp BIGINT NOT NULL,
+  symbol TEXT NOT NULL DEFAULT 'BTC',
+  timestamp BIGINT,
+  timeframe TEXT,
+  bias TEXT,
+  confidence NUMERIC,
+  trade_stance TEXT,
+  primary_regime TEXT,
+  risk_mode TEXT,
+  exchange_scenario TEXT,
+  binance_oi_change NUMERIC,
+  bybit_oi_change NUMERIC,
+  binance_cvd NUMERIC,
+  bybit_cvd NUMERIC,
+  regime_state TEXT,
+  regime_subtype TEXT,
+  funding_rate NUMERIC,
+  price NUMERIC,
+  macro_bias TEXT,
+  macro_confidence NUMERIC,
+  micro_bias TEXT,
+  micro_confidence NUMERIC,
+  scalping_bias TEXT,
+  scalping_confidence NUMERIC,
+  macro_anchored BOOLEAN DEFAULT FALSE,
+  hierarchy_warning TEXT,
+  full_state_json JSONB,
+  outcome_label TEXT,
+  outcome_reason TEXT,
+  outcome_horizon TEXT,
+  outcome_price NUMERIC,
+  outcome_move_pct NUMERIC,
+  outcome_mfe NUMERIC,
+  outcome_mae NUMERIC,
+  outcome_labeled_at BIGINT,
+  data_range_latest BIGINT,
+  candles_captured JSONB,
+  status TEXT DEFAULT 'COMPLETED',
+  error_message TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  CONSTRAINT unique_replay_sample UNIQUE (batch_id, as_of_timestamp, symbol)
+);
+
+ALTER TABLE replay_states
+ADD COLUMN IF NOT EXISTS inputs_hash TEXT,
+ADD COLUMN IF NOT EXISTS config_version TEXT,
+ADD COLUMN IF NOT EXISTS build_version TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_replay_states_batch ON replay_states(batch_id);
+CREATE INDEX IF NOT EXISTS idx_replay_states_timestamp ON replay_states(as_of_timestamp);
+CREATE INDEX IF NOT EXISTS idx_replay_states_symbol ON replay_states(symbol);
+CREATE INDEX IF NOT EXISTS idx_replay_states_status ON replay_states(status);
+CREATE INDEX IF NOT EXISTS idx_replay_states_inputs_hash ON replay_states(inputs_hash);
+
+CREATE TABLE IF NOT EXISTS replay_batches (
+  batch_id UUID PRIMARY KEY,
+  symbol TEXT NOT NULL DEFAULT 'BTC',
+  start_time BIGINT NOT NULL,
+  end_time BIGINT NOT NULL,
+  step_ms BIGINT NOT NULL,
+  horizons JSONB DEFAULT '["MICRO"]'::jsonb,
+  max_samples INTEGER,
+  use_local_only BOOLEAN DEFAULT TRUE,
+  status TEXT NOT NULL DEFAULT 'PENDING',
+  total_samples INTEGER DEFAULT 0,
+  completed_samples INTEGER DEFAULT 0,
+  failed_samples INTEGER DEFAULT 0,
+  error_message TEXT,
+  started_at BIGINT,
+  updated_at BIGINT,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS replay_batch_samples (
+  batch_id UUID NOT NULL REFERENCES replay_batches(batch_id) ON DELETE CASCADE,
+  as_of_timestamp BIGINT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'PENDING',
+  state_id UUID,
+  error_message TEXT,
+  updated_at BIGINT,
+  PRIMARY KEY (batch_id, as_of_timestamp)
+);
+
+CREATE INDEX IF NOT EXISTS idx_replay_batches_status ON replay_batches(status);
+CREATE INDEX IF NOT EXISTS idx_replay_batch_samples_status ON replay_batch_samples(batch_id, status);
+
+CREATE TABLE IF NOT EXISTS scoreboard_baselines (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  name TEXT NOT NULL,
+  symbol TEXT NOT NULL DEFAULT 'BTC',
+  config_version TEXT,
+  batch_id UUID,
+  labeled_states INTEGER,
+  overall_accuracy NUMERIC,
+  directional_accuracy NUMERIC,
+  wait_correctness_rate NUMERIC,
+  metrics JSONB NOT NULL,
+  breakdowns JSONB,
+  saved_at BIGINT NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_scoreboard_baselines_symbol ON scoreboard_baselines(symbol, saved_at DESC);
+
+CREATE TABLE IF NOT EXISTS analyzer_inputs (
+  inputs_hash TEXT PRIMARY KEY,
+  symbol TEXT NOT NULL DEFAULT 'BTC',
+  encoding TEXT NOT NULL DEFAULT 'gzip+base64',
+  payload TEXT NOT NULL,
+  raw_bytes INTEGER,
+  stored_bytes INTEGER,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- =====================================================================
+-- ALERTS & SUMMARIES
+-- =====================================================================
+CREATE TABLE IF NOT EXISTS alerts_history (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  timestamp BIGINT NOT NULL,
+  alert_type TEXT NOT NULL,
+  priority TEXT,
+  title TEXT,
+  description TEXT,
+  context_json TEXT,
+  actionable_insight TEXT,
+  market_state_id UUID REFERENCES market_states(id) ON DELETE SET NULL,
+  acknowledged BOOLEAN DEFAULT FALSE,
+  acknowledged_at BIGINT,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+ALTER TABLE alerts_history
+ADD COLUMN IF NOT EXISTS symbol TEXT NOT NULL DEFAULT 'BTC';
+
+CREATE INDEX IF NOT EXISTS idx_alerts_history_symbol_timestamp ON alerts_history(symbol, timestamp DESC);
+
+CREATE TABLE IF NOT EXISTS daily_summaries (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  date TEXT NOT NULL,
+  avg_confidence NUMERIC,
+  predominant_bias TEXT,
+  bias_long_pct NUMERIC,
+  bias_short_pct NUMERIC,
+  bias_wait_pct NUMERIC,
+  regime_distribution_json TEXT,
+  total_alerts INTEGER,
+  high_priority_alerts INTEGER,
+  open_price NUMERIC,
+  close_price NUMERIC,
+  high_price NUMERIC,
+  low_price NUMERIC,
+  state_count INTEGER,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+ALTER TABLE daily_summaries
+ADD COLUMN IF NOT EXISTS symbol TEXT NOT NULL DEFAULT 'BTC';
+
+ALTER TABLE daily_summaries
+DROP CONSTRAINT IF EXISTS daily_summaries_date_key;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_daily_summaries_date_symbol ON daily_summaries(date, symbol);
+
+CREATE TABLE IF NOT EXISTS alert_subscriptions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id TEXT NOT NULL,
+  channel TEXT NOT NULL,
+  target JSONB NOT NULL DEFAULT '{}'::jsonb,
+  categories TEXT[] DEFAULT '{}',
+  min_priority TEXT NOT NULL DEFAULT 'low',
+  symbols TEXT[] DEFAULT '{}',
+  quiet_hours JSONB,
+  enabled BOOLEAN DEFAULT TRUE,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS alert_deliveries (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  subscription_id UUID REFERENCES alert_subscriptions(id) ON DELETE SET NULL,
+  alert_id TEXT,
+  channel TEXT NOT NULL,
+  symbol TEXT,
+  category TEXT,
+  priority TEXT,
+  status TEXT NOT NULL,
+  attempts INTEGER DEFAULT 0,
+  response_status INTEGER,
+  last_error TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_alert_subscriptions_user ON alert_subscriptions(user_id);
+CREATE INDEX IF NOT EXISTS idx_alert_deliveries_subscription ON alert_deliveries(subscription_id, created_at DESC);
+
+CREATE TABLE IF NOT EXISTS alert_rules (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id TEXT NOT NULL,
+  name TEXT NOT NULL,
+  description TEXT,
+  expression TEXT NOT NULL,
+  priority TEXT NOT NULL DEFAULT 'medium',
+  cooldown_ms BIGINT NOT NULL DEFAULT 3600000,
+  symbols TEXT[] DEFAULT '{}',
+  enabled BOOLEAN DEFAULT TRUE,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_alert_rules_user ON alert_rules(user_id);
+
+-- =====================================================================
+-- HISTORICAL CANDLES
+-- =====================================================================
+CREATE TABLE IF NOT EXISTS historical_candles (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  exchange TEXT NOT NULL,
+  symbol TEXT NOT NULL DEFAULT 'BTC',
+  timeframe TEXT NOT NULL,
+  timestamp BIGINT NOT NULL,
+  open NUMERIC,
+  high NUMERIC,
+  low NUMERIC,
+  close NUMERIC,
+  volume NUMERIC,
+  oi NUMERIC,
+  oi_open NUMERIC,
+  oi_high NUMERIC,
+  oi_low NUMERIC,
+  oi_close NUMERIC,
+  buy_volume NUMERIC,
+  sell_volume NUMERIC,
+  funding_rate NUMERIC,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_candles_unique ON historical_candles(exchange, symbol, timeframe, timestamp);
+
+CREATE TABLE IF NOT EXISTS historical_sync_progress (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  exchange TEXT NOT NULL,
+  symbol TEXT NOT NULL,
+  timeframe TEXT NOT NULL,
+  data_type TEXT NOT NULL,
+  last_synced_timestamp BIGINT,
+  total_rows BIGINT DEFAULT 0,
+  status TEXT DEFAULT 'pending',
+  error TEXT,
+  started_at TIMESTAMPTZ,
+  completed_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE (exchange, symbol, timeframe, data_type)
+);
+
+CREATE OR REPLACE FUNCTION update_updated_at_column()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.updated_at = NOW();
+    RETURN NEW;
+END;
+$$ language 'plpgsql';
+
+DROP TRIGGER IF EXISTS update_historical_candles_updated_at ON historical_candles;
+CREATE TRIGGER update_historical_candles_updated_at
+    BEFORE UPDATE ON historical_candles
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_sync_progress_updated_at ON historical_sync_progress;
+CREATE TRIGGER update_sync_progress_updated_at
+    BEFORE UPDATE ON historical_sync_progress
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- =====================================================================
+-- ABSORPTION EVENTS
+-- =====================================================================
+CREATE TABLE IF NOT EXISTS absorption_events (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  market_state_id UUID REFERENCES market_states(id),
+  detected_at BIGINT NOT NULL,
+  symbol TEXT NOT NULL,
+  timeframe TEXT NOT NULL,
+  cvd_direction TEXT NOT NULL,
+  cvd_strength DECIMAL,
+  cvd_noise_floor DECIMAL,
+  oi_behavior TEXT,
+  oi_at_detection DECIMAL,
+  price_response TEXT,
+  price_at_detection DECIMAL,
+  location TEXT,
+  sr_level_used DECIMAL,
+  resolved_at BIGINT,
+  resolution TEXT,
+  resolution_reason TEXT,
+  resolution_criteria JSONB,
+  extensions_used INTEGER DEFAULT 0,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS absorption_unique_open
+ON absorption_events (symbol, timeframe, cvd_direction)
+WHERE resolved_at IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_absorption_symbol_resolved ON absorption_events(symbol, resolved_at);
+
+CREATE OR REPLACE FUNCTION increment_absorption_extension(row_id UUID)
+RETURNS VOID AS $$
+    UPDATE absorption_events
+    SET extensions_used = COALESCE(extensions_used, 0) + 1
+    WHERE id = row_id;
+$$ LANGUAGE sql;
+
+-- =====================================================================
+-- ANALYZER CONFIG
+-- =====================================================================
+CREATE TABLE IF NOT EXISTS analyzer_config (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  version VARCHAR(50) NOT NULL,
+  config_json JSONB NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  created_by VARCHAR(255) DEFAULT 'system',
+  notes TEXT,
+  validation_status VARCHAR(50) DEFAULT 'not_validated'
+);
+
+CREATE TABLE IF NOT EXISTS analyzer_config_history (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  version VARCHAR(50) NOT NULL,
+  config_json JSONB NOT NULL,
+  previous_config_json JSONB,
+  diff_summary JSONB,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  created_by VARCHAR(255) NOT NULL,
+  notes TEXT NOT NULL,
+  based_on_version VARCHAR(50),
+  action VARCHAR(50) DEFAULT 'update',
+  validation_status VARCHAR(50) DEFAULT 'not_validated'
+);
+
+CREATE INDEX IF NOT EXISTS idx_config_history_version ON analyzer_config_history(version);
+CREATE INDEX IF NOT EXISTS idx_config_history_created_at ON analyzer_config_history(created_at DESC);
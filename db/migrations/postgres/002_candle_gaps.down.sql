@@ -0,0 +1,3 @@
+-- 002_candle_gaps (Postgres / Supabase)
+
+DROP TABLE IF EXISTS candle_gaps;
@@ -0,0 +1,35 @@
+-- 002_candle_gaps (Postgres / Supabase)
+-- Persistent gap report for historical_candles, written by the gap-scan job
+-- (src/jobs/scanCandleGaps.js). One row per contiguous run of missing candles
+-- for an exchange/symbol/timeframe/data type.
+--
+-- status: open -> repairing -> repaired | open (retry) | unrecoverable
+
+CREATE TABLE IF NOT EXISTS candle_gaps (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  exchange TEXT NOT NULL,
+  symbol TEXT NOT NULL DEFAULT 'BTC',
+  timeframe TEXT NOT NULL,
+  data_type TEXT NOT NULL,
+  gap_start BIGINT NOT NULL,         -- first missing candle (open time, ms)
+  gap_end BIGINT NOT NULL,           -- last missing candle (open time, ms)
+  missing_count INTEGER NOT NULL,
+  status TEXT NOT NULL DEFAULT 'open',
+  repair_attempts INTEGER NOT NULL DEFAULT 0,
+  last_error TEXT,
+  detected_at TIMESTAMPTZ DEFAULT NOW(),
+  last_scanned_at TIMESTAMPTZ DEFAULT NOW(),
+  last_repair_at TIMESTAMPTZ,
+  repaired_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_candle_gaps_series ON candle_gaps(exchange, symbol, timeframe, data_type);
+CREATE INDEX IF NOT EXISTS idx_candle_gaps_status ON candle_gaps(status);
+
+DROP TRIGGER IF EXISTS update_candle_gaps_updated_at ON candle_gaps;
+CREATE TRIGGER update_candle_gaps_updated_at
+    BEFORE UPDATE ON candle_gaps
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
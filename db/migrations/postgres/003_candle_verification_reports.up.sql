@@ -0,0 +1,42 @@
+-- 003_candle_verification_reports (Postgres / Supabase)
+-- One row per verification run of stored candles against the data provider
+-- (src/services/candleVerificationService.js). Kept so data integrity can be
+-- followed over time.
+--
+-- field_stats:    { <field>: { checked, mismatches, meanDrift, maxDrift, p95Drift, bias } }
+-- failing_ranges: [{ startTime, endTime, dataTypes, fields }] - strata that failed
+-- results:        per-sample comparison detail
+
+CREATE TABLE IF NOT EXISTS candle_verification_reports (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  exchange TEXT NOT NULL,
+  symbol TEXT NOT NULL DEFAULT 'BTC',
+  timeframe TEXT NOT NULL,
+  data_types TEXT[] NOT NULL,
+  window_start BIGINT NOT NULL,
+  window_end BIGINT NOT NULL,
+  sample_size INTEGER NOT NULL,
+  checked INTEGER NOT NULL DEFAULT 0,
+  matched INTEGER NOT NULL DEFAULT 0,
+  mismatched INTEGER NOT NULL DEFAULT 0,
+  unavailable INTEGER NOT NULL DEFAULT 0,
+  accuracy NUMERIC,
+  tolerances JSONB,
+  field_stats JSONB,
+  failing_ranges JSONB,
+  results JSONB,
+  resync_status TEXT NOT NULL DEFAULT 'none',   -- none | pending | completed | failed | skipped
+  resync_result JSONB,
+  duration_ms INTEGER,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_verification_reports_series ON candle_verification_reports(exchange, symbol, timeframe);
+CREATE INDEX IF NOT EXISTS idx_verification_reports_created ON candle_verification_reports(created_at);
+
+DROP TRIGGER IF EXISTS update_verification_reports_updated_at ON candle_verification_reports;
+CREATE TRIGGER update_verification_reports_updated_at
+    BEFORE UPDATE ON candle_verification_reports
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
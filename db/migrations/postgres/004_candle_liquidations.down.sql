@@ -0,0 +1,4 @@
+-- 004_candle_liquidations (Postgres / Supabase)
+
+ALTER TABLE historical_candles DROP COLUMN IF EXISTS liq_short_usd;
+ALTER TABLE historical_candles DROP COLUMN IF EXISTS liq_long_usd;
@@ -0,0 +1,6 @@
+-- 004_candle_liquidations (Postgres / Supabase)
+-- Long/short liquidation volume (USD) per candle, synced as the
+-- 'liquidations' data type (src/jobs/syncHistoricalData.js).
+
+ALTER TABLE historical_candles ADD COLUMN IF NOT EXISTS liq_long_usd NUMERIC;
+ALTER TABLE historical_candles ADD COLUMN IF NOT EXISTS liq_short_usd NUMERIC;
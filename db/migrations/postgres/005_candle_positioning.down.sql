@@ -0,0 +1,6 @@
+-- 005_candle_positioning (Postgres / Supabase)
+
+ALTER TABLE historical_candles DROP COLUMN IF EXISTS top_ls_ratio;
+ALTER TABLE historical_candles DROP COLUMN IF EXISTS top_long_pct;
+ALTER TABLE historical_candles DROP COLUMN IF EXISTS global_ls_ratio;
+ALTER TABLE historical_candles DROP COLUMN IF EXISTS global_long_pct;
@@ -0,0 +1,9 @@
+-- 005_candle_positioning (Postgres / Supabase)
+-- Trader positioning per candle (values as reported by the provider, percent 0-100):
+--   global_long_pct / global_ls_ratio - all accounts ('long_short_ratio' data type)
+--   top_long_pct / top_ls_ratio       - top-trader positions ('top_trader_ratio' data type)
+
+ALTER TABLE historical_candles ADD COLUMN IF NOT EXISTS global_long_pct NUMERIC;
+ALTER TABLE historical_candles ADD COLUMN IF NOT EXISTS global_ls_ratio NUMERIC;
+ALTER TABLE historical_candles ADD COLUMN IF NOT EXISTS top_long_pct NUMERIC;
+ALTER TABLE historical_candles ADD COLUMN IF NOT EXISTS top_ls_ratio NUMERIC;
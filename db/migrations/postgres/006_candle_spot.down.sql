@@ -0,0 +1,6 @@
+-- 006_candle_spot (Postgres / Supabase)
+
+ALTER TABLE historical_candles DROP COLUMN IF EXISTS spot_sell_volume;
+ALTER TABLE historical_candles DROP COLUMN IF EXISTS spot_buy_volume;
+ALTER TABLE historical_candles DROP COLUMN IF EXISTS spot_volume;
+ALTER TABLE historical_candles DROP COLUMN IF EXISTS spot_close;
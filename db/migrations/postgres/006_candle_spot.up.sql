@@ -0,0 +1,9 @@
+-- 006_candle_spot (Postgres / Supabase)
+-- Spot market next to the perpetual, per candle:
+--   spot_close / spot_volume           - spot price ('spot_price' data type)
+--   spot_buy_volume / spot_sell_volume - spot taker volume ('spot_taker_volume' data type)
+
+ALTER TABLE historical_candles ADD COLUMN IF NOT EXISTS spot_close NUMERIC;
+ALTER TABLE historical_candles ADD COLUMN IF NOT EXISTS spot_volume NUMERIC;
+ALTER TABLE historical_candles ADD COLUMN IF NOT EXISTS spot_buy_volume NUMERIC;
+ALTER TABLE historical_candles ADD COLUMN IF NOT EXISTS spot_sell_volume NUMERIC;
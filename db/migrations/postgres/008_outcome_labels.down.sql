@@ -0,0 +1,3 @@
+-- 008_outcome_labels (Postgres / Supabase)
+
+DROP TABLE IF EXISTS outcome_labels;
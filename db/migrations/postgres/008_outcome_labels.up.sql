@@ -0,0 +1,61 @@
+-- 008_outcome_labels (Postgres / Supabase)
+-- Outcome labels per state, horizon and labeler version. The outcome_*
+-- columns on market_states / replay_states hold a single label; this table
+-- keeps every horizon and every labeler version side by side (relabeling
+-- with new rules adds rows instead of overwriting).
+--
+-- state_source:    replay (replay_states.id) | live (market_states.id)
+-- labeler_version: label method version, e.g. threshold-v1 / triple_barrier-v1
+--                  (labels stored before versioning are backfilled as threshold-v0)
+
+CREATE TABLE IF NOT EXISTS outcome_labels (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  state_source TEXT NOT NULL DEFAULT 'replay',
+  state_id UUID NOT NULL,
+  horizon TEXT NOT NULL,
+  method TEXT NOT NULL DEFAULT 'threshold',
+  labeler_version TEXT NOT NULL,
+  label TEXT NOT NULL,
+  reason TEXT,
+  final_price NUMERIC,
+  move_pct NUMERIC,
+  mfe NUMERIC,
+  mae NUMERIC,
+  r_multiple NUMERIC,
+  time_to_hit_ms BIGINT,
+  barrier TEXT,
+  labeled_at BIGINT NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE (state_source, state_id, horizon, labeler_version)
+);
+
+CREATE INDEX IF NOT EXISTS idx_outcome_labels_state ON outcome_labels(state_id);
+CREATE INDEX IF NOT EXISTS idx_outcome_labels_horizon_version ON outcome_labels(horizon, labeler_version);
+
+DROP TRIGGER IF EXISTS update_outcome_labels_updated_at ON outcome_labels;
+CREATE TRIGGER update_outcome_labels_updated_at
+    BEFORE UPDATE ON outcome_labels
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Backfill the existing single labels
+INSERT INTO outcome_labels (state_source, state_id, horizon, method, labeler_version, label, reason,
+  final_price, move_pct, mfe, mae, r_multiple, time_to_hit_ms, barrier, labeled_at)
+SELECT 'replay', id, COALESCE(outcome_horizon, 'MICRO'), COALESCE(outcome_method, 'threshold'),
+  COALESCE(outcome_method_version, 'threshold-v0'), outcome_label, outcome_reason,
+  outcome_price, outcome_move_pct, outcome_mfe, outcome_mae, outcome_r_multiple, outcome_time_to_hit_ms, outcome_barrier,
+  COALESCE(outcome_labeled_at, as_of_timestamp)
+FROM replay_states
+WHERE outcome_label IS NOT NULL
+ON CONFLICT (state_source, state_id, horizon, labeler_version) DO NOTHING;
+
+INSERT INTO outcome_labels (state_source, state_id, horizon, method, labeler_version, label, reason,
+  final_price, move_pct, mfe, mae, r_multiple, time_to_hit_ms, barrier, labeled_at)
+SELECT 'live', id, COALESCE(outcome_horizon, 'MICRO'), COALESCE(outcome_method, 'threshold'),
+  COALESCE(outcome_method_version, 'threshold-v0'), outcome_label, outcome_reason,
+  outcome_price, outcome_move_pct, outcome_mfe, outcome_mae, outcome_r_multiple, outcome_time_to_hit_ms, outcome_barrier,
+  COALESCE(outcome_labeled_at, timestamp)
+FROM market_states
+WHERE outcome_label IS NOT NULL
+ON CONFLICT (state_source, state_id, horizon, labeler_version) DO NOTHING;
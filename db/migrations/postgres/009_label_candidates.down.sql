@@ -0,0 +1,4 @@
+-- 009_label_candidates (Postgres / Supabase)
+
+DROP FUNCTION IF EXISTS replay_states_missing_labels(TEXT, TEXT, TEXT[], BIGINT[], UUID, INTEGER);
+DROP INDEX IF EXISTS idx_replay_states_label_candidates;
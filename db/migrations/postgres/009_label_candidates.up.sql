@@ -0,0 +1,51 @@
+-- 009_label_candidates (Postgres / Supabase)
+-- Replay states the outcome labeling job still has to label: at least one
+-- horizon whose window has closed (as_of_timestamp before its cutoff) has no
+-- outcome_labels row for the labeler version. Filtering here keeps the job
+-- from paging through every labeled state on each run.
+--
+-- p_horizons / p_cutoffs: parallel arrays (horizon, as_of_timestamp cutoff in ms)
+
+CREATE INDEX IF NOT EXISTS idx_replay_states_label_candidates
+ON replay_states(symbol, status, as_of_timestamp);
+
+CREATE OR REPLACE FUNCTION replay_states_missing_labels(
+  p_symbol TEXT,
+  p_labeler_version TEXT,
+  p_horizons TEXT[],
+  p_cutoffs BIGINT[],
+  p_batch_id UUID DEFAULT NULL,
+  p_limit INTEGER DEFAULT 500
+)
+RETURNS TABLE (
+  id UUID,
+  batch_id UUID,
+  as_of_timestamp BIGINT,
+  "timestamp" BIGINT,
+  symbol TEXT,
+  bias TEXT,
+  confidence NUMERIC,
+  price NUMERIC,
+  outcome_label TEXT
+) AS $$
+    SELECT rs.id, rs.batch_id, rs.as_of_timestamp, rs.timestamp, rs.symbol,
+           rs.bias, rs.confidence, rs.price, rs.outcome_label
+    FROM replay_states rs
+    WHERE rs.symbol = p_symbol
+      AND rs.status = 'COMPLETED'
+      AND (p_batch_id IS NULL OR rs.batch_id = p_batch_id)
+      AND EXISTS (
+        SELECT 1
+        FROM unnest(p_horizons, p_cutoffs) AS due(horizon, cutoff)
+        WHERE rs.as_of_timestamp < due.cutoff
+          AND NOT EXISTS (
+            SELECT 1 FROM outcome_labels ol
+            WHERE ol.state_source = 'replay'
+              AND ol.state_id = rs.id
+              AND ol.horizon = due.horizon
+              AND ol.labeler_version = p_labeler_version
+          )
+      )
+    ORDER BY rs.as_of_timestamp ASC
+    LIMIT p_limit;
+$$ LANGUAGE sql STABLE;
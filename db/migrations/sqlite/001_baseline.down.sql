@@ -0,0 +1,18 @@
+-- 001_baseline (SQLite) - drops every table created by the baseline
+
+DROP TABLE IF EXISTS alert_deliveries;
+DROP TABLE IF EXISTS alert_subscriptions;
+DROP TABLE IF EXISTS alert_rules;
+DROP TABLE IF EXISTS alerts_history;
+DROP TABLE IF EXISTS daily_summaries;
+DROP TABLE IF EXISTS absorption_events;
+DROP TABLE IF EXISTS replay_batch_samples;
+DROP TABLE IF EXISTS replay_batches;
+DROP TABLE IF EXISTS replay_states;
+DROP TABLE IF EXISTS scoreboard_baselines;
+DROP TABLE IF EXISTS analyzer_inputs;
+DROP TABLE IF EXISTS market_states;
+DROP TABLE IF EXISTS historical_sync_progress;
+DROP TABLE IF EXISTS historical_candles;
+DROP TABLE IF EXISTS analyzer_config_history;
+DROP TABLE IF EXISTS analyzer_config;
@@ -0,0 +1,376 @@
+-- 001_baseline (SQLite)
+-- Full schema as of the storage backend layer - mirrors the Postgres baseline.
+--
+-- Type mapping:
+--   UUID        -> TEXT (PRIMARY KEY defaults generate a v4 UUID)
+--   BIGINT      -> INTEGER, NUMERIC/DECIMAL -> REAL
+--   TIMESTAMPTZ -> TEXT (ISO-8601, same format as Date#toISOString)
+--   JSONB/TEXT[]-> JSON     (declared type - the adapter stringifies/parses)
+--   BOOLEAN     -> BOOLEAN  (declared type - the adapter maps to 0/1)
+
+-- =====================================================================
+-- MARKET STATES (live analyzer output)
+-- =====================================================================
+CREATE TABLE IF NOT EXISTS market_states (
+    id TEXT PRIMARY KEY DEFAULT (lower(hex(randomblob(4)) || '-' || hex(randomblob(2)) || '-4' || substr(hex(randomblob(2)), 2) || '-' || substr('89ab', 1 + (abs(random()) % 4), 1) || substr(hex(randomblob(2)), 2) || '-' || hex(randomblob(6)))),
+    timestamp INTEGER NOT NULL,
+    symbol TEXT NOT NULL DEFAULT 'BTC',
+    bias TEXT,
+    confidence REAL,
+    primary_regime TEXT,
+    price REAL,
+    full_state_json JSON NOT NULL,
+    outcome_label TEXT,
+    outcome_reason TEXT,
+    outcome_horizon TEXT,
+    outcome_price REAL,
+    outcome_move_pct REAL,
+    outcome_mfe REAL,
+    outcome_mae REAL,
+    outcome_labeled_at INTEGER,
+    macro_bias TEXT,
+    macro_confidence REAL,
+    micro_bias TEXT,
+    micro_confidence REAL,
+    scalping_bias TEXT,
+    scalping_confidence REAL,
+    macro_anchored BOOLEAN DEFAULT 0,
+    hierarchy_warning TEXT,
+    inputs_hash TEXT,
+    config_version TEXT,
+    build_version TEXT,
+    created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_market_states_timestamp ON market_states(timestamp);
+CREATE INDEX IF NOT EXISTS idx_market_states_symbol ON market_states(symbol, timestamp DESC);
+CREATE INDEX IF NOT EXISTS idx_market_states_outcome_label ON market_states(outcome_label);
+CREATE INDEX IF NOT EXISTS idx_market_states_inputs_hash ON market_states(inputs_hash);
+
+-- =====================================================================
+-- REPLAY
+-- =====================================================================
+CREATE TABLE IF NOT EXISTS replay_states (
+    id TEXT PRIMARY KEY DEFAULT (lower(hex(randomblob(4)) || '-' || hex(randomblob(2)) || '-4' || substr(hex(randomblob(2)), 2) || '-' || substr('89ab', 1 + (abs(random()) % 4), 1) || substr(hex(randomblob(2)), 2) || '-' || hex(randomblob(6)))),
+    batch_id TEXT NOT NULL,
+    as_of_timestamp INTEGER NOT NULL,
+    symbol TEXT NOT NULL DEFAULT 'BTC',
+    timestamp INTEGER,
+    timeframe TEXT,
+    bias TEXT,
+    confidence REAL,
+    trade_stance TEXT,
+    primary_regime TEXT,
+    risk_mode TEXT,
+    exchange_scenario TEXT,
+    binance_oi_change REAL,
+    bybit_oi_change REAL,
+    binance_cvd REAL,
+    bybit_cvd REAL,
+    regime_state TEXT,
+    regime_subtype TEXT,
+    funding_rate REAL,
+    price REAL,
+    macro_bias TEXT,
+    macro_confidence REAL,
+    micro_bias TEXT,
+    micro_confidence REAL,
+    scalping_bias TEXT,
+    scalping_confidence REAL,
+    macro_anchored BOOLEAN DEFAULT 0,
+    hierarchy_warning TEXT,
+    full_state_json JSON,
+    outcome_label TEXT,
+    outcome_reason TEXT,
+    outcome_horizon TEXT,
+    outcome_price REAL,
+    outcome_move_pct REAL,
+    outcome_mfe REAL,
+    outcome_mae REAL,
+    outcome_labeled_at INTEGER,
+    data_range_latest INTEGER,
+    candles_captured JSON,
+    inputs_hash TEXT,
+    config_version TEXT,
+    build_version TEXT,
+    status TEXT DEFAULT 'COMPLETED',
+    error_message TEXT,
+    created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    UNIQUE (batch_id, as_of_timestamp, symbol)
+);
+
+CREATE INDEX IF NOT EXISTS idx_replay_states_batch ON replay_states(batch_id);
+CREATE INDEX IF NOT EXISTS idx_replay_states_timestamp ON replay_states(as_of_timestamp);
+CREATE INDEX IF NOT EXISTS idx_replay_states_symbol ON replay_states(symbol, status, as_of_timestamp);
+CREATE INDEX IF NOT EXISTS idx_replay_states_inputs_hash ON replay_states(inputs_hash);
+
+CREATE TABLE IF NOT EXISTS replay_batches (
+    batch_id TEXT PRIMARY KEY,
+    symbol TEXT NOT NULL DEFAULT 'BTC',
+    start_time INTEGER NOT NULL,
+    end_time INTEGER NOT NULL,
+    step_ms INTEGER NOT NULL,
+    horizons JSON DEFAULT '["MICRO"]',
+    max_samples INTEGER,
+    use_local_only BOOLEAN DEFAULT 1,
+    status TEXT NOT NULL DEFAULT 'PENDING',
+    total_samples INTEGER DEFAULT 0,
+    completed_samples INTEGER DEFAULT 0,
+    failed_samples INTEGER DEFAULT 0,
+    error_message TEXT,
+    started_at INTEGER,
+    updated_at INTEGER,
+    created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE TABLE IF NOT EXISTS replay_batch_samples (
+    batch_id TEXT NOT NULL REFERENCES replay_batches(batch_id) ON DELETE CASCADE,
+    as_of_timestamp INTEGER NOT NULL,
+    status TEXT NOT NULL DEFAULT 'PENDING',
+    state_id TEXT,
+    error_message TEXT,
+    updated_at INTEGER,
+    PRIMARY KEY (batch_id, as_of_timestamp)
+);
+
+CREATE INDEX IF NOT EXISTS idx_replay_batches_status ON replay_batches(status);
+CREATE INDEX IF NOT EXISTS idx_replay_batch_samples_status ON replay_batch_samples(batch_id, status);
+
+CREATE TABLE IF NOT EXISTS scoreboard_baselines (
+    id TEXT PRIMARY KEY DEFAULT (lower(hex(randomblob(4)) || '-' || hex(randomblob(2)) || '-4' || substr(hex(randomblob(2)), 2) || '-' || substr('89ab', 1 + (abs(random()) % 4), 1) || substr(hex(randomblob(2)), 2) || '-' || hex(randomblob(6)))),
+    name TEXT NOT NULL,
+    symbol TEXT NOT NULL DEFAULT 'BTC',
+    config_version TEXT,
+    batch_id TEXT,
+    labeled_states INTEGER,
+    overall_accuracy REAL,
+    directional_accuracy REAL,
+    wait_correctness_rate REAL,
+    metrics JSON NOT NULL,
+    breakdowns JSON,
+    saved_at INTEGER NOT NULL,
+    created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_scoreboard_baselines_symbol ON scoreboard_baselines(symbol, saved_at DESC);
+
+CREATE TABLE IF NOT EXISTS analyzer_inputs (
+    inputs_hash TEXT PRIMARY KEY,
+    symbol TEXT NOT NULL DEFAULT 'BTC',
+    encoding TEXT NOT NULL DEFAULT 'gzip+base64',
+    payload TEXT NOT NULL,
+    raw_bytes INTEGER,
+    stored_bytes INTEGER,
+    created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+-- =====================================================================
+-- ALERTS & SUMMARIES
+-- =====================================================================
+CREATE TABLE IF NOT EXISTS alerts_history (
+    id TEXT PRIMARY KEY DEFAULT (lower(hex(randomblob(4)) || '-' || hex(randomblob(2)) || '-4' || substr(hex(randomblob(2)), 2) || '-' || substr('89ab', 1 + (abs(random()) % 4), 1) || substr(hex(randomblob(2)), 2) || '-' || hex(randomblob(6)))),
+    timestamp INTEGER NOT NULL,
+    symbol TEXT NOT NULL DEFAULT 'BTC',
+    alert_type TEXT NOT NULL,
+    priority TEXT,
+    title TEXT,
+    description TEXT,
+    context_json TEXT,
+    actionable_insight TEXT,
+    market_state_id TEXT REFERENCES market_states(id) ON DELETE SET NULL,
+    acknowledged BOOLEAN DEFAULT 0,
+    acknowledged_at INTEGER,
+    created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_alerts_history_symbol_timestamp ON alerts_history(symbol, timestamp DESC);
+CREATE INDEX IF NOT EXISTS idx_alerts_history_type_timestamp ON alerts_history(alert_type, timestamp DESC);
+
+CREATE TABLE IF NOT EXISTS daily_summaries (
+    id TEXT PRIMARY KEY DEFAULT (lower(hex(randomblob(4)) || '-' || hex(randomblob(2)) || '-4' || substr(hex(randomblob(2)), 2) || '-' || substr('89ab', 1 + (abs(random()) % 4), 1) || substr(hex(randomblob(2)), 2) || '-' || hex(randomblob(6)))),
+    date TEXT NOT NULL,
+    symbol TEXT NOT NULL DEFAULT 'BTC',
+    avg_confidence REAL,
+    predominant_bias TEXT,
+    bias_long_pct REAL,
+    bias_short_pct REAL,
+    bias_wait_pct REAL,
+    regime_distribution_json TEXT,
+    total_alerts INTEGER,
+    high_priority_alerts INTEGER,
+    open_price REAL,
+    close_price REAL,
+    high_price REAL,
+    low_price REAL,
+    state_count INTEGER,
+    created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_daily_summaries_date_symbol ON daily_summaries(date, symbol);
+
+CREATE TABLE IF NOT EXISTS alert_subscriptions (
+    id TEXT PRIMARY KEY DEFAULT (lower(hex(randomblob(4)) || '-' || hex(randomblob(2)) || '-4' || substr(hex(randomblob(2)), 2) || '-' || substr('89ab', 1 + (abs(random()) % 4), 1) || substr(hex(randomblob(2)), 2) || '-' || hex(randomblob(6)))),
+    user_id TEXT NOT NULL,
+    channel TEXT NOT NULL,
+    target JSON NOT NULL DEFAULT '{}',
+    categories JSON DEFAULT '[]',
+    min_priority TEXT NOT NULL DEFAULT 'low',
+    symbols JSON DEFAULT '[]',
+    quiet_hours JSON,
+    enabled BOOLEAN DEFAULT 1,
+    created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    updated_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_alert_subscriptions_user ON alert_subscriptions(user_id);
+
+CREATE TABLE IF NOT EXISTS alert_deliveries (
+    id TEXT PRIMARY KEY DEFAULT (lower(hex(randomblob(4)) || '-' || hex(randomblob(2)) || '-4' || substr(hex(randomblob(2)), 2) || '-' || substr('89ab', 1 + (abs(random()) % 4), 1) || substr(hex(randomblob(2)), 2) || '-' || hex(randomblob(6)))),
+    subscription_id TEXT REFERENCES alert_subscriptions(id) ON DELETE SET NULL,
+    alert_id TEXT,
+    channel TEXT NOT NULL,
+    symbol TEXT,
+    category TEXT,
+    priority TEXT,
+    status TEXT NOT NULL,
+    attempts INTEGER DEFAULT 0,
+    response_status INTEGER,
+    last_error TEXT,
+    created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_alert_deliveries_subscription ON alert_deliveries(subscription_id, created_at DESC);
+
+CREATE TABLE IF NOT EXISTS alert_rules (
+    id TEXT PRIMARY KEY DEFAULT (lower(hex(randomblob(4)) || '-' || hex(randomblob(2)) || '-4' || substr(hex(randomblob(2)), 2) || '-' || substr('89ab', 1 + (abs(random()) % 4), 1) || substr(hex(randomblob(2)), 2) || '-' || hex(randomblob(6)))),
+    user_id TEXT NOT NULL,
+    name TEXT NOT NULL,
+    description TEXT,
+    expression TEXT NOT NULL,
+    priority TEXT NOT NULL DEFAULT 'medium',
+    cooldown_ms INTEGER NOT NULL DEFAULT 3600000,
+    symbols JSON DEFAULT '[]',
+    enabled BOOLEAN DEFAULT 1,
+    created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    updated_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_alert_rules_user ON alert_rules(user_id);
+
+-- =====================================================================
+-- HISTORICAL CANDLES
+-- =====================================================================
+CREATE TABLE IF NOT EXISTS historical_candles (
+    id TEXT PRIMARY KEY DEFAULT (lower(hex(randomblob(4)) || '-' || hex(randomblob(2)) || '-4' || substr(hex(randomblob(2)), 2) || '-' || substr('89ab', 1 + (abs(random()) % 4), 1) || substr(hex(randomblob(2)), 2) || '-' || hex(randomblob(6)))),
+    exchange TEXT NOT NULL,
+    symbol TEXT NOT NULL DEFAULT 'BTC',
+    timeframe TEXT NOT NULL,
+    timestamp INTEGER NOT NULL,
+    open REAL,
+    high REAL,
+    low REAL,
+    close REAL,
+    volume REAL,
+    oi REAL,
+    oi_open REAL,
+    oi_high REAL,
+    oi_low REAL,
+    oi_close REAL,
+    buy_volume REAL,
+    sell_volume REAL,
+    funding_rate REAL,
+    created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    updated_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_candles_unique ON historical_candles(exchange, symbol, timeframe, timestamp);
+
+CREATE TABLE IF NOT EXISTS historical_sync_progress (
+    id TEXT PRIMARY KEY DEFAULT (lower(hex(randomblob(4)) || '-' || hex(randomblob(2)) || '-4' || substr(hex(randomblob(2)), 2) || '-' || substr('89ab', 1 + (abs(random()) % 4), 1) || substr(hex(randomblob(2)), 2) || '-' || hex(randomblob(6)))),
+    exchange TEXT NOT NULL,
+    symbol TEXT NOT NULL,
+    timeframe TEXT NOT NULL,
+    data_type TEXT NOT NULL,
+    last_synced_timestamp INTEGER,
+    total_rows INTEGER DEFAULT 0,
+    status TEXT DEFAULT 'pending',
+    error TEXT,
+    started_at TEXT,
+    completed_at TEXT,
+    created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    updated_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    UNIQUE (exchange, symbol, timeframe, data_type)
+);
+
+CREATE TRIGGER IF NOT EXISTS update_historical_candles_updated_at
+AFTER UPDATE ON historical_candles FOR EACH ROW
+BEGIN
+    UPDATE historical_candles SET updated_at = (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')) WHERE rowid = NEW.rowid;
+END;
+
+CREATE TRIGGER IF NOT EXISTS update_sync_progress_updated_at
+AFTER UPDATE ON historical_sync_progress FOR EACH ROW
+BEGIN
+    UPDATE historical_sync_progress SET updated_at = (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')) WHERE rowid = NEW.rowid;
+END;
+
+-- =====================================================================
+-- ABSORPTION EVENTS
+-- =====================================================================
+CREATE TABLE IF NOT EXISTS absorption_events (
+    id TEXT PRIMARY KEY DEFAULT (lower(hex(randomblob(4)) || '-' || hex(randomblob(2)) || '-4' || substr(hex(randomblob(2)), 2) || '-' || substr('89ab', 1 + (abs(random()) % 4), 1) || substr(hex(randomblob(2)), 2) || '-' || hex(randomblob(6)))),
+    market_state_id TEXT REFERENCES market_states(id),
+    detected_at INTEGER NOT NULL,
+    symbol TEXT NOT NULL,
+    timeframe TEXT NOT NULL,
+    cvd_direction TEXT NOT NULL,
+    cvd_strength REAL,
+    cvd_noise_floor REAL,
+    oi_behavior TEXT,
+    oi_at_detection REAL,
+    price_response TEXT,
+    price_at_detection REAL,
+    location TEXT,
+    sr_level_used REAL,
+    resolved_at INTEGER,
+    resolution TEXT,
+    resolution_reason TEXT,
+    resolution_criteria JSON,
+    extensions_used INTEGER DEFAULT 0,
+    created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS absorption_unique_open
+ON absorption_events (symbol, timeframe, cvd_direction) WHERE resolved_at IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_absorption_symbol_resolved ON absorption_events(symbol, resolved_at);
+
+-- =====================================================================
+-- ANALYZER CONFIG
+-- =====================================================================
+CREATE TABLE IF NOT EXISTS analyzer_config (
+    id TEXT PRIMARY KEY DEFAULT (lower(hex(randomblob(4)) || '-' || hex(randomblob(2)) || '-4' || substr(hex(randomblob(2)), 2) || '-' || substr('89ab', 1 + (abs(random()) % 4), 1) || substr(hex(randomblob(2)), 2) || '-' || hex(randomblob(6)))),
+    version TEXT NOT NULL,
+    config_json JSON NOT NULL,
+    created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    created_by TEXT DEFAULT 'system',
+    notes TEXT,
+    validation_status TEXT DEFAULT 'not_validated'
+);
+
+CREATE TABLE IF NOT EXISTS analyzer_config_history (
+    id TEXT PRIMARY KEY DEFAULT (lower(hex(randomblob(4)) || '-' || hex(randomblob(2)) || '-4' || substr(hex(randomblob(2)), 2) || '-' || substr('89ab', 1 + (abs(random()) % 4), 1) || substr(hex(randomblob(2)), 2) || '-' || hex(randomblob(6)))),
+    version TEXT NOT NULL,
+    config_json JSON NOT NULL,
+    previous_config_json JSON,
+    diff_summary JSON,
+    created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    created_by TEXT NOT NULL,
+    notes TEXT NOT NULL,
+    based_on_version TEXT,
+    action TEXT DEFAULT 'update',
+    validation_status TEXT DEFAULT 'not_validated'
+);
+
+CREATE INDEX IF NOT EXISTS idx_config_history_version ON analyzer_config_history(version);
+CREATE INDEX IF NOT EXISTS idx_config_history_created_at ON analyzer_config_history(created_at DESC);
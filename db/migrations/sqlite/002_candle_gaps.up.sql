@@ -0,0 +1,31 @@
+-- 002_candle_gaps (SQLite) - mirrors the Postgres migration
+-- status: open -> repairing -> repaired | open (retry) | unrecoverable
+
+CREATE TABLE IF NOT EXISTS candle_gaps (
+    id TEXT PRIMARY KEY DEFAULT (lower(hex(randomblob(4)) || '-' || hex(randomblob(2)) || '-4' || substr(hex(randomblob(2)), 2) || '-' || substr('89ab', 1 + (abs(random()) % 4), 1) || substr(hex(randomblob(2)), 2) || '-' || hex(randomblob(6)))),
+    exchange TEXT NOT NULL,
+    symbol TEXT NOT NULL DEFAULT 'BTC',
+    timeframe TEXT NOT NULL,
+    data_type TEXT NOT NULL,
+    gap_start INTEGER NOT NULL,
+    gap_end INTEGER NOT NULL,
+    missing_count INTEGER NOT NULL,
+    status TEXT NOT NULL DEFAULT 'open',
+    repair_attempts INTEGER NOT NULL DEFAULT 0,
+    last_error TEXT,
+    detected_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    last_scanned_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    last_repair_at TEXT,
+    repaired_at TEXT,
+    created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    updated_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_candle_gaps_series ON candle_gaps(exchange, symbol, timeframe, data_type);
+CREATE INDEX IF NOT EXISTS idx_candle_gaps_status ON candle_gaps(status);
+
+CREATE TRIGGER IF NOT EXISTS update_candle_gaps_updated_at
+AFTER UPDATE ON candle_gaps FOR EACH ROW
+BEGIN
+    UPDATE candle_gaps SET updated_at = (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')) WHERE rowid = NEW.rowid;
+END;
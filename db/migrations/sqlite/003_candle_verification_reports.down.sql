@@ -0,0 +1,3 @@
+-- 003_candle_verification_reports (SQLite)
+
+DROP TABLE IF EXISTS candle_verification_reports;
@@ -0,0 +1,35 @@
+-- 003_candle_verification_reports (SQLite) - mirrors the Postgres migration
+
+CREATE TABLE IF NOT EXISTS candle_verification_reports (
+    id TEXT PRIMARY KEY DEFAULT (lower(hex(randomblob(4)) || '-' || hex(randomblob(2)) || '-4' || substr(hex(randomblob(2)), 2) || '-' || substr('89ab', 1 + (abs(random()) % 4), 1) || substr(hex(randomblob(2)), 2) || '-' || hex(randomblob(6)))),
+    exchange TEXT NOT NULL,
+    symbol TEXT NOT NULL DEFAULT 'BTC',
+    timeframe TEXT NOT NULL,
+    data_types JSON NOT NULL,
+    window_start INTEGER NOT NULL,
+    window_end INTEGER NOT NULL,
+    sample_size INTEGER NOT NULL,
+    checked INTEGER NOT NULL DEFAULT 0,
+    matched INTEGER NOT NULL DEFAULT 0,
+    mismatched INTEGER NOT NULL DEFAULT 0,
+    unavailable INTEGER NOT NULL DEFAULT 0,
+    accuracy REAL,
+    tolerances JSON,
+    field_stats JSON,
+    failing_ranges JSON,
+    results JSON,
+    resync_status TEXT NOT NULL DEFAULT 'none',
+    resync_result JSON,
+    duration_ms INTEGER,
+    created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    updated_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE INDEX IF NOT EXISTS idx_verification_reports_series ON candle_verification_reports(exchange, symbol, timeframe);
+CREATE INDEX IF NOT EXISTS idx_verification_reports_created ON candle_verification_reports(created_at);
+
+CREATE TRIGGER IF NOT EXISTS update_verification_reports_updated_at
+AFTER UPDATE ON candle_verification_reports FOR EACH ROW
+BEGIN
+    UPDATE candle_verification_reports SET updated_at = (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')) WHERE rowid = NEW.rowid;
+END;
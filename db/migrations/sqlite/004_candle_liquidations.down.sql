@@ -0,0 +1,4 @@
+-- 004_candle_liquidations (SQLite)
+
+ALTER TABLE historical_candles DROP COLUMN liq_short_usd;
+ALTER TABLE historical_candles DROP COLUMN liq_long_usd;
@@ -0,0 +1,6 @@
+-- 004_candle_liquidations (SQLite)
+-- Long/short liquidation volume (USD) per candle, synced as the
+-- 'liquidations' data type (src/jobs/syncHistoricalData.js).
+
+ALTER TABLE historical_candles ADD COLUMN liq_long_usd REAL;
+ALTER TABLE historical_candles ADD COLUMN liq_short_usd REAL;
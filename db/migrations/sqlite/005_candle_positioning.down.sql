@@ -0,0 +1,6 @@
+-- 005_candle_positioning (SQLite)
+
+ALTER TABLE historical_candles DROP COLUMN top_ls_ratio;
+ALTER TABLE historical_candles DROP COLUMN top_long_pct;
+ALTER TABLE historical_candles DROP COLUMN global_ls_ratio;
+ALTER TABLE historical_candles DROP COLUMN global_long_pct;
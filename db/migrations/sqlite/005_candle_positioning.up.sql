@@ -0,0 +1,9 @@
+-- 005_candle_positioning (SQLite)
+-- Trader positioning per candle (values as reported by the provider, percent 0-100):
+--   global_long_pct / global_ls_ratio - all accounts ('long_short_ratio' data type)
+--   top_long_pct / top_ls_ratio       - top-trader positions ('top_trader_ratio' data type)
+
+ALTER TABLE historical_candles ADD COLUMN global_long_pct REAL;
+ALTER TABLE historical_candles ADD COLUMN global_ls_ratio REAL;
+ALTER TABLE historical_candles ADD COLUMN top_long_pct REAL;
+ALTER TABLE historical_candles ADD COLUMN top_ls_ratio REAL;
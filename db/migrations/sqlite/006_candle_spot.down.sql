@@ -0,0 +1,6 @@
+-- 006_candle_spot (SQLite)
+
+ALTER TABLE historical_candles DROP COLUMN spot_sell_volume;
+ALTER TABLE historical_candles DROP COLUMN spot_buy_volume;
+ALTER TABLE historical_candles DROP COLUMN spot_volume;
+ALTER TABLE historical_candles DROP COLUMN spot_close;
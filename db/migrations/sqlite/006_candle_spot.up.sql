@@ -0,0 +1,9 @@
+-- 006_candle_spot (SQLite)
+-- Spot market next to the perpetual, per candle:
+--   spot_close / spot_volume           - spot price ('spot_price' data type)
+--   spot_buy_volume / spot_sell_volume - spot taker volume ('spot_taker_volume' data type)
+
+ALTER TABLE historical_candles ADD COLUMN spot_close REAL;
+ALTER TABLE historical_candles ADD COLUMN spot_volume REAL;
+ALTER TABLE historical_candles ADD COLUMN spot_buy_volume REAL;
+ALTER TABLE historical_candles ADD COLUMN spot_sell_volume REAL;
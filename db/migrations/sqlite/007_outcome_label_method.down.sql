@@ -0,0 +1,13 @@
+-- 007_outcome_label_method (SQLite)
+
+ALTER TABLE replay_states DROP COLUMN outcome_barrier;
+ALTER TABLE replay_states DROP COLUMN outcome_time_to_hit_ms;
+ALTER TABLE replay_states DROP COLUMN outcome_r_multiple;
+ALTER TABLE replay_states DROP COLUMN outcome_method_version;
+ALTER TABLE replay_states DROP COLUMN outcome_method;
+
+ALTER TABLE market_states DROP COLUMN outcome_barrier;
+ALTER TABLE market_states DROP COLUMN outcome_time_to_hit_ms;
+ALTER TABLE market_states DROP COLUMN outcome_r_multiple;
+ALTER TABLE market_states DROP COLUMN outcome_method_version;
+ALTER TABLE market_states DROP COLUMN outcome_method;
@@ -0,0 +1,18 @@
+-- 007_outcome_label_method (SQLite)
+-- Outcome label method, stored with every label:
+--   outcome_method / outcome_method_version - labeling method (threshold | triple_barrier) and its rules version
+--   outcome_r_multiple                      - triple-barrier result in R (1R = stop distance)
+--   outcome_time_to_hit_ms                  - signal to barrier touch (or horizon end)
+--   outcome_barrier                         - barrier hit: profit | stop | time (upper | lower for WAIT)
+
+ALTER TABLE market_states ADD COLUMN outcome_method TEXT;
+ALTER TABLE market_states ADD COLUMN outcome_method_version TEXT;
+ALTER TABLE market_states ADD COLUMN outcome_r_multiple REAL;
+ALTER TABLE market_states ADD COLUMN outcome_time_to_hit_ms INTEGER;
+ALTER TABLE market_states ADD COLUMN outcome_barrier TEXT;
+
+ALTER TABLE replay_states ADD COLUMN outcome_method TEXT;
+ALTER TABLE replay_states ADD COLUMN outcome_method_version TEXT;
+ALTER TABLE replay_states ADD COLUMN outcome_r_multiple REAL;
+ALTER TABLE replay_states ADD COLUMN outcome_time_to_hit_ms INTEGER;
+ALTER TABLE replay_states ADD COLUMN outcome_barrier TEXT;
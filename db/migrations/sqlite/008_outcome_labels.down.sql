@@ -0,0 +1,3 @@
+-- 008_outcome_labels (SQLite)
+
+DROP TABLE IF EXISTS outcome_labels;
@@ -0,0 +1,52 @@
+-- 008_outcome_labels (SQLite) - mirrors the Postgres migration
+-- state_source: replay (replay_states.id) | live (market_states.id)
+
+CREATE TABLE IF NOT EXISTS outcome_labels (
+    id TEXT PRIMARY KEY DEFAULT (lower(hex(randomblob(4)) || '-' || hex(randomblob(2)) || '-4' || substr(hex(randomblob(2)), 2) || '-' || substr('89ab', 1 + (abs(random()) % 4), 1) || substr(hex(randomblob(2)), 2) || '-' || hex(randomblob(6)))),
+    state_source TEXT NOT NULL DEFAULT 'replay',
+    state_id TEXT NOT NULL,
+    horizon TEXT NOT NULL,
+    method TEXT NOT NULL DEFAULT 'threshold',
+    labeler_version TEXT NOT NULL,
+    label TEXT NOT NULL,
+    reason TEXT,
+    final_price REAL,
+    move_pct REAL,
+    mfe REAL,
+    mae REAL,
+    r_multiple REAL,
+    time_to_hit_ms INTEGER,
+    barrier TEXT,
+    labeled_at INTEGER NOT NULL,
+    created_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    updated_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    UNIQUE (state_source, state_id, horizon, labeler_version)
+);
+
+CREATE INDEX IF NOT EXISTS idx_outcome_labels_state ON outcome_labels(state_id);
+CREATE INDEX IF NOT EXISTS idx_outcome_labels_horizon_version ON outcome_labels(horizon, labeler_version);
+
+CREATE TRIGGER IF NOT EXISTS update_outcome_labels_updated_at
+AFTER UPDATE ON outcome_labels FOR EACH ROW
+BEGIN
+    UPDATE outcome_labels SET updated_at = (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')) WHERE rowid = NEW.rowid;
+END;
+
+-- Backfill the existing single labels
+INSERT OR IGNORE INTO outcome_labels (state_source, state_id, horizon, method, labeler_version, label, reason,
+    final_price, move_pct, mfe, mae, r_multiple, time_to_hit_ms, barrier, labeled_at)
+SELECT 'replay', id, COALESCE(outcome_horizon, 'MICRO'), COALESCE(outcome_method, 'threshold'),
+    COALESCE(outcome_method_version, 'threshold-v0'), outcome_label, outcome_reason,
+    outcome_price, outcome_move_pct, outcome_mfe, outcome_mae, outcome_r_multiple, outcome_time_to_hit_ms, outcome_barrier,
+    COALESCE(outcome_labeled_at, as_of_timestamp)
+FROM replay_states
+WHERE outcome_label IS NOT NULL;
+
+INSERT OR IGNORE INTO outcome_labels (state_source, state_id, horizon, method, labeler_version, label, reason,
+    final_price, move_pct, mfe, mae, r_multiple, time_to_hit_ms, barrier, labeled_at)
+SELECT 'live', id, COALESCE(outcome_horizon, 'MICRO'), COALESCE(outcome_method, 'threshold'),
+    COALESCE(outcome_method_version, 'threshold-v0'), outcome_label, outcome_reason,
+    outcome_price, outcome_move_pct, outcome_mfe, outcome_mae, outcome_r_multiple, outcome_time_to_hit_ms, outcome_barrier,
+    COALESCE(outcome_labeled_at, timestamp)
+FROM market_states
+WHERE outcome_label IS NOT NULL;
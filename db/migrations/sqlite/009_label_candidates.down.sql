@@ -0,0 +1,2 @@
+-- 009_label_candidates (SQLite)
+-- Nothing to drop (see the up migration).
@@ -0,0 +1,4 @@
+-- 009_label_candidates (SQLite) - mirrors the Postgres migration
+-- Nothing to create: replay_states_missing_labels is served by sqliteStorage
+-- (RPC_FUNCTIONS), and the baseline's idx_replay_states_symbol
+-- (symbol, status, as_of_timestamp) already covers the candidate scan.
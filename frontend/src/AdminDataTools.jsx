@@ -45,7 +45,7 @@ export default function AdminDataTools() {
     const [daysBack, setDaysBack] = useState(7);
     const [selectedExchanges, setSelectedExchanges] = useState(['Binance', 'Bybit']);
     const [selectedTimeframes, setSelectedTimeframes] = useState(['30m', '1h', '4h', '1d']);
-    const [selectedDataTypes, setSelectedDataTypes] = useState(['price', 'oi', 'funding', 'taker_volume']);
+    const [selectedDataTypes, setSelectedDataTypes] = useState(['price', 'oi', 'funding', 'taker_volume', 'liquidations', 'long_short_ratio', 'top_trader_ratio', 'spot_price', 'spot_taker_volume']);
     const [forceSync, setForceSync] = useState(false);
 
     // Verification state
@@ -315,7 +315,7 @@ export default function AdminDataTools() {
                         <div>
                             <label className="text-xs text-slate-400 mb-2 block">Timeframes</label>
                             <div className="flex gap-2 flex-wrap">
-                                {['30m', '1h', '4h', '1d'].map(tf => (
+                                {['15m', '30m', '1h', '4h', '1d', '1w'].map(tf => (
                                     <button
                                         key={tf}
                                         onClick={() => toggleTimeframe(tf)}
@@ -339,7 +339,12 @@ export default function AdminDataTools() {
                                     { id: 'price', label: 'Price' },
                                     { id: 'oi', label: 'OI' },
                                     { id: 'funding', label: 'Funding' },
-                                    { id: 'taker_volume', label: 'CVD' }
+                                    { id: 'taker_volume', label: 'CVD' },
+                                    { id: 'liquidations', label: 'Liquidations' },
+                                    { id: 'long_short_ratio', label: 'L/S Ratio' },
+                                    { id: 'top_trader_ratio', label: 'Top Traders' },
+                                    { id: 'spot_price', label: 'Spot Price' },
+                                    { id: 'spot_taker_volume', label: 'Spot CVD' }
                                 ].map(dt => (
                                     <button
                                         key={dt.id}
@@ -571,8 +576,8 @@ export default function AdminDataTools() {
                         {/* Timeframe Selection */}
                         <div>
                             <label className="text-xs text-slate-400 mb-2 block">Timeframe</label>
-                            <div className="flex gap-2">
-                                {['30m', '1h', '4h', '1d'].map(tf => (
+                            <div className="flex gap-2 flex-wrap">
+                                {['15m', '30m', '1h', '4h', '1d', '1w'].map(tf => (
                                     <button
                                         key={tf}
                                         onClick={() => setVerifyTimeframe(tf)}
@@ -124,7 +124,36 @@ const SIGNAL_EXPLANATIONS = {
         codeFile: "marketMetrics.js",
         codeLines: "1050-1100",
         keyFunction: "calculateFundingAdvanced(fundingRates)"
+    },
+    liquidations: {
+        title: "Liquidations",
+        description: "Long/short liquidation volume. Spikes and cascades reveal forced position closing behind a move.",
+        calculation: [
+            "1. Compare latest liquidation volume to the trailing baseline",
+            "2. Spike: ≥2.5σ and ≥3x average, side with ≥65% share",
+            "3. Cascade: consecutive same-side spikes",
+            "4. Confirm with OI drop (forced closes remove OI)",
+            "5. Active squeeze → follow it, finished flush → reversal bias"
+        ],
+        codeFile: "liquidationAnalysis.js",
+        codeLines: "analyzeLiquidations",
+        keyFunction: "analyzeLiquidations(liquidationHistory, { priceChange, oiChange, oiUsd })"
+    },
+    positioning: {
+        title: "Trader Positioning",
+        description: "Long/short account ratios and top-trader position ratios per exchange. Direct evidence behind the whale vs retail read.",
+        calculation: [
+            "1. Crowd long share vs absolute levels (70% / 40%) and its own z-score",
+            "2. Top-trader vs crowd long share gap (≥5 pts) and opposite trends",
+            "3. Follow top traders when they lean away from the crowd",
+            "4. Otherwise fade a crowded side",
+            "5. Also confirms/contradicts the exchange divergence scenario (±2 confidence)"
+        ],
+        codeFile: "positioningAnalysis.js",
+        codeLines: "analyzePositioning",
+        keyFunction: "analyzePositioning({ Binance, Bybit }, thresholds)"
     }
+
 };
 
 // =============================================================================
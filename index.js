@@ -8,26 +8,27 @@ const rateLimit = require('express-rate-limit');
 const logger = require('./src/utils/logger');
 const cacheManager = require('./src/utils/cache');
 const cronControl = require('./src/utils/cronControl');
-const { marketDataService, marketMetrics, alertService, stateStorage } = require('./src/services');
+const { marketDataService, marketMetrics, alertService, alertDeliveryService, stateStorage, symbolRegistry, dataProvider, storageBackend } = require('./src/services');
 const configService = require('./src/services/configService');
+const alertRuleService = require('./src/services/alertRuleService');
 const marketAnalyzerRoutes = require('./src/routes/marketAnalyzer');
 const backtestRoutes = require('./src/routes/backtest');
 const historyRoutes = require('./src/routes/historyRoutes');
 const replayRoutes = require('./src/routes/replayRoutes');
+const replayRunner = require('./src/backtest/replayRunner');
 const configRoutes = require('./src/routes/configRoutes');
 const dataRoutes = require('./src/routes/dataRoutes');
+const alertRoutes = require('./src/routes/alertRoutes');
+const streamRoutes = require('./src/routes/streamRoutes');
+const streamService = require('./src/services/streamService');
+const migrationRunner = require('./src/services/migrationRunner');
+const scanCandleGaps = require('./src/jobs/scanCandleGaps');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
 // ===== BUILD INFO (P0 FIX: Version tracking) =====
-const BUILD_INFO = {
-  version: '2.2.1',
-  buildDate: '2025-12-12T13:30:00Z',
-  gitRef: process.env.GIT_SHA || 'local-dev',
-  p0CvdFix: true,  // Confirms timeframe-correct CVD is deployed
-  cvdIntervals: ['m30', 'h1', 'h4', 'h24']  // Available CVD intervals
-};
+const { BUILD_INFO } = require('./src/utils/buildInfo');
 
 // ===== TRUST PROXY (Required for Railway/production) =====
 app.set('trust proxy', 1);
@@ -89,7 +90,8 @@ app.get('/health', (req, res) => {
     features: {
       marketAnalyzer: true,
       backtest: true,
-      p0CvdFix: BUILD_INFO.p0CvdFix
+      p0CvdFix: BUILD_INFO.p0CvdFix,
+      storage: storageBackend.getBackendInfo().name
     }
   });
 });
@@ -112,6 +114,12 @@ app.use('/api/config', configRoutes);
 // Historical data routes (Phase 10)
 app.use('/api/data', dataRoutes);
 
+// Alert delivery subscriptions & log
+app.use('/api/alerts', alertRoutes);
+
+// Real-time push (SSE): market states, alerts, replay and sync progress
+app.use('/api/stream', streamRoutes);
+
 // Root route
 app.get('/', (req, res) => {
   res.json({
@@ -121,12 +129,16 @@ app.get('/', (req, res) => {
     endpoints: {
       health: 'GET /health',
       marketAnalyzer: 'GET /api/ai-market-analyzer/btc',
+      marketAnalyzerSymbol: 'GET /api/ai-market-analyzer/:symbol',
       marketExplain: 'GET /api/ai-market-analyzer/btc/explain',
+      symbols: 'GET /api/ai-market-analyzer/symbols',
       historyStates: 'GET /api/history/states',
       historyAlerts: 'GET /api/history/alerts',
       historyStats: 'GET /api/history/stats',
       backtestRun: 'POST /api/backtest/run',
-      backtestStatus: 'GET /api/backtest/status'
+      backtestStatus: 'GET /api/backtest/status',
+      alertSubscriptions: 'GET /api/alerts/subscriptions',
+      stream: 'GET /api/stream (SSE)'
     }
   });
 });
@@ -141,6 +153,8 @@ app.use((req, res) => {
     availableEndpoints: [
       'GET /health',
       'GET /api/ai-market-analyzer/btc',
+      'GET /api/ai-market-analyzer/:symbol',
+      'GET /api/ai-market-analyzer/symbols',
       'GET /api/ai-market-analyzer/health',
       'GET /api/ai-market-analyzer/cache-stats',
       'POST /api/ai-market-analyzer/clear-cache',
@@ -177,42 +191,59 @@ if (process.env.NODE_ENV !== 'test' && process.env.ENABLE_CRON_JOBS === 'true')
       return;
     }
 
-    logger.info('🔄 Running scheduled market data refresh...');
-    try {
-      const { snapshot, history } = await marketDataService.getFuturesMarketData('BTCUSDT', {
-        timeframes: ['30m', '1h', '4h', '1d']
-      });
-      const metrics = marketMetrics.calculateMarketMetrics({ snapshot, history });
+    // Symbols are refreshed sequentially to stay under the Coinglass rate limit
+    for (const symbol of symbolRegistry.getEnabledSymbols()) {
+      logger.info(`🔄 Running scheduled market data refresh for ${symbol}...`);
+      try {
+        const { snapshot, history } = await marketDataService.getFuturesMarketData(symbol, {
+          timeframes: marketMetrics.getTimeframeConfig().active
+        });
+        const metrics = marketMetrics.calculateMarketMetrics({ snapshot, history, symbol });
 
-      // Check for alerts
-      const alerts = alertService.checkAlerts(metrics);
+        // Check for alerts
+        const alerts = alertService.checkAlerts(metrics, symbol);
 
-      // Save state to database
-      const saveResult = await stateStorage.saveMarketState(metrics);
-      if (saveResult.success) {
-        logger.info(`💾 Market state saved: ${saveResult.id}`);
+        // Save state to database
+        const saveResult = await stateStorage.saveMarketState(metrics, {
+          symbol,
+          inputs: { snapshot, history, symbol }
+        });
+        if (saveResult.success) {
+          logger.info(`💾 ${symbol} market state saved: ${saveResult.id}`);
 
-        // Save alerts if any
-        if (alerts.length > 0) {
-          await stateStorage.saveAlerts(alerts, saveResult.id);
-          logger.info(`🔔 ${alerts.length} alerts saved`);
+          // Save alerts if any
+          if (alerts.length > 0) {
+            await stateStorage.saveAlerts(alerts, saveResult.id);
+            logger.info(`🔔 ${alerts.length} alerts saved`);
+          }
         }
-      }
 
-      cacheManager.set('market_snapshot_btc', {
-        success: true,
-        data: { ...metrics, alerts },
-        meta: {
-          cached: false,
-          timestamp: new Date().toISOString(),
-          source: 'coinglass_api_v4',
-          stateId: saveResult.id
-        }
-      });
+        // Deliver to subscribers (fire-and-forget)
+        alertDeliveryService.dispatchAlerts(alerts);
 
-      logger.info('✅ Scheduled refresh completed successfully');
-    } catch (error) {
-      logger.error('❌ Scheduled refresh failed:', error);
+        cacheManager.set(symbolRegistry.getCacheKey(symbol), {
+          success: true,
+          data: { ...metrics, alerts },
+          meta: {
+            cached: false,
+            timestamp: new Date().toISOString(),
+            source: dataProvider.getProvider().source,
+            stateId: saveResult.id,
+            inputsHash: saveResult.inputsHash || null,
+            symbol
+          }
+        });
+
+        streamService.publish('market_state', streamService.summarizeMarketState(metrics, {
+          symbol,
+          stateId: saveResult.id,
+          alertCount: alerts.length
+        }), { type: 'state_update', symbol });
+
+        logger.info(`✅ Scheduled refresh completed successfully for ${symbol}`);
+      } catch (error) {
+        logger.error(`❌ Scheduled refresh failed for ${symbol}:`, error);
+      }
     }
   });
 
@@ -224,9 +255,11 @@ if (process.env.NODE_ENV !== 'test' && process.env.ENABLE_CRON_JOBS === 'true')
       yesterday.setDate(yesterday.getDate() - 1);
       const dateStr = yesterday.toISOString().split('T')[0];
 
-      const result = await stateStorage.generateDailySummary(dateStr);
-      if (result && result.success) {
-        logger.info(`✅ Daily summary generated for ${dateStr}`);
+      for (const symbol of symbolRegistry.getEnabledSymbols()) {
+        const result = await stateStorage.generateDailySummary(dateStr, symbol);
+        if (result && result.success) {
+          logger.info(`✅ Daily summary generated for ${symbol} ${dateStr}`);
+        }
       }
 
       // Run cleanup
@@ -237,20 +270,46 @@ if (process.env.NODE_ENV !== 'test' && process.env.ENABLE_CRON_JOBS === 'true')
     }
   });
 
-  logger.info('⏰ Background cron jobs initialized (refresh every 5 min, daily summary at midnight)');
+  // Candle gap scan + repair at 02:30 (after the daily summary, away from the refresh slots)
+  cron.schedule('30 2 * * *', async () => {
+    if (cronControl.shouldSkip()) {
+      logger.info('⏸️ Gap scan skipped: Replay batch in progress');
+      return;
+    }
+
+    try {
+      const scan = await scanCandleGaps.scanGaps({ symbols: symbolRegistry.getEnabledSymbols() });
+      logger.info(`🕳️ Gap scan: ${scan.gaps || 0} gap(s), ${scan.missingCandles || 0} missing candle(s)`);
+
+      const repair = await scanCandleGaps.repairGaps({ symbols: symbolRegistry.getEnabledSymbols() });
+      if (repair.success) {
+        logger.info(`🩹 Gap repair: ${repair.repaired}/${repair.attempted} repaired, ${repair.unrecoverable} unrecoverable`);
+      } else {
+        logger.warn(`⚠️ Gap repair not run: ${repair.error}`);
+      }
+    } catch (error) {
+      logger.error('❌ Gap scan/repair failed:', error);
+    }
+  });
+
+  logger.info('⏰ Background cron jobs initialized (refresh every 5 min, daily summary at midnight, gap scan at 02:30)');
 } else {
   logger.info('ℹ️ Cron jobs disabled (set ENABLE_CRON_JOBS=true to enable)');
 }
 
 // ===== SERVER STARTUP =====
 
-app.listen(PORT, async () => {
+const startServer = () => app.listen(PORT, async () => {
   logger.info(`🚀 INVSIO Backend v2.2 running on port ${PORT}`);
   logger.info(`📊 Environment: ${process.env.NODE_ENV || 'development'}`);
   logger.info(`⏱️  Cache duration: ${process.env.CACHE_DURATION_MINUTES || 30} minutes`);
-  logger.info(`🔗 Exchange mapping: Binance=BTCUSDT, Bybit=BTCUSD`);
+  logger.info(`🔗 Exchange mapping: ${symbolRegistry.getEnabledSymbols().map(symbol =>
+    `${symbol} (Binance=${symbolRegistry.getExchangeSymbol(symbol, 'Binance')}, Bybit=${symbolRegistry.getExchangeSymbol(symbol, 'Bybit')})`
+  ).join(', ')}`);
   logger.info(`📈 Backtest API: ${process.env.COINGLASS_API_KEY ? 'Ready' : 'No API key'}`);
-  logger.info(`💾 Database: Supabase PostgreSQL`);
+  logger.info(`📡 Data provider: ${dataProvider.getProvider().name}`);
+  const storageInfo = storageBackend.getBackendInfo();
+  logger.info(`💾 Database: ${storageInfo.name}${storageInfo.configured ? '' : ' (not configured)'}`);
 
   // ===== PHASE 8: CONFIG INITIALIZATION =====
   try {
@@ -265,34 +324,55 @@ app.listen(PORT, async () => {
   try {
     logger.info('🔄 Hydrating state from database...');
 
+    const enabledSymbols = symbolRegistry.getEnabledSymbols();
+
     // 1. Hydrate Deduplication Cache (Prevent duplicate state saves)
-    await stateStorage.hydrateDedupCache('BTC');
+    for (const symbol of enabledSymbols) {
+      await stateStorage.hydrateDedupCache(symbol);
+    }
 
     // 2. Hydrate Alert Cooldowns (Prevent duplicate alerts)
-    // Look back 4 hours (max alert cooldown)
+    // Look back 4 hours (max alert cooldown) - cooldowns are restored per symbol
     const alertLookback = 4 * 60 * 60 * 1000;
     const recentAlerts = await stateStorage.getAlertHistory(Date.now() - alertLookback, null, null, 500);
     alertService.hydrateCooldowns(recentAlerts);
 
+    // 2b. Load user-defined alert rules and restore their cooldowns
+    await alertRuleService.loadRules();
+    alertRuleService.hydrateRuleCooldowns(recentAlerts);
+
     // 3. Hydrate Previous State (Context for trends)
-    const lastState = await stateStorage.getLatestState('BTC');
-
-    if (lastState && lastState.full_state_json) {
-      // full_state_json is already parsed by Supabase (JSONB → JS object)
-      const parsedState = typeof lastState.full_state_json === 'string'
-        ? JSON.parse(lastState.full_state_json)
-        : lastState.full_state_json;
-      alertService.setPreviousState(parsedState);
-      logger.info(`✅ State hydrated from ${new Date(lastState.timestamp).toISOString()}`);
-      logger.info(`   └─ Last bias: ${lastState.bias}, confidence: ${lastState.confidence}`);
-    } else {
-      logger.info('ℹ️ No previous state found - starting fresh');
+    for (const symbol of enabledSymbols) {
+      const lastState = await stateStorage.getLatestState(symbol);
+
+      if (lastState && lastState.full_state_json) {
+        // full_state_json is already parsed by Supabase (JSONB → JS object)
+        const parsedState = typeof lastState.full_state_json === 'string'
+          ? JSON.parse(lastState.full_state_json)
+          : lastState.full_state_json;
+        alertService.setPreviousState(parsedState, symbol);
+        logger.info(`✅ ${symbol} state hydrated from ${new Date(lastState.timestamp).toISOString()}`);
+        logger.info(`   └─ Last bias: ${lastState.bias}, confidence: ${lastState.confidence}`);
+      } else {
+        logger.info(`ℹ️ No previous ${symbol} state found - starting fresh`);
+      }
     }
   } catch (hydrationError) {
     logger.error('⚠️ State hydration failed:', hydrationError.message);
     logger.info('   └─ Continuing without previous state');
   }
 
+  // ===== REPLAY BATCH RECOVERY =====
+  // Batches left RUNNING by a previous process are marked PAUSED
+  // (REPLAY_AUTO_RESUME=true restarts them right away)
+  try {
+    await replayRunner.recoverInterruptedBatches({
+      autoResume: process.env.REPLAY_AUTO_RESUME === 'true'
+    });
+  } catch (recoveryError) {
+    logger.error('⚠️ Replay batch recovery failed:', recoveryError.message);
+  }
+
   // Pre-populate cache on startup - DISABLED to avoid rate limits
   // The cache will be populated on the first request or cron job instead
   // This prevents the "Too Many Requests" errors on server restart
@@ -302,13 +382,13 @@ app.listen(PORT, async () => {
         logger.info('🔄 Pre-populating cache...');
         const startTime = Date.now();
 
-        const { snapshot, history } = await marketDataService.getFuturesMarketData('BTCUSDT', {
-          timeframes: ['30m', '1h', '4h', '1d']
+        const { snapshot, history } = await marketDataService.getFuturesMarketData('BTC', {
+          timeframes: marketMetrics.getTimeframeConfig().active
         });
-        const metrics = marketMetrics.calculateMarketMetrics({ snapshot, history });
+        const metrics = marketMetrics.calculateMarketMetrics({ snapshot, history, symbol: 'BTC' });
 
         // Check for alerts
-        const alerts = alertService.checkAlerts(metrics);
+        const alerts = alertService.checkAlerts(metrics, 'BTC');
 
         // Log alert events
         if (alerts.length > 0) {
@@ -321,7 +401,10 @@ app.listen(PORT, async () => {
         }
 
         // Save initial state to database
-        const saveResult = await stateStorage.saveMarketState(metrics);
+        const saveResult = await stateStorage.saveMarketState(metrics, {
+          symbol: 'BTC',
+          inputs: { snapshot, history, symbol: 'BTC' }
+        });
         if (saveResult.success) {
           logger.info(`💾 Initial market state saved: ${saveResult.id}`);
 
@@ -331,14 +414,17 @@ app.listen(PORT, async () => {
           }
         }
 
-        cacheManager.set('market_snapshot_btc', {
+        alertDeliveryService.dispatchAlerts(alerts);
+
+        cacheManager.set(symbolRegistry.getCacheKey('BTC'), {
           success: true,
           data: { ...metrics, alerts },
           meta: {
             cached: false,
             timestamp: new Date().toISOString(),
-            source: 'coinglass_api_v4',
-            stateId: saveResult.id
+            source: dataProvider.getProvider().source,
+            stateId: saveResult.id,
+            inputsHash: saveResult.inputsHash || null
           }
         });
 
@@ -353,6 +439,20 @@ app.listen(PORT, async () => {
   }
 });
 
+// ===== SCHEMA CHECK (SCHEMA_CHECK=warn|strict|off) =====
+migrationRunner.verifySchemaOnStartup()
+  .catch((error) => {
+    logger.warn('⚠️ Schema check failed:', error.message);
+    return { fatal: process.env.SCHEMA_CHECK === 'strict' };
+  })
+  .then((schema) => {
+    if (schema.fatal) {
+      logger.error('❌ Refusing to start on schema mismatch - run "npm run migrate -- status"');
+      process.exit(1);
+    }
+    startServer();
+  });
+
 // Graceful shutdown
 process.on('SIGTERM', () => {
   logger.info('SIGTERM received, shutting down gracefully');
@@ -0,0 +1,866 @@
+// src/backtest/configOptimizer.js - Walk-forward Config Optimizer
+// Searches analyzer weights/thresholds/penalties against replayed history
+//
+// Flow:
+// 1. Load replay samples (replay_states) and their analyzer inputs: stored
+//    inputs when available, else rebuilt from local candles (zero lookahead)
+// 2. Walk-forward: split samples by time into anchored train/test folds
+// 3. Per fold: local random search on TRAIN, candidates re-scored by re-running
+//    calculateMarketMetrics + outcome labeling, measured with scoreboard metrics
+// 4. Rank fold winners by out-of-sample TEST improvement over the current config
+// 5. Emit proposals in the /api/config/import schema
+//
+// Every candidate respects config.bounds (min/max + maxStepPct vs the current
+// config) and must pass configService.validateConfig + validateDelta.
+//
+// Runs as a background job: request options are checked against
+// OPTIMIZER_LIMITS up front, and evaluation yields to the event loop every
+// EVALUATION_YIELD_EVERY samples so the API stays responsive.
+
+const { v4: uuidv4 } = require('uuid');
+const configService = require('../services/configService');
+const marketMetrics = require('../services/marketMetrics');
+const outcomeLabeler = require('../services/outcomeLabeler');
+const stateStorage = require('../services/stateStorage');
+const symbolRegistry = require('../services/symbolRegistry');
+const scoreboardService = require('./scoreboardService');
+const rescoreService = require('./rescoreService');
+const logger = require('../utils/logger');
+
+// Lazy-load to avoid circular dependencies (replayRunner -> labeling job)
+let outcomeLabelingJob = null;
+function getLabelingJob() {
+    if (!outcomeLabelingJob) outcomeLabelingJob = require('./outcomeLabelingJob');
+    return outcomeLabelingJob;
+}
+
+/**
+ * =======================================================================
+ * CONFIGURATION
+ * =======================================================================
+ */
+
+const OPTIMIZER_DEFAULTS = {
+    groups: ['weights', 'thresholds', 'penalties'],
+    horizon: 'MICRO',
+    folds: 3,                 // Walk-forward folds (samples split into folds + 1 chunks)
+    iterations: 40,           // Search iterations per fold
+    maxParamsPerStep: 3,      // Params perturbed per candidate
+    minSamples: 30,           // Refuse to optimize on less
+    maxSamples: 300,
+    topProposals: 5,
+    seed: 42
+};
+
+// Accepted range for caller-supplied integer options
+const OPTIMIZER_LIMITS = {
+    folds: { min: 1, max: 10 },
+    iterations: { min: 1, max: 500 },
+    maxParamsPerStep: { min: 1, max: 10 },
+    minSamples: { min: 1, max: 1000 },
+    maxSamples: { min: 1, max: 1000 },
+    topProposals: { min: 1, max: 20 }
+};
+
+const SEARCH_GROUPS = ['weights', 'thresholds', 'penalties', 'gates'];
+
+// Samples scored between event-loop yields
+const EVALUATION_YIELD_EVERY = 10;
+
+const JOB_STATUS = {
+    RUNNING: 'RUNNING',
+    COMPLETED: 'COMPLETED',
+    FAILED: 'FAILED'
+};
+
+// Pairs that must stay ordered (lower < upper) after a perturbation
+const ORDERED_PAIRS = [
+    ['price.noise', 'price.strong'],
+    ['oi.quiet', 'oi.aggressive'],
+    ['slopeWeak', 'slopeStrong'],
+    ['innerBand', 'outerBand']
+];
+
+/**
+ * =======================================================================
+ * HELPERS
+ * =======================================================================
+ */
+
+const clone = (obj) => JSON.parse(JSON.stringify(obj));
+
+const getPath = (obj, path) => path.split('.').reduce((o, k) => (o || {})[k], obj);
+
+function setPath(obj, path, value) {
+    const parts = path.split('.');
+    const last = parts.pop();
+    const target = parts.reduce((o, k) => o[k], obj);
+    target[last] = value;
+}
+
+const round = (value, decimals = 4) => Number(value.toFixed(decimals));
+
+const yieldToEventLoop = () => new Promise(resolve => setImmediate(resolve));
+
+/**
+ * Deterministic PRNG (mulberry32) so runs are reproducible for a given seed
+ */
+function createRandom(seed) {
+    let a = seed >>> 0;
+    return function () {
+        a = (a + 0x6D2B79F5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * =======================================================================
+ * SEARCH SPACE
+ * =======================================================================
+ */
+
+/**
+ * Enumerate tunable parameters with their limits
+ *
+ * @param {Object} config - Current (base) config
+ * @param {Array} groups - 'weights' | 'thresholds' | 'penalties' | 'gates'
+ * @returns {Array} [{ path, group, current, min, max, maxStepPct }]
+ */
+function buildSearchSpace(config, groups = OPTIMIZER_DEFAULTS.groups) {
+    const bounds = config.bounds || configService.DEFAULT_CONFIG.bounds;
+    const space = [];
+
+    const addNumericLeaves = (obj, prefix, group, limits) => {
+        for (const [key, value] of Object.entries(obj || {})) {
+            const path = `${prefix}.${key}`;
+            if (typeof value === 'number') {
+                space.push({ path, group, current: value, ...limits });
+            } else if (value && typeof value === 'object') {
+                addNumericLeaves(value, path, group, limits);
+            }
+        }
+    };
+
+    if (groups.includes('weights')) {
+        addNumericLeaves(config.weights?.signals, 'weights.signals', 'weights', {
+            min: bounds.weights?.min ?? 0.01,
+            max: bounds.weights?.max ?? 0.60,
+            maxStepPct: bounds.weights?.maxStepPct ?? 25
+        });
+    }
+
+    if (groups.includes('thresholds')) {
+        addNumericLeaves(config.thresholds, 'thresholds', 'thresholds', {
+            min: 0,
+            max: Infinity,
+            maxStepPct: bounds.thresholds?.maxStepPct ?? 15
+        });
+    }
+
+    if (groups.includes('penalties')) {
+        addNumericLeaves(config.penalties, 'penalties', 'penalties', {
+            min: bounds.penalties?.min ?? 0.01,
+            max: bounds.penalties?.max ?? 0.50,
+            maxStepPct: bounds.penalties?.maxStepPct ?? 15
+        });
+    }
+
+    if (groups.includes('gates')) {
+        // Whale/retail USD gates are left alone - only scalar gates
+        for (const key of ['minConfidence']) {
+            if (typeof config.gates?.[key] === 'number') {
+                space.push({
+                    path: `gates.${key}`,
+                    group: 'gates',
+                    current: config.gates[key],
+                    min: 0,
+                    max: 10,
+                    maxStepPct: bounds.gates?.maxStepPct ?? 10
+                });
+            }
+        }
+    }
+
+    return space.filter(p => p.current !== 0);
+}
+
+/**
+ * Re-normalize signal weights to sum to 1.0 (rounding drift goes to the largest)
+ */
+function normalizeWeights(signals) {
+    const keys = Object.keys(signals);
+    const sum = keys.reduce((acc, k) => acc + signals[k], 0);
+    for (const k of keys) {
+        signals[k] = round(signals[k] / sum);
+    }
+    const drift = round(1 - keys.reduce((acc, k) => acc + signals[k], 0));
+    if (drift !== 0) {
+        const largest = keys.reduce((a, b) => (signals[a] >= signals[b] ? a : b));
+        signals[largest] = round(signals[largest] + drift);
+    }
+}
+
+/**
+ * Check a candidate against bounds, step limits, ordering and config validation
+ * @returns {Object} { valid, reasons }
+ */
+function checkCandidate(base, candidate, space) {
+    const reasons = [];
+
+    for (const param of space) {
+        const value = getPath(candidate, param.path);
+        if (value < param.min || value > param.max) {
+            reasons.push(`${param.path} out of bounds`);
+        }
+        const stepPct = Math.abs((value - param.current) / param.current) * 100;
+        if (stepPct > param.maxStepPct + 1e-6) {
+            reasons.push(`${param.path} step ${stepPct.toFixed(1)}% > ${param.maxStepPct}%`);
+        }
+    }
+
+    // Ordered threshold pairs (noise < strong, ...)
+    const checkOrdering = (obj, prefix) => {
+        if (!obj || typeof obj !== 'object') return;
+        for (const [lower, upper] of ORDERED_PAIRS) {
+            const lo = getPath(obj, lower);
+            const hi = getPath(obj, upper);
+            if (typeof lo === 'number' && typeof hi === 'number' && lo >= hi) {
+                reasons.push(`${prefix}.${lower} must stay below ${upper}`);
+            }
+        }
+        for (const [key, value] of Object.entries(obj)) {
+            if (value && typeof value === 'object') checkOrdering(value, `${prefix}.${key}`);
+        }
+    };
+    checkOrdering(candidate.thresholds, 'thresholds');
+
+    const structure = configService.validateConfig(candidate);
+    const delta = configService.validateDelta(base, candidate);
+    reasons.push(...structure.errors, ...delta.violations);
+
+    return { valid: reasons.length === 0, reasons };
+}
+
+/**
+ * Perturb 1..maxParamsPerStep params of `from`, staying within limits vs base.
+ * Returns null when no valid neighbour was found.
+ */
+function generateNeighbour(base, from, space, random, options = {}) {
+    const { maxParamsPerStep = OPTIMIZER_DEFAULTS.maxParamsPerStep, maxAttempts = 20 } = options;
+
+    for (let attempt = 0; attempt < maxAttempts; attempt++) {
+        const candidate = clone(from);
+        const count = 1 + Math.floor(random() * maxParamsPerStep);
+        let touchedWeights = false;
+
+        for (let i = 0; i < count; i++) {
+            const param = space[Math.floor(random() * space.length)];
+            const step = (random() * 2 - 1) * (param.maxStepPct / 100) * param.current;
+            let value = getPath(from, param.path) + step * 0.5;
+
+            // Stay within maxStepPct of the BASE value and absolute bounds
+            const lo = Math.max(param.min, param.current * (1 - param.maxStepPct / 100));
+            const hi = Math.min(param.max, param.current * (1 + param.maxStepPct / 100));
+            value = Math.min(hi, Math.max(lo, value));
+
+            if (param.path === 'gates.minConfidence') value = round(value, 1);
+            setPath(candidate, param.path, round(value));
+            if (param.group === 'weights') touchedWeights = true;
+        }
+
+        if (touchedWeights) {
+            normalizeWeights(candidate.weights.signals);
+        }
+
+        if (checkCandidate(base, candidate, space).valid) {
+            return candidate;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * =======================================================================
+ * SCORING
+ * =======================================================================
+ */
+
+/**
+ * Flatten analyzer output + outcome into a replay_states-like row
+ * so the scoreboard metric functions can be reused unchanged
+ */
+function toScoreRow(metrics, outcome) {
+    const decision = metrics.finalDecision || {};
+    return {
+        bias: decision.bias,
+        confidence: decision.confidence,
+        primary_regime: decision.primaryRegime || metrics.marketRegime?.regime || null,
+        exchange_scenario: metrics.exchangeDivergence?.scenario || null,
+        timeframe: metrics.timeframe,
+        outcome_label: outcome.label
+    };
+}
+
+/**
+ * Re-run the analyzer under `config` for each sample and score the result
+ *
+ * @param {Object} config - Candidate config
+ * @param {Array} samples - Prepared samples { inputs, futurePrices }
+ * @param {string} horizon - Outcome horizon
+ * @returns {Promise<Object>} { score, overallAccuracy, directionalAccuracy, waitCorrectnessRate, samples }
+ */
+async function evaluateConfig(config, samples, horizon = OPTIMIZER_DEFAULTS.horizon) {
+    const rows = [];
+
+    for (let i = 0; i < samples.length; i++) {
+        if (i > 0 && i % EVALUATION_YIELD_EVERY === 0) await yieldToEventLoop();
+        const sample = samples[i];
+        const metrics = marketMetrics.calculateMarketMetrics(sample.inputs, {}, { config });
+        const outcome = outcomeLabeler.calculateOutcomeLabel(metrics, sample.futurePrices, horizon);
+        if (outcome.label === outcomeLabeler.OUTCOME_LABELS.PENDING) continue;
+        rows.push(toScoreRow(metrics, outcome));
+    }
+
+    const overall = scoreboardService.calculateOverallStats(rows);
+    const wait = scoreboardService.calculateWaitCorrectness(rows);
+
+    return {
+        score: overall.overallAccuracy,
+        overallAccuracy: overall.overallAccuracy,
+        directionalAccuracy: overall.directionalAccuracy,
+        waitCorrectnessRate: wait.rate || 0,
+        directionalSignals: overall.directionalSignals,
+        samples: rows.length
+    };
+}
+
+/**
+ * =======================================================================
+ * SAMPLE PREPARATION
+ * =======================================================================
+ */
+
+/**
+ * Load replay samples for the optimizer
+ * @returns {Promise<Array>} [{ symbol, as_of_timestamp, inputs_hash }] unique by timestamp, oldest first
+ */
+async function loadSampleRows({ symbol, batchId, fromDate, toDate, maxSamples }) {
+    const client = stateStorage.getSupabase();
+    if (!client) {
+        throw new Error('Database not configured');
+    }
+
+    let query = client
+        .from('replay_states')
+        .select('symbol, as_of_timestamp, inputs_hash')
+        .eq('symbol', symbol)
+        .eq('status', 'COMPLETED')
+        .order('as_of_timestamp', { ascending: true })
+        .limit(maxSamples * 2);
+
+    if (batchId) query = query.eq('batch_id', batchId);
+    if (fromDate) query = query.gte('as_of_timestamp', fromDate);
+    if (toDate) query = query.lte('as_of_timestamp', toDate);
+
+    const { data, error } = await query;
+    if (error) {
+        throw new Error(error.message);
+    }
+
+    // Same timestamp replayed in several batches - keep one, prefer stored inputs
+    const byTimestamp = new Map();
+    for (const row of data || []) {
+        const ts = Number(row.as_of_timestamp);
+        if (!byTimestamp.has(ts) || (!byTimestamp.get(ts).inputs_hash && row.inputs_hash)) {
+            byTimestamp.set(ts, row);
+        }
+    }
+    return [...byTimestamp.values()].slice(-maxSamples);
+}
+
+/**
+ * Resolve analyzer inputs + future prices for each sample (once per run)
+ */
+async function prepareSamples(rows, symbol, horizon, onProgress = () => { }) {
+    const samples = [];
+    let skipped = 0;
+
+    for (let i = 0; i < rows.length; i++) {
+        const asOfTimestamp = Number(rows[i].as_of_timestamp);
+        try {
+            const { snapshot, history } = await rescoreService.resolveInputs(rows[i]);
+            const future = await getLabelingJob().fetchFuturePrices(asOfTimestamp, symbol, horizon, {
+                localOnly: true
+            });
+
+            if (future.length === 0) {
+                skipped++;
+                continue;
+            }
+
+            samples.push({
+                asOfTimestamp,
+                inputs: { snapshot, history, symbol },
+                futurePrices: future.map(p => p.price)
+            });
+        } catch (error) {
+            skipped++;
+            logger.debug(`[OPTIMIZER] Skipping sample ${new Date(asOfTimestamp).toISOString()}: ${error.message}`);
+        }
+        onProgress(i + 1, rows.length);
+    }
+
+    return { samples, skipped };
+}
+
+/**
+ * Split time-ordered samples into anchored walk-forward folds
+ * fold k: train = chunks[0..k], test = chunks[k+1]
+ */
+function buildWalkForwardFolds(samples, folds) {
+    const chunkCount = folds + 1;
+    const chunkSize = Math.floor(samples.length / chunkCount);
+    const result = [];
+
+    for (let k = 0; k < folds; k++) {
+        const trainEnd = chunkSize * (k + 1);
+        const testEnd = k === folds - 1 ? samples.length : trainEnd + chunkSize;
+        result.push({
+            fold: k,
+            train: samples.slice(0, trainEnd),
+            test: samples.slice(trainEnd, testEnd)
+        });
+    }
+
+    return result;
+}
+
+/**
+ * =======================================================================
+ * SEARCH
+ * =======================================================================
+ */
+
+/**
+ * Local random search on a training set
+ * @returns {Array} Top candidates [{ config, train }] best first
+ */
+async function searchFold(base, train, space, random, options) {
+    const { iterations, horizon, keepTop = 3 } = options;
+
+    let best = { config: base, train: await evaluateConfig(base, train, horizon) };
+    const seen = [best];
+
+    for (let i = 0; i < iterations; i++) {
+        // Explore from the current best most of the time, from base otherwise
+        const from = random() < 0.7 ? best.config : base;
+        const candidate = generateNeighbour(base, from, space, random, options);
+        if (!candidate) continue;
+
+        const train_ = await evaluateConfig(candidate, train, horizon);
+        const entry = { config: candidate, train: train_ };
+        seen.push(entry);
+
+        if (train_.score > best.train.score) {
+            best = entry;
+        }
+    }
+
+    // Only candidates that beat the current config in-sample
+    const baseScore = seen[0].train.score;
+    return seen
+        .filter(e => e.config !== base && e.train.score > baseScore)
+        .sort((a, b) => b.train.score - a.train.score)
+        .slice(0, keepTop);
+}
+
+/**
+ * Drop changes that do not help on the training set (keeps proposals minimal)
+ */
+async function pruneChanges(base, candidate, space, train, horizon) {
+    let pruned = clone(candidate);
+    let score = (await evaluateConfig(pruned, train, horizon)).score;
+
+    // Weights move together (sum to 1) - revert them as a group
+    if (space.some(p => p.group === 'weights')) {
+        const reverted = clone(pruned);
+        reverted.weights.signals = clone(base.weights.signals);
+        if (checkCandidate(base, reverted, space).valid) {
+            const revertedScore = (await evaluateConfig(reverted, train, horizon)).score;
+            if (revertedScore >= score) {
+                pruned = reverted;
+                score = revertedScore;
+            }
+        }
+    }
+
+    for (const param of space) {
+        if (param.group === 'weights') continue;
+        if (getPath(pruned, param.path) === param.current) continue;
+
+        const reverted = clone(pruned);
+        setPath(reverted, param.path, param.current);
+        if (!checkCandidate(base, reverted, space).valid) continue;
+
+        const revertedScore = (await evaluateConfig(reverted, train, horizon)).score;
+        if (revertedScore >= score) {
+            pruned = reverted;
+            score = revertedScore;
+        }
+    }
+
+    return pruned;
+}
+
+/**
+ * =======================================================================
+ * PROPOSAL BUILDING
+ * =======================================================================
+ */
+
+function buildChanges(base, candidate, space, rationale) {
+    const changes = [];
+    for (const param of space) {
+        const proposed = getPath(candidate, param.path);
+        if (proposed === param.current) continue;
+        changes.push({
+            param_path: param.path,
+            current_value: param.current,
+            proposed_value: proposed,
+            delta_pct: round(((proposed - param.current) / param.current) * 100, 2),
+            rationale
+        });
+    }
+    return changes;
+}
+
+function buildProposal(entry, context, rank) {
+    const { base, baseVersion, space, jobId, symbol, horizon, sampleCount, folds } = context;
+    const improvement = round(entry.testScore - entry.baseTestScore, 1);
+
+    const changes = buildChanges(
+        base,
+        entry.config,
+        space,
+        `Walk-forward search (found in fold ${entry.fold + 1}/${folds}, test accuracy ${improvement >= 0 ? '+' : ''}${improvement}%)`
+    );
+
+    const structure = configService.validateConfig(entry.config);
+    const delta = configService.validateDelta(base, entry.config);
+
+    return {
+        proposal_meta: {
+            based_on_config_version: baseVersion,
+            scope: 'config-only',
+            generated_by: 'config_optimizer',
+            generated_at: new Date().toISOString(),
+            job_id: jobId,
+            rank,
+            symbol,
+            horizon,
+            samples: sampleCount,
+            folds
+        },
+        summary: `Out-of-sample accuracy ${entry.baseTestScore}% → ${entry.testScore}% (${improvement >= 0 ? '+' : ''}${improvement}%) with ${changes.length} change(s)`,
+        changes,
+        expected_impact: {
+            train_accuracy: entry.train.score,
+            test_accuracy: entry.testScore,
+            base_test_accuracy: entry.baseTestScore,
+            improvement_pct: improvement,
+            per_fold: entry.perFold
+        },
+        validation: {
+            valid: structure.valid && delta.valid,
+            structure_errors: structure.errors,
+            delta_violations: delta.violations
+        }
+    };
+}
+
+/**
+ * =======================================================================
+ * MAIN OPTIMIZER
+ * =======================================================================
+ */
+
+/**
+ * Run the walk-forward optimizer on prepared samples (no database access)
+ *
+ * @param {Object} base - Current config
+ * @param {Array} samples - Time-ordered prepared samples
+ * @param {Object} options - OPTIMIZER_DEFAULTS overrides + { baseVersion, jobId, symbol }
+ * @returns {Promise<Object>} { baseline, folds, proposals }
+ */
+async function optimizeSamples(base, samples, options = {}) {
+    const opts = { ...OPTIMIZER_DEFAULTS, ...options };
+    const random = createRandom(opts.seed);
+    const space = buildSearchSpace(base, opts.groups);
+    const folds = buildWalkForwardFolds(samples, opts.folds);
+
+    const foldResults = [];
+    const pool = [];
+
+    for (const fold of folds) {
+        const baseTrain = await evaluateConfig(base, fold.train, opts.horizon);
+        const top = await searchFold(base, fold.train, space, random, opts);
+
+        for (const entry of top) {
+            entry.config = await pruneChanges(base, entry.config, space, fold.train, opts.horizon);
+            entry.train = await evaluateConfig(entry.config, fold.train, opts.horizon);
+            entry.fold = fold.fold;
+            if (entry.train.score > baseTrain.score) pool.push(entry);
+        }
+
+        foldResults.push({
+            fold: fold.fold,
+            trainSamples: fold.train.length,
+            testSamples: fold.test.length,
+            trainRange: [fold.train[0]?.asOfTimestamp, fold.train[fold.train.length - 1]?.asOfTimestamp],
+            testRange: [fold.test[0]?.asOfTimestamp, fold.test[fold.test.length - 1]?.asOfTimestamp],
+            baseTrainAccuracy: baseTrain.score,
+            bestTrainAccuracy: top[0]?.train.score ?? null
+        });
+
+        if (opts.onProgress) opts.onProgress(fold.fold + 1, folds.length);
+    }
+
+    // Out-of-sample: a candidate found in fold k is only tested on folds >= k
+    const baseTestByFold = [];
+    for (const fold of folds) baseTestByFold.push(await evaluateConfig(base, fold.test, opts.horizon));
+    foldResults.forEach((r, k) => { r.baseTestAccuracy = baseTestByFold[k].score; });
+
+    for (const entry of pool) {
+        const perFold = [];
+        let weighted = 0;
+        let baseWeighted = 0;
+        let total = 0;
+
+        for (let k = entry.fold; k < folds.length; k++) {
+            const test = await evaluateConfig(entry.config, folds[k].test, opts.horizon);
+            perFold.push({ fold: k, accuracy: test.score, baseAccuracy: baseTestByFold[k].score, samples: test.samples });
+            weighted += test.score * test.samples;
+            baseWeighted += baseTestByFold[k].score * test.samples;
+            total += test.samples;
+        }
+
+        entry.perFold = perFold;
+        entry.testScore = total > 0 ? round(weighted / total, 1) : 0;
+        entry.baseTestScore = total > 0 ? round(baseWeighted / total, 1) : 0;
+    }
+
+    // Keep out-of-sample winners only, rank by improvement then train score
+    const seen = new Set();
+    const ranked = pool
+        .filter(e => e.testScore > e.baseTestScore)
+        .filter(e => {
+            const key = JSON.stringify(buildChanges(base, e.config, space, ''));
+            if (seen.has(key) || key === '[]') return false;
+            seen.add(key);
+            return true;
+        })
+        .sort((a, b) =>
+            (b.testScore - b.baseTestScore) - (a.testScore - a.baseTestScore) ||
+            b.train.score - a.train.score
+        );
+
+    const context = {
+        base,
+        baseVersion: opts.baseVersion,
+        space,
+        jobId: opts.jobId,
+        symbol: opts.symbol,
+        horizon: opts.horizon,
+        sampleCount: samples.length,
+        folds: folds.length
+    };
+
+    const proposals = ranked
+        .slice(0, opts.topProposals)
+        .map((entry, i) => buildProposal(entry, context, i + 1));
+
+    return {
+        baseline: await evaluateConfig(base, samples, opts.horizon),
+        searchSpace: space.length,
+        folds: foldResults,
+        proposals
+    };
+}
+
+/**
+ * =======================================================================
+ * JOBS
+ * =======================================================================
+ */
+
+const optimizerJobs = new Map();  // jobId -> job
+
+/**
+ * Check caller-supplied optimizer options against OPTIMIZER_LIMITS
+ * @returns {Object} { valid, errors: string[] }
+ */
+function validateOptimizerOptions(options = {}) {
+    const errors = [];
+
+    for (const [key, { min, max }] of Object.entries(OPTIMIZER_LIMITS)) {
+        const value = options[key];
+        if (value === undefined) continue;
+        if (!Number.isInteger(value) || value < min || value > max) {
+            errors.push(`${key} must be an integer between ${min} and ${max}`);
+        }
+    }
+
+    const minSamples = options.minSamples ?? OPTIMIZER_DEFAULTS.minSamples;
+    const maxSamples = options.maxSamples ?? OPTIMIZER_DEFAULTS.maxSamples;
+    if (Number.isInteger(minSamples) && Number.isInteger(maxSamples) && minSamples > maxSamples) {
+        errors.push(`minSamples (${minSamples}) must not exceed maxSamples (${maxSamples})`);
+    }
+
+    if (options.seed !== undefined && !Number.isInteger(options.seed)) {
+        errors.push('seed must be an integer');
+    }
+    if (options.horizon !== undefined && !outcomeLabeler.TIME_HORIZONS[options.horizon]) {
+        errors.push(`horizon must be one of: ${Object.keys(outcomeLabeler.TIME_HORIZONS).join(', ')}`);
+    }
+    if (options.groups !== undefined && (
+        !Array.isArray(options.groups) || options.groups.length === 0 ||
+        !options.groups.every(g => SEARCH_GROUPS.includes(g))
+    )) {
+        errors.push(`groups must be a non-empty array of: ${SEARCH_GROUPS.join(', ')}`);
+    }
+
+    return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Start an optimizer run in the background
+ *
+ * @param {Object} options - { symbol, batchId, fromDate, toDate, ...OPTIMIZER_DEFAULTS }
+ * @returns {Object} Job summary (poll getOptimizerJob for results), or
+ *   { success: false, error, errors } for options outside OPTIMIZER_LIMITS
+ */
+function startOptimization(options = {}) {
+    const { valid, errors } = validateOptimizerOptions(options);
+    if (!valid) {
+        return { success: false, error: errors.join('; '), errors };
+    }
+
+    const running = [...optimizerJobs.values()].find(j => j.status === JOB_STATUS.RUNNING);
+    if (running) {
+        return { success: false, error: 'Optimizer already running', jobId: running.jobId };
+    }
+
+    const job = {
+        jobId: uuidv4(),
+        status: JOB_STATUS.RUNNING,
+        options: { ...OPTIMIZER_DEFAULTS, ...options, symbol: symbolRegistry.toBaseSymbol(options.symbol || 'BTC') },
+        progress: { phase: 'loading', current: 0, total: 0 },
+        startedAt: Date.now(),
+        finishedAt: null,
+        result: null,
+        error: null
+    };
+    optimizerJobs.set(job.jobId, job);
+
+    runJob(job).catch(error => {
+        logger.error(`❌ [OPTIMIZER] Job ${job.jobId} failed:`, error.message);
+        job.status = JOB_STATUS.FAILED;
+        job.error = error.message;
+        job.finishedAt = Date.now();
+    });
+
+    return { success: true, job: summarizeJob(job) };
+}
+
+async function runJob(job) {
+    const { options } = job;
+    logger.info(`🧪 [OPTIMIZER] Job ${job.jobId} started (${options.symbol}, ${options.folds} folds, ${options.iterations} iterations/fold)`);
+
+    const current = await configService.loadConfig();
+    const base = current.config || configService.DEFAULT_CONFIG;
+
+    const rows = await loadSampleRows(options);
+
+    job.progress = { phase: 'preparing', current: 0, total: rows.length };
+    const { samples, skipped } = await prepareSamples(rows, options.symbol, options.horizon, (done, total) => {
+        job.progress = { phase: 'preparing', current: done, total };
+    });
+
+    if (samples.length < options.minSamples) {
+        throw new Error(`Not enough usable samples: ${samples.length} (need ${options.minSamples}, ${skipped} skipped). Run replay + data sync first.`);
+    }
+
+    job.progress = { phase: 'searching', current: 0, total: options.folds };
+    const result = await optimizeSamples(base, samples, {
+        ...options,
+        baseVersion: current.version,
+        jobId: job.jobId,
+        onProgress: (done, total) => { job.progress = { phase: 'searching', current: done, total }; }
+    });
+
+    job.result = { ...result, samples: samples.length, skippedSamples: skipped, basedOnVersion: current.version };
+    job.status = JOB_STATUS.COMPLETED;
+    job.finishedAt = Date.now();
+    job.progress = { phase: 'done', current: options.folds, total: options.folds };
+
+    logger.info(`✅ [OPTIMIZER] Job ${job.jobId} completed: ${result.proposals.length} proposal(s) from ${samples.length} samples`);
+}
+
+function summarizeJob(job) {
+    return {
+        jobId: job.jobId,
+        status: job.status,
+        symbol: job.options.symbol,
+        progress: job.progress,
+        startedAt: job.startedAt,
+        finishedAt: job.finishedAt,
+        error: job.error
+    };
+}
+
+function getOptimizerJob(jobId) {
+    const job = optimizerJobs.get(jobId);
+    if (!job) return null;
+    return { ...summarizeJob(job), options: job.options, result: job.result };
+}
+
+function listOptimizerJobs() {
+    return [...optimizerJobs.values()]
+        .sort((a, b) => b.startedAt - a.startedAt)
+        .map(summarizeJob);
+}
+
+/**
+ * =======================================================================
+ * EXPORTS
+ * =======================================================================
+ */
+
+module.exports = {
+    // Jobs
+    startOptimization,
+    getOptimizerJob,
+    listOptimizerJobs,
+
+    // Core (usable without database)
+    optimizeSamples,
+    evaluateConfig,
+    validateOptimizerOptions,
+
+    // Helpers (for testing)
+    buildSearchSpace,
+    buildWalkForwardFolds,
+    generateNeighbour,
+    checkCandidate,
+    normalizeWeights,
+    createRandom,
+
+    // Constants
+    OPTIMIZER_DEFAULTS,
+    OPTIMIZER_LIMITS,
+    JOB_STATUS
+};
@@ -9,8 +9,11 @@
 
 const marketDataService = require('../services/marketDataService');
 const historicalCandleStorage = require('../services/historicalCandleStorage');
+const candleAggregator = require('../services/candleAggregator');
+const outcomeLabelStorage = require('../services/outcomeLabelStorage');
 const stateStorage = require('../services/stateStorage');
 const outcomeLabeler = require('../services/outcomeLabeler');
+const { intervalToMs } = require('../services/dataUtils');
 const logger = require('../utils/logger');
 
 /**
@@ -23,26 +26,22 @@ const LABELING_CONFIG = {
     // Delay between API calls to respect rate limits (only used for fallback)
     delayBetweenApiCalls: 2500,
 
-    // Default max age for unlabeled states (8 hours for MICRO horizon)
-    defaultMaxAgeMs: {
-        SCALPING: 60 * 60 * 1000,        // 1 hour
-        MICRO: 8 * 60 * 60 * 1000,       // 8 hours
-        MACRO: 5 * 24 * 60 * 60 * 1000   // 5 days
-    },
-
-    // How many future candles to fetch per horizon
-    futureCandlesToFetch: {
-        SCALPING: 12,   // 12 x 5min = 60 min
-        MICRO: 24,      // 24 x 1h = 24 hours
-        MACRO: 30       // 30 x 4h = 5 days
-    },
+    // Delay between labeled states
+    delayBetweenStates: 500,
 
-    // Timeframe to use for fetching future prices
+    // Timeframe to use for fetching future prices. A horizon is labeled from
+    // exactly its window of these candles (outcomeLabeler.getHorizonWindowCandles:
+    // SCALPING 2 x 30m, MICRO 8 x 1h, MACRO 30 x 4h) once the window has closed,
+    // so a label never depends on when the job ran
     horizonTimeframe: {
         SCALPING: '30m',  // Use 30m since we don't store 5m
         MICRO: '1h',
         MACRO: '4h'
-    }
+    },
+
+    // Horizons labeled together by default (one future-candle fetch per state);
+    // only outcomeLabelStorage.PRIMARY_HORIZON fills the state's outcome_* columns
+    horizons: ['SCALPING', 'MICRO', 'MACRO']
 };
 
 /**
@@ -54,81 +53,188 @@ const LABELING_CONFIG = {
 const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
 
 /**
- * Fetch future prices AFTER a given timestamp
- * USES LOCAL DATABASE FIRST - avoids API calls during backtest!
+ * Timeframe and candle count of a horizon's labeling window
  */
-async function fetchFuturePrices(afterTimestamp, symbol, horizon) {
+function getHorizonWindow(horizon) {
     const timeframe = LABELING_CONFIG.horizonTimeframe[horizon] || '1h';
-    const limit = LABELING_CONFIG.futureCandlesToFetch[horizon] || 24;
+    return { timeframe, candles: outcomeLabeler.getHorizonWindowCandles(horizon, timeframe) };
+}
+
+function toFuturePrice(candle) {
+    return {
+        time: Number(candle.timestamp),
+        price: Number(candle.close),
+        high: Number(candle.high),
+        low: Number(candle.low),
+        open: Number(candle.open)
+    };
+}
+
+/**
+ * Fetch future candles AFTER a given timestamp for several horizons at once
+ * USES LOCAL DATABASE FIRST - avoids API calls during backtest!
+ *
+ * One fetch of the finest horizon timeframe covers the longest horizon;
+ * coarser horizon timeframes are aggregated from it (candleAggregator, same
+ * UTC buckets as natively synced candles). A bucket straddling the signal
+ * is incomplete and dropped, like a native candle opening before it.
+ *
+ * @param {Array} horizons - e.g. ['SCALPING', 'MICRO', 'MACRO']
+ * @param {Object} options - { localOnly } - never fall back to the API (read-only re-scoring)
+ * @returns {Object} { [horizon]: [{ time, price, high, low, open }] }
+ */
+async function fetchFutureCandles(afterTimestamp, symbol, horizons, options = {}) {
     const symbolNorm = symbol.replace('USDT', '').replace('USD', '');
+    const plan = horizons.map(horizon => {
+        const { timeframe, candles } = getHorizonWindow(horizon);
+        return { horizon, timeframe, limit: candles };
+    });
+    const empty = () => Object.fromEntries(plan.map(p => [p.horizon, []]));
 
     try {
-        // Calculate time range for future data
-        const intervalMs = {
-            '30m': 30 * 60 * 1000,
-            '1h': 60 * 60 * 1000,
-            '4h': 4 * 60 * 60 * 1000,
-            '1d': 24 * 60 * 60 * 1000
-        }[timeframe] || (60 * 60 * 1000);
-
-        const endTime = afterTimestamp + (intervalMs * limit * 2);
+        const baseTimeframe = plan
+            .map(p => p.timeframe)
+            .reduce((finest, tf) => (intervalToMs(tf) < intervalToMs(finest) ? tf : finest));
+        const baseMs = intervalToMs(baseTimeframe);
+
+        // Time range covering every horizon (+1 candle for aggregated timeframes)
+        const spanMs = Math.max(...plan.map(p =>
+            intervalToMs(p.timeframe) * (p.limit + (p.timeframe === baseTimeframe ? 0 : 1))
+        ));
+        const baseLimit = Math.ceil(spanMs / baseMs);
+        const endTime = afterTimestamp + (spanMs * 2);
 
         // TRY LOCAL DATABASE FIRST
-        const localCandles = await historicalCandleStorage.getCandles({
+        let baseCandles = await historicalCandleStorage.getCandles({
             exchange: 'Binance',
             symbol: symbolNorm,
-            timeframe,
+            timeframe: baseTimeframe,
             startTime: afterTimestamp + 1,  // Strictly AFTER the timestamp
             endTime: endTime
         });
 
-        if (localCandles && localCandles.length >= Math.min(limit, 5)) {
-            // Use local data
-            const futurePrices = localCandles
-                .filter(c => c.timestamp > afterTimestamp && c.close)
-                .sort((a, b) => a.timestamp - b.timestamp)
-                .slice(0, limit);
-
-            logger.debug(`[LABELING] Using ${futurePrices.length} local candles for outcome labeling`);
-
-            return futurePrices.map(c => ({
-                time: c.timestamp,
-                price: Number(c.close),
-                high: Number(c.high),
-                low: Number(c.low),
-                open: Number(c.open)
-            }));
-        }
-
-        // FALLBACK TO API (only if local data insufficient)
-        logger.warn(`[LABELING] Local data insufficient for ${symbolNorm}/${timeframe} after ${new Date(afterTimestamp).toISOString()}, falling back to API`);
-        await sleep(LABELING_CONFIG.delayBetweenApiCalls);
-        const priceData = await marketDataService.getPriceHistory('Binance', symbol, timeframe, limit * 2);
+        if (baseCandles && baseCandles.length >= Math.min(baseLimit, 5)) {
+            logger.debug(`[LABELING] Using ${baseCandles.length} local ${baseTimeframe} candles for outcome labeling (${horizons.join(', ')})`);
+        } else {
+            if (options.localOnly) {
+                return empty();
+            }
 
-        if (!priceData || priceData.length === 0) {
-            return [];
+            // FALLBACK TO API (only if local data insufficient)
+            logger.warn(`[LABELING] Local data insufficient for ${symbolNorm}/${baseTimeframe} after ${new Date(afterTimestamp).toISOString()}, falling back to API`);
+            await sleep(LABELING_CONFIG.delayBetweenApiCalls);
+            const priceData = await marketDataService.getPriceHistory('Binance', symbol, baseTimeframe, baseLimit * 2);
+
+            baseCandles = (priceData || []).map(c => ({
+                timestamp: c.time,
+                open: c.open,
+                high: c.high,
+                low: c.low,
+                close: c.close
+            }));
         }
 
         // Filter to only include candles AFTER the state timestamp
-        const futurePrices = priceData
-            .filter(candle => candle.time > afterTimestamp)
-            .sort((a, b) => a.time - b.time)
-            .slice(0, limit);
-
-        return futurePrices.map(c => ({
-            time: c.time,
-            price: c.close,
-            high: c.high,
-            low: c.low,
-            open: c.open
-        }));
+        const future = baseCandles
+            .filter(c => Number(c.timestamp) > afterTimestamp && c.close)
+            .sort((a, b) => Number(a.timestamp) - Number(b.timestamp));
+
+        const result = {};
+        for (const { horizon, timeframe, limit } of plan) {
+            const candles = timeframe === baseTimeframe
+                ? future
+                : candleAggregator.aggregateCandles(future, baseTimeframe, timeframe)
+                    .filter(c => c.timestamp > afterTimestamp && c.close);
+            result[horizon] = candles.slice(0, limit).map(toFuturePrice);
+        }
+        return result;
 
     } catch (error) {
         logger.error(`Failed to fetch future prices for ${symbol}:`, error.message);
-        return [];
+        return empty();
+    }
+}
+
+/**
+ * Fetch future prices AFTER a given timestamp for one horizon
+ */
+async function fetchFuturePrices(afterTimestamp, symbol, horizon, options = {}) {
+    const byHorizon = await fetchFutureCandles(afterTimestamp, symbol, [horizon], options);
+    return byHorizon[horizon];
+}
+
+/**
+ * ATR % at signal time for triple-barrier scaling: horizon-timeframe candles
+ * CLOSED before the signal, local database only
+ * @returns {number|null} null when there is not enough history
+ */
+async function fetchSignalVolatility(signalTimestamp, symbol, horizon) {
+    const timeframe = LABELING_CONFIG.horizonTimeframe[horizon] || '1h';
+    const period = outcomeLabeler.TRIPLE_BARRIER_CONFIG.atrPeriod;
+    const symbolNorm = symbol.replace('USDT', '').replace('USD', '');
+
+    try {
+        const intervalMs = intervalToMs(timeframe);
+        const candles = await historicalCandleStorage.getCandles({
+            exchange: 'Binance',
+            symbol: symbolNorm,
+            timeframe,
+            startTime: signalTimestamp - intervalMs * (period + 2) * 2,
+            endTime: signalTimestamp
+        });
+
+        const closed = (candles || [])
+            .filter(c => Number(c.timestamp) + intervalMs <= signalTimestamp && c.close)
+            .sort((a, b) => a.timestamp - b.timestamp)
+            .slice(-(period + 1));
+
+        return outcomeLabeler.calculateAtrPct(closed, period);
+    } catch (error) {
+        logger.warn(`[LABELING] Could not compute signal volatility for ${symbolNorm}/${timeframe}: ${error.message}`);
+        return null;
     }
 }
 
+/**
+ * Label options for the selected method (triple_barrier needs the ATR at
+ * signal time and the candle timeframe for its horizon window)
+ */
+async function buildLabelOptions(method, signalTimestamp, symbol, horizon) {
+    if (method !== outcomeLabeler.LABEL_METHODS.TRIPLE_BARRIER) {
+        return { method };
+    }
+    return {
+        method,
+        atrPct: await fetchSignalVolatility(signalTimestamp, symbol, horizon),
+        signalTime: signalTimestamp,
+        timeframe: LABELING_CONFIG.horizonTimeframe[horizon] || '1h'
+    };
+}
+
+/**
+ * Outcome fields stored alongside the label (method + version, barrier results)
+ */
+function buildOutcomeUpdate(outcome, horizon, futurePrices) {
+    return {
+        label: outcome.label,
+        reason: outcome.reason,
+        horizon,
+        finalPrice: outcome.finalPrice ?? futurePrices[futurePrices.length - 1]?.price,
+        finalMovePercent: outcome.finalMovePercent,
+        maxFavorableExcursion: outcome.maxFavorableExcursion,
+        maxAdverseExcursion: outcome.maxAdverseExcursion,
+        method: outcome.method,
+        methodVersion: outcome.methodVersion,
+        rMultiple: outcome.rMultiple,
+        timeToHitMs: outcome.timeToHitMs,
+        barrierHit: outcome.barrierHit
+    };
+}
+
+function isValidLabelMethod(method) {
+    return Object.values(outcomeLabeler.LABEL_METHODS).includes(method);
+}
+
 /**
  * Get the effective timestamp for a state (as_of_timestamp for replay, timestamp for live)
  */
@@ -152,69 +258,158 @@ function getStateEffectiveTimestamp(state) {
  */
 
 /**
- * Label pending states for a given horizon
+ * Legacy MFE/MAE (%) from the state's price and bias
+ */
+function calculateExcursions(futurePrices, state) {
+    let mfe = null;
+    let mae = null;
+
+    if (futurePrices.length > 0 && state.price) {
+        const bias = state.bias;
+        const entryPrice = state.price;
+
+        const highs = futurePrices.map(p => p.high || p.price);
+        const lows = futurePrices.map(p => p.low || p.price);
+
+        const maxHigh = Math.max(...highs);
+        const maxLow = Math.min(...lows);
+
+        if (bias === 'LONG') {
+            mfe = ((maxHigh - entryPrice) / entryPrice) * 100;
+            mae = ((entryPrice - maxLow) / entryPrice) * 100;
+        } else if (bias === 'SHORT') {
+            mfe = ((entryPrice - maxLow) / entryPrice) * 100;
+            mae = ((maxHigh - entryPrice) / entryPrice) * 100;
+        }
+    }
+
+    return { maxFavorableExcursion: mfe, maxAdverseExcursion: mae };
+}
+
+/**
+ * Signal age at which a horizon's window has closed: the first candle opens
+ * at the boundary after the signal (up to one candle later), then the window
+ */
+function getHorizonMaxAgeMs(horizon) {
+    const { timeframe, candles } = getHorizonWindow(horizon);
+    return (candles + 1) * intervalToMs(timeframe);
+}
+
+/**
+ * Horizons still missing a label of `labelerVersion` whose horizon has expired
+ * @param {Object} state - Row with id + timestamps
+ * @param {Set} existing - "stateId:horizon" keys already labeled
+ */
+function getDueHorizons(state, horizons, existing, now = Date.now()) {
+    const signalTime = Number(getStateEffectiveTimestamp(state));
+    return horizons.filter(h => now - signalTime >= getHorizonMaxAgeMs(h) && !existing.has(`${state.id}:${h}`));
+}
+
+/**
+ * Find up to `limit` replay states with due horizons missing a label of
+ * this labeler version (oldest first) - fully labeled states are filtered
+ * out by the query
+ * @returns {Array} [{ id, horizons }]
+ */
+async function findStatesToLabel({ batchId, symbol, horizons, labelerVersion, limit }) {
+    const now = Date.now();
+    const candidates = await stateStorage.getLabelCandidateReplayStates({
+        batchId,
+        symbol,
+        labelerVersion,
+        dueBefore: Object.fromEntries(horizons.map(h => [h, now - getHorizonMaxAgeMs(h)])),
+        limit
+    });
+    if (candidates.length === 0) return [];
+
+    const labels = await outcomeLabelStorage.getLabelsForStates(candidates.map(s => s.id), { labelerVersion });
+    const existing = new Set(labels.map(l => `${l.state_id}:${l.horizon}`));
+
+    return candidates
+        .map(state => ({ id: state.id, horizons: getDueHorizons(state, horizons, existing, now) }))
+        .filter(target => target.horizons.length > 0);
+}
+
+/**
+ * Label pending states for one or more horizons
+ * 
+ * Every due horizon of a state is labeled from one future-candle fetch and
+ * stored per (state, horizon, labeler version) - see outcomeLabelStorage.
  * 
  * @param {Object} options
  * @param {string} options.batchId - Optional: filter to specific batch
- * @param {string} options.horizon - Horizon to evaluate (SCALPING, MICRO, MACRO)
+ * @param {Array} options.horizons - Horizons to evaluate (default: SCALPING, MICRO, MACRO)
+ * @param {string} options.horizon - Single horizon (shorthand for horizons: [horizon])
  * @param {number} options.limit - Max states to label
  * @param {string} options.symbol - Symbol to filter (default: BTC)
+ * @param {string} options.method - Label method: 'threshold' (default) or 'triple_barrier'
  */
 async function labelPendingStates(options = {}) {
     const {
         batchId,
-        horizon = 'MICRO',
+        horizon,
         limit = 100,
-        symbol = 'BTCUSDT'
+        symbol = 'BTCUSDT',
+        method = outcomeLabeler.LABEL_METHODS.THRESHOLD
     } = options;
 
-    const horizonConfig = outcomeLabeler.TIME_HORIZONS[horizon];
-    if (!horizonConfig) {
-        return { success: false, error: `Invalid horizon: ${horizon}` };
+    const horizons = options.horizons || (horizon ? [horizon] : LABELING_CONFIG.horizons);
+    const invalid = horizons.filter(h => !outcomeLabeler.TIME_HORIZONS[h]);
+    if (horizons.length === 0 || invalid.length > 0) {
+        return { success: false, error: `Invalid horizon: ${invalid.join(', ') || '(none)'}` };
+    }
+    if (!isValidLabelMethod(method)) {
+        return { success: false, error: `Invalid label method: ${method}` };
     }
 
-    const maxAgeMs = LABELING_CONFIG.defaultMaxAgeMs[horizon] || 8 * 60 * 60 * 1000;
+    const labelerVersion = outcomeLabeler.LABEL_METHOD_VERSIONS[method];
 
-    logger.info(`📊 Starting outcome labeling job: horizon=${horizon}, limit=${limit}`);
+    logger.info(`📊 Starting outcome labeling job: horizons=${horizons.join(',')}, method=${method}, limit=${limit}`);
 
-    // Get unlabeled replay states old enough for horizon to have expired
+    // Replay states with expired horizons not yet labeled by this labeler version
     const symbolNorm = symbol.replace('USDT', '').replace('USD', '');
-    const unlabeledStates = await stateStorage.getUnlabeledReplayStates({
+    const targets = await findStatesToLabel({
         batchId,
         symbol: symbolNorm,
-        maxAgeMs: maxAgeMs,
+        horizons,
+        labelerVersion,
         limit
     });
 
-    if (unlabeledStates.length === 0) {
+    const byHorizon = Object.fromEntries(horizons.map(h => [h, 0]));
+
+    if (targets.length === 0) {
         logger.info('📊 No unlabeled states found matching criteria');
         return {
             success: true,
+            method,
+            methodVersion: labelerVersion,
+            horizons,
+            states: 0,
             labeled: 0,
             skipped: 0,
             failed: 0,
+            byHorizon,
             message: 'No states to label'
         };
     }
 
-    logger.info(`📊 Found ${unlabeledStates.length} states to label`);
+    logger.info(`📊 Found ${targets.length} states to label`);
+
+    const dueById = new Map(targets.map(t => [t.id, t.horizons]));
+    const states = await stateStorage.getReplayStatesByIds(targets.map(t => t.id));
 
     let labeled = 0;
     let skipped = 0;
     let failed = 0;
 
-    for (const state of unlabeledStates) {
-        const effectiveTimestamp = getStateEffectiveTimestamp(state);
+    for (const state of states) {
+        const effectiveTimestamp = Number(getStateEffectiveTimestamp(state));
+        const dueHorizons = dueById.get(state.id) || [];
 
         try {
-            // Fetch future prices AFTER the state timestamp
-            const futurePrices = await fetchFuturePrices(effectiveTimestamp, symbol, horizon);
-
-            if (futurePrices.length === 0) {
-                logger.warn(`⚠️ No future prices available for state ${state.id}`);
-                skipped++;
-                continue;
-            }
+            // One fetch of future candles AFTER the state timestamp for every due horizon
+            const futureByHorizon = await fetchFutureCandles(effectiveTimestamp, symbol, dueHorizons);
 
             // Build market state object for labeling
             const marketState = state.full_state || {
@@ -225,59 +420,59 @@ async function labelPendingStates(options = {}) {
                 price: state.price
             };
 
-            // Calculate outcome label
-            const outcome = outcomeLabeler.calculateOutcomeLabel(
-                marketState,
-                futurePrices.map(p => p.price),
-                horizon
-            );
-
-            if (!outcome || !outcome.label) {
-                logger.warn(`⚠️ Could not calculate outcome for state ${state.id}`);
-                skipped++;
-                continue;
-            }
-
-            // Calculate MFE/MAE if we have the data
-            let mfe = null;
-            let mae = null;
+            for (const labelHorizon of dueHorizons) {
+                const futurePrices = futureByHorizon[labelHorizon] || [];
 
-            if (futurePrices.length > 0 && state.price) {
-                const bias = state.bias;
-                const entryPrice = state.price;
+                if (futurePrices.length === 0) {
+                    logger.warn(`⚠️ No future prices available for state ${state.id} (${labelHorizon})`);
+                    skipped++;
+                    continue;
+                }
 
-                const highs = futurePrices.map(p => p.high || p.price);
-                const lows = futurePrices.map(p => p.low || p.price);
+                // Labels are never redone - only label a complete window
+                const horizonWindow = getHorizonWindow(labelHorizon);
+                if (futurePrices.length < horizonWindow.candles) {
+                    logger.warn(`⚠️ Incomplete ${labelHorizon} window for state ${state.id}: ${futurePrices.length}/${horizonWindow.candles} ${horizonWindow.timeframe} candles`);
+                    skipped++;
+                    continue;
+                }
 
-                const maxHigh = Math.max(...highs);
-                const maxLow = Math.min(...lows);
+                // Calculate outcome label
+                const labelOptions = await buildLabelOptions(method, effectiveTimestamp, symbol, labelHorizon);
+                const outcome = outcomeLabeler.calculateOutcomeLabel(
+                    marketState,
+                    method === outcomeLabeler.LABEL_METHODS.TRIPLE_BARRIER ? futurePrices : futurePrices.map(p => p.price),
+                    labelHorizon,
+                    labelOptions
+                );
+
+                if (!outcome || !outcome.label) {
+                    logger.warn(`⚠️ Could not calculate outcome for state ${state.id} (${labelHorizon})`);
+                    skipped++;
+                    continue;
+                }
 
-                if (bias === 'LONG') {
-                    mfe = ((maxHigh - entryPrice) / entryPrice) * 100;
-                    mae = ((entryPrice - maxLow) / entryPrice) * 100;
-                } else if (bias === 'SHORT') {
-                    mfe = ((entryPrice - maxLow) / entryPrice) * 100;
-                    mae = ((maxHigh - entryPrice) / entryPrice) * 100;
+                // Labels are never redone - leave it for a later run
+                if (outcome.label === outcomeLabeler.OUTCOME_LABELS.PENDING) {
+                    logger.debug(`[LABELING] State ${state.id} (${labelHorizon}) still pending: ${outcome.reason}`);
+                    skipped++;
+                    continue;
                 }
-            }
 
-            // Update replay state with outcome
-            const updateResult = await stateStorage.updateReplayStateOutcome(state.id, {
-                label: outcome.label,
-                reason: outcome.reason,
-                horizon: horizon,
-                finalPrice: futurePrices[futurePrices.length - 1]?.price,
-                finalMovePercent: outcome.movePercent,
-                maxFavorableExcursion: mfe,
-                maxAdverseExcursion: mae
-            });
-
-            if (updateResult.success) {
-                labeled++;
-                logger.info(`✅ Labeled state ${state.id}: ${state.bias} → ${outcome.label}`);
-            } else {
-                failed++;
-                logger.error(`❌ Failed to update state ${state.id}: ${updateResult.error}`);
+                // Store the label for this horizon / labeler version
+                const updateResult = await stateStorage.updateReplayStateOutcome(state.id, {
+                    ...buildOutcomeUpdate(outcome, labelHorizon, futurePrices),
+                    ...calculateExcursions(futurePrices, state)
+                });
+
+                if (updateResult.success) {
+                    labeled++;
+                    byHorizon[labelHorizon]++;
+                    logger.info(`✅ Labeled state ${state.id} (${labelHorizon}): ${state.bias} → ${outcome.label}`);
+                } else {
+                    failed++;
+                    logger.error(`❌ Failed to update state ${state.id} (${labelHorizon}): ${updateResult.error}`);
+                }
             }
 
         } catch (error) {
@@ -286,17 +481,22 @@ async function labelPendingStates(options = {}) {
         }
 
         // Small delay between states
-        await sleep(500);
+        await sleep(LABELING_CONFIG.delayBetweenStates);
     }
 
-    logger.info(`📊 Labeling complete: ${labeled} labeled, ${skipped} skipped, ${failed} failed`);
+    logger.info(`📊 Labeling complete: ${labeled} labels for ${states.length} states, ${skipped} skipped, ${failed} failed`);
 
     return {
         success: true,
+        method,
+        methodVersion: labelerVersion,
+        horizons,
+        states: states.length,
         labeled,
         skipped,
         failed,
-        total: unlabeledStates.length
+        byHorizon,
+        total: targets.length
     };
 }
 
@@ -383,15 +583,25 @@ async function getLabelingStatus(options = {}) {
 /**
  * Label a single state (useful for testing)
  */
-async function labelSingleState(stateId, horizon = 'MICRO', symbol = 'BTCUSDT') {
+async function labelSingleState(stateId, horizon = 'MICRO', symbol = 'BTCUSDT', method = outcomeLabeler.LABEL_METHODS.THRESHOLD) {
+    if (!isValidLabelMethod(method)) {
+        return { success: false, error: `Invalid label method: ${method}` };
+    }
+
     const state = await stateStorage.getStateById(stateId);
 
     if (!state) {
         return { success: false, error: 'State not found' };
     }
 
-    if (state.outcome_label) {
-        return { success: false, error: 'State already labeled', label: state.outcome_label };
+    // Already labeled for this horizon by this labeler version
+    const [existing] = await outcomeLabelStorage.getLabelsForStates([state.id], {
+        source: outcomeLabelStorage.LABEL_SOURCES.LIVE,
+        horizon,
+        labelerVersion: outcomeLabeler.LABEL_METHOD_VERSIONS[method]
+    });
+    if (existing) {
+        return { success: false, error: 'State already labeled', label: existing.label };
     }
 
     const effectiveTimestamp = getStateEffectiveTimestamp(state);
@@ -401,6 +611,11 @@ async function labelSingleState(stateId, horizon = 'MICRO', symbol = 'BTCUSDT')
         return { success: false, error: 'No future prices available' };
     }
 
+    const horizonWindow = getHorizonWindow(horizon);
+    if (futurePrices.length < horizonWindow.candles) {
+        return { success: false, error: `Horizon window not complete yet: ${futurePrices.length}/${horizonWindow.candles} ${horizonWindow.timeframe} candles` };
+    }
+
     const marketState = state.full_state || {
         finalDecision: {
             bias: state.bias,
@@ -409,30 +624,33 @@ async function labelSingleState(stateId, horizon = 'MICRO', symbol = 'BTCUSDT')
         price: state.price
     };
 
+    const labelOptions = await buildLabelOptions(method, effectiveTimestamp, symbol, horizon);
     const outcome = outcomeLabeler.calculateOutcomeLabel(
         marketState,
-        futurePrices.map(p => p.price),
-        horizon
+        method === outcomeLabeler.LABEL_METHODS.TRIPLE_BARRIER ? futurePrices : futurePrices.map(p => p.price),
+        horizon,
+        labelOptions
     );
 
     if (!outcome || !outcome.label) {
         return { success: false, error: 'Could not calculate outcome' };
     }
+    if (outcome.label === outcomeLabeler.OUTCOME_LABELS.PENDING) {
+        return { success: false, error: outcome.reason };
+    }
 
-    const updateResult = await stateStorage.updateStateOutcome(state.id, {
-        label: outcome.label,
-        reason: outcome.reason,
-        horizon: horizon,
-        finalPrice: futurePrices[futurePrices.length - 1]?.price,
-        finalMovePercent: outcome.movePercent
-    });
+    const updateResult = await stateStorage.updateStateOutcome(state.id, buildOutcomeUpdate(outcome, horizon, futurePrices));
 
     return {
         success: updateResult.success,
         stateId,
         label: outcome.label,
         reason: outcome.reason,
-        movePercent: outcome.movePercent,
+        movePercent: outcome.finalMovePercent,
+        method: outcome.method,
+        methodVersion: outcome.methodVersion,
+        barrierHit: outcome.barrierHit,
+        rMultiple: outcome.rMultiple,
         error: updateResult.error
     };
 }
@@ -450,6 +668,10 @@ module.exports = {
 
     // Helpers for testing
     fetchFuturePrices,
+    fetchFutureCandles,
+    fetchSignalVolatility,
+    buildLabelOptions,
+    getDueHorizons,
     getStateEffectiveTimestamp,
 
     // Config
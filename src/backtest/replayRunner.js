@@ -13,7 +13,11 @@ const historicalCandleStorage = require('../services/historicalCandleStorage');
 const coinglassClient = require('../services/coinglassClient');
 const marketMetrics = require('../services/marketMetrics');
 const stateStorage = require('../services/stateStorage');
+const replayBatchStorage = require('../services/replayBatchStorage');
+const streamService = require('../services/streamService');
 const configService = require('../services/configService');
+const symbolRegistry = require('../services/symbolRegistry');
+const { getProvider } = require('../services/dataProvider');
 const logger = require('../utils/logger');
 const cronControl = require('../utils/cronControl');
 const { InsufficientDataError, alignEndTimeToLastClosedCandle } = require('../services/dataUtils');
@@ -53,6 +57,11 @@ function getLabelingJob() {
 // Minimum window requirements per timeframe (in candles)
 // These ensure the analyzer has enough lookback context
 const WINDOW_REQUIREMENTS = {
+    '15m': {
+        minCandles: 96,      // 24 hours of context
+        fetchCandles: 150,
+        intervalMs: 15 * 60 * 1000
+    },
     '30m': {
         minCandles: 50,      // ~25 hours of context
         fetchCandles: 100,   // Fetch extra to ensure enough after slicing
@@ -72,6 +81,11 @@ const WINDOW_REQUIREMENTS = {
         minCandles: 60,      // 60 days of context
         fetchCandles: 90,
         intervalMs: 24 * 60 * 60 * 1000
+    },
+    '1w': {
+        minCandles: 26,      // ~6 months of context
+        fetchCandles: 40,
+        intervalMs: 7 * 24 * 60 * 60 * 1000
     }
 };
 
@@ -104,8 +118,11 @@ const SAMPLE_STATUS = {
 
 /**
  * =======================================================================
- * IN-MEMORY BATCH STATE (MVP - would use Redis in production)
+ * BATCH STATE (in-memory working copy, persisted to replay_batches)
  * =======================================================================
+ * batchStore holds batches this process has created or loaded. Every status
+ * change is written through to replay_batches / replay_batch_samples so a
+ * restart can pick up where it left off (see recoverInterruptedBatches).
  */
 
 const batchStore = new Map();  // batchId -> BatchState
@@ -128,6 +145,27 @@ class BatchState {
         this.startedAt = null;
         this.updatedAt = Date.now();
         this.error = null;
+        this.totalSamples = null;    // Set when loaded without samples (list view)
+    }
+
+    /**
+     * Rebuild a batch from replayBatchStorage fields
+     */
+    static fromStored(stored) {
+        const batch = new BatchState(stored);
+        batch.status = stored.status;
+        batch.samples = stored.samples || [];
+        batch.completedSamples = stored.completedSamples || 0;
+        batch.failedSamples = stored.failedSamples || 0;
+        batch.startedAt = stored.startedAt;
+        batch.updatedAt = stored.updatedAt;
+        batch.error = stored.error;
+        batch.totalSamples = stored.totalSamples ?? null;
+        return batch;
+    }
+
+    getTotalSamples() {
+        return this.samples.length || this.totalSamples || 0;
     }
 
     toJSON() {
@@ -139,16 +177,18 @@ class BatchState {
             stepMs: this.stepMs,
             horizons: this.horizons,
             status: this.status,
-            totalSamples: this.samples.length,
+            totalSamples: this.getTotalSamples(),
             completedSamples: this.completedSamples,
             failedSamples: this.failedSamples,
-            remainingSamples: this.samples.length - this.completedSamples - this.failedSamples,
+            remainingSamples: this.getTotalSamples() - this.completedSamples - this.failedSamples,
             startedAt: this.startedAt,
             updatedAt: this.updatedAt,
             eta: this.calculateEta(),
             error: this.error,
             useLocalOnly: this.useLocalOnly,
-            dataSource: this.useLocalOnly ? 'local_database' : 'coinglass_api'
+            dataSource: this.useLocalOnly
+                ? 'local_database'
+                : (getProvider().name === 'coinglass' ? 'coinglass_api' : getProvider().source)
         };
     }
 
@@ -192,10 +232,12 @@ function generateSampleTimestamps(startTime, endTime, stepMs, maxSamples) {
  */
 function parseStepSize(stepSize) {
     const map = {
+        '15m': 15 * 60 * 1000,
         '30m': 30 * 60 * 1000,
         '1h': 60 * 60 * 1000,
         '4h': 4 * 60 * 60 * 1000,
-        '1d': 24 * 60 * 60 * 1000
+        '1d': 24 * 60 * 60 * 1000,
+        '1w': 7 * 24 * 60 * 60 * 1000
     };
     return map[stepSize] || map['1h'];
 }
@@ -209,7 +251,7 @@ async function checkExistingState(batchId, asOfTimestamp, symbol) {
         const result = await stateStorage.checkExistingReplayState(
             batchId,
             asOfTimestamp,
-            symbol.replace('USDT', '').replace('USD', '')
+            symbolRegistry.toBaseSymbol(symbol)
         );
         return result?.id || null;
     } catch (err) {
@@ -226,7 +268,7 @@ async function checkExistingState(batchId, asOfTimestamp, symbol) {
  * sync the latest candles to ensure complete coverage.
  */
 
-async function autoSyncEdgeData(requestedTimestamp) {
+async function autoSyncEdgeData(requestedTimestamp, symbol = 'BTC') {
     const syncJob = getSyncJob();
     if (!syncJob) {
         logger.warn('[AUTO-SYNC] Sync job not available');
@@ -235,11 +277,12 @@ async function autoSyncEdgeData(requestedTimestamp) {
 
     try {
         // Check coverage in database
-        const coverage = await historicalCandleStorage.getDataCoverage();
+        const baseSymbol = symbolRegistry.toBaseSymbol(symbol);
+        const coverage = await historicalCandleStorage.getDataCoverage(baseSymbol);
 
         if (!coverage?.overall?.latest) {
             logger.info('[AUTO-SYNC] No data coverage found, syncing recent data...');
-            await syncJob.startSync({ daysBack: 7, force: false });
+            await syncJob.startSync({ daysBack: 7, force: false, symbols: [baseSymbol] });
             return true;
         }
 
@@ -259,8 +302,9 @@ async function autoSyncEdgeData(requestedTimestamp) {
             await syncJob.startSync({
                 daysBack: 3,
                 force: false,
+                symbols: [baseSymbol],
                 exchanges: ['Binance', 'Bybit'],
-                timeframes: ['30m', '1h', '4h', '1d'],
+                timeframes: marketMetrics.getTimeframeConfig().active,
                 dataTypes: ['price', 'oi', 'funding', 'taker_volume']
             });
 
@@ -418,15 +462,17 @@ async function fetchExchangeDataAtTimestamp(exchange, symbol, timeframes, asOfTi
  * @param {Object} options - { timeframes, useLocalOnly }
  */
 async function fetchHistoricalDataAtTimestamp(asOfTimestamp, symbol, options = {}) {
-    const timeframes = options.timeframes || ['30m', '1h', '4h', '1d'];
+    const timeframes = options.timeframes || marketMetrics.getTimeframeConfig().active;
     const useLocalOnly = options.useLocalOnly !== false;  // Default true for replay
-    const bybitSymbol = symbol === 'BTCUSDT' ? 'BTCUSD' : symbol;
+    // Map to per-exchange instruments (Bybit = COIN-M) via the symbol registry
+    const binanceSymbol = symbolRegistry.getExchangeSymbol(symbol, 'Binance') || symbol;
+    const bybitSymbol = symbolRegistry.getExchangeSymbol(symbol, 'Bybit') || symbol;
 
     const dataSource = useLocalOnly ? '💾 LOCAL DATABASE' : '🌐 API';
     logger.info(`📊 Fetching historical data for asOfTimestamp: ${new Date(asOfTimestamp).toISOString()} [${dataSource}]`);
 
     const fetchOptions = { useLocalOnly };
-    const binanceResult = await fetchExchangeDataAtTimestamp('Binance', symbol, timeframes, asOfTimestamp, fetchOptions);
+    const binanceResult = await fetchExchangeDataAtTimestamp('Binance', binanceSymbol, timeframes, asOfTimestamp, fetchOptions);
     const bybitResult = await fetchExchangeDataAtTimestamp('Bybit', bybitSymbol, timeframes, asOfTimestamp, fetchOptions);
 
     // Merge metadata
@@ -458,6 +504,21 @@ async function fetchHistoricalDataAtTimestamp(asOfTimestamp, symbol, options = {
     };
 }
 
+/**
+ * Rebuild the analyzer inputs for a replay sample (zero lookahead).
+ * Same path runReplayAtTimestamp uses, without running or saving the analyzer.
+ *
+ * @param {number} asOfTimestamp - The "as of" timestamp
+ * @param {string} symbol - Symbol (base or instrument)
+ * @param {Object} options - { timeframes, useLocalOnly }
+ * @returns {Promise<Object>} { snapshot, history, metadata }
+ */
+async function buildReplayInputs(asOfTimestamp, symbol, options = {}) {
+    const rawData = await fetchHistoricalDataAtTimestamp(asOfTimestamp, symbol, options);
+    const { snapshot, history } = buildSnapshotFromHistoricalData(rawData, '4h');
+    return { snapshot, history, metadata: rawData.metadata };
+}
+
 /**
  * =======================================================================
  * SNAPSHOT BUILDER - Convert raw data to marketMetrics format
@@ -562,7 +623,7 @@ async function runReplayAtTimestamp(asOfTimestamp, symbol, options = {}) {
     const { batchId, horizons = ['MICRO'], skipDuplicateCheck = false } = options;
 
     const replayId = uuidv4();
-    const symbolNorm = symbol.replace('USDT', '').replace('USD', '');
+    const symbolNorm = symbolRegistry.toBaseSymbol(symbol);
 
     logger.info(`🔄 Running replay at ${new Date(asOfTimestamp).toISOString()} (${replayId})`);
 
@@ -588,7 +649,7 @@ async function runReplayAtTimestamp(asOfTimestamp, symbol, options = {}) {
         const { snapshot, history } = buildSnapshotFromHistoricalData(rawData, '4h');
 
         // Run the analyzer (same as live mode)
-        const metrics = marketMetrics.calculateMarketMetrics({ snapshot, history });
+        const metrics = marketMetrics.calculateMarketMetrics({ snapshot, history, symbol: symbolNorm });
 
         // Prepare replay state
         const replayState = {
@@ -617,6 +678,7 @@ async function runReplayAtTimestamp(asOfTimestamp, symbol, options = {}) {
             asOfTimestamp,
             symbol: symbolNorm,
             marketState: replayState,
+            inputs: { snapshot, history, symbol: symbolNorm },
             metadata: {
                 dataRange: rawData.metadata.dataRange,
                 candlesCapturedByTF: {
@@ -659,6 +721,98 @@ async function runReplayAtTimestamp(asOfTimestamp, symbol, options = {}) {
     }
 }
 
+/**
+ * =======================================================================
+ * BATCH PERSISTENCE
+ * =======================================================================
+ * Write-through to replay_batches. Persistence failures are logged by the
+ * storage layer and never abort a running batch.
+ */
+
+/**
+ * Persist batch metadata, plus the given samples if any.
+ * Every persist is a progress/status change, so it is also pushed to
+ * stream subscribers (topic: replay).
+ */
+async function persistBatch(batch, samples = null) {
+    streamService.publish('replay', batch.toJSON(), { type: 'batch_progress', symbol: batch.symbol });
+
+    const result = await replayBatchStorage.saveBatch(batch);
+    if (result.success && samples && samples.length > 0) {
+        await replayBatchStorage.saveSamples(batch.batchId, samples);
+    }
+    return result;
+}
+
+/**
+ * Get a batch from memory, falling back to the database.
+ * A batch stored as RUNNING that this process is not executing was
+ * interrupted by a restart - it is marked PAUSED so it can be resumed.
+ *
+ * @param {string} batchId - Batch ID
+ * @returns {Promise<BatchState|null>}
+ */
+async function loadBatch(batchId) {
+    if (batchStore.has(batchId)) {
+        return batchStore.get(batchId);
+    }
+
+    const stored = await replayBatchStorage.getBatch(batchId);
+    if (!stored) return null;
+
+    const batch = BatchState.fromStored(stored);
+
+    if (batch.status === BATCH_STATUS.RUNNING || batch.status === BATCH_STATUS.PENDING) {
+        const interrupted = batch.samples.filter(s => s.status === SAMPLE_STATUS.RUNNING);
+        interrupted.forEach(s => { s.status = SAMPLE_STATUS.PENDING; });
+
+        batch.status = BATCH_STATUS.PAUSED;
+        batch.error = 'Interrupted by process restart';
+        batch.updatedAt = Date.now();
+        await persistBatch(batch, interrupted);
+
+        logger.warn(`⚠️ Batch ${batchId} was interrupted (${batch.completedSamples}/${batch.samples.length} completed) - marked PAUSED`);
+    }
+
+    batchStore.set(batchId, batch);
+    return batch;
+}
+
+/**
+ * Find batches left RUNNING by a previous process and mark them PAUSED.
+ * Call once on startup.
+ *
+ * @param {Object} options - { autoResume: restart them immediately }
+ * @returns {Promise<Array>} Recovered batch summaries
+ */
+async function recoverInterruptedBatches(options = {}) {
+    const { autoResume = false } = options;
+
+    const stored = [
+        ...await replayBatchStorage.listBatches({ status: BATCH_STATUS.RUNNING }),
+        ...await replayBatchStorage.listBatches({ status: BATCH_STATUS.PENDING })
+    ];
+
+    const recovered = [];
+    for (const { batchId } of stored) {
+        if (batchStore.has(batchId)) continue;  // Owned by this process
+
+        const batch = await loadBatch(batchId);
+        if (!batch) continue;
+
+        if (autoResume) {
+            await resumeBatch(batchId);
+        }
+        recovered.push(batch.toJSON());
+    }
+
+    if (recovered.length > 0) {
+        logger.info(`🔁 Recovered ${recovered.length} interrupted replay batch(es)${autoResume ? ' - resuming' : ''}`);
+    }
+
+    return recovered;
+}
+
 /**
  * =======================================================================
  * BATCH REPLAY EXECUTION (with queue and rate limiting)
@@ -714,6 +868,7 @@ async function runBatchReplay(config) {
 
     // Store batch
     batchStore.set(batch.batchId, batch);
+    await persistBatch(batch, batch.samples);
 
     logger.info(`📦 Created batch ${batch.batchId}: ${timestamps.length} samples, ${batch.completedSamples} already completed`);
 
@@ -736,6 +891,8 @@ async function executeBatchAsync(batch) {
     batch.status = BATCH_STATUS.RUNNING;
     batch.startedAt = Date.now();
     batch.updatedAt = Date.now();
+    batch.error = null;
+    await persistBatch(batch);
 
     // Only pause cron if using API (not needed for local database)
     if (!useLocalOnly) {
@@ -788,7 +945,7 @@ async function executeBatchAsync(batch) {
                     } else if (isInsufficientData && retries === 1) {
                         // First insufficient data error - try auto-sync
                         logger.info(`🔄 Insufficient data at ${new Date(sample.asOfTimestamp).toISOString()}, triggering auto-sync...`);
-                        const synced = await autoSyncEdgeData(sample.asOfTimestamp);
+                        const synced = await autoSyncEdgeData(sample.asOfTimestamp, batch.symbol);
                         if (synced) {
                             logger.info('🔄 Auto-sync triggered, retrying sample...');
                             await sleep(2000);  // Small delay after sync
@@ -816,6 +973,7 @@ async function executeBatchAsync(batch) {
             }
 
             batch.updatedAt = Date.now();
+            await persistBatch(batch, [sample]);
 
             // Progress logging
             const progress = ((batch.completedSamples + batch.failedSamples) / batch.samples.length * 100).toFixed(1);
@@ -839,6 +997,7 @@ async function executeBatchAsync(batch) {
         }
 
         batch.updatedAt = Date.now();
+        await persistBatch(batch);
 
         logger.info(`✅ Batch ${batch.batchId} finished: ${batch.status} (${batch.completedSamples}/${batch.samples.length} completed)`);
 
@@ -856,6 +1015,7 @@ async function executeBatchAsync(batch) {
         batch.status = BATCH_STATUS.FAILED;
         batch.error = error.message;
         batch.updatedAt = Date.now();
+        await persistBatch(batch);
     } finally {
         // Only resume cron if we paused it (API mode)
         if (!useLocalOnly) {
@@ -868,7 +1028,7 @@ async function executeBatchAsync(batch) {
  * Resume a paused batch
  */
 async function resumeBatch(batchId) {
-    const batch = batchStore.get(batchId);
+    const batch = await loadBatch(batchId);
 
     if (!batch) {
         return { success: false, error: 'Batch not found' };
@@ -884,6 +1044,17 @@ async function resumeBatch(batchId) {
 
     logger.info(`▶️ Resuming batch ${batchId}`);
 
+    // Failed samples are retried - reset them so counters stay consistent
+    const retried = batch.samples.filter(s =>
+        s.status !== SAMPLE_STATUS.COMPLETED && s.status !== SAMPLE_STATUS.PENDING
+    );
+    retried.forEach(s => {
+        s.status = SAMPLE_STATUS.PENDING;
+        s.error = null;
+    });
+    batch.failedSamples = 0;
+    await persistBatch(batch, retried);
+
     // Restart async execution
     executeBatchAsync(batch);
 
@@ -893,8 +1064,8 @@ async function resumeBatch(batchId) {
 /**
  * Pause a running batch
  */
-function pauseBatch(batchId) {
-    const batch = batchStore.get(batchId);
+async function pauseBatch(batchId) {
+    const batch = await loadBatch(batchId);
 
     if (!batch) {
         return { success: false, error: 'Batch not found' };
@@ -906,6 +1077,7 @@ function pauseBatch(batchId) {
 
     batch.status = BATCH_STATUS.PAUSED;
     batch.updatedAt = Date.now();
+    await persistBatch(batch);
 
     logger.info(`⏸️ Pausing batch ${batchId}`);
 
@@ -915,8 +1087,8 @@ function pauseBatch(batchId) {
 /**
  * Get batch status
  */
-function getBatchStatus(batchId) {
-    const batch = batchStore.get(batchId);
+async function getBatchStatus(batchId) {
+    const batch = await loadBatch(batchId);
 
     if (!batch) {
         return null;
@@ -929,7 +1101,7 @@ function getBatchStatus(batchId) {
  * Get batch results (completed samples)
  */
 async function getBatchResults(batchId, options = {}) {
-    const batch = batchStore.get(batchId);
+    const batch = await loadBatch(batchId);
 
     if (!batch) {
         return { success: false, error: 'Batch not found' };
@@ -955,8 +1127,8 @@ async function getBatchResults(batchId, options = {}) {
 /**
  * Get batch failures
  */
-function getBatchFailures(batchId) {
-    const batch = batchStore.get(batchId);
+async function getBatchFailures(batchId) {
+    const batch = await loadBatch(batchId);
 
     if (!batch) {
         return { success: false, error: 'Batch not found' };
@@ -980,10 +1152,33 @@ function getBatchFailures(batchId) {
 }
 
 /**
- * List all batches
+ * List all batches (persisted + in-memory; in-memory copies are fresher)
+ * @param {Object} options - { symbol } optional base symbol filter
+ */
+async function listBatches(options = {}) {
+    const symbol = options.symbol ? symbolRegistry.toBaseSymbol(options.symbol) : null;
+
+    const byId = new Map();
+    for (const stored of await replayBatchStorage.listBatches()) {
+        byId.set(stored.batchId, BatchState.fromStored(stored));
+    }
+    for (const batch of batchStore.values()) {
+        byId.set(batch.batchId, batch);
+    }
+
+    return Array.from(byId.values())
+        .filter(b => !symbol || symbolRegistry.toBaseSymbol(b.symbol) === symbol)
+        .sort((a, b) => (b.updatedAt || 0) - (a.updatedAt || 0))
+        .map(b => b.toJSON());
+}
+
+/**
+ * Remove a batch from memory and the batch tables
+ * (replay_states rows are deleted by the caller)
  */
-function listBatches() {
-    return Array.from(batchStore.values()).map(b => b.toJSON());
+async function deleteBatch(batchId) {
+    batchStore.delete(batchId);
+    return replayBatchStorage.deleteBatch(batchId);
 }
 
 /**
@@ -1005,18 +1200,17 @@ async function autoLabelBatchStates(batch) {
     logger.info(`🏷️ [AUTO-LABEL] Starting automatic labeling for batch ${batch.batchId}...`);
 
     try {
-        const symbolNorm = batch.symbol.replace('USDT', '').replace('USD', '');
+        const symbolNorm = symbolRegistry.toBaseSymbol(batch.symbol);
 
-        // Label with MICRO horizon (default)
+        // Label every horizon (SCALPING, MICRO, MACRO) in one pass
         const result = await labelingJob.labelPendingStates({
             batchId: batch.batchId,
-            horizon: 'MICRO',
             limit: batch.completedSamples + 10, // Label all completed states
             symbol: symbolNorm
         });
 
         if (result.labeled > 0) {
-            logger.info(`✅ [AUTO-LABEL] Labeled ${result.labeled} states for batch ${batch.batchId}`);
+            logger.info(`✅ [AUTO-LABEL] Stored ${result.labeled} labels for ${result.states} states of batch ${batch.batchId}`);
         } else {
             logger.info(`ℹ️ [AUTO-LABEL] No states labeled for batch ${batch.batchId} (${result.skipped || 0} skipped, ${result.errors || 0} errors)`);
         }
@@ -1038,6 +1232,7 @@ async function autoLabelBatchStates(batch) {
 module.exports = {
     // Single replay
     runReplayAtTimestamp,
+    buildReplayInputs,
 
     // Batch operations
     runBatchReplay,
@@ -1047,7 +1242,8 @@ module.exports = {
     getBatchResults,
     getBatchFailures,
     listBatches,
-    deleteBatch: (batchId) => batchStore.delete(batchId),
+    deleteBatch,
+    recoverInterruptedBatches,
 
     // Auto-labeling
     autoLabelBatchStates,
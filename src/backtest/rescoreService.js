@@ -0,0 +1,334 @@
+// src/backtest/rescoreService.js - What-if Re-scoring
+// Re-evaluates stored replay_states under a candidate config WITHOUT writing anything
+//
+// For each stored state:
+// 1. Resolve the analyzer inputs of that sample: the stored inputs (inputs_hash)
+//    or, for states saved before inputs were stored, rebuilt from local candles
+// 2. Re-run calculateMarketMetrics with the candidate config passed explicitly
+// 3. Re-label only when the bias changed (label depends on bias), from local candles
+// 4. Diff bias/confidence vs the stored state and rebuild the scoreboard
+//
+// Only states with stored inputs are a like-for-like comparison: rebuilt inputs
+// come from today's candle store, so a difference may be data, not config.
+// Those states are reported separately (refetched) and stay out of the diff
+// and the scoreboard.
+//
+// Read-only: no replay_states updates, no API fallbacks, no live config changes.
+
+const marketMetrics = require('../services/marketMetrics');
+const analyzerInputStorage = require('../services/analyzerInputStorage');
+const outcomeLabeler = require('../services/outcomeLabeler');
+const stateStorage = require('../services/stateStorage');
+const symbolRegistry = require('../services/symbolRegistry');
+const scoreboardService = require('./scoreboardService');
+const logger = require('../utils/logger');
+
+// Lazy-load to avoid circular dependencies (replayRunner -> labeling job)
+let replayRunner = null;
+let outcomeLabelingJob = null;
+function getReplayRunner() {
+    if (!replayRunner) replayRunner = require('./replayRunner');
+    return replayRunner;
+}
+function getLabelingJob() {
+    if (!outcomeLabelingJob) outcomeLabelingJob = require('./outcomeLabelingJob');
+    return outcomeLabelingJob;
+}
+
+/**
+ * =======================================================================
+ * CONFIGURATION
+ * =======================================================================
+ */
+
+const RESCORE_DEFAULTS = {
+    limit: 200,
+    maxLimit: 1000,
+    horizon: 'MICRO'
+};
+
+// Where a state's analyzer inputs came from (resolveInputs)
+const INPUTS_SOURCE = {
+    STORED: 'stored',
+    REFETCHED: 'refetched'
+};
+
+const STATE_COLUMNS = [
+    'id', 'batch_id', 'symbol', 'as_of_timestamp', 'timestamp',
+    'bias', 'confidence', 'primary_regime',
+    'outcome_label', 'outcome_horizon', 'outcome_move_pct', 'outcome_mfe', 'outcome_mae',
+    'outcome_method', 'outcome_method_version', 'outcome_r_multiple', 'outcome_time_to_hit_ms', 'outcome_barrier',
+    'inputs_hash', 'full_state_json'
+].join(', ');
+
+/**
+ * =======================================================================
+ * DATA LOADING
+ * =======================================================================
+ */
+
+/**
+ * Load stored replay states to re-score
+ * @param {Object} options - { symbol, batchId, stateIds, fromDate, toDate, limit }
+ * @returns {Promise<Array>} replay_states rows, oldest first
+ */
+async function loadStates(options) {
+    const client = stateStorage.getSupabase();
+    if (!client) {
+        throw new Error('Database not configured');
+    }
+
+    const { symbol, batchId, stateIds, fromDate, toDate, limit } = options;
+
+    let query = client
+        .from('replay_states')
+        .select(STATE_COLUMNS)
+        .eq('status', 'COMPLETED')
+        .order('as_of_timestamp', { ascending: true })
+        .limit(limit);
+
+    if (stateIds && stateIds.length > 0) {
+        query = query.in('id', stateIds);
+    } else {
+        query = query.eq('symbol', symbol);
+        if (batchId) query = query.eq('batch_id', batchId);
+        if (fromDate) query = query.gte('as_of_timestamp', fromDate);
+        if (toDate) query = query.lte('as_of_timestamp', toDate);
+    }
+
+    const { data, error } = await query;
+    if (error) {
+        throw new Error(error.message);
+    }
+
+    return data || [];
+}
+
+/**
+ * Analyzer inputs for a stored state
+ * Stored inputs when available, otherwise rebuilt from local candles (zero lookahead)
+ * @param {Object} row - { symbol, as_of_timestamp, inputs_hash }
+ * @returns {Promise<Object>} { snapshot, history, symbol, resolvedAbsorptions, inputsSource }
+ */
+async function resolveInputs(row) {
+    if (row.inputs_hash) {
+        const stored = await analyzerInputStorage.getInputs(row.inputs_hash);
+        if (stored) return { ...stored, inputsSource: INPUTS_SOURCE.STORED };
+    }
+
+    const symbol = symbolRegistry.toBaseSymbol(row.symbol);
+    const { snapshot, history } = await getReplayRunner().buildReplayInputs(
+        Number(row.as_of_timestamp),
+        symbol,
+        { useLocalOnly: true }
+    );
+    return { snapshot, history, symbol, resolvedAbsorptions: [], inputsSource: INPUTS_SOURCE.REFETCHED };
+}
+
+/**
+ * =======================================================================
+ * RE-SCORING
+ * =======================================================================
+ */
+
+/**
+ * Re-run one stored state under `config`
+ * @returns {Promise<Object>} { before, after, inputsSource } (before/after: replay_states-shaped rows)
+ */
+async function rescoreState(row, config, horizon) {
+    const inputs = await resolveInputs(row);
+    const metrics = marketMetrics.calculateMarketMetrics(
+        { snapshot: inputs.snapshot, history: inputs.history, symbol: inputs.symbol },
+        {},
+        { resolvedAbsorptions: inputs.resolvedAbsorptions || [], config }
+    );
+    const decision = metrics.finalDecision || {};
+
+    const after = {
+        ...row,
+        bias: decision.bias || null,
+        confidence: decision.confidence ?? null,
+        primary_regime: decision.primaryRegime || metrics.marketRegime?.regime || null,
+        full_state_json: metrics
+    };
+
+    // Same inputs + same bias => same label; otherwise re-label from local candles
+    // with the state's own label method (unlabeled / legacy rows: threshold)
+    if (after.bias !== row.bias || !row.outcome_label) {
+        const labelHorizon = row.outcome_horizon || horizon;
+        const labelMethod = row.outcome_method || outcomeLabeler.LABEL_METHODS.THRESHOLD;
+        const signalTime = Number(row.as_of_timestamp);
+        const future = await getLabelingJob().fetchFuturePrices(
+            signalTime,
+            after.symbol,
+            labelHorizon,
+            { localOnly: true }
+        );
+
+        const tripleBarrier = labelMethod === outcomeLabeler.LABEL_METHODS.TRIPLE_BARRIER;
+        const outcome = outcomeLabeler.calculateOutcomeLabel(
+            metrics,
+            tripleBarrier ? future : future.map(p => p.price),
+            labelHorizon,
+            await getLabelingJob().buildLabelOptions(labelMethod, signalTime, after.symbol, labelHorizon)
+        );
+
+        if (outcome.label === outcomeLabeler.OUTCOME_LABELS.PENDING) {
+            after.outcome_label = null;
+        } else {
+            after.outcome_label = outcome.label;
+            after.outcome_move_pct = outcome.finalMovePercent ?? null;
+            after.outcome_mfe = outcome.maxFavorableExcursion ?? null;
+            after.outcome_mae = outcome.maxAdverseExcursion ?? null;
+            after.outcome_method = outcome.method;
+            after.outcome_method_version = outcome.methodVersion;
+            after.outcome_r_multiple = outcome.rMultiple ?? null;
+            after.outcome_time_to_hit_ms = outcome.timeToHitMs ?? null;
+            after.outcome_barrier = outcome.barrierHit ?? null;
+        }
+    }
+
+    return { before: row, after, inputsSource: inputs.inputsSource };
+}
+
+function summarizeRow(row) {
+    return {
+        bias: row.bias,
+        confidence: row.confidence,
+        primaryRegime: row.primary_regime,
+        outcomeLabel: row.outcome_label
+    };
+}
+
+/**
+ * Bias/confidence/label changes between the stored and re-scored rows
+ * @returns {Object} { summary, changes }
+ */
+function diffPairs(pairs) {
+    const changes = [];
+    const summary = { biasChanged: 0, confidenceChanged: 0, labelChanged: 0, unlabeled: 0 };
+
+    for (const { before, after } of pairs) {
+        const biasChanged = before.bias !== after.bias;
+        const confidenceChanged = before.confidence !== after.confidence;
+        const labelChanged = before.outcome_label !== after.outcome_label;
+
+        if (biasChanged) summary.biasChanged++;
+        if (confidenceChanged) summary.confidenceChanged++;
+        if (labelChanged) summary.labelChanged++;
+        if (!after.outcome_label) summary.unlabeled++;
+
+        if (biasChanged || confidenceChanged) {
+            changes.push({
+                stateId: before.id,
+                asOfTimestamp: Number(before.as_of_timestamp),
+                biasChanged,
+                confidenceDelta: (before.confidence != null && after.confidence != null)
+                    ? Number((after.confidence - before.confidence).toFixed(2))
+                    : null,
+                before: summarizeRow(before),
+                after: summarizeRow(after)
+            });
+        }
+    }
+
+    return { summary, changes };
+}
+
+function topLineDelta(before, after) {
+    const delta = (a, b) => (a == null || b == null) ? null : Number((b - a).toFixed(1));
+    return {
+        overallAccuracy: delta(before.overallStats?.overallAccuracy, after.overallStats?.overallAccuracy),
+        directionalAccuracy: delta(before.overallStats?.directionalAccuracy, after.overallStats?.directionalAccuracy),
+        waitCorrectnessRate: delta(before.waitCorrectness?.rate, after.waitCorrectness?.rate)
+    };
+}
+
+/**
+ * Re-evaluate stored replay states under a candidate config (no writes)
+ *
+ * @param {Object} config - Candidate config (full config object)
+ * @param {Object} options - { symbol, batchId, stateIds, fromDate, toDate, limit, horizon }
+ * @returns {Promise<Object>} {
+ *   success, evaluated, inputsSource: { stored, refetched },
+ *   summary, changes, scoreboard (states with stored inputs only),
+ *   refetched: { evaluated, summary, changes } (inputs rebuilt from today's candles),
+ *   skipped
+ * }
+ */
+async function rescoreStates(config, options = {}) {
+    const symbol = symbolRegistry.toBaseSymbol(options.symbol || 'BTC');
+    const limit = Math.min(options.limit || RESCORE_DEFAULTS.limit, RESCORE_DEFAULTS.maxLimit);
+    const horizon = options.horizon || RESCORE_DEFAULTS.horizon;
+
+    try {
+        const rows = await loadStates({ ...options, symbol, limit });
+
+        if (rows.length === 0) {
+            return { success: true, evaluated: 0, message: 'No stored replay states found' };
+        }
+
+        const pairs = [];
+        const skipped = [];
+
+        for (const row of rows) {
+            try {
+                pairs.push(await rescoreState(row, config, horizon));
+            } catch (error) {
+                skipped.push({ stateId: row.id, asOfTimestamp: Number(row.as_of_timestamp), error: error.message });
+            }
+        }
+
+        // Like-for-like comparison only where the original inputs were stored
+        const storedPairs = pairs.filter(p => p.inputsSource === INPUTS_SOURCE.STORED);
+        const refetchedPairs = pairs.filter(p => p.inputsSource !== INPUTS_SOURCE.STORED);
+        const { summary, changes } = diffPairs(storedPairs);
+        const refetched = diffPairs(refetchedPairs);
+
+        const beforeLabeled = storedPairs.map(p => p.before).filter(r => r.outcome_label);
+        const afterLabeled = storedPairs.map(p => p.after).filter(r => r.outcome_label);
+        const beforeScoreboard = scoreboardService.buildScoreboardMetrics(beforeLabeled);
+        const afterScoreboard = scoreboardService.buildScoreboardMetrics(afterLabeled);
+
+        logger.info(`🔁 [RESCORE] ${pairs.length} states re-scored (${summary.biasChanged} bias changes, ${refetchedPairs.length} with refetched inputs, ${skipped.length} skipped)`);
+
+        return {
+            success: true,
+            symbol,
+            evaluated: pairs.length,
+            inputsSource: {
+                [INPUTS_SOURCE.STORED]: storedPairs.length,
+                [INPUTS_SOURCE.REFETCHED]: refetchedPairs.length
+            },
+            summary,
+            changes,
+            scoreboard: {
+                before: { labeledStates: beforeLabeled.length, ...beforeScoreboard },
+                after: { labeledStates: afterLabeled.length, ...afterScoreboard },
+                delta: topLineDelta(beforeScoreboard, afterScoreboard)
+            },
+            refetched: { evaluated: refetchedPairs.length, ...refetched },
+            skipped
+        };
+
+    } catch (error) {
+        logger.error('[RESCORE] Failed:', error.message);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * =======================================================================
+ * EXPORTS
+ * =======================================================================
+ */
+
+module.exports = {
+    rescoreStates,
+    rescoreState,
+    resolveInputs,
+
+    // Constants
+    RESCORE_DEFAULTS,
+    INPUTS_SOURCE
+};
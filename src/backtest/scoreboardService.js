@@ -6,9 +6,11 @@
 // - Accuracy by confidence bucket (0-3, 3-6, 6-8, 8-10)
 // - WAIT correctness rate (correct WAIT in NOISE)
 // - Performance by regime/scenario
+// - Triple-barrier results (hit rates, R-multiple expectancy, time-to-hit)
 // - Labeled vs pending counts
 
 const stateStorage = require('../services/stateStorage');
+const outcomeLabelStorage = require('../services/outcomeLabelStorage');
 const logger = require('../utils/logger');
 
 /**
@@ -52,28 +54,50 @@ function getConfidenceBucket(confidence) {
  * @param {number} options.fromDate - Optional: start timestamp
  * @param {number} options.toDate - Optional: end timestamp
  * @param {string} options.symbol - Symbol to filter (default: BTC)
+ * @param {string} options.method - Optional: only labels of this method
+ *   ('threshold' | 'triple_barrier'; rows labeled before methods were stored count as threshold)
+ * @param {string} options.horizon - Optional: score the outcome_labels of this horizon
+ * @param {string} options.labelerVersion - Optional: score the outcome_labels of this labeler version
+ *
+ * Without horizon / labelerVersion the state's own outcome_* label is scored;
+ * with both, the outcome_labels entry of that horizon and labeler version
+ * (one per state - see outcomeLabelStorage). One without the other would mix
+ * horizons or labelers in one accuracy number and is rejected ({ errors }).
  */
 async function getScoreboard(options = {}) {
     const {
         batchId,
         fromDate,
         toDate,
-        symbol = 'BTC'
+        symbol = 'BTC',
+        method,
+        horizon,
+        labelerVersion
     } = options;
 
+    if (Boolean(horizon) !== Boolean(labelerVersion)) {
+        const error = 'horizon and labelerVersion must be given together';
+        return { success: false, error, errors: [error] };
+    }
+
     const client = stateStorage.getSupabase();
     if (!client) {
         return { success: false, error: 'Database not configured' };
     }
 
+    const versioned = Boolean(horizon && labelerVersion);
+
     try {
         // Build query for labeled states (from replay_states table)
         let query = client
             .from('replay_states')
             .select('*')
             .eq('symbol', symbol)
-            .eq('status', 'COMPLETED')
-            .not('outcome_label', 'is', null);
+            .eq('status', 'COMPLETED');
+
+        if (!versioned) {
+            query = query.not('outcome_label', 'is', null);
+        }
 
         if (batchId) {
             query = query.eq('batch_id', batchId);
@@ -85,13 +109,27 @@ async function getScoreboard(options = {}) {
             query = query.lte('timestamp', toDate);
         }
 
-        const { data: labeledStates, error } = await query;
+        const { data, error } = await query;
 
         if (error) {
             logger.error('Error fetching labeled states:', error);
             return { success: false, error: error.message };
         }
 
+        let labeledStates;
+        let pendingCount;
+
+        if (versioned) {
+            const states = data || [];
+            const labels = await outcomeLabelStorage.getLabelsForStates(states.map(s => s.id), { horizon, labelerVersion, method });
+            const labeledIds = new Set(labels.map(l => l.state_id));
+            labeledStates = outcomeLabelStorage.joinStatesWithLabels(states, labels);
+            pendingCount = states.filter(s => !labeledIds.has(s.id)).length;
+        } else {
+            // Method filter in JS: legacy rows have a NULL outcome_method
+            labeledStates = filterByLabelMethod(data, method);
+        }
+
         if (!labeledStates || labeledStates.length === 0) {
             return {
                 success: true,
@@ -101,66 +139,198 @@ async function getScoreboard(options = {}) {
             };
         }
 
-        // Count pending (unlabeled) states from replay_states
-        let pendingQuery = client
-            .from('replay_states')
-            .select('*', { count: 'exact', head: true })
-            .eq('symbol', symbol)
-            .eq('status', 'COMPLETED')
-            .is('outcome_label', null);
+        if (!versioned) {
+            // Count pending (unlabeled) states from replay_states
+            let pendingQuery = client
+                .from('replay_states')
+                .select('*', { count: 'exact', head: true })
+                .eq('symbol', symbol)
+                .eq('status', 'COMPLETED')
+                .is('outcome_label', null);
+
+            if (batchId) {
+                pendingQuery = pendingQuery.eq('batch_id', batchId);
+            }
 
-        if (batchId) {
-            pendingQuery = pendingQuery.eq('batch_id', batchId);
+            const { count } = await pendingQuery;
+            pendingCount = count;
         }
 
-        const { count: pendingCount } = await pendingQuery;
-
         // Calculate all metrics
         const scoreboard = {
             success: true,
             totalStates: labeledStates.length + (pendingCount || 0),
             labeledStates: labeledStates.length,
             pendingStates: pendingCount || 0,
+            method: method || null,
+            horizon: horizon || null,
+            labelerVersion: labelerVersion || null,
+            ...buildScoreboardMetrics(labeledStates)
+        };
 
-            // Core accuracy metrics
-            accuracyByBias: calculateAccuracyByBias(labeledStates),
-            accuracyByConfidence: calculateAccuracyByConfidence(labeledStates),
+        return scoreboard;
 
-            // WAIT analysis
-            waitCorrectness: calculateWaitCorrectness(labeledStates),
+    } catch (error) {
+        logger.error('Error generating scoreboard:', error);
+        return { success: false, error: error.message };
+    }
+}
 
-            // Regime/scenario performance
-            performanceByRegime: calculatePerformanceByRegime(labeledStates),
-            performanceByScenario: calculatePerformanceByScenario(labeledStates),
+/**
+ * Compute every scoreboard metric for a set of labeled states
+ * (pure - also used to score re-evaluated states without touching the DB)
+ *
+ * @param {Array} labeledStates - replay_states-shaped rows with outcome_label
+ * @returns {Object} Scoreboard metric sections
+ */
+function buildScoreboardMetrics(labeledStates) {
+    return {
+        // Core accuracy metrics
+        accuracyByBias: calculateAccuracyByBias(labeledStates),
+        accuracyByConfidence: calculateAccuracyByConfidence(labeledStates),
 
-            // Outcome distribution
-            outcomeDistribution: calculateOutcomeDistribution(labeledStates),
+        // WAIT analysis
+        waitCorrectness: calculateWaitCorrectness(labeledStates),
 
-            // Overall statistics
-            overallStats: calculateOverallStats(labeledStates),
+        // Regime/scenario performance
+        performanceByRegime: calculatePerformanceByRegime(labeledStates),
+        performanceByScenario: calculatePerformanceByScenario(labeledStates),
+
+        // Outcome distribution
+        outcomeDistribution: calculateOutcomeDistribution(labeledStates),
+
+        // Overall statistics
+        overallStats: calculateOverallStats(labeledStates),
+
+        // Directional accuracy (LONG vs SHORT breakdown)
+        directionalAccuracy: calculateDirectionalAccuracy(labeledStates),
+
+        // Confidence calibration analysis
+        confidenceCalibration: analyzeConfidenceCalibration(labeledStates),
+
+        // Phase 9: New metrics
+        regimeExpectations: validateRegimeExpectations(labeledStates),
+        waitEffectiveness: calculateWaitEffectiveness(labeledStates),
+        failureAnalysis: analyzeFailureReasons(labeledStates),
+
+        // Enhancement 2-3: Timeframe and Alignment
+        timeframeAccuracy: calculateAccuracyByTimeframe(labeledStates),
+        alignmentAccuracy: calculateAlignmentAccuracy(labeledStates),
+
+        // Label methods: version mix and triple-barrier results
+        labelMethods: calculateLabelMethods(labeledStates),
+        barrierStats: calculateBarrierStats(labeledStates)
+    };
+}
+
+/**
+ * =======================================================================
+ * LABEL METHODS
+ * =======================================================================
+ */
+
+const DEFAULT_LABEL_METHOD = 'threshold';
+
+function getLabelMethod(state) {
+    return state.outcome_method || DEFAULT_LABEL_METHOD;
+}
+
+/**
+ * Keep states labeled with `method` (no method = all states)
+ */
+function filterByLabelMethod(states, method) {
+    if (!method) return states || [];
+    return (states || []).filter(s => getLabelMethod(s) === method);
+}
+
+/**
+ * Label count per method version and horizon - accuracy across versions
+ * (or horizons) is not comparable
+ */
+function calculateLabelMethods(states) {
+    const versions = {};
+    const horizons = {};
+    for (const state of states) {
+        const version = state.outcome_method_version || `${getLabelMethod(state)} (unversioned)`;
+        versions[version] = (versions[version] || 0) + 1;
 
-            // Directional accuracy (LONG vs SHORT breakdown)
-            directionalAccuracy: calculateDirectionalAccuracy(labeledStates),
+        const horizon = state.outcome_horizon || 'unknown';
+        horizons[horizon] = (horizons[horizon] || 0) + 1;
+    }
 
-            // Confidence calibration analysis
-            confidenceCalibration: analyzeConfidenceCalibration(labeledStates),
+    return {
+        versions,
+        horizons,
+        mixed: Object.keys(versions).length > 1
+    };
+}
 
-            // Phase 9: New metrics
-            regimeExpectations: validateRegimeExpectations(labeledStates),
-            waitEffectiveness: calculateWaitEffectiveness(labeledStates),
-            failureAnalysis: analyzeFailureReasons(labeledStates),
+/**
+ * Triple-barrier results: barrier hit rates, R-multiple expectancy by bias
+ * and confidence, average time to hit (states without a barrier are ignored)
+ */
+function calculateBarrierStats(states) {
+    const barrierStates = states.filter(s => s.outcome_barrier);
+    const byBarrier = { profit: 0, stop: 0, time: 0, upper: 0, lower: 0 };
+    const timeToHit = {};
+
+    for (const state of barrierStates) {
+        if (byBarrier[state.outcome_barrier] !== undefined) byBarrier[state.outcome_barrier]++;
+
+        const ms = state.outcome_time_to_hit_ms;
+        if (ms !== null && ms !== undefined) {
+            const entry = timeToHit[state.outcome_barrier] || (timeToHit[state.outcome_barrier] = { total: 0, count: 0 });
+            entry.total += Number(ms);
+            entry.count++;
+        }
+    }
 
-            // Enhancement 2-3: Timeframe and Alignment
-            timeframeAccuracy: calculateAccuracyByTimeframe(labeledStates),
-            alignmentAccuracy: calculateAlignmentAccuracy(labeledStates)
+    const rate = (count, total) => total > 0 ? Number(((count / total) * 100).toFixed(1)) : 0;
+    const expectancy = (group) => {
+        const rs = group.map(s => s.outcome_r_multiple).filter(r => r !== null && r !== undefined).map(Number);
+        const totalR = rs.reduce((a, b) => a + b, 0);
+        return {
+            count: rs.length,
+            totalR: Number(totalR.toFixed(2)),
+            avgR: rs.length > 0 ? Number((totalR / rs.length).toFixed(3)) : 0
         };
+    };
 
-        return scoreboard;
+    const directional = barrierStates.filter(s => s.bias === 'LONG' || s.bias === 'SHORT');
+    const waits = barrierStates.filter(s => s.bias === 'WAIT');
+    const touched = byBarrier.profit + byBarrier.stop;
 
-    } catch (error) {
-        logger.error('Error generating scoreboard:', error);
-        return { success: false, error: error.message };
+    const byConfidence = {};
+    for (const bucket of CONFIDENCE_BUCKETS) {
+        byConfidence[bucket.name] = expectancy(directional.filter(s => getConfidenceBucket(s.confidence || 0) === bucket.name));
     }
+
+    return {
+        labeledStates: barrierStates.length,
+        byBarrier,
+        directional: {
+            signals: directional.length,
+            profitRate: rate(byBarrier.profit, directional.length),
+            stopRate: rate(byBarrier.stop, directional.length),
+            timeRate: rate(directional.filter(s => s.outcome_barrier === 'time').length, directional.length),
+            // Profit share of the signals that reached a price barrier
+            hitRate: rate(byBarrier.profit, touched),
+            ...expectancy(directional)
+        },
+        expectancyByBias: {
+            LONG: expectancy(directional.filter(s => s.bias === 'LONG')),
+            SHORT: expectancy(directional.filter(s => s.bias === 'SHORT'))
+        },
+        expectancyByConfidence: byConfidence,
+        wait: {
+            signals: waits.length,
+            correctRate: rate(waits.filter(s => s.outcome_barrier === 'time').length, waits.length),
+            missedMoves: waits.length - waits.filter(s => s.outcome_barrier === 'time').length
+        },
+        avgTimeToHitMs: Object.fromEntries(
+            Object.entries(timeToHit).map(([barrier, { total, count }]) => [barrier, Math.round(total / count)])
+        )
+    };
 }
 
 /**
@@ -905,43 +1075,204 @@ function calculateAlignmentAccuracy(states) {
  * =======================================================================
  * ENHANCEMENT 4: Baseline Storage System
  * =======================================================================
- * Store current scoreboard as baseline for comparison
+ * Store current scoreboard as baseline for comparison.
+ * Persisted in scoreboard_baselines (db/create_scoreboard_baselines_table.sql),
+ * linked to the config version and batch the scoreboard was measured on.
  */
 
-// In-memory baseline storage (would use DB in production)
-const baselineStore = new Map();
+// Breakdown dimensions compared across baselines
+const BASELINE_DIMENSIONS = ['regime', 'scenario', 'timeframe', 'confidence', 'bias'];
+
+/**
+ * Extract per-dimension { key: { total, correct, accuracy } } maps
+ */
+function extractBreakdowns(scoreboard) {
+    return {
+        regime: scoreboard.performanceByRegime || {},
+        scenario: scoreboard.performanceByScenario || {},
+        timeframe: scoreboard.timeframeAccuracy?.byTimeframe || {},
+        confidence: scoreboard.accuracyByConfidence || {},
+        bias: scoreboard.accuracyByBias || {}
+    };
+}
+
+function rowToBaseline(row) {
+    return {
+        id: row.id,
+        name: row.name,
+        symbol: row.symbol,
+        configVersion: row.config_version,
+        batchId: row.batch_id,
+        savedAt: Number(row.saved_at),
+        metrics: row.metrics || {},
+        breakdowns: row.breakdowns || {}
+    };
+}
+
+/**
+ * Save a scoreboard as a baseline
+ *
+ * @param {string} name - Display name
+ * @param {Object} scoreboard - Output of getScoreboard()
+ * @param {Object} options - { symbol, batchId, configVersion }
+ * @returns {Object} { success, baseline } or { success: false, error }
+ */
+async function saveBaseline(name, scoreboard, options = {}) {
+    const client = stateStorage.getSupabase();
+    if (!client) {
+        return { success: false, error: 'Database not configured' };
+    }
+
+    const { symbol = 'BTC', batchId = null, configVersion = null } = options;
+
+    const metrics = {
+        totalStates: scoreboard.totalStates,
+        labeledStates: scoreboard.labeledStates,
+        overallAccuracy: scoreboard.overallStats?.overallAccuracy || 0,
+        directionalAccuracy: scoreboard.directionalAccuracy || {},
+        waitCorrectnessRate: scoreboard.waitCorrectness?.rate || 0,
+        isMonotonic: scoreboard.confidenceCalibration?.isMonotonic || false,
+        waitEffective: scoreboard.waitEffectiveness?.isEffective || null,
+        dominantFailure: scoreboard.failureAnalysis?.dominantFailure || null,
+        timeframeAccuracy: scoreboard.timeframeAccuracy || {},
+        alignmentAccuracy: scoreboard.alignmentAccuracy || {}
+    };
 
-async function saveBaseline(name, scoreboard) {
-    const baseline = {
-        id: `baseline_${Date.now()}`,
+    const row = {
         name: name || `Baseline ${new Date().toISOString()}`,
-        savedAt: Date.now(),
-        metrics: {
-            totalStates: scoreboard.totalStates,
-            labeledStates: scoreboard.labeledStates,
-            overallAccuracy: scoreboard.overallStats?.overallAccuracy || 0,
-            directionalAccuracy: scoreboard.directionalAccuracy || {},
-            waitCorrectnessRate: scoreboard.waitCorrectness?.rate || 0,
-            isMonotonic: scoreboard.confidenceCalibration?.isMonotonic || false,
-            waitEffective: scoreboard.waitEffectiveness?.isEffective || null,
-            dominantFailure: scoreboard.failureAnalysis?.dominantFailure || null,
-            timeframeAccuracy: scoreboard.timeframeAccuracy || {},
-            alignmentAccuracy: scoreboard.alignmentAccuracy || {}
-        }
+        symbol,
+        config_version: configVersion,
+        batch_id: batchId,
+        labeled_states: scoreboard.labeledStates || 0,
+        overall_accuracy: metrics.overallAccuracy,
+        directional_accuracy: scoreboard.overallStats?.directionalAccuracy || 0,
+        wait_correctness_rate: metrics.waitCorrectnessRate,
+        metrics,
+        breakdowns: extractBreakdowns(scoreboard),
+        saved_at: Date.now()
     };
 
-    baselineStore.set(baseline.id, baseline);
-    logger.info(`📏 Saved baseline: ${baseline.name} (${baseline.id})`);
+    try {
+        const { data, error } = await client
+            .from('scoreboard_baselines')
+            .insert(row)
+            .select()
+            .single();
+
+        if (error) {
+            logger.error('Error saving baseline:', error);
+            return { success: false, error: error.message };
+        }
+
+        const baseline = rowToBaseline(data);
+        logger.info(`📏 Saved baseline: ${baseline.name} (${baseline.id}, config ${configVersion || 'n/a'})`);
+
+        return { success: true, baseline };
+
+    } catch (error) {
+        logger.error('Error saving baseline:', error);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * List baselines, newest first
+ * @param {Object} options - { symbol, limit }
+ */
+async function getBaselines(options = {}) {
+    const client = stateStorage.getSupabase();
+    if (!client) return [];
+
+    const { symbol, limit = 50 } = options;
+
+    try {
+        let query = client
+            .from('scoreboard_baselines')
+            .select('*')
+            .order('saved_at', { ascending: false })
+            .limit(limit);
+
+        if (symbol) {
+            query = query.eq('symbol', symbol);
+        }
+
+        const { data, error } = await query;
+
+        if (error) {
+            logger.error('Error fetching baselines:', error);
+            return [];
+        }
+
+        return (data || []).map(rowToBaseline);
+
+    } catch (error) {
+        logger.error('Error fetching baselines:', error);
+        return [];
+    }
+}
+
+/**
+ * Get baselines by ID (order of the returned array is not guaranteed)
+ */
+async function getBaselinesByIds(baselineIds) {
+    const client = stateStorage.getSupabase();
+    if (!client || baselineIds.length === 0) return [];
+
+    try {
+        const { data, error } = await client
+            .from('scoreboard_baselines')
+            .select('*')
+            .in('id', baselineIds);
+
+        if (error) {
+            logger.error('Error fetching baselines:', error);
+            return [];
+        }
+
+        return (data || []).map(rowToBaseline);
+
+    } catch (error) {
+        logger.error('Error fetching baselines:', error);
+        return [];
+    }
+}
 
-    return baseline;
+/**
+ * Delta between two accuracy numbers (null when either side is missing)
+ */
+function accuracyDelta(current, previous) {
+    if (current === null || current === undefined || previous === null || previous === undefined) {
+        return null;
+    }
+    return Number((current - previous).toFixed(1));
 }
 
-function getBaselines() {
-    return Array.from(baselineStore.values()).sort((a, b) => b.savedAt - a.savedAt);
+/**
+ * Diff two breakdown maps ({ key: { total, accuracy } }) key by key
+ */
+function diffBreakdown(current = {}, previous = {}) {
+    const result = {};
+    const keys = new Set([...Object.keys(current), ...Object.keys(previous)]);
+
+    for (const key of keys) {
+        const cur = current[key];
+        const prev = previous[key];
+        result[key] = {
+            current: cur ? cur.accuracy : null,
+            previous: prev ? prev.accuracy : null,
+            currentTotal: cur ? cur.total : 0,
+            previousTotal: prev ? prev.total : 0,
+            delta: cur && prev && cur.total > 0 && prev.total > 0
+                ? accuracyDelta(cur.accuracy, prev.accuracy)
+                : null
+        };
+    }
+
+    return result;
 }
 
-function compareToBaseline(currentScoreboard, baselineId) {
-    const baseline = baselineStore.get(baselineId);
+async function compareToBaseline(currentScoreboard, baselineId) {
+    const [baseline] = await getBaselinesByIds([baselineId]);
     if (!baseline) {
         return { success: false, error: 'Baseline not found' };
     }
@@ -967,6 +1298,13 @@ function compareToBaseline(currentScoreboard, baselineId) {
         shortAccuracy: Number((current.shortAccuracy - base.shortAccuracy).toFixed(1))
     };
 
+    // Per-dimension deltas
+    const currentBreakdowns = extractBreakdowns(currentScoreboard);
+    const breakdownDelta = {};
+    for (const dimension of BASELINE_DIMENSIONS) {
+        breakdownDelta[dimension] = diffBreakdown(currentBreakdowns[dimension], baseline.breakdowns[dimension]);
+    }
+
     const improved = delta.overallAccuracy > 0;
     const totalDelta = delta.overallAccuracy;
 
@@ -975,11 +1313,14 @@ function compareToBaseline(currentScoreboard, baselineId) {
         baseline: {
             id: baseline.id,
             name: baseline.name,
-            savedAt: baseline.savedAt
+            savedAt: baseline.savedAt,
+            configVersion: baseline.configVersion,
+            batchId: baseline.batchId
         },
         current,
         base,
         delta,
+        breakdownDelta,
         improved,
         summary: improved
             ? `📈 Improved by ${totalDelta}% overall accuracy`
@@ -989,8 +1330,139 @@ function compareToBaseline(currentScoreboard, baselineId) {
     };
 }
 
-function deleteBaseline(baselineId) {
-    return baselineStore.delete(baselineId);
+/**
+ * Line up N baselines over time (oldest first).
+ * Each step carries deltas vs the previous baseline; `net` is last vs first.
+ *
+ * @param {Array} baselines - Baseline objects (any order)
+ * @returns {Object} { baselines, topLine, breakdowns, net }
+ */
+function buildBaselineTrend(baselines) {
+    const ordered = [...baselines].sort((a, b) => a.savedAt - b.savedAt);
+
+    const topLine = ordered.map((b, i) => {
+        const prev = ordered[i - 1];
+        const point = {
+            baselineId: b.id,
+            savedAt: b.savedAt,
+            labeledStates: b.metrics.labeledStates || 0,
+            overallAccuracy: b.metrics.overallAccuracy ?? null,
+            waitCorrectnessRate: b.metrics.waitCorrectnessRate ?? null,
+            longAccuracy: b.metrics.directionalAccuracy?.longAccuracy ?? null,
+            shortAccuracy: b.metrics.directionalAccuracy?.shortAccuracy ?? null
+        };
+        point.delta = prev ? {
+            overallAccuracy: accuracyDelta(point.overallAccuracy, prev.metrics.overallAccuracy ?? null),
+            waitCorrectnessRate: accuracyDelta(point.waitCorrectnessRate, prev.metrics.waitCorrectnessRate ?? null),
+            longAccuracy: accuracyDelta(point.longAccuracy, prev.metrics.directionalAccuracy?.longAccuracy ?? null),
+            shortAccuracy: accuracyDelta(point.shortAccuracy, prev.metrics.directionalAccuracy?.shortAccuracy ?? null)
+        } : null;
+        return point;
+    });
+
+    // breakdowns[dimension][key] = [{ baselineId, total, accuracy, delta }]
+    const breakdowns = {};
+    for (const dimension of BASELINE_DIMENSIONS) {
+        const keys = new Set();
+        ordered.forEach(b => Object.keys(b.breakdowns?.[dimension] || {}).forEach(k => keys.add(k)));
+
+        breakdowns[dimension] = {};
+        for (const key of keys) {
+            let previous = null;
+            breakdowns[dimension][key] = ordered.map(b => {
+                const entry = b.breakdowns?.[dimension]?.[key];
+                const hasData = entry && entry.total > 0;
+                const point = {
+                    baselineId: b.id,
+                    total: entry?.total || 0,
+                    accuracy: hasData ? entry.accuracy : null,
+                    delta: hasData && previous ? accuracyDelta(entry.accuracy, previous.accuracy) : null
+                };
+                if (hasData) previous = entry;
+                return point;
+            });
+        }
+    }
+
+    const first = topLine[0];
+    const last = topLine[topLine.length - 1];
+    const netOverall = first && last && first !== last
+        ? accuracyDelta(last.overallAccuracy, first.overallAccuracy)
+        : null;
+
+    return {
+        baselines: ordered.map(b => ({
+            id: b.id,
+            name: b.name,
+            savedAt: b.savedAt,
+            configVersion: b.configVersion,
+            batchId: b.batchId
+        })),
+        topLine,
+        breakdowns,
+        net: {
+            overallAccuracy: netOverall,
+            improved: netOverall !== null ? netOverall > 0 : null,
+            summary: netOverall === null
+                ? 'Need at least two baselines to compare'
+                : netOverall > 0
+                    ? `📈 Improved by ${netOverall}% overall accuracy since ${ordered[0].name}`
+                    : netOverall < 0
+                        ? `📉 Declined by ${Math.abs(netOverall)}% overall accuracy since ${ordered[0].name}`
+                        : '➡️ No change in overall accuracy'
+        }
+    };
+}
+
+/**
+ * Compare N baselines over time
+ *
+ * @param {Object} options - { baselineIds } or { symbol, limit } (latest N)
+ */
+async function compareBaselines(options = {}) {
+    const { symbol, limit = 10 } = options;
+    // A repeated id is compared once
+    const baselineIds = options.baselineIds ? [...new Set(options.baselineIds)] : null;
+
+    const baselines = baselineIds && baselineIds.length > 0
+        ? await getBaselinesByIds(baselineIds)
+        : await getBaselines({ symbol, limit });
+
+    if (baselineIds && baselines.length !== baselineIds.length) {
+        const found = new Set(baselines.map(b => b.id));
+        const missing = baselineIds.filter(id => !found.has(id));
+        return { success: false, error: `Baseline not found: ${missing.join(', ')}` };
+    }
+
+    return {
+        success: true,
+        count: baselines.length,
+        ...buildBaselineTrend(baselines)
+    };
+}
+
+async function deleteBaseline(baselineId) {
+    const client = stateStorage.getSupabase();
+    if (!client) return false;
+
+    try {
+        const { data, error } = await client
+            .from('scoreboard_baselines')
+            .delete()
+            .eq('id', baselineId)
+            .select('id');
+
+        if (error) {
+            logger.error('Error deleting baseline:', error);
+            return false;
+        }
+
+        return (data || []).length > 0;
+
+    } catch (error) {
+        logger.error('Error deleting baseline:', error);
+        return false;
+    }
 }
 
 /**
@@ -1026,6 +1498,7 @@ async function getScoreboardSummary(options = {}) {
 module.exports = {
     getScoreboard,
     getScoreboardSummary,
+    buildScoreboardMetrics,
 
     // Individual metric functions (for testing)
     calculateAccuracyByBias,
@@ -1047,10 +1520,17 @@ module.exports = {
     calculateAccuracyByTimeframe,
     calculateAlignmentAccuracy,
 
+    // Label methods
+    calculateLabelMethods,
+    calculateBarrierStats,
+    filterByLabelMethod,
+
     // Enhancement 4: Baselines
     saveBaseline,
     getBaselines,
     compareToBaseline,
+    compareBaselines,
+    buildBaselineTrend,
     deleteBaseline,
 
     // Helpers
@@ -0,0 +1,540 @@
+// src/jobs/scanCandleGaps.js
+// ============================================================================
+// Candle Gap Scan & Repair Job
+// ============================================================================
+// Finds holes in historical_candles and fills them. Missing candles otherwise
+// surface much later as FAILED_INSUFFICIENT_DATA replay samples.
+//
+// - Scan: per exchange/symbol/timeframe/data type, walks the UTC candle grid
+//   between the first and last stored candle and records every contiguous run
+//   of missing values in candle_gaps (the persistent gap report).
+// - Repair: refetches open gaps through the sync job (syncRanges), re-checks
+//   them, and after GAP_CONFIG.maxRepairAttempts marks the candles that are
+//   still missing as 'unrecoverable' so they stop being retried. Gaps left
+//   'repairing' by a crashed run are picked up again after
+//   GAP_CONFIG.repairTimeoutMs.
+//
+// A data type counts as missing when its column is NULL, so a row that has
+// price but no OI is an OI gap. A series with no value at all for a data type
+// (never ingested for that venue) is skipped, not reported as one big gap.
+// ============================================================================
+
+const historicalCandleStorage = require('../services/historicalCandleStorage');
+const syncHistoricalData = require('./syncHistoricalData');
+const symbolRegistry = require('../services/symbolRegistry');
+const streamService = require('../services/streamService');
+const { intervalToMs, alignStartTimeToBoundary, alignEndTimeToLastClosedCandle } = require('../services/dataUtils');
+const logger = require('../utils/logger');
+
+/**
+ * =======================================================================
+ * CONFIGURATION
+ * =======================================================================
+ */
+
+const GAP_CONFIG = {
+    // Column that must be non-null for a candle to have each data type
+    dataTypeColumns: {
+        price: 'close',
+        oi: 'oi_close',
+        funding: 'funding_rate',
+        taker_volume: 'buy_volume',
+        liquidations: 'liq_long_usd',
+        long_short_ratio: 'global_ls_ratio',
+        top_trader_ratio: 'top_ls_ratio',
+        spot_price: 'spot_close',
+        spot_taker_volume: 'spot_buy_volume'
+    },
+
+    // Refetch attempts before a gap is marked unrecoverable
+    maxRepairAttempts: 3,
+
+    // Gaps refetched per repair run (each gap is at least one API request)
+    maxGapsPerRepair: 50,
+
+    // A gap still 'repairing' this long after last_repair_at was left behind
+    // by a crashed or restarted run and is repaired again
+    repairTimeoutMs: 30 * 60 * 1000
+};
+
+const GAP_STATUS = {
+    OPEN: 'open',
+    REPAIRING: 'repairing',
+    REPAIRED: 'repaired',
+    UNRECOVERABLE: 'unrecoverable'
+};
+
+// Gap rows a scan may update (repaired rows are history)
+const ACTIVE_STATUSES = [GAP_STATUS.OPEN, GAP_STATUS.REPAIRING, GAP_STATUS.UNRECOVERABLE];
+
+// In-memory job state (last results are served by GET /api/data/gaps/status)
+let gapJobState = {
+    scanRunning: false,
+    repairRunning: false,
+    lastScan: null,
+    lastRepair: null
+};
+
+/**
+ * =======================================================================
+ * GAP DETECTION
+ * =======================================================================
+ */
+
+/**
+ * Find runs of missing candles on the UTC grid of a timeframe
+ * @param {Array<number>} timestamps - Candle open times that have data
+ * @param {string} timeframe - '30m', '1h', '4h', '1d'
+ * @param {number} startTime - First expected candle (rounded up to a boundary)
+ * @param {number} endTime - Last expected candle (rounded down to a boundary)
+ * @returns {Array} [{ gapStart, gapEnd, missingCount }] - ascending
+ */
+function findMissingRanges(timestamps, timeframe, startTime, endTime) {
+    const intervalMs = intervalToMs(timeframe);
+    let first = alignStartTimeToBoundary(timeframe, startTime);
+    if (first < startTime) first += intervalMs;
+    const last = alignStartTimeToBoundary(timeframe, endTime);
+
+    const present = new Set(timestamps.map(Number));
+    const ranges = [];
+    let current = null;
+
+    for (let t = first; t <= last; t += intervalMs) {
+        if (present.has(t)) {
+            current = null;
+            continue;
+        }
+        if (current) {
+            current.gapEnd = t;
+            current.missingCount++;
+        } else {
+            current = { gapStart: t, gapEnd: t, missingCount: 1 };
+            ranges.push(current);
+        }
+    }
+
+    return ranges;
+}
+
+function overlaps(row, range) {
+    return Number(row.gap_start) <= range.gapEnd && Number(row.gap_end) >= range.gapStart;
+}
+
+/**
+ * Scan one series and reconcile the gap report
+ * Gaps found again update their existing row (status and attempts are kept),
+ * new ones are inserted as open, and active rows in the window that are no
+ * longer missing are closed as repaired.
+ *
+ * @param {Object} series - { exchange, symbol, timeframe, dataType, startTime, endTime }
+ * @returns {Object} { success, gaps, missingCandles, inserted, updated, resolved }
+ */
+async function scanSeries({ exchange, symbol = 'BTC', timeframe, dataType, startTime, endTime }) {
+    const column = GAP_CONFIG.dataTypeColumns[dataType];
+    if (!column) return { success: false, error: `Unknown data type: ${dataType}` };
+
+    const intervalMs = intervalToMs(timeframe);
+    const series = { exchange, symbol, timeframe, dataType };
+
+    // Default window: first..last stored candle (any data type). Candles after
+    // the last stored one are sync freshness, not gaps.
+    const windowStart = startTime || await historicalCandleStorage.getEarliestTimestamp(exchange, symbol, timeframe);
+    const latest = endTime || await historicalCandleStorage.getLatestTimestamp(exchange, symbol, timeframe);
+    if (!windowStart || !latest) {
+        return { success: true, ...series, skipped: 'No stored candles', gaps: 0, missingCandles: 0 };
+    }
+
+    // Never expect a candle that has not closed yet
+    const lastClosed = alignEndTimeToLastClosedCandle(timeframe, Date.now()) - intervalMs;
+    const windowEnd = Math.min(Number(latest), lastClosed);
+
+    const { success, error, timestamps } = await historicalCandleStorage.getCandleTimestamps({
+        exchange, symbol, timeframe, column, startTime: windowStart, endTime: windowEnd
+    });
+    if (!success) return { success: false, ...series, error };
+    if (timestamps.length === 0) {
+        return { success: true, ...series, skipped: `No ${dataType} data stored`, gaps: 0, missingCandles: 0 };
+    }
+
+    const ranges = findMissingRanges(timestamps, timeframe, Number(windowStart), windowEnd);
+
+    const existing = await historicalCandleStorage.getCandleGaps({
+        exchange, symbol, timeframe, dataType, status: ACTIVE_STATUSES
+    });
+    if (!existing.success) return { success: false, ...series, error: existing.error };
+
+    const now = new Date().toISOString();
+    const matched = new Set();
+    const toInsert = [];
+    let updated = 0;
+
+    for (const range of ranges) {
+        const row = existing.gaps.find(g => !matched.has(g.id) && overlaps(g, range));
+        if (!row) {
+            toInsert.push({
+                exchange,
+                symbol,
+                timeframe,
+                data_type: dataType,
+                gap_start: range.gapStart,
+                gap_end: range.gapEnd,
+                missing_count: range.missingCount,
+                status: GAP_STATUS.OPEN,
+                last_scanned_at: now
+            });
+            continue;
+        }
+
+        matched.add(row.id);
+        await historicalCandleStorage.updateCandleGap(row.id, {
+            gap_start: range.gapStart,
+            gap_end: range.gapEnd,
+            missing_count: range.missingCount,
+            last_scanned_at: now
+        });
+        updated++;
+    }
+
+    // Active rows inside the scanned window that were not found again
+    let resolved = 0;
+    for (const row of existing.gaps) {
+        if (matched.has(row.id)) continue;
+        if (Number(row.gap_start) < windowStart || Number(row.gap_end) > windowEnd) continue;
+
+        await historicalCandleStorage.updateCandleGap(row.id, {
+            status: GAP_STATUS.REPAIRED,
+            missing_count: 0,
+            repaired_at: now,
+            last_scanned_at: now
+        });
+        resolved++;
+    }
+
+    const insertResult = await historicalCandleStorage.insertCandleGaps(toInsert);
+    if (!insertResult.success) return { success: false, ...series, error: insertResult.error };
+
+    const missingCandles = ranges.reduce((sum, r) => sum + r.missingCount, 0);
+    if (ranges.length > 0) {
+        logger.info(`[GAPS] ${exchange} ${symbol} ${timeframe} ${dataType}: ${ranges.length} gap(s), ${missingCandles} candle(s) missing`);
+    }
+
+    return {
+        success: true,
+        ...series,
+        window: { start: Number(windowStart), end: windowEnd },
+        gaps: ranges.length,
+        missingCandles,
+        inserted: insertResult.inserted,
+        updated,
+        resolved
+    };
+}
+
+/**
+ * Resolve { exchanges, symbols, timeframes, dataTypes } filters to series
+ * Same filter semantics as syncHistoricalData.startSync (['all'] accepted).
+ */
+function resolveSeries(options = {}) {
+    const {
+        symbols = syncHistoricalData.SYNC_CONFIG.defaultSymbols,
+        exchanges = ['all'],
+        timeframes = ['all'],
+        dataTypes = ['all']
+    } = options;
+
+    const selectedSymbols = symbols.includes('all')
+        ? symbolRegistry.getSupportedSymbols()
+        : symbols.map(s => symbolRegistry.resolveSymbol(s)).filter(Boolean);
+
+    const selectedExchanges = syncHistoricalData.SYNC_CONFIG.exchanges.filter(e =>
+        selectedSymbols.includes(e.asset) &&
+        (exchanges.includes(e.name) || exchanges.includes('both') || exchanges.includes('all'))
+    );
+
+    const selectedTimeframes = syncHistoricalData.SYNC_CONFIG.timeframes.filter(tf =>
+        timeframes.includes(tf) || timeframes.includes('all')
+    );
+
+    const selectedDataTypes = Object.keys(GAP_CONFIG.dataTypeColumns).filter(dt =>
+        dataTypes.includes(dt) || dataTypes.includes('all')
+    );
+
+    const series = [];
+    for (const exchange of selectedExchanges) {
+        for (const timeframe of selectedTimeframes) {
+            for (const dataType of selectedDataTypes) {
+                series.push({ exchange: exchange.name, symbol: exchange.asset, timeframe, dataType });
+            }
+        }
+    }
+    return series;
+}
+
+/**
+ * Scan every selected series and write the gap report
+ * @param {Object} options - { symbols, exchanges, timeframes, dataTypes, startTime, endTime }
+ */
+async function scanGaps(options = {}) {
+    if (gapJobState.scanRunning) {
+        return { success: false, error: 'Gap scan already in progress' };
+    }
+
+    gapJobState.scanRunning = true;
+    const startedAt = Date.now();
+    const series = resolveSeries(options);
+
+    logger.info(`[GAPS] Scanning ${series.length} series...`);
+
+    try {
+        const results = [];
+        for (const s of series) {
+            results.push(await scanSeries({ ...s, startTime: options.startTime, endTime: options.endTime }));
+        }
+
+        const summary = {
+            success: results.every(r => r.success),
+            series: results.length,
+            gaps: results.reduce((sum, r) => sum + (r.gaps || 0), 0),
+            missingCandles: results.reduce((sum, r) => sum + (r.missingCandles || 0), 0),
+            inserted: results.reduce((sum, r) => sum + (r.inserted || 0), 0),
+            resolved: results.reduce((sum, r) => sum + (r.resolved || 0), 0),
+            errors: results.filter(r => !r.success).map(r => ({
+                series: `${r.exchange} ${r.symbol} ${r.timeframe} ${r.dataType}`,
+                error: r.error
+            })),
+            results,
+            startedAt,
+            duration: Date.now() - startedAt
+        };
+
+        gapJobState.lastScan = { ...summary, results: undefined };
+        streamService.publish('sync', gapJobState.lastScan, { type: 'gap_scan_completed' });
+        logger.info(`[GAPS] Scan complete: ${summary.gaps} gap(s), ${summary.missingCandles} missing candle(s), ${summary.resolved} resolved`);
+
+        return summary;
+
+    } catch (error) {
+        logger.error('[GAPS] Scan failed:', error);
+        return { success: false, error: error.message };
+    } finally {
+        gapJobState.scanRunning = false;
+    }
+}
+
+/**
+ * =======================================================================
+ * GAP REPAIR
+ * =======================================================================
+ */
+
+/**
+ * Count what is still missing inside a gap after a refetch
+ */
+async function recheckGap(gap) {
+    const column = GAP_CONFIG.dataTypeColumns[gap.data_type];
+    const { success, error, timestamps } = await historicalCandleStorage.getCandleTimestamps({
+        exchange: gap.exchange,
+        symbol: gap.symbol,
+        timeframe: gap.timeframe,
+        column,
+        startTime: Number(gap.gap_start),
+        endTime: Number(gap.gap_end)
+    });
+    if (!success) return { success: false, error };
+
+    const ranges = findMissingRanges(timestamps, gap.timeframe, Number(gap.gap_start), Number(gap.gap_end));
+    return {
+        success: true,
+        remaining: ranges.reduce((sum, r) => sum + r.missingCount, 0),
+        gapStart: ranges.length > 0 ? ranges[0].gapStart : null,
+        gapEnd: ranges.length > 0 ? ranges[ranges.length - 1].gapEnd : null
+    };
+}
+
+/**
+ * Gap left 'repairing' by a run that never finished (crash, restart)
+ */
+function isStaleRepair(gap, now = Date.now()) {
+    if (gap.status !== GAP_STATUS.REPAIRING) return false;
+    const lastRepairAt = gap.last_repair_at ? new Date(gap.last_repair_at).getTime() : 0;
+    return now - lastRepairAt >= GAP_CONFIG.repairTimeoutMs;
+}
+
+/**
+ * Refetch open gaps through the sync job and update the gap report
+ * @param {Object} options - {
+ *   ids: restrict to these gap ids,
+ *   exchanges, symbols, timeframes, dataTypes: filters (single values or arrays),
+ *   includeUnrecoverable: also retry gaps already given up on (default false),
+ *   maxGaps: cap per run (default GAP_CONFIG.maxGapsPerRepair)
+ * }
+ * Stale 'repairing' gaps (see isStaleRepair) are retried like open ones.
+ * @returns {Object} { success, attempted, repaired, open, unrecoverable, gaps[] }
+ */
+async function repairGaps(options = {}) {
+    const {
+        ids,
+        includeUnrecoverable = false,
+        maxGaps = GAP_CONFIG.maxGapsPerRepair
+    } = options;
+
+    if (gapJobState.repairRunning) {
+        return { success: false, error: 'Gap repair already in progress' };
+    }
+    if (syncHistoricalData.getSyncStatus().isRunning) {
+        return { success: false, error: 'Sync already in progress' };
+    }
+
+    const statuses = includeUnrecoverable
+        ? [GAP_STATUS.OPEN, GAP_STATUS.REPAIRING, GAP_STATUS.UNRECOVERABLE]
+        : [GAP_STATUS.OPEN, GAP_STATUS.REPAIRING];
+    const { success, error, gaps: stored } = await historicalCandleStorage.getCandleGaps({ status: statuses });
+    if (!success) return { success: false, error };
+
+    // Stale 'repairing' rows go back through the repair as open gaps
+    const candidates = stored
+        .filter(g => g.status !== GAP_STATUS.REPAIRING || isStaleRepair(g))
+        .map(g => (g.status === GAP_STATUS.REPAIRING ? { ...g, status: GAP_STATUS.OPEN } : g));
+
+    const toList = value => (value === undefined || value === null ? null : [].concat(value));
+    const filters = {
+        exchange: toList(options.exchanges || options.exchange),
+        symbol: toList(options.symbols || options.symbol)?.map(s => symbolRegistry.toBaseSymbol(s)),
+        timeframe: toList(options.timeframes || options.timeframe),
+        data_type: toList(options.dataTypes || options.dataType)
+    };
+    const idSet = ids ? new Set([].concat(ids)) : null;
+
+    const gaps = candidates
+        .filter(g => !idSet || idSet.has(g.id))
+        .filter(g => Object.entries(filters).every(([key, values]) => !values || values.includes(g[key])))
+        .slice(0, maxGaps);
+
+    if (gaps.length === 0) {
+        return { success: true, attempted: 0, repaired: 0, open: 0, unrecoverable: 0, gaps: [] };
+    }
+
+    gapJobState.repairRunning = true;
+    const startedAt = Date.now();
+
+    try {
+        const now = new Date().toISOString();
+        for (const gap of gaps) {
+            await historicalCandleStorage.updateCandleGap(gap.id, { status: GAP_STATUS.REPAIRING, last_repair_at: now });
+        }
+
+        // fetchAndStoreData pages while start < end, so end at the close of the last missing candle
+        const sync = await syncHistoricalData.syncRanges(gaps.map(gap => ({
+            exchange: gap.exchange,
+            symbol: gap.symbol,
+            timeframe: gap.timeframe,
+            dataType: gap.data_type,
+            startTime: Number(gap.gap_start),
+            endTime: Number(gap.gap_end) + intervalToMs(gap.timeframe) - 1
+        })), { label: 'Gap repair' });
+
+        if (!sync.success && !sync.results) {
+            for (const gap of gaps) {
+                await historicalCandleStorage.updateCandleGap(gap.id, { status: gap.status });
+            }
+            return { success: false, error: sync.error };
+        }
+
+        const outcomes = [];
+        for (let i = 0; i < gaps.length; i++) {
+            const gap = gaps[i];
+            const fetch = sync.results[i] || { success: false, error: 'Not attempted' };
+            const check = await recheckGap(gap);
+
+            let updates;
+            if (check.success && check.remaining === 0) {
+                updates = {
+                    status: GAP_STATUS.REPAIRED,
+                    missing_count: 0,
+                    repaired_at: new Date().toISOString(),
+                    last_error: null
+                };
+            } else {
+                const attempts = (gap.repair_attempts || 0) + 1;
+                updates = {
+                    status: attempts >= GAP_CONFIG.maxRepairAttempts ? GAP_STATUS.UNRECOVERABLE : GAP_STATUS.OPEN,
+                    repair_attempts: attempts,
+                    last_error: fetch.error || check.error || `${check.remaining} candle(s) still missing after refetch`
+                };
+                if (check.success) {
+                    updates.missing_count = check.remaining;
+                    updates.gap_start = check.gapStart;
+                    updates.gap_end = check.gapEnd;
+                }
+            }
+
+            await historicalCandleStorage.updateCandleGap(gap.id, updates);
+            outcomes.push({
+                id: gap.id,
+                series: `${gap.exchange} ${gap.symbol} ${gap.timeframe} ${gap.data_type}`,
+                gapStart: Number(gap.gap_start),
+                gapEnd: Number(gap.gap_end),
+                stored: fetch.stored || 0,
+                status: updates.status,
+                remaining: updates.missing_count ?? null,
+                error: updates.last_error || null
+            });
+        }
+
+        const summary = {
+            success: true,
+            attempted: outcomes.length,
+            repaired: outcomes.filter(o => o.status === GAP_STATUS.REPAIRED).length,
+            open: outcomes.filter(o => o.status === GAP_STATUS.OPEN).length,
+            unrecoverable: outcomes.filter(o => o.status === GAP_STATUS.UNRECOVERABLE).length,
+            candlesStored: sync.candlesStored || 0,
+            gaps: outcomes,
+            startedAt,
+            duration: Date.now() - startedAt
+        };
+
+        gapJobState.lastRepair = { ...summary, gaps: undefined };
+        streamService.publish('sync', gapJobState.lastRepair, { type: 'gap_repair_completed' });
+        logger.info(`[GAPS] Repair complete: ${summary.repaired}/${summary.attempted} repaired, ${summary.unrecoverable} unrecoverable`);
+
+        return summary;
+
+    } catch (error) {
+        logger.error('[GAPS] Repair failed:', error);
+        return { success: false, error: error.message };
+    } finally {
+        gapJobState.repairRunning = false;
+    }
+}
+
+/**
+ * =======================================================================
+ * STATUS
+ * =======================================================================
+ */
+
+function getGapJobStatus() {
+    return {
+        scanRunning: gapJobState.scanRunning,
+        repairRunning: gapJobState.repairRunning,
+        lastScan: gapJobState.lastScan,
+        lastRepair: gapJobState.lastRepair
+    };
+}
+
+/**
+ * =======================================================================
+ * EXPORTS
+ * =======================================================================
+ */
+
+module.exports = {
+    scanGaps,
+    scanSeries,
+    repairGaps,
+    getGapJobStatus,
+    findMissingRanges,
+    resolveSeries,
+    GAP_CONFIG,
+    GAP_STATUS
+};
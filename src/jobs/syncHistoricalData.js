@@ -2,7 +2,8 @@
 // ============================================================================
 // Historical Data Sync Job - With Smart Rate Limiting
 // ============================================================================
-// Downloads historical market data from Coinglass API and stores in Supabase.
+// Downloads historical market data through the active data provider
+// (Coinglass API by default) and stores in Supabase.
 // Run once to backfill, then periodically to keep data fresh.
 //
 // Features:
@@ -10,14 +11,22 @@
 // - Smart rate limiting with rolling window (stays under 80 req/min)
 // - Auto-pause on 429 errors (65s cooldown)
 // - Resumable (tracks progress in database)
+// - Targeted range refetch for gap repair (syncRanges)
+// - Optional local aggregation of higher timeframes (aggregate: true)
+// - Long/short liquidation history (data type 'liquidations')
+// - Trader positioning ratios ('long_short_ratio', 'top_trader_ratio')
+// - Spot price and spot taker volume ('spot_price', 'spot_taker_volume')
 // - Progress logging for UI feedback
 //
 // Created: 2025-12-17
 // Updated: 2025-12-17 - Added smart rate limiting
 // ============================================================================
 
-const coinglassClient = require('../services/coinglassClient');
+const { getProvider } = require('../services/dataProvider');
 const historicalCandleStorage = require('../services/historicalCandleStorage');
+const candleAggregator = require('../services/candleAggregator');
+const symbolRegistry = require('../services/symbolRegistry');
+const streamService = require('../services/streamService');
 const logger = require('../utils/logger');
 
 /**
@@ -30,24 +39,42 @@ const SYNC_CONFIG = {
     // Data range to sync (3 months by default)
     defaultDaysBack: 90,
 
-    // Exchanges to sync
-    exchanges: [
-        { name: 'Binance', symbol: 'BTCUSDT' },
-        { name: 'Bybit', symbol: 'BTCUSD' }
-    ],
+    // Symbols synced when no filter is given
+    defaultSymbols: ['BTC'],
 
-    // Timeframes to sync
-    timeframes: ['30m', '1h', '4h', '1d'],
+    // Exchanges to sync - one entry per (exchange, instrument) from the symbol registry
+    // e.g. { name: 'Bybit', symbol: 'BTCUSD', asset: 'BTC' }
+    // 'asset' is the base symbol stored in historical_candles.symbol
+    exchanges: symbolRegistry.getSyncExchanges(),
+
+    // Timeframes that can be synced (finest first). Without a filter the
+    // analyzer's active set (config.timeframes.active) is synced
+    timeframes: ['15m', '30m', '1h', '4h', '1d', '1w'],
+
+    // Fetch only the finest timeframe and build the others locally
+    // (candleAggregator) - one request budget instead of one per timeframe
+    aggregateTimeframes: process.env.SYNC_AGGREGATE_TIMEFRAMES === 'true',
 
     // Batch sizes (how many candles per API request)
     batchSize: {
+        '15m': 500,
         '30m': 500,
         '1h': 500,
         '4h': 500,
-        '1d': 500
+        '1d': 500,
+        '1w': 500
     }
 };
 
+/**
+ * Timeframes the analyzer runs on (config.timeframes.active)
+ */
+function getActiveTimeframes() {
+    // Lazy require - marketMetrics pulls in the config service
+    const { getTimeframeConfig } = require('../services/marketMetrics');
+    return getTimeframeConfig().active;
+}
+
 /**
  * =======================================================================
  * RATE LIMITER
@@ -70,6 +97,9 @@ const RATE_LIMIT = {
  * We rely on 429 error handling for actual rate limiting
  */
 async function waitForRateLimit() {
+    // Offline providers (fixtures) need no throttling
+    if (getProvider().rateLimited === false) return;
+
     // Just a small delay between requests
     await sleep(RATE_LIMIT.minDelayBetweenRequests);
 }
@@ -113,6 +143,35 @@ function isRateLimitError(error) {
         error.code === '400' && msg.includes('Too Many');
 }
 
+/**
+ * Provider fetcher for each stored data type
+ */
+const DATA_TYPE_FETCHERS = {
+    price: 'getPriceHistory',
+    oi: 'getOIHistory',
+    funding: 'getFundingHistory',
+    taker_volume: 'getTakerBuySellVolume',
+    liquidations: 'getLiquidationHistory',
+    long_short_ratio: 'getGlobalLongShortRatio',
+    top_trader_ratio: 'getTopTraderPositionRatio',
+    spot_price: 'getSpotPriceHistory',
+    spot_taker_volume: 'getSpotTakerBuySellVolume'
+};
+
+// Spot series are stored on the perpetual's rows but fetched for the spot pair
+const SPOT_DATA_TYPES = ['spot_price', 'spot_taker_volume'];
+
+async function fetchSeries(dataType, params) {
+    const method = DATA_TYPE_FETCHERS[dataType];
+    const provider = getProvider();
+    // Optional provider methods (liquidations, positioning, spot) - no method means no data
+    if (!method || typeof provider[method] !== 'function') return [];
+    if (SPOT_DATA_TYPES.includes(dataType)) {
+        return provider[method]({ ...params, symbol: symbolRegistry.getSpotSymbol(params.symbol) });
+    }
+    return provider[method](params);
+}
+
 // In-memory sync state
 let syncState = {
     isRunning: false,
@@ -146,14 +205,22 @@ async function startSync(options = {}) {
     const {
         daysBack = SYNC_CONFIG.defaultDaysBack,
         force = false,
+        symbols = SYNC_CONFIG.defaultSymbols,  // Filter: ['BTC', 'ETH', 'SOL'] or ['all']
         exchanges = ['Binance', 'Bybit'],   // Filter: 'Binance', 'Bybit', or both
-        timeframes = ['30m', '1h', '4h', '1d'],  // Filter specific timeframes
-        dataTypes = ['price', 'oi', 'funding', 'taker_volume']  // Filter specific data types
+        timeframes = getActiveTimeframes(),  // Filter specific timeframes (default: analyzer config)
+        dataTypes = Object.keys(DATA_TYPE_FETCHERS),  // Filter specific data types
+        aggregate = SYNC_CONFIG.aggregateTimeframes  // Build higher timeframes from the finest one
     } = options;
 
+    // Filter symbols (accepts 'eth', 'ETHUSDT', ...)
+    const selectedSymbols = symbols.includes('all')
+        ? symbolRegistry.getSupportedSymbols()
+        : symbols.map(s => symbolRegistry.resolveSymbol(s)).filter(Boolean);
+
     // Filter exchanges based on input
     const selectedExchanges = SYNC_CONFIG.exchanges.filter(e =>
-        exchanges.includes(e.name) || exchanges.includes('both') || exchanges.includes('all')
+        selectedSymbols.includes(e.asset) &&
+        (exchanges.includes(e.name) || exchanges.includes('both') || exchanges.includes('all'))
     );
 
     // Filter timeframes
@@ -161,8 +228,13 @@ async function startSync(options = {}) {
         timeframes.includes(tf) || timeframes.includes('all')
     );
 
+    // Aggregation: fetch the finest selected timeframe, derive the higher ones
+    const baseTimeframe = selectedTimeframes[0];
+    const fetchTimeframes = aggregate ? selectedTimeframes.slice(0, 1) : selectedTimeframes;
+    const aggregatedTimeframes = aggregate ? selectedTimeframes.filter(tf => tf !== baseTimeframe) : [];
+
     // Filter data types
-    const allDataTypes = ['price', 'oi', 'funding', 'taker_volume'];
+    const allDataTypes = Object.keys(DATA_TYPE_FETCHERS);
     const selectedDataTypes = allDataTypes.filter(dt =>
         dataTypes.includes(dt) || dataTypes.includes('all')
     );
@@ -182,9 +254,11 @@ async function startSync(options = {}) {
         abortRequested: false,
         // Store filter info for display
         filters: {
-            exchanges: selectedExchanges.map(e => e.name),
+            symbols: selectedSymbols,
+            exchanges: [...new Set(selectedExchanges.map(e => e.name))],
             timeframes: selectedTimeframes,
-            dataTypes: selectedDataTypes
+            dataTypes: selectedDataTypes,
+            aggregatedTimeframes
         }
     };
 
@@ -193,14 +267,18 @@ async function startSync(options = {}) {
     RATE_LIMIT.totalRequests = 0;
     RATE_LIMIT.rateLimitHits = 0;
 
+    publishSyncStatus('sync_started', true);
+
     logger.info(`[SYNC] Starting historical data sync: ${daysBack} days back`);
-    logger.info(`[SYNC]   Exchanges: ${selectedExchanges.map(e => e.name).join(', ')}`);
+    logger.info(`[SYNC]   Symbols: ${selectedSymbols.join(', ')}`);
+    logger.info(`[SYNC]   Exchanges: ${selectedExchanges.map(e => `${e.name} (${e.symbol})`).join(', ')}`);
     logger.info(`[SYNC]   Timeframes: ${selectedTimeframes.join(', ')}`);
+    if (aggregate) logger.info(`[SYNC]   Aggregating ${aggregatedTimeframes.join(', ') || 'nothing'} from ${baseTimeframe}`);
     logger.info(`[SYNC]   Data types: ${selectedDataTypes.join(', ')}`);
 
     try {
         // Calculate total tasks for progress tracking
-        const totalTasks = selectedExchanges.length * selectedTimeframes.length * selectedDataTypes.length;
+        const totalTasks = selectedExchanges.length * fetchTimeframes.length * selectedDataTypes.length;
         syncState.progress.total = totalTasks;
 
         const endTime = Date.now();
@@ -211,14 +289,19 @@ async function startSync(options = {}) {
             if (syncState.abortRequested) break;
 
             // Sync each timeframe
-            for (const timeframe of selectedTimeframes) {
+            for (const timeframe of fetchTimeframes) {
                 if (syncState.abortRequested) break;
 
                 await syncTimeframeDataFiltered(exchange, timeframe, startTime, endTime, force, selectedDataTypes);
             }
+
+            if (aggregatedTimeframes.length > 0 && !syncState.abortRequested) {
+                await aggregateExchange(exchange, baseTimeframe, aggregatedTimeframes, startTime, force);
+            }
         }
 
         syncState.isRunning = false;
+        publishSyncStatus(syncState.abortRequested ? 'sync_aborted' : 'sync_completed', true);
 
         const duration = Date.now() - syncState.startedAt;
         logger.info(`[SYNC] ✅ Sync completed!`);
@@ -239,6 +322,7 @@ async function startSync(options = {}) {
 
     } catch (error) {
         syncState.isRunning = false;
+        publishSyncStatus('sync_failed', true);
         logger.error('[SYNC] Fatal error:', error);
         return { success: false, error: error.message };
     }
@@ -248,12 +332,12 @@ async function startSync(options = {}) {
  * Sync all data types for a specific timeframe
  */
 async function syncTimeframeData(exchange, timeframe, startTime, endTime, force) {
-    const dataTypes = ['price', 'oi', 'funding', 'taker_volume'];
+    const dataTypes = Object.keys(DATA_TYPE_FETCHERS);
 
     for (const dataType of dataTypes) {
         if (syncState.abortRequested) return;
 
-        const taskName = `${exchange.name} ${timeframe} ${dataType}`;
+        const taskName = `${exchange.name} ${exchange.asset} ${timeframe} ${dataType}`;
         syncState.progress.currentTask = taskName;
 
         logger.info(`[SYNC] Syncing ${taskName}... (${syncState.progress.current + 1}/${syncState.progress.total})`);
@@ -262,7 +346,7 @@ async function syncTimeframeData(exchange, timeframe, startTime, endTime, force)
             // Update sync progress in database
             await historicalCandleStorage.updateSyncProgress({
                 exchange: exchange.name,
-                symbol: 'BTC',
+                symbol: exchange.asset,
                 timeframe,
                 dataType,
                 status: 'syncing'
@@ -273,7 +357,7 @@ async function syncTimeframeData(exchange, timeframe, startTime, endTime, force)
             let fetchStartTime = startTime;
             if (!force) {
                 const lastTimestamp = await historicalCandleStorage.getLatestTimestamp(
-                    exchange.name, 'BTC', timeframe
+                    exchange.name, exchange.asset, timeframe
                 );
                 if (lastTimestamp && lastTimestamp > startTime) {
                     fetchStartTime = lastTimestamp;
@@ -287,7 +371,7 @@ async function syncTimeframeData(exchange, timeframe, startTime, endTime, force)
             // Update progress
             await historicalCandleStorage.updateSyncProgress({
                 exchange: exchange.name,
-                symbol: 'BTC',
+                symbol: exchange.asset,
                 timeframe,
                 dataType,
                 lastTimestamp: endTime,
@@ -307,6 +391,7 @@ async function syncTimeframeData(exchange, timeframe, startTime, endTime, force)
         }
 
         syncState.progress.current++;
+        publishSyncStatus('sync_progress');
     }
 }
 
@@ -318,7 +403,7 @@ async function syncTimeframeDataFiltered(exchange, timeframe, startTime, endTime
     for (const dataType of selectedDataTypes) {
         if (syncState.abortRequested) return;
 
-        const taskName = `${exchange.name} ${timeframe} ${dataType}`;
+        const taskName = `${exchange.name} ${exchange.asset} ${timeframe} ${dataType}`;
         syncState.progress.currentTask = taskName;
 
         logger.info(`[SYNC] Syncing ${taskName}... (${syncState.progress.current + 1}/${syncState.progress.total})`);
@@ -327,7 +412,7 @@ async function syncTimeframeDataFiltered(exchange, timeframe, startTime, endTime
             // Update sync progress in database
             await historicalCandleStorage.updateSyncProgress({
                 exchange: exchange.name,
-                symbol: 'BTC',
+                symbol: exchange.asset,
                 timeframe,
                 dataType,
                 status: 'syncing'
@@ -337,7 +422,7 @@ async function syncTimeframeDataFiltered(exchange, timeframe, startTime, endTime
             let fetchStartTime = startTime;
             if (!force) {
                 const lastTimestamp = await historicalCandleStorage.getLatestTimestamp(
-                    exchange.name, 'BTC', timeframe
+                    exchange.name, exchange.asset, timeframe
                 );
                 if (lastTimestamp && lastTimestamp > startTime) {
                     fetchStartTime = lastTimestamp;
@@ -351,7 +436,7 @@ async function syncTimeframeDataFiltered(exchange, timeframe, startTime, endTime
             // Update progress
             await historicalCandleStorage.updateSyncProgress({
                 exchange: exchange.name,
-                symbol: 'BTC',
+                symbol: exchange.asset,
                 timeframe,
                 dataType,
                 lastTimestamp: endTime,
@@ -371,6 +456,35 @@ async function syncTimeframeDataFiltered(exchange, timeframe, startTime, endTime
         }
 
         syncState.progress.current++;
+        publishSyncStatus('sync_progress');
+    }
+}
+
+/**
+ * Build higher timeframes for one exchange instrument from the base timeframe
+ * force -> aggregates replace stored rows, otherwise only missing values are filled
+ */
+async function aggregateExchange(exchange, baseTimeframe, timeframes, startTime, force) {
+    const taskName = `${exchange.name} ${exchange.asset} ${baseTimeframe} -> ${timeframes.join('/')}`;
+    syncState.progress.currentTask = `Aggregating ${taskName}`;
+    publishSyncStatus('sync_progress');
+
+    const result = await candleAggregator.aggregateAndStore({
+        exchange: exchange.name,
+        symbol: exchange.asset,
+        baseTimeframe,
+        timeframes,
+        startTime,
+        mode: force ? 'replace' : 'fill'
+    });
+
+    if (result.success) {
+        const stored = result.results.reduce((sum, r) => sum + (r.stored || 0), 0);
+        syncState.progress.candlesStored += stored;
+        logger.info(`[SYNC] Aggregated ${taskName}: ${stored} candles stored`);
+    } else {
+        logger.error(`[SYNC] Aggregation failed for ${taskName}:`, result.error);
+        syncState.progress.errors.push({ task: `Aggregate ${taskName}`, error: result.error });
     }
 }
 
@@ -378,7 +492,7 @@ async function syncTimeframeDataFiltered(exchange, timeframe, startTime, endTime
  * Clear all historical data (for re-syncing with new structure)
  */
 async function clearData(options = {}) {
-    const { exchange, timeframe, confirm = false } = options;
+    const { exchange, symbol, timeframe, confirm = false } = options;
 
     if (!confirm) {
         return {
@@ -389,8 +503,8 @@ async function clearData(options = {}) {
     }
 
     try {
-        const result = await historicalCandleStorage.deleteCandles({ exchange, timeframe });
-        logger.info(`[SYNC] Cleared ${result.deleted || 0} rows${exchange ? ` for ${exchange}` : ''}${timeframe ? ` ${timeframe}` : ''}`);
+        const result = await historicalCandleStorage.deleteCandles({ exchange, symbol, timeframe });
+        logger.info(`[SYNC] Cleared ${result.deleted || 0} rows${exchange ? ` for ${exchange}` : ''}${symbol ? ` ${symbol}` : ''}${timeframe ? ` ${timeframe}` : ''}`);
         return { success: true, deleted: result.deleted || 0 };
     } catch (err) {
         logger.error('[SYNC] Clear data error:', err);
@@ -416,7 +530,7 @@ async function fetchAndStoreData(exchange, timeframe, dataType, startTime, endTi
         // Wait for rate limit before making request
         await waitForRateLimit();
 
-        // Fetch from API
+        // Fetch from data provider
         let rawData = [];
         let fetchError = null;
 
@@ -427,43 +541,14 @@ async function fetchAndStoreData(exchange, timeframe, dataType, startTime, endTi
             // Log that we're making a request
             logger.info(`[SYNC] Fetching ${dataType} from ${new Date(currentStart).toISOString().slice(0, 16)}...`);
 
-            if (dataType === 'price') {
-                rawData = await coinglassClient.getPriceHistory({
-                    exchange: exchange.name,
-                    symbol: exchange.symbol,
-                    interval: timeframe,
-                    limit: batchSize,
-                    startTime: currentStart,
-                    endTime
-                });
-            } else if (dataType === 'oi') {
-                rawData = await coinglassClient.getOIHistory({
-                    exchange: exchange.name,
-                    symbol: exchange.symbol,
-                    interval: timeframe,
-                    limit: batchSize,
-                    startTime: currentStart,
-                    endTime
-                });
-            } else if (dataType === 'funding') {
-                rawData = await coinglassClient.getFundingHistory({
-                    exchange: exchange.name,
-                    symbol: exchange.symbol,
-                    interval: timeframe,
-                    limit: batchSize,
-                    startTime: currentStart,
-                    endTime
-                });
-            } else if (dataType === 'taker_volume') {
-                rawData = await coinglassClient.getTakerBuySellVolume({
-                    exchange: exchange.name,
-                    symbol: exchange.symbol,
-                    interval: timeframe,
-                    limit: batchSize,
-                    startTime: currentStart,
-                    endTime
-                });
-            }
+            rawData = await fetchSeries(dataType, {
+                exchange: exchange.name,
+                symbol: exchange.symbol,
+                interval: timeframe,
+                limit: batchSize,
+                startTime: currentStart,
+                endTime
+            });
 
             consecutiveErrors = 0; // Reset on success
 
@@ -495,7 +580,7 @@ async function fetchAndStoreData(exchange, timeframe, dataType, startTime, endTi
         }
 
         // Transform to storage format
-        const candles = transformToCandles(rawData, exchange.name, timeframe, dataType);
+        const candles = transformToCandles(rawData, exchange.name, timeframe, dataType, exchange.asset);
         logger.info(`[SYNC] Got ${rawData.length} items, transformed to ${candles.length} candles`);
 
         if (candles.length > 0) {
@@ -506,11 +591,12 @@ async function fetchAndStoreData(exchange, timeframe, dataType, startTime, endTi
                 totalStored += candles.length;
                 syncState.progress.candlesStored += candles.length;  // Update in real-time!
                 const progress = `${totalStored} candles`;
-                syncState.progress.currentTask = `${exchange.name} ${timeframe} ${dataType} - ${progress}`;
+                syncState.progress.currentTask = `${exchange.name} ${exchange.asset} ${timeframe} ${dataType} - ${progress}`;
+                publishSyncStatus('sync_progress');
 
                 // Log every 1000 candles
                 if (totalStored % 1000 < candles.length) {
-                    logger.info(`[SYNC] ${exchange.name} ${timeframe} ${dataType}: ${totalStored} candles stored`);
+                    logger.info(`[SYNC] ${exchange.name} ${exchange.asset} ${timeframe} ${dataType}: ${totalStored} candles stored`);
                 }
             } else {
                 logger.error(`[SYNC] Store error:`, storeResult.error);
@@ -543,14 +629,14 @@ async function fetchAndStoreData(exchange, timeframe, dataType, startTime, endTi
  * Transform raw API data to candle storage format
  * MERGED TABLE: No data_type column - each row contains all data types
  */
-function transformToCandles(rawData, exchange, timeframe, dataType) {
+function transformToCandles(rawData, exchange, timeframe, dataType, symbol = 'BTC') {
     if (!Array.isArray(rawData)) return [];
 
     return rawData.map(item => {
         // Base candle - no data_type column in merged table
         const candle = {
             exchange,
-            symbol: 'BTC',
+            symbol,
             timeframe,
             timestamp: item.time || item.t || item.createTime
         };
@@ -575,6 +661,23 @@ function transformToCandles(rawData, exchange, timeframe, dataType) {
         } else if (dataType === 'taker_volume') {
             candle.buy_volume = item.buyVol || item.taker_buy_volume_usd || item.buyVolume;
             candle.sell_volume = item.sellVol || item.taker_sell_volume_usd || item.sellVolume;
+        } else if (dataType === 'liquidations') {
+            // 0 is a real value here (no liquidations in the candle)
+            candle.liq_long_usd = Number(item.long_liquidation_usd ?? item.longLiquidationUsd ?? item.longVolUsd ?? 0);
+            candle.liq_short_usd = Number(item.short_liquidation_usd ?? item.shortLiquidationUsd ?? item.shortVolUsd ?? 0);
+        } else if (dataType === 'long_short_ratio') {
+            candle.global_long_pct = item.global_account_long_percent ?? item.longAccount;
+            candle.global_ls_ratio = item.global_account_long_short_ratio ?? item.longShortRatio;
+        } else if (dataType === 'top_trader_ratio') {
+            candle.top_long_pct = item.top_position_long_percent ?? item.longAccount;
+            candle.top_ls_ratio = item.top_position_long_short_ratio ?? item.longShortRatio;
+        } else if (dataType === 'spot_price') {
+            candle.spot_close = item.close || item.c;
+            candle.spot_volume = item.volume_usd || item.volume || item.v;
+        } else if (dataType === 'spot_taker_volume') {
+            // 0 is a real value (one-sided spot flow)
+            candle.spot_buy_volume = item.taker_buy_volume_usd ?? item.buyVol ?? item.buyVolume;
+            candle.spot_sell_volume = item.taker_sell_volume_usd ?? item.sellVol ?? item.sellVolume;
         }
 
         return candle;
@@ -610,8 +713,115 @@ function abortSync() {
     return { success: false, message: 'No sync in progress' };
 }
 
-async function syncRecent(days = 1) {
-    return startSync({ daysBack: days, force: false });
+async function syncRecent(days = 1, symbols = SYNC_CONFIG.defaultSymbols) {
+    return startSync({ daysBack: days, force: false, symbols });
+}
+
+/**
+ * =======================================================================
+ * TARGETED REFETCH
+ * =======================================================================
+ * Refetches explicit time ranges (used by the gap-repair job) through the
+ * same fetch/store path, rate limiting and status reporting as a full sync.
+ */
+
+/**
+ * Refetch specific ranges
+ * @param {Array} ranges - [{ exchange, symbol, timeframe, dataType, startTime, endTime }]
+ * @param {Object} options - { label } shown as the current task prefix
+ * @returns {Object} { success, results[] } - one result per range: { success, stored, error }
+ */
+async function syncRanges(ranges, options = {}) {
+    if (syncState.isRunning) {
+        return {
+            success: false,
+            error: 'Sync already in progress',
+            progress: syncState.progress
+        };
+    }
+
+    const { label = 'Refetch' } = options;
+
+    syncState = {
+        isRunning: true,
+        progress: {
+            current: 0,
+            total: ranges.length,
+            currentTask: 'Initializing...',
+            errors: [],
+            requestsMade: 0,
+            candlesStored: 0
+        },
+        startedAt: Date.now(),
+        abortRequested: false,
+        filters: {
+            mode: 'ranges',
+            symbols: [...new Set(ranges.map(r => r.symbol))],
+            exchanges: [...new Set(ranges.map(r => r.exchange))],
+            timeframes: [...new Set(ranges.map(r => r.timeframe))],
+            dataTypes: [...new Set(ranges.map(r => r.dataType))]
+        }
+    };
+
+    RATE_LIMIT.requestTimestamps = [];
+    RATE_LIMIT.totalRequests = 0;
+    RATE_LIMIT.rateLimitHits = 0;
+
+    publishSyncStatus('sync_started', true);
+    logger.info(`[SYNC] ${label}: ${ranges.length} range(s)`);
+
+    const results = [];
+
+    try {
+        for (const range of ranges) {
+            if (syncState.abortRequested) {
+                results.push({ success: false, stored: 0, error: 'Aborted by user' });
+                continue;
+            }
+
+            const taskName = `${label} ${range.exchange} ${range.symbol} ${range.timeframe} ${range.dataType}`;
+            syncState.progress.currentTask = taskName;
+
+            const exchange = SYNC_CONFIG.exchanges.find(e => e.name === range.exchange && e.asset === range.symbol);
+            let result;
+            if (!exchange) {
+                result = { success: false, stored: 0, error: `No sync instrument for ${range.exchange} ${range.symbol}` };
+            } else if (!DATA_TYPE_FETCHERS[range.dataType]) {
+                result = { success: false, stored: 0, error: `Unknown data type: ${range.dataType}` };
+            } else {
+                try {
+                    result = await fetchAndStoreData(exchange, range.timeframe, range.dataType, range.startTime, range.endTime);
+                } catch (err) {
+                    result = { success: false, stored: 0, error: err.message };
+                }
+            }
+
+            if (!result.success) {
+                syncState.progress.errors.push({ task: taskName, error: result.error });
+            }
+            results.push(result);
+
+            syncState.progress.current++;
+            publishSyncStatus('sync_progress');
+        }
+
+        syncState.isRunning = false;
+        publishSyncStatus(syncState.abortRequested ? 'sync_aborted' : 'sync_completed', true);
+
+        return {
+            success: true,
+            results,
+            candlesStored: syncState.progress.candlesStored,
+            errors: syncState.progress.errors,
+            duration: Date.now() - syncState.startedAt
+        };
+
+    } catch (error) {
+        syncState.isRunning = false;
+        publishSyncStatus('sync_failed', true);
+        logger.error(`[SYNC] ${label} fatal error:`, error);
+        return { success: false, error: error.message, results };
+    }
 }
 
 /**
@@ -624,6 +834,21 @@ function sleep(ms) {
     return new Promise(resolve => setTimeout(resolve, ms));
 }
 
+/**
+ * Push sync status to stream subscribers (topic: sync)
+ * Progress updates are throttled; start/finish events always go out.
+ */
+let lastSyncPublishAt = 0;
+const SYNC_PUBLISH_INTERVAL_MS = 1000;
+
+function publishSyncStatus(type, force = false) {
+    const now = Date.now();
+    if (!force && now - lastSyncPublishAt < SYNC_PUBLISH_INTERVAL_MS) return;
+    lastSyncPublishAt = now;
+
+    streamService.publish('sync', { ...getSyncStatus(), filters: syncState.filters || null }, { type });
+}
+
 /**
  * =======================================================================
  * EXPORTS
@@ -635,6 +860,10 @@ module.exports = {
     getSyncStatus,
     abortSync,
     syncRecent,
+    syncRanges,
     clearData,
-    SYNC_CONFIG
+    fetchSeries,
+    transformToCandles,
+    SYNC_CONFIG,
+    DATA_TYPE_FETCHERS
 };
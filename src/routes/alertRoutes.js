@@ -0,0 +1,244 @@
+// =============================================================================
+// src/routes/alertRoutes.js
+// =============================================================================
+// API routes for alert delivery (subscriptions, channels, delivery log)
+// and user-defined alert rules
+
+const express = require('express');
+const router = express.Router();
+const alertDeliveryService = require('../services/alertDeliveryService');
+const alertRuleService = require('../services/alertRuleService');
+const { alertService, symbolRegistry } = require('../services');
+const logger = require('../utils/logger');
+
+const SUBSCRIPTION_FIELDS = ['userId', 'channel', 'target', 'categories', 'minPriority', 'symbols', 'quietHours', 'enabled'];
+
+const RULE_FIELDS = ['userId', 'name', 'description', 'expression', 'priority', 'cooldownMs', 'symbols', 'enabled'];
+
+function pickFields(body, allowed) {
+    const fields = {};
+    for (const key of allowed) {
+        if (body[key] !== undefined) fields[key] = body[key];
+    }
+    return fields;
+}
+
+function statusFor(result) {
+    if (result.notFound) return 404;
+    if (result.errors) return 400;
+    return 500;
+}
+
+// =============================================================================
+// GET /api/alerts/channels - Available channels and whether they are configured
+// =============================================================================
+router.get('/channels', (req, res) => {
+    res.json({ success: true, channels: alertDeliveryService.listChannels() });
+});
+
+// =============================================================================
+// GET /api/alerts/subscriptions - List subscriptions
+// Query: userId
+// =============================================================================
+router.get('/subscriptions', async (req, res) => {
+    try {
+        const subscriptions = await alertDeliveryService.listSubscriptions({ userId: req.query.userId });
+        res.json({ success: true, count: subscriptions.length, subscriptions });
+    } catch (error) {
+        logger.error('List subscriptions failed:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// =============================================================================
+// POST /api/alerts/subscriptions - Create subscription
+// Body: { userId, channel, target, categories, minPriority, symbols, quietHours, enabled }
+// =============================================================================
+router.post('/subscriptions', async (req, res) => {
+    try {
+        const result = await alertDeliveryService.createSubscription(pickFields(req.body, SUBSCRIPTION_FIELDS));
+        if (!result.success) {
+            return res.status(statusFor(result)).json(result);
+        }
+        res.status(201).json(result);
+    } catch (error) {
+        logger.error('Create subscription failed:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// =============================================================================
+// PUT /api/alerts/subscriptions/:id - Update subscription (partial)
+// =============================================================================
+router.put('/subscriptions/:id', async (req, res) => {
+    try {
+        const result = await alertDeliveryService.updateSubscription(req.params.id, pickFields(req.body, SUBSCRIPTION_FIELDS));
+        if (!result.success) {
+            return res.status(statusFor(result)).json(result);
+        }
+        res.json(result);
+    } catch (error) {
+        logger.error('Update subscription failed:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// =============================================================================
+// DELETE /api/alerts/subscriptions/:id - Delete subscription
+// =============================================================================
+router.delete('/subscriptions/:id', async (req, res) => {
+    try {
+        const result = await alertDeliveryService.deleteSubscription(req.params.id);
+        if (!result.success) {
+            return res.status(statusFor(result)).json(result);
+        }
+        res.json(result);
+    } catch (error) {
+        logger.error('Delete subscription failed:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// =============================================================================
+// POST /api/alerts/subscriptions/:id/test - Send a test alert to one subscription
+// =============================================================================
+router.post('/subscriptions/:id/test', async (req, res) => {
+    try {
+        const result = await alertDeliveryService.sendTestAlert(req.params.id);
+        if (result.notFound) {
+            return res.status(404).json(result);
+        }
+        res.status(result.success ? 200 : 502).json(result);
+    } catch (error) {
+        logger.error('Test delivery failed:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// =============================================================================
+// GET /api/alerts/deliveries - Delivery log
+// Query: subscriptionId, status (SENT|FAILED|SUPPRESSED), limit
+// =============================================================================
+router.get('/deliveries', async (req, res) => {
+    try {
+        const { subscriptionId, status } = req.query;
+        const limit = parseInt(req.query.limit) || 100;
+
+        const deliveries = await alertDeliveryService.getDeliveries({ subscriptionId, status, limit });
+        res.json({ success: true, count: deliveries.length, deliveries });
+    } catch (error) {
+        logger.error('Get deliveries failed:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// =============================================================================
+// GET /api/alerts/rules - List alert rules
+// Query: userId
+// =============================================================================
+router.get('/rules', async (req, res) => {
+    try {
+        const rules = await alertRuleService.listRules({ userId: req.query.userId });
+        res.json({ success: true, count: rules.length, rules, stats: alertRuleService.getRuleStats() });
+    } catch (error) {
+        logger.error('List rules failed:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// =============================================================================
+// POST /api/alerts/rules/test - Dry-run an expression (nothing stored)
+// Body: { expression, symbol } - evaluated on the latest analyzed state of symbol
+//       or { expression, state, previousState } to supply states explicitly
+// =============================================================================
+router.post('/rules/test', async (req, res) => {
+    try {
+        const { expression, state, previousState } = req.body;
+        if (!expression) {
+            return res.status(400).json({ success: false, error: 'expression is required' });
+        }
+
+        const symbol = symbolRegistry.toBaseSymbol(req.body.symbol || 'BTC');
+        const currentState = state || alertService.getPreviousState(symbol);
+        if (!currentState) {
+            return res.status(404).json({ success: false, error: `No analyzed state for ${symbol} yet - pass state explicitly` });
+        }
+
+        const result = alertRuleService.testExpression(expression, currentState, previousState || null);
+        res.status(result.success ? 200 : 400).json({ ...result, symbol: state ? null : symbol });
+    } catch (error) {
+        logger.error('Test rule failed:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// =============================================================================
+// POST /api/alerts/rules - Create rule
+// Body: { userId, name, expression, priority, cooldownMs, symbols, description, enabled }
+// =============================================================================
+router.post('/rules', async (req, res) => {
+    try {
+        const result = await alertRuleService.createRule(pickFields(req.body, RULE_FIELDS));
+        if (!result.success) {
+            return res.status(statusFor(result)).json(result);
+        }
+        res.status(201).json(result);
+    } catch (error) {
+        logger.error('Create rule failed:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// =============================================================================
+// GET /api/alerts/rules/:id - Get rule
+// =============================================================================
+router.get('/rules/:id', async (req, res) => {
+    try {
+        const rule = await alertRuleService.getRule(req.params.id);
+        if (!rule) {
+            return res.status(404).json({ success: false, error: 'Rule not found' });
+        }
+        res.json({ success: true, rule });
+    } catch (error) {
+        logger.error('Get rule failed:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// =============================================================================
+// PUT /api/alerts/rules/:id - Update rule (partial)
+// =============================================================================
+router.put('/rules/:id', async (req, res) => {
+    try {
+        const result = await alertRuleService.updateRule(req.params.id, pickFields(req.body, RULE_FIELDS));
+        if (!result.success) {
+            return res.status(statusFor(result)).json(result);
+        }
+        res.json(result);
+    } catch (error) {
+        logger.error('Update rule failed:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// =============================================================================
+// DELETE /api/alerts/rules/:id - Delete rule
+// =============================================================================
+router.delete('/rules/:id', async (req, res) => {
+    try {
+        const result = await alertRuleService.deleteRule(req.params.id);
+        if (!result.success) {
+            return res.status(statusFor(result)).json(result);
+        }
+        res.json(result);
+    } catch (error) {
+        logger.error('Delete rule failed:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+module.exports = router;
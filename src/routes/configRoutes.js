@@ -8,6 +8,8 @@ const express = require('express');
 const router = express.Router();
 const configService = require('../services/configService');
 const stateStorage = require('../services/stateStorage');
+const configOptimizer = require('../backtest/configOptimizer');
+const rescoreService = require('../backtest/rescoreService');
 const logger = require('../utils/logger');
 
 // =============================================================================
@@ -370,6 +372,153 @@ router.post('/import', async (req, res) => {
     }
 });
 
+// =============================================================================
+// POST /api/config/optimize - Start walk-forward config optimizer
+// Body: { symbol, batchId, fromDate, toDate, horizon, folds, iterations,
+//         groups, maxSamples, topProposals, seed }
+// Results are proposals in the /api/config/import schema
+// =============================================================================
+router.post('/optimize', async (req, res) => {
+    try {
+        const allowed = ['symbol', 'batchId', 'fromDate', 'toDate', 'horizon', 'folds',
+            'iterations', 'groups', 'maxSamples', 'minSamples', 'topProposals', 'seed'];
+
+        const options = {};
+        for (const key of allowed) {
+            if (req.body[key] !== undefined) options[key] = req.body[key];
+        }
+
+        // Options outside configOptimizer.OPTIMIZER_LIMITS come back as errors
+        const result = configOptimizer.startOptimization(options);
+        if (!result.success) {
+            return res.status(result.errors ? 400 : 409).json(result);
+        }
+
+        res.status(202).json({
+            success: true,
+            ...result.job,
+            message: `Optimizer started. Poll GET /api/config/optimize/${result.job.jobId} for results`
+        });
+
+    } catch (error) {
+        logger.error('Start optimizer failed:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// =============================================================================
+// GET /api/config/optimize - List optimizer jobs
+// =============================================================================
+router.get('/optimize', async (req, res) => {
+    try {
+        res.json({ success: true, jobs: configOptimizer.listOptimizerJobs() });
+    } catch (error) {
+        logger.error('List optimizer jobs failed:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// =============================================================================
+// GET /api/config/optimize/:jobId - Optimizer status and ranked proposals
+// =============================================================================
+router.get('/optimize/:jobId', async (req, res) => {
+    try {
+        const job = configOptimizer.getOptimizerJob(req.params.jobId);
+
+        if (!job) {
+            return res.status(404).json({ success: false, error: 'Optimizer job not found' });
+        }
+
+        res.json({ success: true, ...job });
+    } catch (error) {
+        logger.error('Get optimizer job failed:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// =============================================================================
+// POST /api/config/rescore - What-if: re-score stored replay states
+// Body: { config } (full config) OR { proposal } (import schema), plus
+//       { symbol, batchId, stateIds, fromDate, toDate, limit, horizon }
+// Read-only: nothing is written, the active config is untouched
+// changes/scoreboard cover states with stored inputs; states whose inputs
+// were rebuilt from today's candles are reported under `refetched`
+// =============================================================================
+router.post('/rescore', async (req, res) => {
+    try {
+        const { config, proposal, symbol, batchId, stateIds, fromDate, toDate, limit, horizon } = req.body;
+
+        if (!config && !proposal) {
+            return res.status(400).json({ success: false, error: 'config or proposal is required' });
+        }
+
+        const current = await configService.loadConfig();
+        let candidate;
+        const skippedChanges = [];
+
+        if (config) {
+            candidate = config;
+        } else {
+            const schemaErrors = validateProposalSchema(proposal);
+            if (schemaErrors.length > 0) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid proposal schema',
+                    schema_errors: schemaErrors
+                });
+            }
+
+            candidate = JSON.parse(JSON.stringify(current.config));
+            for (const change of proposal.changes) {
+                try {
+                    applyChange(candidate, change.param_path, change.proposed_value);
+                } catch (e) {
+                    skippedChanges.push({ ...change, error: e.message });
+                }
+            }
+        }
+
+        const validation = configService.validateConfig(candidate);
+        if (!validation.valid) {
+            return res.status(400).json({
+                success: false,
+                error: 'Candidate config is invalid',
+                structure_errors: validation.errors
+            });
+        }
+        const deltaValidation = configService.validateDelta(current.config, candidate);
+
+        const result = await rescoreService.rescoreStates(candidate, {
+            symbol,
+            batchId,
+            stateIds,
+            fromDate,
+            toDate,
+            limit: limit ? parseInt(limit) : undefined,
+            horizon
+        });
+
+        if (!result.success) {
+            return res.status(500).json(result);
+        }
+
+        res.json({
+            ...result,
+            based_on_version: current.version,
+            skipped_changes: skippedChanges,
+            validation: {
+                valid: validation.valid && deltaValidation.valid,
+                structure_warnings: validation.warnings,
+                delta_violations: deltaValidation.violations
+            }
+        });
+
+    } catch (error) {
+        logger.error('Rescore failed:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
 // =============================================================================
 // HELPER FUNCTIONS
 // =============================================================================
@@ -11,6 +11,16 @@
 // - POST /api/data/sync/abort - Stop running sync
 // - GET /api/data/coverage - Get data coverage info
 // - GET /api/data/candles - Get candles for a range
+// - POST /api/data/verify - Verify stored candles against the provider
+// - GET /api/data/verify/reports - Verification report history
+// - POST /api/data/aggregate - Build higher timeframes from base candles
+// - GET /api/data/aggregate/consistency - Compare aggregates with native candles
+// - GET /api/data/gaps - List the candle gap report
+// - GET /api/data/gaps/status - Gap scan/repair job status
+// - POST /api/data/gaps/scan - Scan for missing candles
+// - POST /api/data/gaps/repair - Refetch open gaps
+// - POST /api/data/import - Bulk-load candles from CSV / NDJSON
+// - GET /api/data/export - Stream stored candles as CSV / NDJSON
 //
 // Created: 2025-12-17
 // ============================================================================
@@ -18,7 +28,14 @@
 const express = require('express');
 const router = express.Router();
 const syncHistoricalData = require('../jobs/syncHistoricalData');
+const scanCandleGaps = require('../jobs/scanCandleGaps');
 const historicalCandleStorage = require('../services/historicalCandleStorage');
+const candleVerificationService = require('../services/candleVerificationService');
+const candleAggregator = require('../services/candleAggregator');
+const candleImportExport = require('../services/candleImportExport');
+const symbolRegistry = require('../services/symbolRegistry');
+const venueRegistry = require('../services/venueRegistry');
+const configService = require('../services/configService');
 const logger = require('../utils/logger');
 
 /**
@@ -35,9 +52,14 @@ const logger = require('../utils/logger');
  * {
  *   daysBack: 90 (optional, default 90),
  *   force: false (optional, if true re-downloads all data),
+ *   symbols: ['BTC', 'ETH', 'SOL'] (optional, default ['BTC'], or ['all']),
  *   exchanges: ['Binance', 'Bybit'] (optional, filter exchanges),
- *   timeframes: ['30m', '1h', '4h', '1d'] (optional, filter timeframes),
- *   dataTypes: ['price', 'oi', 'funding', 'taker_volume'] (optional, filter data types)
+ *   timeframes: ['15m', '30m', '1h', '4h', '1d', '1w'] (optional, filter timeframes;
+ *                default: the analyzer's config.timeframes.active),
+ *   dataTypes: ['price', 'oi', 'funding', 'taker_volume', 'liquidations', 'long_short_ratio', 'top_trader_ratio', 'spot_price', 'spot_taker_volume'] (optional, filter data types),
+ *   aggregate: false (optional, fetch the finest selected timeframe only and build the
+ *                     others locally;
+ *                     default SYNC_AGGREGATE_TIMEFRAMES)
  * }
  */
 router.post('/sync', async (req, res) => {
@@ -45,12 +67,15 @@ router.post('/sync', async (req, res) => {
         const {
             daysBack = 90,
             force = false,
+            symbols,
             exchanges,
             timeframes,
-            dataTypes
+            dataTypes,
+            aggregate
         } = req.body;
 
         logger.info(`[DATA] Starting sync: ${daysBack} days, force=${force}`);
+        if (symbols) logger.info(`[DATA]   Symbols: ${symbols.join(', ')}`);
         if (exchanges) logger.info(`[DATA]   Exchanges: ${exchanges.join(', ')}`);
         if (timeframes) logger.info(`[DATA]   Timeframes: ${timeframes.join(', ')}`);
         if (dataTypes) logger.info(`[DATA]   Data types: ${dataTypes.join(', ')}`);
@@ -59,9 +84,11 @@ router.post('/sync', async (req, res) => {
         const result = syncHistoricalData.startSync({
             daysBack,
             force,
+            symbols,
             exchanges,
             timeframes,
-            dataTypes
+            dataTypes,
+            aggregate
         });
 
         // Return immediately with initial status
@@ -86,16 +113,17 @@ router.post('/sync', async (req, res) => {
  * 
  * Body:
  * {
- *   days: 1 (optional, default 1)
+ *   days: 1 (optional, default 1),
+ *   symbols: ['BTC'] (optional, default ['BTC'])
  * }
  */
 router.post('/sync/recent', async (req, res) => {
     try {
-        const { days = 1 } = req.body;
+        const { days = 1, symbols } = req.body;
 
         logger.info(`[DATA] Starting recent sync: ${days} days`);
 
-        const result = syncHistoricalData.syncRecent(days);
+        const result = syncHistoricalData.syncRecent(days, symbols);
 
         res.json({
             success: true,
@@ -159,6 +187,7 @@ router.post('/sync/abort', (req, res) => {
  * Body:
  * {
  *   exchange: 'Binance' (optional, filter by exchange),
+ *   symbol: 'BTC' (optional, filter by symbol),
  *   timeframe: '4h' (optional, filter by timeframe),
  *   phrase: 'Tomer Is The King' (required security phrase)
  * }
@@ -166,6 +195,7 @@ router.post('/sync/abort', (req, res) => {
 router.post('/clear', async (req, res) => {
     try {
         const { exchange, timeframe, phrase } = req.body;
+        const symbol = req.body.symbol ? symbolRegistry.toBaseSymbol(req.body.symbol) : undefined;
         const SECURITY_PHRASE = 'Tomer Is The King';
 
         if (phrase !== SECURITY_PHRASE) {
@@ -178,7 +208,7 @@ router.post('/clear', async (req, res) => {
 
         logger.info(`[DATA] Clearing data${exchange ? ` for ${exchange}` : ''}${timeframe ? ` ${timeframe}` : ''}...`);
 
-        const result = await syncHistoricalData.clearData({ exchange, timeframe, confirm: true });
+        const result = await syncHistoricalData.clearData({ exchange, symbol, timeframe, confirm: true });
 
         res.json(result);
 
@@ -193,152 +223,115 @@ router.post('/clear', async (req, res) => {
 
 /**
  * POST /api/data/verify
- * Verify database integrity by comparing random samples with Coinglass API
- * 
+ * Verify stored candles against the data provider, field by field, and
+ * persist the report (see candleVerificationService)
+ *
  * Body:
  * {
- *   sampleSize: 10 (optional, number of random samples to check),
- *   exchange: 'Binance' (optional, filter by exchange),
- *   timeframe: '4h' (optional, filter by timeframe)
+ *   sampleSize: 10 (optional, number of time strata sampled across the window),
+ *   symbol: 'BTC' (optional, default BTC),
+ *   exchange: 'Binance' (optional, default Binance),
+ *   timeframe: '4h' (optional, default 4h),
+ *   dataTypes: ['price', 'oi', 'funding', 'taker_volume', 'liquidations', 'long_short_ratio', 'top_trader_ratio', 'spot_price', 'spot_taker_volume'] (optional, default all),
+ *   startTime, endTime (optional, ms - default: whole coverage window),
+ *   tolerances: { close: { relative: 0.001 } } (optional, per-field overrides),
+ *   autoResync: true (optional, re-sync ranges that fail)
  * }
  */
 router.post('/verify', async (req, res) => {
     try {
         const {
             sampleSize = 10,
+            symbol = 'BTC',
             exchange = 'Binance',
             timeframe = '4h',
-            startTime,  // Optional: specific time range start (ms)
-            endTime     // Optional: specific time range end (ms)
+            dataTypes,
+            startTime,
+            endTime,
+            tolerances,
+            autoResync = true
         } = req.body;
-        const coinglassClient = require('../services/coinglassClient');
-
-        // Use provided time range or default to last 30 days
-        const queryStartTime = startTime || (Date.now() - 30 * 24 * 60 * 60 * 1000);
-        const queryEndTime = endTime || Date.now();
 
         logger.info(`[DATA] Verifying ${sampleSize} samples from ${exchange} ${timeframe}...`);
-        logger.info(`[DATA]   Time range: ${new Date(queryStartTime).toISOString()} to ${new Date(queryEndTime).toISOString()}`);
 
-        // Get candles from database for the specified time range
-        const allCandles = await historicalCandleStorage.getCandles({
+        const result = await candleVerificationService.verifyCandles({
+            sampleSize,
+            symbol,
             exchange,
-            symbol: 'BTC',
             timeframe,
-            startTime: queryStartTime,
-            endTime: queryEndTime
+            dataTypes,
+            startTime: startTime ? parseInt(startTime) : undefined,
+            endTime: endTime ? parseInt(endTime) : undefined,
+            tolerances,
+            autoResync
         });
 
-        if (allCandles.length === 0) {
-            return res.json({
-                success: false,
-                error: 'No candles found in database for verification',
-                verified: 0,
-                total: 0
-            });
+        if (!result.success) {
+            return res.json({ ...result, verified: 0, total: 0 });
         }
 
-        // Pick random samples
-        const samples = [];
-        const shuffled = [...allCandles].sort(() => Math.random() - 0.5);
-        const selectedCandles = shuffled.slice(0, Math.min(sampleSize, allCandles.length));
+        res.json({
+            ...result,
+            verified: result.checked,
+            matches: result.matched,
+            mismatches: result.mismatched,
+            accuracy: result.accuracy === null ? 'n/a' : `${result.accuracy}%`
+        });
 
-        let matches = 0;
-        let mismatches = 0;
-        const results = [];
+    } catch (error) {
+        logger.error('[DATA] Verify error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
 
-        for (const dbCandle of selectedCandles) {
-            try {
-                // Fetch from Coinglass with proper time window
-                const symbol = exchange === 'Binance' ? 'BTCUSDT' : 'BTCUSD';
-
-                // Calculate proper time window based on interval
-                const intervalMs = {
-                    '30m': 30 * 60 * 1000,
-                    '1h': 60 * 60 * 1000,
-                    '4h': 4 * 60 * 60 * 1000,
-                    '1d': 24 * 60 * 60 * 1000
-                }[timeframe] || (4 * 60 * 60 * 1000);
-
-                const apiData = await coinglassClient.getPriceHistory({
-                    exchange,
-                    symbol,
-                    interval: timeframe,
-                    limit: 5,
-                    startTime: dbCandle.timestamp - intervalMs,
-                    endTime: dbCandle.timestamp + intervalMs
-                });
-
-                if (apiData && apiData.length > 0) {
-                    // Find the candle with matching timestamp, or closest one
-                    let apiCandle = apiData.find(c => c.time === dbCandle.timestamp || c.t === dbCandle.timestamp);
-                    if (!apiCandle) {
-                        // Find closest candle
-                        apiCandle = apiData.reduce((closest, c) => {
-                            const candleTime = c.time || c.t;
-                            const closestTime = closest?.time || closest?.t || 0;
-                            return Math.abs(candleTime - dbCandle.timestamp) < Math.abs(closestTime - dbCandle.timestamp) ? c : closest;
-                        }, apiData[0]);
-                    }
-
-                    const apiClose = Number(apiCandle.close || apiCandle.c);
-                    const dbClose = Number(dbCandle.close);
-                    const priceMatch = dbClose && Math.abs(dbClose - apiClose) < 1;
-
-                    if (priceMatch) {
-                        matches++;
-                        results.push({
-                            timestamp: dbCandle.timestamp,
-                            date: new Date(dbCandle.timestamp).toISOString(),
-                            status: 'match',
-                            db: { close: dbClose },
-                            api: { close: apiClose }
-                        });
-                    } else {
-                        mismatches++;
-                        results.push({
-                            timestamp: dbCandle.timestamp,
-                            date: new Date(dbCandle.timestamp).toISOString(),
-                            status: 'mismatch',
-                            db: { close: dbClose },
-                            api: { close: apiClose }
-                        });
-                    }
-                } else {
-                    results.push({
-                        timestamp: dbCandle.timestamp,
-                        date: new Date(dbCandle.timestamp).toISOString(),
-                        status: 'api_no_data'
-                    });
-                }
-
-                // Rate limit between requests
-                await new Promise(r => setTimeout(r, 100));
-
-            } catch (err) {
-                results.push({
-                    timestamp: dbCandle.timestamp,
-                    status: 'error',
-                    error: err.message
-                });
-            }
-        }
+/**
+ * GET /api/data/verify/reports
+ * Verification report history (summaries, newest first)
+ *
+ * Query params: exchange, symbol, timeframe, limit (default 50)
+ */
+router.get('/verify/reports', async (req, res) => {
+    try {
+        const { exchange, timeframe, limit = 50 } = req.query;
+        const symbol = req.query.symbol ? symbolRegistry.toBaseSymbol(req.query.symbol) : undefined;
 
-        const accuracy = selectedCandles.length > 0
-            ? Math.round((matches / selectedCandles.length) * 100)
-            : 0;
+        const result = await candleVerificationService.listReports({
+            exchange,
+            symbol,
+            timeframe,
+            limit: parseInt(limit)
+        });
 
-        res.json({
-            success: true,
-            verified: selectedCandles.length,
-            matches,
-            mismatches,
-            accuracy: `${accuracy}%`,
-            results
+        res.status(result.success ? 200 : 500).json(result);
+
+    } catch (error) {
+        logger.error('[DATA] Verify reports error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
         });
+    }
+});
+
+/**
+ * GET /api/data/verify/reports/:id
+ * Full report including per-sample results
+ */
+router.get('/verify/reports/:id', async (req, res) => {
+    try {
+        const result = await candleVerificationService.getReport(req.params.id);
+
+        if (!result.success) {
+            return res.status(result.error === 'Report not found' ? 404 : 500).json(result);
+        }
+
+        res.json(result);
 
     } catch (error) {
-        logger.error('[DATA] Verify error:', error);
+        logger.error('[DATA] Verify report error:', error);
         res.status(500).json({
             success: false,
             error: error.message
@@ -359,7 +352,7 @@ router.post('/verify', async (req, res) => {
 router.get('/coverage', async (req, res) => {
     try {
         const { symbol = 'BTC' } = req.query;
-        const coverage = await historicalCandleStorage.getDataCoverage(symbol);
+        const coverage = await historicalCandleStorage.getDataCoverage(symbolRegistry.toBaseSymbol(symbol));
 
         res.json(coverage);
 
@@ -379,7 +372,7 @@ router.get('/coverage', async (req, res) => {
 router.get('/progress', async (req, res) => {
     try {
         const { symbol = 'BTC' } = req.query;
-        const progress = await historicalCandleStorage.getSyncProgress(symbol);
+        const progress = await historicalCandleStorage.getSyncProgress(symbolRegistry.toBaseSymbol(symbol));
 
         res.json({
             success: true,
@@ -395,6 +388,377 @@ router.get('/progress', async (req, res) => {
     }
 });
 
+/**
+ * =======================================================================
+ * AGGREGATION ENDPOINTS
+ * =======================================================================
+ */
+
+/**
+ * POST /api/data/aggregate
+ * Build higher-timeframe candles from stored base candles
+ *
+ * Body:
+ * {
+ *   symbol: 'BTC' (optional),
+ *   exchanges: ['Binance', 'Bybit'] (optional, default: exchanges of the active venues),
+ *   baseTimeframe: '30m' (optional),
+ *   timeframes: ['1h', '4h', '1d'] (optional, default all above the base),
+ *   startTime, endTime (optional, ms - default: stored base coverage),
+ *   mode: 'fill' | 'replace' (optional, default 'fill' keeps natively synced values)
+ * }
+ */
+router.post('/aggregate', async (req, res) => {
+    try {
+        const {
+            symbol = 'BTC',
+            exchanges = venueRegistry.getActiveExchanges(configService.getCachedConfig()),
+            baseTimeframe = candleAggregator.AGGREGATION_CONFIG.baseTimeframe,
+            startTime,
+            endTime,
+            mode = 'fill'
+        } = req.body;
+        const timeframes = req.body.timeframes || syncHistoricalData.SYNC_CONFIG.timeframes.filter(tf => tf !== baseTimeframe);
+
+        const results = [];
+        for (const exchange of exchanges) {
+            results.push(await candleAggregator.aggregateAndStore({
+                exchange,
+                symbol: symbolRegistry.toBaseSymbol(symbol),
+                baseTimeframe,
+                timeframes,
+                startTime: startTime ? parseInt(startTime) : undefined,
+                endTime: endTime ? parseInt(endTime) : undefined,
+                mode
+            }));
+        }
+
+        res.json({
+            success: results.every(r => r.success),
+            results
+        });
+
+    } catch (error) {
+        logger.error('[DATA] Aggregate error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/data/aggregate/consistency
+ * Compare candles aggregated from the base timeframe with natively synced ones
+ *
+ * Query params:
+ * - exchange (required), timeframe (required)
+ * - symbol: 'BTC' (default), baseTimeframe: '30m' (default)
+ * - startTime, endTime: ms (optional)
+ */
+router.get('/aggregate/consistency', async (req, res) => {
+    try {
+        const {
+            exchange,
+            timeframe,
+            symbol = 'BTC',
+            baseTimeframe = candleAggregator.AGGREGATION_CONFIG.baseTimeframe,
+            startTime,
+            endTime
+        } = req.query;
+
+        if (!exchange || !timeframe) {
+            return res.status(400).json({
+                success: false,
+                error: 'Missing required params: exchange, timeframe'
+            });
+        }
+
+        const result = await candleAggregator.checkConsistency({
+            exchange,
+            symbol: symbolRegistry.toBaseSymbol(symbol),
+            baseTimeframe,
+            timeframe,
+            startTime: startTime ? parseInt(startTime) : undefined,
+            endTime: endTime ? parseInt(endTime) : undefined
+        });
+
+        res.json(result);
+
+    } catch (error) {
+        logger.error('[DATA] Consistency check error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * =======================================================================
+ * GAP REPORT ENDPOINTS
+ * =======================================================================
+ */
+
+/**
+ * GET /api/data/gaps
+ * List gaps from the persistent gap report
+ *
+ * Query params:
+ * - symbol, exchange, timeframe, dataType (optional filters)
+ * - status: 'open' | 'repairing' | 'repaired' | 'unrecoverable' (comma-separated, default: all but repaired)
+ * - limit: max rows (default 200)
+ */
+router.get('/gaps', async (req, res) => {
+    try {
+        const { exchange, timeframe, dataType, status, limit = 200 } = req.query;
+        const symbol = req.query.symbol ? symbolRegistry.toBaseSymbol(req.query.symbol) : undefined;
+        const statuses = status
+            ? status.split(',').map(s => s.trim())
+            : ['open', 'repairing', 'unrecoverable'];
+
+        const result = await historicalCandleStorage.getCandleGaps({
+            exchange,
+            symbol,
+            timeframe,
+            dataType,
+            status: statuses,
+            limit: parseInt(limit)
+        });
+
+        if (!result.success) {
+            return res.status(500).json(result);
+        }
+
+        const byStatus = {};
+        let missingCandles = 0;
+        for (const gap of result.gaps) {
+            byStatus[gap.status] = (byStatus[gap.status] || 0) + 1;
+            missingCandles += gap.missing_count || 0;
+        }
+
+        res.json({
+            success: true,
+            count: result.gaps.length,
+            missingCandles,
+            byStatus,
+            gaps: result.gaps.map(gap => ({
+                ...gap,
+                gapStartDate: new Date(Number(gap.gap_start)).toISOString(),
+                gapEndDate: new Date(Number(gap.gap_end)).toISOString()
+            }))
+        });
+
+    } catch (error) {
+        logger.error('[DATA] Gaps list error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/data/gaps/status
+ * Running state and summaries of the last scan / repair
+ */
+router.get('/gaps/status', (req, res) => {
+    res.json({
+        success: true,
+        ...scanCandleGaps.getGapJobStatus()
+    });
+});
+
+/**
+ * POST /api/data/gaps/scan
+ * Scan stored candles for gaps and update the gap report
+ *
+ * Body (all optional, same filters as /sync):
+ * {
+ *   symbols: ['BTC'], exchanges: ['Binance'], timeframes: ['4h'],
+ *   dataTypes: ['price', 'oi', 'funding', 'taker_volume', 'liquidations', 'long_short_ratio', 'top_trader_ratio', 'spot_price', 'spot_taker_volume'],
+ *   startTime, endTime (ms, default: first..last stored candle)
+ * }
+ */
+router.post('/gaps/scan', async (req, res) => {
+    try {
+        const { symbols, exchanges, timeframes, dataTypes, startTime, endTime } = req.body;
+
+        const result = await scanCandleGaps.scanGaps({
+            symbols,
+            exchanges,
+            timeframes,
+            dataTypes,
+            startTime: startTime ? parseInt(startTime) : undefined,
+            endTime: endTime ? parseInt(endTime) : undefined
+        });
+
+        res.json(result);
+
+    } catch (error) {
+        logger.error('[DATA] Gap scan error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * POST /api/data/gaps/repair
+ * Refetch open gaps through the sync job (runs in background, progress on
+ * /sync/status and the sync stream; results land in the gap report)
+ *
+ * Body (all optional):
+ * {
+ *   ids: ['<gap id>', ...],
+ *   symbols, exchanges, timeframes, dataTypes: filters,
+ *   includeUnrecoverable: false,
+ *   maxGaps: 50
+ * }
+ */
+router.post('/gaps/repair', async (req, res) => {
+    try {
+        const status = scanCandleGaps.getGapJobStatus();
+        if (status.repairRunning || syncHistoricalData.getSyncStatus().isRunning) {
+            return res.json({
+                success: false,
+                error: status.repairRunning ? 'Gap repair already in progress' : 'Sync already in progress'
+            });
+        }
+
+        const { ids, symbols, exchanges, timeframes, dataTypes, includeUnrecoverable = false, maxGaps } = req.body;
+
+        scanCandleGaps.repairGaps({ ids, symbols, exchanges, timeframes, dataTypes, includeUnrecoverable, maxGaps })
+            .then(result => {
+                if (!result.success) logger.warn(`[DATA] Gap repair not run: ${result.error}`);
+            })
+            .catch(err => logger.error('[DATA] Gap repair error:', err));
+
+        res.json({
+            success: true,
+            message: 'Gap repair started'
+        });
+
+    } catch (error) {
+        logger.error('[DATA] Gap repair error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * =======================================================================
+ * IMPORT / EXPORT ENDPOINTS
+ * =======================================================================
+ */
+
+const importBody = express.text({
+    type: ['text/csv', 'application/x-ndjson', 'application/jsonl', 'text/plain'],
+    limit: '50mb'
+});
+
+/**
+ * POST /api/data/import
+ * Bulk-load candles from a CSV or NDJSON request body
+ * (columns: see src/services/candleImportExport.js)
+ *
+ * Content-Type: text/csv | application/x-ndjson | text/plain
+ *
+ * Query params:
+ * - format: 'csv' | 'ndjson' (optional, default from Content-Type / content)
+ * - exchange, symbol, timeframe (optional defaults for rows without them)
+ * - mode: 'merge' (default, update existing rows) | 'skip' (keep existing rows)
+ * - dryRun: 'true' to validate and count without writing
+ */
+router.post('/import', importBody, async (req, res) => {
+    try {
+        if (typeof req.body !== 'string' || !req.body.trim()) {
+            return res.status(400).json({
+                success: false,
+                error: 'Send the file as the request body with Content-Type text/csv or application/x-ndjson'
+            });
+        }
+
+        const { exchange, symbol, timeframe, mode = 'merge', dryRun } = req.query;
+        let format = req.query.format;
+        if (!format && req.is('text/csv')) format = 'csv';
+        if (!format && req.is(['application/x-ndjson', 'application/jsonl'])) format = 'ndjson';
+
+        const summary = await candleImportExport.importCandles(req.body, {
+            format,
+            exchange,
+            symbol,
+            timeframe,
+            mode,
+            dryRun: dryRun === 'true'
+        });
+
+        res.status(summary.success ? 200 : 400).json(summary);
+
+    } catch (error) {
+        logger.error('[DATA] Import error:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/data/export
+ * Stream stored candles as CSV or NDJSON
+ *
+ * Query params:
+ * - format: 'csv' (default) | 'ndjson'
+ * - exchange: 'Binance', 'Bybit' or comma list (default: exchanges of the active venues)
+ * - symbol: 'BTC' (default)
+ * - timeframe: '4h' or comma list (default all)
+ * - startTime, endTime: ms (optional)
+ */
+router.get('/export', async (req, res) => {
+    const { format = 'csv', exchange, symbol = 'BTC', timeframe, startTime, endTime } = req.query;
+    const list = value => (value ? String(value).split(',').map(v => v.trim()).filter(Boolean) : undefined);
+
+    if (!candleImportExport.FORMATS.includes(format)) {
+        return res.status(400).json({
+            success: false,
+            error: `Invalid format. Valid: ${candleImportExport.FORMATS.join(', ')}`
+        });
+    }
+    if (!historicalCandleStorage.getSupabase()) {
+        return res.status(503).json({
+            success: false,
+            error: 'Database not configured'
+        });
+    }
+
+    const baseSymbol = symbolRegistry.toBaseSymbol(symbol);
+    res.setHeader('Content-Type', format === 'csv' ? 'text/csv' : 'application/x-ndjson');
+    res.setHeader('Content-Disposition', `attachment; filename="candles_${baseSymbol.toLowerCase()}.${format}"`);
+
+    try {
+        for await (const line of candleImportExport.exportCandles({
+            format,
+            exchanges: list(exchange),
+            symbol: baseSymbol,
+            timeframes: list(timeframe),
+            startTime: startTime ? parseInt(startTime) : undefined,
+            endTime: endTime ? parseInt(endTime) : undefined
+        })) {
+            if (!res.write(line)) await new Promise(resolve => res.once('drain', resolve));
+        }
+        res.end();
+
+    } catch (error) {
+        // Headers are already sent - all we can do is cut the stream
+        logger.error('[DATA] Export error:', error);
+        res.destroy(error);
+    }
+});
+
 /**
  * =======================================================================
  * DATA ACCESS ENDPOINTS
@@ -408,7 +772,7 @@ router.get('/progress', async (req, res) => {
  * Query params:
  * - exchange: 'Binance' or 'Bybit'
  * - symbol: 'BTC' (default)
- * - timeframe: '30m', '1h', '4h', '1d'
+ * - timeframe: '15m', '30m', '1h', '4h', '1d', '1w'
  * - startTime: timestamp (ms)
  * - endTime: timestamp (ms)
  */
@@ -425,7 +789,7 @@ router.get('/candles', async (req, res) => {
 
         const candles = await historicalCandleStorage.getCandles({
             exchange,
-            symbol,
+            symbol: symbolRegistry.toBaseSymbol(symbol),
             timeframe,
             startTime: startTime ? parseInt(startTime) : undefined,
             endTime: endTime ? parseInt(endTime) : undefined
@@ -514,7 +878,11 @@ router.get('/health', async (req, res) => {
             features: {
                 sync: true,
                 coverage: true,
-                candles: true
+                candles: true,
+                gaps: true,
+                verification: true,
+                aggregation: true,
+                importExport: true
             }
         });
 
@@ -3,33 +3,41 @@
 
 const express = require('express');
 const router = express.Router();
-const { stateStorage } = require('../services');
+const { stateStorage, symbolRegistry, outcomeLabelStorage } = require('../services');
 const logger = require('../utils/logger');
 
 /**
  * GET /api/history/states
- * Get historical market states
- * Query params: from, to, limit
+ * Get historical market states, each with its versioned labels (outcomeLabels)
+ * Query params: from, to, limit, symbol (default BTC),
+ *   horizon, labelerVersion (outcomeLabels filters)
  */
 router.get('/states', async (req, res) => {
     try {
-        const { from, to, limit = 100 } = req.query;
+        const { from, to, limit = 100, horizon, labelerVersion } = req.query;
+        const symbol = symbolRegistry.toBaseSymbol(req.query.symbol || 'BTC');
 
         // Parse dates
         const fromDate = from ? new Date(from).getTime() : null;
         const toDate = to ? new Date(to).getTime() : null;
         const limitNum = Math.min(parseInt(limit) || 100, 500);
 
-        logger.info(`Fetching state history: from=${from}, to=${to}, limit=${limitNum}`);
+        logger.info(`Fetching state history: symbol=${symbol}, from=${from}, to=${to}, limit=${limitNum}`);
 
-        const states = await stateStorage.getStateHistory('BTC', fromDate, toDate, limitNum);
+        const states = await outcomeLabelStorage.attachOutcomeLabels(
+            await stateStorage.getStateHistory(symbol, fromDate, toDate, limitNum),
+            { source: outcomeLabelStorage.LABEL_SOURCES.LIVE, horizon, labelerVersion }
+        );
 
         res.json({
             success: true,
             data: states,
             meta: {
+                symbol,
                 count: states.length,
                 limit: limitNum,
+                horizon: horizon || null,
+                labelerVersion: labelerVersion || null,
                 from: fromDate ? new Date(fromDate).toISOString() : null,
                 to: toDate ? new Date(toDate).toISOString() : null
             }
@@ -75,10 +83,12 @@ router.get('/states/:id', async (req, res) => {
 /**
  * GET /api/history/states/latest
  * Get the most recent market state
+ * Query params: symbol (default BTC)
  */
 router.get('/states/latest', async (req, res) => {
     try {
-        const state = await stateStorage.getLatestState('BTC');
+        const symbol = symbolRegistry.toBaseSymbol(req.query.symbol || 'BTC');
+        const state = await stateStorage.getLatestState(symbol);
 
         if (!state) {
             return res.json({
@@ -104,11 +114,12 @@ router.get('/states/latest', async (req, res) => {
 /**
  * GET /api/history/alerts
  * Get alert history
- * Query params: from, to, type, limit
+ * Query params: from, to, type, limit, symbol (optional, all symbols if omitted)
  */
 router.get('/alerts', async (req, res) => {
     try {
         const { from, to, type, limit = 100 } = req.query;
+        const symbol = req.query.symbol ? symbolRegistry.toBaseSymbol(req.query.symbol) : null;
 
         const fromDate = from ? new Date(from).getTime() : null;
         const toDate = to ? new Date(to).getTime() : null;
@@ -116,7 +127,7 @@ router.get('/alerts', async (req, res) => {
 
         logger.info(`Fetching alert history: from=${from}, to=${to}, type=${type}, limit=${limitNum}`);
 
-        const alerts = await stateStorage.getAlertHistory(fromDate, toDate, type, limitNum);
+        const alerts = await stateStorage.getAlertHistory(fromDate, toDate, type, limitNum, symbol);
 
         res.json({
             success: true,
@@ -125,6 +136,7 @@ router.get('/alerts', async (req, res) => {
                 count: alerts.length,
                 limit: limitNum,
                 type: type || 'all',
+                symbol: symbol || 'all',
                 from: fromDate ? new Date(fromDate).toISOString() : null,
                 to: toDate ? new Date(toDate).toISOString() : null
             }
@@ -170,18 +182,19 @@ router.post('/alerts/:id/acknowledge', async (req, res) => {
 /**
  * GET /api/history/stats
  * Get aggregated statistics
- * Query params: from, to
+ * Query params: from, to, symbol (default BTC)
  */
 router.get('/stats', async (req, res) => {
     try {
         const { from, to } = req.query;
+        const symbol = symbolRegistry.toBaseSymbol(req.query.symbol || 'BTC');
 
         const fromDate = from ? new Date(from).getTime() : null;
         const toDate = to ? new Date(to).getTime() : null;
 
         logger.info(`Fetching aggregated stats: from=${from}, to=${to}`);
 
-        const stats = await stateStorage.getAggregatedStats('BTC', fromDate, toDate);
+        const stats = await stateStorage.getAggregatedStats(symbol, fromDate, toDate);
 
         if (!stats) {
             return res.json({
@@ -211,16 +224,17 @@ router.get('/stats', async (req, res) => {
 /**
  * GET /api/history/summaries
  * Get daily summaries
- * Query params: from, to, limit
+ * Query params: from, to, limit, symbol (optional, all symbols if omitted)
  */
 router.get('/summaries', async (req, res) => {
     try {
         const { from, to, limit = 30 } = req.query;
+        const symbol = req.query.symbol ? symbolRegistry.toBaseSymbol(req.query.symbol) : null;
         const limitNum = Math.min(parseInt(limit) || 30, 365);
 
         logger.info(`Fetching daily summaries: from=${from}, to=${to}, limit=${limitNum}`);
 
-        const summaries = await stateStorage.getDailySummaries(from, to, limitNum);
+        const summaries = await stateStorage.getDailySummaries(from, to, limitNum, symbol);
 
         res.json({
             success: true,
@@ -242,11 +256,12 @@ router.get('/summaries', async (req, res) => {
 /**
  * POST /api/history/summaries/generate
  * Generate daily summary for a specific date
- * Body: { date: 'YYYY-MM-DD' }
+ * Body: { date: 'YYYY-MM-DD', symbol: 'BTC' (optional) }
  */
 router.post('/summaries/generate', async (req, res) => {
     try {
         const { date } = req.body;
+        const symbol = symbolRegistry.toBaseSymbol(req.body.symbol || 'BTC');
 
         if (!date) {
             return res.status(400).json({
@@ -255,9 +270,9 @@ router.post('/summaries/generate', async (req, res) => {
             });
         }
 
-        logger.info(`Generating daily summary for: ${date}`);
+        logger.info(`Generating daily summary for: ${symbol} ${date}`);
 
-        const result = await stateStorage.generateDailySummary(date);
+        const result = await stateStorage.generateDailySummary(date, symbol);
 
         if (!result) {
             return res.json({
@@ -324,4 +339,79 @@ router.post('/cleanup', async (req, res) => {
     }
 });
 
+/**
+ * POST /api/history/rerun
+ * Re-run stored analyzer inputs through the current code and diff against
+ * the saved outputs (regression check, read-only)
+ * Body: { source: 'market'|'replay', symbol, batchId, stateIds, from, to, limit }
+ */
+router.post('/rerun', async (req, res) => {
+    try {
+        const stateRerunService = require('../services/stateRerunService');
+        const { source = 'market', batchId, stateIds, from, to, limit } = req.body || {};
+
+        const result = await stateRerunService.rerunStates({
+            source,
+            symbol: req.body?.symbol ? symbolRegistry.toBaseSymbol(req.body.symbol) : null,
+            batchId,
+            stateIds,
+            fromDate: from ? new Date(from).getTime() : null,
+            toDate: to ? new Date(to).getTime() : null,
+            limit: limit ? parseInt(limit) : undefined
+        });
+
+        if (!result.success) {
+            return res.status(400).json(result);
+        }
+
+        res.json({
+            success: true,
+            data: result
+        });
+    } catch (error) {
+        logger.error('Error re-running stored states:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
+/**
+ * GET /api/history/states/:id/rerun
+ * Re-run a single stored state and diff against its saved output
+ * Query params: source (market|replay, default market)
+ */
+router.get('/states/:id/rerun', async (req, res) => {
+    try {
+        const stateRerunService = require('../services/stateRerunService');
+        const result = await stateRerunService.rerunStates({
+            source: req.query.source || 'market',
+            stateIds: [req.params.id],
+            limit: 1
+        });
+
+        if (!result.success) {
+            return res.status(400).json(result);
+        }
+        if (result.results.length === 0) {
+            return res.status(404).json({
+                success: false,
+                error: 'State not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: result.results[0]
+        });
+    } catch (error) {
+        logger.error('Error re-running state:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
 module.exports = router;
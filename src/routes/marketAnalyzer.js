@@ -1,17 +1,12 @@
 const express = require('express');
 const router = express.Router();
-const { marketDataService, marketMetrics, alertService, llmExplainer, stateStorage, absorptionService } = require('../services');
+const { marketDataService, marketMetrics, alertService, alertDeliveryService, llmExplainer, stateStorage, absorptionService, symbolRegistry, venueRegistry, signalRegistry, dataProvider } = require('../services');
 const configService = require('../services/configService');
 const cacheManager = require('../utils/cache');
 const logger = require('../utils/logger');
 
 // A) P0 FIX: Version tracking for deployment verification
-const BUILD_VERSION = {
-  version: '2.2.1',
-  buildDate: '2025-12-12T13:30:00Z',
-  p0CvdFix: true,
-  cvdIntervals: ['m30', 'h1', 'h4', 'h24']
-};
+const { BUILD_INFO: BUILD_VERSION } = require('../utils/buildInfo');
 
 /**
  * Generate realistic demo data for testing UI without API key
@@ -239,20 +234,21 @@ function generateDemoData() {
 }
 
 /**
- * GET /api/ai-market-analyzer/btc
- * Returns comprehensive BTC market analysis with whale vs retail intelligence
- * Cached for 30 minutes (configurable)
+ * Shared handler for GET /btc and GET /:symbol
+ * Returns comprehensive market analysis for a registered symbol
+ * Cached for 30 minutes (configurable), one cache entry per symbol
  * Falls back to demo data if API key is missing
  */
-router.get('/btc', async (req, res) => {
+async function handleAnalysisRequest(req, res, symbol) {
   const startTime = Date.now(); // Phase 5: Request timing
-  const cacheKey = 'market_snapshot_btc';
-  const useDemo = req.query.demo === 'true' || !process.env.COINGLASS_API_KEY;
+  const cacheKey = symbolRegistry.getCacheKey(symbol);
+  const exchangeMapping = symbolRegistry.getExchangeMapping(symbol);
+  const useDemo = req.query.demo === 'true' || !dataProvider.getProvider().isConfigured();
 
   try {
     // If demo mode or no API key, return demo data
     if (useDemo) {
-      logger.info('Using demo data (no API key configured)');
+      logger.info('Using demo data (data provider not configured)');
       const demoData = generateDemoData();
       return res.json({
         success: true,
@@ -262,11 +258,9 @@ router.get('/btc', async (req, res) => {
           demo: true,
           timestamp: new Date().toISOString(),
           source: 'demo_data',
-          message: 'Demo data - configure COINGLASS_API_KEY for live data',
-          exchange_mapping: {
-            binance: 'BTCUSDT (USDT-margined)',
-            bybit: 'BTCUSD (coin-margined)'
-          }
+          message: 'Demo data - configure COINGLASS_API_KEY (or DATA_PROVIDER=fixture) for live data',
+          symbol,
+          exchange_mapping: exchangeMapping
         }
       });
     }
@@ -279,7 +273,7 @@ router.get('/btc', async (req, res) => {
       const cached = cacheManager.get(cacheKey);
       if (cached) {
         const duration = Date.now() - startTime;
-        logger.info(`Returning cached market data (${duration}ms)`);
+        logger.info(`Returning cached ${symbol} market data (${duration}ms)`);
 
         // Extract the actual response from cache
         // cache.get() returns { data, age, cachedAt }
@@ -292,7 +286,12 @@ router.get('/btc', async (req, res) => {
         // so this won't create duplicates - max 1 save per 5-minute bucket
         let stateId = cachedResponse.meta?.stateId || null;
         try {
-          const saveResult = await stateStorage.saveMarketState(cachedResponse.data);
+          // Cached response was computed from already-stored inputs - reference them
+          const saveResult = await stateStorage.saveMarketState(cachedResponse.data, {
+            symbol,
+            inputsHash: cachedResponse.meta?.inputsHash || null,
+            configVersion: cachedResponse.meta?.configVersion
+          });
           if (saveResult.success && !saveResult.deduplicated) {
             stateId = saveResult.id;
             logger.info(`State saved on cache hit: ${stateId}`);
@@ -322,23 +321,23 @@ router.get('/btc', async (req, res) => {
     }
 
     // Fetch fresh data with history
-    logger.info('Fetching fresh market data from Coinglass...');
-    const { snapshot, history } = await marketDataService.getFuturesMarketData('BTCUSDT', {
-      timeframes: ['30m', '1h', '4h', '1d']
+    logger.info(`Fetching fresh ${symbol} market data from Coinglass...`);
+    const { snapshot, history } = await marketDataService.getFuturesMarketData(symbol, {
+      timeframes: marketMetrics.getTimeframeConfig().active
     });
 
     // Phase 6: Absorption Logic (V3)
     // 1. Resolve existing events (Phase 2)
     const resolvedAbsorptions = await absorptionService.checkAndResolveAbsorptions({
       candles: history,
-      symbol: 'BTC'
+      symbol
     });
 
     // Calculate comprehensive metrics
     logger.info('Calculating market metrics...');
     // Note: passing resolvedAbsorptions as options (3rd arg)
     const metrics = marketMetrics.calculateMarketMetrics(
-      { snapshot, history },
+      { snapshot, history, symbol },
       {},
       { resolvedAbsorptions }
     );
@@ -347,7 +346,7 @@ router.get('/btc', async (req, res) => {
     for (const tf in metrics.timeframes) {
       const abs = metrics.timeframes[tf]?.absorption?.detected;
       if (abs && abs.detected) {
-        const event = { ...abs, timeframe: tf, symbol: 'BTC' };
+        const event = { ...abs, timeframe: tf, symbol };
         const saveResult = await absorptionService.saveAbsorptionEvent(event);
         if (saveResult.success) {
           logger.info(`[ABSORPTION] Saved new event: ${tf} ${event.cvdDirection}`);
@@ -364,7 +363,7 @@ router.get('/btc', async (req, res) => {
 
     // Check for alerts (compare with previous state)
     logger.info('Checking for alerts...');
-    const alerts = alertService.checkAlerts(metrics);
+    const alerts = alertService.checkAlerts(metrics, symbol);
 
     // Phase 5: Log alert fire events
     if (alerts.length > 0) {
@@ -377,11 +376,17 @@ router.get('/btc', async (req, res) => {
     }
 
     // Save state to database (non-blocking)
+    // Raw analyzer inputs are stored with it so the decision can be reproduced
     let stateId = null;
+    let inputsHash = null;
     try {
-      const saveResult = await stateStorage.saveMarketState(metrics);
+      const saveResult = await stateStorage.saveMarketState(metrics, {
+        symbol,
+        inputs: { snapshot, history, symbol, resolvedAbsorptions }
+      });
       if (saveResult.success) {
         stateId = saveResult.id;
+        inputsHash = saveResult.inputsHash || null;
         logger.info(`State saved: ${stateId}`);
 
         // Save alerts if any (link to state)
@@ -393,6 +398,9 @@ router.get('/btc', async (req, res) => {
       logger.warn('Failed to save state to database:', saveError.message);
     }
 
+    // Deliver to subscribers (fire-and-forget)
+    alertDeliveryService.dispatchAlerts(alerts);
+
     const duration = Date.now() - startTime;
 
     // Build response
@@ -405,7 +413,7 @@ router.get('/btc', async (req, res) => {
       meta: {
         cached: false,
         timestamp: new Date().toISOString(),
-        source: 'coinglass_api_v4',
+        source: dataProvider.getProvider().source,
         // A) P0 FIX: Include build info for version verification
         buildInfo: BUILD_VERSION,
         // Config version for calibration tracking
@@ -413,22 +421,21 @@ router.get('/btc', async (req, res) => {
         configSource: configService.getConfigSource(),
         alertsGenerated: alerts.length,
         stateId,
+        inputsHash,
         responseTime: `${duration}ms`,
-        exchange_mapping: {
-          binance: 'BTCUSDT (USDT-margined)',
-          bybit: 'BTCUSD (coin-margined)'
-        }
+        symbol,
+        exchange_mapping: exchangeMapping
       }
     };
 
     // Store in cache
     cacheManager.set(cacheKey, response);
-    logger.info(`Market data fetched and cached in ${(duration / 1000).toFixed(1)}s. ${alerts.length} alerts generated.`);
+    logger.info(`${symbol} market data fetched and cached in ${(duration / 1000).toFixed(1)}s. ${alerts.length} alerts generated.`);
 
     res.json(response);
 
   } catch (error) {
-    logger.error('Error in /api/ai-market-analyzer/btc:', error);
+    logger.error(`Error in /api/ai-market-analyzer/${symbol.toLowerCase()}:`, error);
 
     // Fall back to demo data on error
     logger.info('Falling back to demo data due to error');
@@ -444,24 +451,29 @@ router.get('/btc', async (req, res) => {
         source: 'demo_data_fallback',
         error: error.message,
         message: 'Using demo data due to API error',
-        exchange_mapping: {
-          binance: 'BTCUSDT (USDT-margined)',
-          bybit: 'BTCUSD (coin-margined)'
-        }
+        symbol,
+        exchange_mapping: exchangeMapping
       }
     });
   }
-});
+}
 
 /**
- * GET /api/ai-market-analyzer/btc/explain
+ * GET /api/ai-market-analyzer/btc
+ * Returns comprehensive BTC market analysis with whale vs retail intelligence
+ * Kept as an explicit route for backward compatibility with GET /:symbol
+ */
+router.get('/btc', (req, res) => handleAnalysisRequest(req, res, 'BTC'));
+
+/**
+ * Shared handler for GET /btc/explain and GET /:symbol/explain
  * Returns LLM-generated explanation of current market state
  * Separate from main analysis - optional enrichment layer
  * Cached for 5 minutes to reduce API costs
  */
-router.get('/btc/explain', async (req, res) => {
-  const cacheKey = 'market_snapshot_btc';
-  const useDemo = req.query.demo === 'true' || !process.env.COINGLASS_API_KEY;
+async function handleExplainRequest(req, res, symbol) {
+  const cacheKey = symbolRegistry.getCacheKey(symbol);
+  const useDemo = req.query.demo === 'true' || !dataProvider.getProvider().isConfigured();
 
   try {
     let marketState;
@@ -477,11 +489,11 @@ router.get('/btc/explain', async (req, res) => {
       logger.info('Using demo data for explanation');
     } else {
       // Fetch fresh data if no cache
-      logger.info('Fetching fresh market data for explanation...');
-      const { snapshot, history } = await marketDataService.getFuturesMarketData('BTCUSDT', {
-        timeframes: ['30m', '1h', '4h', '1d']
+      logger.info(`Fetching fresh ${symbol} market data for explanation...`);
+      const { snapshot, history } = await marketDataService.getFuturesMarketData(symbol, {
+        timeframes: marketMetrics.getTimeframeConfig().active
       });
-      marketState = marketMetrics.calculateMarketMetrics({ snapshot, history });
+      marketState = marketMetrics.calculateMarketMetrics({ snapshot, history, symbol });
     }
 
     // Generate LLM explanation
@@ -509,7 +521,7 @@ router.get('/btc/explain', async (req, res) => {
     });
 
   } catch (error) {
-    logger.error('Error in /api/ai-market-analyzer/btc/explain:', error);
+    logger.error(`Error in /api/ai-market-analyzer/${symbol.toLowerCase()}/explain:`, error);
 
     // Return fallback explanation
     const demoState = generateDemoData();
@@ -536,6 +548,28 @@ router.get('/btc/explain', async (req, res) => {
       }
     });
   }
+}
+
+/**
+ * GET /api/ai-market-analyzer/btc/explain
+ * Returns LLM-generated explanation of current BTC market state
+ */
+router.get('/btc/explain', (req, res) => handleExplainRequest(req, res, 'BTC'));
+
+/**
+ * GET /api/ai-market-analyzer/symbols
+ * Lists supported symbols and their exchange instruments
+ */
+router.get('/symbols', (req, res) => {
+  res.json({
+    success: true,
+    data: symbolRegistry.getSupportedSymbols().map(symbol => ({
+      symbol,
+      name: symbolRegistry.SYMBOL_REGISTRY[symbol].name,
+      exchange_mapping: symbolRegistry.getExchangeMapping(symbol),
+      cronEnabled: symbolRegistry.getEnabledSymbols().includes(symbol)
+    }))
+  });
 });
 
 /**
@@ -552,10 +586,7 @@ router.get('/demo', (req, res) => {
       demo: true,
       timestamp: new Date().toISOString(),
       source: 'demo_data',
-      exchange_mapping: {
-        binance: 'BTCUSDT (USDT-margined)',
-        bybit: 'BTCUSD (coin-margined)'
-      }
+      exchange_mapping: symbolRegistry.getExchangeMapping('BTC')
     }
   });
 });
@@ -604,14 +635,15 @@ router.get('/health', (req, res) => {
     service: 'ai-market-analyzer',
     status: 'operational',
     api_key_configured: !!process.env.COINGLASS_API_KEY,
+    data_provider: dataProvider.getProviderInfo(),
     anthropic_key_configured: !!process.env.ANTHROPIC_API_KEY,
-    demo_mode: !process.env.COINGLASS_API_KEY,
+    demo_mode: !dataProvider.getProvider().isConfigured(),
     features: {
       exchange_divergence: '9 scenarios',
       market_regime: '9 regimes (incl. long_squeeze, range/chop)',
       technical_analysis: 'EMA, momentum, volatility',
       funding_analysis: 'Z-score, extremes',
-      weighted_decision: '7 signals',
+      weighted_decision: `${signalRegistry.getSignals().length} pluggable signals`,
       multi_timeframe: '30m, 1h, 4h, 1d with weighting',
       alerts: '6 alert types with cooldowns',
       llm_explanation: 'Claude Sonnet with fallback templates'
@@ -625,7 +657,8 @@ router.get('/health', (req, res) => {
  * Returns alert system statistics (useful for debugging)
  */
 router.get('/alert-stats', (req, res) => {
-  const stats = alertService.getAlertStats();
+  const symbol = symbolRegistry.resolveSymbol(req.query.symbol) || 'BTC';
+  const stats = alertService.getAlertStats(symbol);
   res.json({
     success: true,
     data: stats,
@@ -666,10 +699,11 @@ router.post('/clear-explanation-cache', (req, res) => {
  * Clear alert cooldowns (useful for testing)
  */
 router.post('/clear-alerts', (req, res) => {
-  alertService.clearCooldowns();
+  const symbol = req.body?.symbol ? symbolRegistry.resolveSymbol(req.body.symbol) : null;
+  alertService.clearCooldowns(symbol);
   res.json({
     success: true,
-    message: 'Alert cooldowns cleared'
+    message: symbol ? `Alert cooldowns cleared for ${symbol}` : 'Alert cooldowns cleared'
   });
 });
 
@@ -686,9 +720,10 @@ router.get('/debug/status', async (req, res) => {
 
   try {
     // Get cached data if available
-    const cached = cacheManager.get('market_snapshot_btc');
-    const previousState = alertService.getPreviousState();
-    const alertStats = alertService.getAlertStats();
+    const symbol = symbolRegistry.resolveSymbol(req.query.symbol) || 'BTC';
+    const cached = cacheManager.get(symbolRegistry.getCacheKey(symbol));
+    const previousState = alertService.getPreviousState(symbol);
+    const alertStats = alertService.getAlertStats(symbol);
 
     // Get DB stats
     let dbStats = null;
@@ -779,7 +814,8 @@ router.get('/debug/db-stats', async (req, res) => {
  */
 router.get('/debug/alert-stats', (req, res) => {
   try {
-    const stats = alertService.getAlertStats();
+    const symbol = symbolRegistry.resolveSymbol(req.query.symbol) || 'BTC';
+    const stats = alertService.getAlertStats(symbol);
     res.json({
       success: true,
       data: {
@@ -802,19 +838,21 @@ router.get('/debug/alert-stats', (req, res) => {
  */
 router.post('/debug/force-refresh', async (req, res) => {
   const startTime = Date.now();
-  logger.info('🔧 DEBUG: Force refresh initiated');
+  const symbol = symbolRegistry.resolveSymbol(req.body?.symbol) || 'BTC';
+  const cacheKey = symbolRegistry.getCacheKey(symbol);
+  logger.info(`🔧 DEBUG: Force refresh initiated for ${symbol}`);
 
   try {
     // Clear cache first
-    cacheManager.del('market_snapshot_btc');
+    cacheManager.clear(cacheKey);
 
     // Fetch fresh data
-    const { snapshot, history } = await marketDataService.getFuturesMarketData('BTCUSDT', {
-      timeframes: ['30m', '1h', '4h', '1d']
+    const { snapshot, history } = await marketDataService.getFuturesMarketData(symbol, {
+      timeframes: marketMetrics.getTimeframeConfig().active
     });
 
-    const metrics = marketMetrics.calculateMarketMetrics({ snapshot, history });
-    const alerts = alertService.checkAlerts(metrics);
+    const metrics = marketMetrics.calculateMarketMetrics({ snapshot, history, symbol });
+    const alerts = alertService.checkAlerts(metrics, symbol);
 
     // Log alerts
     if (alerts.length > 0) {
@@ -824,20 +862,25 @@ router.post('/debug/force-refresh', async (req, res) => {
     }
 
     // Save to database
-    const saveResult = await stateStorage.saveMarketState(metrics);
+    const saveResult = await stateStorage.saveMarketState(metrics, {
+      symbol,
+      inputs: { snapshot, history, symbol }
+    });
     if (saveResult.success && alerts.length > 0) {
       await stateStorage.saveAlerts(alerts, saveResult.id);
     }
+    alertDeliveryService.dispatchAlerts(alerts);
 
     // Update cache
-    cacheManager.set('market_snapshot_btc', {
+    cacheManager.set(cacheKey, {
       success: true,
       data: { ...metrics, alerts },
       meta: {
         cached: false,
         timestamp: new Date().toISOString(),
         source: 'debug_force_refresh',
-        stateId: saveResult.id
+        stateId: saveResult.id,
+        inputsHash: saveResult.inputsHash || null
       }
     });
 
@@ -847,6 +890,7 @@ router.post('/debug/force-refresh', async (req, res) => {
     res.json({
       success: true,
       data: {
+        symbol,
         bias: metrics.finalDecision?.bias,
         confidence: metrics.finalDecision?.confidence,
         tradeStance: metrics.finalDecision?.tradeStance,
@@ -908,16 +952,19 @@ router.get('/debug/llm-stats', (req, res) => {
  */
 router.get('/debug/config', (req, res) => {
   try {
+    const timeframeConfig = marketMetrics.getTimeframeConfig();
     res.json({
       success: true,
       data: {
         timeframeWeights: {
-          '30m': '25%',
-          '1h': '25%',
-          '4h': '30%',
-          '1d': '20%',
+          ...Object.fromEntries(timeframeConfig.active.map(tf => [
+            tf, `${Math.round((timeframeConfig.weights[tf] || 0) * 100)}%`
+          ])),
           description: 'Aggregation weights for multi-TF bias calculation'
         },
+        timeframes: timeframeConfig,
+        // Per-timeframe threshold mode: fixed / atr / percentile
+        adaptiveThresholds: configService.getCachedConfig().adaptiveThresholds || null,
         macroAnchoring: {
           enabled: true,
           consensusThreshold: 6,
@@ -928,10 +975,22 @@ router.get('/debug/config', (req, res) => {
           primary: 'Bybit (COIN-M)',
           secondary: 'Binance (USDT-M)',
           rationale: 'Bybit COIN-M = smart money, Binance USDT-M = retail',
-          symbolMapping: {
-            BTC: { Binance: 'BTCUSDT', Bybit: 'BTCUSD' }
-          }
+          symbolMapping: Object.fromEntries(
+            symbolRegistry.getSupportedSymbols().map(symbol => [symbol, {
+              Binance: symbolRegistry.getExchangeSymbol(symbol, 'Binance'),
+              Bybit: symbolRegistry.getExchangeSymbol(symbol, 'Bybit')
+            }])
+          ),
+          // Active venue set (config.venues); 'classic' = the two exchanges above
+          venueProfile: venueRegistry.getProfileName(venueRegistry.getActiveVenues(configService.getCachedConfig())),
+          venueRoles: venueRegistry.VENUE_ROLES,
+          venues: venueRegistry.describeVenues(
+            symbolRegistry.DEFAULT_SYMBOL,
+            venueRegistry.getActiveVenues(configService.getCachedConfig())
+          )
         },
+        // Registered decision signals with effective weight and settings
+        signals: signalRegistry.listSignals(configService.getCachedConfig()),
         alertCooldowns: {
           BIAS_SHIFT: '30 minutes',
           REGIME_CHANGE: '1 hour',
@@ -964,4 +1023,45 @@ router.get('/debug/config', (req, res) => {
   }
 });
 
+// =========================================================================
+// MULTI-SYMBOL ROUTES
+// Registered last so the static routes above take precedence over :symbol
+// =========================================================================
+
+/**
+ * Resolve :symbol param via the registry, or send 404
+ */
+function resolveSymbolParam(req, res) {
+  const symbol = symbolRegistry.resolveSymbol(req.params.symbol);
+  if (!symbol) {
+    res.status(404).json({
+      success: false,
+      error: `Unsupported symbol: ${req.params.symbol}`,
+      supportedSymbols: symbolRegistry.getSupportedSymbols()
+    });
+    return null;
+  }
+  return symbol;
+}
+
+/**
+ * GET /api/ai-market-analyzer/:symbol
+ * Market analysis for any registered symbol (btc, eth, sol)
+ */
+router.get('/:symbol', (req, res) => {
+  const symbol = resolveSymbolParam(req, res);
+  if (!symbol) return;
+  return handleAnalysisRequest(req, res, symbol);
+});
+
+/**
+ * GET /api/ai-market-analyzer/:symbol/explain
+ * LLM explanation for any registered symbol
+ */
+router.get('/:symbol/explain', (req, res) => {
+  const symbol = resolveSymbolParam(req, res);
+  if (!symbol) return;
+  return handleExplainRequest(req, res, symbol);
+});
+
 module.exports = router;
@@ -7,7 +7,8 @@ const logger = require('../utils/logger');
 
 // Import replay services
 const replayRunner = require('../backtest/replayRunner');
-const { stateStorage } = require('../services');
+const { stateStorage, symbolRegistry, outcomeLabelStorage } = require('../services');
+const configService = require('../services/configService');
 
 // Lazy-load services that may not exist yet
 let outcomeLabelingJob = null;
@@ -53,6 +54,13 @@ router.post('/single', async (req, res) => {
             });
         }
 
+        if (!symbolRegistry.isSupported(symbol)) {
+            return res.status(400).json({
+                success: false,
+                error: `Unsupported symbol: ${symbol}. Supported: ${symbolRegistry.getSupportedSymbols().join(', ')}`
+            });
+        }
+
         // Parse timestamp
         const timestamp = typeof asOfTimestamp === 'number'
             ? asOfTimestamp
@@ -131,6 +139,13 @@ router.post('/batch', async (req, res) => {
             });
         }
 
+        if (!symbolRegistry.isSupported(symbol)) {
+            return res.status(400).json({
+                success: false,
+                error: `Unsupported symbol: ${symbol}. Supported: ${symbolRegistry.getSupportedSymbols().join(', ')}`
+            });
+        }
+
         const startMs = new Date(startTime).getTime();
         const endMs = new Date(endTime).getTime();
 
@@ -156,7 +171,7 @@ router.post('/batch', async (req, res) => {
         }
 
         // Validate stepSize
-        const validSteps = ['30m', '1h', '4h', '1d'];
+        const validSteps = ['15m', '30m', '1h', '4h', '1d', '1w'];
         if (!validSteps.includes(stepSize)) {
             return res.status(400).json({
                 success: false,
@@ -216,11 +231,11 @@ router.post('/batch', async (req, res) => {
  *   error: null
  * }
  */
-router.get('/status/:batchId', (req, res) => {
+router.get('/status/:batchId', async (req, res) => {
     try {
         const { batchId } = req.params;
 
-        const status = replayRunner.getBatchStatus(batchId);
+        const status = await replayRunner.getBatchStatus(batchId);
 
         if (!status) {
             return res.status(404).json({
@@ -276,11 +291,11 @@ router.get('/results/:batchId', async (req, res) => {
  * GET /api/replay/failures/:batchId
  * Get failed samples for a batch
  */
-router.get('/failures/:batchId', (req, res) => {
+router.get('/failures/:batchId', async (req, res) => {
     try {
         const { batchId } = req.params;
 
-        const failures = replayRunner.getBatchFailures(batchId);
+        const failures = await replayRunner.getBatchFailures(batchId);
 
         if (!failures.success) {
             return res.status(404).json(failures);
@@ -326,11 +341,11 @@ router.post('/resume/:batchId', async (req, res) => {
  * POST /api/replay/pause/:batchId
  * Pause a running batch
  */
-router.post('/pause/:batchId', (req, res) => {
+router.post('/pause/:batchId', async (req, res) => {
     try {
         const { batchId } = req.params;
 
-        const result = replayRunner.pauseBatch(batchId);
+        const result = await replayRunner.pauseBatch(batchId);
 
         if (!result.success) {
             return res.status(400).json(result);
@@ -350,10 +365,13 @@ router.post('/pause/:batchId', (req, res) => {
 /**
  * GET /api/replay/batches
  * List all batches
+ * 
+ * Query params:
+ * - symbol: filter by symbol (optional)
  */
-router.get('/batches', (req, res) => {
+router.get('/batches', async (req, res) => {
     try {
-        const batches = replayRunner.listBatches();
+        const batches = await replayRunner.listBatches({ symbol: req.query.symbol });
 
         res.json({
             success: true,
@@ -413,12 +431,8 @@ router.delete('/batch/:batchId', async (req, res) => {
         const deletedCount = data?.length || 0;
         logger.info(`Deleted ${deletedCount} states from batch ${batchId}`);
 
-        // Also remove from in-memory store if present
-        try {
-            replayRunner.deleteBatch(batchId);
-        } catch (e) {
-            // In-memory store might not have it, that's okay
-        }
+        // Also remove batch metadata (memory + replay_batches)
+        await replayRunner.deleteBatch(batchId);
 
         res.json({
             success: true,
@@ -440,15 +454,22 @@ router.delete('/batch/:batchId', async (req, res) => {
 /**
  * GET /api/replay/history
  * Get all persisted replay states for frontend hydration (no batchId filter)
+ * Each state carries its versioned labels (outcomeLabels)
+ *
+ * Query params: limit, symbol, horizon, labelerVersion (outcomeLabels filters)
  */
 router.get('/history', async (req, res) => {
     try {
         const limit = Math.min(parseInt(req.query.limit) || 100, 500);
         const symbol = req.query.symbol || 'BTC';
+        const { horizon, labelerVersion } = req.query;
 
         logger.info(`Fetching all replay states: symbol=${symbol}, limit=${limit}`);
 
-        const states = await stateStorage.getAllReplayStates({ limit, symbol });
+        const states = await outcomeLabelStorage.attachOutcomeLabels(
+            await stateStorage.getAllReplayStates({ limit, symbol }),
+            { horizon, labelerVersion }
+        );
 
         res.json({
             success: true,
@@ -456,7 +477,9 @@ router.get('/history', async (req, res) => {
             meta: {
                 count: states.length,
                 limit,
-                symbol
+                symbol,
+                horizon: horizon || null,
+                labelerVersion: labelerVersion || null
             }
         });
     } catch (error) {
@@ -576,8 +599,10 @@ router.get('/stats', async (req, res) => {
  * Body:
  * {
  *   batchId: "uuid",         // Optional: label specific batch
- *   horizon: "MICRO",        // Which horizon to evaluate
- *   limit: 100               // Max states to label
+ *   horizons: ["MICRO"],     // Optional: horizons to evaluate (default: SCALPING, MICRO, MACRO)
+ *   horizon: "MICRO",        // Optional: single horizon (shorthand for horizons)
+ *   limit: 100,              // Max states to label
+ *   method: "threshold"      // Optional: "threshold" | "triple_barrier"
  * }
  */
 router.post('/label', async (req, res) => {
@@ -589,12 +614,14 @@ router.post('/label', async (req, res) => {
             });
         }
 
-        const { batchId, horizon = 'MICRO', limit = 100 } = req.body;
+        const { batchId, horizons, horizon, limit = 100, method } = req.body;
 
         const result = await outcomeLabelingJob.labelPendingStates({
             batchId,
+            horizons,
             horizon,
-            limit
+            limit,
+            method
         });
 
         res.json(result);
@@ -653,6 +680,10 @@ router.get('/labeling-status', async (req, res) => {
  *   batchId (optional) - Filter to specific batch
  *   fromDate (optional) - Start date filter
  *   toDate (optional) - End date filter
+ *   method (optional) - Label method filter (threshold | triple_barrier)
+ *   horizon (optional) - Score the versioned labels of this horizon (SCALPING | MICRO | MACRO)
+ *   labelerVersion (optional) - Score the versioned labels of this labeler version (e.g. threshold-v1)
+ *   (horizon and labelerVersion go together - 400 when only one is given)
  */
 router.get('/scoreboard', async (req, res) => {
     try {
@@ -663,14 +694,21 @@ router.get('/scoreboard', async (req, res) => {
             });
         }
 
-        const { batchId, fromDate, toDate } = req.query;
+        const { batchId, fromDate, toDate, method, horizon, labelerVersion } = req.query;
 
         const scoreboard = await scoreboardService.getScoreboard({
             batchId,
             fromDate: fromDate ? new Date(fromDate).getTime() : null,
-            toDate: toDate ? new Date(toDate).getTime() : null
+            toDate: toDate ? new Date(toDate).getTime() : null,
+            method,
+            horizon,
+            labelerVersion
         });
 
+        if (scoreboard.errors) {
+            return res.status(400).json(scoreboard);
+        }
+
         res.json({
             success: true,
             ...scoreboard
@@ -730,9 +768,11 @@ router.get('/scoreboard/:batchId', async (req, res) => {
  * Body:
  * {
  *   batchId: "uuid" (optional - filter to specific batch),
- *   horizon: "MICRO" | "SCALPING" | "MACRO" (default: MICRO),
+ *   horizons: ["SCALPING", "MICRO", "MACRO"] (default: all three, labeled in one pass),
+ *   horizon: "MICRO" | "SCALPING" | "MACRO" (optional - single horizon),
  *   limit: 50 (max states to label per call),
- *   symbol: "BTC" (default: BTC)
+ *   symbol: "BTC" (default: BTC),
+ *   method: "threshold" | "triple_barrier" (default: threshold)
  * }
  */
 router.post('/label', async (req, res) => {
@@ -744,15 +784,17 @@ router.post('/label', async (req, res) => {
     }
 
     try {
-        const { batchId, horizon = 'MICRO', limit = 50, symbol = 'BTC' } = req.body;
+        const { batchId, horizons, horizon, limit = 50, symbol = 'BTC', method } = req.body;
 
-        logger.info(`[LABEL] Starting labeling: horizon=${horizon}, limit=${limit}, symbol=${symbol}`);
+        logger.info(`[LABEL] Starting labeling: horizons=${horizons || horizon || 'all'}, method=${method || 'threshold'}, limit=${limit}, symbol=${symbol}`);
 
         const result = await outcomeLabelingJob.labelPendingStates({
             batchId,
+            horizons,
             horizon,
             limit,
-            symbol
+            symbol,
+            method
         });
 
         res.json({
@@ -818,6 +860,10 @@ router.get('/label/status', async (req, res) => {
  * - symbol: filter by symbol (default: BTC)
  * - fromDate: start timestamp
  * - toDate: end timestamp
+ * - method: label method filter (threshold | triple_barrier)
+ * - horizon: score the versioned labels of this horizon (SCALPING | MICRO | MACRO)
+ * - labelerVersion: score the versioned labels of this labeler version (e.g. threshold-v1)
+ *   (horizon and labelerVersion go together - 400 when only one is given)
  */
 router.get('/scoreboard', async (req, res) => {
     if (!scoreboardService) {
@@ -828,15 +874,22 @@ router.get('/scoreboard', async (req, res) => {
     }
 
     try {
-        const { batchId, symbol = 'BTC', fromDate, toDate } = req.query;
+        const { batchId, symbol = 'BTC', fromDate, toDate, method, horizon, labelerVersion } = req.query;
 
         const scoreboard = await scoreboardService.getScoreboard({
             batchId,
             symbol,
             fromDate: fromDate ? parseInt(fromDate) : undefined,
-            toDate: toDate ? parseInt(toDate) : undefined
+            toDate: toDate ? parseInt(toDate) : undefined,
+            method,
+            horizon,
+            labelerVersion
         });
 
+        if (scoreboard.errors) {
+            return res.status(400).json(scoreboard);
+        }
+
         res.json({
             success: true,
             ...scoreboard
@@ -854,6 +907,7 @@ router.get('/scoreboard', async (req, res) => {
 /**
  * GET /api/replay/scoreboard/summary
  * Get lightweight scoreboard summary
+ * Query params: batchId, symbol, horizon, labelerVersion (see /scoreboard)
  */
 router.get('/scoreboard/summary', async (req, res) => {
     if (!scoreboardService) {
@@ -864,13 +918,19 @@ router.get('/scoreboard/summary', async (req, res) => {
     }
 
     try {
-        const { batchId, symbol = 'BTC' } = req.query;
+        const { batchId, symbol = 'BTC', horizon, labelerVersion } = req.query;
 
         const summary = await scoreboardService.getScoreboardSummary({
             batchId,
-            symbol
+            symbol,
+            horizon,
+            labelerVersion
         });
 
+        if (summary.errors) {
+            return res.status(400).json(summary);
+        }
+
         res.json({
             success: true,
             ...summary
@@ -894,6 +954,13 @@ router.get('/scoreboard/summary', async (req, res) => {
 /**
  * POST /api/replay/baseline
  * Save current scoreboard as a baseline
+ *
+ * Body:
+ * {
+ *   name: "v2.3 funding weights",
+ *   symbol: "BTC",
+ *   batchId: "uuid"   // optional: measure on a single replay batch
+ * }
  */
 router.post('/baseline', async (req, res) => {
     if (!scoreboardService) {
@@ -904,10 +971,10 @@ router.post('/baseline', async (req, res) => {
     }
 
     try {
-        const { name, symbol = 'BTC' } = req.body;
+        const { name, symbol = 'BTC', batchId } = req.body;
 
         // Get current scoreboard
-        const scoreboard = await scoreboardService.getScoreboard({ symbol });
+        const scoreboard = await scoreboardService.getScoreboard({ symbol, batchId });
 
         if (!scoreboard.success) {
             return res.status(400).json({
@@ -916,13 +983,21 @@ router.post('/baseline', async (req, res) => {
             });
         }
 
-        // Save as baseline
-        const baseline = await scoreboardService.saveBaseline(name, scoreboard);
+        // Save as baseline, linked to the active config version
+        const result = await scoreboardService.saveBaseline(name, scoreboard, {
+            symbol,
+            batchId: batchId || null,
+            configVersion: configService.getCachedVersion()
+        });
+
+        if (!result.success) {
+            return res.status(500).json(result);
+        }
 
         res.json({
             success: true,
             message: 'Baseline saved',
-            baseline
+            baseline: result.baseline
         });
 
     } catch (error) {
@@ -936,9 +1011,13 @@ router.post('/baseline', async (req, res) => {
 
 /**
  * GET /api/replay/baselines
- * List all saved baselines
+ * List saved baselines (newest first)
+ *
+ * Query params:
+ * - symbol: filter by symbol (optional)
+ * - limit: max baselines (default: 50)
  */
-router.get('/baselines', (req, res) => {
+router.get('/baselines', async (req, res) => {
     if (!scoreboardService) {
         return res.status(503).json({
             success: false,
@@ -947,7 +1026,11 @@ router.get('/baselines', (req, res) => {
     }
 
     try {
-        const baselines = scoreboardService.getBaselines();
+        const { symbol, limit = 50 } = req.query;
+        const baselines = await scoreboardService.getBaselines({
+            symbol,
+            limit: parseInt(limit)
+        });
 
         res.json({
             success: true,
@@ -964,6 +1047,49 @@ router.get('/baselines', (req, res) => {
     }
 });
 
+/**
+ * GET /api/replay/baselines/compare
+ * Line up N baselines over time with per-regime, per-scenario,
+ * per-timeframe and per-confidence-bucket deltas
+ *
+ * Query params:
+ * - ids: comma-separated baseline IDs (optional)
+ * - symbol: latest baselines for symbol when ids is omitted (default: BTC)
+ * - limit: number of latest baselines when ids is omitted (default: 10)
+ */
+router.get('/baselines/compare', async (req, res) => {
+    if (!scoreboardService) {
+        return res.status(503).json({
+            success: false,
+            error: 'Scoreboard service not available'
+        });
+    }
+
+    try {
+        const { ids, symbol = 'BTC', limit = 10 } = req.query;
+        const baselineIds = ids ? ids.split(',').map(id => id.trim()).filter(Boolean) : null;
+
+        const comparison = await scoreboardService.compareBaselines({
+            baselineIds,
+            symbol,
+            limit: parseInt(limit)
+        });
+
+        if (!comparison.success) {
+            return res.status(404).json(comparison);
+        }
+
+        res.json(comparison);
+
+    } catch (error) {
+        logger.error('Compare baselines failed:', error);
+        res.status(500).json({
+            success: false,
+            error: error.message
+        });
+    }
+});
+
 /**
  * GET /api/replay/baseline/compare/:baselineId
  * Compare current scoreboard to a baseline
@@ -978,10 +1104,10 @@ router.get('/baseline/compare/:baselineId', async (req, res) => {
 
     try {
         const { baselineId } = req.params;
-        const { symbol = 'BTC' } = req.query;
+        const { symbol = 'BTC', batchId } = req.query;
 
         // Get current scoreboard
-        const scoreboard = await scoreboardService.getScoreboard({ symbol });
+        const scoreboard = await scoreboardService.getScoreboard({ symbol, batchId });
 
         if (!scoreboard.success) {
             return res.status(400).json({
@@ -991,7 +1117,7 @@ router.get('/baseline/compare/:baselineId', async (req, res) => {
         }
 
         // Compare to baseline
-        const comparison = scoreboardService.compareToBaseline(scoreboard, baselineId);
+        const comparison = await scoreboardService.compareToBaseline(scoreboard, baselineId);
 
         if (!comparison.success) {
             return res.status(404).json(comparison);
@@ -1012,7 +1138,7 @@ router.get('/baseline/compare/:baselineId', async (req, res) => {
  * DELETE /api/replay/baseline/:baselineId
  * Delete a baseline
  */
-router.delete('/baseline/:baselineId', (req, res) => {
+router.delete('/baseline/:baselineId', async (req, res) => {
     if (!scoreboardService) {
         return res.status(503).json({
             success: false,
@@ -1022,7 +1148,7 @@ router.delete('/baseline/:baselineId', (req, res) => {
 
     try {
         const { baselineId } = req.params;
-        const deleted = scoreboardService.deleteBaseline(baselineId);
+        const deleted = await scoreboardService.deleteBaseline(baselineId);
 
         res.json({
             success: deleted,
@@ -1048,8 +1174,8 @@ router.delete('/baseline/:baselineId', (req, res) => {
  * GET /api/replay/health
  * Check replay service health
  */
-router.get('/health', (req, res) => {
-    const batches = replayRunner.listBatches();
+router.get('/health', async (req, res) => {
+    const batches = await replayRunner.listBatches();
     const runningBatches = batches.filter(b => b.status === 'RUNNING').length;
 
     res.json({
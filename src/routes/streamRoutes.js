@@ -0,0 +1,93 @@
+// =============================================================================
+// src/routes/streamRoutes.js
+// =============================================================================
+// Push channel for the frontend (Server-Sent Events) - replaces polling of
+// /api/data/sync/status, /api/replay/status/:batchId and the analyzer endpoints.
+//
+// Endpoints:
+// - GET /api/stream         - SSE stream (topics, symbols, Last-Event-ID resume)
+// - GET /api/stream/events  - Buffered events since an ID (JSON, for non-SSE clients)
+// - GET /api/stream/stats   - Subscriber / buffer stats
+
+const express = require('express');
+const router = express.Router();
+const streamService = require('../services/streamService');
+const logger = require('../utils/logger');
+
+function writeEvent(res, event) {
+    res.write(`id: ${event.id}\nevent: ${event.topic}\ndata: ${JSON.stringify(event)}\n\n`);
+}
+
+// =============================================================================
+// GET /api/stream - Server-Sent Events
+// Query: topics=market_state,alert,replay,sync (default all), symbols=BTC,ETH
+// Resume: Last-Event-ID header (sent automatically by EventSource) or ?lastEventId=
+// =============================================================================
+router.get('/', (req, res) => {
+    const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId || null;
+    const options = {
+        topics: req.query.topics,
+        symbols: req.query.symbols,
+        lastEventId
+    };
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no'   // Disable proxy buffering (nginx)
+    });
+    res.flushHeaders();
+    res.write(`retry: ${streamService.STREAM_CONFIG.retryMs}\n\n`);
+
+    const subscription = streamService.subscribe(options, (event) => writeEvent(res, event));
+
+    // Unresumable ID: tell the client to re-fetch state over REST
+    if (subscription.reset) {
+        res.write(`event: reset\ndata: ${JSON.stringify({ reason: 'Last-Event-ID not in buffer', lastEventId })}\n\n`);
+    }
+    subscription.backlog.forEach(event => writeEvent(res, event));
+
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), streamService.STREAM_CONFIG.heartbeatMs);
+
+    logger.info(`[Stream] Client ${subscription.id} connected (topics: ${streamService.parseTopics(options.topics).join(',')}, resumed: ${subscription.backlog.length})`);
+
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        subscription.unsubscribe();
+        logger.info(`[Stream] Client ${subscription.id} disconnected`);
+    });
+});
+
+// =============================================================================
+// GET /api/stream/events - Buffered events after lastEventId (JSON)
+// Query: lastEventId (required), topics, symbols
+// =============================================================================
+router.get('/events', (req, res) => {
+    const { lastEventId, topics, symbols } = req.query;
+
+    if (!lastEventId) {
+        return res.status(400).json({ success: false, error: 'lastEventId is required' });
+    }
+
+    const result = streamService.getEventsSince(lastEventId, { topics, symbols });
+    res.json({
+        success: true,
+        reset: result.reset,
+        count: result.events.length,
+        events: result.events
+    });
+});
+
+// =============================================================================
+// GET /api/stream/stats - Stream stats
+// =============================================================================
+router.get('/stats', (req, res) => {
+    res.json({ success: true, ...streamService.getStreamStats() });
+});
+
+// =============================================================================
+// EXPORTS
+// =============================================================================
+
+module.exports = router;
@@ -1,15 +1,10 @@
-const { createClient } = require('@supabase/supabase-js');
+const storageBackend = require('./storageBackend');
 const { v4: uuidv4 } = require('uuid');
 
 // =======================================================================
 // CONFIG
 // =======================================================================
 
-const DB_CONFIG = {
-    supabaseUrl: process.env.SUPABASE_URL,
-    supabaseKey: process.env.SUPABASE_SERVICE_KEY
-};
-
 const RESOLUTION_CONFIG = {
     // Candles to wait before checking resolution
     WAIT_CANDLES: {
@@ -25,20 +20,11 @@ const RESOLUTION_CONFIG = {
 };
 
 // =======================================================================
-// DB CLIENT
+// DB CLIENT (Supabase or SQLite - see storageBackend.js)
 // =======================================================================
 
-let supabase = null;
-
 function getSupabase() {
-    if (!supabase) {
-        if (!DB_CONFIG.supabaseUrl || !DB_CONFIG.supabaseKey) {
-            console.error('❌ Supabase credentials not configured!');
-            return null;
-        }
-        supabase = createClient(DB_CONFIG.supabaseUrl, DB_CONFIG.supabaseKey);
-    }
-    return supabase;
+    return storageBackend.getClient();
 }
 
 // =======================================================================
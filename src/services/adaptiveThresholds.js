@@ -0,0 +1,300 @@
+// src/services/adaptiveThresholds.js
+// ============================================================================
+// Volatility-Adaptive Classification Thresholds
+// ============================================================================
+// The per-timeframe price noise/strong and OI quiet/aggressive bands are
+// fixed percentages (config.thresholds[tf]), so a calm week and a
+// capitulation week are judged alike. This module rescales them from the
+// price / OI history the analyzer already has:
+//
+//   fixed      - config thresholds as-is (default)
+//   atr        - bands x (current ATR% / median ATR% over the lookback)
+//   percentile - bands = percentiles of the absolute one-candle % changes
+//                over the lookback (noise/quiet = percentiles.noise,
+//                strong/aggressive = percentiles.strong)
+//
+// Adaptive bands are clamped to [scale.min, scale.max] x the fixed bands.
+// Too little history falls back to the fixed bands (source 'fixed_fallback').
+// The mode is chosen per timeframe (config.adaptiveThresholds.modes); the
+// result lists the thresholds actually used for the audit trail.
+// ============================================================================
+
+/**
+ * =======================================================================
+ * CONFIGURATION
+ * =======================================================================
+ */
+
+const THRESHOLD_MODES = ['fixed', 'atr', 'percentile'];
+
+const DEFAULT_ADAPTIVE_SETTINGS = {
+    // Mode per timeframe (missing timeframe = fixed)
+    modes: {
+        '15m': 'fixed',
+        '30m': 'fixed',
+        '1h': 'fixed',
+        '4h': 'fixed',
+        '1d': 'fixed',
+        '1w': 'fixed'
+    },
+
+    // ATR period (candles) and history window for the baseline / percentiles
+    atrPeriod: 14,
+    lookback: 50,
+
+    // Candles needed before the adaptive bands are trusted
+    minCandles: 30,
+
+    // Percentiles (0-100) of absolute one-candle changes
+    percentiles: { noise: 50, strong: 85 },
+
+    // Adaptive band = fixed band x [min, max]
+    scale: { min: 0.5, max: 2.5 }
+};
+
+/**
+ * =======================================================================
+ * HELPERS
+ * =======================================================================
+ */
+
+function toCandles(history, valueKey) {
+    return (Array.isArray(history) ? history : [])
+        .map(c => {
+            const close = Number(c.close ?? c[valueKey]);
+            const high = Number(c.high);
+            const low = Number(c.low);
+            return {
+                close,
+                high: Number.isFinite(high) && high > 0 ? high : close,
+                low: Number.isFinite(low) && low > 0 ? low : close
+            };
+        })
+        .filter(c => Number.isFinite(c.close) && c.close > 0);
+}
+
+/**
+ * Linear-interpolated percentile (p = 0-100) of unsorted values
+ */
+function percentile(values, p) {
+    if (!values.length) return null;
+    const sorted = [...values].sort((a, b) => a - b);
+    const rank = (Math.min(Math.max(p, 0), 100) / 100) * (sorted.length - 1);
+    const lower = Math.floor(rank);
+    const upper = Math.ceil(rank);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+}
+
+/**
+ * Absolute one-candle % changes of the closes
+ */
+function absoluteChanges(candles) {
+    const changes = [];
+    for (let i = 1; i < candles.length; i++) {
+        changes.push(Math.abs((candles[i].close - candles[i - 1].close) / candles[i - 1].close) * 100);
+    }
+    return changes;
+}
+
+/**
+ * ATR as % of close for every candle from `period` on (simple moving average
+ * of the true range). Candles without high/low use the close-to-close range.
+ * @returns {number[]} ATR% series (chronological)
+ */
+function atrPctSeries(candles, period) {
+    const trueRanges = [];
+    for (let i = 1; i < candles.length; i++) {
+        const { high, low, close } = candles[i];
+        const prevClose = candles[i - 1].close;
+        trueRanges.push(Math.max(high - low, Math.abs(high - prevClose), Math.abs(low - prevClose)));
+    }
+
+    const series = [];
+    let sum = 0;
+    for (let i = 0; i < trueRanges.length; i++) {
+        sum += trueRanges[i];
+        if (i >= period) sum -= trueRanges[i - period];
+        if (i >= period - 1) series.push((sum / period / candles[i + 1].close) * 100);
+    }
+    return series;
+}
+
+function round(value, digits = 4) {
+    return Number(value.toFixed(digits));
+}
+
+function clampBand(value, base, scale) {
+    return Math.min(Math.max(value, base * scale.min), base * scale.max);
+}
+
+/**
+ * Rescale one pair of bands ({ lowKey, highKey }) from one history series
+ * @returns {Object|null} { bands, scale, volatility } or null (not enough history)
+ */
+function adaptBands(base, lowKey, highKey, candles, mode, settings) {
+    const window = candles.slice(-(settings.lookback + 1));
+    if (window.length < settings.minCandles) return null;
+
+    if (mode === 'atr') {
+        const series = atrPctSeries(window, settings.atrPeriod);
+        const current = series[series.length - 1];
+        const baseline = percentile(series, 50);
+        if (!series.length || !(baseline > 0)) return null;
+
+        const ratio = Math.min(Math.max(current / baseline, settings.scale.min), settings.scale.max);
+        return {
+            bands: { [lowKey]: round(base[lowKey] * ratio), [highKey]: round(base[highKey] * ratio) },
+            scale: round(ratio, 3),
+            volatility: { atrPct: round(current), baselineAtrPct: round(baseline) }
+        };
+    }
+
+    // percentile
+    const changes = absoluteChanges(window);
+    const low = clampBand(percentile(changes, settings.percentiles.noise), base[lowKey], settings.scale);
+    const high = Math.max(clampBand(percentile(changes, settings.percentiles.strong), base[highKey], settings.scale), low);
+    return {
+        bands: { [lowKey]: round(low), [highKey]: round(high) },
+        scale: round(low / base[lowKey], 3),
+        volatility: {
+            [`p${settings.percentiles.noise}ChangePct`]: round(percentile(changes, settings.percentiles.noise)),
+            [`p${settings.percentiles.strong}ChangePct`]: round(percentile(changes, settings.percentiles.strong))
+        }
+    };
+}
+
+/**
+ * =======================================================================
+ * RESOLVE
+ * =======================================================================
+ */
+
+/**
+ * Merge settings with defaults (config.adaptiveThresholds may be partial)
+ */
+function resolveSettings(settings = {}) {
+    return {
+        ...DEFAULT_ADAPTIVE_SETTINGS,
+        ...settings,
+        modes: { ...DEFAULT_ADAPTIVE_SETTINGS.modes, ...(settings.modes || {}) },
+        percentiles: { ...DEFAULT_ADAPTIVE_SETTINGS.percentiles, ...(settings.percentiles || {}) },
+        scale: { ...DEFAULT_ADAPTIVE_SETTINGS.scale, ...(settings.scale || {}) }
+    };
+}
+
+/**
+ * Effective thresholds for one timeframe
+ *
+ * @param {Object} base - Fixed thresholds { price: { noise, strong }, oi: { quiet, aggressive }, funding }
+ * @param {Object} history - { priceHistory, oiHistory } chronological candles ({ high, low, close })
+ * @param {string} timeframe - '15m' ... '1w'
+ * @param {Object} settings - config.adaptiveThresholds
+ * @returns {Object} {
+ *   mode, source ('fixed' | 'atr' | 'percentile' | 'fixed_fallback'), adapted,
+ *   price: { noise, strong }, oi: { quiet, aggressive }, funding,
+ *   base: { price, oi }, scale: { price, oi }, volatility: { price, oi }
+ * }
+ */
+function resolveThresholds(base, history = {}, timeframe, settings) {
+    const resolved = resolveSettings(settings);
+    const mode = resolved.modes[timeframe] || 'fixed';
+
+    const result = {
+        mode,
+        source: 'fixed',
+        adapted: false,
+        price: { ...base.price },
+        oi: { ...base.oi },
+        funding: base.funding,
+        base: { price: { ...base.price }, oi: { ...base.oi } },
+        scale: { price: 1, oi: 1 },
+        volatility: { price: null, oi: null }
+    };
+    if (mode === 'fixed') return result;
+
+    const price = adaptBands(base.price, 'noise', 'strong', toCandles(history.priceHistory, 'price'), mode, resolved);
+    const oi = adaptBands(base.oi, 'quiet', 'aggressive', toCandles(history.oiHistory, 'oi'), mode, resolved);
+    if (!price && !oi) {
+        result.source = 'fixed_fallback';
+        return result;
+    }
+
+    // A missing series keeps its fixed bands (scale 1)
+    result.source = mode;
+    result.adapted = true;
+    if (price) {
+        result.price = price.bands;
+        result.scale.price = price.scale;
+        result.volatility.price = price.volatility;
+    }
+    if (oi) {
+        result.oi = oi.bands;
+        result.scale.oi = oi.scale;
+        result.volatility.oi = oi.volatility;
+    }
+    return result;
+}
+
+/**
+ * Check config.adaptiveThresholds (called by configService.validateConfig)
+ * @returns {Object} { errors: string[], warnings: string[] }
+ */
+function validateSettings(settings, supportedTimeframes = []) {
+    const errors = [];
+    const warnings = [];
+    if (settings === undefined) return { errors, warnings };
+    if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+        errors.push('adaptiveThresholds must be an object');
+        return { errors, warnings };
+    }
+
+    for (const [tf, mode] of Object.entries(settings.modes || {})) {
+        if (!THRESHOLD_MODES.includes(mode)) {
+            errors.push(`adaptiveThresholds.modes.${tf} must be one of: ${THRESHOLD_MODES.join(', ')}`);
+        }
+        if (supportedTimeframes.length && !supportedTimeframes.includes(tf)) {
+            warnings.push(`adaptiveThresholds.modes.${tf} is not a supported timeframe`);
+        }
+    }
+
+    const resolved = resolveSettings(settings);
+    const isInt = v => Number.isInteger(v) && v > 0;
+    if (!isInt(resolved.atrPeriod)) errors.push('adaptiveThresholds.atrPeriod must be a positive integer');
+    if (!isInt(resolved.lookback)) errors.push('adaptiveThresholds.lookback must be a positive integer');
+    if (!isInt(resolved.minCandles)) errors.push('adaptiveThresholds.minCandles must be a positive integer');
+    if (isInt(resolved.atrPeriod) && isInt(resolved.minCandles) && resolved.minCandles <= resolved.atrPeriod) {
+        errors.push('adaptiveThresholds.minCandles must be greater than atrPeriod');
+    }
+
+    const { noise, strong } = resolved.percentiles;
+    if (![noise, strong].every(p => typeof p === 'number' && p >= 0 && p <= 100)) {
+        errors.push('adaptiveThresholds.percentiles must be numbers between 0 and 100');
+    } else if (noise >= strong) {
+        errors.push('adaptiveThresholds.percentiles.noise must be below percentiles.strong');
+    }
+
+    const { min, max } = resolved.scale;
+    if (!(typeof min === 'number' && typeof max === 'number' && min > 0 && min <= 1 && max >= 1)) {
+        errors.push('adaptiveThresholds.scale must satisfy 0 < min <= 1 <= max');
+    }
+
+    return { errors, warnings };
+}
+
+/**
+ * =======================================================================
+ * EXPORTS
+ * =======================================================================
+ */
+
+module.exports = {
+    resolveThresholds,
+    resolveSettings,
+    validateSettings,
+    THRESHOLD_MODES,
+    DEFAULT_ADAPTIVE_SETTINGS,
+
+    // Exposed for testing
+    atrPctSeries,
+    percentile
+};
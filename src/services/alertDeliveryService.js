@@ -0,0 +1,659 @@
+// src/services/alertDeliveryService.js
+// ============================================================================
+// Alert Delivery Service
+// ============================================================================
+// Fans alerts from alertService.checkAlerts out to subscribed channels
+// (webhook / telegram / email).
+//
+// - Subscriptions filter by category, minimum priority and symbol
+// - Quiet hours suppress delivery (critical alerts pass unless disabled)
+// - Failed sends are retried with exponential backoff (retryable errors only)
+// - Every attempt outcome is written to the delivery log (alert_deliveries)
+//
+// Channels are pluggable: registerChannel({ type, isConfigured, validateTarget, send }).
+// Credentials in a target (webhook secret / headers, telegram botToken) are only
+// read on the delivery path - subscriptions returned by the API are redacted.
+// Schema: db/create_alert_delivery_tables.sql
+// ============================================================================
+
+const storageBackend = require('./storageBackend');
+const { v4: uuidv4 } = require('uuid');
+const { createWebhookChannel } = require('./channels/webhookChannel');
+const { createTelegramChannel } = require('./channels/telegramChannel');
+const { createEmailChannel } = require('./channels/emailChannel');
+const logger = require('../utils/logger');
+
+/**
+ * =======================================================================
+ * STORAGE CLIENT (Supabase or SQLite - see storageBackend.js)
+ * =======================================================================
+ */
+
+function getSupabase() {
+    return storageBackend.getClient();
+}
+
+/**
+ * =======================================================================
+ * CONFIGURATION
+ * =======================================================================
+ */
+
+const DELIVERY_DEFAULTS = {
+    maxAttempts: Number(process.env.ALERT_DELIVERY_MAX_ATTEMPTS) || 3,
+    backoffMs: Number(process.env.ALERT_DELIVERY_BACKOFF_MS) || 1000,
+    backoffMultiplier: 2,
+    maxBackoffMs: 30000,
+    subscriptionCacheMs: 60 * 1000,
+    recentLogSize: 200
+};
+
+const DELIVERY_STATUS = {
+    SENT: 'SENT',
+    FAILED: 'FAILED',
+    SUPPRESSED: 'SUPPRESSED'   // Quiet hours
+};
+
+const PRIORITY_RANK = { low: 0, medium: 1, high: 2, critical: 3 };
+
+const ALERT_CATEGORIES = [
+    'BIAS_SHIFT', 'REGIME_CHANGE', 'CONFIDENCE_SPIKE',
+    'TRAP_DETECTED', 'SQUEEZE_ACTIVE', 'FUNDING_EXTREME',
+    'CUSTOM_RULE'   // alertRuleService
+];
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// Target fields never sent back by the API
+const SECRET_TARGET_FIELDS = ['secret', 'botToken'];
+const REDACTED = '***';
+
+/**
+ * =======================================================================
+ * CHANNEL REGISTRY
+ * =======================================================================
+ */
+
+const channels = new Map();
+let defaultsRegistered = false;
+
+function registerChannel(channel) {
+    if (!channel?.type || typeof channel.send !== 'function') {
+        throw new Error('Channel must have a type and a send(alert, target) function');
+    }
+    channels.set(channel.type, channel);
+}
+
+function ensureDefaultChannels() {
+    if (defaultsRegistered) return;
+    defaultsRegistered = true;
+
+    for (const channel of [createWebhookChannel(), createTelegramChannel(), createEmailChannel()]) {
+        if (!channels.has(channel.type)) channels.set(channel.type, channel);
+    }
+}
+
+function getChannel(type) {
+    ensureDefaultChannels();
+    return channels.get(type) || null;
+}
+
+function listChannels() {
+    ensureDefaultChannels();
+    return Array.from(channels.values()).map(channel => ({
+        type: channel.type,
+        configured: channel.isConfigured ? channel.isConfigured() : true
+    }));
+}
+
+/**
+ * =======================================================================
+ * SUBSCRIPTIONS
+ * =======================================================================
+ */
+
+function rowToSubscription(row) {
+    return {
+        id: row.id,
+        userId: row.user_id,
+        channel: row.channel,
+        target: row.target || {},
+        categories: row.categories || [],
+        minPriority: row.min_priority || 'low',
+        symbols: row.symbols || [],
+        quietHours: row.quiet_hours || null,
+        enabled: row.enabled !== false,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at
+    };
+}
+
+/**
+ * Subscription as returned by the API: secret target fields replaced by
+ * REDACTED, header values masked (names kept)
+ */
+function redactSubscription(sub) {
+    const target = { ...sub.target };
+    for (const field of SECRET_TARGET_FIELDS) {
+        if (target[field]) target[field] = REDACTED;
+    }
+    if (target.headers && typeof target.headers === 'object') {
+        target.headers = Object.fromEntries(Object.keys(target.headers).map(name => [name, REDACTED]));
+    }
+    return { ...sub, target };
+}
+
+/**
+ * Put stored credentials back where an update echoes REDACTED values
+ * (a client editing a subscription it listed)
+ */
+function restoreRedactedTarget(target, storedTarget = {}) {
+    if (!target || typeof target !== 'object') return target;
+
+    const restored = { ...target };
+    for (const field of SECRET_TARGET_FIELDS) {
+        if (restored[field] === REDACTED) restored[field] = storedTarget[field];
+    }
+    if (restored.headers && typeof restored.headers === 'object') {
+        restored.headers = Object.fromEntries(Object.entries(restored.headers).map(([name, value]) => [
+            name, value === REDACTED ? storedTarget.headers?.[name] : value
+        ]));
+    }
+    return restored;
+}
+
+function subscriptionToRow(sub) {
+    return {
+        user_id: sub.userId,
+        channel: sub.channel,
+        target: sub.target,
+        categories: sub.categories || [],
+        min_priority: sub.minPriority || 'low',
+        symbols: (sub.symbols || []).map(s => String(s).toUpperCase()),
+        quiet_hours: sub.quietHours || null,
+        enabled: sub.enabled !== false,
+        updated_at: new Date().toISOString()
+    };
+}
+
+/**
+ * Validate a subscription definition
+ * @returns {Array<string>} Errors (empty if valid)
+ */
+function validateSubscription(sub) {
+    const errors = [];
+
+    if (!sub.userId) errors.push('userId is required');
+
+    const channel = getChannel(sub.channel);
+    if (!channel) {
+        errors.push(`channel must be one of: ${Array.from(channels.keys()).join(', ')}`);
+    } else if (channel.validateTarget) {
+        errors.push(...channel.validateTarget(sub.target));
+    }
+
+    for (const category of sub.categories || []) {
+        if (!ALERT_CATEGORIES.includes(category)) errors.push(`Unknown category: ${category}`);
+    }
+
+    if (sub.minPriority && PRIORITY_RANK[sub.minPriority] === undefined) {
+        errors.push(`minPriority must be one of: ${Object.keys(PRIORITY_RANK).join(', ')}`);
+    }
+
+    if (sub.quietHours) {
+        const { start, end, timezone } = sub.quietHours;
+        if (!TIME_PATTERN.test(start || '') || !TIME_PATTERN.test(end || '')) {
+            errors.push('quietHours.start and quietHours.end must be HH:MM');
+        }
+        if (timezone) {
+            try {
+                new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+            } catch {
+                errors.push(`Unknown timezone: ${timezone}`);
+            }
+        }
+    }
+
+    return errors;
+}
+
+let subscriptionCache = { rows: null, loadedAt: 0 };
+
+function invalidateSubscriptionCache() {
+    subscriptionCache = { rows: null, loadedAt: 0 };
+}
+
+/**
+ * Load subscriptions with their raw targets (delivery path only)
+ * @param {Object} filters - { userId, enabledOnly }
+ */
+async function loadSubscriptions(filters = {}) {
+    const client = getSupabase();
+    if (!client) return [];
+
+    let query = client.from('alert_subscriptions').select('*').order('created_at', { ascending: true });
+    if (filters.userId) query = query.eq('user_id', filters.userId);
+    if (filters.enabledOnly) query = query.eq('enabled', true);
+
+    const { data, error } = await query;
+    if (error) {
+        logger.error('[AlertDelivery] listSubscriptions error:', error.message);
+        return [];
+    }
+    return (data || []).map(rowToSubscription);
+}
+
+/**
+ * List subscriptions (targets redacted)
+ * @param {Object} filters - { userId, enabledOnly }
+ */
+async function listSubscriptions(filters = {}) {
+    return (await loadSubscriptions(filters)).map(redactSubscription);
+}
+
+async function getActiveSubscriptions() {
+    const fresh = Date.now() - subscriptionCache.loadedAt < DELIVERY_DEFAULTS.subscriptionCacheMs;
+    if (!subscriptionCache.rows || !fresh) {
+        subscriptionCache = {
+            rows: await loadSubscriptions({ enabledOnly: true }),
+            loadedAt: Date.now()
+        };
+    }
+    return subscriptionCache.rows;
+}
+
+async function loadSubscription(id) {
+    const client = getSupabase();
+    if (!client) return null;
+
+    const { data, error } = await client.from('alert_subscriptions').select('*').eq('id', id).maybeSingle();
+    if (error || !data) return null;
+    return rowToSubscription(data);
+}
+
+/**
+ * One subscription (target redacted)
+ */
+async function getSubscription(id) {
+    const sub = await loadSubscription(id);
+    return sub ? redactSubscription(sub) : null;
+}
+
+/**
+ * Create a subscription
+ * @returns {Object} { success, subscription?, errors?, error? }
+ */
+async function createSubscription(input) {
+    const errors = validateSubscription(input);
+    if (errors.length > 0) return { success: false, errors };
+
+    const client = getSupabase();
+    if (!client) return { success: false, error: 'Database not configured' };
+
+    const { data, error } = await client
+        .from('alert_subscriptions')
+        .insert({ id: uuidv4(), ...subscriptionToRow(input) })
+        .select()
+        .single();
+
+    if (error) {
+        logger.error('[AlertDelivery] createSubscription error:', error.message);
+        return { success: false, error: error.message };
+    }
+
+    invalidateSubscriptionCache();
+    return { success: true, subscription: redactSubscription(rowToSubscription(data)) };
+}
+
+/**
+ * Update a subscription (partial - missing fields keep their value,
+ * REDACTED target values keep the stored credential)
+ */
+async function updateSubscription(id, changes) {
+    const existing = await loadSubscription(id);
+    if (!existing) return { success: false, notFound: true, error: 'Subscription not found' };
+
+    const merged = { ...existing, ...changes, id };
+    if (changes.target) merged.target = restoreRedactedTarget(changes.target, existing.target);
+    const errors = validateSubscription(merged);
+    if (errors.length > 0) return { success: false, errors };
+
+    const { data, error } = await getSupabase()
+        .from('alert_subscriptions')
+        .update(subscriptionToRow(merged))
+        .eq('id', id)
+        .select()
+        .single();
+
+    if (error) {
+        logger.error('[AlertDelivery] updateSubscription error:', error.message);
+        return { success: false, error: error.message };
+    }
+
+    invalidateSubscriptionCache();
+    return { success: true, subscription: redactSubscription(rowToSubscription(data)) };
+}
+
+async function deleteSubscription(id) {
+    const client = getSupabase();
+    if (!client) return { success: false, error: 'Database not configured' };
+
+    const { error } = await client.from('alert_subscriptions').delete().eq('id', id);
+    if (error) return { success: false, error: error.message };
+
+    invalidateSubscriptionCache();
+    return { success: true };
+}
+
+/**
+ * =======================================================================
+ * MATCHING & QUIET HOURS
+ * =======================================================================
+ */
+
+/**
+ * Does `sub` want `alert`? (category, min priority, symbol)
+ */
+function matchesSubscription(sub, alert) {
+    if (sub.enabled === false) return false;
+
+    if (sub.categories?.length > 0 && !sub.categories.includes(alert.category)) return false;
+
+    const minRank = PRIORITY_RANK[sub.minPriority || 'low'] ?? 0;
+    if ((PRIORITY_RANK[alert.priority] ?? 0) < minRank) return false;
+
+    const symbol = (alert.symbol || 'BTC').toUpperCase();
+    if (sub.symbols?.length > 0 && !sub.symbols.includes(symbol)) return false;
+
+    return true;
+}
+
+function minutesOfDay(hhmm) {
+    const [h, m] = hhmm.split(':').map(Number);
+    return h * 60 + m;
+}
+
+/**
+ * Is `date` inside the quiet window? Windows may wrap midnight (22:00-07:00).
+ * @param {Object} quietHours - { start: 'HH:MM', end: 'HH:MM', timezone = 'UTC' }
+ */
+function isInQuietHours(quietHours, date = new Date()) {
+    if (!quietHours?.start || !quietHours?.end) return false;
+
+    const parts = new Intl.DateTimeFormat('en-GB', {
+        timeZone: quietHours.timezone || 'UTC',
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23'
+    }).formatToParts(date);
+    const hour = Number(parts.find(p => p.type === 'hour').value);
+    const minute = Number(parts.find(p => p.type === 'minute').value);
+    const now = hour * 60 + minute;
+
+    const start = minutesOfDay(quietHours.start);
+    const end = minutesOfDay(quietHours.end);
+
+    if (start === end) return false;
+    return start < end
+        ? now >= start && now < end
+        : now >= start || now < end;
+}
+
+function isSuppressed(sub, alert, date) {
+    if (!isInQuietHours(sub.quietHours, date)) return false;
+    // Critical alerts break through quiet hours unless the user opted out
+    const allowCritical = sub.quietHours.allowCritical !== false;
+    return !(allowCritical && alert.priority === 'critical');
+}
+
+/**
+ * =======================================================================
+ * DELIVERY
+ * =======================================================================
+ */
+
+function computeBackoff(attempt, options = {}) {
+    const base = options.backoffMs ?? DELIVERY_DEFAULTS.backoffMs;
+    const multiplier = options.backoffMultiplier ?? DELIVERY_DEFAULTS.backoffMultiplier;
+    const max = options.maxBackoffMs ?? DELIVERY_DEFAULTS.maxBackoffMs;
+    return Math.min(base * Math.pow(multiplier, attempt - 1), max);
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Send through a channel, retrying retryable failures with exponential backoff
+ * @returns {Promise<Object>} { success, attempts, status, error }
+ */
+async function sendWithRetry(channel, alert, target, options = {}) {
+    const maxAttempts = options.maxAttempts ?? DELIVERY_DEFAULTS.maxAttempts;
+    let result = null;
+    let attempts = 0;
+
+    while (attempts < maxAttempts) {
+        attempts++;
+        try {
+            result = await channel.send(alert, target);
+        } catch (error) {
+            result = { success: false, error: error.message, retryable: true };
+        }
+
+        if (result.success || result.retryable === false) break;
+
+        if (attempts < maxAttempts) {
+            await sleep(computeBackoff(attempts, options));
+        }
+    }
+
+    return {
+        success: !!result.success,
+        attempts,
+        status: result.status ?? null,
+        error: result.success ? null : result.error
+    };
+}
+
+const recentDeliveries = [];
+
+async function logDelivery(entry) {
+    recentDeliveries.unshift(entry);
+    if (recentDeliveries.length > DELIVERY_DEFAULTS.recentLogSize) recentDeliveries.pop();
+
+    const client = getSupabase();
+    if (!client) return;
+
+    const { error } = await client.from('alert_deliveries').insert({
+        id: entry.id,
+        subscription_id: entry.subscriptionId,
+        alert_id: entry.alertId,
+        channel: entry.channel,
+        symbol: entry.symbol,
+        category: entry.category,
+        priority: entry.priority,
+        status: entry.status,
+        attempts: entry.attempts,
+        response_status: entry.responseStatus,
+        last_error: entry.error,
+        created_at: new Date(entry.timestamp).toISOString()
+    });
+    if (error) {
+        logger.error('[AlertDelivery] logDelivery error:', error.message);
+    }
+}
+
+/**
+ * Deliver one alert to every matching subscription
+ *
+ * @param {Object} alert - Alert from alertService.checkAlerts
+ * @param {Array} subscriptions - Subscriptions to consider
+ * @param {Object} options - { maxAttempts, backoffMs, now }
+ * @returns {Promise<Array>} Delivery log entries
+ */
+async function deliverAlert(alert, subscriptions, options = {}) {
+    const matching = subscriptions.filter(sub => matchesSubscription(sub, alert));
+    const now = options.now || new Date();
+
+    return Promise.all(matching.map(async (sub) => {
+        const entry = {
+            id: uuidv4(),
+            timestamp: Date.now(),
+            subscriptionId: sub.id,
+            userId: sub.userId,
+            alertId: alert.id,
+            channel: sub.channel,
+            symbol: alert.symbol || 'BTC',
+            category: alert.category,
+            priority: alert.priority,
+            status: null,
+            attempts: 0,
+            responseStatus: null,
+            error: null
+        };
+
+        const channel = getChannel(sub.channel);
+
+        if (isSuppressed(sub, alert, now)) {
+            entry.status = DELIVERY_STATUS.SUPPRESSED;
+        } else if (!channel) {
+            entry.status = DELIVERY_STATUS.FAILED;
+            entry.error = `Unknown channel: ${sub.channel}`;
+        } else {
+            const result = await sendWithRetry(channel, alert, sub.target, options);
+            entry.status = result.success ? DELIVERY_STATUS.SENT : DELIVERY_STATUS.FAILED;
+            entry.attempts = result.attempts;
+            entry.responseStatus = result.status;
+            entry.error = result.error;
+        }
+
+        if (entry.status === DELIVERY_STATUS.FAILED) {
+            logger.warn(`[AlertDelivery] ${sub.channel} delivery failed for ${alert.category} (${entry.attempts} attempts): ${entry.error}`);
+        }
+
+        await logDelivery(entry);
+        return entry;
+    }));
+}
+
+/**
+ * Deliver alerts to all active subscriptions
+ * Callers don't await this - delivery must never block analysis.
+ *
+ * @param {Array} alerts - Alerts from alertService.checkAlerts
+ * @returns {Promise<Object>} { success, delivered, failed, suppressed }
+ */
+async function dispatchAlerts(alerts) {
+    if (!alerts || alerts.length === 0) return { success: true, delivered: 0, failed: 0, suppressed: 0 };
+
+    try {
+        const subscriptions = await getActiveSubscriptions();
+        const counts = { delivered: 0, failed: 0, suppressed: 0 };
+
+        for (const alert of alerts) {
+            const entries = await deliverAlert(alert, subscriptions);
+            for (const entry of entries) {
+                if (entry.status === DELIVERY_STATUS.SENT) counts.delivered++;
+                if (entry.status === DELIVERY_STATUS.FAILED) counts.failed++;
+                if (entry.status === DELIVERY_STATUS.SUPPRESSED) counts.suppressed++;
+            }
+        }
+
+        if (counts.delivered + counts.failed > 0) {
+            logger.info(`📨 [AlertDelivery] ${counts.delivered} sent, ${counts.failed} failed, ${counts.suppressed} suppressed`);
+        }
+
+        return { success: true, ...counts };
+
+    } catch (error) {
+        logger.error('[AlertDelivery] dispatchAlerts failed:', error.message);
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * Send a sample alert to one subscription (ignores filters and quiet hours)
+ */
+async function sendTestAlert(subscriptionId) {
+    const sub = await loadSubscription(subscriptionId);
+    if (!sub) return { success: false, notFound: true, error: 'Subscription not found' };
+
+    const alert = {
+        id: `test_${Date.now()}`,
+        timestamp: Date.now(),
+        symbol: sub.symbols?.[0] || 'BTC',
+        category: sub.categories?.[0] || 'BIAS_SHIFT',
+        priority: 'critical',
+        title: 'Test alert',
+        description: 'This is a test delivery from INVSIO.',
+        actionableInsight: null
+    };
+
+    const [entry] = await deliverAlert(alert, [{ ...sub, categories: [], symbols: [], minPriority: 'low', quietHours: null, enabled: true }]);
+    return { success: entry.status === DELIVERY_STATUS.SENT, delivery: entry };
+}
+
+/**
+ * Delivery log (database when configured, otherwise this process's recent entries)
+ * @param {Object} filters - { subscriptionId, status, limit }
+ */
+async function getDeliveries(filters = {}) {
+    const limit = Math.min(filters.limit || 100, 500);
+    const client = getSupabase();
+
+    if (!client) {
+        return recentDeliveries
+            .filter(d => !filters.subscriptionId || d.subscriptionId === filters.subscriptionId)
+            .filter(d => !filters.status || d.status === filters.status)
+            .slice(0, limit);
+    }
+
+    let query = client.from('alert_deliveries').select('*').order('created_at', { ascending: false }).limit(limit);
+    if (filters.subscriptionId) query = query.eq('subscription_id', filters.subscriptionId);
+    if (filters.status) query = query.eq('status', filters.status);
+
+    const { data, error } = await query;
+    if (error) {
+        logger.error('[AlertDelivery] getDeliveries error:', error.message);
+        return [];
+    }
+    return data || [];
+}
+
+/**
+ * =======================================================================
+ * EXPORTS
+ * =======================================================================
+ */
+
+module.exports = {
+    // Delivery
+    dispatchAlerts,
+    deliverAlert,
+    sendTestAlert,
+    getDeliveries,
+
+    // Subscriptions
+    listSubscriptions,
+    getSubscription,
+    createSubscription,
+    updateSubscription,
+    deleteSubscription,
+    validateSubscription,
+
+    // Channels
+    registerChannel,
+    getChannel,
+    listChannels,
+
+    // For testing
+    matchesSubscription,
+    redactSubscription,
+    isInQuietHours,
+    computeBackoff,
+    sendWithRetry,
+
+    // Constants
+    DELIVERY_DEFAULTS,
+    DELIVERY_STATUS,
+    PRIORITY_RANK,
+    ALERT_CATEGORIES
+};
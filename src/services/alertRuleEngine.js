@@ -0,0 +1,434 @@
+// src/services/alertRuleEngine.js
+// ============================================================================
+// Alert Rule Engine - expression DSL over calculateMarketMetrics output
+// ============================================================================
+// Rules are boolean expressions over paths in the analyzer output, e.g.
+//
+//   timeframes.4h.marketRegime.regime == 'distribution'
+//     AND fundingAdvanced.zScore > 2
+//     AND exchangeDivergence.whaleRetailRatio > 1.5
+//
+// Grammar (lowest to highest precedence):
+//   or         := and (('OR' | '||') and)*
+//   and        := not (('AND' | '&&') not)*
+//   not        := ('NOT' | '!') not | comparison
+//   comparison := additive (('>' | '>=' | '<' | '<=' | '==' | '!=') additive)?
+//   additive   := term (('+' | '-') term)*
+//   term       := unary (('*' | '/') unary)*
+//   unary      := '-' unary | primary
+//   primary    := number | 'string' | true | false | null | path | fn(args) | '(' or ')'
+//
+// Functions (previous = last state of the same symbol):
+//   abs(x)                 absolute value
+//   prev(x)                x evaluated on the previous state
+//   changed(x)             x differs from the previous state
+//   crosses_above(a, b)    a <= b on the previous state and a > b now
+//   crosses_below(a, b)    a >= b on the previous state and a < b now
+//
+// Missing paths evaluate to null; ordering comparisons and crosses with null are false.
+// ============================================================================
+
+/**
+ * =======================================================================
+ * CONFIGURATION
+ * =======================================================================
+ */
+
+const MAX_EXPRESSION_LENGTH = 1000;
+
+const FUNCTIONS = {
+    abs: 1,
+    prev: 1,
+    changed: 1,
+    crosses_above: 2,
+    crosses_below: 2
+};
+
+const KEYWORDS = {
+    and: 'AND',
+    or: 'OR',
+    not: 'NOT',
+    true: 'TRUE',
+    false: 'FALSE',
+    null: 'NULL'
+};
+
+const COMPARISON_OPS = new Set(['>', '>=', '<', '<=', '==', '!=']);
+
+/**
+ * =======================================================================
+ * TOKENIZER
+ * =======================================================================
+ */
+
+const TOKEN_PATTERNS = [
+    ['SPACE', /^\s+/],
+    ['NUMBER', /^\d+(\.\d+)?(?![\w])/],
+    ['STRING', /^'([^'\\]|\\.)*'|^"([^"\\]|\\.)*"/],
+    ['PATH', /^[A-Za-z_]\w*(\.\w+)*/],
+    ['OP', /^(>=|<=|==|!=|&&|\|\||[<>!+\-*/])/],
+    ['LPAREN', /^\(/],
+    ['RPAREN', /^\)/],
+    ['COMMA', /^,/]
+];
+
+function tokenize(expression) {
+    const tokens = [];
+    let pos = 0;
+
+    while (pos < expression.length) {
+        const rest = expression.slice(pos);
+        let matched = false;
+
+        for (const [type, pattern] of TOKEN_PATTERNS) {
+            const match = rest.match(pattern);
+            if (!match) continue;
+
+            const text = match[0];
+            matched = true;
+
+            if (type === 'NUMBER') {
+                tokens.push({ type, value: Number(text), pos });
+            } else if (type === 'STRING') {
+                tokens.push({ type, value: text.slice(1, -1).replace(/\\(.)/g, '$1'), pos });
+            } else if (type === 'PATH' && KEYWORDS[text.toLowerCase()]) {
+                tokens.push({ type: KEYWORDS[text.toLowerCase()], pos });
+            } else if (type === 'OP' && (text === '&&' || text === '||' || text === '!')) {
+                tokens.push({ type: { '&&': 'AND', '||': 'OR', '!': 'NOT' }[text], pos });
+            } else if (type !== 'SPACE') {
+                tokens.push({ type, value: text, pos });
+            }
+
+            pos += text.length;
+            break;
+        }
+
+        if (!matched) {
+            throw new Error(`Unexpected character '${expression[pos]}' at position ${pos}`);
+        }
+    }
+
+    tokens.push({ type: 'EOF', pos });
+    return tokens;
+}
+
+/**
+ * =======================================================================
+ * PARSER (recursive descent -> AST)
+ * =======================================================================
+ */
+
+function parseRule(expression) {
+    if (typeof expression !== 'string' || expression.trim() === '') {
+        throw new Error('Expression is required');
+    }
+    if (expression.length > MAX_EXPRESSION_LENGTH) {
+        throw new Error(`Expression longer than ${MAX_EXPRESSION_LENGTH} characters`);
+    }
+
+    const tokens = tokenize(expression);
+    let index = 0;
+
+    const peek = () => tokens[index];
+    const next = () => tokens[index++];
+    const isOp = (...ops) => peek().type === 'OP' && ops.includes(peek().value);
+
+    function expect(type) {
+        const token = next();
+        if (token.type !== type) {
+            throw new Error(`Expected ${type} at position ${token.pos}, got ${token.type}`);
+        }
+        return token;
+    }
+
+    function parseOr() {
+        let node = parseAnd();
+        while (peek().type === 'OR') {
+            next();
+            node = { type: 'or', left: node, right: parseAnd() };
+        }
+        return node;
+    }
+
+    function parseAnd() {
+        let node = parseNot();
+        while (peek().type === 'AND') {
+            next();
+            node = { type: 'and', left: node, right: parseNot() };
+        }
+        return node;
+    }
+
+    function parseNot() {
+        if (peek().type === 'NOT') {
+            next();
+            return { type: 'not', operand: parseNot() };
+        }
+        return parseComparison();
+    }
+
+    function parseComparison() {
+        const left = parseAdditive();
+        if (peek().type === 'OP' && COMPARISON_OPS.has(peek().value)) {
+            const op = next().value;
+            return { type: 'compare', op, left, right: parseAdditive() };
+        }
+        return left;
+    }
+
+    function parseAdditive() {
+        let node = parseTerm();
+        while (isOp('+', '-')) {
+            const op = next().value;
+            node = { type: 'arith', op, left: node, right: parseTerm() };
+        }
+        return node;
+    }
+
+    function parseTerm() {
+        let node = parseUnary();
+        while (isOp('*', '/')) {
+            const op = next().value;
+            node = { type: 'arith', op, left: node, right: parseUnary() };
+        }
+        return node;
+    }
+
+    function parseUnary() {
+        if (isOp('-')) {
+            next();
+            return { type: 'negate', operand: parseUnary() };
+        }
+        return parsePrimary();
+    }
+
+    function parsePrimary() {
+        const token = next();
+
+        switch (token.type) {
+            case 'NUMBER':
+            case 'STRING':
+                return { type: 'literal', value: token.value };
+            case 'TRUE':
+                return { type: 'literal', value: true };
+            case 'FALSE':
+                return { type: 'literal', value: false };
+            case 'NULL':
+                return { type: 'literal', value: null };
+            case 'LPAREN': {
+                const node = parseOr();
+                expect('RPAREN');
+                return node;
+            }
+            case 'PATH': {
+                if (peek().type !== 'LPAREN') {
+                    return { type: 'path', path: token.value };
+                }
+
+                const name = token.value.toLowerCase();
+                if (FUNCTIONS[name] === undefined) {
+                    throw new Error(`Unknown function '${token.value}' at position ${token.pos}`);
+                }
+
+                next(); // (
+                const args = [];
+                if (peek().type !== 'RPAREN') {
+                    args.push(parseOr());
+                    while (peek().type === 'COMMA') {
+                        next();
+                        args.push(parseOr());
+                    }
+                }
+                expect('RPAREN');
+
+                if (args.length !== FUNCTIONS[name]) {
+                    throw new Error(`${name}() takes ${FUNCTIONS[name]} argument(s), got ${args.length}`);
+                }
+                return { type: 'call', name, args };
+            }
+            default:
+                throw new Error(`Unexpected ${token.type === 'EOF' ? 'end of expression' : `'${token.value ?? token.type}'`} at position ${token.pos}`);
+        }
+    }
+
+    const ast = parseOr();
+    if (peek().type !== 'EOF') {
+        throw new Error(`Unexpected '${peek().value ?? peek().type}' at position ${peek().pos}`);
+    }
+    return ast;
+}
+
+/**
+ * Paths referenced by an AST (for alert context)
+ */
+function collectPaths(node, paths = new Set()) {
+    if (!node) return paths;
+    if (node.type === 'path') paths.add(node.path);
+    for (const child of [node.left, node.right, node.operand, ...(node.args || [])]) {
+        if (child) collectPaths(child, paths);
+    }
+    return paths;
+}
+
+/**
+ * Parse and report instead of throwing
+ * @returns {Object} { success, ast, paths, error }
+ */
+function compileRule(expression) {
+    try {
+        const ast = parseRule(expression);
+        return { success: true, ast, paths: Array.from(collectPaths(ast)) };
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+}
+
+/**
+ * =======================================================================
+ * EVALUATION
+ * =======================================================================
+ */
+
+/**
+ * Resolve a dotted path ("timeframes.4h.marketRegime.regime") - null if missing
+ */
+function getPath(obj, path) {
+    let value = obj;
+    for (const key of path.split('.')) {
+        if (value === null || value === undefined) return null;
+        value = value[key];
+    }
+    return value === undefined ? null : value;
+}
+
+const isNumber = (v) => typeof v === 'number' && Number.isFinite(v);
+
+function compare(op, a, b) {
+    if (op === '==') return a === b;
+    if (op === '!=') return a !== b;
+
+    // Ordering only between two numbers or two strings
+    const comparable = (isNumber(a) && isNumber(b)) || (typeof a === 'string' && typeof b === 'string');
+    if (!comparable) return false;
+
+    switch (op) {
+        case '>': return a > b;
+        case '>=': return a >= b;
+        case '<': return a < b;
+        case '<=': return a <= b;
+        default: return false;
+    }
+}
+
+function evaluateNode(node, ctx) {
+    switch (node.type) {
+        case 'literal':
+            return node.value;
+
+        case 'path':
+            return getPath(ctx.state, node.path);
+
+        case 'not':
+            return !evaluateNode(node.operand, ctx);
+
+        case 'and':
+            return !!evaluateNode(node.left, ctx) && !!evaluateNode(node.right, ctx);
+
+        case 'or':
+            return !!evaluateNode(node.left, ctx) || !!evaluateNode(node.right, ctx);
+
+        case 'compare':
+            return compare(node.op, evaluateNode(node.left, ctx), evaluateNode(node.right, ctx));
+
+        case 'negate': {
+            const value = evaluateNode(node.operand, ctx);
+            return isNumber(value) ? -value : null;
+        }
+
+        case 'arith': {
+            const a = evaluateNode(node.left, ctx);
+            const b = evaluateNode(node.right, ctx);
+            if (!isNumber(a) || !isNumber(b)) return null;
+            if (node.op === '+') return a + b;
+            if (node.op === '-') return a - b;
+            if (node.op === '*') return a * b;
+            return b === 0 ? null : a / b;
+        }
+
+        case 'call':
+            return evaluateCall(node, ctx);
+
+        default:
+            throw new Error(`Unknown node type: ${node.type}`);
+    }
+}
+
+function evaluateOnPrevious(node, ctx) {
+    if (!ctx.previous) return null;
+    return evaluateNode(node, { state: ctx.previous, previous: null });
+}
+
+function evaluateCall(node, ctx) {
+    const [first, second] = node.args;
+
+    switch (node.name) {
+        case 'abs': {
+            const value = evaluateNode(first, ctx);
+            return isNumber(value) ? Math.abs(value) : null;
+        }
+
+        case 'prev':
+            return evaluateOnPrevious(first, ctx);
+
+        case 'changed': {
+            if (!ctx.previous) return false;
+            const before = evaluateOnPrevious(first, ctx);
+            const now = evaluateNode(first, ctx);
+            return before !== null && now !== null && before !== now;
+        }
+
+        case 'crosses_above':
+        case 'crosses_below': {
+            if (!ctx.previous) return false;
+            const [pa, pb] = [evaluateOnPrevious(first, ctx), evaluateOnPrevious(second, ctx)];
+            const [ca, cb] = [evaluateNode(first, ctx), evaluateNode(second, ctx)];
+            if (![pa, pb, ca, cb].every(isNumber)) return false;
+
+            return node.name === 'crosses_above'
+                ? pa <= pb && ca > cb
+                : pa >= pb && ca < cb;
+        }
+
+        default:
+            throw new Error(`Unknown function: ${node.name}`);
+    }
+}
+
+/**
+ * Evaluate a rule
+ * @param {Object|string} rule - AST from parseRule, or an expression string
+ * @param {Object} state - Current analyzer output
+ * @param {Object|null} previous - Previous analyzer output of the same symbol
+ * @returns {boolean} Whether the rule fires
+ */
+function evaluateRule(rule, state, previous = null) {
+    const ast = typeof rule === 'string' ? parseRule(rule) : rule;
+    return !!evaluateNode(ast, { state, previous });
+}
+
+/**
+ * =======================================================================
+ * EXPORTS
+ * =======================================================================
+ */
+
+module.exports = {
+    parseRule,
+    compileRule,
+    evaluateRule,
+    getPath,
+
+    // Constants
+    FUNCTIONS,
+    MAX_EXPRESSION_LENGTH
+};
@@ -0,0 +1,445 @@
+// src/services/alertRuleService.js
+// ============================================================================
+// User-defined Alert Rules
+// ============================================================================
+// Stores rule expressions (see alertRuleEngine.js for the DSL) in alert_rules
+// and evaluates the enabled ones on every alertService.checkAlerts call.
+//
+// - Rules are compiled once when loaded; evaluation is synchronous
+// - Each rule has its own cooldown, tracked per symbol
+// - Fired rules become CUSTOM_RULE alerts (same shape as built-in alerts)
+//
+// Schema: db/create_alert_rules_table.sql
+// ============================================================================
+
+const storageBackend = require('./storageBackend');
+const { v4: uuidv4 } = require('uuid');
+const alertRuleEngine = require('./alertRuleEngine');
+const logger = require('../utils/logger');
+
+/**
+ * =======================================================================
+ * STORAGE CLIENT (Supabase or SQLite - see storageBackend.js)
+ * =======================================================================
+ */
+
+function getSupabase() {
+    return storageBackend.getClient();
+}
+
+/**
+ * =======================================================================
+ * CONFIGURATION
+ * =======================================================================
+ */
+
+const RULE_CATEGORY = 'CUSTOM_RULE';
+
+const RULE_DEFAULTS = {
+    priority: 'medium',
+    cooldownMs: 60 * 60 * 1000,       // 1 hour
+    minCooldownMs: 60 * 1000,         // 1 minute
+    maxCooldownMs: 7 * 24 * 60 * 60 * 1000,
+    expiresInMs: 60 * 60 * 1000
+};
+
+const PRIORITIES = ['critical', 'high', 'medium', 'low'];
+
+/**
+ * =======================================================================
+ * IN-MEMORY STATE
+ * =======================================================================
+ */
+
+// Enabled rules, compiled: [{ ...rule, ast, paths }]
+let activeRules = [];
+
+// Last fire time per rule + symbol. Key: "BTC:<ruleId>"
+const ruleCooldowns = new Map();
+
+function getCooldownKey(ruleId, symbol) {
+    return `${symbol}:${ruleId}`;
+}
+
+/**
+ * =======================================================================
+ * ROW MAPPING & VALIDATION
+ * =======================================================================
+ */
+
+function rowToRule(row) {
+    return {
+        id: row.id,
+        userId: row.user_id,
+        name: row.name,
+        description: row.description || null,
+        expression: row.expression,
+        priority: row.priority || RULE_DEFAULTS.priority,
+        cooldownMs: Number(row.cooldown_ms ?? RULE_DEFAULTS.cooldownMs),
+        symbols: row.symbols || [],
+        enabled: row.enabled !== false,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at
+    };
+}
+
+function ruleToRow(rule) {
+    return {
+        user_id: rule.userId,
+        name: rule.name,
+        description: rule.description || null,
+        expression: rule.expression,
+        priority: rule.priority || RULE_DEFAULTS.priority,
+        cooldown_ms: rule.cooldownMs ?? RULE_DEFAULTS.cooldownMs,
+        symbols: (rule.symbols || []).map(s => String(s).toUpperCase()),
+        enabled: rule.enabled !== false,
+        updated_at: new Date().toISOString()
+    };
+}
+
+/**
+ * Validate a rule definition (including that the expression parses)
+ * @returns {Array<string>} Errors (empty if valid)
+ */
+function validateRule(rule) {
+    const errors = [];
+
+    if (!rule.userId) errors.push('userId is required');
+    if (!rule.name) errors.push('name is required');
+
+    const compiled = alertRuleEngine.compileRule(rule.expression);
+    if (!compiled.success) errors.push(`expression: ${compiled.error}`);
+
+    if (rule.priority && !PRIORITIES.includes(rule.priority)) {
+        errors.push(`priority must be one of: ${PRIORITIES.join(', ')}`);
+    }
+
+    if (rule.cooldownMs !== undefined) {
+        const cooldown = Number(rule.cooldownMs);
+        if (!Number.isFinite(cooldown) || cooldown < RULE_DEFAULTS.minCooldownMs || cooldown > RULE_DEFAULTS.maxCooldownMs) {
+            errors.push(`cooldownMs must be between ${RULE_DEFAULTS.minCooldownMs} and ${RULE_DEFAULTS.maxCooldownMs}`);
+        }
+    }
+
+    if (rule.symbols !== undefined && !Array.isArray(rule.symbols)) {
+        errors.push('symbols must be an array');
+    }
+
+    return errors;
+}
+
+/**
+ * =======================================================================
+ * RULE CACHE
+ * =======================================================================
+ */
+
+/**
+ * Replace the active rule set (compiles each rule; invalid ones are skipped)
+ * @param {Array} rules - Rule objects (rowToRule shape)
+ */
+function setActiveRules(rules) {
+    activeRules = [];
+    for (const rule of rules) {
+        if (!rule.enabled) continue;
+
+        const compiled = alertRuleEngine.compileRule(rule.expression);
+        if (!compiled.success) {
+            logger.warn(`[AlertRules] Skipping rule ${rule.id} (${rule.name}): ${compiled.error}`);
+            continue;
+        }
+        activeRules.push({ ...rule, ast: compiled.ast, paths: compiled.paths });
+    }
+    return activeRules.length;
+}
+
+/**
+ * Load enabled rules from the database into the evaluation cache
+ */
+async function loadRules() {
+    const rules = await listRules({ enabledOnly: true });
+    const count = setActiveRules(rules);
+    logger.info(`📐 [AlertRules] ${count} active rules loaded`);
+    return count;
+}
+
+/**
+ * =======================================================================
+ * CRUD
+ * =======================================================================
+ */
+
+async function listRules(filters = {}) {
+    const client = getSupabase();
+    if (!client) return [];
+
+    let query = client.from('alert_rules').select('*').order('created_at', { ascending: true });
+    if (filters.userId) query = query.eq('user_id', filters.userId);
+    if (filters.enabledOnly) query = query.eq('enabled', true);
+
+    const { data, error } = await query;
+    if (error) {
+        logger.error('[AlertRules] listRules error:', error.message);
+        return [];
+    }
+    return (data || []).map(rowToRule);
+}
+
+async function getRule(id) {
+    const client = getSupabase();
+    if (!client) return null;
+
+    const { data, error } = await client.from('alert_rules').select('*').eq('id', id).maybeSingle();
+    if (error || !data) return null;
+    return rowToRule(data);
+}
+
+/**
+ * Create a rule
+ * @returns {Object} { success, rule?, errors?, error? }
+ */
+async function createRule(input) {
+    const errors = validateRule(input);
+    if (errors.length > 0) return { success: false, errors };
+
+    const client = getSupabase();
+    if (!client) return { success: false, error: 'Database not configured' };
+
+    const { data, error } = await client
+        .from('alert_rules')
+        .insert({ id: uuidv4(), ...ruleToRow(input) })
+        .select()
+        .single();
+
+    if (error) {
+        logger.error('[AlertRules] createRule error:', error.message);
+        return { success: false, error: error.message };
+    }
+
+    await loadRules();
+    return { success: true, rule: rowToRule(data) };
+}
+
+/**
+ * Update a rule (partial - missing fields keep their value)
+ */
+async function updateRule(id, changes) {
+    const existing = await getRule(id);
+    if (!existing) return { success: false, notFound: true, error: 'Rule not found' };
+
+    const merged = { ...existing, ...changes, id };
+    const errors = validateRule(merged);
+    if (errors.length > 0) return { success: false, errors };
+
+    const { data, error } = await getSupabase()
+        .from('alert_rules')
+        .update(ruleToRow(merged))
+        .eq('id', id)
+        .select()
+        .single();
+
+    if (error) {
+        logger.error('[AlertRules] updateRule error:', error.message);
+        return { success: false, error: error.message };
+    }
+
+    // A changed expression starts with a clean cooldown
+    if (changes.expression && changes.expression !== existing.expression) {
+        clearRuleCooldowns(id);
+    }
+
+    await loadRules();
+    return { success: true, rule: rowToRule(data) };
+}
+
+async function deleteRule(id) {
+    const client = getSupabase();
+    if (!client) return { success: false, error: 'Database not configured' };
+
+    const { error } = await client.from('alert_rules').delete().eq('id', id);
+    if (error) return { success: false, error: error.message };
+
+    clearRuleCooldowns(id);
+    await loadRules();
+    return { success: true };
+}
+
+/**
+ * =======================================================================
+ * EVALUATION
+ * =======================================================================
+ */
+
+function clearRuleCooldowns(ruleId = null) {
+    if (!ruleId) {
+        ruleCooldowns.clear();
+        return;
+    }
+    for (const key of ruleCooldowns.keys()) {
+        if (key.endsWith(`:${ruleId}`)) ruleCooldowns.delete(key);
+    }
+}
+
+function isRuleOnCooldown(rule, symbol, now) {
+    const last = ruleCooldowns.get(getCooldownKey(rule.id, symbol));
+    return !!last && now - last < rule.cooldownMs;
+}
+
+function buildRuleAlert(rule, state, symbol, now) {
+    const values = {};
+    for (const path of rule.paths) {
+        values[path] = alertRuleEngine.getPath(state, path);
+    }
+
+    return {
+        id: `alert_${now}_${Math.random().toString(36).substr(2, 9)}`,
+        timestamp: now,
+        symbol,
+        category: RULE_CATEGORY,
+        priority: rule.priority,
+        title: `📐 ${rule.name}`,
+        description: rule.description || `Rule matched: ${rule.expression}`,
+        context: {
+            ruleId: rule.id,
+            userId: rule.userId,
+            expression: rule.expression,
+            values,
+            triggerEvent: 'custom_rule'
+        },
+        actionableInsight: rule.description ? `Rule matched: ${rule.expression}` : null,
+        expiresAt: now + RULE_DEFAULTS.expiresInMs
+    };
+}
+
+/**
+ * Evaluate active rules for one symbol
+ * A rule that throws is logged and skipped - never breaks the built-in alerts.
+ *
+ * @param {Object} currentState - Analyzer output
+ * @param {Object|null} previousState - Previous analyzer output of the same symbol
+ * @param {string} symbol - Base symbol
+ * @returns {Array} CUSTOM_RULE alerts
+ */
+function evaluateRules(currentState, previousState, symbol) {
+    const alerts = [];
+    const now = Date.now();
+
+    for (const rule of activeRules) {
+        if (rule.symbols.length > 0 && !rule.symbols.includes(symbol)) continue;
+        if (isRuleOnCooldown(rule, symbol, now)) continue;
+
+        try {
+            if (!alertRuleEngine.evaluateRule(rule.ast, currentState, previousState)) continue;
+        } catch (error) {
+            logger.warn(`[AlertRules] Rule ${rule.id} (${rule.name}) failed: ${error.message}`);
+            continue;
+        }
+
+        ruleCooldowns.set(getCooldownKey(rule.id, symbol), now);
+        alerts.push(buildRuleAlert(rule, currentState, symbol, now));
+    }
+
+    return alerts;
+}
+
+/**
+ * Restore rule cooldowns from recent alert history (alerts_history rows)
+ */
+function hydrateRuleCooldowns(recentAlerts) {
+    if (!Array.isArray(recentAlerts)) return 0;
+
+    const cooldownById = new Map(activeRules.map(rule => [rule.id, rule.cooldownMs]));
+    const now = Date.now();
+    let count = 0;
+
+    for (const alert of recentAlerts) {
+        if ((alert.alert_type || alert.category) !== RULE_CATEGORY) continue;
+
+        let context = alert.context_json || alert.context || {};
+        if (typeof context === 'string') {
+            try {
+                context = JSON.parse(context);
+            } catch {
+                continue;
+            }
+        }
+
+        const cooldownMs = cooldownById.get(context.ruleId);
+        if (!cooldownMs) continue;
+
+        const alertTime = new Date(alert.timestamp || alert.created_at).getTime();
+        if (now - alertTime >= cooldownMs) continue;
+
+        const key = getCooldownKey(context.ruleId, alert.symbol || 'BTC');
+        const existing = ruleCooldowns.get(key);
+        if (!existing || alertTime > existing) {
+            ruleCooldowns.set(key, alertTime);
+            count++;
+        }
+    }
+
+    return count;
+}
+
+/**
+ * Dry-run an expression against a state (no cooldowns, nothing stored)
+ * @returns {Object} { success, matched, values, error }
+ */
+function testExpression(expression, currentState, previousState = null) {
+    const compiled = alertRuleEngine.compileRule(expression);
+    if (!compiled.success) return { success: false, error: compiled.error };
+
+    const values = {};
+    for (const path of compiled.paths) {
+        values[path] = {
+            current: alertRuleEngine.getPath(currentState, path),
+            previous: previousState ? alertRuleEngine.getPath(previousState, path) : null
+        };
+    }
+
+    try {
+        return {
+            success: true,
+            matched: alertRuleEngine.evaluateRule(compiled.ast, currentState, previousState),
+            values
+        };
+    } catch (error) {
+        return { success: false, error: error.message };
+    }
+}
+
+function getRuleStats() {
+    return {
+        activeRules: activeRules.length,
+        activeCooldowns: ruleCooldowns.size
+    };
+}
+
+/**
+ * =======================================================================
+ * EXPORTS
+ * =======================================================================
+ */
+
+module.exports = {
+    // CRUD
+    listRules,
+    getRule,
+    createRule,
+    updateRule,
+    deleteRule,
+    validateRule,
+
+    // Evaluation
+    loadRules,
+    setActiveRules,
+    evaluateRules,
+    testExpression,
+    hydrateRuleCooldowns,
+    clearRuleCooldowns,
+    getRuleStats,
+
+    // Constants
+    RULE_CATEGORY,
+    RULE_DEFAULTS
+};
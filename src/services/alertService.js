@@ -1,6 +1,9 @@
 // alertService.js - Phase 2: Basic Alert System
 // Detects meaningful market events for user notifications
 
+const alertRuleService = require('./alertRuleService');
+const streamService = require('./streamService');
+
 /**
  * =======================================================================
  * ALERT CONFIGURATION
@@ -48,14 +51,17 @@ const ALERT_CONFIG = {
  * =======================================================================
  */
 
-// Store previous state for comparison
-let previousState = null;
+const DEFAULT_SYMBOL = 'BTC';
+
+// Store previous state for comparison (per symbol)
+const previousStates = new Map();
 
-// Store cooldown timestamps per alert category
+// Store cooldown timestamps per symbol + alert category
+// Key: "BTC:BIAS_SHIFT"
 const alertCooldowns = new Map();
 
-// Store bias history for oscillation detection
-const biasHistory = [];
+// Store bias history for oscillation detection (per symbol)
+const biasHistories = new Map();
 const MAX_BIAS_HISTORY = 6;
 
 /**
@@ -68,8 +74,12 @@ function generateAlertId() {
     return `alert_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
 }
 
-function isOnCooldown(category) {
-    const lastAlertTime = alertCooldowns.get(category);
+function getCooldownKey(category, symbol = DEFAULT_SYMBOL) {
+    return `${symbol}:${category}`;
+}
+
+function isOnCooldown(category, symbol = DEFAULT_SYMBOL) {
+    const lastAlertTime = alertCooldowns.get(getCooldownKey(category, symbol));
     if (!lastAlertTime) return false;
 
     const config = ALERT_CONFIG[category];
@@ -78,18 +88,27 @@ function isOnCooldown(category) {
     return Date.now() - lastAlertTime < config.cooldownMs;
 }
 
-function setCooldown(category) {
-    alertCooldowns.set(category, Date.now());
+function setCooldown(category, symbol = DEFAULT_SYMBOL) {
+    alertCooldowns.set(getCooldownKey(category, symbol), Date.now());
 }
 
-function addToBiasHistory(bias) {
+function getBiasHistory(symbol = DEFAULT_SYMBOL) {
+    if (!biasHistories.has(symbol)) {
+        biasHistories.set(symbol, []);
+    }
+    return biasHistories.get(symbol);
+}
+
+function addToBiasHistory(bias, symbol = DEFAULT_SYMBOL) {
+    const biasHistory = getBiasHistory(symbol);
     biasHistory.push({ bias, timestamp: Date.now() });
     if (biasHistory.length > MAX_BIAS_HISTORY) {
         biasHistory.shift();
     }
 }
 
-function isOscillating() {
+function isOscillating(symbol = DEFAULT_SYMBOL) {
+    const biasHistory = getBiasHistory(symbol);
     if (biasHistory.length < 4) return false;
 
     // Count bias changes in recent history
@@ -106,6 +125,7 @@ function isOscillating() {
 
 /**
  * Hydrate alert cooldowns from recent alert history.
+ * Cooldowns are restored per symbol (rows without a symbol count as BTC).
  * @param {Array} recentAlerts - List of recent alerts from DB
  */
 function hydrateCooldowns(recentAlerts) {
@@ -126,9 +146,10 @@ function hydrateCooldowns(recentAlerts) {
             // It's still within cooldown window
             // We want to set the map to the alert's time
             // BUT check if we already have a newer one
-            const existing = alertCooldowns.get(category);
+            const key = getCooldownKey(category, alert.symbol || DEFAULT_SYMBOL);
+            const existing = alertCooldowns.get(key);
             if (!existing || alertTime > existing) {
-                alertCooldowns.set(category, alertTime);
+                alertCooldowns.set(key, alertTime);
                 count++;
             }
         }
@@ -147,7 +168,7 @@ function hydrateCooldowns(recentAlerts) {
  * =======================================================================
  */
 
-function checkBiasShift(current, previous) {
+function checkBiasShift(current, previous, symbol = DEFAULT_SYMBOL) {
     if (!previous) return null;
 
     const currentBias = current.finalDecision?.bias;
@@ -157,10 +178,10 @@ function checkBiasShift(current, previous) {
     if (currentBias === previousBias) return null;
 
     // Skip if oscillating
-    if (isOscillating()) return null;
+    if (isOscillating(symbol)) return null;
 
     // Check cooldown
-    if (isOnCooldown('BIAS_SHIFT')) return null;
+    if (isOnCooldown('BIAS_SHIFT', symbol)) return null;
 
     // Determine priority
     let priority = 'high';
@@ -168,11 +189,12 @@ function checkBiasShift(current, previous) {
         priority = 'medium';
     }
 
-    setCooldown('BIAS_SHIFT');
+    setCooldown('BIAS_SHIFT', symbol);
 
     return {
         id: generateAlertId(),
         timestamp: Date.now(),
+        symbol,
         category: 'BIAS_SHIFT',
         priority,
         title: `Bias Shift: ${previousBias} → ${currentBias}`,
@@ -191,7 +213,7 @@ function checkBiasShift(current, previous) {
     };
 }
 
-function checkRegimeChange(current, previous) {
+function checkRegimeChange(current, previous, symbol = DEFAULT_SYMBOL) {
     if (!previous) return null;
 
     const currentRegime = current.marketRegime?.regime;
@@ -201,13 +223,14 @@ function checkRegimeChange(current, previous) {
     if (currentRegime === previousRegime) return null;
 
     // Check cooldown
-    if (isOnCooldown('REGIME_CHANGE')) return null;
+    if (isOnCooldown('REGIME_CHANGE', symbol)) return null;
 
-    setCooldown('REGIME_CHANGE');
+    setCooldown('REGIME_CHANGE', symbol);
 
     return {
         id: generateAlertId(),
         timestamp: Date.now(),
+        symbol,
         category: 'REGIME_CHANGE',
         priority: 'high',
         title: `Regime Change: ${previousRegime} → ${currentRegime}`,
@@ -242,7 +265,7 @@ function getRegimeInsight(regime, subType) {
     return insights[regime] || 'Monitor market conditions closely.';
 }
 
-function checkConfidenceSpike(current, previous) {
+function checkConfidenceSpike(current, previous, symbol = DEFAULT_SYMBOL) {
     if (!previous) return null;
 
     const currentConf = current.finalDecision?.confidence || 0;
@@ -255,16 +278,17 @@ function checkConfidenceSpike(current, previous) {
     if (confChange < threshold) return null;
 
     // Check cooldown
-    if (isOnCooldown('CONFIDENCE_SPIKE')) return null;
+    if (isOnCooldown('CONFIDENCE_SPIKE', symbol)) return null;
 
     // Determine priority
     const priority = currentConf >= 8 ? 'high' : 'medium';
 
-    setCooldown('CONFIDENCE_SPIKE');
+    setCooldown('CONFIDENCE_SPIKE', symbol);
 
     return {
         id: generateAlertId(),
         timestamp: Date.now(),
+        symbol,
         category: 'CONFIDENCE_SPIKE',
         priority,
         title: `Confidence Spike: ${previousConf.toFixed(1)} → ${currentConf.toFixed(1)}`,
@@ -279,7 +303,7 @@ function checkConfidenceSpike(current, previous) {
     };
 }
 
-function checkTrapDetected(current, previous) {
+function checkTrapDetected(current, previous, symbol = DEFAULT_SYMBOL) {
     const currentSubType = current.marketRegime?.subType;
     const previousSubType = previous?.marketRegime?.subType;
 
@@ -290,9 +314,9 @@ function checkTrapDetected(current, previous) {
     if (!isTrap || !wasNotTrap) return null;
 
     // Check cooldown
-    if (isOnCooldown('TRAP_DETECTED')) return null;
+    if (isOnCooldown('TRAP_DETECTED', symbol)) return null;
 
-    setCooldown('TRAP_DETECTED');
+    setCooldown('TRAP_DETECTED', symbol);
 
     const trapType = currentSubType === 'long_trap' ? 'Long Trap' : 'Short Trap';
     const atRisk = currentSubType === 'long_trap' ? 'longs' : 'shorts';
@@ -300,6 +324,7 @@ function checkTrapDetected(current, previous) {
     return {
         id: generateAlertId(),
         timestamp: Date.now(),
+        symbol,
         category: 'TRAP_DETECTED',
         priority: 'high',
         title: `⚠️ ${trapType} Detected`,
@@ -316,7 +341,7 @@ function checkTrapDetected(current, previous) {
     };
 }
 
-function checkSqueezeActive(current, previous) {
+function checkSqueezeActive(current, previous, symbol = DEFAULT_SYMBOL) {
     const currentSubType = current.marketRegime?.subType;
     const previousSubType = previous?.marketRegime?.subType;
 
@@ -327,15 +352,16 @@ function checkSqueezeActive(current, previous) {
     if (!isSqueeze || !wasNotSqueeze) return null;
 
     // Check cooldown
-    if (isOnCooldown('SQUEEZE_ACTIVE')) return null;
+    if (isOnCooldown('SQUEEZE_ACTIVE', symbol)) return null;
 
-    setCooldown('SQUEEZE_ACTIVE');
+    setCooldown('SQUEEZE_ACTIVE', symbol);
 
     const squeezeType = currentSubType === 'short_squeeze' ? 'Short Squeeze' : 'Long Squeeze';
 
     return {
         id: generateAlertId(),
         timestamp: Date.now(),
+        symbol,
         category: 'SQUEEZE_ACTIVE',
         priority: 'medium',
         title: `🔥 ${squeezeType} Active`,
@@ -352,7 +378,7 @@ function checkSqueezeActive(current, previous) {
     };
 }
 
-function checkFundingExtreme(current, previous) {
+function checkFundingExtreme(current, previous, symbol = DEFAULT_SYMBOL) {
     const currentFunding = current.fundingAdvanced;
     const previousFunding = previous?.fundingAdvanced;
 
@@ -369,9 +395,9 @@ function checkFundingExtreme(current, previous) {
     if (!isExtreme || wasExtreme) return null;
 
     // Check cooldown
-    if (isOnCooldown('FUNDING_EXTREME')) return null;
+    if (isOnCooldown('FUNDING_EXTREME', symbol)) return null;
 
-    setCooldown('FUNDING_EXTREME');
+    setCooldown('FUNDING_EXTREME', symbol);
 
     const direction = currentZScore > 0 ? 'positive' : 'negative';
     const crowdedSide = currentZScore > 0 ? 'longs' : 'shorts';
@@ -379,6 +405,7 @@ function checkFundingExtreme(current, previous) {
     return {
         id: generateAlertId(),
         timestamp: Date.now(),
+        symbol,
         category: 'FUNDING_EXTREME',
         priority: 'medium',
         title: `💰 Funding Extreme: ${direction.toUpperCase()}`,
@@ -401,40 +428,52 @@ function checkFundingExtreme(current, previous) {
  * =======================================================================
  */
 
-function checkAlerts(currentState) {
+/**
+ * Compare current state with the previous state of the same symbol.
+ * @param {Object} currentState - Analyzer output
+ * @param {string} symbol - Base symbol (defaults to currentState.symbol, then BTC)
+ */
+function checkAlerts(currentState, symbol = currentState?.symbol || DEFAULT_SYMBOL) {
     const alerts = [];
+    const previousState = previousStates.get(symbol) || null;
 
     // Run all alert checkers
-    const biasShiftAlert = checkBiasShift(currentState, previousState);
+    const biasShiftAlert = checkBiasShift(currentState, previousState, symbol);
     if (biasShiftAlert) alerts.push(biasShiftAlert);
 
-    const regimeChangeAlert = checkRegimeChange(currentState, previousState);
+    const regimeChangeAlert = checkRegimeChange(currentState, previousState, symbol);
     if (regimeChangeAlert) alerts.push(regimeChangeAlert);
 
-    const confidenceSpikeAlert = checkConfidenceSpike(currentState, previousState);
+    const confidenceSpikeAlert = checkConfidenceSpike(currentState, previousState, symbol);
     if (confidenceSpikeAlert) alerts.push(confidenceSpikeAlert);
 
-    const trapAlert = checkTrapDetected(currentState, previousState);
+    const trapAlert = checkTrapDetected(currentState, previousState, symbol);
     if (trapAlert) alerts.push(trapAlert);
 
-    const squeezeAlert = checkSqueezeActive(currentState, previousState);
+    const squeezeAlert = checkSqueezeActive(currentState, previousState, symbol);
     if (squeezeAlert) alerts.push(squeezeAlert);
 
-    const fundingAlert = checkFundingExtreme(currentState, previousState);
+    const fundingAlert = checkFundingExtreme(currentState, previousState, symbol);
     if (fundingAlert) alerts.push(fundingAlert);
 
+    // User-defined rules (alert_rules) - per-rule cooldowns
+    alerts.push(...alertRuleService.evaluateRules(currentState, previousState, symbol));
+
     // Update bias history for oscillation detection
     if (currentState.finalDecision?.bias) {
-        addToBiasHistory(currentState.finalDecision.bias);
+        addToBiasHistory(currentState.finalDecision.bias, symbol);
     }
 
     // Store current state as previous for next comparison
-    previousState = { ...currentState };
+    previousStates.set(symbol, { ...currentState });
 
     // Sort alerts by priority (high first)
     const priorityOrder = { critical: 0, high: 1, medium: 2, low: 3 };
     alerts.sort((a, b) => priorityOrder[a.priority] - priorityOrder[b.priority]);
 
+    // Push to stream subscribers (topic: alert)
+    alerts.forEach(alert => streamService.publish('alert', alert, { type: alert.category, symbol }));
+
     return alerts;
 }
 
@@ -444,27 +483,44 @@ function checkAlerts(currentState) {
  * =======================================================================
  */
 
-function getPreviousState() {
-    return previousState;
+function getPreviousState(symbol = DEFAULT_SYMBOL) {
+    return previousStates.get(symbol) || null;
 }
 
-function setPreviousState(state) {
-    previousState = state;
+function setPreviousState(state, symbol = DEFAULT_SYMBOL) {
+    previousStates.set(symbol, state);
 }
 
-function clearCooldowns() {
-    alertCooldowns.clear();
+/**
+ * Clear cooldowns for one symbol, or for all symbols when omitted
+ */
+function clearCooldowns(symbol = null) {
+    if (!symbol) {
+        alertCooldowns.clear();
+        return;
+    }
+    for (const key of alertCooldowns.keys()) {
+        if (key.startsWith(`${symbol}:`)) {
+            alertCooldowns.delete(key);
+        }
+    }
 }
 
-function getAlertStats() {
+function getAlertStats(symbol = DEFAULT_SYMBOL) {
     return {
-        previousStateExists: previousState !== null,
-        biasHistoryLength: biasHistory.length,
-        activeCooldowns: Array.from(alertCooldowns.entries()).map(([category, timestamp]) => ({
-            category,
-            expiresIn: Math.max(0, (ALERT_CONFIG[category]?.cooldownMs || 0) - (Date.now() - timestamp))
-        })),
-        isOscillating: isOscillating()
+        symbol,
+        previousStateExists: previousStates.has(symbol),
+        biasHistoryLength: getBiasHistory(symbol).length,
+        activeCooldowns: Array.from(alertCooldowns.entries())
+            .filter(([key]) => key.startsWith(`${symbol}:`))
+            .map(([key, timestamp]) => {
+                const category = key.slice(symbol.length + 1);
+                return {
+                    category,
+                    expiresIn: Math.max(0, (ALERT_CONFIG[category]?.cooldownMs || 0) - (Date.now() - timestamp))
+                };
+            }),
+        isOscillating: isOscillating(symbol)
     };
 }
 
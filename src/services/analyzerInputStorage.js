@@ -0,0 +1,184 @@
+// src/services/analyzerInputStorage.js
+// ============================================================================
+// Analyzer Input Storage (content-addressed)
+// ============================================================================
+// Stores the exact inputs that went into calculateMarketMetrics
+// ({ snapshot, history, symbol, resolvedAbsorptions }) so any live or replay
+// decision can be reproduced later.
+//
+// - Key: sha256 of the canonical (sorted-key) JSON of the inputs
+// - Payload: gzip + base64 of that JSON (history is highly compressible)
+// - Identical inputs are stored once; states reference them via inputs_hash
+//
+// Schema: db/add_analyzer_inputs.sql
+// ============================================================================
+
+const crypto = require('crypto');
+const zlib = require('zlib');
+const storageBackend = require('./storageBackend');
+const logger = require('../utils/logger');
+
+/**
+ * =======================================================================
+ * STORAGE CLIENT (Supabase or SQLite - see storageBackend.js)
+ * =======================================================================
+ */
+
+function getSupabase() {
+    return storageBackend.getClient();
+}
+
+const ENCODING = 'gzip+base64';
+
+/**
+ * =======================================================================
+ * ENCODING
+ * =======================================================================
+ */
+
+/**
+ * JSON with object keys sorted recursively - same inputs, same string
+ */
+function canonicalJson(value) {
+    return JSON.stringify(value, (key, val) => {
+        if (val && typeof val === 'object' && !Array.isArray(val)) {
+            return Object.keys(val).sort().reduce((sorted, k) => {
+                sorted[k] = val[k];
+                return sorted;
+            }, {});
+        }
+        return val;
+    });
+}
+
+/**
+ * Normalize analyzer inputs to the stored shape
+ */
+function buildInputRecord({ snapshot, history, symbol, resolvedAbsorptions = [] }) {
+    return {
+        snapshot,
+        history: history || {},
+        symbol: symbol || 'BTC',
+        resolvedAbsorptions
+    };
+}
+
+function hashInputs(inputs) {
+    return crypto.createHash('sha256').update(canonicalJson(buildInputRecord(inputs))).digest('hex');
+}
+
+function encodeInputs(inputs) {
+    const json = canonicalJson(buildInputRecord(inputs));
+    const payload = zlib.gzipSync(Buffer.from(json, 'utf8')).toString('base64');
+    return {
+        hash: crypto.createHash('sha256').update(json).digest('hex'),
+        payload,
+        rawBytes: Buffer.byteLength(json, 'utf8'),
+        storedBytes: payload.length
+    };
+}
+
+function decodeInputs(payload, encoding = ENCODING) {
+    if (encoding !== ENCODING) {
+        throw new Error(`Unsupported analyzer input encoding: ${encoding}`);
+    }
+    return JSON.parse(zlib.gunzipSync(Buffer.from(payload, 'base64')).toString('utf8'));
+}
+
+/**
+ * =======================================================================
+ * STORAGE OPERATIONS
+ * =======================================================================
+ */
+
+/**
+ * Store analyzer inputs (no-op if the same inputs are already stored)
+ * @param {Object} inputs - { snapshot, history, symbol, resolvedAbsorptions }
+ * @returns {Object} { success, hash, rawBytes, storedBytes, error? }
+ */
+async function saveInputs(inputs) {
+    const client = getSupabase();
+    if (!client) return { success: false, error: 'Database not configured' };
+
+    if (!inputs?.snapshot) {
+        return { success: false, error: 'inputs.snapshot is required' };
+    }
+
+    try {
+        const encoded = encodeInputs(inputs);
+
+        const { error } = await client
+            .from('analyzer_inputs')
+            .upsert({
+                inputs_hash: encoded.hash,
+                symbol: inputs.symbol || 'BTC',
+                encoding: ENCODING,
+                payload: encoded.payload,
+                raw_bytes: encoded.rawBytes,
+                stored_bytes: encoded.storedBytes
+            }, { onConflict: 'inputs_hash', ignoreDuplicates: true });
+
+        if (error) {
+            logger.error('[AnalyzerInputStorage] saveInputs error:', error.message);
+            return { success: false, error: error.message };
+        }
+
+        return {
+            success: true,
+            hash: encoded.hash,
+            rawBytes: encoded.rawBytes,
+            storedBytes: encoded.storedBytes
+        };
+
+    } catch (err) {
+        logger.error('[AnalyzerInputStorage] saveInputs exception:', err.message);
+        return { success: false, error: err.message };
+    }
+}
+
+/**
+ * Load analyzer inputs by hash
+ * @param {string} hash - inputs_hash
+ * @returns {Object|null} { snapshot, history, symbol, resolvedAbsorptions } or null
+ */
+async function getInputs(hash) {
+    const client = getSupabase();
+    if (!client || !hash) return null;
+
+    try {
+        const { data, error } = await client
+            .from('analyzer_inputs')
+            .select('encoding, payload')
+            .eq('inputs_hash', hash)
+            .maybeSingle();
+
+        if (error) {
+            logger.error('[AnalyzerInputStorage] getInputs error:', error.message);
+            return null;
+        }
+        if (!data) return null;
+
+        return decodeInputs(data.payload, data.encoding);
+
+    } catch (err) {
+        logger.error('[AnalyzerInputStorage] getInputs exception:', err.message);
+        return null;
+    }
+}
+
+/**
+ * =======================================================================
+ * EXPORTS
+ * =======================================================================
+ */
+
+module.exports = {
+    saveInputs,
+    getInputs,
+
+    // For testing
+    canonicalJson,
+    hashInputs,
+    encodeInputs,
+    decodeInputs
+};
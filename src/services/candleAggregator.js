@@ -0,0 +1,480 @@
+// src/services/candleAggregator.js
+// ============================================================================
+// Candle Aggregator
+// ============================================================================
+// Builds higher-timeframe candles from the finest synced timeframe instead of
+// fetching every timeframe from the provider (one request budget instead of
+// four, and timeframes can no longer drift apart).
+//
+// Buckets use the same UTC boundaries as dataUtils.alignStartTimeToBoundary.
+// Per bucket:
+//   price:        open = first, high = max, low = min, close = last, volume = sum
+//   oi:           oi_open = first, oi_high = max, oi_low = min, oi_close/oi = last
+//   taker_volume: buy_volume / sell_volume = sum
+//   liquidations: liq_long_usd / liq_short_usd = sum
+//   positioning:  global_* / top_* ratios = last (snapshots, like funding)
+//   spot:         spot_close = last, spot volumes = sum
+//   funding:      funding_rate = last (same "close" value the sync job stores)
+// A field group is only filled when every base candle of the bucket has it;
+// buckets missing base candles are skipped unless allowPartial is set.
+//
+// checkConsistency() compares aggregates with natively synced candles.
+// ============================================================================
+
+const historicalCandleStorage = require('./historicalCandleStorage');
+const { intervalToMs, alignStartTimeToBoundary, alignEndTimeToLastClosedCandle } = require('./dataUtils');
+const logger = require('../utils/logger');
+
+// Lazy: verification service pulls in the sync job
+function getVerificationService() {
+    return require('./candleVerificationService');
+}
+
+/**
+ * =======================================================================
+ * CONFIGURATION
+ * =======================================================================
+ */
+
+const AGGREGATION_CONFIG = {
+    // Finest timeframe synced from the provider
+    baseTimeframe: '30m',
+
+    // Base candles read per storage query (stays under the 1000-row API cap)
+    maxBaseCandlesPerChunk: 500
+};
+
+// Columns written for each data type - a group is aggregated only when complete
+const FIELD_GROUPS = {
+    price: {
+        required: ['open', 'high', 'low', 'close'],
+        columns: ['open', 'high', 'low', 'close', 'volume'],
+        build: candles => ({
+            open: Number(candles[0].open),
+            high: Math.max(...candles.map(c => Number(c.high))),
+            low: Math.min(...candles.map(c => Number(c.low))),
+            close: Number(candles[candles.length - 1].close),
+            volume: sumField(candles, 'volume')
+        })
+    },
+    oi: {
+        required: ['oi_open', 'oi_high', 'oi_low', 'oi_close'],
+        columns: ['oi_open', 'oi_high', 'oi_low', 'oi_close', 'oi'],
+        build: candles => {
+            const last = candles[candles.length - 1];
+            return {
+                oi_open: Number(candles[0].oi_open),
+                oi_high: Math.max(...candles.map(c => Number(c.oi_high))),
+                oi_low: Math.min(...candles.map(c => Number(c.oi_low))),
+                oi_close: Number(last.oi_close),
+                oi: last.oi !== null && last.oi !== undefined ? Number(last.oi) : Number(last.oi_close)
+            };
+        }
+    },
+    taker_volume: {
+        required: ['buy_volume', 'sell_volume'],
+        columns: ['buy_volume', 'sell_volume'],
+        build: candles => ({
+            buy_volume: sumField(candles, 'buy_volume'),
+            sell_volume: sumField(candles, 'sell_volume')
+        })
+    },
+    liquidations: {
+        required: ['liq_long_usd', 'liq_short_usd'],
+        columns: ['liq_long_usd', 'liq_short_usd'],
+        build: candles => ({
+            liq_long_usd: sumField(candles, 'liq_long_usd'),
+            liq_short_usd: sumField(candles, 'liq_short_usd')
+        })
+    },
+    long_short_ratio: {
+        required: ['global_long_pct', 'global_ls_ratio'],
+        columns: ['global_long_pct', 'global_ls_ratio'],
+        build: candles => ({
+            global_long_pct: Number(candles[candles.length - 1].global_long_pct),
+            global_ls_ratio: Number(candles[candles.length - 1].global_ls_ratio)
+        })
+    },
+    top_trader_ratio: {
+        required: ['top_long_pct', 'top_ls_ratio'],
+        columns: ['top_long_pct', 'top_ls_ratio'],
+        build: candles => ({
+            top_long_pct: Number(candles[candles.length - 1].top_long_pct),
+            top_ls_ratio: Number(candles[candles.length - 1].top_ls_ratio)
+        })
+    },
+    spot_price: {
+        required: ['spot_close'],
+        columns: ['spot_close', 'spot_volume'],
+        build: candles => ({
+            spot_close: Number(candles[candles.length - 1].spot_close),
+            spot_volume: sumField(candles, 'spot_volume')
+        })
+    },
+    spot_taker_volume: {
+        required: ['spot_buy_volume', 'spot_sell_volume'],
+        columns: ['spot_buy_volume', 'spot_sell_volume'],
+        build: candles => ({
+            spot_buy_volume: sumField(candles, 'spot_buy_volume'),
+            spot_sell_volume: sumField(candles, 'spot_sell_volume')
+        })
+    },
+    funding: {
+        required: ['funding_rate'],
+        columns: ['funding_rate'],
+        build: candles => ({
+            funding_rate: Number(candles[candles.length - 1].funding_rate)
+        })
+    }
+};
+
+/**
+ * =======================================================================
+ * AGGREGATION (pure)
+ * =======================================================================
+ */
+
+function hasValue(value) {
+    return value !== null && value !== undefined && value !== '';
+}
+
+function sumField(candles, field) {
+    const values = candles.map(c => c[field]).filter(hasValue);
+    if (values.length === 0) return null;
+    return values.reduce((sum, v) => sum + Number(v), 0);
+}
+
+/**
+ * Throw unless target is a whole multiple of base
+ */
+function assertAggregatable(baseTimeframe, targetTimeframe) {
+    const baseMs = intervalToMs(baseTimeframe);
+    const targetMs = intervalToMs(targetTimeframe);
+    if (targetMs <= baseMs || targetMs % baseMs !== 0) {
+        throw new Error(`Cannot aggregate ${baseTimeframe} into ${targetTimeframe}: target must be a larger multiple of the base timeframe`);
+    }
+    return { baseMs, targetMs, perBucket: targetMs / baseMs };
+}
+
+/**
+ * Aggregate base candles into a higher timeframe
+ * @param {Array} baseCandles - historical_candles rows of the base timeframe
+ * @param {string} baseTimeframe - e.g. '30m'
+ * @param {string} targetTimeframe - e.g. '4h'
+ * @param {Object} options - { allowPartial: keep buckets missing base candles (default false) }
+ * @returns {Array} Target candles (historical_candles format) with
+ *                  `_baseCount` / `_expectedCount` bookkeeping fields, ascending
+ */
+function aggregateCandles(baseCandles, baseTimeframe, targetTimeframe, options = {}) {
+    const { allowPartial = false } = options;
+    const { perBucket } = assertAggregatable(baseTimeframe, targetTimeframe);
+
+    const buckets = new Map();
+    const sorted = [...baseCandles].sort((a, b) => Number(a.timestamp) - Number(b.timestamp));
+    for (const candle of sorted) {
+        const bucketStart = alignStartTimeToBoundary(targetTimeframe, Number(candle.timestamp));
+        if (!buckets.has(bucketStart)) buckets.set(bucketStart, new Map());
+        // Duplicate timestamps collapse to the last row
+        buckets.get(bucketStart).set(Number(candle.timestamp), candle);
+    }
+
+    const result = [];
+    for (const [bucketStart, byTime] of buckets) {
+        const candles = [...byTime.values()];
+        if (candles.length < perBucket && !allowPartial) continue;
+
+        const first = candles[0];
+        const aggregated = {
+            exchange: first.exchange,
+            symbol: first.symbol,
+            timeframe: targetTimeframe,
+            timestamp: bucketStart
+        };
+
+        for (const group of Object.values(FIELD_GROUPS)) {
+            const complete = candles.every(c => group.required.every(field => hasValue(c[field])));
+            if (complete) Object.assign(aggregated, group.build(candles));
+        }
+
+        aggregated._baseCount = candles.length;
+        aggregated._expectedCount = perBucket;
+        result.push(aggregated);
+    }
+
+    return result.sort((a, b) => a.timestamp - b.timestamp);
+}
+
+/**
+ * Strip bookkeeping fields before storage
+ */
+function toStorageRow(candle) {
+    const { _baseCount, _expectedCount, ...row } = candle;
+    return row;
+}
+
+/**
+ * =======================================================================
+ * STORAGE-BACKED AGGREGATION
+ * =======================================================================
+ */
+
+/**
+ * Iterate [start, end] in chunks aligned to the target timeframe, each
+ * holding at most maxBaseCandlesPerChunk base candles
+ */
+function buildChunks(baseTimeframe, targetTimeframe, startTime, endTime) {
+    const { baseMs, targetMs } = assertAggregatable(baseTimeframe, targetTimeframe);
+    const bucketsPerChunk = Math.max(1, Math.floor(AGGREGATION_CONFIG.maxBaseCandlesPerChunk * baseMs / targetMs));
+    const chunkMs = bucketsPerChunk * targetMs;
+
+    const chunks = [];
+    for (let start = alignStartTimeToBoundary(targetTimeframe, startTime); start <= endTime; start += chunkMs) {
+        chunks.push({ start, end: Math.min(start + chunkMs - 1, endTime) });
+    }
+    return chunks;
+}
+
+/**
+ * Resolve the aggregation window: given bounds or the stored base coverage,
+ * never past the last closed target candle
+ */
+async function resolveWindow({ exchange, symbol, baseTimeframe, targetTimeframe, startTime, endTime }) {
+    const start = startTime || await historicalCandleStorage.getEarliestTimestamp(exchange, symbol, baseTimeframe);
+    const latest = endTime || await historicalCandleStorage.getLatestTimestamp(exchange, symbol, baseTimeframe);
+    if (!start || !latest) return null;
+
+    const lastClosedEnd = alignEndTimeToLastClosedCandle(targetTimeframe, Date.now()) - 1;
+    return { start: Number(start), end: Math.min(Number(latest), lastClosedEnd) };
+}
+
+/**
+ * Only the field groups of `aggregated` that `existing` does not have yet
+ */
+function missingGroups(aggregated, existing) {
+    const row = { exchange: aggregated.exchange, symbol: aggregated.symbol, timeframe: aggregated.timeframe, timestamp: aggregated.timestamp };
+    let added = false;
+
+    for (const group of Object.values(FIELD_GROUPS)) {
+        if (!hasValue(aggregated[group.required[0]])) continue;
+        if (existing && group.required.every(field => hasValue(existing[field]))) continue;
+        for (const column of group.columns) {
+            row[column] = aggregated[column];
+        }
+        added = true;
+    }
+
+    return added ? row : null;
+}
+
+/**
+ * Aggregate stored base candles into target timeframes and store them
+ * @param {Object} options - {
+ *   exchange, symbol,
+ *   baseTimeframe: default AGGREGATION_CONFIG.baseTimeframe,
+ *   timeframes: target timeframes (e.g. ['1h', '4h', '1d']),
+ *   startTime, endTime: window (default: stored base coverage),
+ *   mode: 'fill' (default) only adds values natively synced rows lack,
+ *         'replace' overwrites target rows with the aggregates
+ * }
+ * @returns {Object} { success, results: [{ timeframe, aggregated, stored, skippedIncomplete }] }
+ */
+async function aggregateAndStore(options = {}) {
+    const {
+        exchange,
+        symbol = 'BTC',
+        baseTimeframe = AGGREGATION_CONFIG.baseTimeframe,
+        timeframes = [],
+        mode = 'fill'
+    } = options;
+
+    if (!exchange) return { success: false, error: 'exchange is required' };
+    if (!['fill', 'replace'].includes(mode)) return { success: false, error: `Unknown mode: ${mode}` };
+
+    const results = [];
+
+    try {
+        for (const targetTimeframe of timeframes) {
+            assertAggregatable(baseTimeframe, targetTimeframe);
+
+            const window = await resolveWindow({
+                exchange, symbol, baseTimeframe, targetTimeframe,
+                startTime: options.startTime, endTime: options.endTime
+            });
+            if (!window) {
+                results.push({ timeframe: targetTimeframe, aggregated: 0, stored: 0, skipped: 'No base candles' });
+                continue;
+            }
+
+            let aggregatedCount = 0;
+            let storedCount = 0;
+            let skippedIncomplete = 0;
+            const perBucket = intervalToMs(targetTimeframe) / intervalToMs(baseTimeframe);
+
+            for (const chunk of buildChunks(baseTimeframe, targetTimeframe, window.start, window.end)) {
+                const base = await historicalCandleStorage.getCandles({
+                    exchange, symbol, timeframe: baseTimeframe, startTime: chunk.start, endTime: chunk.end
+                });
+
+                const all = aggregateCandles(base, baseTimeframe, targetTimeframe, { allowPartial: true });
+                const complete = all.filter(c => c._baseCount === perBucket);
+                skippedIncomplete += all.length - complete.length;
+                aggregatedCount += complete.length;
+                if (complete.length === 0) continue;
+
+                let rows;
+                if (mode === 'replace') {
+                    rows = complete.map(toStorageRow);
+                } else {
+                    const native = await historicalCandleStorage.getCandles({
+                        exchange, symbol, timeframe: targetTimeframe, startTime: chunk.start, endTime: chunk.end
+                    });
+                    const nativeByTime = new Map(native.map(c => [Number(c.timestamp), c]));
+                    rows = complete
+                        .map(c => missingGroups(c, nativeByTime.get(c.timestamp)))
+                        .filter(Boolean);
+                }
+
+                const stored = await historicalCandleStorage.upsertCandles(rows);
+                if (!stored.success) {
+                    return { success: false, error: stored.error, results };
+                }
+                storedCount += rows.length;
+            }
+
+            logger.info(`[Aggregator] ${exchange} ${symbol} ${baseTimeframe} -> ${targetTimeframe}: ${aggregatedCount} candles, ${storedCount} stored (${mode})`);
+            results.push({
+                timeframe: targetTimeframe,
+                window,
+                aggregated: aggregatedCount,
+                stored: storedCount,
+                skippedIncomplete
+            });
+        }
+
+        return { success: true, exchange, symbol, baseTimeframe, mode, results };
+
+    } catch (err) {
+        logger.error('[Aggregator] aggregateAndStore error:', err);
+        return { success: false, error: err.message, results };
+    }
+}
+
+/**
+ * =======================================================================
+ * CONSISTENCY CHECK
+ * =======================================================================
+ */
+
+/**
+ * Compare aggregates of the base timeframe with natively synced candles
+ * Uses the per-field tolerances of the verification service.
+ *
+ * @param {Object} options - { exchange, symbol, baseTimeframe, timeframe, startTime, endTime, tolerances }
+ * @returns {Object} { success, compared, matched, mismatched, missingNative, fieldStats, mismatches[] }
+ */
+async function checkConsistency(options = {}) {
+    const {
+        exchange,
+        symbol = 'BTC',
+        baseTimeframe = AGGREGATION_CONFIG.baseTimeframe,
+        timeframe
+    } = options;
+
+    if (!exchange || !timeframe) return { success: false, error: 'exchange and timeframe are required' };
+
+    try {
+        const { perBucket } = assertAggregatable(baseTimeframe, timeframe);
+        const verification = getVerificationService();
+        const tolerances = { ...verification.VERIFY_CONFIG.tolerances };
+        for (const [field, override] of Object.entries(options.tolerances || {})) {
+            tolerances[field] = { ...tolerances[field], ...override };
+        }
+
+        const window = await resolveWindow({
+            exchange, symbol, baseTimeframe, targetTimeframe: timeframe,
+            startTime: options.startTime, endTime: options.endTime
+        });
+        if (!window) return { success: false, error: 'No base candles found' };
+
+        const fields = Object.values(verification.VERIFY_CONFIG.dataTypeFields).flat();
+        const results = [];
+        let missingNative = 0;
+        let incompleteBase = 0;
+
+        for (const chunk of buildChunks(baseTimeframe, timeframe, window.start, window.end)) {
+            const base = await historicalCandleStorage.getCandles({
+                exchange, symbol, timeframe: baseTimeframe, startTime: chunk.start, endTime: chunk.end
+            });
+            const native = await historicalCandleStorage.getCandles({
+                exchange, symbol, timeframe, startTime: chunk.start, endTime: chunk.end
+            });
+            const nativeByTime = new Map(native.map(c => [Number(c.timestamp), c]));
+
+            for (const aggregated of aggregateCandles(base, baseTimeframe, timeframe, { allowPartial: true })) {
+                if (aggregated._baseCount < perBucket) {
+                    incompleteBase++;
+                    continue;
+                }
+
+                const nativeCandle = nativeByTime.get(aggregated.timestamp);
+                if (!nativeCandle) {
+                    missingNative++;
+                    continue;
+                }
+
+                const result = { timestamp: aggregated.timestamp, fields: {}, failedFields: [] };
+                for (const field of fields) {
+                    // Native value is the reference; skip fields either side lacks
+                    if (!hasValue(aggregated[field]) || !hasValue(nativeCandle[field])) continue;
+                    const comparison = verification.compareField(aggregated[field], nativeCandle[field], tolerances[field]);
+                    if (!comparison) continue;
+                    result.fields[field] = comparison;
+                    if (!comparison.ok) result.failedFields.push(field);
+                }
+
+                if (Object.keys(result.fields).length > 0) results.push(result);
+            }
+        }
+
+        const mismatches = results.filter(r => r.failedFields.length > 0);
+
+        return {
+            success: true,
+            exchange,
+            symbol,
+            baseTimeframe,
+            timeframe,
+            window,
+            compared: results.length,
+            matched: results.length - mismatches.length,
+            mismatched: mismatches.length,
+            missingNative,
+            incompleteBase,
+            fieldStats: verification.computeFieldStats(results, fields),
+            mismatches: mismatches.map(r => ({
+                timestamp: r.timestamp,
+                date: new Date(r.timestamp).toISOString(),
+                fields: Object.fromEntries(r.failedFields.map(f => [f, r.fields[f]]))
+            }))
+        };
+
+    } catch (err) {
+        logger.error('[Aggregator] checkConsistency error:', err);
+        return { success: false, error: err.message };
+    }
+}
+
+/**
+ * =======================================================================
+ * EXPORTS
+ * =======================================================================
+ */
+
+module.exports = {
+    aggregateCandles,
+    aggregateAndStore,
+    checkConsistency,
+    assertAggregatable,
+    AGGREGATION_CONFIG,
+    FIELD_GROUPS
+};
@@ -0,0 +1,667 @@
+// src/services/candleImportExport.js
+// ============================================================================
+// Historical Candle Import / Export
+// ============================================================================
+// Bulk-loads CSV and NDJSON files into historical_candles and streams stored
+// ranges back out in the same formats - for seeding dev databases, sharing
+// datasets and backfilling from vendor dumps without the Coinglass sync.
+//
+// File format (CSV header row or NDJSON object keys):
+//   exchange, symbol, timeframe, timestamp,
+//   open, high, low, close, volume,
+//   oi, oi_open, oi_high, oi_low, oi_close,
+//   buy_volume, sell_volume, funding_rate, liq_long_usd, liq_short_usd,
+//   global_long_pct, global_ls_ratio, top_long_pct, top_ls_ratio,
+//   spot_close, spot_volume, spot_buy_volume, spot_sell_volume
+// - timestamp: candle open time as ms, seconds or ISO-8601 (must sit on the
+//   timeframe's UTC boundary)
+// - exchange/symbol/timeframe may be omitted when passed as options
+// - empty cells / missing keys leave stored values untouched
+// - CSV: comma separated, double-quoted fields allowed (no embedded newlines)
+//
+// Rows are deduplicated in the file (last one wins) and against the table
+// through its unique index (exchange, symbol, timeframe, timestamp).
+//
+// CLI:
+//   node src/services/candleImportExport.js import <file> [--dry-run] ...
+//   node src/services/candleImportExport.js export --out=<file> ...
+// ============================================================================
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const historicalCandleStorage = require('./historicalCandleStorage');
+const symbolRegistry = require('./symbolRegistry');
+const venueRegistry = require('./venueRegistry');
+const configService = require('./configService');
+const { INTERVAL_CONFIG, alignStartTimeToBoundary } = require('./dataUtils');
+const logger = require('../utils/logger');
+
+/**
+ * =======================================================================
+ * CONFIGURATION
+ * =======================================================================
+ */
+
+const KEY_COLUMNS = ['exchange', 'symbol', 'timeframe', 'timestamp'];
+
+const VALUE_COLUMNS = [
+    'open', 'high', 'low', 'close', 'volume',
+    'oi', 'oi_open', 'oi_high', 'oi_low', 'oi_close',
+    'buy_volume', 'sell_volume', 'funding_rate',
+    'liq_long_usd', 'liq_short_usd',
+    'global_long_pct', 'global_ls_ratio', 'top_long_pct', 'top_ls_ratio',
+    'spot_close', 'spot_volume', 'spot_buy_volume', 'spot_sell_volume'
+];
+
+const CANDLE_COLUMNS = [...KEY_COLUMNS, ...VALUE_COLUMNS];
+
+// Values that can never be negative (funding can)
+const NON_NEGATIVE_COLUMNS = [
+    'volume', 'oi', 'oi_open', 'oi_high', 'oi_low', 'oi_close',
+    'buy_volume', 'sell_volume', 'liq_long_usd', 'liq_short_usd',
+    'global_long_pct', 'global_ls_ratio', 'top_long_pct', 'top_ls_ratio',
+    'spot_close', 'spot_volume', 'spot_buy_volume', 'spot_sell_volume'
+];
+
+// Common vendor header names
+const COLUMN_ALIASES = {
+    time: 'timestamp',
+    t: 'timestamp',
+    ts: 'timestamp',
+    open_time: 'timestamp',
+    interval: 'timeframe',
+    vol: 'volume',
+    taker_buy_volume: 'buy_volume',
+    taker_sell_volume: 'sell_volume',
+    funding: 'funding_rate'
+};
+
+const IMPORT_CONFIG = {
+    batchSize: 500,        // rows per upsert
+    maxReportedErrors: 100,
+    exportPageSize: 1000   // rows per storage query while exporting
+};
+
+const FORMATS = ['csv', 'ndjson'];
+
+/**
+ * =======================================================================
+ * PARSING
+ * =======================================================================
+ */
+
+/**
+ * Split one CSV line (RFC 4180 quoting, no embedded newlines)
+ */
+function parseCsvLine(line) {
+    const fields = [];
+    let current = '';
+    let quoted = false;
+
+    for (let i = 0; i < line.length; i++) {
+        const ch = line[i];
+        if (quoted) {
+            if (ch === '"' && line[i + 1] === '"') {
+                current += '"';
+                i++;
+            } else if (ch === '"') {
+                quoted = false;
+            } else {
+                current += ch;
+            }
+        } else if (ch === '"') {
+            quoted = true;
+        } else if (ch === ',') {
+            fields.push(current);
+            current = '';
+        } else {
+            current += ch;
+        }
+    }
+    fields.push(current);
+    return fields.map(f => f.trim());
+}
+
+function normalizeColumnName(name) {
+    const key = String(name).trim().toLowerCase().replace(/^\uFEFF/, '');
+    return COLUMN_ALIASES[key] || key;
+}
+
+/**
+ * Detect format from an explicit option, a file name or the first line
+ */
+function detectFormat({ format, filename, firstLine }) {
+    if (format) {
+        const f = String(format).toLowerCase();
+        if (f === 'jsonl' || f === 'json') return 'ndjson';
+        return f;
+    }
+    const ext = filename ? path.extname(filename).toLowerCase() : '';
+    if (ext === '.csv') return 'csv';
+    if (ext === '.ndjson' || ext === '.jsonl') return 'ndjson';
+    return firstLine && firstLine.trim().startsWith('{') ? 'ndjson' : 'csv';
+}
+
+/**
+ * Timestamp in ms from ms, seconds or an ISO-8601 string
+ */
+function parseTimestamp(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const numeric = Number(value);
+    if (Number.isFinite(numeric)) {
+        return numeric < 1e12 ? numeric * 1000 : numeric;
+    }
+    const parsed = Date.parse(value);
+    return Number.isFinite(parsed) ? parsed : null;
+}
+
+/**
+ * Validate and normalize one raw record into a historical_candles row
+ * @param {Object} raw - Parsed record (already with normalized column names)
+ * @param {Object} defaults - { exchange, symbol, timeframe }
+ * @returns {Object} { row } or { error }
+ */
+function normalizeRecord(raw, defaults = {}) {
+    const unknown = Object.keys(raw).filter(k => !CANDLE_COLUMNS.includes(k));
+    if (unknown.length > 0) {
+        return { error: `Unknown column(s): ${unknown.join(', ')}` };
+    }
+
+    const exchange = raw.exchange || defaults.exchange;
+    if (!exchange) return { error: 'Missing exchange' };
+
+    const symbol = symbolRegistry.resolveSymbol(raw.symbol || defaults.symbol || 'BTC');
+    if (!symbol) return { error: `Unknown symbol: ${raw.symbol || defaults.symbol}` };
+
+    const timeframe = raw.timeframe || defaults.timeframe;
+    if (!INTERVAL_CONFIG[timeframe]) {
+        return { error: `Invalid timeframe: ${timeframe || '(missing)'}. Valid: ${Object.keys(INTERVAL_CONFIG).join(', ')}` };
+    }
+
+    const timestamp = parseTimestamp(raw.timestamp);
+    if (timestamp === null) return { error: `Invalid timestamp: ${raw.timestamp}` };
+    if (alignStartTimeToBoundary(timeframe, timestamp) !== timestamp) {
+        return { error: `Timestamp ${new Date(timestamp).toISOString()} is not on a ${timeframe} boundary` };
+    }
+
+    const row = { exchange, symbol, timeframe, timestamp };
+    let valueCount = 0;
+
+    for (const column of VALUE_COLUMNS) {
+        const value = raw[column];
+        if (value === null || value === undefined || value === '') continue;
+
+        const numeric = Number(value);
+        if (!Number.isFinite(numeric)) return { error: `${column} is not a number: ${value}` };
+        if (numeric < 0 && NON_NEGATIVE_COLUMNS.includes(column)) return { error: `${column} is negative: ${value}` };
+
+        row[column] = numeric;
+        valueCount++;
+    }
+
+    if (valueCount === 0) return { error: 'Row has no data columns' };
+
+    // OHLC sanity when the full set is present
+    for (const prefix of ['', 'oi_']) {
+        const [o, h, l, c] = ['open', 'high', 'low', 'close'].map(k => row[prefix + k]);
+        if ([o, h, l, c].every(v => v !== undefined) && (h < l || o > h || o < l || c > h || c < l)) {
+            return { error: `${prefix}high/low do not contain ${prefix}open/close` };
+        }
+    }
+
+    return { row };
+}
+
+/**
+ * Async iterable of lines from a string, a file path stream or an iterable
+ */
+async function* toLines(source) {
+    if (typeof source === 'string') {
+        yield* source.split(/\r?\n/);
+        return;
+    }
+    if (source && typeof source.pipe === 'function') {
+        yield* readline.createInterface({ input: source, crlfDelay: Infinity });
+        return;
+    }
+    yield* source;
+}
+
+/**
+ * =======================================================================
+ * IMPORT
+ * =======================================================================
+ */
+
+/**
+ * Import candles from CSV or NDJSON
+ * @param {string|Stream|AsyncIterable} source - File content, readable stream or lines
+ * @param {Object} options - {
+ *   format: 'csv' | 'ndjson' (default: from filename / first line),
+ *   filename: used for format detection,
+ *   exchange, symbol, timeframe: defaults for rows without those columns,
+ *   dryRun: validate and count only, nothing is written (default false),
+ *   mode: 'merge' (default) updates existing rows with the file's values,
+ *         'skip' leaves existing rows untouched
+ * }
+ * @returns {Object} Summary { success, dryRun, format, rows, valid, invalid,
+ *          duplicatesInFile, existing, new, written, series[], errors[] }
+ */
+async function importCandles(source, options = {}) {
+    const { dryRun = false, mode = 'merge' } = options;
+    if (!['merge', 'skip'].includes(mode)) {
+        return { success: false, error: `Unknown mode: ${mode}. Valid: merge, skip` };
+    }
+    if (!dryRun && !historicalCandleStorage.getSupabase()) {
+        return { success: false, error: 'Database not configured' };
+    }
+
+    const defaults = {
+        exchange: options.exchange,
+        symbol: options.symbol,
+        timeframe: options.timeframe
+    };
+
+    const summary = {
+        success: true,
+        dryRun,
+        mode,
+        format: null,
+        rows: 0,
+        valid: 0,
+        invalid: 0,
+        duplicatesInFile: 0,
+        existing: 0,
+        new: 0,
+        written: 0,
+        series: [],
+        errors: []
+    };
+
+    const seriesStats = new Map();   // seriesKey -> { exchange, symbol, timeframe, timestamps:Set, from, to }
+    let batch = new Map();            // rowKey -> row (last one wins)
+    let repeats = new Set();          // rowKeys in batch already counted in an earlier batch
+    let header = null;
+    let lineNumber = 0;
+
+    const recordError = (line, error) => {
+        summary.invalid++;
+        if (summary.errors.length < IMPORT_CONFIG.maxReportedErrors) {
+            summary.errors.push({ line, error });
+        }
+    };
+
+    const flush = async () => {
+        if (batch.size === 0) return;
+        const rows = [...batch.values()];
+        const repeated = repeats;
+        batch = new Map();
+        repeats = new Set();
+
+        const existingKeys = await findExistingKeys(rows);
+        const newRows = rows.filter(r => !existingKeys.has(rowKey(r)));
+        const firstSeen = rows.filter(r => !repeated.has(rowKey(r)));
+        const firstSeenNew = firstSeen.filter(r => !existingKeys.has(rowKey(r))).length;
+        summary.existing += firstSeen.length - firstSeenNew;
+        summary.new += firstSeenNew;
+
+        if (dryRun) return;
+
+        const toWrite = mode === 'skip' ? newRows : rows;
+        const result = await historicalCandleStorage.upsertCandles(toWrite);
+        if (!result.success) {
+            throw new Error(`Write failed: ${result.error}`);
+        }
+        summary.written += toWrite.length;
+    };
+
+    try {
+        for await (const rawLine of toLines(source)) {
+            lineNumber++;
+            const line = rawLine.trim();
+            if (!line) continue;
+
+            if (!summary.format) {
+                summary.format = detectFormat({ format: options.format, filename: options.filename, firstLine: line });
+                if (!FORMATS.includes(summary.format)) {
+                    return { success: false, error: `Unknown format: ${summary.format}. Valid: ${FORMATS.join(', ')}` };
+                }
+            }
+
+            // CSV header row
+            if (summary.format === 'csv' && !header) {
+                header = parseCsvLine(line).map(normalizeColumnName);
+                if (!header.includes('timestamp')) {
+                    return { success: false, error: 'CSV header must include a timestamp column' };
+                }
+                continue;
+            }
+
+            summary.rows++;
+
+            let raw;
+            if (summary.format === 'csv') {
+                const values = parseCsvLine(line);
+                if (values.length !== header.length) {
+                    recordError(lineNumber, `Expected ${header.length} fields, got ${values.length}`);
+                    continue;
+                }
+                raw = Object.fromEntries(header.map((name, i) => [name, values[i]]));
+            } else {
+                try {
+                    const parsed = JSON.parse(line);
+                    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+                        throw new Error('not an object');
+                    }
+                    raw = Object.fromEntries(Object.entries(parsed).map(([k, v]) => [normalizeColumnName(k), v]));
+                } catch (err) {
+                    recordError(lineNumber, `Invalid JSON: ${err.message}`);
+                    continue;
+                }
+            }
+
+            const { row, error } = normalizeRecord(raw, defaults);
+            if (error) {
+                recordError(lineNumber, error);
+                continue;
+            }
+
+            summary.valid++;
+
+            const sKey = `${row.exchange}|${row.symbol}|${row.timeframe}`;
+            let stats = seriesStats.get(sKey);
+            if (!stats) {
+                stats = { exchange: row.exchange, symbol: row.symbol, timeframe: row.timeframe, timestamps: new Set(), from: row.timestamp, to: row.timestamp };
+                seriesStats.set(sKey, stats);
+            }
+            if (stats.timestamps.has(row.timestamp)) {
+                summary.duplicatesInFile++;
+                // Flushed in an earlier batch - rewrite it but do not count it twice
+                if (!batch.has(rowKey(row))) repeats.add(rowKey(row));
+            }
+            stats.timestamps.add(row.timestamp);
+            stats.from = Math.min(stats.from, row.timestamp);
+            stats.to = Math.max(stats.to, row.timestamp);
+
+            batch.set(rowKey(row), row);
+            if (batch.size >= IMPORT_CONFIG.batchSize) await flush();
+        }
+
+        await flush();
+
+    } catch (err) {
+        logger.error('[Import] Failed:', err);
+        return { ...summary, success: false, error: err.message };
+    }
+
+    summary.series = [...seriesStats.values()].map(s => ({
+        exchange: s.exchange,
+        symbol: s.symbol,
+        timeframe: s.timeframe,
+        candles: s.timestamps.size,
+        from: new Date(s.from).toISOString(),
+        to: new Date(s.to).toISOString()
+    }));
+
+    logger.info(`[Import] ${dryRun ? 'Dry run' : 'Import'}: ${summary.valid} valid, ${summary.invalid} invalid, ${summary.new} new, ${summary.existing} existing, ${summary.written} written`);
+    return summary;
+}
+
+function rowKey(row) {
+    return `${row.exchange}|${row.symbol}|${row.timeframe}|${row.timestamp}`;
+}
+
+/**
+ * Keys of `rows` that already exist in historical_candles
+ */
+async function findExistingKeys(rows) {
+    const bySeries = new Map();
+    for (const row of rows) {
+        const key = `${row.exchange}|${row.symbol}|${row.timeframe}`;
+        if (!bySeries.has(key)) bySeries.set(key, []);
+        bySeries.get(key).push(row);
+    }
+
+    const existing = new Set();
+    if (!historicalCandleStorage.getSupabase()) return existing;
+
+    for (const seriesRows of bySeries.values()) {
+        const { exchange, symbol, timeframe } = seriesRows[0];
+        const timestamps = seriesRows.map(r => r.timestamp);
+        const result = await historicalCandleStorage.getCandleTimestamps({
+            exchange,
+            symbol,
+            timeframe,
+            column: 'timestamp',
+            startTime: Math.min(...timestamps),
+            endTime: Math.max(...timestamps)
+        });
+        if (!result.success) throw new Error(`Lookup failed: ${result.error}`);
+
+        for (const t of result.timestamps) {
+            existing.add(`${exchange}|${symbol}|${timeframe}|${t}`);
+        }
+    }
+    return existing;
+}
+
+/**
+ * =======================================================================
+ * EXPORT
+ * =======================================================================
+ */
+
+function csvValue(value) {
+    if (value === null || value === undefined) return '';
+    const str = String(value);
+    return /[",\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+/**
+ * Stream stored candles as CSV or NDJSON lines (each ending in \n)
+ * @param {Object} options - {
+ *   format: 'csv' | 'ndjson' (default csv),
+ *   exchanges: ['Binance'] (default: exchanges of the active venues),
+ *   symbol: 'BTC',
+ *   timeframes: ['4h'] (default all),
+ *   startTime, endTime: ms (optional)
+ * }
+ * @yields {string} Lines - CSV starts with the header row
+ * @throws {Error} When a page cannot be read (the export is incomplete)
+ */
+async function* exportCandles(options = {}) {
+    const {
+        format = 'csv',
+        exchanges = venueRegistry.getActiveExchanges(configService.getCachedConfig()),
+        timeframes = Object.keys(INTERVAL_CONFIG),
+        startTime,
+        endTime
+    } = options;
+    const symbol = symbolRegistry.toBaseSymbol(options.symbol || 'BTC');
+
+    if (!FORMATS.includes(format)) {
+        throw new Error(`Unknown format: ${format}. Valid: ${FORMATS.join(', ')}`);
+    }
+
+    if (format === 'csv') {
+        yield CANDLE_COLUMNS.join(',') + '\n';
+    }
+
+    for (const exchange of exchanges) {
+        for (const timeframe of timeframes) {
+            let from = startTime;
+
+            // Page by timestamp: each query resumes after the last row returned
+            while (true) {
+                const result = await historicalCandleStorage.getCandlePage({
+                    exchange,
+                    symbol,
+                    timeframe,
+                    startTime: from,
+                    endTime,
+                    limit: IMPORT_CONFIG.exportPageSize
+                });
+                if (!result.success) {
+                    throw new Error(`Export failed reading ${exchange} ${symbol} ${timeframe}: ${result.error}`);
+                }
+                const page = result.candles;
+
+                for (const candle of page) {
+                    if (format === 'csv') {
+                        yield CANDLE_COLUMNS.map(c => csvValue(candle[c])).join(',') + '\n';
+                    } else {
+                        const record = {};
+                        for (const column of CANDLE_COLUMNS) {
+                            if (candle[column] !== null && candle[column] !== undefined) {
+                                // timestamp / NUMERIC columns come back as strings from Postgres
+                                record[column] = KEY_COLUMNS.includes(column) && column !== 'timestamp'
+                                    ? candle[column]
+                                    : Number(candle[column]);
+                            }
+                        }
+                        yield JSON.stringify(record) + '\n';
+                    }
+                }
+
+                if (page.length < IMPORT_CONFIG.exportPageSize) break;
+                from = Number(page[page.length - 1].timestamp) + 1;
+            }
+        }
+    }
+}
+
+/**
+ * =======================================================================
+ * EXPORTS
+ * =======================================================================
+ */
+
+module.exports = {
+    importCandles,
+    exportCandles,
+    detectFormat,
+
+    // Exposed for testing
+    parseCsvLine,
+    normalizeRecord,
+    parseTimestamp,
+
+    CANDLE_COLUMNS,
+    IMPORT_CONFIG,
+    FORMATS
+};
+
+/**
+ * =======================================================================
+ * CLI
+ * =======================================================================
+ */
+
+if (require.main === module) {
+    require('dotenv').config();
+
+    const [command, ...rest] = process.argv.slice(2);
+    const args = {};
+    const positional = [];
+    rest.forEach(arg => {
+        if (arg.startsWith('--')) {
+            const [key, value] = arg.slice(2).split('=');
+            args[key] = value === undefined ? true : value;
+        } else {
+            positional.push(arg);
+        }
+    });
+
+    const list = value => (value ? String(value).split(',').map(v => v.trim()).filter(Boolean) : undefined);
+
+    if (!command || command === 'help' || args.help) {
+        console.log(`
+Historical Candle Import / Export
+=================================
+
+Usage: npm run candles -- <command> [options]
+       node src/services/candleImportExport.js <command> [options]
+
+Commands:
+  import <file>         Load a CSV / NDJSON file into historical_candles
+  export                Write stored candles as CSV / NDJSON
+
+Import options:
+  --dry-run             Validate and count new / existing rows, write nothing
+  --format=csv|ndjson   Default: from the file extension
+  --exchange=NAME       Default exchange for rows without one
+  --symbol=BTC          Default symbol for rows without one
+  --timeframe=4h        Default timeframe for rows without one
+  --mode=merge|skip     merge (default) updates existing rows, skip keeps them
+
+Export options:
+  --out=FILE            Output file (default: stdout)
+  --format=csv|ndjson   Default: from --out extension, else csv
+  --exchanges=A,B       Default: Binance,Bybit
+  --symbol=BTC
+  --timeframes=1h,4h    Default: all
+  --start=ISO|ms        Range start
+  --end=ISO|ms          Range end
+
+Storage: STORAGE_BACKEND / SQLITE_PATH as for the server.
+
+Example:
+  npm run candles -- import dumps/binance_btc_1h.csv --dry-run
+  npm run candles -- export --out=btc_4h.ndjson --timeframes=4h --start=2025-10-01
+`);
+        process.exit(0);
+    }
+
+    (async () => {
+        if (command === 'import') {
+            const file = positional[0];
+            if (!file || !fs.existsSync(file)) {
+                console.error(`File not found: ${file || '(none given)'}`);
+                process.exit(1);
+            }
+
+            const summary = await importCandles(fs.createReadStream(file), {
+                filename: file,
+                format: args.format,
+                exchange: args.exchange,
+                symbol: args.symbol,
+                timeframe: args.timeframe,
+                mode: args.mode,
+                dryRun: Boolean(args['dry-run'])
+            });
+            console.log(JSON.stringify(summary, null, 2));
+            process.exit(summary.success && summary.invalid === 0 ? 0 : 1);
+        }
+
+        if (command === 'export') {
+            const format = args.format || detectFormat({ filename: args.out, firstLine: '' });
+            const out = args.out ? fs.createWriteStream(args.out) : process.stdout;
+            let lines = 0;
+
+            for await (const line of exportCandles({
+                format,
+                exchanges: list(args.exchanges),
+                symbol: args.symbol,
+                timeframes: list(args.timeframes),
+                startTime: args.start ? parseTimestamp(args.start) : undefined,
+                endTime: args.end ? parseTimestamp(args.end) : undefined
+            })) {
+                if (!out.write(line)) await new Promise(resolve => out.once('drain', resolve));
+                lines++;
+            }
+
+            if (args.out) {
+                await new Promise(resolve => out.end(resolve));
+                console.error(`Exported ${format === 'csv' ? lines - 1 : lines} candles to ${args.out}`);
+            }
+            process.exit(0);
+        }
+
+        console.error(`Unknown command: ${command}. Run with --help for usage.`);
+        process.exit(1);
+    })().catch(err => {
+        console.error(err.message);
+        process.exit(1);
+    });
+}
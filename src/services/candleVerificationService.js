@@ -0,0 +1,627 @@
+// src/services/candleVerificationService.js
+// ============================================================================
+// Candle Verification Service
+// ============================================================================
+// Compares stored historical_candles against the data provider field by field
+// (OHLC, volume, OI, funding, taker buy/sell volume) and persists every run
+// in candle_verification_reports with per-field drift statistics.
+//
+// - Sampling is stratified: the coverage window is split into `sampleSize`
+//   equal time strata and one stored candle is drawn from each, so old and
+//   recent data are checked alike.
+// - A field passes when |db - api| <= max(absolute, relative * |api|).
+// - A failing sample marks its whole stratum as suspect; those ranges are
+//   re-synced through the sync job (syncRanges) unless autoResync is off.
+//
+// Schema: db/migrations/*/003_candle_verification_reports
+// ============================================================================
+
+const storageBackend = require('./storageBackend');
+const historicalCandleStorage = require('./historicalCandleStorage');
+const symbolRegistry = require('./symbolRegistry');
+const { getProvider } = require('./dataProvider');
+const { intervalToMs, alignStartTimeToBoundary } = require('./dataUtils');
+const logger = require('../utils/logger');
+
+// Lazy: the sync job requires services that may require this module
+function getSyncJob() {
+    return require('../jobs/syncHistoricalData');
+}
+
+/**
+ * =======================================================================
+ * CONFIGURATION
+ * =======================================================================
+ */
+
+const VERIFY_CONFIG = {
+    // Stored columns checked for each data type
+    dataTypeFields: {
+        price: ['open', 'high', 'low', 'close', 'volume'],
+        oi: ['oi_open', 'oi_high', 'oi_low', 'oi_close'],
+        funding: ['funding_rate'],
+        taker_volume: ['buy_volume', 'sell_volume'],
+        liquidations: ['liq_long_usd', 'liq_short_usd'],
+        long_short_ratio: ['global_long_pct', 'global_ls_ratio'],
+        top_trader_ratio: ['top_long_pct', 'top_ls_ratio'],
+        spot_price: ['spot_close', 'spot_volume'],
+        spot_taker_volume: ['spot_buy_volume', 'spot_sell_volume']
+    },
+
+    // Allowed drift per field: relative to the provider value, with an
+    // absolute floor for values that sit near zero (funding)
+    tolerances: {
+        open: { relative: 0.0005 },
+        high: { relative: 0.0005 },
+        low: { relative: 0.0005 },
+        close: { relative: 0.0005 },
+        volume: { relative: 0.02 },
+        oi_open: { relative: 0.005 },
+        oi_high: { relative: 0.005 },
+        oi_low: { relative: 0.005 },
+        oi_close: { relative: 0.005 },
+        funding_rate: { relative: 0.05, absolute: 0.000001 },
+        buy_volume: { relative: 0.02 },
+        sell_volume: { relative: 0.02 },
+        // Liquidation totals get revised as late prints arrive; quiet candles sit near 0
+        liq_long_usd: { relative: 0.05, absolute: 1000 },
+        liq_short_usd: { relative: 0.05, absolute: 1000 },
+        global_long_pct: { relative: 0.005 },
+        global_ls_ratio: { relative: 0.005 },
+        top_long_pct: { relative: 0.005 },
+        top_ls_ratio: { relative: 0.005 },
+        spot_close: { relative: 0.0005 },
+        spot_volume: { relative: 0.02 },
+        spot_buy_volume: { relative: 0.02 },
+        spot_sell_volume: { relative: 0.02 }
+    },
+
+    defaultSampleSize: 10,
+    maxSampleSize: 200,
+
+    // Pause between provider requests (skipped for offline providers)
+    requestDelayMs: 100
+};
+
+/**
+ * =======================================================================
+ * STORAGE CLIENT (Supabase or SQLite - see storageBackend.js)
+ * =======================================================================
+ */
+
+function getSupabase() {
+    return storageBackend.getClient();
+}
+
+// Columns returned by listReports (per-sample results are only in getReport)
+const REPORT_SUMMARY_COLUMNS = [
+    'id', 'exchange', 'symbol', 'timeframe', 'data_types', 'window_start', 'window_end',
+    'sample_size', 'checked', 'matched', 'mismatched', 'unavailable', 'accuracy',
+    'field_stats', 'failing_ranges', 'resync_status', 'resync_result', 'duration_ms', 'created_at'
+].join(', ');
+
+/**
+ * =======================================================================
+ * SAMPLING & COMPARISON
+ * =======================================================================
+ */
+
+/**
+ * Draw one timestamp from each of `sampleSize` equal time strata
+ * @param {Array<number>} timestamps - Stored candle times (any order)
+ * @param {number} sampleSize - Number of strata
+ * @param {number} windowStart - Coverage window start (ms)
+ * @param {number} windowEnd - Coverage window end (ms, inclusive)
+ * @param {Function} random - RNG returning [0, 1) (injectable for tests)
+ * @returns {Array} [{ timestamp, stratum: { index, start, end } }] - strata without candles are skipped
+ */
+function stratifiedSample(timestamps, sampleSize, windowStart, windowEnd, random = Math.random) {
+    const span = (windowEnd - windowStart + 1) / sampleSize;
+    const buckets = Array.from({ length: sampleSize }, () => []);
+
+    for (const t of timestamps) {
+        if (t < windowStart || t > windowEnd) continue;
+        const index = Math.min(sampleSize - 1, Math.floor((t - windowStart) / span));
+        buckets[index].push(t);
+    }
+
+    const samples = [];
+    buckets.forEach((bucket, index) => {
+        if (bucket.length === 0) return;
+        samples.push({
+            timestamp: bucket[Math.floor(random() * bucket.length)],
+            stratum: {
+                index,
+                start: Math.floor(windowStart + index * span),
+                end: Math.floor(windowStart + (index + 1) * span) - 1
+            }
+        });
+    });
+    return samples;
+}
+
+/**
+ * Compare one stored value with the provider value
+ * @returns {Object|null} { db, api, drift, ok } - null when the provider has no value
+ */
+function compareField(dbValue, apiValue, tolerance = {}) {
+    if (apiValue === null || apiValue === undefined || apiValue === '') return null;
+
+    const api = Number(apiValue);
+    if (!Number.isFinite(api)) return null;
+
+    if (dbValue === null || dbValue === undefined) {
+        return { db: null, api, drift: null, ok: false };
+    }
+
+    const db = Number(dbValue);
+    const diff = Math.abs(db - api);
+    const allowed = Math.max(tolerance.absolute || 0, (tolerance.relative || 0) * Math.abs(api));
+    const drift = api === 0 ? (db === 0 ? 0 : null) : (db - api) / Math.abs(api);
+
+    return { db, api, drift, ok: diff <= allowed };
+}
+
+function percentile(sorted, p) {
+    if (sorted.length === 0) return null;
+    const index = Math.min(sorted.length - 1, Math.ceil(p * sorted.length) - 1);
+    return sorted[Math.max(0, index)];
+}
+
+/**
+ * Per-field drift statistics across all samples
+ * drift values are relative ((db - api) / |api|); bias keeps the sign
+ */
+function computeFieldStats(results, fields) {
+    const stats = {};
+
+    for (const field of fields) {
+        const comparisons = results.map(r => r.fields?.[field]).filter(Boolean);
+        const drifts = comparisons.map(c => c.drift).filter(d => d !== null);
+        const absolute = drifts.map(Math.abs).sort((a, b) => a - b);
+
+        stats[field] = {
+            checked: comparisons.length,
+            mismatches: comparisons.filter(c => !c.ok).length,
+            missingInDb: comparisons.filter(c => c.db === null).length,
+            meanDrift: absolute.length ? absolute.reduce((s, d) => s + d, 0) / absolute.length : null,
+            maxDrift: absolute.length ? absolute[absolute.length - 1] : null,
+            p95Drift: percentile(absolute, 0.95),
+            bias: drifts.length ? drifts.reduce((s, d) => s + d, 0) / drifts.length : null
+        };
+    }
+
+    return stats;
+}
+
+/**
+ * Strata of failing samples, merged when adjacent
+ * @returns {Array} [{ startTime, endTime, dataTypes, fields, samples }]
+ */
+function buildFailingRanges(results) {
+    const failing = results
+        .filter(r => r.status === 'mismatch')
+        .sort((a, b) => a.stratum.start - b.stratum.start);
+
+    const ranges = [];
+    for (const r of failing) {
+        const last = ranges[ranges.length - 1];
+        if (last && r.stratum.start <= last.endTime + 1) {
+            last.endTime = Math.max(last.endTime, r.stratum.end);
+            last.dataTypes = [...new Set([...last.dataTypes, ...r.failedDataTypes])];
+            last.fields = [...new Set([...last.fields, ...r.failedFields])];
+            last.samples.push(r.timestamp);
+        } else {
+            ranges.push({
+                startTime: r.stratum.start,
+                endTime: r.stratum.end,
+                dataTypes: [...r.failedDataTypes],
+                fields: [...r.failedFields],
+                samples: [r.timestamp]
+            });
+        }
+    }
+    return ranges;
+}
+
+/**
+ * Fetch the provider candle (one data type) at an exact timestamp
+ * Uses the sync job's transform so both sides use identical field mapping.
+ */
+async function fetchProviderCandle({ exchange, symbol, timeframe, dataType, timestamp }) {
+    const syncJob = getSyncJob();
+    const intervalMs = intervalToMs(timeframe);
+
+    const raw = await syncJob.fetchSeries(dataType, {
+        exchange,
+        symbol: symbolRegistry.getExchangeSymbol(symbol, exchange),
+        interval: timeframe,
+        limit: 5,
+        startTime: timestamp - intervalMs,
+        endTime: timestamp + intervalMs
+    });
+
+    const candles = syncJob.transformToCandles(raw, exchange, timeframe, dataType, symbol);
+    return candles.find(c => Number(c.timestamp) === timestamp) || null;
+}
+
+/**
+ * Verify one stored candle against the provider for the given data types
+ */
+async function verifySample({ exchange, symbol, timeframe, dataTypes, tolerances, sample }) {
+    const { timestamp, stratum } = sample;
+    const result = {
+        timestamp,
+        date: new Date(timestamp).toISOString(),
+        stratum,
+        status: 'match',
+        fields: {},
+        failedFields: [],
+        failedDataTypes: [],
+        unavailable: []
+    };
+
+    const [dbCandle] = await historicalCandleStorage.getCandles({
+        exchange, symbol, timeframe, startTime: timestamp, endTime: timestamp
+    });
+
+    const rateLimited = getProvider().rateLimited !== false;
+
+    for (const dataType of dataTypes) {
+        let apiCandle = null;
+        try {
+            apiCandle = await fetchProviderCandle({ exchange, symbol, timeframe, dataType, timestamp });
+        } catch (err) {
+            result.unavailable.push(dataType);
+            result.error = err.message;
+            continue;
+        }
+
+        if (rateLimited) await sleep(VERIFY_CONFIG.requestDelayMs);
+
+        if (!apiCandle) {
+            result.unavailable.push(dataType);
+            continue;
+        }
+
+        for (const field of VERIFY_CONFIG.dataTypeFields[dataType]) {
+            const comparison = compareField(dbCandle?.[field], apiCandle[field], tolerances[field]);
+            if (!comparison) continue;
+
+            result.fields[field] = comparison;
+            if (!comparison.ok) {
+                result.failedFields.push(field);
+                if (!result.failedDataTypes.includes(dataType)) result.failedDataTypes.push(dataType);
+            }
+        }
+    }
+
+    if (result.failedFields.length > 0) {
+        result.status = 'mismatch';
+    } else if (Object.keys(result.fields).length === 0) {
+        result.status = result.error ? 'error' : 'api_no_data';
+    }
+
+    return result;
+}
+
+/**
+ * =======================================================================
+ * VERIFICATION RUN
+ * =======================================================================
+ */
+
+/**
+ * Verify stored candles and persist a report
+ * @param {Object} options - {
+ *   exchange, symbol, timeframe,
+ *   sampleSize: number of strata (default 10),
+ *   dataTypes: subset of VERIFY_CONFIG.dataTypeFields keys (default all),
+ *   startTime, endTime: window (default: first..last stored candle),
+ *   tolerances: per-field overrides { close: { relative: 0.001 } },
+ *   autoResync: re-sync failing ranges (default true),
+ *   waitForResync: await the re-sync instead of running it in background,
+ *   random: RNG for sampling (tests)
+ * }
+ * @returns {Object} { success, reportId, checked, matched, mismatched, accuracy, fieldStats, failingRanges, resync, results }
+ */
+async function verifyCandles(options = {}) {
+    const {
+        exchange = 'Binance',
+        timeframe = '4h',
+        dataTypes = Object.keys(VERIFY_CONFIG.dataTypeFields),
+        autoResync = true,
+        waitForResync = false,
+        random = Math.random
+    } = options;
+    const symbol = symbolRegistry.toBaseSymbol(options.symbol || 'BTC');
+    const sampleSize = Math.max(1, Math.min(
+        parseInt(options.sampleSize) || VERIFY_CONFIG.defaultSampleSize,
+        VERIFY_CONFIG.maxSampleSize
+    ));
+
+    const selectedDataTypes = dataTypes.filter(dt => VERIFY_CONFIG.dataTypeFields[dt]);
+    if (selectedDataTypes.length === 0) {
+        return { success: false, error: `No valid data types. Valid: ${Object.keys(VERIFY_CONFIG.dataTypeFields).join(', ')}` };
+    }
+
+    const tolerances = { ...VERIFY_CONFIG.tolerances };
+    for (const [field, override] of Object.entries(options.tolerances || {})) {
+        tolerances[field] = { ...tolerances[field], ...override };
+    }
+
+    const startedAt = Date.now();
+
+    // Coverage window
+    const windowStart = Number(options.startTime || await historicalCandleStorage.getEarliestTimestamp(exchange, symbol, timeframe));
+    const windowEnd = Number(options.endTime || await historicalCandleStorage.getLatestTimestamp(exchange, symbol, timeframe));
+    if (!windowStart || !windowEnd) {
+        return { success: false, error: 'No candles found in database for verification', checked: 0 };
+    }
+
+    const { success, error, timestamps } = await historicalCandleStorage.getCandleTimestamps({
+        exchange, symbol, timeframe, column: 'timestamp', startTime: windowStart, endTime: windowEnd
+    });
+    if (!success) return { success: false, error };
+    if (timestamps.length === 0) {
+        return { success: false, error: 'No candles found in database for verification', checked: 0 };
+    }
+
+    const samples = stratifiedSample(timestamps, sampleSize, windowStart, windowEnd, random);
+    logger.info(`[Verify] ${exchange} ${symbol} ${timeframe}: ${samples.length} stratified samples, ${selectedDataTypes.join(', ')}`);
+
+    const results = [];
+    for (const sample of samples) {
+        results.push(await verifySample({
+            exchange, symbol, timeframe, dataTypes: selectedDataTypes, tolerances, sample
+        }));
+    }
+
+    const compared = results.filter(r => r.status === 'match' || r.status === 'mismatch');
+    const matched = compared.filter(r => r.status === 'match').length;
+    const mismatched = compared.length - matched;
+    const accuracy = compared.length > 0 ? Math.round((matched / compared.length) * 10000) / 100 : null;
+
+    const fields = selectedDataTypes.flatMap(dt => VERIFY_CONFIG.dataTypeFields[dt]);
+    const fieldStats = computeFieldStats(results, fields);
+    const failingRanges = buildFailingRanges(results);
+    const resyncStatus = failingRanges.length > 0 && autoResync ? 'pending' : 'none';
+
+    const report = {
+        exchange,
+        symbol,
+        timeframe,
+        data_types: selectedDataTypes,
+        window_start: windowStart,
+        window_end: windowEnd,
+        sample_size: sampleSize,
+        checked: compared.length,
+        matched,
+        mismatched,
+        unavailable: results.length - compared.length,
+        accuracy,
+        tolerances: Object.fromEntries(fields.map(f => [f, tolerances[f]])),
+        field_stats: fieldStats,
+        failing_ranges: failingRanges,
+        results,
+        resync_status: resyncStatus,
+        duration_ms: Date.now() - startedAt
+    };
+
+    const saved = await saveReport(report);
+    if (!saved.success) {
+        logger.warn(`[Verify] Report not persisted: ${saved.error}`);
+    }
+
+    logger.info(`[Verify] ${exchange} ${symbol} ${timeframe}: ${matched}/${compared.length} match, ${failingRanges.length} failing range(s)`);
+
+    let resync = { status: resyncStatus };
+    if (resyncStatus === 'pending') {
+        const run = resyncFailingRanges(saved.id, { exchange, symbol, timeframe }, failingRanges);
+        if (waitForResync) {
+            resync = await run;
+        } else {
+            run.catch(err => logger.error('[Verify] Re-sync error:', err));
+        }
+    }
+
+    return {
+        success: true,
+        reportId: saved.id || null,
+        exchange,
+        symbol,
+        timeframe,
+        window: { start: windowStart, end: windowEnd },
+        checked: compared.length,
+        matched,
+        mismatched,
+        unavailable: report.unavailable,
+        accuracy,
+        fieldStats,
+        failingRanges,
+        resync,
+        results
+    };
+}
+
+/**
+ * Re-sync failing ranges through the sync job and record the outcome
+ */
+async function resyncFailingRanges(reportId, series, failingRanges) {
+    const { exchange, symbol, timeframe } = series;
+    const syncJob = getSyncJob();
+
+    const ranges = failingRanges.flatMap(range => range.dataTypes.map(dataType => ({
+        exchange,
+        symbol,
+        timeframe,
+        dataType,
+        startTime: alignStartTimeToBoundary(timeframe, range.startTime),
+        endTime: range.endTime
+    })));
+
+    const result = await syncJob.syncRanges(ranges, { label: 'Verify re-sync' });
+
+    let resync;
+    if (!result.success && !result.results) {
+        resync = { status: 'skipped', error: result.error };
+    } else {
+        const failed = result.results.filter(r => !r.success);
+        resync = {
+            status: failed.length > 0 ? 'failed' : 'completed',
+            ranges: ranges.length,
+            candlesStored: result.candlesStored || 0,
+            errors: failed.map(r => r.error)
+        };
+    }
+
+    logger.info(`[Verify] Re-sync ${resync.status}: ${ranges.length} range(s)${resync.error ? ` (${resync.error})` : ''}`);
+
+    if (reportId) {
+        await updateReport(reportId, { resync_status: resync.status, resync_result: resync });
+    }
+    return resync;
+}
+
+/**
+ * =======================================================================
+ * REPORT STORAGE
+ * =======================================================================
+ */
+
+async function saveReport(report) {
+    const client = getSupabase();
+    if (!client) return { success: false, error: 'Database not configured' };
+
+    try {
+        const { data, error } = await client
+            .from('candle_verification_reports')
+            .insert(report)
+            .select('id')
+            .single();
+
+        if (error) {
+            logger.error('[Verify] saveReport error:', error);
+            return { success: false, error: error.message };
+        }
+
+        return { success: true, id: data.id };
+
+    } catch (err) {
+        logger.error('[Verify] saveReport exception:', err);
+        return { success: false, error: err.message };
+    }
+}
+
+async function updateReport(id, updates) {
+    const client = getSupabase();
+    if (!client) return { success: false, error: 'Database not configured' };
+
+    try {
+        const { error } = await client
+            .from('candle_verification_reports')
+            .update(updates)
+            .eq('id', id);
+
+        if (error) {
+            logger.error('[Verify] updateReport error:', error);
+            return { success: false, error: error.message };
+        }
+
+        return { success: true };
+
+    } catch (err) {
+        return { success: false, error: err.message };
+    }
+}
+
+/**
+ * List report summaries, newest first (for integrity-over-time views)
+ * @param {Object} filters - { exchange, symbol, timeframe, limit }
+ */
+async function listReports({ exchange, symbol, timeframe, limit = 50 } = {}) {
+    const client = getSupabase();
+    if (!client) return { success: false, error: 'Database not configured', reports: [] };
+
+    try {
+        let query = client
+            .from('candle_verification_reports')
+            .select(REPORT_SUMMARY_COLUMNS);
+
+        if (exchange) query = query.eq('exchange', exchange);
+        if (symbol) query = query.eq('symbol', symbol);
+        if (timeframe) query = query.eq('timeframe', timeframe);
+
+        const { data, error } = await query
+            .order('created_at', { ascending: false })
+            .limit(limit);
+
+        if (error) {
+            logger.error('[Verify] listReports error:', error);
+            return { success: false, error: error.message, reports: [] };
+        }
+
+        return { success: true, reports: data || [] };
+
+    } catch (err) {
+        return { success: false, error: err.message, reports: [] };
+    }
+}
+
+/**
+ * Full report including per-sample results
+ */
+async function getReport(id) {
+    const client = getSupabase();
+    if (!client) return { success: false, error: 'Database not configured' };
+
+    try {
+        const { data, error } = await client
+            .from('candle_verification_reports')
+            .select('*')
+            .eq('id', id)
+            .maybeSingle();
+
+        if (error) {
+            return { success: false, error: error.message };
+        }
+        if (!data) {
+            return { success: false, error: 'Report not found' };
+        }
+
+        return { success: true, report: data };
+
+    } catch (err) {
+        return { success: false, error: err.message };
+    }
+}
+
+/**
+ * =======================================================================
+ * HELPERS
+ * =======================================================================
+ */
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * =======================================================================
+ * EXPORTS
+ * =======================================================================
+ */
+
+module.exports = {
+    verifyCandles,
+    listReports,
+    getReport,
+
+    // Exposed for testing
+    stratifiedSample,
+    compareField,
+    computeFieldStats,
+    buildFailingRanges,
+
+    VERIFY_CONFIG
+};
@@ -0,0 +1,43 @@
+// channelUtils.js
+// Shared helpers for alert delivery channels
+
+/**
+ * Map a send error to a delivery result
+ * Retryable: network errors, timeouts, 429 and 5xx. Other 4xx are permanent.
+ *
+ * @param {Error} error - axios / transport error
+ * @returns {Object} { success: false, status, error, retryable }
+ */
+function toDeliveryResult(error) {
+    const status = error.response?.status || error.responseCode || null;
+    const retryable = !status || status === 429 || status >= 500;
+
+    const detail = error.response?.data?.description || error.response?.data?.error || null;
+    const message = detail ? `${error.message}: ${detail}` : error.message;
+
+    return { success: false, status, error: message, retryable };
+}
+
+const PRIORITY_EMOJI = { critical: '🚨', high: '🔴', medium: '🟡', low: '⚪' };
+
+/**
+ * Plain-text rendering shared by Telegram and email
+ */
+function formatAlertText(alert) {
+    const emoji = PRIORITY_EMOJI[alert.priority] || '🔔';
+    const lines = [
+        `${emoji} [${alert.symbol || 'BTC'}] ${alert.title}`,
+        '',
+        alert.description || ''
+    ];
+    if (alert.actionableInsight) {
+        lines.push('', `→ ${alert.actionableInsight}`);
+    }
+    lines.push('', `${alert.category} · ${alert.priority} · ${new Date(alert.timestamp || Date.now()).toISOString()}`);
+    return lines.join('\n');
+}
+
+module.exports = {
+    toDeliveryResult,
+    formatAlertText
+};
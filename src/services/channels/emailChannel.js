@@ -0,0 +1,71 @@
+// emailChannel.js
+// Alert delivery via SMTP (nodemailer)
+//
+// Target: { to }
+// Transport from env: SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS, SMTP_FROM
+// Point SMTP_HOST/SMTP_PORT at a local mock SMTP server in tests.
+
+const nodemailer = require('nodemailer');
+const { toDeliveryResult, formatAlertText } = require('./channelUtils');
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Create the email channel
+ * @param {Object} options - { host, port, secure, user, pass, from } (defaults from env)
+ */
+function createEmailChannel(options = {}) {
+    const settings = {
+        host: options.host || process.env.SMTP_HOST,
+        port: Number(options.port || process.env.SMTP_PORT || 587),
+        secure: options.secure ?? process.env.SMTP_SECURE === 'true',
+        user: options.user || process.env.SMTP_USER,
+        pass: options.pass || process.env.SMTP_PASS,
+        from: options.from || process.env.SMTP_FROM || 'alerts@invsio.local'
+    };
+
+    let transport = null;
+    function getTransport() {
+        if (!transport) {
+            transport = nodemailer.createTransport({
+                host: settings.host,
+                port: settings.port,
+                secure: settings.secure,
+                auth: settings.user ? { user: settings.user, pass: settings.pass } : undefined,
+                connectionTimeout: 10000
+            });
+        }
+        return transport;
+    }
+
+    return {
+        type: 'email',
+
+        isConfigured() {
+            return !!settings.host;
+        },
+
+        validateTarget(target) {
+            const errors = [];
+            if (!target?.to || !EMAIL_PATTERN.test(target.to)) errors.push('target.to must be an email address');
+            if (!settings.host) errors.push('SMTP_HOST not set');
+            return errors;
+        },
+
+        async send(alert, target) {
+            try {
+                const info = await getTransport().sendMail({
+                    from: settings.from,
+                    to: target.to,
+                    subject: `[${alert.symbol || 'BTC'}] ${alert.title}`,
+                    text: formatAlertText(alert)
+                });
+                return { success: true, status: 250, messageId: info.messageId };
+            } catch (error) {
+                return toDeliveryResult(error);
+            }
+        }
+    };
+}
+
+module.exports = { createEmailChannel };
@@ -0,0 +1,51 @@
+// telegramChannel.js
+// Alert delivery via the Telegram Bot API (sendMessage)
+//
+// Target: { chatId, botToken? } - botToken defaults to TELEGRAM_BOT_TOKEN
+// TELEGRAM_API_BASE overrides https://api.telegram.org (local mock in tests)
+
+const axios = require('axios');
+const { toDeliveryResult, formatAlertText } = require('./channelUtils');
+
+/**
+ * Create the Telegram channel
+ * @param {Object} options - { apiBase, botToken, timeoutMs }
+ */
+function createTelegramChannel(options = {}) {
+    const apiBase = (options.apiBase || process.env.TELEGRAM_API_BASE || 'https://api.telegram.org').replace(/\/$/, '');
+    const defaultToken = options.botToken || process.env.TELEGRAM_BOT_TOKEN || null;
+    const timeoutMs = options.timeoutMs || 10000;
+
+    return {
+        type: 'telegram',
+
+        isConfigured() {
+            return !!defaultToken;
+        },
+
+        validateTarget(target) {
+            const errors = [];
+            if (!target?.chatId) errors.push('target.chatId is required');
+            if (!target?.botToken && !defaultToken) errors.push('TELEGRAM_BOT_TOKEN not set and no target.botToken');
+            return errors;
+        },
+
+        async send(alert, target) {
+            const token = target.botToken || defaultToken;
+
+            try {
+                const response = await axios.post(`${apiBase}/bot${token}/sendMessage`, {
+                    chat_id: target.chatId,
+                    text: formatAlertText(alert),
+                    disable_web_page_preview: true
+                }, { timeout: timeoutMs });
+
+                return { success: true, status: response.status };
+            } catch (error) {
+                return toDeliveryResult(error);
+            }
+        }
+    };
+}
+
+module.exports = { createTelegramChannel };
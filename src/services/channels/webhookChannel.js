@@ -0,0 +1,56 @@
+// webhookChannel.js
+// Alert delivery over HTTP POST (JSON body)
+//
+// Target: { url, headers?, secret? }
+// When `secret` is set the body is signed: X-Invsio-Signature: sha256=<hmac hex>
+
+const crypto = require('crypto');
+const axios = require('axios');
+const { toDeliveryResult } = require('./channelUtils');
+
+/**
+ * Create the webhook channel
+ * @param {Object} options - { timeoutMs }
+ * @returns {Object} Channel implementing { type, isConfigured, validateTarget, send }
+ */
+function createWebhookChannel(options = {}) {
+    const timeoutMs = options.timeoutMs || Number(process.env.ALERT_WEBHOOK_TIMEOUT_MS) || 10000;
+
+    return {
+        type: 'webhook',
+
+        // Webhook URLs live on each subscription - nothing global to configure
+        isConfigured() {
+            return true;
+        },
+
+        validateTarget(target) {
+            const errors = [];
+            if (!target?.url) {
+                errors.push('target.url is required');
+            } else if (!/^https?:\/\//i.test(target.url)) {
+                errors.push('target.url must be http(s)');
+            }
+            return errors;
+        },
+
+        async send(alert, target) {
+            const body = JSON.stringify({ type: 'alert', alert });
+            const headers = { 'Content-Type': 'application/json', ...(target.headers || {}) };
+
+            if (target.secret) {
+                const signature = crypto.createHmac('sha256', target.secret).update(body).digest('hex');
+                headers['X-Invsio-Signature'] = `sha256=${signature}`;
+            }
+
+            try {
+                const response = await axios.post(target.url, body, { headers, timeout: timeoutMs });
+                return { success: true, status: response.status };
+            } catch (error) {
+                return toDeliveryResult(error);
+            }
+        }
+    };
+}
+
+module.exports = { createWebhookChannel };
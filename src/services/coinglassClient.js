@@ -335,6 +335,96 @@ async function getTakerBuySellVolume(params) {
     });
 }
 
+/**
+ * Fetch long/short liquidation history
+ * @param {Object} params - { exchange, symbol, interval, limit, startTime?, endTime? }
+ * @returns {Promise<Array>} Liquidation data (long_liquidation_usd, short_liquidation_usd)
+ */
+async function getLiquidationHistory(params) {
+    const { exchange, symbol, interval, limit, startTime, endTime } = params;
+
+    return request('/futures/liquidation/history', {
+        exchange,
+        symbol,
+        interval,
+        limit,
+        start_time: startTime,
+        end_time: endTime
+    });
+}
+
+/**
+ * Fetch global long/short account ratio history (all accounts)
+ * @param {Object} params - { exchange, symbol, interval, limit, startTime?, endTime? }
+ * @returns {Promise<Array>} Ratio data (global_account_long_percent, global_account_long_short_ratio)
+ */
+async function getGlobalLongShortRatio(params) {
+    const { exchange, symbol, interval, limit, startTime, endTime } = params;
+
+    return request('/futures/global-long-short-account-ratio/history', {
+        exchange,
+        symbol,
+        interval,
+        limit,
+        start_time: startTime,
+        end_time: endTime
+    });
+}
+
+/**
+ * Fetch top-trader long/short position ratio history
+ * @param {Object} params - { exchange, symbol, interval, limit, startTime?, endTime? }
+ * @returns {Promise<Array>} Ratio data (top_position_long_percent, top_position_long_short_ratio)
+ */
+async function getTopTraderPositionRatio(params) {
+    const { exchange, symbol, interval, limit, startTime, endTime } = params;
+
+    return request('/futures/top-long-short-position-ratio/history', {
+        exchange,
+        symbol,
+        interval,
+        limit,
+        start_time: startTime,
+        end_time: endTime
+    });
+}
+
+/**
+ * Fetch spot price OHLC history
+ * @param {Object} params - { exchange, symbol (spot pair), interval, limit, startTime?, endTime? }
+ * @returns {Promise<Array>} Spot price candle data
+ */
+async function getSpotPriceHistory(params) {
+    const { exchange, symbol, interval, limit, startTime, endTime } = params;
+
+    return request('/spot/price/history', {
+        exchange,
+        symbol,
+        interval,
+        limit,
+        start_time: startTime,
+        end_time: endTime
+    });
+}
+
+/**
+ * Fetch spot taker buy/sell volume (for spot CVD)
+ * @param {Object} params - { exchange, symbol (spot pair), interval, limit, startTime?, endTime? }
+ * @returns {Promise<Array>} Spot taker volume data (taker_buy_volume_usd, taker_sell_volume_usd)
+ */
+async function getSpotTakerBuySellVolume(params) {
+    const { exchange, symbol, interval, limit, startTime, endTime } = params;
+
+    return request('/spot/taker-buy-sell-volume/history', {
+        exchange,
+        symbol,
+        interval,
+        limit,
+        start_time: startTime,
+        end_time: endTime
+    });
+}
+
 /**
  * =============================================================================
  * EXPORTS
@@ -350,6 +440,11 @@ module.exports = {
     getOIHistory,
     getFundingHistory,
     getTakerBuySellVolume,
+    getLiquidationHistory,
+    getGlobalLongShortRatio,
+    getTopTraderPositionRatio,
+    getSpotPriceHistory,
+    getSpotTakerBuySellVolume,
 
     // Config (for external reference)
     CONFIG
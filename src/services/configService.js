@@ -8,27 +8,24 @@
 // Features:
 //   - Optimistic locking (version check on save)
 //   - Weights sum validation (must equal 1.0)
+//   - Signal discovery: weights and per-signal settings (enabled, ...) are
+//     checked against the signal registry (src/services/signals)
 //   - Append-only history for audit trail
 //   - Atomic saves (no partial writes)
 
-const { createClient } = require('@supabase/supabase-js');
+const storageBackend = require('./storageBackend');
+const signalRegistry = require('./signalRegistry');
+const adaptiveThresholds = require('./adaptiveThresholds');
+const venueRegistry = require('./venueRegistry');
+const { getSupportedIntervals } = require('./dataUtils');
 const logger = require('../utils/logger');
 
 // =============================================================================
-// SUPABASE CLIENT
+// STORAGE CLIENT (Supabase or SQLite - see storageBackend.js)
 // =============================================================================
 
-let supabase = null;
-
 function getSupabase() {
-    if (!supabase) {
-        const url = process.env.SUPABASE_URL;
-        const key = process.env.SUPABASE_SERVICE_KEY || process.env.SUPABASE_ANON_KEY;
-        if (url && key) {
-            supabase = createClient(url, key);
-        }
-    }
-    return supabase;
+    return storageBackend.getClient();
 }
 
 // =============================================================================
@@ -44,6 +41,11 @@ const DEFAULT_CONFIG = {
     },
 
     thresholds: {
+        '15m': {
+            price: { noise: 0.18, strong: 0.35 },
+            oi: { quiet: 0.1, aggressive: 0.2 },
+            funding: 0.025
+        },
         '30m': {
             price: { noise: 0.25, strong: 0.5 },
             oi: { quiet: 0.15, aggressive: 0.3 },
@@ -64,30 +66,78 @@ const DEFAULT_CONFIG = {
             oi: { quiet: 1.0, aggressive: 2.0 },
             funding: 0.06
         },
+        '1w': {
+            price: { noise: 3.0, strong: 6.0 },
+            oi: { quiet: 2.5, aggressive: 5.0 },
+            funding: 0.08
+        },
         cvd: {
+            '15m': { slopeStrong: 0.015, slopeWeak: 0.004, divergenceMin: 0.008 },
             '30m': { slopeStrong: 0.02, slopeWeak: 0.005, divergenceMin: 0.01 },
             '1h': { slopeStrong: 0.025, slopeWeak: 0.008, divergenceMin: 0.015 },
             '4h': { slopeStrong: 0.03, slopeWeak: 0.01, divergenceMin: 0.02 },
-            '1d': { slopeStrong: 0.04, slopeWeak: 0.015, divergenceMin: 0.025 }
+            '1d': { slopeStrong: 0.04, slopeWeak: 0.015, divergenceMin: 0.025 },
+            '1w': { slopeStrong: 0.05, slopeWeak: 0.02, divergenceMin: 0.03 }
         },
         vwap: {
             innerBand: 0.01,
             outerBand: 0.02
+        },
+        // Trader positioning (long/short ratios, percent 0-100)
+        positioning: {
+            crowdLongPct: 70,
+            crowdShortPct: 40,
+            extremeZScore: 2,
+            divergencePts: 5,
+            evidenceBoost: 2
         }
     },
 
+    // Default weight of every registered signal:
+    // exchange_divergence 0.35, market_regime 0.20, structure 0.15,
+    // technical 0.10, cvd 0.10, vwap 0.05, funding 0.05,
+    // liquidations 0, positioning 0 (opt-in: weight 0 = off, not subject to bounds.min)
     weights: {
-        signals: {
-            exchange_divergence: 0.35,
-            market_regime: 0.20,
-            structure: 0.15,
-            technical: 0.10,
-            cvd: 0.10,
-            vwap: 0.05,
-            funding: 0.05
+        signals: signalRegistry.getDefaultWeights()
+    },
+
+    // Per-signal settings: { enabled, ...configSchema } (A/B a signal by
+    // disabling it; the remaining weights are re-normalized per decision)
+    signals: signalRegistry.getDefaultSettings(),
+
+    // Multi-timeframe pipeline (calculateMarketMetrics / generateTimeframeBuckets)
+    timeframes: {
+        // Analyzed timeframes - any of dataUtils.INTERVAL_CONFIG ('15m' ... '1w')
+        active: ['30m', '1h', '4h', '1d'],
+        // Layer 3 aggregation weight per active timeframe (must sum to 1.0)
+        weights: { '30m': 0.25, '1h': 0.25, '4h': 0.30, '1d': 0.20 },
+        // Aggregated winner must beat the opposite side by this factor
+        biasBuffer: 1.2,
+        // Timeframes feeding each bucket (higher first)
+        buckets: {
+            macro: ['1d', '4h'],
+            micro: ['4h', '1h'],
+            scalping: ['1h', '30m']
         }
     },
 
+    // Venues compared by the divergence engine and their roles (venueRegistry.js).
+    // Default = 'classic' profile: Binance USDT-M retail vs Bybit COIN-M smart money.
+    // Configs without this section fall back to ANALYZER_VENUES.
+    venues: venueRegistry.getProfileConfig('classic'),
+
+    // Volatility-adaptive price/OI bands (adaptiveThresholds.js). Per timeframe:
+    // 'fixed' = thresholds[tf] as-is, 'atr' = scaled by current vs median ATR,
+    // 'percentile' = percentiles of recent one-candle moves
+    adaptiveThresholds: {
+        modes: { '15m': 'fixed', '30m': 'fixed', '1h': 'fixed', '4h': 'fixed', '1d': 'fixed', '1w': 'fixed' },
+        atrPeriod: 14,
+        lookback: 50,
+        minCandles: 30,
+        percentiles: { noise: 50, strong: 85 },
+        scale: { min: 0.5, max: 2.5 }
+    },
+
     gates: {
         whaleRetail: {
             scalping: { minPct: 0.2, minUsd: 2000000 },
@@ -109,7 +159,8 @@ const DEFAULT_CONFIG = {
         weights: { min: 0.01, max: 0.60, maxStepPct: 25 },
         thresholds: { maxStepPct: 15 },
         gates: { maxStepPct: 10 },
-        penalties: { min: 0.01, max: 0.50, maxStepPct: 15 }
+        penalties: { min: 0.01, max: 0.50, maxStepPct: 15 },
+        timeframes: { min: 0.05, max: 0.60, maxStepPct: 25 }
     }
 };
 
@@ -148,6 +199,8 @@ function validateConfig(config) {
         // Check individual weight bounds
         const bounds = config.bounds?.weights || DEFAULT_CONFIG.bounds.weights;
         for (const [key, value] of Object.entries(config.weights.signals)) {
+            // Opt-in signal left off
+            if (value === 0 && signalRegistry.getSignal(key)?.defaultWeight === 0) continue;
             if (value < bounds.min) {
                 errors.push(`Weight '${key}' = ${value} is below minimum ${bounds.min}`);
             }
@@ -157,6 +210,11 @@ function validateConfig(config) {
         }
     }
 
+    // 2.5 Registered signals: missing/unknown weights, per-signal settings
+    const signalCheck = signalRegistry.validateSignalConfig(config);
+    errors.push(...signalCheck.errors);
+    warnings.push(...signalCheck.warnings);
+
     // 3. Validate penalty bounds
     if (config.penalties) {
         const bounds = config.bounds?.penalties || DEFAULT_CONFIG.bounds.penalties;
@@ -172,13 +230,31 @@ function validateConfig(config) {
         }
     }
 
-    // 4. Validate threshold structure
-    const timeframes = ['30m', '1h', '4h', '1d'];
+    // 4. Validate timeframe set, aggregation weights and buckets
+    const timeframeCheck = validateTimeframes(config);
+    errors.push(...timeframeCheck.errors);
+    warnings.push(...timeframeCheck.warnings);
+
+    // 4.2 Validate venue set and roles
+    const venueCheck = venueRegistry.validateVenueConfig(config.venues);
+    errors.push(...venueCheck.errors);
+    warnings.push(...venueCheck.warnings);
+
+    // 4.5 Validate adaptive threshold modes and settings
+    const adaptiveCheck = adaptiveThresholds.validateSettings(config.adaptiveThresholds, getSupportedIntervals());
+    errors.push(...adaptiveCheck.errors);
+    warnings.push(...adaptiveCheck.warnings);
+
+    // 5. Validate threshold structure (every active timeframe)
+    const timeframes = Array.isArray(config.timeframes?.active) ? config.timeframes.active : DEFAULT_CONFIG.timeframes.active;
     if (config.thresholds) {
         for (const tf of timeframes) {
             if (!config.thresholds[tf]) {
                 warnings.push(`Missing thresholds for timeframe: ${tf}`);
             }
+            if (config.thresholds.cvd && !config.thresholds.cvd[tf]) {
+                warnings.push(`Missing CVD thresholds for timeframe: ${tf}`);
+            }
         }
     }
 
@@ -189,6 +265,73 @@ function validateConfig(config) {
     };
 }
 
+/**
+ * Validate the timeframes section (optional - defaults apply when missing)
+ * @param {Object} config - Config to validate
+ * @returns {{ errors: string[], warnings: string[] }}
+ */
+function validateTimeframes(config) {
+    const errors = [];
+    const warnings = [];
+    const section = config.timeframes;
+    if (section === undefined) return { errors, warnings };
+
+    const supported = getSupportedIntervals();
+    const active = section.active;
+    if (!Array.isArray(active) || active.length === 0) {
+        errors.push('timeframes.active must be a non-empty array');
+        return { errors, warnings };
+    }
+    for (const tf of active) {
+        if (!supported.includes(tf)) errors.push(`Unsupported timeframe '${tf}' (supported: ${supported.join(', ')})`);
+    }
+    if (new Set(active).size !== active.length) {
+        errors.push('timeframes.active contains duplicates');
+    }
+
+    // Aggregation weights: one per active timeframe, summing to 1.0
+    const weights = section.weights || {};
+    const bounds = config.bounds?.timeframes || DEFAULT_CONFIG.bounds.timeframes;
+    for (const tf of active) {
+        const value = weights[tf];
+        if (typeof value !== 'number') {
+            errors.push(`Missing aggregation weight for timeframe '${tf}'`);
+        } else if (value < bounds.min || value > bounds.max) {
+            errors.push(`Timeframe weight '${tf}' = ${value} is outside ${bounds.min}-${bounds.max}`);
+        }
+    }
+    for (const tf of Object.keys(weights)) {
+        if (!active.includes(tf)) warnings.push(`Timeframe weight '${tf}' is ignored (timeframe not active)`);
+    }
+    const sum = active.reduce((acc, tf) => acc + (typeof weights[tf] === 'number' ? weights[tf] : 0), 0);
+    if (Math.abs(sum - 1.0) > WEIGHTS_SUM_TOLERANCE) {
+        errors.push(`Timeframe weights must sum to 1.0, got ${sum.toFixed(4)}`);
+    }
+
+    if (section.biasBuffer !== undefined &&
+        (typeof section.biasBuffer !== 'number' || section.biasBuffer < 1 || section.biasBuffer > 3)) {
+        errors.push(`timeframes.biasBuffer must be a number between 1 and 3, got ${section.biasBuffer}`);
+    }
+
+    // Buckets: known bucket names, supported timeframes; inactive ones only warn
+    for (const [bucket, list] of Object.entries(section.buckets || {})) {
+        if (!DEFAULT_CONFIG.timeframes.buckets[bucket]) {
+            errors.push(`Unknown timeframe bucket '${bucket}' (expected: macro, micro, scalping)`);
+            continue;
+        }
+        if (!Array.isArray(list) || list.length === 0) {
+            errors.push(`timeframes.buckets.${bucket} must be a non-empty array`);
+            continue;
+        }
+        for (const tf of list) {
+            if (!supported.includes(tf)) errors.push(`Unsupported timeframe '${tf}' in bucket '${bucket}'`);
+            else if (!active.includes(tf)) warnings.push(`Bucket '${bucket}' uses inactive timeframe '${tf}'`);
+        }
+    }
+
+    return { errors, warnings };
+}
+
 /**
  * Validate delta between current and proposed config
  * @param {Object} current - Current config
@@ -221,6 +364,23 @@ function validateDelta(current, proposed) {
         }
     }
 
+    // Check timeframe aggregation weights delta
+    if (current.timeframes?.weights && proposed.timeframes?.weights) {
+        const maxDelta = bounds.timeframes?.maxStepPct || 25;
+
+        for (const key of Object.keys(proposed.timeframes.weights)) {
+            const oldVal = current.timeframes.weights[key];
+            const newVal = proposed.timeframes.weights[key];
+
+            if (oldVal && newVal && oldVal !== 0) {
+                const deltaPct = Math.abs((newVal - oldVal) / oldVal) * 100;
+                if (deltaPct > maxDelta) {
+                    violations.push(`Timeframe weight '${key}' delta ${deltaPct.toFixed(1)}% exceeds max ${maxDelta}%`);
+                }
+            }
+        }
+    }
+
     // Check penalties delta
     if (current.penalties && proposed.penalties) {
         const maxDelta = bounds.penalties?.maxStepPct || 15;
@@ -0,0 +1,161 @@
+// dataProvider.js
+// Pluggable exchange-data provider layer
+//
+// Every module that needs exchange data (live analyzer, replay, sync job)
+// goes through getProvider() instead of calling Coinglass directly.
+//
+// Provider interface - all fetchers take { exchange, symbol, interval, limit,
+// startTime?, endTime? } and resolve to an array of raw Coinglass-shaped records:
+//   getPriceHistory(params)        -> price OHLC
+//   getOIHistory(params)           -> open interest OHLC
+//   getFundingHistory(params)      -> funding rate OHLC
+//   getTakerBuySellVolume(params)  -> taker buy/sell volume (CVD)
+// optional (callers treat a missing method as "no data"):
+//   getLiquidationHistory(params)  -> long/short liquidation volume
+//   getGlobalLongShortRatio(params)   -> all-account long/short ratio
+//   getTopTraderPositionRatio(params) -> top-trader long/short position ratio
+//   getSpotPriceHistory(params)       -> spot OHLC (params.symbol = spot pair)
+//   getSpotTakerBuySellVolume(params) -> spot taker buy/sell volume
+// plus metadata: name, source, rateLimited, isConfigured()
+//
+// Selected with DATA_PROVIDER (coinglass | fixture). FIXTURE_DIR overrides the
+// fixture location, FIXTURE_RECORD=true records live responses into it.
+
+const { createCoinglassProvider } = require('./providers/coinglassProvider');
+const { createFixtureProvider, createRecordingProvider } = require('./providers/fixtureProvider');
+const logger = require('../utils/logger');
+
+/**
+ * =======================================================================
+ * REGISTRY
+ * =======================================================================
+ */
+
+const REQUIRED_METHODS = [
+    'getPriceHistory',
+    'getOIHistory',
+    'getFundingHistory',
+    'getTakerBuySellVolume'
+];
+
+// Newer data types - providers without them are still valid
+const OPTIONAL_METHODS = [
+    'getLiquidationHistory',
+    'getGlobalLongShortRatio',
+    'getTopTraderPositionRatio',
+    'getSpotPriceHistory',
+    'getSpotTakerBuySellVolume'
+];
+
+const PROVIDER_FACTORIES = {
+    coinglass: () => createCoinglassProvider(),
+    fixture: (options) => createFixtureProvider(options)
+};
+
+let activeProvider = null;
+
+/**
+ * Check that an object implements the provider interface
+ * @returns {Object} { valid, missing }
+ */
+function validateProvider(provider) {
+    const missing = REQUIRED_METHODS.filter(m => typeof provider?.[m] !== 'function');
+    return { valid: missing.length === 0, missing };
+}
+
+/**
+ * Build a provider by name
+ * @param {string} name - 'coinglass' | 'fixture'
+ * @param {Object} options - Provider options (fixtureDir, strict, record)
+ */
+function createProvider(name, options = {}) {
+    const factory = PROVIDER_FACTORIES[name];
+    if (!factory) {
+        throw new Error(`Unknown data provider: ${name}. Available: ${Object.keys(PROVIDER_FACTORIES).join(', ')}`);
+    }
+
+    let provider = factory(options);
+    if (options.record && name !== 'fixture') {
+        provider = createRecordingProvider(provider, options);
+    }
+    return provider;
+}
+
+function createProviderFromEnv() {
+    const name = (process.env.DATA_PROVIDER || 'coinglass').toLowerCase();
+    return createProvider(name, {
+        fixtureDir: process.env.FIXTURE_DIR || undefined,
+        strict: process.env.FIXTURE_STRICT === 'true',
+        record: process.env.FIXTURE_RECORD === 'true'
+    });
+}
+
+/**
+ * =======================================================================
+ * ACCESSORS
+ * =======================================================================
+ */
+
+/**
+ * Get the active provider (created from env on first use)
+ */
+function getProvider() {
+    if (!activeProvider) {
+        activeProvider = createProviderFromEnv();
+        logger.info(`[DataProvider] Using ${activeProvider.name} provider`);
+    }
+    return activeProvider;
+}
+
+/**
+ * Replace the active provider (tests, CLI tools)
+ * @param {Object|string} provider - Provider object or registered name
+ * @param {Object} options - Options when a name is given
+ */
+function setProvider(provider, options = {}) {
+    const resolved = typeof provider === 'string' ? createProvider(provider, options) : provider;
+    const { valid, missing } = validateProvider(resolved);
+    if (!valid) {
+        throw new Error(`Invalid data provider, missing: ${missing.join(', ')}`);
+    }
+    activeProvider = resolved;
+    return activeProvider;
+}
+
+/**
+ * Reset to env-based selection on next getProvider()
+ */
+function resetProvider() {
+    activeProvider = null;
+}
+
+/**
+ * Summary for health/debug endpoints
+ */
+function getProviderInfo() {
+    const provider = getProvider();
+    return {
+        name: provider.name,
+        source: provider.source,
+        configured: provider.isConfigured ? provider.isConfigured() : true,
+        rateLimited: provider.rateLimited !== false,
+        fixtureDir: provider.fixtureDir || null
+    };
+}
+
+/**
+ * =======================================================================
+ * EXPORTS
+ * =======================================================================
+ */
+
+module.exports = {
+    getProvider,
+    setProvider,
+    resetProvider,
+    createProvider,
+    validateProvider,
+    getProviderInfo,
+    REQUIRED_METHODS,
+    OPTIONAL_METHODS
+};
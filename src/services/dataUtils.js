@@ -9,6 +9,13 @@
  * Single source of truth for all timeframe-related constants
  */
 const INTERVAL_CONFIG = {
+    '15m': {
+        ms: 15 * 60 * 1000,           // 900,000 ms
+        minCandles: 96,               // 24 hours of context
+        fetchBuffer: 20,
+        apiInterval: '15m',
+        description: '15 minute candles'
+    },
     '30m': {
         ms: 30 * 60 * 1000,           // 1,800,000 ms
         minCandles: 50,               // ~25 hours of context
@@ -36,15 +43,27 @@ const INTERVAL_CONFIG = {
         fetchBuffer: 10,
         apiInterval: '1d',
         description: '1 day candles'
+    },
+    '1w': {
+        ms: 7 * 24 * 60 * 60 * 1000,  // 604,800,000 ms
+        minCandles: 26,               // ~6 months of context
+        fetchBuffer: 4,
+        apiInterval: '1w',
+        // Weekly candles open Monday 00:00 UTC; the epoch was a Thursday
+        alignOffsetMs: 4 * 24 * 60 * 60 * 1000,
+        description: '1 week candles (Monday open)'
     }
 };
 
 // CVD uses different API interval format
+// (no weekly taker interval - 1w CVD is built from daily data)
 const CVD_API_INTERVALS = {
+    '15m': 'm15',
     '30m': 'm30',
     '1h': 'h1',
     '4h': 'h4',
-    '1d': 'h24'
+    '1d': 'h24',
+    '1w': 'h24'
 };
 
 /**
@@ -56,7 +75,7 @@ const CVD_API_INTERVALS = {
 
 /**
  * Convert interval string to milliseconds
- * @param {string} interval - Interval string ('30m', '1h', '4h', '1d')
+ * @param {string} interval - Interval string ('15m', '30m', '1h', '4h', '1d', '1w')
  * @returns {number} Milliseconds
  */
 function intervalToMs(interval) {
@@ -78,15 +97,13 @@ function intervalToMs(interval) {
  *   - Last closed candle: 08:00-12:00
  *   - Returns: 12:00:00.000 (end of last closed candle = start of current)
  * 
- * @param {string} interval - Interval ('30m', '1h', '4h', '1d')
+ * @param {string} interval - Interval ('15m', '30m', '1h', '4h', '1d', '1w')
  * @param {number} asOfTimestamp - The "as of" timestamp in milliseconds
  * @returns {number} Aligned timestamp (end of last closed candle)
  */
 function alignEndTimeToLastClosedCandle(interval, asOfTimestamp) {
-    const intervalMs = intervalToMs(interval);
-
     // Floor to the start of the current candle
-    const currentCandleStart = Math.floor(asOfTimestamp / intervalMs) * intervalMs;
+    const currentCandleStart = alignStartTimeToBoundary(interval, asOfTimestamp);
 
     // The last CLOSED candle ended at currentCandleStart
     // (i.e., the candle from currentCandleStart - intervalMs to currentCandleStart)
@@ -97,13 +114,14 @@ function alignEndTimeToLastClosedCandle(interval, asOfTimestamp) {
  * Align a timestamp to a candle boundary (start of a candle).
  * Used for computing start_time for historical fetches.
  * 
- * @param {string} interval - Interval ('30m', '1h', '4h', '1d')
+ * @param {string} interval - Interval ('15m', '30m', '1h', '4h', '1d', '1w')
  * @param {number} timestamp - Timestamp to align
  * @returns {number} Aligned timestamp (start of candle containing this timestamp)
  */
 function alignStartTimeToBoundary(interval, timestamp) {
     const intervalMs = intervalToMs(interval);
-    return Math.floor(timestamp / intervalMs) * intervalMs;
+    const offsetMs = INTERVAL_CONFIG[interval].alignOffsetMs || 0;
+    return Math.floor((timestamp - offsetMs) / intervalMs) * intervalMs + offsetMs;
 }
 
 /**
@@ -130,6 +148,14 @@ function getIntervalConfig(interval) {
     return config;
 }
 
+/**
+ * Supported intervals, finest first
+ * @returns {Array<string>} e.g. ['15m', '30m', '1h', '4h', '1d', '1w']
+ */
+function getSupportedIntervals() {
+    return Object.keys(INTERVAL_CONFIG).sort((a, b) => INTERVAL_CONFIG[a].ms - INTERVAL_CONFIG[b].ms);
+}
+
 /**
  * Get CVD API interval format
  * @param {string} interval - Standard interval
@@ -291,6 +317,7 @@ module.exports = {
     alignStartTimeToBoundary,
     computeLookbackWindowMs,
     getIntervalConfig,
+    getSupportedIntervals,
     getCVDApiInterval,
 
     // Validation
@@ -8,32 +8,23 @@
 // Created: 2025-12-17
 // ============================================================================
 
-const { createClient } = require('@supabase/supabase-js');
+const storageBackend = require('./storageBackend');
+const { getSupportedIntervals } = require('./dataUtils');
 const logger = require('../utils/logger');
 
 /**
  * =======================================================================
- * SUPABASE CLIENT
+ * STORAGE CLIENT (Supabase or SQLite - see storageBackend.js)
  * =======================================================================
  */
 
-let supabaseClient = null;
-
 function getSupabase() {
-    if (!supabaseClient) {
-        const url = process.env.SUPABASE_URL;
-        const key = process.env.SUPABASE_SERVICE_KEY;
-
-        if (!url || !key) {
-            logger.warn('[HistoricalStorage] Supabase not configured');
-            return null;
-        }
-
-        supabaseClient = createClient(url, key);
-    }
-    return supabaseClient;
+    return storageBackend.getClient();
 }
 
+// PostgREST caps responses at 1000 rows - page below that
+const TIMESTAMP_PAGE_SIZE = 1000;
+
 /**
  * =======================================================================
  * CANDLE STORAGE OPERATIONS
@@ -42,10 +33,14 @@ function getSupabase() {
 
 /**
  * Upsert candles (insert or update on conflict)
+ * Rows are written in groups of identical column sets: a bulk upsert sends
+ * the union of all keys, which would overwrite stored values with NULL for
+ * rows that only carry some data types.
  * @param {Array} candles - Array of candle objects
- * @returns {Object} { success, inserted, updated, errors }
+ * @param {Object} options - { ignoreDuplicates: keep existing rows untouched (default false) }
+ * @returns {Object} { success, count, upserted }
  */
-async function upsertCandles(candles) {
+async function upsertCandles(candles, options = {}) {
     const client = getSupabase();
     if (!client) return { success: false, error: 'Database not configured' };
 
@@ -53,25 +48,33 @@ async function upsertCandles(candles) {
         return { success: true, inserted: 0, updated: 0 };
     }
 
+    const { ignoreDuplicates = false } = options;
+
     try {
-        // Supabase upsert with onConflict - merged table uses (exchange, symbol, timeframe, timestamp)
-        const { data, error } = await client
-            .from('historical_candles')
-            .upsert(candles, {
-                onConflict: 'exchange,symbol,timeframe,timestamp',  // No data_type - merged rows
-                ignoreDuplicates: false
-            })
-            .select('id');
+        let upserted = 0;
+
+        for (const group of groupByColumns(candles)) {
+            // Supabase upsert with onConflict - merged table uses (exchange, symbol, timeframe, timestamp)
+            const { data, error } = await client
+                .from('historical_candles')
+                .upsert(group, {
+                    onConflict: 'exchange,symbol,timeframe,timestamp',  // No data_type - merged rows
+                    ignoreDuplicates
+                })
+                .select('id');
+
+            if (error) {
+                logger.error('[HistoricalStorage] Upsert failed:', error);
+                return { success: false, error: error.message };
+            }
 
-        if (error) {
-            logger.error('[HistoricalStorage] Upsert failed:', error);
-            return { success: false, error: error.message };
+            upserted += data?.length || 0;
         }
 
         return {
             success: true,
             count: candles.length,
-            upserted: data?.length || 0
+            upserted
         };
 
     } catch (err) {
@@ -80,13 +83,26 @@ async function upsertCandles(candles) {
     }
 }
 
+/**
+ * Split rows by their set of defined columns
+ */
+function groupByColumns(rows) {
+    const groups = new Map();
+    for (const row of rows) {
+        const key = Object.keys(row).filter(k => row[k] !== undefined).sort().join(',');
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(row);
+    }
+    return [...groups.values()];
+}
+
 /**
  * Get candles for a specific range
  * MERGED TABLE: One row contains all data types (price, OI, funding, taker volume)
- * @param {Object} params - { exchange, symbol, timeframe, startTime, endTime }
+ * @param {Object} params - { exchange, symbol, timeframe, startTime, endTime, limit }
  * @returns {Array} Candles sorted by timestamp ascending
  */
-async function getCandles({ exchange, symbol = 'BTC', timeframe, startTime, endTime }) {
+async function getCandles({ exchange, symbol = 'BTC', timeframe, startTime, endTime, limit }) {
     const client = getSupabase();
     if (!client) return [];
 
@@ -105,6 +121,9 @@ async function getCandles({ exchange, symbol = 'BTC', timeframe, startTime, endT
         if (endTime) {
             query = query.lte('timestamp', endTime);
         }
+        if (limit) {
+            query = query.limit(limit);
+        }
 
         const { data, error } = await query;
 
@@ -231,7 +250,7 @@ async function getDataCoverage(symbol = 'BTC') {
 
     try {
         const exchanges = ['Binance', 'Bybit'];
-        const timeframes = ['30m', '1h', '4h', '1d'];
+        const timeframes = getSupportedIntervals();
 
         const coverage = {};
 
@@ -286,6 +305,7 @@ async function getDataCoverage(symbol = 'BTC') {
 
         return {
             success: true,
+            symbol,
             overall: {
                 earliest: overallEarliest,
                 latest: overallLatest,
@@ -300,6 +320,90 @@ async function getDataCoverage(symbol = 'BTC') {
     }
 }
 
+/**
+ * One page of candles, reporting storage errors (getCandles returns [] on
+ * error, which a pager would read as the end of the range)
+ * @param {Object} params - { exchange, symbol, timeframe, startTime, endTime, limit }
+ * @returns {Object} { success, candles[], error? } - ascending
+ */
+async function getCandlePage({ exchange, symbol = 'BTC', timeframe, startTime, endTime, limit }) {
+    const client = getSupabase();
+    if (!client) return { success: false, error: 'Database not configured', candles: [] };
+
+    try {
+        let query = client
+            .from('historical_candles')
+            .select('*')
+            .eq('exchange', exchange)
+            .eq('symbol', symbol)
+            .eq('timeframe', timeframe)
+            .order('timestamp', { ascending: true });
+
+        if (startTime) query = query.gte('timestamp', startTime);
+        if (endTime) query = query.lte('timestamp', endTime);
+        if (limit) query = query.limit(limit);
+
+        const { data, error } = await query;
+
+        if (error) {
+            logger.error('[HistoricalStorage] getCandlePage error:', error);
+            return { success: false, error: error.message, candles: [] };
+        }
+
+        return { success: true, candles: data || [] };
+
+    } catch (err) {
+        logger.error('[HistoricalStorage] getCandlePage exception:', err);
+        return { success: false, error: err.message, candles: [] };
+    }
+}
+
+/**
+ * Get the timestamps of candles that have a value in `column`
+ * Pages through the range so large windows are not cut at the API row limit.
+ * @param {Object} params - { exchange, symbol, timeframe, column, startTime, endTime }
+ * @returns {Object} { success, timestamps[] } - ascending
+ */
+async function getCandleTimestamps({ exchange, symbol = 'BTC', timeframe, column = 'close', startTime, endTime }) {
+    const client = getSupabase();
+    if (!client) return { success: false, error: 'Database not configured', timestamps: [] };
+
+    const timestamps = [];
+
+    try {
+        for (let from = 0; ; from += TIMESTAMP_PAGE_SIZE) {
+            let query = client
+                .from('historical_candles')
+                .select('timestamp')
+                .eq('exchange', exchange)
+                .eq('symbol', symbol)
+                .eq('timeframe', timeframe)
+                .not(column, 'is', null);
+
+            if (startTime) query = query.gte('timestamp', startTime);
+            if (endTime) query = query.lte('timestamp', endTime);
+
+            const { data, error } = await query
+                .order('timestamp', { ascending: true })
+                .range(from, from + TIMESTAMP_PAGE_SIZE - 1);
+
+            if (error) {
+                logger.error('[HistoricalStorage] getCandleTimestamps error:', error);
+                return { success: false, error: error.message, timestamps };
+            }
+
+            timestamps.push(...(data || []).map(row => Number(row.timestamp)));
+            if (!data || data.length < TIMESTAMP_PAGE_SIZE) break;
+        }
+
+        return { success: true, timestamps };
+
+    } catch (err) {
+        logger.error('[HistoricalStorage] getCandleTimestamps exception:', err);
+        return { success: false, error: err.message, timestamps };
+    }
+}
+
 /**
  * Delete old candles (for cleanup)
  */
@@ -407,7 +511,7 @@ async function updateSyncProgress({ exchange, symbol = 'BTC', timeframe, dataTyp
  * Delete candles with optional filters (for clearing old data before re-sync)
  * @param {Object} options - { exchange, timeframe }
  */
-async function deleteCandles({ exchange, timeframe } = {}) {
+async function deleteCandles({ exchange, symbol, timeframe } = {}) {
     const client = getSupabase();
     if (!client) return { success: false, error: 'Database not configured' };
 
@@ -420,12 +524,15 @@ async function deleteCandles({ exchange, timeframe } = {}) {
         if (exchange) {
             query = query.eq('exchange', exchange);
         }
+        if (symbol) {
+            query = query.eq('symbol', symbol);
+        }
         if (timeframe) {
             query = query.eq('timeframe', timeframe);
         }
 
         // If no filters, we need at least one condition (delete all)
-        if (!exchange && !timeframe) {
+        if (!exchange && !symbol && !timeframe) {
             // Delete ALL - use a condition that's always true
             query = query.gte('id', '00000000-0000-0000-0000-000000000000');
         }
@@ -437,7 +544,7 @@ async function deleteCandles({ exchange, timeframe } = {}) {
             return { success: false, error: error.message };
         }
 
-        logger.info(`[HistoricalStorage] Deleted ${data?.length || 0} candles${exchange ? ` for ${exchange}` : ''}${timeframe ? ` ${timeframe}` : ''}`);
+        logger.info(`[HistoricalStorage] Deleted ${data?.length || 0} candles${exchange ? ` for ${exchange}` : ''}${symbol ? ` ${symbol}` : ''}${timeframe ? ` ${timeframe}` : ''}`);
         return { success: true, deleted: data?.length || 0 };
 
     } catch (err) {
@@ -446,6 +553,106 @@ async function deleteCandles({ exchange, timeframe } = {}) {
     }
 }
 
+/**
+ * =======================================================================
+ * GAP REPORT (candle_gaps - written by jobs/scanCandleGaps.js)
+ * =======================================================================
+ */
+
+/**
+ * List gap report rows
+ * @param {Object} filters - { exchange, symbol, timeframe, dataType, status (string or array), limit }
+ * @returns {Object} { success, gaps[] } - newest gaps first
+ */
+async function getCandleGaps({ exchange, symbol, timeframe, dataType, status, limit } = {}) {
+    const client = getSupabase();
+    if (!client) return { success: false, error: 'Database not configured', gaps: [] };
+
+    try {
+        let query = client.from('candle_gaps').select('*');
+
+        if (exchange) query = query.eq('exchange', exchange);
+        if (symbol) query = query.eq('symbol', symbol);
+        if (timeframe) query = query.eq('timeframe', timeframe);
+        if (dataType) query = query.eq('data_type', dataType);
+        if (Array.isArray(status)) query = query.in('status', status);
+        else if (status) query = query.eq('status', status);
+
+        query = query.order('gap_start', { ascending: false });
+        if (limit) query = query.limit(limit);
+
+        const { data, error } = await query;
+
+        if (error) {
+            logger.error('[HistoricalStorage] getCandleGaps error:', error);
+            return { success: false, error: error.message, gaps: [] };
+        }
+
+        return { success: true, gaps: data || [] };
+
+    } catch (err) {
+        logger.error('[HistoricalStorage] getCandleGaps exception:', err);
+        return { success: false, error: err.message, gaps: [] };
+    }
+}
+
+/**
+ * Insert newly detected gaps
+ * @param {Array} gaps - Rows in candle_gaps column format
+ */
+async function insertCandleGaps(gaps) {
+    const client = getSupabase();
+    if (!client) return { success: false, error: 'Database not configured' };
+
+    if (!gaps || gaps.length === 0) {
+        return { success: true, inserted: 0 };
+    }
+
+    try {
+        const { data, error } = await client
+            .from('candle_gaps')
+            .insert(gaps)
+            .select('id');
+
+        if (error) {
+            logger.error('[HistoricalStorage] insertCandleGaps error:', error);
+            return { success: false, error: error.message };
+        }
+
+        return { success: true, inserted: data?.length || 0 };
+
+    } catch (err) {
+        logger.error('[HistoricalStorage] insertCandleGaps exception:', err);
+        return { success: false, error: err.message };
+    }
+}
+
+/**
+ * Update a gap row (status, bounds, repair bookkeeping)
+ */
+async function updateCandleGap(id, updates) {
+    const client = getSupabase();
+    if (!client) return { success: false, error: 'Database not configured' };
+
+    try {
+        const { error } = await client
+            .from('candle_gaps')
+            .update(updates)
+            .eq('id', id);
+
+        if (error) {
+            logger.error('[HistoricalStorage] updateCandleGap error:', error);
+            return { success: false, error: error.message };
+        }
+
+        return { success: true };
+
+    } catch (err) {
+        logger.error('[HistoricalStorage] updateCandleGap exception:', err);
+        return { success: false, error: err.message };
+    }
+}
+
 /**
  * =======================================================================
  * EXPORTS
@@ -456,16 +663,23 @@ module.exports = {
     // Core operations
     upsertCandles,
     getCandles,
+    getCandlePage,
     getLatestTimestamp,
     getEarliestTimestamp,
     hasDataForRange,
     getDataCoverage,
+    getCandleTimestamps,
     deleteCandles,
 
     // Sync progress
     getSyncProgress,
     updateSyncProgress,
 
+    // Gap report
+    getCandleGaps,
+    insertCandleGaps,
+    updateCandleGap,
+
     // Client access
     getSupabase
 };
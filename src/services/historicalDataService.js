@@ -6,6 +6,8 @@
 // When local data is available, uses database instead of API (instant, unlimited)
 
 const coinglassClient = require('./coinglassClient');
+const { getProvider } = require('./dataProvider');
+const symbolRegistry = require('./symbolRegistry');
 const {
     INTERVAL_CONFIG,
     intervalToMs,
@@ -69,7 +71,7 @@ async function getLocalPriceData(exchange, symbol, interval, startTime, endTime,
     try {
         const candles = await storage.getCandles({
             exchange,
-            symbol: symbol.replace('USDT', '').replace('USD', ''), // Normalize to BTC
+            symbol: symbolRegistry.toBaseSymbol(symbol), // Normalize BTCUSDT/BTCUSD -> BTC
             timeframe: interval,
             startTime,
             endTime
@@ -109,7 +111,7 @@ async function getLocalOIData(exchange, symbol, interval, startTime, endTime, mi
     try {
         const candles = await storage.getCandles({
             exchange,
-            symbol: symbol.replace('USDT', '').replace('USD', ''),
+            symbol: symbolRegistry.toBaseSymbol(symbol),
             timeframe: interval,
             startTime,
             endTime
@@ -150,7 +152,7 @@ async function getLocalFundingData(exchange, symbol, interval, startTime, endTim
     try {
         const candles = await storage.getCandles({
             exchange,
-            symbol: symbol.replace('USDT', '').replace('USD', ''),
+            symbol: symbolRegistry.toBaseSymbol(symbol),
             timeframe: interval,
             startTime,
             endTime
@@ -187,7 +189,7 @@ async function getLocalTakerVolumeData(exchange, symbol, interval, startTime, en
     try {
         const candles = await storage.getCandles({
             exchange,
-            symbol: symbol.replace('USDT', '').replace('USD', ''),
+            symbol: symbolRegistry.toBaseSymbol(symbol),
             timeframe: interval,
             startTime,
             endTime
@@ -260,11 +262,11 @@ async function getPriceHistoryAt(exchange, symbol, interval, asOfTimestamp, opti
         });
     }
 
-    // Fall back to API
-    logger.debug(`[API] Falling back to Coinglass API for ${exchange} ${interval} price data`);
+    // Fall back to data provider
+    logger.debug(`[API] Falling back to ${getProvider().name} provider for ${exchange} ${interval} price data`);
 
     let data = await fetchWithRetry(
-        coinglassClient.getPriceHistory,
+        getProvider().getPriceHistory,
         { exchange, symbol, interval },
         endTimeAligned,
         minCandles,
@@ -300,9 +302,9 @@ async function getOIHistoryAt(exchange, symbol, interval, asOfTimestamp, options
         });
     }
 
-    // Fall back to API
+    // Fall back to data provider
     let data = await fetchWithRetry(
-        coinglassClient.getOIHistory,
+        getProvider().getOIHistory,
         { exchange, symbol, interval },
         endTimeAligned,
         minCandles,
@@ -337,9 +339,9 @@ async function getFundingHistoryAt(exchange, symbol, interval, asOfTimestamp, op
         });
     }
 
-    // Fall back to API
+    // Fall back to data provider
     let data = await fetchWithRetry(
-        coinglassClient.getFundingHistory,
+        getProvider().getFundingHistory,
         { exchange, symbol, interval },
         endTimeAligned,
         minCandles,
@@ -375,9 +377,9 @@ async function getTakerVolumeAt(exchange, symbol, interval, asOfTimestamp, optio
         });
     }
 
-    // Fall back to API (CVD uses different interval format)
+    // Fall back to data provider (CVD uses different interval format)
     let data = await fetchWithRetry(
-        coinglassClient.getTakerBuySellVolume,
+        getProvider().getTakerBuySellVolume,
         { exchange, symbol, interval: cvdInterval },
         endTimeAligned,
         minCandles,
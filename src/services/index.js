@@ -2,21 +2,45 @@
 const marketDataService = require('./marketDataService');
 const marketMetrics = require('./marketMetrics');
 const alertService = require('./alertService');
+const alertDeliveryService = require('./alertDeliveryService');
 const llmExplainer = require('./llmExplainer');
 const stateStorage = require('./stateStorage');
 // Stage 2: Outcome Labeling
 const outcomeLabeler = require('./outcomeLabeler');
+const outcomeLabelStorage = require('./outcomeLabelStorage');
 // Phase 6: Absorption Logic
 const absorptionService = require('./absorptionService');
+// Multi-symbol support
+const symbolRegistry = require('./symbolRegistry');
+// Multi-venue divergence (venue roles)
+const venueRegistry = require('./venueRegistry');
+// Pluggable decision signals
+const signalRegistry = require('./signalRegistry');
+// Pluggable data provider (Coinglass / fixtures)
+const dataProvider = require('./dataProvider');
+// Pluggable storage backend (Supabase / SQLite)
+const storageBackend = require('./storageBackend');
 
 module.exports = {
   marketDataService,
   marketMetrics,
   alertService,
+  alertDeliveryService,
   llmExplainer,
   stateStorage,
   // Stage 2
   outcomeLabeler,
+  outcomeLabelStorage,
   // Phase 6
-  absorptionService
+  absorptionService,
+  // Multi-symbol
+  symbolRegistry,
+  // Venues
+  venueRegistry,
+  // Decision signals
+  signalRegistry,
+  // Data provider
+  dataProvider,
+  // Storage backend
+  storageBackend
 };
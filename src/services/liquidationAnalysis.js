@@ -0,0 +1,271 @@
+// src/services/liquidationAnalysis.js
+// ============================================================================
+// Liquidation Analysis
+// ============================================================================
+// Reads long/short liquidation history (USD per candle) and answers three
+// questions for the analyzer:
+//   1. Spike     - is the latest candle's liquidation volume abnormal vs the
+//                  trailing baseline, and which side got liquidated?
+//   2. Cascade   - have several consecutive candles spiked on the same side?
+//   3. OI check  - does open interest fall alongside the liquidations? Forced
+//                  closes remove OI; a spike without an OI drop is mostly noise.
+//
+// The result feeds detectMarketRegime (long/short squeeze confirmation) and
+// the weighted "liquidations" signal in calculateWeightedDecision.
+//
+// Input records: { time, longUsd, shortUsd } (marketDataService) - the raw
+// Coinglass (long_liquidation_usd / short_liquidation_usd) and stored
+// (liq_long_usd / liq_short_usd) shapes are accepted as well.
+// ============================================================================
+
+/**
+ * =======================================================================
+ * CONFIGURATION
+ * =======================================================================
+ */
+
+const LIQUIDATION_CONFIG = {
+    // Trailing candles used for the baseline (latest candle excluded)
+    lookback: 30,
+    minBaselineCandles: 10,
+
+    // A candle spikes when its total is this many std devs above the mean
+    // AND at least this multiple of the mean
+    spikeZScore: 2.5,
+    spikeMinMultiple: 3,
+
+    // Share of the candle's liquidations one side needs to "own" it
+    dominanceShare: 0.65,
+
+    // Consecutive same-side spikes (ending at the latest candle) for a cascade
+    cascadeMinCandles: 2,
+
+    // Candles back to look for a finished flush (spike followed by calm)
+    exhaustionWindow: 3,
+
+    // Liquidated USD as a share of the OI drop (USD) to confirm a squeeze
+    minOiDropShare: 0.1
+};
+
+/**
+ * =======================================================================
+ * HELPERS
+ * =======================================================================
+ */
+
+/**
+ * Normalize one record to { time, longUsd, shortUsd, totalUsd }
+ */
+function normalizeRecord(record) {
+    const toUsd = value => (Number.isFinite(Number(value)) ? Number(value) : 0);
+    const longUsd = toUsd(record.longUsd ?? record.long_liquidation_usd ?? record.liq_long_usd);
+    const shortUsd = toUsd(record.shortUsd ?? record.short_liquidation_usd ?? record.liq_short_usd);
+    return {
+        time: Number(record.time ?? record.timestamp),
+        longUsd,
+        shortUsd,
+        totalUsd: longUsd + shortUsd
+    };
+}
+
+function mean(values) {
+    return values.length ? values.reduce((a, b) => a + b, 0) / values.length : 0;
+}
+
+function std(values) {
+    if (values.length < 2) return 0;
+    const m = mean(values);
+    return Math.sqrt(values.reduce((acc, v) => acc + Math.pow(v - m, 2), 0) / values.length);
+}
+
+/**
+ * Side that dominates a candle's liquidations
+ * @returns {string} 'longs' | 'shorts' | 'balanced' | 'none'
+ */
+function dominantSide(candle) {
+    if (candle.totalUsd <= 0) return 'none';
+    const longShare = candle.longUsd / candle.totalUsd;
+    if (longShare >= LIQUIDATION_CONFIG.dominanceShare) return 'longs';
+    if (1 - longShare >= LIQUIDATION_CONFIG.dominanceShare) return 'shorts';
+    return 'balanced';
+}
+
+/**
+ * Spike check for one candle against a baseline
+ */
+function classifySpike(candle, baseline) {
+    const zScore = baseline.std > 0 ? (candle.totalUsd - baseline.mean) / baseline.std : null;
+    const multiple = baseline.mean > 0 ? candle.totalUsd / baseline.mean : null;
+    const detected = zScore !== null && multiple !== null &&
+        zScore >= LIQUIDATION_CONFIG.spikeZScore &&
+        multiple >= LIQUIDATION_CONFIG.spikeMinMultiple;
+
+    return {
+        detected,
+        side: detected ? dominantSide(candle) : null,
+        zScore: zScore !== null ? Number(zScore.toFixed(2)) : null,
+        multiple: multiple !== null ? Number(multiple.toFixed(2)) : null
+    };
+}
+
+function toMillions(usd) {
+    return Number((usd / 1000000).toFixed(2));
+}
+
+/**
+ * =======================================================================
+ * ANALYSIS
+ * =======================================================================
+ */
+
+/**
+ * Analyze liquidation history for one timeframe
+ * @param {Array} liquidationHistory - Chronological records (see header)
+ * @param {Object} context - {
+ *   priceChange: latest candle price change %,
+ *   oiChange: latest candle OI change %,
+ *   oiUsd: latest open interest (USD) - used for the OI-drop share
+ * }
+ * @returns {Object} {
+ *   available, latest, baseline, spike, cascade, exhaustion,
+ *   oiConfirmation, squeeze ('long_squeeze' | 'short_squeeze' | null),
+ *   bias, confidence (0-10), reasoning
+ * }
+ */
+function analyzeLiquidations(liquidationHistory, context = {}) {
+    const candles = (Array.isArray(liquidationHistory) ? liquidationHistory : [])
+        .map(normalizeRecord)
+        .filter(c => Number.isFinite(c.time));
+
+    const history = candles.slice(0, -1).slice(-LIQUIDATION_CONFIG.lookback);
+    if (candles.length === 0 || history.length < LIQUIDATION_CONFIG.minBaselineCandles) {
+        return {
+            available: false,
+            squeeze: null,
+            bias: 'WAIT',
+            confidence: 0,
+            reasoning: 'Liquidation data unavailable'
+        };
+    }
+
+    const latest = candles[candles.length - 1];
+    const totals = history.map(c => c.totalUsd);
+    const baseline = { mean: mean(totals), std: std(totals) };
+
+    const spike = classifySpike(latest, baseline);
+
+    // Cascade: consecutive same-side spikes ending at the latest candle,
+    // each measured against the baseline before it
+    let cascadeCandles = 0;
+    let cascadeUsd = 0;
+    if (spike.detected && (spike.side === 'longs' || spike.side === 'shorts')) {
+        for (let i = candles.length - 1; i >= LIQUIDATION_CONFIG.minBaselineCandles; i--) {
+            const prior = candles.slice(Math.max(0, i - LIQUIDATION_CONFIG.lookback), i).map(c => c.totalUsd);
+            const check = classifySpike(candles[i], { mean: mean(prior), std: std(prior) });
+            if (!check.detected || check.side !== spike.side) break;
+            cascadeCandles++;
+            cascadeUsd += spike.side === 'longs' ? candles[i].longUsd : candles[i].shortUsd;
+        }
+    }
+    const cascade = {
+        detected: cascadeCandles >= LIQUIDATION_CONFIG.cascadeMinCandles,
+        side: cascadeCandles >= LIQUIDATION_CONFIG.cascadeMinCandles ? spike.side : null,
+        candles: cascadeCandles,
+        sideUsdM: toMillions(cascadeUsd)
+    };
+
+    // Exhaustion: a one-sided spike in the last few candles, latest back to normal
+    let exhaustion = { detected: false, side: null, candlesAgo: null };
+    if (!spike.detected) {
+        for (let back = 1; back <= LIQUIDATION_CONFIG.exhaustionWindow; back++) {
+            const i = candles.length - 1 - back;
+            if (i < LIQUIDATION_CONFIG.minBaselineCandles) break;
+            const prior = candles.slice(Math.max(0, i - LIQUIDATION_CONFIG.lookback), i).map(c => c.totalUsd);
+            const check = classifySpike(candles[i], { mean: mean(prior), std: std(prior) });
+            if (check.detected && (check.side === 'longs' || check.side === 'shorts')) {
+                exhaustion = { detected: latest.totalUsd <= baseline.mean * 1.5, side: check.side, candlesAgo: back };
+                break;
+            }
+        }
+    }
+
+    // Liquidation vs OI drop: forced closes should show up as falling OI
+    const oiChange = Number(context.oiChange);
+    const oiUsd = Number(context.oiUsd);
+    const sideUsd = spike.side === 'longs' ? latest.longUsd : spike.side === 'shorts' ? latest.shortUsd : 0;
+    const oiDropUsd = Number.isFinite(oiChange) && oiChange < 0 && oiUsd > 0
+        ? (Math.abs(oiChange) / 100) * oiUsd
+        : null;
+    const oiDropShare = oiDropUsd ? sideUsd / oiDropUsd : null;
+    const oiConfirmation = {
+        oiFalling: Number.isFinite(oiChange) && oiChange < 0,
+        oiDropShare: oiDropShare !== null ? Number(oiDropShare.toFixed(3)) : null,
+        confirmed: spike.detected && Number.isFinite(oiChange) && oiChange < 0 &&
+            (oiDropShare === null || oiDropShare >= LIQUIDATION_CONFIG.minOiDropShare)
+    };
+
+    // Squeeze classification: the liquidated side must match the price move
+    const priceChange = Number(context.priceChange) || 0;
+    let squeeze = null;
+    if (spike.side === 'longs' && priceChange < 0) squeeze = 'long_squeeze';
+    if (spike.side === 'shorts' && priceChange > 0) squeeze = 'short_squeeze';
+
+    // Signal: ride an active forced flow, fade a finished flush
+    let bias = 'WAIT';
+    let confidence = 3;
+    let reasoning = `Liquidations normal ($${toMillions(latest.totalUsd)}M vs $${toMillions(baseline.mean)}M avg)`;
+
+    if (squeeze) {
+        bias = squeeze === 'long_squeeze' ? 'SHORT' : 'LONG';
+        confidence = 5 + (oiConfirmation.confirmed ? 2 : 0) + (cascade.detected ? 1 : 0);
+        reasoning = `${spike.side === 'longs' ? 'Long' : 'Short'} liquidation ${cascade.detected ? `cascade (${cascade.candles} candles)` : 'spike'} ` +
+            `$${toMillions(sideUsd)}M (${spike.multiple}x avg)${oiConfirmation.confirmed ? ' confirmed by OI drop' : ' without OI drop'}`;
+    } else if (exhaustion.detected) {
+        bias = exhaustion.side === 'longs' ? 'LONG' : 'SHORT';
+        confidence = 5;
+        reasoning = `${exhaustion.side === 'longs' ? 'Long' : 'Short'} liquidation flush ${exhaustion.candlesAgo} candle(s) ago has cleared - reversal risk`;
+    } else if (spike.detected) {
+        confidence = 4;
+        reasoning = `Liquidation spike (${spike.side}) not matching the price move`;
+    }
+
+    return {
+        available: true,
+        latest: {
+            time: latest.time,
+            longUsdM: toMillions(latest.longUsd),
+            shortUsdM: toMillions(latest.shortUsd),
+            totalUsdM: toMillions(latest.totalUsd),
+            dominantSide: dominantSide(latest)
+        },
+        baseline: {
+            candles: history.length,
+            meanUsdM: toMillions(baseline.mean),
+            stdUsdM: toMillions(baseline.std)
+        },
+        spike,
+        cascade,
+        exhaustion,
+        oiConfirmation,
+        squeeze,
+        bias,
+        confidence: Math.min(confidence, 10),
+        reasoning
+    };
+}
+
+/**
+ * =======================================================================
+ * EXPORTS
+ * =======================================================================
+ */
+
+module.exports = {
+    analyzeLiquidations,
+    LIQUIDATION_CONFIG,
+
+    // Exposed for testing
+    normalizeRecord,
+    classifySpike,
+    dominantSide
+};
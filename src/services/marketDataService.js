@@ -1,19 +1,15 @@
 // marketDataService.js
 // LIVE data fetching - responsible for fetching current market data for AI models
-// Uses coinglassClient as single source of truth for API communication
+// Fetches through the active data provider (Coinglass live, or recorded fixtures)
 //
 // NOTE: This service is for LIVE data only (limit-based, ends at "now")
 // For historical/replay data, use historicalDataService.js
 
-const coinglassClient = require('./coinglassClient');
-
-/**
- * Wrapper for backward compatibility - delegates to coinglassClient
- * @deprecated Use coinglassClient.request() directly for new code
- */
-async function coinglassGET(endpoint, params = {}) {
-  return coinglassClient.request(endpoint, params);
-}
+const { getProvider } = require('./dataProvider');
+const symbolRegistry = require('./symbolRegistry');
+const venueRegistry = require('./venueRegistry');
+const configService = require('./configService');
+const signalRegistry = require('./signalRegistry');
 
 // ---------------------------
 // Issue 5 Fix: Data Staleness Validation
@@ -22,7 +18,7 @@ async function coinglassGET(endpoint, params = {}) {
 /**
  * Validates that candle data is fresh (not stale from API lag/maintenance)
  * @param {Array} candles - Array of candle data
- * @param {string} timeframe - Timeframe (e.g., '30m', '1h', '4h', '1d')
+ * @param {string} timeframe - Timeframe (e.g., '15m', '30m', '1h', '4h', '1d', '1w')
  * @param {number} maxLagMultiplier - How many TF intervals before data is considered stale (default: 2)
  * @returns {Object} - { valid: boolean, reason: string, ageMinutes: number }
  */
@@ -62,7 +58,8 @@ function validateDataFreshness(candles, timeframe, maxLagMultiplier = 2) {
     '4h': 4 * 60 * 60 * 1000,
     'h4': 4 * 60 * 60 * 1000,
     '1d': 24 * 60 * 60 * 1000,
-    'd1': 24 * 60 * 60 * 1000
+    'd1': 24 * 60 * 60 * 1000,
+    '1w': 7 * 24 * 60 * 60 * 1000
   };
 
   const tfMs = timeframeMs[timeframe] || 60 * 60 * 1000; // Default 1h
@@ -89,7 +86,7 @@ function validateDataFreshness(candles, timeframe, maxLagMultiplier = 2) {
 
 // Price OHLC
 async function getPriceOHLC(exchange, symbol, interval = "4h", limit = 10) {
-  return await coinglassGET("/futures/price/history", {
+  return await getProvider().getPriceHistory({
     exchange,
     symbol,
     interval,
@@ -99,7 +96,7 @@ async function getPriceOHLC(exchange, symbol, interval = "4h", limit = 10) {
 
 // Open Interest OHLC
 async function getOpenInterestOHLC(exchange, symbol, interval = "4h", limit = 10) {
-  return await coinglassGET("/futures/open-interest/history", {
+  return await getProvider().getOIHistory({
     exchange,
     symbol,
     interval,
@@ -109,7 +106,7 @@ async function getOpenInterestOHLC(exchange, symbol, interval = "4h", limit = 10
 
 // Funding Rate OHLC
 async function getFundingRateOHLC(exchange, symbol, interval = "4h", limit = 10) {
-  return await coinglassGET("/futures/funding-rate/history", {
+  return await getProvider().getFundingHistory({
     exchange,
     symbol,
     interval,
@@ -119,7 +116,7 @@ async function getFundingRateOHLC(exchange, symbol, interval = "4h", limit = 10)
 
 // Taker Buy/Sell (CVD)
 async function getTakerBuySellVolume(exchange, symbol, interval = "h4", limit = 100) {
-  return await coinglassGET("/futures/v2/taker-buy-sell-volume/history", {
+  return await getProvider().getTakerBuySellVolume({
     exchange,
     symbol,
     interval,
@@ -133,7 +130,7 @@ async function getTakerBuySellVolume(exchange, symbol, interval = "h4", limit =
 
 // Get price history for technical analysis
 async function getPriceHistory(exchange, symbol, interval = "4h", limit = 50) {
-  const data = await coinglassGET("/futures/price/history", {
+  const data = await getProvider().getPriceHistory({
     exchange,
     symbol,
     interval,
@@ -164,7 +161,7 @@ async function getPriceHistory(exchange, symbol, interval = "4h", limit = 50) {
 
 // Get OI history for technical analysis
 async function getOIHistory(exchange, symbol, interval = "4h", limit = 50) {
-  const data = await coinglassGET("/futures/open-interest/history", {
+  const data = await getProvider().getOIHistory({
     exchange,
     symbol,
     interval,
@@ -183,7 +180,7 @@ async function getOIHistory(exchange, symbol, interval = "4h", limit = 50) {
 
 // Get funding rate history for technical analysis
 async function getFundingHistory(exchange, symbol, interval = "4h", limit = 30) {
-  const data = await coinglassGET("/futures/funding-rate/history", {
+  const data = await getProvider().getFundingHistory({
     exchange,
     symbol,
     interval,
@@ -201,6 +198,112 @@ async function getFundingHistory(exchange, symbol, interval = "4h", limit = 30)
   }));
 }
 
+// Get long/short liquidation history (USD per candle)
+// Optional provider method - returns [] when the provider has no liquidation data
+async function getLiquidationHistory(exchange, symbol, interval = "4h", limit = 50) {
+  const provider = getProvider();
+  if (typeof provider.getLiquidationHistory !== "function") return [];
+
+  const data = await provider.getLiquidationHistory({
+    exchange,
+    symbol,
+    interval,
+    limit,
+  });
+
+  return data.map(candle => ({
+    time: candle.time,
+    longUsd: Number(candle.long_liquidation_usd || 0),
+    shortUsd: Number(candle.short_liquidation_usd || 0)
+  }));
+}
+
+// Get spot price history for the spot pair next to the perpetual
+// Optional provider method - returns [] when the provider has no spot data
+async function getSpotPriceHistory(exchange, symbol, interval = "4h", limit = 50) {
+  const provider = getProvider();
+  if (typeof provider.getSpotPriceHistory !== "function") return [];
+
+  const data = await provider.getSpotPriceHistory({
+    exchange,
+    symbol: symbolRegistry.getSpotSymbol(symbol),
+    interval,
+    limit,
+  });
+
+  return data.map(candle => ({
+    time: candle.time,
+    open: Number(candle.open),
+    high: Number(candle.high),
+    low: Number(candle.low),
+    close: Number(candle.close),
+    volume: Number(candle.volume_usd || 0)
+  }));
+}
+
+// Get taker buy/sell volume history (USD per candle) for spot or perp
+// market: "spot" uses the spot pair (optional provider method), "perp" the contract
+async function getTakerFlowHistory(exchange, symbol, interval = "4h", limit = 50, market = "perp") {
+  const provider = getProvider();
+  const method = market === "spot" ? "getSpotTakerBuySellVolume" : "getTakerBuySellVolume";
+  if (typeof provider[method] !== "function") return [];
+
+  const data = await provider[method]({
+    exchange,
+    symbol: market === "spot" ? symbolRegistry.getSpotSymbol(symbol) : symbol,
+    interval,
+    limit,
+  });
+
+  return toTakerFlow(data);
+}
+
+// Provider taker candles -> { time, buyUsd, sellUsd }
+function toTakerFlow(data) {
+  return (data || []).map(candle => ({
+    time: candle.time,
+    buyUsd: Number(candle.taker_buy_volume_usd || candle.buyVol || 0),
+    sellUsd: Number(candle.taker_sell_volume_usd || candle.sellVol || 0)
+  }));
+}
+
+// Get trader positioning history: all-account and top-trader long/short ratios
+// merged by candle time. Optional provider methods - a missing method leaves
+// its fields null. Percents are 0-100 as reported by the provider.
+// Two provider calls: paced 800ms apart, the caller sleeps after the second.
+async function getPositioningHistory(exchange, symbol, interval = "4h", limit = 30) {
+  const provider = getProvider();
+  const params = { exchange, symbol, interval, limit };
+  const hasGlobal = typeof provider.getGlobalLongShortRatio === "function";
+  const hasTop = typeof provider.getTopTraderPositionRatio === "function";
+
+  const globalData = hasGlobal ? await provider.getGlobalLongShortRatio(params) : [];
+  if (hasGlobal && hasTop) await sleep(800);
+  const topData = hasTop ? await provider.getTopTraderPositionRatio(params) : [];
+
+  const toNumber = value => (value === null || value === undefined || value === "" ? null : Number(value));
+  const byTime = new Map();
+  const recordAt = time => {
+    if (!byTime.has(time)) {
+      byTime.set(time, { time, globalLongPct: null, globalRatio: null, topLongPct: null, topRatio: null });
+    }
+    return byTime.get(time);
+  };
+
+  for (const row of globalData || []) {
+    const record = recordAt(Number(row.time));
+    record.globalLongPct = toNumber(row.global_account_long_percent);
+    record.globalRatio = toNumber(row.global_account_long_short_ratio);
+  }
+  for (const row of topData || []) {
+    const record = recordAt(Number(row.time));
+    record.topLongPct = toNumber(row.top_position_long_percent);
+    record.topRatio = toNumber(row.top_position_long_short_ratio);
+  }
+
+  return [...byTime.values()].sort((a, b) => a.time - b.time);
+}
+
 // ---------------------------
 // Calculations
 // ---------------------------
@@ -239,9 +342,16 @@ function extractVolumeFromPriceOHLC(priceData, mode = "single") {
  * IMPORTANT: windowCandles is based on the actual API interval, not the timeframe.
  * 
  * Coinglass STARTUP plan supports taker-buy/sell intervals: m30, h1, h4, h24
- * (≥30m resolution is available on STARTUP)
+ * (≥30m resolution is available on STARTUP; m15 needs a higher plan and
+ * there is no weekly interval - 1w CVD is built from h24 candles)
  */
 const CVD_WINDOW_CONFIG = {
+  '15m': {
+    apiInterval: 'm15',  // Real 15m data (plan above STARTUP)
+    windowCandles: 96,   // 96 x 15m = 24 hours
+    minCandles: 77,      // 80% threshold
+    description: '96 x 15m candles = 24h window'
+  },
   '30m': {
     apiInterval: 'm30',  // Real 30m data from Coinglass
     windowCandles: 48,   // 48 x 30m = 24 hours
@@ -265,6 +375,12 @@ const CVD_WINDOW_CONFIG = {
     windowCandles: 14,   // 14 x 24h = 2 weeks
     minCandles: 11,      // 80% threshold
     description: '14 x 24h candles = 2 week window'
+  },
+  '1w': {
+    apiInterval: 'h24',  // Daily data - no weekly taker interval
+    windowCandles: 28,   // 28 x 24h = 4 weeks
+    minCandles: 22,      // 80% threshold
+    description: '28 x 24h candles = 4 week window'
   }
 };
 
@@ -391,7 +507,7 @@ function calculateSlope(values) {
  * P0 FIX: Calculate CVD per timeframe with proper windowing and reliability
  * 
  * @param {Array} takerData - Taker buy/sell history from Coinglass
- * @param {string} timeframe - Target timeframe ('30m', '1h', '4h', '1d')
+ * @param {string} timeframe - Target timeframe ('15m', '30m', '1h', '4h', '1d', '1w')
  * @returns {Object} CVD result with metadata
  */
 function calculateCVDPerTimeframe(takerData, timeframe) {
@@ -401,10 +517,12 @@ function calculateCVDPerTimeframe(takerData, timeframe) {
   // Minimum volume thresholds for market impact reliability
   // Below these, CVD may not reflect meaningful order flow
   const MIN_AVG_VOLUME_PER_CANDLE = {
+    '15m': 250000,    // $250K/15m
     '30m': 500000,    // $500K/30m = low activity threshold
     '1h': 1000000,    // $1M/hour
     '4h': 5000000,    // $5M/4h
-    '1d': 50000000    // $50M/day
+    '1d': 50000000,   // $50M/day
+    '1w': 50000000    // per daily candle (1w CVD uses h24 data)
   };
   const minVolumeThreshold = MIN_AVG_VOLUME_PER_CANDLE[timeframe] || 1000000;
 
@@ -547,10 +665,14 @@ function calculateFundingAverage(fundingData) {
 // Unified Market Snapshot Builder
 // ---------------------------
 
-// Helper for delay
-const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+// Helper for delay (skipped for offline providers that are not rate limited)
+const sleep = (ms) => getProvider().rateLimited === false
+  ? Promise.resolve()
+  : new Promise(resolve => setTimeout(resolve, ms));
 
-async function getMarketSnapshot(exchange, symbol, intervals = ["4h", "1d"]) {
+// takerFlows (optional): receives the CVD taker series per timeframe as
+// { time, buyUsd, sellUsd } so callers can reuse it without another fetch
+async function getMarketSnapshot(exchange, symbol, intervals = ["4h", "1d"], takerFlows = null) {
   const result = {};
 
   for (const tf of intervals) {
@@ -571,6 +693,7 @@ async function getMarketSnapshot(exchange, symbol, intervals = ["4h", "1d"]) {
       const cvdInterval = cvdConfig.apiInterval;
       const takerVolume = await getTakerBuySellVolume(exchange, symbol, cvdInterval, cvdConfig.windowCandles + 10);
       await sleep(800);
+      if (takerFlows) takerFlows[tf] = toTakerFlow(takerVolume);
 
       // Validate we have enough data (at least 2 candles for change calculation)
       if (!priceOHLC?.length || priceOHLC.length < 2 ||
@@ -644,29 +767,42 @@ async function getFuturesMarketData(symbol = "BTCUSDT", options = {}) {
   const {
     includeHistory = true,
     timeframes = ["4h", "1d"], // Default: macro analysis
-    // Available timeframes: "1m", "5m", "15m", "30m", "1h", "4h", "1d"
+    // Supported timeframes: dataUtils.INTERVAL_CONFIG ("15m" ... "1w");
+    // the analyzer passes the configured set (config.timeframes.active)
   } = options;
 
-  const exchanges = ["Binance", "Bybit"];
+  // Venues from the active config (default: Binance USDT-M + Bybit COIN-M)
+  const config = configService.getCachedConfig();
+  const venues = venueRegistry.getActiveVenues(config);
+
+  // Spot vs perp flow is opt-in (signals.market_regime.spotPerp)
+  const regimeSettings = signalRegistry.getSignalSettings('market_regime', config);
+  const includeSpotPerp = includeHistory && regimeSettings?.enabled !== false && regimeSettings?.spotPerp === true;
   const snapshot = {};
 
-  // Fetch snapshot data for both exchanges
+  // Accept base symbol ('ETH') or instrument ('ETHUSDT')
+  const baseSymbol = symbolRegistry.toBaseSymbol(symbol);
+  const binanceSymbol = symbolRegistry.getExchangeSymbol(baseSymbol, "Binance") || symbol;
+
+  // Fetch snapshot data for every venue (keyed by venue id)
   let exchangeErrors = [];
+  // Perp taker series of the primary exchange from the CVD fetch (spot/perp reuses it)
+  const perpTakerFlows = {};
 
-  for (const ex of exchanges) {
-    // Map symbol for Bybit - use COIN-MARGINED (BTCUSD) instead of USDT-M
-    let exSymbol = symbol;
-    if (ex === "Bybit" && symbol === "BTCUSDT") {
-      exSymbol = "BTCUSD"; // Bybit coin-margined = smart money
-    }
+  for (const venue of venues) {
+    // Map symbol per venue via registry
+    // Bybit uses COIN-MARGINED (e.g. BTCUSD) instead of USDT-M = smart money
+    const exSymbol = venueRegistry.getVenueSymbol(baseSymbol, venue.id) || symbol;
 
     try {
-      snapshot[ex] = await getMarketSnapshotMultiTF(ex, exSymbol, timeframes);
+      const isPrimaryPerp = venue.exchange === "Binance" && exSymbol === binanceSymbol;
+      snapshot[venue.id] = await getMarketSnapshotMultiTF(venue.exchange, exSymbol, timeframes,
+        includeSpotPerp && isPrimaryPerp ? perpTakerFlows : null);
     } catch (err) {
-      // Phase 5: Return partial data if one exchange fails
-      console.error(`⚠️ Exchange ${ex} failed:`, err.message);
-      exchangeErrors.push({ exchange: ex, error: err.message });
-      snapshot[ex] = null;
+      // Phase 5: Return partial data if one venue fails
+      console.error(`⚠️ Exchange ${venue.id} failed:`, err.message);
+      exchangeErrors.push({ exchange: venue.id, error: err.message });
+      snapshot[venue.id] = null;
     }
   }
 
@@ -694,22 +830,77 @@ async function getFuturesMarketData(symbol = "BTCUSDT", options = {}) {
       console.log(`  [${i + 1}/${timeframes.length}] Fetching ${tf} history...`);
 
       // Fetch sequentially with 800ms delay (Safe for 80 req/min limit)
-      const priceHist = await getPriceHistory("Binance", symbol, tf, 50);
+      const priceHist = await getPriceHistory("Binance", binanceSymbol, tf, 50);
       console.log(`    ✓ ${tf} price history (${Date.now() - tfStartTime}ms)`);
       await sleep(800);
 
-      const oiHist = await getOIHistory("Binance", symbol, tf, 50);
+      const oiHist = await getOIHistory("Binance", binanceSymbol, tf, 50);
       console.log(`    ✓ ${tf} OI history (${Date.now() - tfStartTime}ms)`);
       await sleep(800);
 
-      const fundingHist = await getFundingHistory("Binance", symbol, tf, 30);
+      const fundingHist = await getFundingHistory("Binance", binanceSymbol, tf, 30);
       console.log(`    ✓ ${tf} funding history (${Date.now() - tfStartTime}ms)`);
       await sleep(800);
 
+      // Liquidations are optional - a failed fetch must not drop the timeframe.
+      // Empty or failed calls still count against the rate limit: always sleep
+      let liquidationHist = [];
+      try {
+        liquidationHist = await getLiquidationHistory("Binance", binanceSymbol, tf, 50);
+        console.log(`    ✓ ${tf} liquidation history (${Date.now() - tfStartTime}ms)`);
+      } catch (err) {
+        console.warn(`    ⚠️ ${tf} liquidation history unavailable: ${err.message}`);
+      }
+      await sleep(800);
+
+      // Positioning ratios per venue (optional, same rules as liquidations)
+      const positioningHist = {};
+      for (const venue of venues) {
+        const exSymbol = venueRegistry.getVenueSymbol(baseSymbol, venue.id) || symbol;
+        try {
+          positioningHist[venue.id] = await getPositioningHistory(venue.exchange, exSymbol, tf, 30);
+          console.log(`    ✓ ${tf} ${venue.id} positioning history (${Date.now() - tfStartTime}ms)`);
+        } catch (err) {
+          console.warn(`    ⚠️ ${tf} ${venue.id} positioning history unavailable: ${err.message}`);
+          positioningHist[venue.id] = [];
+        }
+        await sleep(800);
+      }
+
+      // Spot vs perp flow (opt-in): spot price + spot taker volume on the
+      // primary exchange (CVD API interval); the perp taker side is the
+      // series the snapshot already loaded for CVD
+      let spotPriceHist = [];
+      let spotTakerHist = [];
+      let perpTakerHist = [];
+      if (includeSpotPerp) {
+        try {
+          spotPriceHist = await getSpotPriceHistory("Binance", binanceSymbol, tf, 50);
+          await sleep(800);
+          if (spotPriceHist.length > 0) {
+            spotTakerHist = await getTakerFlowHistory("Binance", binanceSymbol, getCVDApiInterval(tf), 50, "spot");
+            await sleep(800);
+            perpTakerHist = perpTakerFlows[tf];
+            if (!perpTakerHist) {
+              perpTakerHist = await getTakerFlowHistory("Binance", binanceSymbol, getCVDApiInterval(tf), 50, "perp");
+              await sleep(800);
+            }
+          }
+          console.log(`    ✓ ${tf} spot/perp flow history (${Date.now() - tfStartTime}ms)`);
+        } catch (err) {
+          console.warn(`    ⚠️ ${tf} spot/perp flow history unavailable: ${err.message}`);
+        }
+      }
+
       history[tf] = {
         priceHistory: priceHist,
         oiHistory: oiHist,
-        fundingHistory: fundingHist
+        fundingHistory: fundingHist,
+        liquidationHistory: liquidationHist,
+        positioningHistory: positioningHist,
+        spotPriceHistory: spotPriceHist,
+        spotTakerHistory: spotTakerHist,
+        perpTakerHistory: perpTakerHist
       };
 
       console.log(`  ✅ ${tf} complete in ${Date.now() - tfStartTime}ms`);
@@ -723,21 +914,24 @@ async function getFuturesMarketData(symbol = "BTCUSDT", options = {}) {
   return {
     snapshot,
     history,
+    symbol: baseSymbol,
     // Phase 5: Include partial data metadata
     _meta: {
+      symbol: baseSymbol,
       exchangeErrors: exchangeErrors.length > 0 ? exchangeErrors : null,
-      partialData: exchangeErrors.length > 0
+      partialData: exchangeErrors.length > 0,
+      venueProfile: venueRegistry.getProfileName(venues)
     }
   };
 }
 
 // Helper function for multi-timeframe snapshot
-async function getMarketSnapshotMultiTF(exchange, symbol, timeframes) {
+async function getMarketSnapshotMultiTF(exchange, symbol, timeframes, takerFlows = null) {
   const result = {};
 
   for (const tf of timeframes) {
     try {
-      const snapshotData = await getMarketSnapshot(exchange, symbol, [tf]);
+      const snapshotData = await getMarketSnapshot(exchange, symbol, [tf], takerFlows);
       result[tf] = snapshotData[tf];
     } catch (err) {
       console.error(`⚠️ Error fetching ${exchange} ${symbol} ${tf}:`, err.message);
@@ -760,6 +954,10 @@ module.exports = {
   getPriceHistory,
   getOIHistory,
   getFundingHistory,
+  getLiquidationHistory,
+  getPositioningHistory,
+  getSpotPriceHistory,
+  getTakerFlowHistory,
   calculateChange,
   calculateCVD,
   calculateCVDPerTimeframe,  // P0 FIX: New per-timeframe CVD with reliability
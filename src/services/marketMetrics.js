@@ -5,6 +5,12 @@
 // PHASE 8: Config-Driven - All thresholds/weights read from configService
 
 const configService = require('./configService');
+const venueRegistry = require('./venueRegistry');
+const signalRegistry = require('./signalRegistry');
+const { analyzeLiquidations } = require('./liquidationAnalysis');
+const { analyzePositioning, assessEvidence, DEFAULT_POSITIONING_THRESHOLDS } = require('./positioningAnalysis');
+const { analyzeSpotPerp } = require('./spotPerpAnalysis');
+const adaptiveThresholds = require('./adaptiveThresholds');
 
 /**
  * =======================================================================
@@ -29,6 +35,11 @@ const configService = require('./configService');
 
 // Fallback defaults (used if config fails to load)
 const DEFAULT_THRESHOLDS = {
+  '15m': {
+    price: { noise: 0.18, strong: 0.35 },
+    oi: { quiet: 0.1, aggressive: 0.2 },
+    funding: 0.025
+  },
   '30m': {
     price: { noise: 0.25, strong: 0.5 },
     oi: { quiet: 0.15, aggressive: 0.3 },
@@ -48,53 +59,96 @@ const DEFAULT_THRESHOLDS = {
     price: { noise: 1.15, strong: 2.3 },
     oi: { quiet: 1.0, aggressive: 2.0 },
     funding: 0.06
+  },
+  '1w': {
+    price: { noise: 3.0, strong: 6.0 },
+    oi: { quiet: 2.5, aggressive: 5.0 },
+    funding: 0.08
   }
 };
 
 const DEFAULT_CVD_THRESHOLDS = {
+  '15m': { slopeStrong: 0.015, slopeWeak: 0.004, divergenceMin: 0.008 },
   '30m': { slopeStrong: 0.02, slopeWeak: 0.005, divergenceMin: 0.01 },
   '1h': { slopeStrong: 0.025, slopeWeak: 0.008, divergenceMin: 0.015 },
   '4h': { slopeStrong: 0.03, slopeWeak: 0.01, divergenceMin: 0.02 },
-  '1d': { slopeStrong: 0.04, slopeWeak: 0.015, divergenceMin: 0.025 }
+  '1d': { slopeStrong: 0.04, slopeWeak: 0.015, divergenceMin: 0.025 },
+  '1w': { slopeStrong: 0.05, slopeWeak: 0.02, divergenceMin: 0.03 }
+};
+
+const DEFAULT_TIMEFRAME_CONFIG = {
+  active: ['30m', '1h', '4h', '1d'],
+  weights: { '30m': 0.25, '1h': 0.25, '4h': 0.30, '1d': 0.20 },
+  biasBuffer: 1.2,
+  buckets: {
+    macro: ['1d', '4h'],
+    micro: ['4h', '1h'],
+    scalping: ['1h', '30m']
+  }
 };
 
 /**
  * Get thresholds for a specific timeframe (config-driven with fallback)
+ * Every getter takes an optional explicit config (what-if re-scoring);
+ * without one it reads the cached active config.
  */
-function getThresholds(timeframe) {
-  const config = configService.getCachedConfig();
+function getThresholds(timeframe, config = configService.getCachedConfig()) {
   return config?.thresholds?.[timeframe] || DEFAULT_THRESHOLDS[timeframe] || DEFAULT_THRESHOLDS['4h'];
 }
 
+/**
+ * Effective price/OI thresholds for a timeframe: the fixed thresholds, or
+ * volatility-adaptive ones (config.adaptiveThresholds.modes[timeframe])
+ * rescaled from the price / OI history
+ * @param {Object} history - { priceHistory, oiHistory }
+ * @returns {Object} adaptiveThresholds.resolveThresholds() result (audit trail)
+ */
+function getEffectiveThresholds(timeframe, history, config = configService.getCachedConfig()) {
+  return adaptiveThresholds.resolveThresholds(
+    getThresholds(timeframe, config),
+    history,
+    timeframe,
+    config?.adaptiveThresholds
+  );
+}
+
+/**
+ * Config whose thresholds[timeframe] are the effective (adapted) bands, so the
+ * classifiers downstream of calculateMarketMetrics use them unchanged
+ */
+function withEffectiveThresholds(config, timeframe, effective) {
+  const base = config || configService.getCachedConfig();
+  return {
+    ...base,
+    thresholds: {
+      ...base?.thresholds,
+      [timeframe]: {
+        ...getThresholds(timeframe, base),
+        price: effective.price,
+        oi: effective.oi
+      }
+    }
+  };
+}
+
 /**
  * Get CVD thresholds for a specific timeframe (config-driven with fallback)
  */
-function getCVDThresholds(timeframe) {
-  const config = configService.getCachedConfig();
+function getCVDThresholds(timeframe, config = configService.getCachedConfig()) {
   return config?.thresholds?.cvd?.[timeframe] || DEFAULT_CVD_THRESHOLDS[timeframe] || DEFAULT_CVD_THRESHOLDS['4h'];
 }
 
 /**
  * Get signal weights (config-driven with fallback)
  */
-function getSignalWeights() {
-  const config = configService.getCachedConfig();
-  return config?.weights?.signals || {
-    exchange_divergence: 0.35,
-    market_regime: 0.20,
-    structure: 0.15,
-    technical: 0.10,
-    cvd: 0.10,
-    vwap: 0.05,
-    funding: 0.05
-  };
+function getSignalWeights(config = configService.getCachedConfig()) {
+  return config?.weights?.signals || signalRegistry.getDefaultWeights();
 }
 
 /**
  * Get gates configuration (config-driven with fallback)
  */
-function getGates() {
-  const config = configService.getCachedConfig();
+function getGates(config = configService.getCachedConfig()) {
   return config?.gates || {
     whaleRetail: {
       scalping: { minPct: 0.2, minUsd: 2000000 },
@@ -109,8 +163,7 @@ function getGates() {
 /**
  * Get penalties configuration (config-driven with fallback)
  */
-function getPenalties() {
-  const config = configService.getCachedConfig();
+function getPenalties(config = configService.getCachedConfig()) {
   return config?.penalties || {
     conflict: 0.15,
     staleness: 0.10,
@@ -122,11 +175,37 @@ function getPenalties() {
 /**
  * Get VWAP bands (config-driven with fallback)
  */
-function getVWAPBands() {
-  const config = configService.getCachedConfig();
+function getVWAPBands(config = configService.getCachedConfig()) {
   return config?.thresholds?.vwap || { innerBand: 0.01, outerBand: 0.02 };
 }
 
+/**
+ * Get the timeframe set, aggregation weights, bias buffer and buckets
+ * (config-driven with fallback)
+ */
+function getTimeframeConfig(config = configService.getCachedConfig()) {
+  const section = config?.timeframes || {};
+  return {
+    ...DEFAULT_TIMEFRAME_CONFIG,
+    ...section,
+    buckets: { ...DEFAULT_TIMEFRAME_CONFIG.buckets, ...(section.buckets || {}) }
+  };
+}
+
+/**
+ * Scalping timeframes (scalping bucket) use the tighter whale/retail gates
+ */
+function isScalpingTimeframe(timeframe, config) {
+  return getTimeframeConfig(config).buckets.scalping.includes(timeframe);
+}
+
+/**
+ * Get trader positioning thresholds (config-driven with fallback)
+ */
+function getPositioningThresholds(config = configService.getCachedConfig()) {
+  return { ...DEFAULT_POSITIONING_THRESHOLDS, ...(config?.thresholds?.positioning || {}) };
+}
+
 // Legacy compatibility - keep THRESHOLDS reference for any direct usage
 // But these now just reference defaults; actual code should use getThresholds()
 const THRESHOLDS = DEFAULT_THRESHOLDS;
@@ -147,10 +226,11 @@ const CVD_THRESHOLDS = DEFAULT_CVD_THRESHOLDS;
  * Classify a price move based on timeframe thresholds
  * @param {number} changePct - Price change percentage
  * @param {string} timeframe - Timeframe (30m, 1h, 4h, 1d)
+ * @param {Object} [config] - Explicit config (defaults to cached active config)
  * @returns {Object} { direction: 'UP'|'DOWN'|'FLAT', strength: 'noise'|'normal'|'strong' }
  */
-function classifyPriceMove(changePct, timeframe) {
-  const t = getThresholds(timeframe);
+function classifyPriceMove(changePct, timeframe, config) {
+  const t = getThresholds(timeframe, config);
   const abs = Math.abs(changePct || 0);
 
   if (abs < t.price.noise) return { direction: 'FLAT', strength: 'noise' };
@@ -165,10 +245,11 @@ function classifyPriceMove(changePct, timeframe) {
  * Classify an OI move based on timeframe thresholds
  * @param {number} changePct - OI change percentage
  * @param {string} timeframe - Timeframe (30m, 1h, 4h, 1d)
+ * @param {Object} [config] - Explicit config (defaults to cached active config)
  * @returns {Object} { direction: 'RISING'|'FALLING'|'FLAT', strength: 'quiet'|'normal'|'aggressive' }
  */
-function classifyOiMove(changePct, timeframe) {
-  const t = getThresholds(timeframe);
+function classifyOiMove(changePct, timeframe, config) {
+  const t = getThresholds(timeframe, config);
   const abs = Math.abs(changePct || 0);
 
   if (abs < t.oi.quiet) return { direction: 'FLAT', strength: 'quiet' };
@@ -218,8 +299,8 @@ function computeConfidence(conditions) {
  * 3. Price vs CVD divergence → bullish/bearish divergence
  * 4. Aligned → confirmation
  */
-function interpretCVD(cvdData, priceChange, timeframe) {
-  const thresholds = getCVDThresholds(timeframe);
+function interpretCVD(cvdData, priceChange, timeframe, config) {
+  const thresholds = getCVDThresholds(timeframe, config);
   const { cvdSlopeNormalized, cvdDirection } = cvdData || {};
 
   // Default: neutral/no signal
@@ -245,7 +326,7 @@ function interpretCVD(cvdData, priceChange, timeframe) {
   }
 
   // Gate 2: Is price move significant? (use existing price thresholds)
-  const priceThreshold = getThresholds(timeframe)?.price?.noise || 0.5;
+  const priceThreshold = getThresholds(timeframe, config)?.price?.noise || 0.5;
   if (absPriceChange < priceThreshold) {
     // Price flat - CVD shows accumulation/distribution
     result.cvdSignalType = cvdDirection === 'rising' ? 'accumulation' : 'distribution';
@@ -367,13 +448,13 @@ function calculateVWAP(priceHistory) {
  * @param {Object} vwapData - Result from calculateVWAP
  * @returns {Object} { bias, confidence, signal }
  */
-function interpretVWAP(vwapData) {
+function interpretVWAP(vwapData, config) {
   if (!vwapData || !vwapData.vwap) {
     return { bias: 'NEUTRAL', confidence: 0, signal: 'no_data' };
   }
 
   const { deviation } = vwapData;
-  const bands = getVWAPBands();
+  const bands = getVWAPBands(config);
   const innerBand = bands.innerBand || 0.01;
   const outerBand = bands.outerBand || 0.02;
 
@@ -478,9 +559,151 @@ class TechnicalUtils {
  * =======================================================================
  * PART 1: EXCHANGE DIVERGENCE ENGINE (Claude - Strategic)
  * =======================================================================
+ * Venues (see venueRegistry) are tagged with roles; roles sit on the crowd
+ * (retail) or informed (smart money, institutional) side. Scenarios are
+ * computed on the role-weighted side aggregates. With the 'classic' profile
+ * each side is one exchange (Binance vs Bybit COIN-M) and the aggregates are
+ * the raw snapshots.
+ */
+
+// Snapshot fields summed across venues; everything else is weight-averaged
+const VENUE_SUM_FIELDS = ['oi', 'cvd', 'volume'];
+const VENUE_AVG_FIELDS = ['price', 'price_change', 'oi_change', 'funding_rate_avg_pct'];
+
+/**
+ * Role-weighted aggregate of venue snapshots, in the single-venue snapshot
+ * shape (price_change, oi_change, cvd, ...)
+ * Weight per venue = venue weight x role weight, scaled by OI when every
+ * venue reports it. Summed fields use venue x role weight only.
+ * @param {Array} entries - [{ venue, data }]
+ * @returns {Object|null} Aggregate snapshot or null for no entries
+ */
+function aggregateVenueSnapshots(entries) {
+  if (!entries.length) return null;
+  if (entries.length === 1) return entries[0].data;
+
+  const baseWeight = ({ venue }) => (venue.weight ?? 1) * (venueRegistry.VENUE_ROLES[venue.role]?.weight ?? 1);
+  const useOi = entries.every(({ data }) => Number(data.oi) > 0);
+  const weights = entries.map(e => baseWeight(e) * (useOi ? Number(e.data.oi) : 1));
+  const totalWeight = weights.reduce((a, b) => a + b, 0) || 1;
+
+  const aggregate = {};
+  for (const field of VENUE_AVG_FIELDS) {
+    aggregate[field] = entries.reduce((acc, { data }, i) => acc + (Number(data[field]) || 0) * weights[i], 0) / totalWeight;
+  }
+  for (const field of VENUE_SUM_FIELDS) {
+    aggregate[field] = entries.reduce((acc, e) => acc + (Number(e.data[field]) || 0) * baseWeight(e), 0);
+  }
+  aggregate.cvdReliableForTf = entries.every(({ data }) => data.cvdReliableForTf !== false);
+  return aggregate;
+}
+
+/**
+ * Multi-venue divergence analysis
+ * @param {Object} venueSnapshots - { [venueId]: timeframe snapshot } (e.g. snapshot.OKX['4h'])
+ * @param {string} timeframe - Timeframe for the classifiers
+ * @param {Object} config - Analyzer config (optional)
+ * @param {Object} positioning - Optional analyzePositioning() result
+ * @param {Array} venues - Venue list with roles (defaults to config.venues)
+ * @returns {Object} Scenario result plus { profile, venues, roles, sides }
  */
+function analyzeVenueDivergence(venueSnapshots, timeframe = '4h', config, positioning = null,
+  venues = venueRegistry.getActiveVenues(config || configService.getCachedConfig())) {
+  const entries = Object.entries(venueSnapshots || {})
+    .filter(([, data]) => data)
+    .map(([id, data]) => ({ venue: venueRegistry.resolveVenue(id, venues), data }))
+    .filter(e => e.venue);
+
+  const crowdEntries = entries.filter(e => e.venue.side === 'crowd');
+  const informedEntries = entries.filter(e => e.venue.side === 'informed');
+
+  // Single venue -> its id (keeps the classic 'Binance' / 'Bybit' wording)
+  const sideLabel = (sideEntries, fallback) => (sideEntries.length === 1 ? sideEntries[0].venue.id : fallback);
+  const labels = {
+    crowd: sideLabel(crowdEntries, 'Retail venues'),
+    informed: sideLabel(informedEntries, 'Smart money venues')
+  };
 
-function analyzeExchangeDivergence(binance4h, bybit4h, timeframe = '4h') {
+  const result = classifyDivergence(
+    aggregateVenueSnapshots(crowdEntries) || {},
+    aggregateVenueSnapshots(informedEntries) || {},
+    timeframe, config, positioning, labels
+  );
+
+  if (!crowdEntries.length || !informedEntries.length) {
+    result.warnings.push(`⚠️ No ${!crowdEntries.length ? 'retail' : 'smart money'} venue data - divergence is one-sided`);
+  }
+
+  // Per-role aggregates for transparency
+  const roles = {};
+  for (const role of Object.keys(venueRegistry.VENUE_ROLES)) {
+    const roleEntries = entries.filter(e => e.venue.role === role);
+    const aggregate = aggregateVenueSnapshots(roleEntries);
+    if (!aggregate) continue;
+    roles[role] = {
+      side: venueRegistry.VENUE_ROLES[role].side,
+      venues: roleEntries.map(e => e.venue.id),
+      price_change: Number((aggregate.price_change || 0).toFixed(2)),
+      oi_change: Number((aggregate.oi_change || 0).toFixed(2)),
+      oi_direction: classifyOiMove(aggregate.oi_change || 0, timeframe, config).direction,
+      cvd_billions: Number(((aggregate.cvd || 0) / 1e9).toFixed(2)),
+      funding: aggregate.funding_rate_avg_pct || 0
+    };
+  }
+
+  // Informed roles moving OI in opposite directions weaken the read
+  const informedDirections = Object.values(roles)
+    .filter(r => r.side === 'informed' && r.oi_direction !== 'FLAT')
+    .map(r => r.oi_direction);
+  if (new Set(informedDirections).size > 1) {
+    result.confidence = Math.max(result.confidence - 1, 1);
+    result.warnings.push(`⚠️ Informed venues split: ${Object.entries(roles)
+      .filter(([, r]) => r.side === 'informed')
+      .map(([role, r]) => `${role} OI ${r.oi_change > 0 ? '+' : ''}${r.oi_change}%`).join(', ')}`);
+  }
+
+  return {
+    ...result,
+    profile: venueRegistry.getProfileName(venues),
+    venues: Object.fromEntries(entries.map(({ venue, data }) => [venue.id, {
+      exchange: venue.exchange,
+      role: venue.role,
+      side: venue.side,
+      price_change: data.price_change || 0,
+      oi_change: data.oi_change || 0,
+      cvd_billions: Number(((data.cvd || 0) / 1e9).toFixed(2)),
+      funding: data.funding_rate_avg_pct || 0
+    }])),
+    roles,
+    sides: {
+      crowd: { label: labels.crowd, venues: crowdEntries.map(e => e.venue.id) },
+      informed: { label: labels.informed, venues: informedEntries.map(e => e.venue.id) }
+    }
+  };
+}
+
+/**
+ * Two-exchange divergence (compatibility profile: Binance = retail,
+ * Bybit COIN-M = smart money), independent of config.venues
+ * @param {Object} positioning - Optional analyzePositioning() result; long/short
+ *   ratio evidence that confirms or contradicts the scenario's bias
+ */
+function analyzeExchangeDivergence(binance4h, bybit4h, timeframe = '4h', config, positioning = null) {
+  return analyzeVenueDivergence(
+    { Binance: binance4h, Bybit: bybit4h },
+    timeframe, config, positioning,
+    venueRegistry.getProfileVenues('classic')
+  );
+}
+
+/**
+ * Scenario engine on the two side aggregates
+ * b = crowd side (retail), y = informed side (smart money); the binance /
+ * bybit naming below is the classic profile's
+ * @param {Object} labels - { crowd, informed } display names for warnings
+ */
+function classifyDivergence(binance4h, bybit4h, timeframe = '4h', config, positioning = null, labels = { crowd: 'Binance', informed: 'Bybit' }) {
+  const L = labels;
   const b = {
     price: binance4h.price || 0,
     priceChange: binance4h.price_change || 0,
@@ -504,10 +727,10 @@ function analyzeExchangeDivergence(binance4h, bybit4h, timeframe = '4h') {
   };
 
   // Use classifiers for timeframe-aware analysis
-  const binancePriceMove = classifyPriceMove(b.priceChange, timeframe);
-  const bybitPriceMove = classifyPriceMove(y.priceChange, timeframe);
-  const binanceOiMove = classifyOiMove(b.oiChange, timeframe);
-  const bybitOiMove = classifyOiMove(y.oiChange, timeframe);
+  const binancePriceMove = classifyPriceMove(b.priceChange, timeframe, config);
+  const bybitPriceMove = classifyPriceMove(y.priceChange, timeframe, config);
+  const binanceOiMove = classifyOiMove(b.oiChange, timeframe, config);
+  const bybitOiMove = classifyOiMove(y.oiChange, timeframe, config);
 
   const deltas = {
     oi: b.oiChange - y.oiChange,
@@ -540,14 +763,14 @@ function analyzeExchangeDivergence(binance4h, bybit4h, timeframe = '4h') {
   const fundingNegative = b.funding < 0;
 
   // Issue 3 Fix: Safe whale/retail ratio calculation with thresholds
-  const whaleRetailCalc = calculateWhaleRetailRatio(y.oiChange, b.oiChange, y.oi, timeframe);
+  const whaleRetailCalc = calculateWhaleRetailRatio(y.oiChange, b.oiChange, y.oi, timeframe, config, L.informed);
   const whaleRetailRatio = whaleRetailCalc.ratio;
 
   let scenario, confidence, bias, warnings = [];
 
   // P0 FIX: Add warning if CVD is unreliable
   if (!cvdReliable) {
-    warnings.push(`CVD excluded from divergence analysis: ${!b.cvdReliable ? 'Binance CVD unreliable' : 'Bybit CVD unreliable'}`);
+    warnings.push(`CVD excluded from divergence analysis: ${!b.cvdReliable ? `${L.crowd} CVD unreliable` : `${L.informed} CVD unreliable`}`);
   }
 
   // SCENARIO 1: WHALE DISTRIBUTION (requires strong moves)
@@ -565,7 +788,7 @@ function analyzeExchangeDivergence(binance4h, bybit4h, timeframe = '4h') {
     bias = confidence >= 8 ? "STRONG_SHORT" : "SHORT";
     warnings = [
       "🔴 CRITICAL: Whales are DUMPING on retail",
-      `Bybit OI -${Math.abs(y.oiChange).toFixed(2)}% while Binance +${b.oiChange.toFixed(2)}%`,
+      `${L.informed} OI -${Math.abs(y.oiChange).toFixed(2)}% while ${L.crowd} +${b.oiChange.toFixed(2)}%`,
       "Smart money exiting while retail FOMO buying",
       "This is a MAJOR reversal signal - expect dump"
     ];
@@ -580,9 +803,9 @@ function analyzeExchangeDivergence(binance4h, bybit4h, timeframe = '4h') {
     bias = confidence >= 8 ? "STRONG_LONG" : "LONG";
     warnings = [
       "🐋 Whales are ACCUMULATING",
-      `Bybit OI +${y.oiChange.toFixed(2)}% outpacing Binance`,
+      `${L.informed} OI +${y.oiChange.toFixed(2)}% outpacing ${L.crowd}`,
       "Smart money showing strong conviction",
-      "Bybit COIN-M showing real demand - high confidence buy signal"
+      `${L.informed} showing real demand - high confidence buy signal`
     ];
   }
 
@@ -594,7 +817,7 @@ function analyzeExchangeDivergence(binance4h, bybit4h, timeframe = '4h') {
     bias = "SHORT";
     warnings = [
       "🚨 Retail FOMO rally - whales ABSENT",
-      `Binance OI +${b.oiChange.toFixed(2)}% while Bybit flat`,
+      `${L.crowd} OI +${b.oiChange.toFixed(2)}% while ${L.informed} flat`,
       "Funding high, CVD negative = weak rally",
       "Smart money not participating - expect rejection"
     ];
@@ -609,8 +832,8 @@ function analyzeExchangeDivergence(binance4h, bybit4h, timeframe = '4h') {
     bias = "LONG";
     warnings = [
       "⚡ SHORT SQUEEZE forming",
-      "Binance shorts crowded with negative funding",
-      "Bybit whales accumulating - preparing to squeeze",
+      `${L.crowd} shorts crowded with negative funding`,
+      `${L.informed} whales accumulating - preparing to squeeze`,
       "Expect violent move up to liquidate retail shorts"
     ];
   }
@@ -624,8 +847,8 @@ function analyzeExchangeDivergence(binance4h, bybit4h, timeframe = '4h') {
     bias = "SHORT";
     warnings = [
       "🛡️ Whales HEDGING the rally",
-      `Bybit OI rising ${whaleRetailRatio.toFixed(1)}x faster than Binance`,
-      "Bybit CVD negative = whales selling/shorting",
+      `${L.informed} OI rising ${whaleRetailRatio.toFixed(1)}x faster than ${L.crowd}`,
+      `${L.informed} CVD negative = whales selling/shorting`,
       "Smart money positioning for downside"
     ];
   }
@@ -665,7 +888,7 @@ function analyzeExchangeDivergence(binance4h, bybit4h, timeframe = '4h') {
     confidence = Math.min(5 + Math.floor(whaleRetailRatio), 10);
     bias = y.oiChange > 0 ? "LONG" : "SHORT";
     warnings = [
-      `📊 Bybit LEADING with ${bybitDirection}`,
+      `📊 ${L.informed} LEADING with ${bybitDirection}`,
       `Whale activity ${whaleRetailRatio.toFixed(1)}x stronger than retail`,
       "Smart money making directional bet",
       "Follow the whales - they usually know first"
@@ -678,9 +901,9 @@ function analyzeExchangeDivergence(binance4h, bybit4h, timeframe = '4h') {
     confidence = 6;
     bias = "WAIT";
     warnings = [
-      "📢 Binance NOISE - retail overreacting",
-      "Bybit whales unfazed and stable",
-      "Wait for Bybit confirmation before trading",
+      `📢 ${L.crowd} NOISE - retail overreacting`,
+      `${L.informed} whales unfazed and stable`,
+      `Wait for ${L.informed} confirmation before trading`,
       "Retail panic/FOMO does not equal real move"
     ];
   }
@@ -693,6 +916,21 @@ function analyzeExchangeDivergence(binance4h, bybit4h, timeframe = '4h') {
     warnings = ["Mixed signals - no clear divergence pattern"];
   }
 
+  // Positioning evidence: top-trader vs crowd ratios behind the whale/retail read
+  const positioningEvidence = assessEvidence(bias, positioning, getPositioningThresholds(config).evidenceBoost);
+  if (positioningEvidence) {
+    if (positioningEvidence.agreement === 'confirms') {
+      confidence = Math.min(confidence + positioningEvidence.adjustment, 10);
+      warnings.push(`🧭 Positioning confirms: ${positioningEvidence.reasoning}`);
+    } else if (positioningEvidence.agreement === 'contradicts') {
+      confidence = Math.max(confidence + positioningEvidence.adjustment, 1);
+      if (confidence < 8 && bias.startsWith("STRONG_")) bias = bias.replace("STRONG_", "");
+      warnings.push(`⚠️ Positioning contradicts: ${positioningEvidence.reasoning}`);
+    } else if (positioningEvidence.bias !== "WAIT") {
+      warnings.push(`🧭 Positioning leans ${positioningEvidence.bias}: ${positioningEvidence.reasoning}`);
+    }
+  }
+
   return {
     scenario,
     confidence,
@@ -730,6 +968,8 @@ function analyzeExchangeDivergence(binance4h, bybit4h, timeframe = '4h') {
     whaleRetailReason: whaleRetailCalc.reason,
     dominantPlayer: whaleRetailRatio > 1.5 ? "whales" : whaleRetailRatio < 0.5 ? "retail" : "balanced",
     volumeComparison: deltas.volumeComparison,
+    // null = no positioning data
+    positioning: positioningEvidence,
     warnings
   };
 }
@@ -741,13 +981,14 @@ function analyzeExchangeDivergence(binance4h, bybit4h, timeframe = '4h') {
 // Issue 3 Fix: Calculate Whale/Retail Ratio with safety thresholds
 // P1: Whale/Retail Reliability by Timeframe (Percent + Notional)
 // Now config-driven via getGates()
-function calculateWhaleRetailRatio(bybitOiChange, binanceOiChange, bybitOiUsd = 0, timeframe = '4h') {
+// bybit* = informed side, binance* = crowd side (see analyzeVenueDivergence)
+function calculateWhaleRetailRatio(bybitOiChange, binanceOiChange, bybitOiUsd = 0, timeframe = '4h', config, informedLabel = 'Bybit') {
   const bybitAbs = Math.abs(bybitOiChange);
   const binanceAbs = Math.abs(binanceOiChange);
 
   // Timeframe-specific thresholds (config-driven)
-  const gates = getGates();
-  const isScalping = ['30m', '1h'].includes(timeframe);
+  const gates = getGates(config);
+  const isScalping = isScalpingTimeframe(timeframe, config);
   const gateConfig = isScalping ? gates.whaleRetail?.scalping : gates.whaleRetail?.macro;
   const MIN_PCT = gateConfig?.minPct || (isScalping ? 0.2 : 0.5);
   const MIN_USD = gateConfig?.minUsd || (isScalping ? 2_000_000 : 10_000_000);
@@ -756,11 +997,11 @@ function calculateWhaleRetailRatio(bybitOiChange, binanceOiChange, bybitOiUsd =
 
   // Checks
   if (bybitAbs < MIN_PCT) {
-    return { ratio: 1, reliable: false, reason: `Bybit change ${bybitAbs.toFixed(2)}% below threshold ${MIN_PCT}%` };
+    return { ratio: 1, reliable: false, reason: `${informedLabel} change ${bybitAbs.toFixed(2)}% below threshold ${MIN_PCT}%` };
   }
 
   if (bybitChangeUsd < MIN_USD) {
-    return { ratio: 1, reliable: false, reason: `Bybit USD delta $${(bybitChangeUsd / 1000000).toFixed(1)}M below minimum $${(MIN_USD / 1000000).toFixed(0)}M` };
+    return { ratio: 1, reliable: false, reason: `${informedLabel} USD delta $${(bybitChangeUsd / 1000000).toFixed(1)}M below minimum $${(MIN_USD / 1000000).toFixed(0)}M` };
   }
 
   // If Binance is quiet but Bybit active, cap the ratio
@@ -1281,7 +1522,13 @@ function applyMacroAnchoring(aggregatedResult, tfDecisions) {
  * =======================================================================
  */
 
-function detectMarketRegime(binance4h, bybit4h, exchangeScenario, timeframe = '4h') {
+/**
+ * @param {Object} liquidations - Optional analyzeLiquidations() result; confirms
+ *   or weakens the covering (squeeze) classification
+ * @param {Object} spotPerp - Optional analyzeSpotPerp() result; perp-led moves
+ *   with flat spot CVD flag traps, spot-led moves confirm trends
+ */
+function detectMarketRegime(binance4h, bybit4h, exchangeScenario, timeframe = '4h', config, liquidations = null, spotPerp = null) {
   const priceChange = binance4h.price_change || 0;
   const oiChange = binance4h.oi_change || 0;
   const funding = binance4h.funding_rate_avg_pct || 0;
@@ -1292,8 +1539,8 @@ function detectMarketRegime(binance4h, bybit4h, exchangeScenario, timeframe = '4
   const cvdResolution = binance4h.cvdResolution;
 
   // Use classifiers for timeframe-aware analysis
-  const priceMove = classifyPriceMove(priceChange, timeframe);
-  const oiMove = classifyOiMove(oiChange, timeframe);
+  const priceMove = classifyPriceMove(priceChange, timeframe, config);
+  const oiMove = classifyOiMove(oiChange, timeframe, config);
 
   const priceUp = priceMove.direction === 'UP';
   const priceDown = priceMove.direction === 'DOWN';
@@ -1448,6 +1695,89 @@ function detectMarketRegime(binance4h, bybit4h, exchangeScenario, timeframe = '4
     ];
   }
 
+  // Liquidation-driven squeeze: one-sided liquidation cascade in the direction
+  // of the move while OI is not rising - forced closing even if the OI drop
+  // stays under the classifier threshold
+  if (regime !== "covering" && liquidations?.available && liquidations.cascade?.detected && !oiRising) {
+    if (liquidations.squeeze === "long_squeeze" && priceDown) {
+      regime = "covering";
+      subType = "long_squeeze";
+      confidence = 6;
+      characteristics = [
+        "Long liquidation cascade while price falls",
+        "Forced selling - not new shorts",
+        "Don't catch falling knife - wait for liquidations to fade"
+      ];
+    } else if (liquidations.squeeze === "short_squeeze" && priceUp) {
+      regime = "covering";
+      subType = "short_squeeze";
+      confidence = 6;
+      characteristics = [
+        "Short liquidation cascade while price rises",
+        "Forced buying - not new longs",
+        "Expect fizzle once liquidations fade"
+      ];
+    }
+  }
+
+  // Liquidation confirmation of the squeeze classification
+  let liquidationConfirmed = null;
+  if (regime === "covering" && liquidations?.available) {
+    liquidationConfirmed = liquidations.squeeze === subType;
+    if (liquidationConfirmed) {
+      confidence = Math.min(confidence + 1, 10);
+      characteristics = [
+        ...characteristics,
+        `Liquidations confirm: $${liquidations.latest.totalUsdM}M (${liquidations.spike.multiple}x avg)`
+      ];
+    } else {
+      confidence = Math.max(confidence - 2, 1);
+      characteristics = [
+        ...characteristics,
+        "No matching liquidation spike - voluntary de-risking, not a forced squeeze"
+      ];
+    }
+  }
+
+  // Spot vs perp flow: who is driving the move (covering regimes are left alone)
+  if (spotPerp?.available && regime !== "covering") {
+    const perpLedRally = spotPerp.scenario === "perp_led_rally" && priceUp;
+    const perpLedSelloff = spotPerp.scenario === "perp_led_selloff" && priceDown;
+    const spotLed = (spotPerp.scenario === "spot_led_rally" && priceUp) ||
+      (spotPerp.scenario === "spot_led_selloff" && priceDown);
+
+    if ((perpLedRally || perpLedSelloff) && regime === "trap") {
+      confidence = Math.min(confidence + 1, 10);
+      characteristics = [...characteristics, `Spot/perp confirms: ${spotPerp.reasoning}`];
+    } else if (perpLedRally && (regime === "unclear" || subType === "healthy_bull")) {
+      regime = "trap";
+      subType = "long_trap";
+      confidence = Math.max(spotPerp.confidence, 5);
+      characteristics = [
+        "Perp-led rally with flat spot CVD",
+        "Leverage, not spot demand, is lifting price",
+        spotPerp.basis?.expanding ? "Perp premium expanding - longs chasing" : "Spot buyers absent",
+        "Expect fade once perp buying stalls"
+      ];
+    } else if (perpLedSelloff && (regime === "unclear" || subType === "healthy_bear")) {
+      regime = "trap";
+      subType = "short_trap";
+      confidence = Math.max(spotPerp.confidence, 5);
+      characteristics = [
+        "Perp-led selloff while spot holds",
+        "Leveraged selling, not spot distribution",
+        spotPerp.basis?.state === "discount" ? "Perp at a discount - shorts pressing" : "Spot sellers absent",
+        "Expect snapback once perp selling stalls"
+      ];
+    } else if (spotLed && regime === "trending") {
+      confidence = Math.min(confidence + 1, 10);
+      characteristics = [...characteristics, `Spot-led: ${spotPerp.reasoning}`];
+    } else if (spotLed && regime === "trap") {
+      confidence = Math.max(confidence - 1, 1);
+      characteristics = [...characteristics, "Spot flow leads the move - trap less likely"];
+    }
+  }
+
   // Handle Range/Chop (Lowest priority - final check)
   if (priceFlat && oiFlat) {
     regime = "range";
@@ -1465,6 +1795,10 @@ function detectMarketRegime(binance4h, bybit4h, exchangeScenario, timeframe = '4
     subType,
     confidence,
     characteristics,
+    // null = no liquidation data or not a covering regime
+    liquidationConfirmed,
+    // null = no spot/perp flow data
+    spotPerpScenario: spotPerp?.available ? spotPerp.scenario : null,
     // Include classified data for transparency
     classified: {
       price: priceMove,
@@ -1535,223 +1869,22 @@ function calculateWeightedDecision(
   structure,
   options = { timeframe: '4h', cvdResolution: '4h' }
 ) {
-  const signals = [];
-
   // Get weights from config (config-driven)
-  const weights = getSignalWeights();
-
-  // Signal 1: Exchange Divergence
-  signals.push({
-    name: "exchange_divergence",
-    signal: exchangeAnalysis.bias,
-    confidence: exchangeAnalysis.confidence, // 0-10
-    weight: weights.exchange_divergence || 0.35,
-    reasoning: exchangeAnalysis.warnings[0]
-  });
-
-  // Signal 2: Market Regime
-  const regimeBias =
-    regimeAnalysis.regime === "distribution" || regimeAnalysis.subType === "long_trap" ? "SHORT" :
-      regimeAnalysis.regime === "accumulation" || regimeAnalysis.subType === "short_trap" ? "LONG" :
-        regimeAnalysis.subType === "healthy_bull" ? "LONG" :
-          regimeAnalysis.subType === "healthy_bear" ? "SHORT" : "WAIT";
-
-  signals.push({
-    name: "market_regime",
-    signal: regimeBias,
-    confidence: regimeAnalysis.confidence,
-    weight: weights.market_regime || 0.20,
-    reasoning: regimeAnalysis.characteristics[0]
-  });
-
-  // Signal 3: Structure Analysis
-  let structureBias = "WAIT";
-  let structureConf = 5;
-  let structureReason = "Structure is neutral";
-
-  if (structure) {
-    if (structure.bos === "bullish_bos") {
-      structureBias = "LONG";
-      structureConf = 9;
-      structureReason = "Bullish Break of Structure (BoS)";
-    } else if (structure.bos === "bearish_bos") {
-      structureBias = "SHORT";
-      structureConf = 9;
-      structureReason = "Bearish Break of Structure (BoS)";
-    } else if (binanceData.price && structure.support && binanceData.price <= structure.support * 1.01) {
-      structureBias = "LONG";
-      structureConf = 7;
-      structureReason = "Price at Support Level";
-    } else if (binanceData.price && structure.resistance && binanceData.price >= structure.resistance * 0.99) {
-      structureBias = "SHORT";
-      structureConf = 7;
-      structureReason = "Price at Resistance Level";
-    }
-  }
-
-  signals.push({
-    name: "structure",
-    signal: structureBias,
-    confidence: structureConf,
-    weight: weights.structure || 0.15,
-    reasoning: structureReason
-  });
-
-  // Signal 4: VWAP (5% weight) - Uses fixed bands (±1%, ±2%)
-  // VWAP is ALWAYS daily (session-based, 00:00 UTC start)
-  const vwapData = options.vwapData || { vwap: null };
-  const vwapInterpretation = interpretVWAP(vwapData);
-
-  // Build reasoning based on new signal values
-  let vwapReasoning = "VWAP data unavailable";
-  const deviationPct = vwapData.deviationPercent || 0;
-  switch (vwapInterpretation.signal) {
-    case 'upper_extreme':
-      vwapReasoning = `Price ${deviationPct.toFixed(2)}% above VWAP (Extreme Premium ≥2%)`;
-      break;
-    case 'lower_extreme':
-      vwapReasoning = `Price ${Math.abs(deviationPct).toFixed(2)}% below VWAP (Extreme Discount ≤-2%)`;
-      break;
-    case 'upper_band':
-      vwapReasoning = `Price ${deviationPct.toFixed(2)}% above VWAP (Premium 1-2%)`;
-      break;
-    case 'lower_band':
-      vwapReasoning = `Price ${Math.abs(deviationPct).toFixed(2)}% below VWAP (Discount 1-2%)`;
-      break;
-    case 'at_vwap':
-      vwapReasoning = "Price at VWAP (Fair Value within ±1%)";
-      break;
-  }
-
-  signals.push({
-    name: "vwap",
-    signal: vwapInterpretation.bias,
-    confidence: vwapInterpretation.confidence,
-    weight: weights.vwap || 0.05,
-    reasoning: vwapReasoning
-  });
-
-  // Signal 5: Technical Analysis
-  const techBias = technicalMetrics.technicalBias || "WAIT";
-  const techStrength = technicalMetrics.trend?.strength || 0;
-  const techDirection = technicalMetrics.trend?.direction || "unknown";
-
-  signals.push({
-    name: "technical",
-    signal: techBias,
-    confidence: Math.abs(techStrength) * 10,
-    weight: weights.technical || 0.10,
-    reasoning: techDirection !== "unknown"
-      ? `Trend ${techDirection} with strength ${techStrength}`
-      : "No technical data available"
-  });
-
-  // Signal 6: Funding
-  const fundingExtreme = fundingAdvanced?.extremeLevel || "normal";
-  const fundingBias = fundingAdvanced?.fundingBias || "WAIT";
-  const fundingZ = fundingAdvanced?.zScore || 0;
-
-  signals.push({
-    name: "funding",
-    signal: fundingBias,
-    confidence: Math.abs(fundingZ) * 2, // Approx confidence from Z
-    weight: weights.funding || 0.05,
-    reasoning: `Funding ${fundingExtreme} (Pain: $${fundingAdvanced?.painIndex || 0}M)`
-  });
-  // Signal 7: CVD (10% weight) - REFACTORED: Uses interpretCVD with slope analysis
-  const priceChange = binanceData.price_change || 0;
-  const cvdReliable = binanceData.cvdReliableForTf !== false;
-  const cvdResolution = binanceData.cvdResolution;
-  const cvdDataReason = binanceData.cvdReason;
-
-  // Get CVD slope data from options (passed in from caller with cvdSlopeData)
-  const cvdSlopeData = options.cvdSlopeData || {
-    cvdSlopeNormalized: 0,
-    cvdDirection: 'flat',
-    cvdTotal: binanceData.cvd || 0
-  };
-
-  // Use new interpretCVD for gated analysis
-  const cvdInterpretation = interpretCVD(cvdSlopeData, priceChange, options.timeframe);
-
-  // Apply reliability gating on top of interpretation
-  let cvdWeight = weights.cvd || 0.10;
-  let cvdWarning = null;
-
-  // Gate 1: Resolution mismatch (legacy case - 24h data on scalping TF)
-  if (['30m', '1h'].includes(options.timeframe) && cvdResolution === 'h24') {
-    cvdWeight = 0;
-    cvdInterpretation.cvdBias = 'NEUTRAL';
-    cvdInterpretation.cvdConfidence = 0;
-    cvdWarning = "CVD excluded: resolution mismatch (h24 data on scalping TF)";
-  }
-  // Gate 2: Data reliability check from calculateCVDPerTimeframe
-  else if (!cvdReliable) {
-    cvdWeight = 0;
-    cvdInterpretation.cvdBias = 'NEUTRAL';
-    cvdInterpretation.cvdConfidence = 0;
-    cvdWarning = `CVD excluded: ${cvdDataReason || 'data quality issue'}`;
-  }
-
-  signals.push({
-    name: "cvd",
-    signal: cvdInterpretation.cvdBias,
-    confidence: cvdInterpretation.cvdConfidence,
-    weight: cvdWeight,
-    reasoning: cvdInterpretation.cvdSignalType === 'noise'
-      ? "CVD slope too weak to signal"
-      : cvdInterpretation.cvdSignalType === 'accumulation'
-        ? "CVD rising while price flat (Accumulation)"
-        : cvdInterpretation.cvdSignalType === 'distribution'
-          ? "CVD falling while price flat (Distribution)"
-          : cvdInterpretation.cvdSignalType === 'bearish_divergence'
-            ? "CVD falling while price up (Bearish Divergence)"
-            : cvdInterpretation.cvdSignalType === 'bullish_divergence'
-              ? "CVD rising while price down (Bullish Divergence)"
-              : cvdInterpretation.cvdSignalType === 'confirmation'
-                ? `CVD confirming price ${priceChange > 0 ? 'up' : 'down'}`
-                : "CVD signal neutral",
-    metadata: {
-      cvdResolution,
-      cvdSlopeNormalized: cvdSlopeData.cvdSlopeNormalized,
-      cvdDirection: cvdSlopeData.cvdDirection,
-      cvdSignalType: cvdInterpretation.cvdSignalType,
-      cvdDataComplete: binanceData.cvdDataComplete,
-      cvdMarketImpactReliable: binanceData.cvdMarketImpactReliable,
-      cvdReliable,
-      cvdWarning
-    }
-  });
-
-  // Signal 8: Absorption (Phase 2 Integration)
-  const absorption = options.absorption;
-  if (absorption) {
-    if (absorption.resolved) {
-      const res = absorption.resolved;
-      const isBullish = res.resolution === 'ACCUMULATION' || (res.resolution === 'TRAP' && res.cvd_direction === 'selling'); // Selling trap -> Bullish
-      const isBearish = res.resolution === 'DISTRIBUTION' || (res.resolution === 'TRAP' && res.cvd_direction === 'buying'); // Buying trap -> Bearish
-
-      if (isBullish || isBearish) {
-        signals.push({
-          name: "absorption_resolved",
-          signal: isBullish ? "LONG" : "SHORT",
-          confidence: 10, // Max confidence for resolved metric
-          weight: 0.15,   // Significant weight
-          reasoning: `RESOLVED ${res.resolution}: ${res.resolution_reason}`
-        });
-      }
-    } else if (absorption.detected) {
-      // Phase 1 Detection - Monitor mode
-      // Can add a small signal or just reasoning
-      signals.push({
-        name: "absorption_detected",
-        signal: "WAIT",
-        confidence: 5,
-        weight: 0.0,
-        reasoning: `Potential ${absorption.detected.cvdDirection} absorption detected - monitoring for resolution`
-      });
-    }
-  }
+  const weights = getSignalWeights(options.config);
+
+  // Signals are plugins (src/services/signals) run in registration order;
+  // config.signals[name].enabled = false skips one
+  const { signals, disabled: disabledSignals } = signalRegistry.computeSignals({
+    binanceData,
+    bybitData,
+    exchangeAnalysis,
+    regimeAnalysis,
+    technicalMetrics,
+    fundingAdvanced,
+    volumeProfile,
+    structure,
+    ...options
+  }, options.config ?? configService.getCachedConfig(), weights);
 
   // P0-1: Confidence Scale Contract (0-10)
   let longScore = 0, shortScore = 0, waitScore = 0;
@@ -1780,6 +1913,13 @@ function calculateWeightedDecision(
     waitScore = (waitScore / totalActiveWeight);
   }
 
+  // Per-signal contribution to its side's score (same 0-10 scale)
+  signals.forEach(s => {
+    s.contribution = totalActiveWeight > 0
+      ? Number(((s.confidence * s.weight) / totalActiveWeight).toFixed(2))
+      : 0;
+  });
+
   // P1: Dual Confidence Output
   const directionConfidence = Math.max(longScore, shortScore);
   const minSide = Math.min(longScore, shortScore);
@@ -1828,6 +1968,8 @@ function calculateWeightedDecision(
       wait: Number(waitScore.toFixed(1))
     },
     signals,
+    // Registered signals switched off in config (config.signals[name].enabled)
+    disabledSignals,
     // P0 FIX: Warnings array for CVD and other signal issues
     warnings,
     // P1 Metrics (kept for backward compatibility)
@@ -1972,17 +2114,19 @@ function generateBucketNarrative(bucketName, tfData, bias, confidence) {
 /**
  * Generate timeframe buckets: MACRO, MICRO, SCALPING
  */
-function generateTimeframeBuckets(tfMetrics) {
+function generateTimeframeBuckets(tfMetrics, config) {
+  // Bucket membership is config-driven (timeframes.buckets)
+  const { buckets: bucketTimeframes } = getTimeframeConfig(config);
   const bucketConfig = {
-    macro: { timeframes: ['1d', '4h'], name: 'MACRO' },
-    micro: { timeframes: ['4h', '1h'], name: 'MICRO' },
-    scalping: { timeframes: ['1h', '30m'], name: 'SCALPING' }
+    macro: { timeframes: bucketTimeframes.macro, name: 'MACRO' },
+    micro: { timeframes: bucketTimeframes.micro, name: 'MICRO' },
+    scalping: { timeframes: bucketTimeframes.scalping, name: 'SCALPING' }
   };
 
   const buckets = {};
 
-  for (const [bucketKey, config] of Object.entries(bucketConfig)) {
-    const tfData = config.timeframes
+  for (const [bucketKey, bucket] of Object.entries(bucketConfig)) {
+    const tfData = bucket.timeframes
       .map(tf => tfMetrics[tf])
       .filter(Boolean);
 
@@ -1995,7 +2139,7 @@ function generateTimeframeBuckets(tfMetrics) {
         status: 'neutral',
         summary: 'Insufficient data for analysis.',
         bullets: ['Waiting for data...'],
-        timeframes: config.timeframes
+        timeframes: bucket.timeframes
       };
       continue;
     }
@@ -2061,7 +2205,7 @@ function generateTimeframeBuckets(tfMetrics) {
       status: bias.toLowerCase(),
       summary,
       bullets,
-      timeframes: config.timeframes
+      timeframes: bucket.timeframes
     };
   }
 
@@ -2074,11 +2218,21 @@ function generateTimeframeBuckets(tfMetrics) {
  * =======================================================================
  */
 
-
+/**
+ * Run the full multi-timeframe analysis
+ * @param {Object} marketData - { snapshot, history, symbol } (or legacy snapshot)
+ * @param {Object} historicalData - Legacy 4h history (old format only)
+ * @param {Object} options - { resolvedAbsorptions, config }
+ *   config: explicit analyzer config; when omitted the cached active config is used
+ */
 function calculateMarketMetrics(marketData, historicalData = {}, options = {}) {
   // Extract options
   const { resolvedAbsorptions = [] } = options;
 
+  // Explicit config makes the run deterministic (what-if re-scoring);
+  // otherwise resolve the active config once for the whole run
+  const config = options.config || configService.getCachedConfig();
+
   // 1. Parsing Input
   let snapshot, historyMap;
 
@@ -2095,16 +2249,28 @@ function calculateMarketMetrics(marketData, historicalData = {}, options = {}) {
     throw new Error("Invalid marketData format");
   }
 
-  const timeframes = ['30m', '1h', '4h', '1d'];
-  const weights = { '30m': 0.25, '1h': 0.25, '4h': 0.30, '1d': 0.20 };
+  // Base symbol ('BTC', 'ETH', ...) - used to match absorptions and tag output
+  const symbol = marketData.symbol || 'BTC';
+
+  // Timeframe set, aggregation weights and bias buffer (config.timeframes)
+  const { active: timeframes, weights, biasBuffer } = getTimeframeConfig(config);
 
   const tfMetrics = {};
   const tfDecisions = {};
 
+  // Configured venues present in the snapshot, roles from the config (config.venues)
+  const venues = venueRegistry.getActiveVenues(config);
+  const venueIds = Object.keys(snapshot).filter(id => snapshot[id] && venues.some(v => v.id === id));
+
   // 2. Loop Timeframes and Calculate Logic Layer 2 (Single TF)
   for (const tf of timeframes) {
-    const binanceData = snapshot.Binance?.[tf];
-    const bybitData = snapshot.Bybit?.[tf];
+    const venueData = Object.fromEntries(
+      venueIds.filter(id => snapshot[id]?.[tf]).map(id => [id, snapshot[id][tf]])
+    );
+
+    // Single-venue inputs (regime, decision) come from the primary crowd venue
+    const primaryVenue = venueRegistry.getPrimaryVenueId(Object.keys(venueData), venues);
+    const binanceData = venueData[primaryVenue];
 
     // Skip if missing critical data
     if (!binanceData || !binanceData.price) continue;
@@ -2113,9 +2279,24 @@ function calculateMarketMetrics(marketData, historicalData = {}, options = {}) {
     const priceHistory = tfHistory.priceHistory || [];
     const oiHistory = tfHistory.oiHistory || [];
     const fundingHistory = tfHistory.fundingHistory || [];
+    const liquidationHistory = tfHistory.liquidationHistory || [];
+    const positioningHistory = tfHistory.positioningHistory || {};
+
+    // 2.0 Effective price/OI thresholds (fixed or volatility-adaptive);
+    // adapted bands reach every classifier of this timeframe via tfConfig
+    const effectiveThresholds = getEffectiveThresholds(tf, { priceHistory, oiHistory }, config);
+    const tfConfig = effectiveThresholds.adapted ? withEffectiveThresholds(config, tf, effectiveThresholds) : config;
 
-    // 2.1 Exchange Divergence
-    const exchangeAnalysis = analyzeExchangeDivergence(binanceData, bybitData, tf);
+    // 2.0.1 Trader positioning (long/short ratios per exchange)
+    const positioning = analyzePositioning(positioningHistory, getPositioningThresholds(config));
+
+    // 2.1 Exchange Divergence (role-weighted across venues)
+    const exchangeAnalysis = analyzeVenueDivergence(venueData, tf, tfConfig, positioning, venues);
+    const bybitData = aggregateVenueSnapshots(
+      Object.entries(venueData)
+        .map(([id, data]) => ({ venue: venueRegistry.resolveVenue(id, venues), data }))
+        .filter(e => e.venue.side === 'informed')
+    ) || {};
 
     // 2.2 Technical Metrics
     const technicalMetrics = calculateTechnicalMetrics(priceHistory, oiHistory, fundingHistory);
@@ -2132,8 +2313,28 @@ function calculateMarketMetrics(marketData, historicalData = {}, options = {}) {
     // 2.6 Structure
     const structure = analyzeStructure(priceHistory);
 
-    // 2.7 Regime
-    const regimeAnalysis = detectMarketRegime(binanceData, bybitData, exchangeAnalysis.scenario, tf);
+    // 2.6.5 Liquidations (spikes, cascades, OI-drop confirmation)
+    const liquidations = analyzeLiquidations(liquidationHistory, {
+      priceChange: binanceData.price_change,
+      oiChange: binanceData.oi_change,
+      oiUsd: binanceData.oi
+    });
+
+    // 2.6.6 Spot vs perp flow (spot CVD, perp CVD, basis, leader)
+    const spotPerp = analyzeSpotPerp({
+      spotTaker: tfHistory.spotTakerHistory,
+      perpTaker: tfHistory.perpTakerHistory,
+      spotPrice: tfHistory.spotPriceHistory,
+      perpPrice: priceHistory
+    }, {
+      priceDirection: classifyPriceMove(binanceData.price_change || 0, tf, tfConfig).direction,
+      priceChange: binanceData.price_change
+    });
+
+    // 2.7 Regime (spot/perp overlay only when signals.market_regime.spotPerp is on)
+    const useSpotPerp = signalRegistry.getSignalSettings('market_regime', config)?.spotPerp === true;
+    const regimeAnalysis = detectMarketRegime(binanceData, bybitData, exchangeAnalysis.scenario, tf, tfConfig, liquidations,
+      useSpotPerp ? spotPerp : null);
 
     // 2.7.5 Calculate VWAP (Daily Session)
     const vwapData = calculateVWAP(priceHistory);
@@ -2157,11 +2358,12 @@ function calculateMarketMetrics(marketData, historicalData = {}, options = {}) {
       currentPriceData,
       structure,
       tf,
-      oiDataForAbs
+      oiDataForAbs,
+      effectiveThresholds.adapted ? effectiveThresholds.price.noise : undefined
     );
 
     // Find any RESOLVED absorption for this timeframe in passed options
-    const resolvedEvent = resolvedAbsorptions.find(a => a.timeframe === tf && a.symbol === (marketData.symbol || 'BTC'));
+    const resolvedEvent = resolvedAbsorptions.find(a => a.timeframe === tf && a.symbol === symbol);
 
     // 2.8 Weighted Decision
     const decision = calculateWeightedDecision(
@@ -2177,6 +2379,9 @@ function calculateMarketMetrics(marketData, historicalData = {}, options = {}) {
         timeframe: tf,
         cvdResolution: tf,
         vwapData,
+        config: tfConfig,
+        liquidations,
+        positioning,
         absorption: {
           detected: absorptionEvent,
           resolved: resolvedEvent
@@ -2192,6 +2397,10 @@ function calculateMarketMetrics(marketData, historicalData = {}, options = {}) {
       oiAdvanced,
       volumeProfile,
       structure,
+      liquidations,
+      positioning,
+      spotPerp,
+      effectiveThresholds,
       absorption: { // Store in metrics for response
         detected: absorptionEvent,
         resolved: resolvedEvent
@@ -2207,7 +2416,7 @@ function calculateMarketMetrics(marketData, historicalData = {}, options = {}) {
 
   for (const tf of timeframes) {
     if (tfDecisions[tf]) {
-      const w = weights[tf];
+      const w = weights[tf] || 0;
       aggLong += tfDecisions[tf].scores.long * w;
       aggShort += tfDecisions[tf].scores.short * w;
       aggWait += tfDecisions[tf].scores.wait * w;
@@ -2226,11 +2435,11 @@ function calculateMarketMetrics(marketData, historicalData = {}, options = {}) {
   const maxScore = Math.max(aggLong, aggShort, aggWait);
   let finalBias, finalConfidence;
 
-  // 1.2x buffer for bias confirmation vs opposite
-  if (maxScore === aggLong && aggLong > aggShort * 1.2) {
+  // Buffer (default 1.2x) for bias confirmation vs opposite
+  if (maxScore === aggLong && aggLong > aggShort * biasBuffer) {
     finalBias = "LONG";
     finalConfidence = maxScore; // Already 0-10
-  } else if (maxScore === aggShort && aggShort > aggLong * 1.2) {
+  } else if (maxScore === aggShort && aggShort > aggLong * biasBuffer) {
     finalBias = "SHORT";
     finalConfidence = maxScore;
   } else {
@@ -2259,7 +2468,8 @@ function calculateMarketMetrics(marketData, historicalData = {}, options = {}) {
 
   // 4. Derive Higher Level State (Layer 4)
   // Use 4h as Primary Regime source (Macro view) - Fallback to 1h if 4h missing
-  const primaryMetrics = tfMetrics['4h'] || tfMetrics['1h'] || tfMetrics['30m'];
+  const primaryMetrics = tfMetrics['4h'] || tfMetrics['1h'] || tfMetrics['30m'] ||
+    tfMetrics[timeframes.find(tf => tfMetrics[tf])];
   const primaryRegimeAnalysis = primaryMetrics?.marketRegime || { regime: 'unclear', subType: 'mixed_signals' };
 
   const primaryRegime = primaryRegimeAnalysis.regime;
@@ -2283,7 +2493,7 @@ function calculateMarketMetrics(marketData, historicalData = {}, options = {}) {
   // TIMEFRAME BUCKETS (MACRO / MICRO / SCALPING)
   // =========================================================================
 
-  const timeframeBuckets = generateTimeframeBuckets(tfMetrics);
+  const timeframeBuckets = generateTimeframeBuckets(tfMetrics, config);
 
   // Apply Macro Hierarchy - MACRO anchors the final decision
   let macroAnchored = false;
@@ -2315,6 +2525,7 @@ function calculateMarketMetrics(marketData, historicalData = {}, options = {}) {
   // Preserve top-level 4h metrics for backward compatibility, but update Final Decision
   return {
     timestamp: Date.now(),
+    symbol,
     timeframe: "4h", // Keeping this as "main" timeframe identifier for now
 
     // Top-Level Metrics (Prefer 4h)
@@ -2353,10 +2564,18 @@ function calculateMarketMetrics(marketData, historicalData = {}, options = {}) {
     oiAdvanced: primaryMetrics?.oiAdvanced,
     volumeProfile: primaryMetrics?.volumeProfile,
     structure: primaryMetrics?.structure,
+    liquidations: primaryMetrics?.liquidations,
+    positioning: primaryMetrics?.positioning,
+    spotPerp: primaryMetrics?.spotPerp,
 
     // Timeframe Deep Dive (New)
     timeframes: tfMetrics,
 
+    // Price/OI thresholds each timeframe was classified with (audit)
+    effectiveThresholds: Object.fromEntries(
+      Object.entries(tfMetrics).map(([tf, m]) => [tf, m.effectiveThresholds])
+    ),
+
     // TIMEFRAME BUCKETS (MACRO / MICRO / SCALPING)
     timeframeBuckets,
 
@@ -2438,9 +2657,11 @@ function calculateCvdNoiseFloor(cvdSeriesNorm) {
  * @param {Object} structure - { resistance, support }
  * @param {string} timeframe - '30m', '1h', '4h', '1d'
  * @param {Object} oiData - { behavior, currentOI } matching spec
+ * @param {number} [priceNoise] - Effective price noise band (adaptive thresholds);
+ *   defaults to the fixed per-timeframe band
  * @returns {Object|null} Absorption event object or null
  */
-function detectAbsorption(cvdSeriesNorm, currentPriceData, structure, timeframe = '4h', oiData = {}) {
+function detectAbsorption(cvdSeriesNorm, currentPriceData, structure, timeframe = '4h', oiData = {}, priceNoise) {
   // 1. Calculate Metrics
   const cvdSlopeNorm = calculateCvdSlopeNorm(cvdSeriesNorm, 10);
   const cvdNoiseFloor = calculateCvdNoiseFloor(cvdSeriesNorm);
@@ -2455,12 +2676,14 @@ function detectAbsorption(cvdSeriesNorm, currentPriceData, structure, timeframe
 
   // 3. Condition 2: Price Not Responding
   const thresholds = {
+    '15m': 0.18,
     '30m': 0.25,
     '1h': 0.4,
     '4h': 0.65,
-    '1d': 1.15
+    '1d': 1.15,
+    '1w': 3.0
   };
-  const priceThreshold = thresholds[timeframe] || 0.65;
+  const priceThreshold = priceNoise ?? thresholds[timeframe] ?? 0.65;
   const priceChange = currentPriceData.changePct || 0; // In percent e.g. 0.5
   const absPriceChange = Math.abs(priceChange);
 
@@ -2521,6 +2744,8 @@ function detectAbsorption(cvdSeriesNorm, currentPriceData, structure, timeframe
 module.exports = {
   calculateMarketMetrics,
   analyzeExchangeDivergence,
+  analyzeVenueDivergence,
+  aggregateVenueSnapshots,
   detectMarketRegime,
   calculateWeightedDecision,
   calculateTechnicalMetrics,
@@ -2538,8 +2763,15 @@ module.exports = {
   compareVolumeDirection,
   // Timeframe Buckets
   generateTimeframeBuckets,
+  getTimeframeConfig,
+  getEffectiveThresholds,
+  isScalpingTimeframe,
   deriveTradeStanceFromBucket,
 
+  // Signal interpreters (used by src/services/signals)
+  interpretCVD,
+  interpretVWAP,
+
   // Absorption Logic (V3)
   calculatePerCandleDelta,
   buildCvdSeriesNorm,
@@ -0,0 +1,561 @@
+// migrationRunner.js
+// Versioned schema migrations for both storage backends
+//
+// Layout (one directory per SQL dialect, same versions in both):
+//   db/migrations/postgres/<NNN>_<name>.up.sql   + <NNN>_<name>.down.sql
+//   db/migrations/sqlite/<NNN>_<name>.up.sql     + <NNN>_<name>.down.sql
+//
+// Applied migrations are recorded in `schema_migrations` (version, name,
+// checksum of the up script, applied_at, execution_ms). Each migration runs
+// in its own transaction together with its schema_migrations row.
+//
+// Executors:
+//   sqlite   - better-sqlite3 handle (the SQLite backend migrates on open)
+//   postgres - `pg` connection from DATABASE_URL (Supabase: Project Settings >
+//              Database > Connection string). PostgREST cannot run DDL.
+//
+// Startup: checkSchema() reads schema_migrations through the storage client
+// and reports pending / unknown / modified migrations. SCHEMA_CHECK=warn
+// (default) logs them, strict refuses to boot, off skips the check.
+//
+// CLI: node src/services/migrationRunner.js <status|up|down|baseline> [options]
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+
+/**
+ * =======================================================================
+ * CONFIGURATION
+ * =======================================================================
+ */
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', '..', 'db', 'migrations');
+
+const DIALECTS = ['postgres', 'sqlite'];
+
+// Storage backend name -> SQL dialect
+const BACKEND_DIALECTS = {
+    supabase: 'postgres',
+    sqlite: 'sqlite'
+};
+
+const FILE_PATTERN = /^(\d{3,})_([a-z0-9_]+)\.(up|down)\.sql$/;
+
+const TRACKING_TABLE_SQL = {
+    postgres: `CREATE TABLE IF NOT EXISTS schema_migrations (
+  version TEXT PRIMARY KEY,
+  name TEXT NOT NULL,
+  checksum TEXT NOT NULL,
+  applied_at TIMESTAMPTZ DEFAULT NOW(),
+  execution_ms INTEGER
+)`,
+    sqlite: `CREATE TABLE IF NOT EXISTS schema_migrations (
+    version TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    checksum TEXT NOT NULL,
+    applied_at TEXT DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+    execution_ms INTEGER
+)`
+};
+
+/**
+ * =======================================================================
+ * MIGRATION FILES
+ * =======================================================================
+ */
+
+function checksum(sql) {
+    return crypto.createHash('sha256').update(sql.replace(/\r\n/g, '\n')).digest('hex');
+}
+
+/**
+ * Load migrations for a dialect, sorted by version
+ * @param {string} dialect - 'postgres' | 'sqlite'
+ * @param {Object} options - { dir } (defaults to db/migrations)
+ * @returns {Array} [{ version, name, up, down, checksum }]
+ * @throws when a migration lacks its up or down script
+ */
+function loadMigrations(dialect, options = {}) {
+    if (!DIALECTS.includes(dialect)) {
+        throw new Error(`Unknown migration dialect: ${dialect}. Available: ${DIALECTS.join(', ')}`);
+    }
+
+    const dir = path.join(options.dir || MIGRATIONS_DIR, dialect);
+    if (!fs.existsSync(dir)) return [];
+
+    const byVersion = new Map();
+    for (const file of fs.readdirSync(dir)) {
+        const match = file.match(FILE_PATTERN);
+        if (!match) continue;
+
+        const [, version, name, direction] = match;
+        const entry = byVersion.get(version) || { version, name };
+        if (entry.name !== name) {
+            throw new Error(`Migration ${version} has conflicting names: ${entry.name}, ${name}`);
+        }
+        entry[direction] = fs.readFileSync(path.join(dir, file), 'utf8');
+        byVersion.set(version, entry);
+    }
+
+    return [...byVersion.values()]
+        .map(entry => {
+            if (entry.up === undefined || entry.down === undefined) {
+                throw new Error(`Migration ${entry.version}_${entry.name} (${dialect}) needs both .up.sql and .down.sql`);
+            }
+            return { ...entry, checksum: checksum(entry.up) };
+        })
+        .sort((a, b) => Number(a.version) - Number(b.version));
+}
+
+/**
+ * =======================================================================
+ * EXECUTORS
+ * =======================================================================
+ */
+
+/**
+ * Executor over a better-sqlite3 database handle
+ * (methods are synchronous - awaiting them works the same)
+ */
+function createSqliteExecutor(db) {
+    return {
+        dialect: 'sqlite',
+
+        ensureTable() {
+            db.exec(TRACKING_TABLE_SQL.sqlite);
+        },
+
+        getApplied() {
+            return db.prepare('SELECT version, name, checksum, applied_at, execution_ms FROM schema_migrations ORDER BY version').all();
+        },
+
+        apply(migration, { record = true, run = true } = {}) {
+            const started = Date.now();
+            db.transaction(() => {
+                if (run) db.exec(migration.up);
+                if (record) {
+                    db.prepare('INSERT INTO schema_migrations (version, name, checksum, execution_ms) VALUES (?, ?, ?, ?)')
+                        .run(migration.version, migration.name, migration.checksum, Date.now() - started);
+                }
+            })();
+        },
+
+        revert(migration) {
+            db.transaction(() => {
+                db.exec(migration.down);
+                db.prepare('DELETE FROM schema_migrations WHERE version = ?').run(migration.version);
+            })();
+        },
+
+        close() {}
+    };
+}
+
+/**
+ * Apply pending migrations to a SQLite handle synchronously
+ * Used by the SQLite backend when it opens its database file
+ * @returns {Array} Applied migration names
+ * @throws on the first failing migration (the database is unusable)
+ */
+function migrateSqlite(db, options = {}) {
+    const executor = createSqliteExecutor(db);
+    executor.ensureTable();
+    const appliedVersions = new Set(executor.getApplied().map(row => row.version));
+
+    const applied = [];
+    for (const migration of loadMigrations('sqlite', options)) {
+        if (appliedVersions.has(migration.version)) continue;
+        executor.apply(migration);
+        applied.push(`${migration.version}_${migration.name}`);
+    }
+    return applied;
+}
+
+/**
+ * Executor over a Postgres connection (DATABASE_URL)
+ */
+async function createPostgresExecutor(options = {}) {
+    const connectionString = options.connectionString || process.env.DATABASE_URL;
+    if (!connectionString) {
+        throw new Error('DATABASE_URL is required to run Postgres migrations (Supabase: Project Settings > Database > Connection string)');
+    }
+
+    // Lazy require - only needed for Postgres migrations
+    const { Client } = require('pg');
+    const client = new Client({ connectionString });
+    await client.connect();
+
+    async function inTransaction(fn) {
+        await client.query('BEGIN');
+        try {
+            await fn();
+            await client.query('COMMIT');
+        } catch (error) {
+            await client.query('ROLLBACK');
+            throw error;
+        }
+    }
+
+    return {
+        dialect: 'postgres',
+
+        async ensureTable() {
+            await client.query(TRACKING_TABLE_SQL.postgres);
+        },
+
+        async getApplied() {
+            const { rows } = await client.query('SELECT version, name, checksum, applied_at, execution_ms FROM schema_migrations ORDER BY version');
+            return rows;
+        },
+
+        async apply(migration, { record = true, run = true } = {}) {
+            const started = Date.now();
+            await inTransaction(async () => {
+                if (run) await client.query(migration.up);
+                if (record) {
+                    await client.query(
+                        'INSERT INTO schema_migrations (version, name, checksum, execution_ms) VALUES ($1, $2, $3, $4)',
+                        [migration.version, migration.name, migration.checksum, Date.now() - started]
+                    );
+                }
+            });
+        },
+
+        async revert(migration) {
+            await inTransaction(async () => {
+                await client.query(migration.down);
+                await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+            });
+        },
+
+        async close() {
+            // Make PostgREST (Supabase client) pick up new tables/columns
+            await client.query("NOTIFY pgrst, 'reload schema'").catch(() => {});
+            await client.end();
+        }
+    };
+}
+
+/**
+ * =======================================================================
+ * STATUS
+ * =======================================================================
+ */
+
+/**
+ * Compare available migrations with applied rows
+ * @returns {Object} { current, latest, applied, pending, unknown, modified, upToDate }
+ *   unknown: applied versions with no migration file (database is ahead of the code)
+ *   modified: applied migrations whose up script changed since
+ */
+function compareMigrations(migrations, appliedRows) {
+    const available = new Map(migrations.map(m => [m.version, m]));
+    const applied = new Map(appliedRows.map(row => [row.version, row]));
+
+    const pending = migrations.filter(m => !applied.has(m.version)).map(m => `${m.version}_${m.name}`);
+    const unknown = appliedRows.filter(row => !available.has(row.version)).map(row => `${row.version}_${row.name}`);
+    const modified = appliedRows
+        .filter(row => available.has(row.version) && available.get(row.version).checksum !== row.checksum)
+        .map(row => `${row.version}_${row.name}`);
+
+    const versions = appliedRows.map(row => row.version).sort((a, b) => Number(a) - Number(b));
+
+    return {
+        current: versions.length > 0 ? versions[versions.length - 1] : null,
+        latest: migrations.length > 0 ? migrations[migrations.length - 1].version : null,
+        applied: appliedRows.map(row => ({
+            version: row.version,
+            name: row.name,
+            appliedAt: row.applied_at,
+            executionMs: row.execution_ms
+        })),
+        pending,
+        unknown,
+        modified,
+        upToDate: pending.length === 0 && unknown.length === 0 && modified.length === 0
+    };
+}
+
+async function getStatus(executor, options = {}) {
+    await executor.ensureTable();
+    const migrations = loadMigrations(executor.dialect, options);
+    return { dialect: executor.dialect, ...compareMigrations(migrations, await executor.getApplied()) };
+}
+
+/**
+ * =======================================================================
+ * APPLY / ROLLBACK
+ * =======================================================================
+ */
+
+/**
+ * Apply pending migrations in order
+ * @param {Object} executor
+ * @param {Object} options - { to } stop after this version, { dir }
+ * @returns {Object} { success, applied: [...], error }
+ */
+async function migrate(executor, options = {}) {
+    await executor.ensureTable();
+    const migrations = loadMigrations(executor.dialect, options);
+    const appliedVersions = new Set((await executor.getApplied()).map(row => row.version));
+
+    const targets = migrations.filter(m =>
+        !appliedVersions.has(m.version) && (options.to === undefined || Number(m.version) <= Number(options.to))
+    );
+
+    const applied = [];
+    for (const migration of targets) {
+        try {
+            await executor.apply(migration);
+            applied.push(`${migration.version}_${migration.name}`);
+            logger.info(`[Migrations] Applied ${migration.version}_${migration.name} (${executor.dialect})`);
+        } catch (error) {
+            logger.error(`[Migrations] ${migration.version}_${migration.name} failed: ${error.message}`);
+            return { success: false, applied, failed: `${migration.version}_${migration.name}`, error: error.message };
+        }
+    }
+
+    return { success: true, applied };
+}
+
+/**
+ * Roll back applied migrations, newest first
+ * @param {Object} executor
+ * @param {Object} options - { steps } (default 1) or { to } keep versions <= to
+ * @returns {Object} { success, reverted: [...], error }
+ */
+async function rollback(executor, options = {}) {
+    await executor.ensureTable();
+    const migrations = new Map(loadMigrations(executor.dialect, options).map(m => [m.version, m]));
+    const appliedRows = (await executor.getApplied()).sort((a, b) => Number(b.version) - Number(a.version));
+
+    const targets = options.to !== undefined
+        ? appliedRows.filter(row => Number(row.version) > Number(options.to))
+        : appliedRows.slice(0, options.steps || 1);
+
+    const reverted = [];
+    for (const row of targets) {
+        const migration = migrations.get(row.version);
+        if (!migration) {
+            return { success: false, reverted, error: `No migration file for applied version ${row.version}_${row.name}` };
+        }
+        try {
+            await executor.revert(migration);
+            reverted.push(`${migration.version}_${migration.name}`);
+            logger.info(`[Migrations] Reverted ${migration.version}_${migration.name} (${executor.dialect})`);
+        } catch (error) {
+            logger.error(`[Migrations] Rollback of ${migration.version}_${migration.name} failed: ${error.message}`);
+            return { success: false, reverted, failed: `${migration.version}_${migration.name}`, error: error.message };
+        }
+    }
+
+    return { success: true, reverted };
+}
+
+/**
+ * Record migrations as applied without running them
+ * (databases set up by hand from db/*.sql before the runner existed)
+ * @param {Object} options - { to } (default: latest)
+ */
+async function baseline(executor, options = {}) {
+    await executor.ensureTable();
+    const migrations = loadMigrations(executor.dialect, options);
+    const appliedVersions = new Set((await executor.getApplied()).map(row => row.version));
+
+    const marked = [];
+    for (const migration of migrations) {
+        if (options.to !== undefined && Number(migration.version) > Number(options.to)) break;
+        if (appliedVersions.has(migration.version)) continue;
+        await executor.apply(migration, { run: false });
+        marked.push(`${migration.version}_${migration.name}`);
+    }
+
+    return { success: true, marked };
+}
+
+/**
+ * =======================================================================
+ * STARTUP CHECK
+ * =======================================================================
+ */
+
+/**
+ * Check the active storage backend's schema against the migration files
+ * Reads schema_migrations through the storage client (works over PostgREST)
+ * @returns {Object} { ok, backend, dialect, current, latest, pending, unknown, modified, error }
+ */
+async function checkSchema(options = {}) {
+    // Lazy require to avoid circular dependency (sqlite backend -> migrationRunner)
+    const storageBackend = require('./storageBackend');
+    const backend = storageBackend.getBackend();
+    const dialect = BACKEND_DIALECTS[backend.name];
+    const client = storageBackend.getClient();
+
+    if (!client || !dialect) {
+        return { ok: false, backend: backend.name, dialect: dialect || null, error: 'Storage backend not configured' };
+    }
+
+    const migrations = loadMigrations(dialect, options);
+    const { data, error } = await client
+        .from('schema_migrations')
+        .select('version, name, checksum, applied_at, execution_ms');
+
+    if (error) {
+        return {
+            ok: false,
+            backend: backend.name,
+            dialect,
+            latest: migrations.length > 0 ? migrations[migrations.length - 1].version : null,
+            pending: migrations.map(m => `${m.version}_${m.name}`),
+            error: `schema_migrations not readable (${error.message}) - run "npm run migrate -- baseline" on databases set up from db/*.sql`
+        };
+    }
+
+    const comparison = compareMigrations(migrations, data || []);
+    return {
+        ok: comparison.upToDate,
+        backend: backend.name,
+        dialect,
+        current: comparison.current,
+        latest: comparison.latest,
+        pending: comparison.pending,
+        unknown: comparison.unknown,
+        modified: comparison.modified
+    };
+}
+
+/**
+ * Run checkSchema() with the SCHEMA_CHECK policy
+ * @returns {Object} { ok, fatal, ...checkSchema() }
+ */
+async function verifySchemaOnStartup(policy = process.env.SCHEMA_CHECK || 'warn') {
+    if (policy === 'off') return { ok: true, fatal: false, skipped: true };
+
+    const result = await checkSchema();
+    if (result.ok) {
+        logger.info(`🗄️  Schema up to date (${result.dialect} v${result.current})`);
+        return { ...result, fatal: false };
+    }
+
+    const details = result.error || [
+        result.pending?.length ? `pending: ${result.pending.join(', ')}` : null,
+        result.unknown?.length ? `unknown (database ahead of code): ${result.unknown.join(', ')}` : null,
+        result.modified?.length ? `modified since applied: ${result.modified.join(', ')}` : null
+    ].filter(Boolean).join('; ');
+
+    const fatal = policy === 'strict';
+    logger[fatal ? 'error' : 'warn'](`⚠️ Schema mismatch on ${result.backend} (${details})${fatal ? '' : ' - set SCHEMA_CHECK=strict to refuse boot'}`);
+
+    return { ...result, fatal };
+}
+
+/**
+ * =======================================================================
+ * EXPORTS
+ * =======================================================================
+ */
+
+module.exports = {
+    loadMigrations,
+    compareMigrations,
+    createSqliteExecutor,
+    createPostgresExecutor,
+    migrateSqlite,
+    getStatus,
+    migrate,
+    rollback,
+    baseline,
+    checkSchema,
+    verifySchemaOnStartup,
+
+    // Constants
+    MIGRATIONS_DIR,
+    DIALECTS,
+    BACKEND_DIALECTS
+};
+
+/**
+ * =======================================================================
+ * CLI
+ * =======================================================================
+ */
+
+if (require.main === module) {
+    require('dotenv').config();
+
+    const [command = 'status', ...rest] = process.argv.slice(2);
+    const args = {};
+    rest.forEach(arg => {
+        if (arg.startsWith('--')) {
+            const [key, value] = arg.slice(2).split('=');
+            args[key] = value === undefined ? true : value;
+        }
+    });
+
+    if (command === 'help' || args.help) {
+        console.log(`
+Schema Migrations
+=================
+
+Usage: npm run migrate -- <command> [options]
+       node src/services/migrationRunner.js <command> [options]
+
+Commands:
+  status                Show applied / pending migrations (default)
+  up                    Apply pending migrations
+  down                  Roll back the latest migration
+  baseline              Mark migrations as applied without running them
+
+Options:
+  --to=NNN              up/baseline: stop at version, down: roll back to version
+  --steps=N             down: number of migrations to roll back (default: 1)
+  --backend=NAME        supabase (Postgres via DATABASE_URL) | sqlite (SQLITE_PATH)
+                        Default: STORAGE_BACKEND
+
+Example:
+  npm run migrate -- up
+  npm run migrate -- down --steps=2 --backend=sqlite
+`);
+        process.exit(0);
+    }
+
+    (async () => {
+        const backendName = (args.backend || process.env.STORAGE_BACKEND || 'supabase').toLowerCase();
+        let executor;
+        let sqlite;
+
+        if (backendName === 'sqlite') {
+            const Database = require('better-sqlite3');
+            const { DEFAULT_SQLITE_PATH } = require('./storage/sqliteStorage');
+            const dbPath = process.env.SQLITE_PATH || DEFAULT_SQLITE_PATH;
+            fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+            sqlite = new Database(dbPath);
+            sqlite.pragma('foreign_keys = ON');
+            executor = createSqliteExecutor(sqlite);
+        } else if (BACKEND_DIALECTS[backendName] === 'postgres') {
+            executor = await createPostgresExecutor();
+        } else {
+            throw new Error(`Unknown backend: ${backendName}`);
+        }
+
+        let result;
+        try {
+            if (command === 'up') result = await migrate(executor, { to: args.to });
+            else if (command === 'down') result = await rollback(executor, { to: args.to, steps: Number(args.steps) || 1 });
+            else if (command === 'baseline') result = await baseline(executor, { to: args.to });
+            else if (command === 'status') result = await getStatus(executor);
+            else throw new Error(`Unknown command: ${command} (see --help)`);
+        } finally {
+            await executor.close();
+            if (sqlite) sqlite.close();
+        }
+
+        console.log(JSON.stringify(result, null, 2));
+        process.exit(result.success === false ? 1 : 0);
+    })().catch(error => {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    });
+}
@@ -0,0 +1,232 @@
+// src/services/outcomeLabelStorage.js
+// ============================================================================
+// Outcome Label Storage (versioned, multi-horizon)
+// ============================================================================
+// One row per (state, horizon, labeler version) in outcome_labels, so a state
+// carries SCALPING / MICRO / MACRO labels side by side and relabeling with new
+// rules (a new labeler version) adds rows instead of destroying old results.
+// Relabeling with the same version replaces that version's row.
+//
+// state_source: 'replay' (replay_states.id) | 'live' (market_states.id)
+// labeler_version: outcomeLabeler.LABEL_METHOD_VERSIONS value
+//
+// The outcome_* columns on the state tables hold the PRIMARY_HORIZON label
+// (first labeler version stored) for legacy readers: pending counts, stats,
+// frontend. Other horizons only live in outcome_labels.
+//
+// Schema: db/migrations/*/008_outcome_labels.up.sql
+// ============================================================================
+
+const storageBackend = require('./storageBackend');
+const logger = require('../utils/logger');
+
+/**
+ * =======================================================================
+ * STORAGE CLIENT (Supabase or SQLite - see storageBackend.js)
+ * =======================================================================
+ */
+
+function getSupabase() {
+    return storageBackend.getClient();
+}
+
+const LABEL_SOURCES = {
+    REPLAY: 'replay',
+    LIVE: 'live'
+};
+
+const CONFLICT_KEY = 'state_source,state_id,horizon,labeler_version';
+
+// Horizon mirrored into the state tables' outcome_* columns (the horizon
+// labeled before per-horizon labels existed)
+const PRIMARY_HORIZON = 'MICRO';
+
+// State ids per .in() query (keeps request URLs short on Supabase)
+const ID_CHUNK_SIZE = 200;
+
+/**
+ * =======================================================================
+ * ROW MAPPING
+ * =======================================================================
+ */
+
+/**
+ * outcome_labels row from a labeling result
+ * @param {string} source - LABEL_SOURCES value
+ * @param {string} stateId - replay_states.id / market_states.id
+ * @param {Object} outcomeData - { label, reason, horizon, finalPrice, finalMovePercent,
+ *   maxFavorableExcursion, maxAdverseExcursion, method, methodVersion, rMultiple, timeToHitMs, barrierHit }
+ */
+function buildLabelRow(source, stateId, outcomeData) {
+    return {
+        state_source: source,
+        state_id: stateId,
+        horizon: outcomeData.horizon,
+        method: outcomeData.method || 'threshold',
+        labeler_version: outcomeData.methodVersion || 'threshold-v0',
+        label: outcomeData.label,
+        reason: outcomeData.reason || null,
+        final_price: outcomeData.finalPrice ?? null,
+        move_pct: outcomeData.finalMovePercent ?? null,
+        mfe: outcomeData.maxFavorableExcursion ?? null,
+        mae: outcomeData.maxAdverseExcursion ?? null,
+        r_multiple: outcomeData.rMultiple ?? null,
+        time_to_hit_ms: outcomeData.timeToHitMs ?? null,
+        barrier: outcomeData.barrierHit || null,
+        labeled_at: Date.now()
+    };
+}
+
+/**
+ * State-table outcome_* columns from an outcome_labels row
+ * (lets the scoreboard score versioned labels like legacy rows)
+ */
+function toStateOutcomeColumns(labelRow) {
+    return {
+        outcome_label: labelRow.label,
+        outcome_reason: labelRow.reason,
+        outcome_horizon: labelRow.horizon,
+        outcome_price: labelRow.final_price,
+        outcome_move_pct: labelRow.move_pct,
+        outcome_mfe: labelRow.mfe,
+        outcome_mae: labelRow.mae,
+        outcome_method: labelRow.method,
+        outcome_method_version: labelRow.labeler_version,
+        outcome_r_multiple: labelRow.r_multiple,
+        outcome_time_to_hit_ms: labelRow.time_to_hit_ms,
+        outcome_barrier: labelRow.barrier,
+        outcome_labeled_at: labelRow.labeled_at
+    };
+}
+
+/**
+ * One scoreboard row per (state, matching label); states without a label are left out
+ */
+function joinStatesWithLabels(states, labels) {
+    const byState = new Map();
+    for (const label of labels) {
+        if (!byState.has(label.state_id)) byState.set(label.state_id, []);
+        byState.get(label.state_id).push(label);
+    }
+
+    const rows = [];
+    for (const state of states) {
+        for (const label of byState.get(state.id) || []) {
+            rows.push({ ...state, ...toStateOutcomeColumns(label) });
+        }
+    }
+    return rows;
+}
+
+/**
+ * =======================================================================
+ * STORAGE OPERATIONS
+ * =======================================================================
+ */
+
+/**
+ * Insert or replace labels (same state/horizon/version = replaced)
+ * @param {Array} rows - buildLabelRow() results
+ * @returns {Object} { success, count, error? }
+ */
+async function saveOutcomeLabels(rows) {
+    const client = getSupabase();
+    if (!client) return { success: false, error: 'Database not configured' };
+    if (!rows || rows.length === 0) return { success: true, count: 0 };
+
+    try {
+        const { error } = await client
+            .from('outcome_labels')
+            .upsert(rows, { onConflict: CONFLICT_KEY });
+
+        if (error) {
+            logger.error('[OutcomeLabelStorage] saveOutcomeLabels error:', error.message);
+            return { success: false, error: error.message };
+        }
+
+        return { success: true, count: rows.length };
+
+    } catch (err) {
+        logger.error('[OutcomeLabelStorage] saveOutcomeLabels exception:', err.message);
+        return { success: false, error: err.message };
+    }
+}
+
+/**
+ * Labels of the given states
+ * @param {Array} stateIds - State ids
+ * @param {Object} filters - { source (default replay), horizon, labelerVersion, method }
+ * @returns {Array} outcome_labels rows
+ */
+async function getLabelsForStates(stateIds, filters = {}) {
+    const client = getSupabase();
+    if (!client || !stateIds || stateIds.length === 0) return [];
+
+    const { source = LABEL_SOURCES.REPLAY, horizon, labelerVersion, method } = filters;
+    const labels = [];
+
+    try {
+        for (let i = 0; i < stateIds.length; i += ID_CHUNK_SIZE) {
+            let query = client
+                .from('outcome_labels')
+                .select('*')
+                .eq('state_source', source)
+                .in('state_id', stateIds.slice(i, i + ID_CHUNK_SIZE));
+
+            if (horizon) query = query.eq('horizon', horizon);
+            if (labelerVersion) query = query.eq('labeler_version', labelerVersion);
+            if (method) query = query.eq('method', method);
+
+            const { data, error } = await query;
+            if (error) {
+                logger.error('[OutcomeLabelStorage] getLabelsForStates error:', error.message);
+                return [];
+            }
+            labels.push(...(data || []));
+        }
+
+        return labels;
+
+    } catch (err) {
+        logger.error('[OutcomeLabelStorage] getLabelsForStates exception:', err.message);
+        return [];
+    }
+}
+
+/**
+ * Add `outcomeLabels` (filtered) to each state - history APIs
+ * @param {Array} states - Rows with `id`
+ * @param {Object} filters - see getLabelsForStates
+ */
+async function attachOutcomeLabels(states, filters = {}) {
+    if (!states || states.length === 0) return states || [];
+
+    const labels = await getLabelsForStates(states.map(s => s.id), filters);
+    const byState = new Map();
+    for (const label of labels) {
+        if (!byState.has(label.state_id)) byState.set(label.state_id, []);
+        byState.get(label.state_id).push(label);
+    }
+
+    return states.map(state => ({ ...state, outcomeLabels: byState.get(state.id) || [] }));
+}
+
+/**
+ * =======================================================================
+ * EXPORTS
+ * =======================================================================
+ */
+
+module.exports = {
+    saveOutcomeLabels,
+    getLabelsForStates,
+    attachOutcomeLabels,
+
+    // Row mapping
+    buildLabelRow,
+    toStateOutcomeColumns,
+    joinStatesWithLabels,
+
+    LABEL_SOURCES,
+    PRIMARY_HORIZON
+};
@@ -18,6 +18,9 @@
  * Labels are deterministic and repeatable.
  */
 
+const { atrPctSeries } = require('./adaptiveThresholds');
+const { intervalToMs } = require('./dataUtils');
+
 /**
  * =======================================================================
  * OUTCOME LABEL DEFINITIONS
@@ -48,7 +51,9 @@ const TIME_HORIZONS = {
         },
         // Threshold: what % move is "significant" (not noise)?
         // Start percentage-based, later can be ATR-based
-        significanceThreshold: 0.3 // 0.3% move = significant for scalping
+        significanceThreshold: 0.3, // 0.3% move = significant for scalping
+        // Triple-barrier distances in volatility units (see TRIPLE_BARRIER_CONFIG)
+        tripleBarrier: { profitMultiple: 1.0, stopMultiple: 1.0 }
     },
     MICRO: {
         name: 'MICRO',
@@ -58,7 +63,8 @@ const TIME_HORIZONS = {
             '1h': 8,   // 8 x 1h = 8 hours
             '4h': 2    // 2 x 4h = 8 hours
         },
-        significanceThreshold: 0.8 // 0.8% move = significant for micro
+        significanceThreshold: 0.8, // 0.8% move = significant for micro
+        tripleBarrier: { profitMultiple: 2.0, stopMultiple: 1.0 }
     },
     MACRO: {
         name: 'MACRO',
@@ -68,10 +74,42 @@ const TIME_HORIZONS = {
             '4h': 30,  // 30 x 4h = 5 days
             '1d': 5    // 5 x 1d = 5 days
         },
-        significanceThreshold: 2.0 // 2% move = significant for macro
+        significanceThreshold: 2.0, // 2% move = significant for macro
+        tripleBarrier: { profitMultiple: 3.0, stopMultiple: 1.5 }
     }
 };
 
+/**
+ * =======================================================================
+ * LABEL METHODS
+ * =======================================================================
+ * threshold      - final move vs the horizon's significanceThreshold (default)
+ * triple_barrier - first barrier touched wins: profit (CONTINUATION),
+ *                  stop (REVERSAL) or time / end of horizon (NOISE).
+ *                  Barriers are volatility-scaled, results carry an
+ *                  R-multiple (1R = stop distance) and the time to hit.
+ *
+ * The version is stored with every label - bump it when a method's rules
+ * change so old and new labels are never mixed silently.
+ */
+
+const LABEL_METHODS = {
+    THRESHOLD: 'threshold',
+    TRIPLE_BARRIER: 'triple_barrier'
+};
+
+const LABEL_METHOD_VERSIONS = {
+    [LABEL_METHODS.THRESHOLD]: 'threshold-v1',
+    [LABEL_METHODS.TRIPLE_BARRIER]: 'triple_barrier-v1'
+};
+
+const TRIPLE_BARRIER_CONFIG = {
+    // ATR period (horizon-timeframe candles closed before the signal).
+    // 1 volatility unit = ATR% at signal time; without ATR the horizon's
+    // significanceThreshold is the unit
+    atrPeriod: 14
+};
+
 /**
  * =======================================================================
  * OUTCOME LABELING LOGIC
@@ -86,26 +124,62 @@ const TIME_HORIZONS = {
  * - No randomness or external state
  * 
  * @param {Object} marketState - The market state at signal time
- * @param {Array} futurePrices - Array of future prices AFTER the signal
+ * @param {Array} futurePrices - Future prices AFTER the signal: numbers, or
+ *   candles ({ time, close|price, high, low }) - triple_barrier needs candles
  * @param {string} horizon - One of: SCALPING, MICRO, MACRO
- * @returns {Object} Outcome label with metadata
+ * @param {Object} options - {
+ *   method: 'threshold' (default) | 'triple_barrier',
+ *   atrPct: ATR % at signal time (triple_barrier barrier scaling),
+ *   signalTime: signal timestamp for time-to-hit (default marketState.timestamp),
+ *   timeframe: candle timeframe - triple_barrier cuts the candles to the
+ *     horizon window (getHorizonWindowCandles) and stays PENDING until it is complete
+ * }
+ * @returns {Object} Outcome label with metadata (incl. method, methodVersion)
  */
-function calculateOutcomeLabel(marketState, futurePrices, horizon) {
-    const horizonConfig = TIME_HORIZONS[horizon];
-    if (!horizonConfig) {
+function calculateOutcomeLabel(marketState, futurePrices, horizon, options = {}) {
+    if (!TIME_HORIZONS[horizon]) {
         throw new Error(`Invalid horizon: ${horizon}. Must be one of: ${Object.keys(TIME_HORIZONS).join(', ')}`);
     }
 
+    const method = options.method || LABEL_METHODS.THRESHOLD;
+    if (!LABEL_METHOD_VERSIONS[method]) {
+        throw new Error(`Invalid label method: ${method}. Must be one of: ${Object.values(LABEL_METHODS).join(', ')}`);
+    }
+
+    const outcome = method === LABEL_METHODS.TRIPLE_BARRIER
+        ? calculateTripleBarrierLabel(marketState, futurePrices, horizon, options)
+        : calculateThresholdLabel(marketState, (futurePrices || []).map(toClose), horizon);
+
+    return { ...outcome, method, methodVersion: LABEL_METHOD_VERSIONS[method] };
+}
+
+/**
+ * Reference price at signal time
+ */
+function getSignalPrice(marketState) {
+    return marketState.raw?.binance?.['4h']?.price ||
+        marketState.raw?.binance?.['1h']?.price ||
+        marketState.exchangeDivergence?.binance?.price ||
+        null;
+}
+
+function toClose(point) {
+    return typeof point === 'number' ? point : Number(point?.close ?? point?.price);
+}
+
+/**
+ * Threshold method: final move vs significanceThreshold
+ */
+function calculateThresholdLabel(marketState, futurePrices, horizon) {
+    const horizonConfig = TIME_HORIZONS[horizon];
+
     // Extract bias from market state
     const decision = marketState.finalDecision || {};
     const bias = decision.bias;
     const confidence = decision.confidence || 0;
 
     // Get reference price at signal time
-    const signalPrice = marketState.raw?.binance?.['4h']?.price ||
-        marketState.raw?.binance?.['1h']?.price ||
-        marketState.exchangeDivergence?.binance?.price ||
-        null;
+    const signalPrice = getSignalPrice(marketState);
 
     if (!signalPrice) {
         return {
@@ -270,6 +344,224 @@ function calculateWaitOutcome(signalPrice, futurePrices, horizonConfig) {
     };
 }
 
+/**
+ * =======================================================================
+ * TRIPLE-BARRIER LABELING
+ * =======================================================================
+ */
+
+/**
+ * Candles of `timeframe` spanning the horizon (the time barrier)
+ * e.g. MICRO on 1h = 8, SCALPING on 30m = 2
+ */
+function getHorizonWindowCandles(horizon, timeframe) {
+    const horizonConfig = TIME_HORIZONS[horizon];
+    return horizonConfig.lookbackCandles[timeframe]
+        ?? Math.ceil(horizonConfig.maxMinutes * 60 * 1000 / intervalToMs(timeframe));
+}
+
+/**
+ * ATR % of the last candle (candles closed before the signal, chronological)
+ * @returns {number|null} null when fewer than atrPeriod + 1 candles
+ */
+function calculateAtrPct(candles, period = TRIPLE_BARRIER_CONFIG.atrPeriod) {
+    const normalized = (candles || [])
+        .map(c => {
+            const close = toClose(c);
+            return {
+                close,
+                high: Number(c.high) > 0 ? Number(c.high) : close,
+                low: Number(c.low) > 0 ? Number(c.low) : close
+            };
+        })
+        .filter(c => c.close > 0);
+
+    const series = atrPctSeries(normalized, period);
+    return series.length > 0 ? Number(series[series.length - 1].toFixed(4)) : null;
+}
+
+/**
+ * Triple-barrier label: profit / stop barriers around the signal price and
+ * the end of the horizon as the time barrier. The first barrier touched
+ * decides; a candle touching both counts as the stop (conservative).
+ *
+ * With options.timeframe only the horizon window (getHorizonWindowCandles)
+ * counts - later candles are ignored, fewer candles leave the label PENDING -
+ * so the label does not depend on when it is computed. Without it the
+ * candles passed are the window.
+ *
+ * Directional signals: profit -> CONTINUATION, stop -> REVERSAL, time -> NOISE
+ *   rMultiple = profit / stop distance on profit, -1 on stop, final move / stop
+ *   distance on time
+ * WAIT: symmetric barriers at the profit distance; touching one means WAIT
+ *   missed a move (CONTINUATION), surviving to the time barrier is a correct
+ *   WAIT (NOISE). barrierHit = 'upper' | 'lower' | 'time', no R-multiple.
+ */
+function calculateTripleBarrierLabel(marketState, futureCandles, horizon, options = {}) {
+    const horizonConfig = TIME_HORIZONS[horizon];
+    const decision = marketState.finalDecision || {};
+    const bias = decision.bias;
+    const confidence = decision.confidence || 0;
+    const signalPrice = getSignalPrice(marketState);
+
+    if (!signalPrice) {
+        return {
+            label: OUTCOME_LABELS.PENDING,
+            reason: 'No reference price available at signal time',
+            horizon,
+            bias,
+            confidence
+        };
+    }
+
+    const candles = (futureCandles || [])
+        .map(c => {
+            const close = toClose(c);
+            return {
+                time: typeof c === 'number' ? null : Number(c.time ?? c.timestamp) || null,
+                close,
+                high: Number(c?.high) > 0 ? Number(c.high) : close,
+                low: Number(c?.low) > 0 ? Number(c.low) : close
+            };
+        })
+        .filter(c => c.close > 0);
+
+    if (candles.length === 0) {
+        return {
+            label: OUTCOME_LABELS.PENDING,
+            reason: 'No future price data available yet',
+            horizon,
+            bias,
+            confidence,
+            signalPrice
+        };
+    }
+
+    if (options.timeframe) {
+        const windowCandles = getHorizonWindowCandles(horizon, options.timeframe);
+        if (candles.length < windowCandles) {
+            return {
+                label: OUTCOME_LABELS.PENDING,
+                reason: `Horizon window incomplete: ${candles.length}/${windowCandles} ${options.timeframe} candles`,
+                horizon,
+                bias,
+                confidence,
+                signalPrice
+            };
+        }
+        candles.length = windowCandles;
+    }
+
+    // Barrier distances (%) in volatility units
+    const atrPct = Number(options.atrPct) > 0 ? Number(options.atrPct) : null;
+    const unitPct = atrPct ?? horizonConfig.significanceThreshold;
+    const { profitMultiple, stopMultiple } = horizonConfig.tripleBarrier;
+    const profitPct = profitMultiple * unitPct;
+    const stopPct = stopMultiple * unitPct;
+
+    const direction =
+        (bias === 'LONG' || bias === 'BULLISH') ? 1 :
+            (bias === 'SHORT' || bias === 'BEARISH') ? -1 :
+                0;
+
+    const upPct = direction === -1 ? stopPct : profitPct;
+    const downPct = direction === 1 ? stopPct : profitPct;
+    const upper = signalPrice * (1 + upPct / 100);
+    const lower = signalPrice * (1 - downPct / 100);
+
+    // Walk forward to the first barrier touch
+    let touched = null;
+    let hitIndex = candles.length - 1;
+    let maxHigh = signalPrice;
+    let minLow = signalPrice;
+    for (let i = 0; i < candles.length; i++) {
+        const c = candles[i];
+        maxHigh = Math.max(maxHigh, c.high);
+        minLow = Math.min(minLow, c.low);
+        const hitUpper = c.high >= upper;
+        const hitLower = c.low <= lower;
+        if (!hitUpper && !hitLower) continue;
+
+        hitIndex = i;
+        if (hitUpper && hitLower) {
+            touched = direction === 1 ? 'lower' : direction === -1 ? 'upper' : (c.close >= signalPrice ? 'upper' : 'lower');
+        } else {
+            touched = hitUpper ? 'upper' : 'lower';
+        }
+        break;
+    }
+
+    const exitCandle = candles[hitIndex];
+    const exitPrice = touched === 'upper' ? upper : touched === 'lower' ? lower : exitCandle.close;
+    const finalMovePercent = ((exitPrice - signalPrice) / signalPrice) * 100;
+
+    const signalTime = Number(options.signalTime ?? marketState.timestamp) || null;
+    const timeToHitMs = signalTime && exitCandle.time ? exitCandle.time - signalTime : null;
+
+    let label;
+    let barrierHit;
+    let rMultiple = null;
+    let reason;
+
+    if (direction === 0) {
+        barrierHit = touched || 'time';
+        label = touched ? OUTCOME_LABELS.CONTINUATION : OUTCOME_LABELS.NOISE;
+        reason = touched
+            ? `WAIT missed a move: ${touched} barrier (±${profitPct.toFixed(2)}%) hit after ${hitIndex + 1} candle(s)`
+            : `Correct WAIT: price stayed within ±${profitPct.toFixed(2)}% for the whole horizon`;
+    } else {
+        const profitSide = direction === 1 ? 'upper' : 'lower';
+        barrierHit = !touched ? 'time' : touched === profitSide ? 'profit' : 'stop';
+
+        if (barrierHit === 'profit') {
+            label = OUTCOME_LABELS.CONTINUATION;
+            rMultiple = profitPct / stopPct;
+            reason = `Profit barrier (${profitPct.toFixed(2)}%) hit after ${hitIndex + 1} candle(s) (${bias})`;
+        } else if (barrierHit === 'stop') {
+            label = OUTCOME_LABELS.REVERSAL;
+            rMultiple = -1;
+            reason = `Stop barrier (${stopPct.toFixed(2)}%) hit after ${hitIndex + 1} candle(s) against ${bias}`;
+        } else {
+            label = OUTCOME_LABELS.NOISE;
+            rMultiple = (finalMovePercent * direction) / stopPct;
+            reason = `Time barrier: no barrier hit, closed ${(finalMovePercent * direction).toFixed(2)}% in ${bias} direction`;
+        }
+    }
+
+    const favorable = direction >= 0 ? maxHigh : minLow;
+    const adverse = direction >= 0 ? minLow : maxHigh;
+
+    return {
+        label,
+        reason,
+        horizon,
+        bias,
+        confidence,
+        signalPrice,
+        finalPrice: exitPrice,
+        finalMovePercent: Number(finalMovePercent.toFixed(2)),
+        maxFavorableExcursion: Number((Math.abs(favorable - signalPrice) / signalPrice * 100).toFixed(2)),
+        maxAdverseExcursion: Number((Math.abs(adverse - signalPrice) / signalPrice * 100).toFixed(2)),
+        barrierHit,
+        rMultiple: rMultiple !== null ? Number(rMultiple.toFixed(2)) : null,
+        candlesToHit: hitIndex + 1,
+        timeToHitMs,
+        barriers: {
+            profitPct: Number(profitPct.toFixed(4)),
+            stopPct: Number(stopPct.toFixed(4)),
+            upper: Number(upper.toFixed(2)),
+            lower: Number(lower.toFixed(2))
+        },
+        volatility: {
+            atrPct,
+            unitPct: Number(unitPct.toFixed(4)),
+            source: atrPct !== null ? 'atr' : 'significance_threshold'
+        },
+        candlesAnalyzed: candles.length,
+        ...(direction === 0 ? { waitCorrect: label === OUTCOME_LABELS.NOISE } : {})
+    };
+}
+
 /**
  * =======================================================================
  * BATCH LABELING FUNCTIONS
@@ -477,6 +769,8 @@ module.exports = {
     // Core labeling
     calculateOutcomeLabel,
     labelMarketStates,
+    calculateAtrPct,
+    getHorizonWindowCandles,
 
     // Helpers
     extractFuturePrices,
@@ -485,5 +779,8 @@ module.exports = {
 
     // Constants
     OUTCOME_LABELS,
-    TIME_HORIZONS
+    TIME_HORIZONS,
+    LABEL_METHODS,
+    LABEL_METHOD_VERSIONS,
+    TRIPLE_BARRIER_CONFIG
 };
@@ -0,0 +1,360 @@
+// src/services/positioningAnalysis.js
+// ============================================================================
+// Trader Positioning Analysis
+// ============================================================================
+// Reads long/short ratio history per exchange and answers two questions:
+//   1. Crowd extremes   - is the all-account long share stretched, either by
+//                         absolute level or vs its own recent history (z-score)?
+//                         A crowded side is faded (contrarian).
+//   2. Top vs crowd     - are top traders positioned differently from the
+//                         crowd (long-share gap in points, and opposite trends)?
+//                         Top traders are followed.
+//
+// This is the direct positioning evidence behind the whale vs retail story:
+// analyzeExchangeDivergence uses it to confirm or contradict its scenario,
+// and calculateWeightedDecision weighs it as the "positioning" signal.
+//
+// Input records per exchange: { time, globalLongPct, globalRatio, topLongPct,
+// topRatio } (marketDataService) - the raw Coinglass
+// (global_account_long_percent / top_position_long_percent ...) and stored
+// (global_long_pct / top_long_pct ...) shapes are accepted as well.
+// Percents are 0-100.
+// ============================================================================
+
+/**
+ * =======================================================================
+ * CONFIGURATION
+ * =======================================================================
+ */
+
+const POSITIONING_CONFIG = {
+    // Trailing candles used for the ratio baseline (latest candle excluded)
+    lookback: 30,
+    minBaselineCandles: 10,
+
+    // Candles over which top-trader and crowd long share trends are compared,
+    // and the minimum move (points) for a trend to count
+    trendWindow: 5,
+    trendMinPts: 1
+};
+
+// Tunable thresholds - config.thresholds.positioning overrides these
+const DEFAULT_POSITIONING_THRESHOLDS = {
+    crowdLongPct: 70,     // Crowd long share at/above = longs crowded
+    crowdShortPct: 40,    // Crowd long share at/below = shorts crowded
+    extremeZScore: 2,     // Ratio z-score vs its own history = extreme
+    divergencePts: 5,     // Top-trader vs crowd long share gap (points)
+    evidenceBoost: 2      // Max confidence points added/removed in the divergence engine
+};
+
+/**
+ * =======================================================================
+ * HELPERS
+ * =======================================================================
+ */
+
+function toNumberOrNull(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const num = Number(value);
+    return Number.isFinite(num) ? num : null;
+}
+
+/**
+ * Normalize one record to { time, globalLongPct, globalRatio, topLongPct, topRatio }
+ */
+function normalizeRecord(record) {
+    return {
+        time: Number(record.time ?? record.timestamp),
+        globalLongPct: toNumberOrNull(record.globalLongPct ?? record.global_account_long_percent ?? record.global_long_pct),
+        globalRatio: toNumberOrNull(record.globalRatio ?? record.global_account_long_short_ratio ?? record.global_ls_ratio),
+        topLongPct: toNumberOrNull(record.topLongPct ?? record.top_position_long_percent ?? record.top_long_pct),
+        topRatio: toNumberOrNull(record.topRatio ?? record.top_position_long_short_ratio ?? record.top_ls_ratio)
+    };
+}
+
+function mean(values) {
+    return values.length ? values.reduce((a, b) => a + b, 0) / values.length : 0;
+}
+
+function std(values) {
+    if (values.length < 2) return 0;
+    const m = mean(values);
+    return Math.sqrt(values.reduce((acc, v) => acc + Math.pow(v - m, 2), 0) / values.length);
+}
+
+/**
+ * Change of a field over the trend window (latest minus window start)
+ */
+function trendChange(records, field) {
+    const values = records.map(r => r[field]).filter(v => v !== null);
+    if (values.length < 2) return null;
+    const window = values.slice(-(POSITIONING_CONFIG.trendWindow + 1));
+    return window[window.length - 1] - window[0];
+}
+
+function round(value, digits = 2) {
+    return value === null ? null : Number(value.toFixed(digits));
+}
+
+function sideOf(bias) {
+    if (!bias) return 0;
+    if (bias.includes('LONG')) return 1;
+    if (bias.includes('SHORT')) return -1;
+    return 0;
+}
+
+/**
+ * Classify the crowd (all accounts) long share
+ * @returns {Object} { state: 'longs_crowded' | 'shorts_crowded' | 'balanced', longPct, zScore, extreme }
+ */
+function classifyCrowd(records, latest, thresholds) {
+    const history = records.slice(0, -1).slice(-POSITIONING_CONFIG.lookback)
+        .map(r => r.globalRatio)
+        .filter(v => v !== null);
+
+    let zScore = null;
+    if (latest.globalRatio !== null && history.length >= POSITIONING_CONFIG.minBaselineCandles) {
+        const s = std(history);
+        zScore = s > 0 ? (latest.globalRatio - mean(history)) / s : null;
+    }
+
+    const longPct = latest.globalLongPct;
+    const levelLong = longPct !== null && longPct >= thresholds.crowdLongPct;
+    const levelShort = longPct !== null && longPct <= thresholds.crowdShortPct;
+    const zLong = zScore !== null && zScore >= thresholds.extremeZScore;
+    const zShort = zScore !== null && zScore <= -thresholds.extremeZScore;
+
+    let state = 'balanced';
+    if (levelLong || zLong) state = 'longs_crowded';
+    else if (levelShort || zShort) state = 'shorts_crowded';
+
+    return {
+        state,
+        longPct,
+        zScore: round(zScore),
+        // Both the level and the z-score agree
+        extreme: (levelLong && zLong) || (levelShort && zShort)
+    };
+}
+
+/**
+ * Compare top-trader positioning with the crowd
+ * @returns {Object} { available, gapPts, state: 'top_longer' | 'top_shorter' | 'aligned', trend }
+ */
+function compareTopVsCrowd(records, latest, thresholds) {
+    if (latest.topLongPct === null || latest.globalLongPct === null) {
+        return { available: false, gapPts: null, state: 'aligned', trend: null };
+    }
+
+    const gap = latest.topLongPct - latest.globalLongPct;
+    let state = 'aligned';
+    if (gap >= thresholds.divergencePts) state = 'top_longer';
+    else if (gap <= -thresholds.divergencePts) state = 'top_shorter';
+
+    // Opposite trends: top traders adding one side while the crowd adds the other
+    const topChange = trendChange(records, 'topLongPct');
+    const crowdChange = trendChange(records, 'globalLongPct');
+    const minPts = POSITIONING_CONFIG.trendMinPts;
+    const diverging = topChange !== null && crowdChange !== null &&
+        Math.abs(topChange) >= minPts && Math.abs(crowdChange) >= minPts &&
+        Math.sign(topChange) !== Math.sign(crowdChange);
+
+    return {
+        available: true,
+        gapPts: round(gap),
+        state,
+        trend: {
+            topChangePts: round(topChange),
+            crowdChangePts: round(crowdChange),
+            diverging,
+            // Side the top traders are moving toward while diverging
+            topSide: diverging ? (topChange > 0 ? 'LONG' : 'SHORT') : null
+        }
+    };
+}
+
+/**
+ * =======================================================================
+ * ANALYSIS
+ * =======================================================================
+ */
+
+/**
+ * Analyze positioning history for one exchange
+ * @param {Array} positioningHistory - Chronological records (see header)
+ * @param {Object} thresholds - Overrides for DEFAULT_POSITIONING_THRESHOLDS
+ * @returns {Object} { available, latest, crowd, topVsCrowd, bias, confidence (0-10), reasoning }
+ */
+function analyzeExchangePositioning(positioningHistory, thresholds = {}) {
+    const t = { ...DEFAULT_POSITIONING_THRESHOLDS, ...thresholds };
+    const records = (Array.isArray(positioningHistory) ? positioningHistory : [])
+        .map(normalizeRecord)
+        .filter(r => Number.isFinite(r.time) && (r.globalLongPct !== null || r.topLongPct !== null))
+        .sort((a, b) => a.time - b.time);
+
+    if (records.length === 0) {
+        return { available: false, bias: 'WAIT', confidence: 0, reasoning: 'Positioning data unavailable' };
+    }
+
+    const latest = records[records.length - 1];
+    const crowd = classifyCrowd(records, latest, t);
+    const topVsCrowd = compareTopVsCrowd(records, latest, t);
+
+    let bias = 'WAIT';
+    let confidence = 3;
+    let reasoning = latest.globalLongPct !== null
+        ? `Positioning balanced (crowd ${round(latest.globalLongPct, 1)}% long)`
+        : 'Positioning balanced';
+
+    if (topVsCrowd.state !== 'aligned') {
+        // Follow top traders when they lean away from the crowd
+        bias = topVsCrowd.state === 'top_longer' ? 'LONG' : 'SHORT';
+        const crowdOpposite = (bias === 'LONG' && crowd.state === 'shorts_crowded') ||
+            (bias === 'SHORT' && crowd.state === 'longs_crowded');
+        confidence = 5 +
+            (Math.abs(topVsCrowd.gapPts) >= 2 * t.divergencePts ? 1 : 0) +
+            (crowdOpposite ? 1 : 0) +
+            (topVsCrowd.trend.topSide === bias ? 1 : 0);
+        reasoning = `Top traders ${round(latest.topLongPct, 1)}% long vs crowd ${round(latest.globalLongPct, 1)}% ` +
+            `(${topVsCrowd.gapPts > 0 ? '+' : ''}${topVsCrowd.gapPts} pts)` +
+            (topVsCrowd.trend.diverging ? ', trends diverging' : '');
+    } else if (crowd.state !== 'balanced') {
+        // Fade a crowded side
+        bias = crowd.state === 'longs_crowded' ? 'SHORT' : 'LONG';
+        confidence = crowd.extreme ? 6 : 5;
+        reasoning = `Crowd ${crowd.state === 'longs_crowded' ? 'long' : 'short'}-crowded ` +
+            `(${round(latest.globalLongPct, 1)}% long${crowd.zScore !== null ? `, z ${crowd.zScore}` : ''})`;
+    } else if (topVsCrowd.trend?.diverging) {
+        bias = topVsCrowd.trend.topSide;
+        confidence = 4;
+        reasoning = `Top traders drifting ${bias === 'LONG' ? 'long' : 'short'} while the crowd moves the other way`;
+    }
+
+    return {
+        available: true,
+        latest: {
+            time: latest.time,
+            globalLongPct: latest.globalLongPct,
+            globalRatio: latest.globalRatio,
+            topLongPct: latest.topLongPct,
+            topRatio: latest.topRatio
+        },
+        crowd,
+        topVsCrowd,
+        bias,
+        confidence: Math.min(confidence, 10),
+        reasoning
+    };
+}
+
+/**
+ * Analyze positioning across exchanges
+ * The most confident exchange leads; agreement adds a point, an opposite
+ * read on another exchange takes two off.
+ * @param {Object} historyByExchange - { Binance: [...], Bybit: [...] }
+ * @param {Object} thresholds - Overrides for DEFAULT_POSITIONING_THRESHOLDS
+ * @returns {Object} { available, exchanges, bias, confidence, agreement, reasoning }
+ */
+function analyzePositioning(historyByExchange, thresholds = {}) {
+    const exchanges = {};
+    for (const [exchange, history] of Object.entries(historyByExchange || {})) {
+        exchanges[exchange] = analyzeExchangePositioning(history, thresholds);
+    }
+
+    const available = Object.entries(exchanges).filter(([, r]) => r.available);
+    if (available.length === 0) {
+        return {
+            available: false,
+            exchanges,
+            bias: 'WAIT',
+            confidence: 0,
+            agreement: null,
+            reasoning: 'Positioning data unavailable'
+        };
+    }
+
+    const directional = available.filter(([, r]) => r.bias !== 'WAIT');
+    if (directional.length === 0) {
+        return {
+            available: true,
+            exchanges,
+            bias: 'WAIT',
+            confidence: 3,
+            agreement: null,
+            reasoning: available.map(([ex, r]) => `${ex}: ${r.reasoning}`).join('; ')
+        };
+    }
+
+    const [leadExchange, lead] = directional.reduce((best, entry) => (entry[1].confidence > best[1].confidence ? entry : best));
+    const others = directional.filter(([ex]) => ex !== leadExchange);
+    const agreeing = others.filter(([, r]) => r.bias === lead.bias);
+    const opposing = others.filter(([, r]) => r.bias !== lead.bias);
+
+    let confidence = lead.confidence + (agreeing.length > 0 ? 1 : 0) - (opposing.length > 0 ? 2 : 0);
+    confidence = Math.max(0, Math.min(confidence, 10));
+
+    const agreement = opposing.length > 0 ? 'conflicting' : agreeing.length > 0 ? 'aligned' : 'single';
+    let reasoning = `${leadExchange}: ${lead.reasoning}`;
+    if (agreeing.length > 0) reasoning += ` (${agreeing.map(([ex]) => ex).join(', ')} agrees)`;
+    if (opposing.length > 0) reasoning += ` (${opposing.map(([ex]) => ex).join(', ')} disagrees)`;
+
+    return {
+        available: true,
+        exchanges,
+        bias: lead.bias,
+        confidence,
+        agreement,
+        reasoning
+    };
+}
+
+/**
+ * Confirm or contradict a directional read with positioning evidence
+ * Used by analyzeExchangeDivergence. Full boost at positioning confidence
+ * >= 7, half (rounded up) below that.
+ * @param {string} bias - Scenario bias ('LONG', 'STRONG_SHORT', 'WAIT', ...)
+ * @param {Object} positioning - analyzePositioning() result
+ * @param {number} evidenceBoost - Max confidence adjustment
+ * @returns {Object|null} { agreement: 'confirms' | 'contradicts' | 'neutral', adjustment, bias, confidence, reasoning }
+ */
+function assessEvidence(bias, positioning, evidenceBoost = DEFAULT_POSITIONING_THRESHOLDS.evidenceBoost) {
+    if (!positioning?.available) return null;
+
+    const scenarioSide = sideOf(bias);
+    const positioningSide = sideOf(positioning.bias);
+
+    let agreement = 'neutral';
+    let adjustment = 0;
+    if (scenarioSide !== 0 && positioningSide !== 0) {
+        const size = positioning.confidence >= 7 ? evidenceBoost : Math.ceil(evidenceBoost / 2);
+        agreement = scenarioSide === positioningSide ? 'confirms' : 'contradicts';
+        adjustment = agreement === 'confirms' ? size : -size;
+    }
+
+    return {
+        agreement,
+        adjustment,
+        bias: positioning.bias,
+        confidence: positioning.confidence,
+        reasoning: positioning.reasoning
+    };
+}
+
+/**
+ * =======================================================================
+ * EXPORTS
+ * =======================================================================
+ */
+
+module.exports = {
+    analyzePositioning,
+    analyzeExchangePositioning,
+    assessEvidence,
+    POSITIONING_CONFIG,
+    DEFAULT_POSITIONING_THRESHOLDS,
+
+    // Exposed for testing
+    normalizeRecord,
+    classifyCrowd,
+    compareTopVsCrowd
+};
@@ -0,0 +1,37 @@
+// coinglassProvider.js
+// Live exchange-data provider backed by the Coinglass v4 API
+//
+// Thin adapter over coinglassClient - retries, rate limit detection and
+// response normalization all stay in the client.
+
+const coinglassClient = require('../coinglassClient');
+
+/**
+ * Create the Coinglass provider
+ * @returns {Object} Provider implementing the dataProvider interface
+ */
+function createCoinglassProvider() {
+    return {
+        name: 'coinglass',
+        source: 'coinglass_api_v4',
+
+        // Sync job throttles requests and pauses on 429s
+        rateLimited: true,
+
+        isConfigured() {
+            return !!process.env.COINGLASS_API_KEY;
+        },
+
+        getPriceHistory: (params) => coinglassClient.getPriceHistory(params),
+        getOIHistory: (params) => coinglassClient.getOIHistory(params),
+        getFundingHistory: (params) => coinglassClient.getFundingHistory(params),
+        getTakerBuySellVolume: (params) => coinglassClient.getTakerBuySellVolume(params),
+        getLiquidationHistory: (params) => coinglassClient.getLiquidationHistory(params),
+        getGlobalLongShortRatio: (params) => coinglassClient.getGlobalLongShortRatio(params),
+        getTopTraderPositionRatio: (params) => coinglassClient.getTopTraderPositionRatio(params),
+        getSpotPriceHistory: (params) => coinglassClient.getSpotPriceHistory(params),
+        getSpotTakerBuySellVolume: (params) => coinglassClient.getSpotTakerBuySellVolume(params)
+    };
+}
+
+module.exports = { createCoinglassProvider };
@@ -0,0 +1,215 @@
+// fixtureProvider.js
+// Offline exchange-data provider that replays recorded Coinglass responses
+//
+// Fixture layout (one JSON array of raw Coinglass records per series):
+//   <fixtureDir>/<dataType>/<Exchange>_<SYMBOL>_<interval>.json
+//   e.g. data/fixtures/price/Binance_BTCUSDT_4h.json
+//        data/fixtures/taker_volume/Bybit_BTCUSD_h4.json
+//
+// Records keep the exact shape returned by the API, so every downstream
+// transform (marketDataService, historicalDataService, sync job) runs unchanged.
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('../../utils/logger');
+
+/**
+ * =======================================================================
+ * CONFIGURATION
+ * =======================================================================
+ */
+
+const DATA_TYPES = {
+    price: 'getPriceHistory',
+    oi: 'getOIHistory',
+    funding: 'getFundingHistory',
+    taker_volume: 'getTakerBuySellVolume',
+    liquidations: 'getLiquidationHistory',
+    long_short_ratio: 'getGlobalLongShortRatio',
+    top_trader_ratio: 'getTopTraderPositionRatio',
+    spot_price: 'getSpotPriceHistory',
+    spot_taker_volume: 'getSpotTakerBuySellVolume'
+};
+
+const DEFAULT_FIXTURE_DIR = path.join(__dirname, '..', '..', '..', 'data', 'fixtures');
+
+/**
+ * =======================================================================
+ * FILE HELPERS
+ * =======================================================================
+ */
+
+function getFixturePath(fixtureDir, dataType, { exchange, symbol, interval }) {
+    return path.join(fixtureDir, dataType, `${exchange}_${symbol}_${interval}.json`);
+}
+
+/**
+ * Record timestamp in ms (Coinglass returns ms, older dumps may be seconds)
+ */
+function recordTime(record) {
+    const t = Number(record.time ?? record.t ?? record.timestamp);
+    if (!Number.isFinite(t)) return null;
+    return t < 1e12 ? t * 1000 : t;
+}
+
+function readSeries(filePath) {
+    if (!fs.existsSync(filePath)) return null;
+    const parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    return Array.isArray(parsed) ? parsed : [];
+}
+
+/**
+ * Merge new records into a series file (dedupe by timestamp, sorted ascending)
+ */
+function writeSeries(filePath, records) {
+    const byTime = new Map();
+    for (const record of readSeries(filePath) || []) {
+        byTime.set(recordTime(record), record);
+    }
+    for (const record of records) {
+        byTime.set(recordTime(record), record);
+    }
+
+    const merged = [...byTime.entries()]
+        .filter(([time]) => time !== null)
+        .sort((a, b) => a[0] - b[0])
+        .map(([, record]) => record);
+
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, JSON.stringify(merged, null, 2));
+    return merged.length;
+}
+
+/**
+ * Apply the API's window semantics to a recorded series:
+ * - startTime given: records from startTime forward, first `limit`
+ * - otherwise: the latest `limit` records up to endTime (or "now")
+ */
+function selectWindow(series, { limit, startTime, endTime }) {
+    let rows = series.filter(record => {
+        const t = recordTime(record);
+        if (t === null) return false;
+        if (startTime && t < startTime) return false;
+        if (endTime && t > endTime) return false;
+        return true;
+    });
+
+    if (limit) {
+        rows = startTime ? rows.slice(0, limit) : rows.slice(-limit);
+    }
+
+    return rows;
+}
+
+/**
+ * =======================================================================
+ * PROVIDER FACTORIES
+ * =======================================================================
+ */
+
+/**
+ * Create a provider that serves recorded responses from disk.
+ *
+ * @param {Object} options
+ * @param {string} options.fixtureDir - Root fixture directory
+ * @param {boolean} options.strict - Throw on missing fixture instead of returning []
+ * @returns {Object} Provider implementing the dataProvider interface
+ */
+function createFixtureProvider(options = {}) {
+    const fixtureDir = options.fixtureDir || DEFAULT_FIXTURE_DIR;
+    const strict = options.strict === true;
+    const cache = new Map();
+    const warnedMissing = new Set();
+
+    function loadSeries(dataType, params) {
+        const filePath = getFixturePath(fixtureDir, dataType, params);
+        if (!cache.has(filePath)) {
+            cache.set(filePath, readSeries(filePath));
+        }
+        const series = cache.get(filePath);
+
+        if (!series) {
+            if (strict) {
+                throw new Error(`Missing fixture: ${path.relative(fixtureDir, filePath)}`);
+            }
+            if (!warnedMissing.has(filePath)) {
+                warnedMissing.add(filePath);
+                logger.warn(`[Fixture] No fixture for ${dataType} ${params.exchange} ${params.symbol} ${params.interval}`);
+            }
+            return [];
+        }
+        return series;
+    }
+
+    const provider = {
+        name: 'fixture',
+        source: 'fixture',
+        fixtureDir,
+
+        // No network, no throttling needed
+        rateLimited: false,
+
+        isConfigured() {
+            return fs.existsSync(fixtureDir);
+        },
+
+        /**
+         * Drop cached series (after fixtures are re-recorded)
+         */
+        reload() {
+            cache.clear();
+            warnedMissing.clear();
+        }
+    };
+
+    for (const [dataType, method] of Object.entries(DATA_TYPES)) {
+        provider[method] = async (params) => selectWindow(loadSeries(dataType, params), params);
+    }
+
+    return provider;
+}
+
+/**
+ * Wrap a live provider so every response is also written to the fixture
+ * directory. Run the pipeline once with this to capture a fixture set.
+ *
+ * @param {Object} inner - Provider to record from
+ * @param {Object} options - { fixtureDir }
+ * @returns {Object} Provider with the same interface as `inner`
+ */
+function createRecordingProvider(inner, options = {}) {
+    const fixtureDir = options.fixtureDir || DEFAULT_FIXTURE_DIR;
+
+    const provider = {
+        ...inner,
+        name: `${inner.name}+record`,
+        fixtureDir
+    };
+
+    for (const [dataType, method] of Object.entries(DATA_TYPES)) {
+        if (typeof inner[method] !== 'function') continue;
+        provider[method] = async (params) => {
+            const data = await inner[method](params);
+            if (Array.isArray(data) && data.length > 0) {
+                try {
+                    writeSeries(getFixturePath(fixtureDir, dataType, params), data);
+                } catch (error) {
+                    logger.warn(`[Fixture] Failed to record ${dataType}: ${error.message}`);
+                }
+            }
+            return data;
+        };
+    }
+
+    return provider;
+}
+
+module.exports = {
+    createFixtureProvider,
+    createRecordingProvider,
+    DATA_TYPES,
+    DEFAULT_FIXTURE_DIR,
+
+    // Exposed for tests
+    selectWindow
+};
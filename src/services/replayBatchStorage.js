@@ -0,0 +1,287 @@
+// src/services/replayBatchStorage.js
+// ============================================================================
+// Replay Batch Storage Service
+// ============================================================================
+// Persists replay batch metadata (replay_batches) and per-sample status
+// (replay_batch_samples) so batches survive process restarts.
+// Completed sample states themselves stay in replay_states.
+//
+// Schema: db/create_replay_batches_table.sql
+// ============================================================================
+
+const storageBackend = require('./storageBackend');
+const logger = require('../utils/logger');
+
+/**
+ * =======================================================================
+ * STORAGE CLIENT (Supabase or SQLite - see storageBackend.js)
+ * =======================================================================
+ */
+
+function getSupabase() {
+    return storageBackend.getClient();
+}
+
+const SAMPLE_UPSERT_CHUNK = 500;
+
+/**
+ * =======================================================================
+ * ROW MAPPING
+ * =======================================================================
+ */
+
+function batchToRow(batch) {
+    return {
+        batch_id: batch.batchId,
+        symbol: batch.symbol,
+        start_time: batch.startTime,
+        end_time: batch.endTime,
+        step_ms: batch.stepMs,
+        horizons: batch.horizons,
+        max_samples: batch.maxSamples,
+        use_local_only: batch.useLocalOnly,
+        status: batch.status,
+        total_samples: batch.samples.length,
+        completed_samples: batch.completedSamples,
+        failed_samples: batch.failedSamples,
+        error_message: batch.error,
+        started_at: batch.startedAt,
+        updated_at: batch.updatedAt
+    };
+}
+
+function sampleToRow(batchId, sample) {
+    return {
+        batch_id: batchId,
+        as_of_timestamp: sample.asOfTimestamp,
+        status: sample.status,
+        state_id: sample.stateId || null,
+        error_message: sample.error || null,
+        updated_at: Date.now()
+    };
+}
+
+function rowToSample(row) {
+    return {
+        asOfTimestamp: Number(row.as_of_timestamp),
+        status: row.status,
+        stateId: row.state_id,
+        error: row.error_message
+    };
+}
+
+/**
+ * Convert a replay_batches row to BatchState config fields
+ */
+function rowToBatch(row) {
+    return {
+        batchId: row.batch_id,
+        symbol: row.symbol,
+        startTime: Number(row.start_time),
+        endTime: Number(row.end_time),
+        stepMs: Number(row.step_ms),
+        horizons: row.horizons || ['MICRO'],
+        maxSamples: row.max_samples,
+        useLocalOnly: row.use_local_only,
+        status: row.status,
+        totalSamples: row.total_samples,
+        completedSamples: row.completed_samples,
+        failedSamples: row.failed_samples,
+        error: row.error_message,
+        startedAt: row.started_at ? Number(row.started_at) : null,
+        updatedAt: row.updated_at ? Number(row.updated_at) : null
+    };
+}
+
+/**
+ * =======================================================================
+ * BATCH OPERATIONS
+ * =======================================================================
+ */
+
+/**
+ * Upsert batch metadata
+ * @param {Object} batch - BatchState instance
+ * @returns {Object} { success, error? }
+ */
+async function saveBatch(batch) {
+    const client = getSupabase();
+    if (!client) return { success: false, error: 'Database not configured' };
+
+    try {
+        const { error } = await client
+            .from('replay_batches')
+            .upsert(batchToRow(batch), { onConflict: 'batch_id' });
+
+        if (error) {
+            logger.error('[ReplayBatchStorage] saveBatch error:', error.message);
+            return { success: false, error: error.message };
+        }
+
+        return { success: true };
+
+    } catch (err) {
+        logger.error('[ReplayBatchStorage] saveBatch exception:', err.message);
+        return { success: false, error: err.message };
+    }
+}
+
+/**
+ * Upsert sample status rows (all samples, or a subset)
+ * @param {string} batchId - Batch ID
+ * @param {Array} samples - [{ asOfTimestamp, status, stateId, error }]
+ * @returns {Object} { success, saved, error? }
+ */
+async function saveSamples(batchId, samples) {
+    const client = getSupabase();
+    if (!client) return { success: false, error: 'Database not configured' };
+
+    if (!samples || samples.length === 0) {
+        return { success: true, saved: 0 };
+    }
+
+    try {
+        const rows = samples.map(s => sampleToRow(batchId, s));
+
+        for (let i = 0; i < rows.length; i += SAMPLE_UPSERT_CHUNK) {
+            const { error } = await client
+                .from('replay_batch_samples')
+                .upsert(rows.slice(i, i + SAMPLE_UPSERT_CHUNK), { onConflict: 'batch_id,as_of_timestamp' });
+
+            if (error) {
+                logger.error('[ReplayBatchStorage] saveSamples error:', error.message);
+                return { success: false, error: error.message };
+            }
+        }
+
+        return { success: true, saved: rows.length };
+
+    } catch (err) {
+        logger.error('[ReplayBatchStorage] saveSamples exception:', err.message);
+        return { success: false, error: err.message };
+    }
+}
+
+/**
+ * Load a batch with its samples
+ * @param {string} batchId - Batch ID
+ * @returns {Object|null} { ...batchFields, samples } or null if not found
+ */
+async function getBatch(batchId) {
+    const client = getSupabase();
+    if (!client) return null;
+
+    try {
+        const { data: row, error } = await client
+            .from('replay_batches')
+            .select('*')
+            .eq('batch_id', batchId)
+            .maybeSingle();
+
+        if (error) {
+            logger.error('[ReplayBatchStorage] getBatch error:', error.message);
+            return null;
+        }
+        if (!row) return null;
+
+        const { data: sampleRows, error: samplesError } = await client
+            .from('replay_batch_samples')
+            .select('*')
+            .eq('batch_id', batchId)
+            .order('as_of_timestamp', { ascending: true });
+
+        if (samplesError) {
+            logger.error('[ReplayBatchStorage] getBatch samples error:', samplesError.message);
+            return null;
+        }
+
+        return {
+            ...rowToBatch(row),
+            samples: (sampleRows || []).map(rowToSample)
+        };
+
+    } catch (err) {
+        logger.error('[ReplayBatchStorage] getBatch exception:', err.message);
+        return null;
+    }
+}
+
+/**
+ * List batch metadata (no samples)
+ * @param {Object} options - { symbol, status, limit }
+ * @returns {Array} Batch field objects, newest first
+ */
+async function listBatches(options = {}) {
+    const client = getSupabase();
+    if (!client) return [];
+
+    const { symbol, status, limit = 100 } = options;
+
+    try {
+        let query = client
+            .from('replay_batches')
+            .select('*')
+            .order('created_at', { ascending: false })
+            .limit(limit);
+
+        if (symbol) query = query.eq('symbol', symbol);
+        if (status) query = query.eq('status', status);
+
+        const { data, error } = await query;
+
+        if (error) {
+            logger.error('[ReplayBatchStorage] listBatches error:', error.message);
+            return [];
+        }
+
+        return (data || []).map(rowToBatch);
+
+    } catch (err) {
+        logger.error('[ReplayBatchStorage] listBatches exception:', err.message);
+        return [];
+    }
+}
+
+/**
+ * Delete batch metadata and samples (samples cascade)
+ */
+async function deleteBatch(batchId) {
+    const client = getSupabase();
+    if (!client) return { success: false, error: 'Database not configured' };
+
+    try {
+        const { error } = await client
+            .from('replay_batches')
+            .delete()
+            .eq('batch_id', batchId);
+
+        if (error) {
+            logger.error('[ReplayBatchStorage] deleteBatch error:', error.message);
+            return { success: false, error: error.message };
+        }
+
+        return { success: true };
+
+    } catch (err) {
+        logger.error('[ReplayBatchStorage] deleteBatch exception:', err.message);
+        return { success: false, error: err.message };
+    }
+}
+
+/**
+ * =======================================================================
+ * EXPORTS
+ * =======================================================================
+ */
+
+module.exports = {
+    saveBatch,
+    saveSamples,
+    getBatch,
+    listBatches,
+    deleteBatch,
+
+    // For testing
+    batchToRow,
+    rowToBatch
+};
@@ -0,0 +1,320 @@
+// signalRegistry.js - Pluggable decision signals for calculateWeightedDecision
+// Each signal is a module in ./signals exporting:
+//
+//   name          - key in config.weights.signals and config.signals
+//   inputs        - decision inputs it reads (exchangeAnalysis, structure, ...)
+//   defaultWeight - weight when the config has none (or 0, as before the
+//                   registry - disable a signal with enabled: false). null = self-weighted:
+//                   compute() returns its own weight and the signal is not
+//                   part of the weights.signals sum (absorption)
+//   configSchema  - settings under config.signals[name]:
+//                   { key: { type: 'number' | 'boolean' | 'string', default, min?, max? } }
+//                   ('enabled' is implicit, default true)
+//   compute(input, settings) -> { signal, confidence (0-10), reasoning, metadata?,
+//                                 active?, name?, weight? } or null (no signal)
+//
+// active: false keeps the signal in the report but out of the score (weight 0),
+// e.g. no liquidation data. Registration order = order in the decision.
+// Adding a signal = new module in ./signals + a default weight; A/B by
+// toggling config.signals[name].enabled or registering a replacement.
+
+const exchangeDivergenceSignal = require('./signals/exchangeDivergenceSignal');
+const marketRegimeSignal = require('./signals/marketRegimeSignal');
+const structureSignal = require('./signals/structureSignal');
+const vwapSignal = require('./signals/vwapSignal');
+const technicalSignal = require('./signals/technicalSignal');
+const fundingSignal = require('./signals/fundingSignal');
+const cvdSignal = require('./signals/cvdSignal');
+const liquidationsSignal = require('./signals/liquidationsSignal');
+const positioningSignal = require('./signals/positioningSignal');
+const absorptionSignal = require('./signals/absorptionSignal');
+
+/**
+ * =======================================================================
+ * REGISTRY
+ * =======================================================================
+ */
+
+const BUILTIN_SIGNALS = [
+    exchangeDivergenceSignal,
+    marketRegimeSignal,
+    structureSignal,
+    vwapSignal,
+    technicalSignal,
+    fundingSignal,
+    cvdSignal,
+    liquidationsSignal,
+    positioningSignal,
+    absorptionSignal
+];
+
+const SETTING_TYPES = ['number', 'boolean', 'string'];
+
+// Implicit setting of every signal
+const BASE_SCHEMA = {
+    enabled: { type: 'boolean', default: true }
+};
+
+const signals = new Map();
+let defaultsRegistered = false;
+
+function validateSignal(signal) {
+    const errors = [];
+    if (!signal?.name || typeof signal.name !== 'string') errors.push('name is required');
+    if (typeof signal?.compute !== 'function') errors.push('compute(input, settings) is required');
+    if (!Array.isArray(signal?.inputs)) errors.push('inputs must be an array');
+    if (signal?.defaultWeight !== null && typeof signal?.defaultWeight !== 'number') {
+        errors.push('defaultWeight must be a number (or null for self-weighted signals)');
+    }
+    for (const [key, spec] of Object.entries(signal?.configSchema || {})) {
+        if (!SETTING_TYPES.includes(spec?.type)) errors.push(`configSchema.${key}.type must be one of: ${SETTING_TYPES.join(', ')}`);
+        else if (typeof spec.default !== spec.type) errors.push(`configSchema.${key}.default must be a ${spec.type}`);
+    }
+    return errors;
+}
+
+/**
+ * Register a signal (replaces a registered signal with the same name)
+ * @param {Object} signal - Signal module (see header)
+ */
+function registerSignal(signal) {
+    ensureDefaultSignals();
+    const errors = validateSignal(signal);
+    if (errors.length > 0) {
+        throw new Error(`Invalid signal ${signal?.name || ''}: ${errors.join('; ')}`);
+    }
+    signals.set(signal.name, { configSchema: {}, ...signal });
+}
+
+function unregisterSignal(name) {
+    ensureDefaultSignals();
+    return signals.delete(name);
+}
+
+function ensureDefaultSignals() {
+    if (defaultsRegistered) return;
+    defaultsRegistered = true;
+
+    for (const signal of BUILTIN_SIGNALS) {
+        if (!signals.has(signal.name)) signals.set(signal.name, { configSchema: {}, ...signal });
+    }
+}
+
+/**
+ * Back to the built-in signals (tests)
+ */
+function resetSignals() {
+    signals.clear();
+    defaultsRegistered = false;
+}
+
+function getSignal(name) {
+    ensureDefaultSignals();
+    return signals.get(name) || null;
+}
+
+function getSignals() {
+    ensureDefaultSignals();
+    return Array.from(signals.values());
+}
+
+function isWeighted(signal) {
+    return signal.defaultWeight !== null;
+}
+
+/**
+ * =======================================================================
+ * CONFIG
+ * =======================================================================
+ */
+
+function getSchema(signal) {
+    return { ...BASE_SCHEMA, ...signal.configSchema };
+}
+
+/**
+ * Default weights.signals (weighted signals only)
+ */
+function getDefaultWeights() {
+    return Object.fromEntries(getSignals().filter(isWeighted).map(s => [s.name, s.defaultWeight]));
+}
+
+/**
+ * Default config.signals section ({ name: { enabled, ...settings } })
+ */
+function getDefaultSettings() {
+    return Object.fromEntries(getSignals().map(signal => [
+        signal.name,
+        Object.fromEntries(Object.entries(getSchema(signal)).map(([key, spec]) => [key, spec.default]))
+    ]));
+}
+
+/**
+ * Settings for one signal: schema defaults overlaid with config.signals[name]
+ */
+function getSignalSettings(name, config) {
+    const signal = getSignal(name);
+    if (!signal) return null;
+    const defaults = Object.fromEntries(Object.entries(getSchema(signal)).map(([key, spec]) => [key, spec.default]));
+    return { ...defaults, ...(config?.signals?.[name] || {}) };
+}
+
+/**
+ * Check weights.signals and config.signals against the registered signals
+ * (called by configService.validateConfig)
+ *
+ * @param {Object} config - Full analyzer config
+ * @returns {Object} { errors: string[], warnings: string[] }
+ */
+function validateSignalConfig(config) {
+    const errors = [];
+    const warnings = [];
+
+    const weights = config.weights?.signals;
+    if (weights) {
+        for (const signal of getSignals().filter(isWeighted)) {
+            if (weights[signal.name] === undefined) {
+                warnings.push(`Missing weight for signal '${signal.name}', using default ${signal.defaultWeight}`);
+            }
+        }
+        for (const key of Object.keys(weights)) {
+            const signal = getSignal(key);
+            if (!signal) warnings.push(`Weight '${key}' has no registered signal`);
+            else if (!isWeighted(signal)) warnings.push(`Signal '${key}' sets its own weight, weights.signals.${key} is ignored`);
+        }
+    }
+
+    const section = config.signals;
+    if (section === undefined) return { errors, warnings };
+    if (!section || typeof section !== 'object' || Array.isArray(section)) {
+        errors.push('signals must be an object of per-signal settings');
+        return { errors, warnings };
+    }
+
+    for (const [name, settings] of Object.entries(section)) {
+        const signal = getSignal(name);
+        if (!signal) {
+            warnings.push(`Unknown signal '${name}' in signals config`);
+            continue;
+        }
+        if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+            errors.push(`signals.${name} must be an object`);
+            continue;
+        }
+
+        const schema = getSchema(signal);
+        for (const [key, value] of Object.entries(settings)) {
+            const spec = schema[key];
+            if (!spec) {
+                warnings.push(`Unknown setting 'signals.${name}.${key}'`);
+            } else if (typeof value !== spec.type || (spec.type === 'number' && !Number.isFinite(value))) {
+                errors.push(`Setting 'signals.${name}.${key}' must be a ${spec.type}`);
+            } else if (spec.min !== undefined && value < spec.min) {
+                errors.push(`Setting 'signals.${name}.${key}' = ${value} is below minimum ${spec.min}`);
+            } else if (spec.max !== undefined && value > spec.max) {
+                errors.push(`Setting 'signals.${name}.${key}' = ${value} is above maximum ${spec.max}`);
+            }
+        }
+    }
+
+    const enabledWeighted = getSignals().filter(s => isWeighted(s) && section[s.name]?.enabled !== false);
+    if (enabledWeighted.length === 0) {
+        errors.push('At least one weighted signal must be enabled');
+    }
+
+    return { errors, warnings };
+}
+
+/**
+ * =======================================================================
+ * COMPUTE
+ * =======================================================================
+ */
+
+/**
+ * Run every enabled signal
+ *
+ * @param {Object} context - Decision inputs (binanceData, exchangeAnalysis, ..., timeframe, config)
+ * @param {Object} config - Config used for settings (config.signals)
+ * @param {Object} weights - weights.signals
+ * @returns {Object} { signals: [{ name, signal, confidence, weight, reasoning, metadata? }], disabled: string[] }
+ */
+function computeSignals(context, config, weights = {}) {
+    const results = [];
+    const disabled = [];
+
+    for (const signal of getSignals()) {
+        const settings = getSignalSettings(signal.name, config);
+        if (settings.enabled === false) {
+            disabled.push(signal.name);
+            continue;
+        }
+
+        const input = { timeframe: context.timeframe, config: context.config };
+        for (const key of signal.inputs) input[key] = context[key];
+
+        const result = signal.compute(input, settings);
+        if (!result) continue;
+
+        let weight = isWeighted(signal) ? (weights[signal.name] || signal.defaultWeight) : (result.weight ?? 0);
+        if (result.active === false) weight = 0;
+
+        const entry = {
+            name: result.name || signal.name,
+            signal: result.signal,
+            confidence: result.confidence,
+            weight,
+            reasoning: result.reasoning
+        };
+        if ('metadata' in result) entry.metadata = result.metadata;
+        results.push(entry);
+    }
+
+    return { signals: results, disabled };
+}
+
+/**
+ * Registered signals with their effective weight and settings (debug endpoint)
+ */
+function listSignals(config) {
+    const weights = config?.weights?.signals || {};
+    return getSignals().map(signal => {
+        const settings = getSignalSettings(signal.name, config);
+        return {
+            name: signal.name,
+            description: signal.description || null,
+            inputs: signal.inputs,
+            weighted: isWeighted(signal),
+            defaultWeight: signal.defaultWeight,
+            weight: isWeighted(signal) ? (weights[signal.name] || signal.defaultWeight) : null,
+            enabled: settings.enabled !== false,
+            settings,
+            schema: getSchema(signal)
+        };
+    });
+}
+
+/**
+ * =======================================================================
+ * EXPORTS
+ * =======================================================================
+ */
+
+module.exports = {
+    // Registry
+    registerSignal,
+    unregisterSignal,
+    resetSignals,
+    getSignal,
+    getSignals,
+    listSignals,
+
+    // Config
+    getDefaultWeights,
+    getDefaultSettings,
+    getSignalSettings,
+    validateSignalConfig,
+
+    // Compute
+    computeSignals
+};
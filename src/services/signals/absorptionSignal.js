@@ -0,0 +1,45 @@
+// absorptionSignal.js
+// Signal 10: absorption (Phase 2) - resolved events vote, detections are monitor-only
+// Self-weighted: not part of weights.signals (weight from settings.resolvedWeight)
+
+module.exports = {
+    name: 'absorption',
+    description: 'Resolved CVD absorption events (accumulation, distribution, traps)',
+    inputs: ['absorption'],
+    defaultWeight: null,
+    configSchema: {
+        resolvedWeight: { type: 'number', default: 0.15, min: 0, max: 0.6 }
+    },
+
+    compute({ absorption }, settings) {
+        if (!absorption) return null;
+
+        if (absorption.resolved) {
+            const res = absorption.resolved;
+            const isBullish = res.resolution === 'ACCUMULATION' || (res.resolution === 'TRAP' && res.cvd_direction === 'selling'); // Selling trap -> Bullish
+            const isBearish = res.resolution === 'DISTRIBUTION' || (res.resolution === 'TRAP' && res.cvd_direction === 'buying'); // Buying trap -> Bearish
+            if (!isBullish && !isBearish) return null;
+
+            return {
+                name: 'absorption_resolved',
+                signal: isBullish ? 'LONG' : 'SHORT',
+                confidence: 10, // Max confidence for resolved metric
+                weight: settings.resolvedWeight,
+                reasoning: `RESOLVED ${res.resolution}: ${res.resolution_reason}`
+            };
+        }
+
+        if (absorption.detected) {
+            // Phase 1 Detection - Monitor mode
+            return {
+                name: 'absorption_detected',
+                signal: 'WAIT',
+                confidence: 5,
+                weight: 0,
+                reasoning: `Potential ${absorption.detected.cvdDirection} absorption detected - monitoring for resolution`
+            };
+        }
+
+        return null;
+    }
+};
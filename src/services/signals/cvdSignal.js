@@ -0,0 +1,74 @@
+// cvdSignal.js
+// Signal 7: CVD slope vs price (interpretCVD), gated on data reliability
+
+module.exports = {
+    name: 'cvd',
+    description: 'CVD slope divergence/confirmation vs price',
+    inputs: ['binanceData', 'cvdSlopeData'],
+    defaultWeight: 0.10,
+    configSchema: {},
+
+    compute({ binanceData, cvdSlopeData, timeframe, config }) {
+        // Lazy require - marketMetrics loads the signal registry
+        const { interpretCVD, isScalpingTimeframe } = require('../marketMetrics');
+
+        const priceChange = binanceData.price_change || 0;
+        const cvdReliable = binanceData.cvdReliableForTf !== false;
+        const cvdResolution = binanceData.cvdResolution;
+        const cvdDataReason = binanceData.cvdReason;
+
+        // CVD slope data from the caller (defaults to flat)
+        const slopeData = cvdSlopeData || {
+            cvdSlopeNormalized: 0,
+            cvdDirection: 'flat',
+            cvdTotal: binanceData.cvd || 0
+        };
+
+        const cvdInterpretation = interpretCVD(slopeData, priceChange, timeframe, config);
+
+        // Reliability gating on top of the interpretation
+        let active = true;
+        let cvdWarning = null;
+
+        // Gate 1: Resolution mismatch (legacy case - 24h data on scalping TF)
+        if (isScalpingTimeframe(timeframe, config) && cvdResolution === 'h24') {
+            active = false;
+            cvdInterpretation.cvdBias = 'NEUTRAL';
+            cvdInterpretation.cvdConfidence = 0;
+            cvdWarning = 'CVD excluded: resolution mismatch (h24 data on scalping TF)';
+        }
+        // Gate 2: Data reliability check from calculateCVDPerTimeframe
+        else if (!cvdReliable) {
+            active = false;
+            cvdInterpretation.cvdBias = 'NEUTRAL';
+            cvdInterpretation.cvdConfidence = 0;
+            cvdWarning = `CVD excluded: ${cvdDataReason || 'data quality issue'}`;
+        }
+
+        const REASONS = {
+            noise: 'CVD slope too weak to signal',
+            accumulation: 'CVD rising while price flat (Accumulation)',
+            distribution: 'CVD falling while price flat (Distribution)',
+            bearish_divergence: 'CVD falling while price up (Bearish Divergence)',
+            bullish_divergence: 'CVD rising while price down (Bullish Divergence)',
+            confirmation: `CVD confirming price ${priceChange > 0 ? 'up' : 'down'}`
+        };
+
+        return {
+            active,
+            signal: cvdInterpretation.cvdBias,
+            confidence: cvdInterpretation.cvdConfidence,
+            reasoning: REASONS[cvdInterpretation.cvdSignalType] || 'CVD signal neutral',
+            metadata: {
+                cvdResolution,
+                cvdSlopeNormalized: slopeData.cvdSlopeNormalized,
+                cvdDirection: slopeData.cvdDirection,
+                cvdSignalType: cvdInterpretation.cvdSignalType,
+                cvdDataComplete: binanceData.cvdDataComplete,
+                cvdMarketImpactReliable: binanceData.cvdMarketImpactReliable,
+                cvdReliable,
+                cvdWarning
+            }
+        };
+    }
+};
@@ -0,0 +1,18 @@
+// exchangeDivergenceSignal.js
+// Signal 1: whale vs retail divergence across venues (analyzeVenueDivergence)
+
+module.exports = {
+    name: 'exchange_divergence',
+    description: 'Informed vs crowd venue divergence',
+    inputs: ['exchangeAnalysis'],
+    defaultWeight: 0.35,
+    configSchema: {},
+
+    compute({ exchangeAnalysis }) {
+        return {
+            signal: exchangeAnalysis.bias,
+            confidence: exchangeAnalysis.confidence, // 0-10
+            reasoning: exchangeAnalysis.warnings[0]
+        };
+    }
+};
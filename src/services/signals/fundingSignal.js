@@ -0,0 +1,22 @@
+// fundingSignal.js
+// Signal 6: funding crowding (analyzeFundingAdvanced)
+
+module.exports = {
+    name: 'funding',
+    description: 'Funding rate extremes and pain index',
+    inputs: ['fundingAdvanced'],
+    defaultWeight: 0.05,
+    configSchema: {},
+
+    compute({ fundingAdvanced }) {
+        const fundingExtreme = fundingAdvanced?.extremeLevel || 'normal';
+        const fundingBias = fundingAdvanced?.fundingBias || 'WAIT';
+        const fundingZ = fundingAdvanced?.zScore || 0;
+
+        return {
+            signal: fundingBias,
+            confidence: Math.abs(fundingZ) * 2, // Approx confidence from Z
+            reasoning: `Funding ${fundingExtreme} (Pain: $${fundingAdvanced?.painIndex || 0}M)`
+        };
+    }
+};
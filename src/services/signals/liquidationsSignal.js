@@ -0,0 +1,28 @@
+// liquidationsSignal.js
+// Signal 8: liquidations (analyzeLiquidations) - excluded when no liquidation data.
+// Opt-in: default weight 0 so the legacy signal weights stay as they were;
+// give it a weight in weights.signals to let it vote.
+
+module.exports = {
+    name: 'liquidations',
+    description: 'Liquidation spikes, cascades and squeezes',
+    inputs: ['liquidations'],
+    defaultWeight: 0,
+    configSchema: {},
+
+    compute({ liquidations }) {
+        const available = !!liquidations?.available;
+        return {
+            active: available,
+            signal: available ? liquidations.bias : 'WAIT',
+            confidence: available ? liquidations.confidence : 0,
+            reasoning: liquidations?.reasoning || 'Liquidation data unavailable',
+            metadata: available ? {
+                squeeze: liquidations.squeeze,
+                spike: liquidations.spike,
+                cascade: liquidations.cascade,
+                oiConfirmation: liquidations.oiConfirmation
+            } : undefined
+        };
+    }
+};
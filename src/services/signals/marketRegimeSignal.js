@@ -0,0 +1,28 @@
+// marketRegimeSignal.js
+// Signal 2: market regime (detectMarketRegime) mapped to a bias
+
+module.exports = {
+    name: 'market_regime',
+    description: 'Regime classification (distribution, accumulation, traps, trends)',
+    inputs: ['regimeAnalysis'],
+    defaultWeight: 0.20,
+    configSchema: {
+        // Spot vs perp flow overlay in detectMarketRegime (opt-in: costs extra
+        // spot price / spot taker fetches per timeframe on live requests)
+        spotPerp: { type: 'boolean', default: false }
+    },
+
+    compute({ regimeAnalysis }) {
+        const regimeBias =
+            regimeAnalysis.regime === 'distribution' || regimeAnalysis.subType === 'long_trap' ? 'SHORT' :
+                regimeAnalysis.regime === 'accumulation' || regimeAnalysis.subType === 'short_trap' ? 'LONG' :
+                    regimeAnalysis.subType === 'healthy_bull' ? 'LONG' :
+                        regimeAnalysis.subType === 'healthy_bear' ? 'SHORT' : 'WAIT';
+
+        return {
+            signal: regimeBias,
+            confidence: regimeAnalysis.confidence,
+            reasoning: regimeAnalysis.characteristics[0]
+        };
+    }
+};
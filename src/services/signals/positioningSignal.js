@@ -0,0 +1,27 @@
+// positioningSignal.js
+// Signal 9: trader positioning (analyzePositioning) - excluded when no long/short ratio data.
+// Opt-in like liquidations: default weight 0, set weights.signals.positioning to use it.
+
+module.exports = {
+    name: 'positioning',
+    description: 'Global and top-trader long/short ratios',
+    inputs: ['positioning'],
+    defaultWeight: 0,
+    configSchema: {},
+
+    compute({ positioning }) {
+        const available = !!positioning?.available;
+        return {
+            active: available,
+            signal: available ? positioning.bias : 'WAIT',
+            confidence: available ? positioning.confidence : 0,
+            reasoning: positioning?.reasoning || 'Positioning data unavailable',
+            metadata: available ? {
+                agreement: positioning.agreement,
+                exchanges: Object.fromEntries(Object.entries(positioning.exchanges)
+                    .filter(([, r]) => r.available)
+                    .map(([ex, r]) => [ex, { bias: r.bias, crowd: r.crowd, topVsCrowd: r.topVsCrowd }]))
+            } : undefined
+        };
+    }
+};
@@ -0,0 +1,45 @@
+// structureSignal.js
+// Signal 3: market structure - break of structure, price at support/resistance
+
+module.exports = {
+    name: 'structure',
+    description: 'Break of structure and support/resistance proximity',
+    inputs: ['binanceData', 'structure'],
+    defaultWeight: 0.15,
+    configSchema: {
+        // Distance from a level (fraction of price) that counts as "at" it
+        levelProximity: { type: 'number', default: 0.01, min: 0, max: 0.05 }
+    },
+
+    compute({ binanceData, structure }, settings) {
+        let structureBias = 'WAIT';
+        let structureConf = 5;
+        let structureReason = 'Structure is neutral';
+
+        if (structure) {
+            if (structure.bos === 'bullish_bos') {
+                structureBias = 'LONG';
+                structureConf = 9;
+                structureReason = 'Bullish Break of Structure (BoS)';
+            } else if (structure.bos === 'bearish_bos') {
+                structureBias = 'SHORT';
+                structureConf = 9;
+                structureReason = 'Bearish Break of Structure (BoS)';
+            } else if (binanceData.price && structure.support && binanceData.price <= structure.support * (1 + settings.levelProximity)) {
+                structureBias = 'LONG';
+                structureConf = 7;
+                structureReason = 'Price at Support Level';
+            } else if (binanceData.price && structure.resistance && binanceData.price >= structure.resistance * (1 - settings.levelProximity)) {
+                structureBias = 'SHORT';
+                structureConf = 7;
+                structureReason = 'Price at Resistance Level';
+            }
+        }
+
+        return {
+            signal: structureBias,
+            confidence: structureConf,
+            reasoning: structureReason
+        };
+    }
+};
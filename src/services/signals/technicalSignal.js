@@ -0,0 +1,24 @@
+// technicalSignal.js
+// Signal 5: technical trend (calculateTechnicalMetrics)
+
+module.exports = {
+    name: 'technical',
+    description: 'Technical trend direction and strength',
+    inputs: ['technicalMetrics'],
+    defaultWeight: 0.10,
+    configSchema: {},
+
+    compute({ technicalMetrics }) {
+        const techBias = technicalMetrics.technicalBias || 'WAIT';
+        const techStrength = technicalMetrics.trend?.strength || 0;
+        const techDirection = technicalMetrics.trend?.direction || 'unknown';
+
+        return {
+            signal: techBias,
+            confidence: Math.abs(techStrength) * 10,
+            reasoning: techDirection !== 'unknown'
+                ? `Trend ${techDirection} with strength ${techStrength}`
+                : 'No technical data available'
+        };
+    }
+};
@@ -0,0 +1,44 @@
+// vwapSignal.js
+// Signal 4: price vs daily VWAP - fixed bands (±1%, ±2%)
+// VWAP is ALWAYS daily (session-based, 00:00 UTC start)
+
+module.exports = {
+    name: 'vwap',
+    description: 'Deviation from the daily session VWAP',
+    inputs: ['vwapData'],
+    defaultWeight: 0.05,
+    configSchema: {},
+
+    compute({ vwapData, config }) {
+        // Lazy require - marketMetrics loads the signal registry
+        const { interpretVWAP } = require('../marketMetrics');
+        const data = vwapData || { vwap: null };
+        const vwapInterpretation = interpretVWAP(data, config);
+
+        let vwapReasoning = 'VWAP data unavailable';
+        const deviationPct = data.deviationPercent || 0;
+        switch (vwapInterpretation.signal) {
+            case 'upper_extreme':
+                vwapReasoning = `Price ${deviationPct.toFixed(2)}% above VWAP (Extreme Premium ≥2%)`;
+                break;
+            case 'lower_extreme':
+                vwapReasoning = `Price ${Math.abs(deviationPct).toFixed(2)}% below VWAP (Extreme Discount ≤-2%)`;
+                break;
+            case 'upper_band':
+                vwapReasoning = `Price ${deviationPct.toFixed(2)}% above VWAP (Premium 1-2%)`;
+                break;
+            case 'lower_band':
+                vwapReasoning = `Price ${Math.abs(deviationPct).toFixed(2)}% below VWAP (Discount 1-2%)`;
+                break;
+            case 'at_vwap':
+                vwapReasoning = 'Price at VWAP (Fair Value within ±1%)';
+                break;
+        }
+
+        return {
+            signal: vwapInterpretation.bias,
+            confidence: vwapInterpretation.confidence,
+            reasoning: vwapReasoning
+        };
+    }
+};
@@ -0,0 +1,276 @@
+// src/services/spotPerpAnalysis.js
+// ============================================================================
+// Spot vs Perpetual Flow Analysis
+// ============================================================================
+// Futures CVD alone cannot tell organic demand from leverage. This module
+// puts spot taker flow next to perp taker flow and answers:
+//   1. Spot CVD / perp CVD - direction of each market's aggressive flow
+//                            (normalized per-candle delta, regression slope)
+//   2. Leadership          - which market carries most of the net taker flow
+//   3. Premium / basis     - perp close vs spot close (%), and whether it is
+//                            expanding (leverage chasing) or compressing
+//
+// Scenarios (with the price direction):
+//   spot_led_rally    - spot buyers driving the move (organic, LONG)
+//   perp_led_rally    - perp buyers with flat/negative spot CVD (trap risk, SHORT)
+//   spot_led_selloff  - spot sellers driving the move (distribution, SHORT)
+//   perp_led_selloff  - perp selling while spot holds (leverage flush, LONG)
+//
+// The result feeds detectMarketRegime (trap indicator / trend confirmation)
+// and is returned in the analyzer response.
+//
+// Input records: taker flow { time, buyUsd, sellUsd } and price candles
+// { time, close } (marketDataService) - the raw Coinglass shapes
+// (taker_buy_volume_usd / taker_sell_volume_usd) are accepted as well.
+// ============================================================================
+
+/**
+ * =======================================================================
+ * CONFIGURATION
+ * =======================================================================
+ */
+
+const SPOT_PERP_CONFIG = {
+    // Candles used for CVD and leadership (latest included)
+    window: 20,
+    minCandles: 8,
+
+    // Candles for the CVD slope; |slope| below flatSlope = flat
+    slopeWindow: 10,
+    flatSlope: 0.02,
+
+    // Share of the combined net taker flow (USD) a market needs to lead
+    leadShare: 0.6,
+
+    // Perp premium over spot (%): above = premium, below -discountPct = discount
+    premiumPct: 0.05,
+    discountPct: 0.05,
+
+    // Premium change (%-points over the window) that counts as expanding
+    basisExpansionPct: 0.03
+};
+
+/**
+ * =======================================================================
+ * HELPERS
+ * =======================================================================
+ */
+
+function normalizeFlow(record) {
+    const toUsd = value => (Number.isFinite(Number(value)) ? Number(value) : 0);
+    return {
+        time: Number(record.time ?? record.timestamp),
+        buyUsd: toUsd(record.buyUsd ?? record.taker_buy_volume_usd ?? record.buyVol ?? record.spot_buy_volume ?? record.buy_volume),
+        sellUsd: toUsd(record.sellUsd ?? record.taker_sell_volume_usd ?? record.sellVol ?? record.spot_sell_volume ?? record.sell_volume)
+    };
+}
+
+/**
+ * Linear regression slope of a series (x = index)
+ */
+function slope(values) {
+    const n = values.length;
+    if (n < 2) return 0;
+    let sumX = 0, sumY = 0, sumXY = 0, sumXX = 0;
+    for (let i = 0; i < n; i++) {
+        sumX += i;
+        sumY += values[i];
+        sumXY += i * values[i];
+        sumXX += i * i;
+    }
+    const denominator = n * sumXX - sumX * sumX;
+    return denominator === 0 ? 0 : (n * sumXY - sumX * sumY) / denominator;
+}
+
+function toMillions(usd) {
+    return Number((usd / 1000000).toFixed(2));
+}
+
+/**
+ * CVD summary for one market's taker flow
+ * @returns {Object} { candles, netUsd, normalizedTotal, slope, direction: 'rising' | 'falling' | 'flat' }
+ */
+function summarizeCvd(flow) {
+    let cumulative = 0;
+    const series = flow.map(c => {
+        const total = c.buyUsd + c.sellUsd;
+        cumulative += total > 0 ? (c.buyUsd - c.sellUsd) / total : 0;
+        return cumulative;
+    });
+
+    const cvdSlope = slope(series.slice(-SPOT_PERP_CONFIG.slopeWindow));
+    let direction = 'flat';
+    if (cvdSlope > SPOT_PERP_CONFIG.flatSlope) direction = 'rising';
+    else if (cvdSlope < -SPOT_PERP_CONFIG.flatSlope) direction = 'falling';
+
+    return {
+        candles: flow.length,
+        netUsd: flow.reduce((acc, c) => acc + c.buyUsd - c.sellUsd, 0),
+        normalizedTotal: Number(cumulative.toFixed(4)),
+        slope: Number(cvdSlope.toFixed(4)),
+        direction
+    };
+}
+
+function formatCvd({ netUsd, ...rest }) {
+    return { ...rest, netUsdM: toMillions(netUsd) };
+}
+
+/**
+ * Perp premium over spot, matched by candle time
+ * @returns {Object|null} { premiumPct, avgPremiumPct, changePct, state, expanding }
+ */
+function computeBasis(spotPrice, perpPrice) {
+    const spotByTime = new Map(
+        (spotPrice || []).map(c => [Number(c.time ?? c.timestamp), Number(c.close ?? c.spot_close)])
+    );
+    const premiums = (perpPrice || [])
+        .map(c => {
+            const spot = spotByTime.get(Number(c.time ?? c.timestamp));
+            const perp = Number(c.close);
+            return spot > 0 && perp > 0 ? ((perp - spot) / spot) * 100 : null;
+        })
+        .filter(p => p !== null)
+        .slice(-SPOT_PERP_CONFIG.window);
+
+    if (premiums.length === 0) return null;
+
+    const latest = premiums[premiums.length - 1];
+    const avg = premiums.reduce((a, b) => a + b, 0) / premiums.length;
+    const change = latest - premiums[0];
+
+    let state = 'neutral';
+    if (latest >= SPOT_PERP_CONFIG.premiumPct) state = 'premium';
+    else if (latest <= -SPOT_PERP_CONFIG.discountPct) state = 'discount';
+
+    return {
+        premiumPct: Number(latest.toFixed(4)),
+        avgPremiumPct: Number(avg.toFixed(4)),
+        changePct: Number(change.toFixed(4)),
+        state,
+        expanding: change >= SPOT_PERP_CONFIG.basisExpansionPct,
+        compressing: change <= -SPOT_PERP_CONFIG.basisExpansionPct
+    };
+}
+
+/**
+ * =======================================================================
+ * ANALYSIS
+ * =======================================================================
+ */
+
+/**
+ * Analyze spot vs perp flow for one timeframe
+ * @param {Object} data - { spotTaker, perpTaker, spotPrice, perpPrice } chronological arrays
+ * @param {Object} context - {
+ *   priceDirection: 'UP' | 'DOWN' | 'FLAT' (classified by the caller),
+ *   priceChange: latest price change % (fallback when no direction is given)
+ * }
+ * @returns {Object} {
+ *   available, spotCvd, perpCvd, flow, basis, leader ('spot' | 'perp' | 'balanced' | 'none'),
+ *   scenario, bias, confidence (0-10), reasoning
+ * }
+ */
+function analyzeSpotPerp(data = {}, context = {}) {
+    const prepare = series => (Array.isArray(series) ? series : [])
+        .map(normalizeFlow)
+        .filter(c => Number.isFinite(c.time))
+        .sort((a, b) => a.time - b.time)
+        .slice(-SPOT_PERP_CONFIG.window);
+
+    const spotFlow = prepare(data.spotTaker);
+    const perpFlow = prepare(data.perpTaker);
+
+    if (spotFlow.length < SPOT_PERP_CONFIG.minCandles || perpFlow.length < SPOT_PERP_CONFIG.minCandles) {
+        return {
+            available: false,
+            scenario: null,
+            leader: null,
+            bias: 'WAIT',
+            confidence: 0,
+            reasoning: 'Spot/perp flow data unavailable'
+        };
+    }
+
+    const spotCvd = summarizeCvd(spotFlow);
+    const perpCvd = summarizeCvd(perpFlow);
+    const basis = computeBasis(data.spotPrice, data.perpPrice);
+
+    // Leadership: share of the combined net taker flow
+    const spotAbs = Math.abs(spotCvd.netUsd);
+    const perpAbs = Math.abs(perpCvd.netUsd);
+    const spotShare = spotAbs + perpAbs > 0 ? spotAbs / (spotAbs + perpAbs) : null;
+
+    let leader = 'none';
+    if (spotCvd.direction !== 'flat' || perpCvd.direction !== 'flat') {
+        leader = 'balanced';
+        if (spotShare !== null && spotShare >= SPOT_PERP_CONFIG.leadShare && spotCvd.direction !== 'flat') leader = 'spot';
+        else if (spotShare !== null && spotShare <= 1 - SPOT_PERP_CONFIG.leadShare && perpCvd.direction !== 'flat') leader = 'perp';
+    }
+
+    const priceChange = Number(context.priceChange) || 0;
+    const direction = context.priceDirection || (priceChange > 0 ? 'UP' : priceChange < 0 ? 'DOWN' : 'FLAT');
+
+    let scenario = 'mixed';
+    let bias = 'WAIT';
+    let confidence = 3;
+    let reasoning = `Spot CVD ${spotCvd.direction}, perp CVD ${perpCvd.direction} - no clear leader`;
+
+    if (direction === 'UP') {
+        if (spotCvd.direction === 'rising' && leader !== 'perp') {
+            scenario = 'spot_led_rally';
+            bias = 'LONG';
+            confidence = 6 + (leader === 'spot' ? 1 : 0) + (basis && basis.state !== 'premium' ? 1 : 0);
+            reasoning = `Spot-led rally: spot CVD rising${leader === 'spot' ? ` and carrying ${Math.round(spotShare * 100)}% of net flow` : ''}`;
+        } else if (perpCvd.direction === 'rising' && spotCvd.direction !== 'rising') {
+            scenario = 'perp_led_rally';
+            bias = 'SHORT';
+            confidence = 5 + (spotCvd.direction === 'falling' ? 1 : 0) + (basis && (basis.state === 'premium' || basis.expanding) ? 1 : 0);
+            reasoning = `Perp-led rally with ${spotCvd.direction} spot CVD${basis?.expanding ? ', premium expanding' : ''} - leverage, not spot demand`;
+        }
+    } else if (direction === 'DOWN') {
+        if (spotCvd.direction === 'falling' && leader !== 'perp') {
+            scenario = 'spot_led_selloff';
+            bias = 'SHORT';
+            confidence = 6 + (leader === 'spot' ? 1 : 0) + (basis && basis.state !== 'discount' ? 1 : 0);
+            reasoning = `Spot-led selloff: spot CVD falling${leader === 'spot' ? ` and carrying ${Math.round(spotShare * 100)}% of net flow` : ''}`;
+        } else if (perpCvd.direction === 'falling' && spotCvd.direction !== 'falling') {
+            scenario = 'perp_led_selloff';
+            bias = 'LONG';
+            confidence = 5 + (spotCvd.direction === 'rising' ? 1 : 0) + (basis && (basis.state === 'discount' || basis.compressing) ? 1 : 0);
+            reasoning = `Perp-led selloff with ${spotCvd.direction} spot CVD - leveraged flush, spot holding`;
+        }
+    }
+
+    return {
+        available: true,
+        spotCvd: formatCvd(spotCvd),
+        perpCvd: formatCvd(perpCvd),
+        flow: {
+            spotShare: spotShare !== null ? Number(spotShare.toFixed(3)) : null
+        },
+        basis,
+        leader,
+        priceDirection: direction,
+        scenario,
+        bias,
+        confidence: Math.min(confidence, 10),
+        reasoning
+    };
+}
+
+/**
+ * =======================================================================
+ * EXPORTS
+ * =======================================================================
+ */
+
+module.exports = {
+    analyzeSpotPerp,
+    SPOT_PERP_CONFIG,
+
+    // Exposed for testing
+    normalizeFlow,
+    summarizeCvd,
+    computeBasis
+};
@@ -0,0 +1,271 @@
+// stateRerunService.js
+// Re-runs stored analyzer inputs through the CURRENT code and diffs the result
+// against the output that was saved at the time - catches logic regressions.
+//
+// Each state is re-run with the config version it was produced with (when that
+// version is still in analyzer_config_history), so any difference is code, not config.
+// Read-only: nothing is written.
+
+const marketMetrics = require('./marketMetrics');
+const analyzerInputStorage = require('./analyzerInputStorage');
+const stateStorage = require('./stateStorage');
+const configService = require('./configService');
+const { getBuildVersion } = require('../utils/buildInfo');
+const logger = require('../utils/logger');
+
+/**
+ * =======================================================================
+ * CONFIGURATION
+ * =======================================================================
+ */
+
+const STATE_TABLES = {
+    market: 'market_states',
+    replay: 'replay_states'
+};
+
+const RERUN_STATUS = {
+    IDENTICAL: 'IDENTICAL',
+    CHANGED: 'CHANGED',
+    NO_INPUTS: 'NO_INPUTS',          // State saved before inputs were stored
+    INPUTS_MISSING: 'INPUTS_MISSING', // inputs_hash set but payload not found
+    ERROR: 'ERROR'
+};
+
+// Volatile or wrapper fields that are not analyzer logic
+const IGNORED_KEYS = new Set([
+    'timestamp',     // Date.now() at calculation time
+    'detectedAt',    // Absorption detection time
+    'alerts',        // Added by the route, not the analyzer
+    'mode',          // Replay wrapper fields
+    'replayId',
+    'replayMeta'
+]);
+
+const NUMERIC_TOLERANCE = 1e-9;
+const MAX_DIFFS_PER_STATE = 50;
+const MAX_STATES = 500;
+
+/**
+ * =======================================================================
+ * DIFF
+ * =======================================================================
+ */
+
+/**
+ * Deep diff of two JSON values
+ * @returns {Array} [{ path, before, after }]
+ */
+function diffOutputs(before, after, path = '', diffs = []) {
+    if (typeof before === 'number' && typeof after === 'number') {
+        if (Math.abs(before - after) > NUMERIC_TOLERANCE) {
+            diffs.push({ path, before, after });
+        }
+        return diffs;
+    }
+
+    const isObject = (v) => v !== null && typeof v === 'object';
+
+    if (Array.isArray(before) && Array.isArray(after)) {
+        const length = Math.max(before.length, after.length);
+        for (let i = 0; i < length; i++) {
+            diffOutputs(before[i], after[i], `${path}[${i}]`, diffs);
+        }
+        return diffs;
+    }
+
+    if (isObject(before) && isObject(after) && !Array.isArray(before) && !Array.isArray(after)) {
+        const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+        for (const key of keys) {
+            if (IGNORED_KEYS.has(key)) continue;
+            diffOutputs(before[key], after[key], path ? `${path}.${key}` : key, diffs);
+        }
+        return diffs;
+    }
+
+    if (before !== after) {
+        diffs.push({ path, before: before ?? null, after: after ?? null });
+    }
+    return diffs;
+}
+
+/**
+ * =======================================================================
+ * RE-RUN
+ * =======================================================================
+ */
+
+/**
+ * Resolve the config a state was produced with (cached per run)
+ */
+async function resolveConfig(configVersion, cache) {
+    if (!configVersion) return { config: configService.getCachedConfig(), source: 'current' };
+
+    if (!cache.has(configVersion)) {
+        const row = await configService.getVersion(configVersion);
+        cache.set(configVersion, row?.config_json || null);
+    }
+
+    const config = cache.get(configVersion);
+    return config
+        ? { config, source: 'original' }
+        : { config: configService.getCachedConfig(), source: 'current' };
+}
+
+/**
+ * Re-run one stored state row
+ * @param {Object} row - market_states / replay_states row
+ * @param {Map} configCache - Config versions already loaded
+ * @returns {Promise<Object>} Re-run result
+ */
+async function rerunStateRow(row, configCache = new Map()) {
+    const base = {
+        stateId: row.id,
+        timestamp: Number(row.as_of_timestamp || row.timestamp),
+        symbol: row.symbol,
+        inputsHash: row.inputs_hash || null,
+        configVersion: row.config_version || null,
+        buildVersion: row.build_version || null
+    };
+
+    if (!row.inputs_hash) {
+        return { ...base, status: RERUN_STATUS.NO_INPUTS };
+    }
+
+    const inputs = await analyzerInputStorage.getInputs(row.inputs_hash);
+    if (!inputs) {
+        return { ...base, status: RERUN_STATUS.INPUTS_MISSING };
+    }
+
+    try {
+        const { config, source } = await resolveConfig(row.config_version, configCache);
+        const metrics = marketMetrics.calculateMarketMetrics(
+            { snapshot: inputs.snapshot, history: inputs.history, symbol: inputs.symbol },
+            {},
+            { resolvedAbsorptions: inputs.resolvedAbsorptions || [], config }
+        );
+
+        // Compare in stored (JSON) form - drops undefined, NaN -> null
+        const rerun = JSON.parse(JSON.stringify(metrics));
+        const original = typeof row.full_state_json === 'string'
+            ? JSON.parse(row.full_state_json)
+            : row.full_state_json || {};
+
+        const diffs = diffOutputs(original, rerun);
+
+        return {
+            ...base,
+            status: diffs.length === 0 ? RERUN_STATUS.IDENTICAL : RERUN_STATUS.CHANGED,
+            configUsed: source,
+            before: {
+                bias: original.finalDecision?.bias ?? null,
+                confidence: original.finalDecision?.confidence ?? null
+            },
+            after: {
+                bias: rerun.finalDecision?.bias ?? null,
+                confidence: rerun.finalDecision?.confidence ?? null
+            },
+            diffCount: diffs.length,
+            diffs: diffs.slice(0, MAX_DIFFS_PER_STATE)
+        };
+
+    } catch (error) {
+        return { ...base, status: RERUN_STATUS.ERROR, error: error.message };
+    }
+}
+
+/**
+ * Load state rows to re-run
+ */
+async function loadStateRows(table, options) {
+    const client = stateStorage.getSupabase();
+    if (!client) throw new Error('Database not configured');
+
+    const { symbol, batchId, stateIds, fromDate, toDate, limit } = options;
+    const timeColumn = table === STATE_TABLES.replay ? 'as_of_timestamp' : 'timestamp';
+
+    let query = client
+        .from(table)
+        .select('id, symbol, timestamp, full_state_json, inputs_hash, config_version, build_version' +
+            (table === STATE_TABLES.replay ? ', as_of_timestamp, batch_id' : ''))
+        .order(timeColumn, { ascending: false })
+        .limit(limit);
+
+    if (stateIds && stateIds.length > 0) {
+        query = query.in('id', stateIds);
+    } else {
+        if (symbol) query = query.eq('symbol', symbol);
+        if (batchId && table === STATE_TABLES.replay) query = query.eq('batch_id', batchId);
+        if (fromDate) query = query.gte(timeColumn, fromDate);
+        if (toDate) query = query.lte(timeColumn, toDate);
+    }
+
+    const { data, error } = await query;
+    if (error) throw new Error(error.message);
+    return data || [];
+}
+
+/**
+ * Re-run a set of stored states and summarize differences
+ *
+ * @param {Object} options - { source: 'market'|'replay', symbol, batchId, stateIds, fromDate, toDate, limit }
+ * @returns {Promise<Object>} { success, summary, results }
+ */
+async function rerunStates(options = {}) {
+    const table = STATE_TABLES[options.source || 'market'];
+    if (!table) {
+        return { success: false, error: `source must be one of: ${Object.keys(STATE_TABLES).join(', ')}` };
+    }
+
+    const limit = Math.min(options.limit || 50, MAX_STATES);
+
+    try {
+        const rows = await loadStateRows(table, { ...options, limit });
+        const configCache = new Map();
+        const results = [];
+
+        for (const row of rows) {
+            results.push(await rerunStateRow(row, configCache));
+        }
+
+        const summary = {
+            total: results.length,
+            identical: 0,
+            changed: 0,
+            biasChanged: 0,
+            noInputs: 0,
+            errors: 0
+        };
+        for (const r of results) {
+            if (r.status === RERUN_STATUS.IDENTICAL) summary.identical++;
+            if (r.status === RERUN_STATUS.CHANGED) summary.changed++;
+            if (r.status === RERUN_STATUS.NO_INPUTS || r.status === RERUN_STATUS.INPUTS_MISSING) summary.noInputs++;
+            if (r.status === RERUN_STATUS.ERROR) summary.errors++;
+            if (r.before && r.after && r.before.bias !== r.after.bias) summary.biasChanged++;
+        }
+
+        if (summary.changed > 0) {
+            logger.warn(`⚠️ [RERUN] ${summary.changed}/${summary.total} ${table} outputs differ under build ${getBuildVersion()}`);
+        }
+
+        return {
+            success: true,
+            source: options.source || 'market',
+            currentBuild: getBuildVersion(),
+            summary,
+            results
+        };
+
+    } catch (error) {
+        logger.error('[RERUN] Failed:', error.message);
+        return { success: false, error: error.message };
+    }
+}
+
+module.exports = {
+    rerunStates,
+    rerunStateRow,
+    diffOutputs,
+    RERUN_STATUS,
+    STATE_TABLES
+};
@@ -1,18 +1,19 @@
 // stateStorage.js - Phase 4: Storage Layer & State Persistence
-// Persists market state history to Supabase PostgreSQL
+// Persists market state history (Supabase PostgreSQL or local SQLite - see storageBackend.js)
 
-const { createClient } = require('@supabase/supabase-js');
+const storageBackend = require('./storageBackend');
 const { v4: uuidv4 } = require('uuid');
+const analyzerInputStorage = require('./analyzerInputStorage');
+const outcomeLabelStorage = require('./outcomeLabelStorage');
+const { getBuildVersion } = require('../utils/buildInfo');
 
 /**
  * =======================================================================
- * SUPABASE CONFIGURATION
+ * STORAGE CONFIGURATION
  * =======================================================================
  */
 
 const DB_CONFIG = {
-    supabaseUrl: process.env.SUPABASE_URL,
-    supabaseKey: process.env.SUPABASE_SERVICE_KEY,
     retentionDays: {
         detailedStates: 90,
         dailySummaries: 365 * 2, // 2 years
@@ -146,19 +147,45 @@ async function hydrateDedupCache(symbol = 'BTC') {
     }
 }
 
-// Initialize Supabase client
-let supabase = null;
-
+// Storage client (Supabase or SQLite - see storageBackend.js)
 function getSupabase() {
-    if (!supabase) {
-        if (!DB_CONFIG.supabaseUrl || !DB_CONFIG.supabaseKey) {
-            console.error('❌ Supabase credentials not configured! Set SUPABASE_URL and SUPABASE_SERVICE_KEY');
-            return null;
+    return storageBackend.getClient();
+}
+
+/**
+ * =======================================================================
+ * PROVENANCE (reproducibility)
+ * =======================================================================
+ * Every saved state records which inputs, config version and build produced it.
+ */
+
+/**
+ * Store analyzer inputs (content-addressed) and resolve provenance columns
+ * @param {Object} options - { inputs, inputsHash, configVersion, buildVersion }
+ * @returns {Object} { inputs_hash, config_version, build_version }
+ */
+async function resolveProvenance(options = {}) {
+    let inputsHash = options.inputsHash || null;
+
+    if (!inputsHash && options.inputs) {
+        const saved = await analyzerInputStorage.saveInputs(options.inputs);
+        if (saved.success) {
+            inputsHash = saved.hash;
+        } else {
+            console.warn(`⚠️ Analyzer inputs not stored: ${saved.error}`);
         }
-        supabase = createClient(DB_CONFIG.supabaseUrl, DB_CONFIG.supabaseKey);
-        console.log('✅ Supabase client initialized');
     }
-    return supabase;
+
+    // Lazy require - configService is optional for storage
+    const configVersion = options.configVersion !== undefined
+        ? options.configVersion
+        : require('./configService').getCachedVersion();
+
+    return {
+        inputs_hash: inputsHash,
+        config_version: configVersion || null,
+        build_version: options.buildVersion || getBuildVersion()
+    };
 }
 
 /**
@@ -167,12 +194,20 @@ function getSupabase() {
  * =======================================================================
  */
 
+/**
+ * Save a live market state
+ * @param {Object} marketState - calculateMarketMetrics output
+ * @param {Object} options - { symbol, forceOverwrite, inputs, inputsHash, configVersion }
+ *   inputs: { snapshot, history, symbol, resolvedAbsorptions } fed to the analyzer
+ *   inputsHash: reference already-stored inputs instead (e.g. cache hit)
+ */
 async function saveMarketState(marketState, options = {}) {
     const client = getSupabase();
     if (!client) return { success: false, error: 'Supabase not configured' };
 
     const timestamp = marketState.timestamp || Date.now();
-    const symbol = options.symbol || 'BTC';
+    // Base symbol ('BTC', 'ETH', ...) - analyzer output is tagged with its symbol
+    const symbol = options.symbol || marketState.symbol || 'BTC';
 
     // =========================================================================
     // TIME-BASED DEDUPLICATION
@@ -194,6 +229,7 @@ async function saveMarketState(marketState, options = {}) {
     }
 
     const id = uuidv4();
+    const provenance = await resolveProvenance(options);
 
     // Extract ONLY the minimal flat columns needed for indexing/queries
     // Everything else lives in full_state_json (SINGLE SOURCE OF TRUTH)
@@ -208,7 +244,7 @@ async function saveMarketState(marketState, options = {}) {
         // IDENTITY
         // =========================================================================
         timestamp,
-        symbol: 'BTC',
+        symbol,
 
         // =========================================================================
         // MINIMAL FLAT COLUMNS (for indexing & fast queries only)
@@ -235,6 +271,11 @@ async function saveMarketState(marketState, options = {}) {
         outcome_mae: null,
         outcome_labeled_at: null,
 
+        // =========================================================================
+        // PROVENANCE (inputs + config + build that produced this state)
+        // =========================================================================
+        ...provenance,
+
         // =========================================================================
         // METADATA
         // =========================================================================
@@ -257,7 +298,7 @@ async function saveMarketState(marketState, options = {}) {
         recordDedupSave(symbol, timeBucket, id);
         console.log(`✅ State saved: ${id} for bucket ${new Date(timeBucket).toISOString()}`);
 
-        return { success: true, id, timestamp, timeBucket };
+        return { success: true, id, timestamp, timeBucket, inputsHash: provenance.inputs_hash };
     } catch (error) {
         console.error('❌ Error saving market state:', error);
         return { success: false, error: error.message };
@@ -408,12 +449,64 @@ async function getStateCount(symbol = 'BTC') {
  * states after the evaluation horizon has expired.
  */
 
+/**
+ * outcome_* columns for a labeling result
+ */
+function buildOutcomeColumns(outcomeData) {
+    return {
+        outcome_label: outcomeData.label,
+        outcome_reason: outcomeData.reason || null,
+        outcome_horizon: outcomeData.horizon || null,
+        outcome_price: outcomeData.finalPrice || null,
+        outcome_move_pct: outcomeData.finalMovePercent || null,
+        outcome_mfe: outcomeData.maxFavorableExcursion || null,
+        outcome_mae: outcomeData.maxAdverseExcursion || null,
+        outcome_method: outcomeData.method || null,
+        outcome_method_version: outcomeData.methodVersion || null,
+        outcome_r_multiple: outcomeData.rMultiple ?? null,
+        outcome_time_to_hit_ms: outcomeData.timeToHitMs ?? null,
+        outcome_barrier: outcomeData.barrierHit || null,
+        outcome_labeled_at: Date.now()
+    };
+}
+
+/**
+ * Store a label in outcome_labels (per state / horizon / labeler version).
+ * A primary-horizon label also fills the state's outcome_* columns if they
+ * are empty - other horizons and later labeler versions never touch them.
+ */
+async function saveStateOutcome(table, source, stateId, outcomeData) {
+    const client = getSupabase();
+
+    const saved = await outcomeLabelStorage.saveOutcomeLabels([
+        outcomeLabelStorage.buildLabelRow(source, stateId, outcomeData)
+    ]);
+    if (!saved.success) {
+        return { success: false, error: saved.error };
+    }
+
+    if ((outcomeData.horizon || outcomeLabelStorage.PRIMARY_HORIZON) === outcomeLabelStorage.PRIMARY_HORIZON) {
+        const { error } = await client
+            .from(table)
+            .update(buildOutcomeColumns(outcomeData))
+            .eq('id', stateId)
+            .is('outcome_label', null);
+
+        if (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
+    return { success: true, stateId, label: outcomeData.label, horizon: outcomeData.horizon };
+}
+
 /**
  * Update a market state with its outcome label.
  * Called after horizon expiry to attach the outcome (Reversal/Continuation/Noise).
+ * Each horizon / labeler version is stored separately (outcome_labels).
  * 
  * @param {string} stateId - The ID of the market state to update
- * @param {Object} outcomeData - Outcome data from calculateOutcomeLabel()
+ * @param {Object} outcomeData - Outcome data from calculateOutcomeLabel() + horizon
  * @returns {Object} { success: boolean, error?: string }
  */
 async function updateStateOutcome(stateId, outcomeData) {
@@ -428,29 +521,12 @@ async function updateStateOutcome(stateId, outcomeData) {
         return { success: false, error: 'Outcome data with label is required' };
     }
 
-    const updateRecord = {
-        outcome_label: outcomeData.label,
-        outcome_reason: outcomeData.reason || null,
-        outcome_horizon: outcomeData.horizon || null,
-        outcome_price: outcomeData.finalPrice || null,
-        outcome_move_pct: outcomeData.finalMovePercent || null,
-        outcome_mfe: outcomeData.maxFavorableExcursion || null,
-        outcome_mae: outcomeData.maxAdverseExcursion || null,
-        outcome_labeled_at: Date.now()
-    };
-
     try {
-        const { error } = await client
-            .from('market_states')
-            .update(updateRecord)
-            .eq('id', stateId);
-
-        if (error) {
-            console.error('❌ Supabase updateStateOutcome error:', error);
-            return { success: false, error: error.message };
+        const result = await saveStateOutcome('market_states', outcomeLabelStorage.LABEL_SOURCES.LIVE, stateId, outcomeData);
+        if (!result.success) {
+            console.error('❌ Supabase updateStateOutcome error:', result.error);
         }
-
-        return { success: true, stateId, label: outcomeData.label };
+        return result;
     } catch (error) {
         console.error('❌ Error updating state outcome:', error);
         return { success: false, error: error.message };
@@ -646,7 +722,8 @@ async function getOutcomeStats(symbol = 'BTC', fromDate = null, toDate = null) {
  * @param {number} replayData.asOfTimestamp - The "as of" timestamp for this replay
  * @param {string} replayData.symbol - Symbol (e.g., 'BTC')
  * @param {Object} replayData.marketState - The generated market state (stored as JSONB)
- * @param {Object} replayData.metadata - Additional metadata (status, errorMessage)
+ * @param {Object} replayData.metadata - Additional metadata (status, errorMessage, configVersion)
+ * @param {Object} replayData.inputs - Analyzer inputs { snapshot, history, symbol } (stored content-addressed)
  */
 async function saveReplayState(replayData) {
     const client = getSupabase();
@@ -657,7 +734,8 @@ async function saveReplayState(replayData) {
         asOfTimestamp,
         symbol = 'BTC',
         marketState,
-        metadata = {}
+        metadata = {},
+        inputs = null
     } = replayData;
 
     if (!batchId || !asOfTimestamp) {
@@ -669,6 +747,7 @@ async function saveReplayState(replayData) {
     }
 
     const id = uuidv4();
+    const provenance = await resolveProvenance({ inputs, configVersion: metadata.configVersion });
 
     // Extract ONLY the minimal flat columns needed for indexing/filtering/scoreboard
     // Everything else lives in full_state_json
@@ -699,6 +778,11 @@ async function saveReplayState(replayData) {
         // =========================================================================
         full_state_json: marketState,
 
+        // =========================================================================
+        // PROVENANCE (inputs + config + build that produced this state)
+        // =========================================================================
+        ...provenance,
+
         // =========================================================================
         // STATUS & METADATA
         // =========================================================================
@@ -719,7 +803,7 @@ async function saveReplayState(replayData) {
         }
 
         console.log(`✅ Replay state saved: ${id} for batch ${batchId}`);
-        return { success: true, id, batchId, asOfTimestamp };
+        return { success: true, id, batchId, asOfTimestamp, inputsHash: provenance.inputs_hash };
     } catch (error) {
         console.error('❌ Error saving replay state:', error);
         return { success: false, error: error.message };
@@ -774,6 +858,8 @@ async function getReplayStates(batchId, options = {}) {
                bias, confidence, primary_regime, price,
                outcome_label, outcome_reason, outcome_horizon,
                outcome_move_pct, outcome_mfe, outcome_mae, outcome_labeled_at,
+               outcome_method, outcome_method_version, outcome_r_multiple,
+               outcome_time_to_hit_ms, outcome_barrier,
                status, error_message, created_at`;
 
         const { data, error } = await client
@@ -874,35 +960,89 @@ async function getUnlabeledReplayStates(options = {}) {
 }
 
 /**
- * Update a replay state with outcome label.
+ * Replay states with at least one due horizon missing a label of
+ * `labelerVersion`, oldest first. Filtered in the database
+ * (replay_states_missing_labels, migration 009); minimal columns.
+ * @param {Object} options - { batchId, symbol, labelerVersion, dueBefore: { horizon: as_of cutoff ms }, limit }
  */
-async function updateReplayStateOutcome(stateId, outcomeData) {
+async function getLabelCandidateReplayStates(options = {}) {
     const client = getSupabase();
-    if (!client) return { success: false, error: 'Supabase not configured' };
+    if (!client) return [];
 
-    const updateRecord = {
-        outcome_label: outcomeData.label,
-        outcome_reason: outcomeData.reason || null,
-        outcome_horizon: outcomeData.horizon || null,
-        outcome_price: outcomeData.finalPrice || null,
-        outcome_move_pct: outcomeData.finalMovePercent || null,
-        outcome_mfe: outcomeData.maxFavorableExcursion || null,
-        outcome_mae: outcomeData.maxAdverseExcursion || null,
-        outcome_labeled_at: Date.now()
-    };
+    const { batchId, symbol = 'BTC', labelerVersion, dueBefore = {}, limit = 500 } = options;
+    const horizons = Object.keys(dueBefore);
+    if (horizons.length === 0) return [];
 
     try {
-        const { error } = await client
+        const { data, error } = await client.rpc('replay_states_missing_labels', {
+            p_symbol: symbol,
+            p_labeler_version: labelerVersion,
+            p_horizons: horizons,
+            p_cutoffs: horizons.map(h => dueBefore[h]),
+            p_batch_id: batchId || null,
+            p_limit: limit
+        });
+
+        if (error) {
+            console.error('❌ Supabase getLabelCandidateReplayStates error:', error);
+            return [];
+        }
+
+        return data || [];
+    } catch (error) {
+        console.error('❌ Error getting label candidate replay states:', error);
+        return [];
+    }
+}
+
+/**
+ * Load replay states by id with parsed full state (labeling)
+ */
+async function getReplayStatesByIds(ids) {
+    const client = getSupabase();
+    if (!client || !ids || ids.length === 0) return [];
+
+    try {
+        const { data, error } = await client
             .from('replay_states')
-            .update(updateRecord)
-            .eq('id', stateId);
+            .select('*')
+            .in('id', ids)
+            .order('as_of_timestamp', { ascending: true });
 
         if (error) {
-            console.error('❌ Supabase updateReplayStateOutcome error:', error);
-            return { success: false, error: error.message };
+            console.error('❌ Supabase getReplayStatesByIds error:', error);
+            return [];
         }
 
-        return { success: true, stateId, label: outcomeData.label };
+        return (data || []).map(row => {
+            let fullState = null;
+            if (row.full_state_json) {
+                fullState = typeof row.full_state_json === 'string'
+                    ? JSON.parse(row.full_state_json)
+                    : row.full_state_json;
+            }
+            return { ...row, full_state: fullState };
+        });
+    } catch (error) {
+        console.error('❌ Error getting replay states by id:', error);
+        return [];
+    }
+}
+
+/**
+ * Update a replay state with outcome label.
+ * Each horizon / labeler version is stored separately (outcome_labels).
+ */
+async function updateReplayStateOutcome(stateId, outcomeData) {
+    const client = getSupabase();
+    if (!client) return { success: false, error: 'Supabase not configured' };
+
+    try {
+        const result = await saveStateOutcome('replay_states', outcomeLabelStorage.LABEL_SOURCES.REPLAY, stateId, outcomeData);
+        if (!result.success) {
+            console.error('❌ Supabase updateReplayStateOutcome error:', result.error);
+        }
+        return result;
     } catch (error) {
         console.error('❌ Error updating replay state outcome:', error);
         return { success: false, error: error.message };
@@ -1006,6 +1146,7 @@ async function saveAlert(alert, marketStateId = null) {
     const record = {
         id,
         timestamp: alert.timestamp || Date.now(),
+        symbol: alert.symbol || 'BTC',
         alert_type: alert.category || alert.alert_type || 'UNKNOWN',
         priority: alert.priority || 'medium',
         title: alert.title || '',
@@ -1043,7 +1184,7 @@ async function saveAlerts(alerts, marketStateId = null) {
     return results;
 }
 
-async function getAlertHistory(fromDate = null, toDate = null, alertType = null, limit = 100) {
+async function getAlertHistory(fromDate = null, toDate = null, alertType = null, limit = 100, symbol = null) {
     const client = getSupabase();
     if (!client) return [];
 
@@ -1066,6 +1207,9 @@ async function getAlertHistory(fromDate = null, toDate = null, alertType = null,
         if (alertType) {
             query = query.eq('alert_type', alertType);
         }
+        if (symbol) {
+            query = query.eq('symbol', symbol);
+        }
 
         const { data, error } = await query;
 
@@ -1282,7 +1426,7 @@ async function getAggregatedStats(symbol = 'BTC', fromDate = null, toDate = null
  * =======================================================================
  */
 
-async function generateDailySummary(date) {
+async function generateDailySummary(date, symbol = 'BTC') {
     const client = getSupabase();
     if (!client) return { success: false, error: 'Supabase not configured' };
 
@@ -1290,7 +1434,7 @@ async function generateDailySummary(date) {
     const startOfDay = new Date(date).setUTCHours(0, 0, 0, 0);
     const endOfDay = new Date(date).setUTCHours(23, 59, 59, 999);
 
-    const stats = await getAggregatedStats('BTC', startOfDay, endOfDay);
+    const stats = await getAggregatedStats(symbol, startOfDay, endOfDay);
     if (!stats || stats.period.totalStates === 0) {
         return null;
     }
@@ -1312,7 +1456,7 @@ async function generateDailySummary(date) {
         const { data: prices } = await client
             .from('market_states')
             .select('price, timestamp')
-            .eq('symbol', 'BTC')
+            .eq('symbol', symbol)
             .gte('timestamp', startOfDay)
             .lte('timestamp', endOfDay)
             .order('timestamp', { ascending: true });
@@ -1326,12 +1470,14 @@ async function generateDailySummary(date) {
         const { count: totalAlerts } = await client
             .from('alerts_history')
             .select('*', { count: 'exact', head: true })
+            .eq('symbol', symbol)
             .gte('timestamp', startOfDay)
             .lte('timestamp', endOfDay);
 
         const { count: highPriorityAlerts } = await client
             .from('alerts_history')
             .select('*', { count: 'exact', head: true })
+            .eq('symbol', symbol)
             .gte('timestamp', startOfDay)
             .lte('timestamp', endOfDay)
             .in('priority', ['high', 'critical']);
@@ -1339,7 +1485,7 @@ async function generateDailySummary(date) {
         const record = {
             id,
             date,
-            symbol: 'BTC',
+            symbol,
             avg_confidence: parseFloat(stats.overall.avgConfidence) || null,
             predominant_bias: predominantBias,
             bias_long_pct: parseFloat(stats.bias.LONG?.percentage) || 0,
@@ -1358,21 +1504,21 @@ async function generateDailySummary(date) {
 
         const { error } = await client
             .from('daily_summaries')
-            .upsert(record, { onConflict: 'date' });
+            .upsert(record, { onConflict: 'date,symbol' });
 
         if (error) {
             console.error('❌ Supabase generateDailySummary error:', error);
             return { success: false, error: error.message };
         }
 
-        return { success: true, id, date };
+        return { success: true, id, date, symbol };
     } catch (error) {
         console.error('❌ Error generating daily summary:', error);
         return { success: false, error: error.message };
     }
 }
 
-async function getDailySummaries(fromDate = null, toDate = null, limit = 30) {
+async function getDailySummaries(fromDate = null, toDate = null, limit = 30, symbol = null) {
     const client = getSupabase();
     if (!client) return [];
 
@@ -1389,6 +1535,9 @@ async function getDailySummaries(fromDate = null, toDate = null, limit = 30) {
         if (toDate) {
             query = query.lte('date', toDate);
         }
+        if (symbol) {
+            query = query.eq('symbol', symbol);
+        }
 
         const { data, error } = await query;
 
@@ -1488,7 +1637,7 @@ async function getDatabaseStats() {
                 earliest: earliest?.timestamp ? new Date(earliest.timestamp).toISOString() : null,
                 latest: latest?.timestamp ? new Date(latest.timestamp).toISOString() : null
             },
-            database: 'Supabase PostgreSQL',
+            database: storageBackend.getBackendInfo().name === 'sqlite' ? 'SQLite' : 'Supabase PostgreSQL',
             retentionPolicy: DB_CONFIG.retentionDays
         };
     } catch (error) {
@@ -1532,6 +1681,8 @@ module.exports = {
     getReplayStates,
     getAllReplayStates,
     getUnlabeledReplayStates,
+    getLabelCandidateReplayStates,
+    getReplayStatesByIds,
     updateReplayStateOutcome,
     getReplayOutcomeStats,
 
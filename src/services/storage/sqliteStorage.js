@@ -0,0 +1,689 @@
+// sqliteStorage.js
+// Local SQLite storage backend (single-box deployments, dev, tests)
+//
+// Exposes the subset of the supabase-js client the services use, so the same
+// query code runs against either backend:
+//   client.from(table)
+//     .select(columns, { count, head }) | insert(rows) | upsert(rows, { onConflict, ignoreDuplicates })
+//     | update(values) | delete({ count })
+//     .eq/neq/gt/gte/lt/lte/in/is/not(...)  .order()  .limit()  .range()
+//     .select() after a write (RETURNING)   .single()  .maybeSingle()
+//   client.rpc(name, params)
+//
+// Queries resolve to { data, error, count } like PostgREST - they never throw.
+// Error codes follow Postgres/PostgREST where services check them
+// (23505 unique violation, PGRST116 no/multiple rows for single()).
+//
+// Embedded selects ("*, market_states (bias, confidence)") follow the
+// table's foreign keys, many-to-one only.
+
+const fs = require('fs');
+const path = require('path');
+const { migrateSqlite } = require('../migrationRunner');
+const logger = require('../../utils/logger');
+
+/**
+ * =======================================================================
+ * CONFIGURATION
+ * =======================================================================
+ */
+
+const DEFAULT_SQLITE_PATH = path.join(__dirname, '..', '..', '..', 'data', 'invsio.db');
+
+const FILTER_OPERATORS = {
+    eq: '=',
+    neq: '!=',
+    gt: '>',
+    gte: '>=',
+    lt: '<',
+    lte: '<=',
+    in: 'IN',
+    is: 'IS'
+};
+
+// Postgres functions called through client.rpc()
+const RPC_FUNCTIONS = {
+    increment_absorption_extension: (db, { row_id }) => {
+        db.prepare('UPDATE absorption_events SET extensions_used = COALESCE(extensions_used, 0) + 1 WHERE id = ?').run(row_id);
+        return null;
+    },
+
+    // Migration 009: replay states with a due horizon missing a label
+    replay_states_missing_labels: (db, { p_symbol, p_labeler_version, p_horizons, p_cutoffs, p_batch_id = null, p_limit = 500 }) => {
+        const due = p_horizons.map(() => `(rs.as_of_timestamp < ? AND NOT EXISTS (
+            SELECT 1 FROM outcome_labels ol
+            WHERE ol.state_source = 'replay' AND ol.state_id = rs.id AND ol.horizon = ? AND ol.labeler_version = ?))`);
+        const params = p_horizons.flatMap((horizon, i) => [p_cutoffs[i], horizon, p_labeler_version]);
+        if (due.length === 0) return [];
+
+        return db.prepare(`
+            SELECT rs.id, rs.batch_id, rs.as_of_timestamp, rs.timestamp, rs.symbol,
+                   rs.bias, rs.confidence, rs.price, rs.outcome_label
+            FROM replay_states rs
+            WHERE rs.symbol = ? AND rs.status = 'COMPLETED'
+              AND (? IS NULL OR rs.batch_id = ?)
+              AND (${due.join(' OR ')})
+            ORDER BY rs.as_of_timestamp ASC
+            LIMIT ?
+        `).all(p_symbol, p_batch_id, p_batch_id, ...params, p_limit);
+    }
+};
+
+/**
+ * =======================================================================
+ * ERRORS
+ * =======================================================================
+ */
+
+class StorageQueryError extends Error {
+    constructor(message, code) {
+        super(message);
+        this.name = 'StorageQueryError';
+        this.code = code;
+    }
+}
+
+/**
+ * Map SQLite errors onto the Postgres codes services check for
+ */
+function toPostgrestError(error) {
+    let code = error.code || 'SQLITE_ERROR';
+    if (code === 'SQLITE_CONSTRAINT_UNIQUE' || code === 'SQLITE_CONSTRAINT_PRIMARYKEY') code = '23505';
+    else if (code === 'SQLITE_CONSTRAINT_FOREIGNKEY') code = '23503';
+    else if (code === 'SQLITE_CONSTRAINT_NOTNULL') code = '23502';
+
+    return { message: error.message, code, details: null, hint: null };
+}
+
+/**
+ * =======================================================================
+ * HELPERS
+ * =======================================================================
+ */
+
+function quoteIdent(name) {
+    return `"${String(name).replace(/"/g, '""')}"`;
+}
+
+/**
+ * Split on top-level commas ("*, market_states (bias, price)" -> 2 parts)
+ */
+function splitTopLevel(str) {
+    const parts = [];
+    let depth = 0;
+    let current = '';
+    for (const ch of str) {
+        if (ch === '(') depth++;
+        if (ch === ')') depth--;
+        if (ch === ',' && depth === 0) {
+            parts.push(current.trim());
+            current = '';
+        } else {
+            current += ch;
+        }
+    }
+    if (current.trim()) parts.push(current.trim());
+    return parts;
+}
+
+/**
+ * Parse a PostgREST select string
+ * @returns {Object} { columns: ['*'] | [...names], embeds: [{ relation, columns }] }
+ */
+function parseSelect(select = '*') {
+    const columns = [];
+    const embeds = [];
+
+    for (const part of splitTopLevel(String(select || '*'))) {
+        const embed = part.match(/^([A-Za-z0-9_]+)\s*\(([\s\S]*)\)$/);
+        if (embed) {
+            embeds.push({ relation: embed[1], columns: splitTopLevel(embed[2] || '*') });
+        } else {
+            columns.push(part);
+        }
+    }
+
+    return { columns: columns.length > 0 ? columns : (embeds.length > 0 ? [] : ['*']), embeds };
+}
+
+/**
+ * =======================================================================
+ * SCHEMA INTROSPECTION
+ * =======================================================================
+ */
+
+function loadTableInfo(db, table) {
+    const rows = db.prepare(`PRAGMA table_info(${quoteIdent(table)})`).all();
+    if (rows.length === 0) {
+        throw new StorageQueryError(`relation "${table}" does not exist`, '42P01');
+    }
+
+    const types = new Map(rows.map(r => [r.name, String(r.type || '').toUpperCase()]));
+    const primaryKey = rows.filter(r => r.pk > 0).sort((a, b) => a.pk - b.pk).map(r => r.name);
+    const foreignKeys = db.prepare(`PRAGMA foreign_key_list(${quoteIdent(table)})`).all()
+        .map(fk => ({ table: fk.table, from: fk.from, to: fk.to }));
+
+    return { name: table, types, primaryKey, foreignKeys };
+}
+
+/**
+ * =======================================================================
+ * VALUE CONVERSION
+ * =======================================================================
+ */
+
+function toDbValue(info, column, value) {
+    if (value === null || value === undefined) return null;
+    const type = info.types.get(column);
+
+    if (type === 'JSON') return JSON.stringify(value);
+    if (typeof value === 'boolean') return value ? 1 : 0;
+    if (value instanceof Date) return value.toISOString();
+    if (typeof value === 'object') return JSON.stringify(value);
+    return value;
+}
+
+function fromDbRow(info, row) {
+    if (!row) return row;
+    const result = {};
+    for (const [column, value] of Object.entries(row)) {
+        const type = info.types.get(column);
+        if (value !== null && type === 'JSON') {
+            try {
+                result[column] = JSON.parse(value);
+            } catch {
+                result[column] = value;
+            }
+        } else if (value !== null && type === 'BOOLEAN') {
+            result[column] = Boolean(value);
+        } else {
+            result[column] = value;
+        }
+    }
+    return result;
+}
+
+/**
+ * =======================================================================
+ * QUERY BUILDER
+ * =======================================================================
+ */
+
+class SqliteQueryBuilder {
+    constructor(storage, table) {
+        this.storage = storage;
+        this.table = table;
+        this.action = 'select';
+        this.selectColumns = '*';
+        this.returning = null;
+        this.countMode = null;
+        this.head = false;
+        this.filters = [];
+        this.orders = [];
+        this.limitCount = null;
+        this.offsetCount = 0;
+        this.resultMode = null;
+        this.values = null;
+        this.upsertOptions = {};
+    }
+
+    // ----- actions -----
+
+    select(columns = '*', options = {}) {
+        if (this.action === 'select') {
+            this.selectColumns = columns;
+            this.countMode = options.count || null;
+            this.head = options.head === true;
+        } else {
+            this.returning = columns;
+        }
+        return this;
+    }
+
+    insert(values) {
+        this.action = 'insert';
+        this.values = Array.isArray(values) ? values : [values];
+        return this;
+    }
+
+    upsert(values, options = {}) {
+        this.action = 'upsert';
+        this.values = Array.isArray(values) ? values : [values];
+        this.upsertOptions = options;
+        return this;
+    }
+
+    update(values) {
+        this.action = 'update';
+        this.values = values;
+        return this;
+    }
+
+    delete(options = {}) {
+        this.action = 'delete';
+        this.countMode = options.count || null;
+        return this;
+    }
+
+    // ----- filters -----
+
+    addFilter(column, operator, value, negate = false) {
+        this.filters.push({ column, operator, value, negate });
+        return this;
+    }
+
+    eq(column, value) { return this.addFilter(column, 'eq', value); }
+    neq(column, value) { return this.addFilter(column, 'neq', value); }
+    gt(column, value) { return this.addFilter(column, 'gt', value); }
+    gte(column, value) { return this.addFilter(column, 'gte', value); }
+    lt(column, value) { return this.addFilter(column, 'lt', value); }
+    lte(column, value) { return this.addFilter(column, 'lte', value); }
+    in(column, values) { return this.addFilter(column, 'in', values); }
+    is(column, value) { return this.addFilter(column, 'is', value); }
+
+    not(column, operator, value) {
+        return this.addFilter(column, operator, value, true);
+    }
+
+    // ----- modifiers -----
+
+    order(column, options = {}) {
+        const ascending = options.ascending !== false;
+        // Postgres default: NULLS LAST for ASC, NULLS FIRST for DESC
+        const nullsFirst = options.nullsFirst ?? !ascending;
+        this.orders.push({ column, ascending, nullsFirst });
+        return this;
+    }
+
+    limit(count) {
+        this.limitCount = count;
+        return this;
+    }
+
+    range(from, to) {
+        this.offsetCount = from;
+        this.limitCount = to - from + 1;
+        return this;
+    }
+
+    single() {
+        this.resultMode = 'single';
+        return this;
+    }
+
+    maybeSingle() {
+        this.resultMode = 'maybeSingle';
+        return this;
+    }
+
+    // ----- execution -----
+
+    then(onFulfilled, onRejected) {
+        return Promise.resolve()
+            .then(() => this.execute())
+            .then(onFulfilled, onRejected);
+    }
+
+    execute() {
+        try {
+            const info = this.storage.getTableInfo(this.table);
+            let result;
+            if (this.action === 'select') result = this.runSelect(info);
+            else if (this.action === 'update') result = this.runUpdate(info);
+            else if (this.action === 'delete') result = this.runDelete(info);
+            else result = this.runInsert(info);
+
+            return this.shapeResult(result);
+        } catch (error) {
+            return { data: null, error: toPostgrestError(error), count: null };
+        }
+    }
+
+    assertColumn(info, column) {
+        if (!info.types.has(column)) {
+            throw new StorageQueryError(`column ${info.name}.${column} does not exist`, '42703');
+        }
+    }
+
+    buildWhere(info) {
+        if (this.filters.length === 0) return { sql: '', params: [] };
+
+        const clauses = [];
+        const params = [];
+        for (const { column, operator, value, negate } of this.filters) {
+            this.assertColumn(info, column);
+            const sqlOperator = FILTER_OPERATORS[operator];
+            if (!sqlOperator) {
+                throw new StorageQueryError(`Unsupported filter operator: ${operator}`, 'PGRST100');
+            }
+
+            let clause;
+            if (operator === 'in') {
+                const list = Array.isArray(value) ? value : [value];
+                clause = `${quoteIdent(column)} IN (${list.map(() => '?').join(', ')})`;
+                params.push(...list.map(v => toDbValue(info, column, v)));
+            } else {
+                clause = `${quoteIdent(column)} ${sqlOperator} ?`;
+                params.push(toDbValue(info, column, value));
+            }
+            clauses.push(negate ? `NOT (${clause})` : clause);
+        }
+
+        return { sql: ` WHERE ${clauses.join(' AND ')}`, params };
+    }
+
+    buildOrderLimit(info) {
+        let sql = '';
+        if (this.orders.length > 0) {
+            sql += ' ORDER BY ' + this.orders.map(({ column, ascending, nullsFirst }) => {
+                this.assertColumn(info, column);
+                return `${quoteIdent(column)} ${ascending ? 'ASC' : 'DESC'} NULLS ${nullsFirst ? 'FIRST' : 'LAST'}`;
+            }).join(', ');
+        }
+        if (this.limitCount !== null) {
+            sql += ` LIMIT ${Number(this.limitCount)} OFFSET ${Number(this.offsetCount) || 0}`;
+        }
+        return sql;
+    }
+
+    runSelect(info) {
+        const db = this.storage.db;
+        const where = this.buildWhere(info);
+
+        let count = null;
+        if (this.countMode) {
+            count = db.prepare(`SELECT COUNT(*) AS count FROM ${quoteIdent(info.name)}${where.sql}`).get(...where.params).count;
+        }
+        if (this.head) {
+            return { rows: null, count };
+        }
+
+        const { columns, embeds } = parseSelect(this.selectColumns);
+        const embedPlans = embeds.map(embed => this.planEmbed(info, embed));
+
+        // Fetch FK columns needed for embeds even when not selected
+        const wanted = columns.includes('*') ? ['*'] : [...columns];
+        if (!wanted.includes('*')) {
+            wanted.forEach(column => this.assertColumn(info, column));
+            embedPlans.forEach(plan => {
+                if (!wanted.includes(plan.from)) wanted.push(plan.from);
+            });
+        }
+        const columnSql = wanted.includes('*') ? '*' : wanted.map(quoteIdent).join(', ');
+
+        const rawRows = db.prepare(
+            `SELECT ${columnSql} FROM ${quoteIdent(info.name)}${where.sql}${this.buildOrderLimit(info)}`
+        ).all(...where.params);
+
+        const rows = rawRows.map(row => fromDbRow(info, row));
+        for (const plan of embedPlans) {
+            this.attachEmbed(rows, plan);
+        }
+
+        // Drop FK columns that were only fetched for embeds
+        if (!columns.includes('*')) {
+            for (const row of rows) {
+                for (const key of Object.keys(row)) {
+                    if (!columns.includes(key) && !embedPlans.some(p => p.relation === key)) delete row[key];
+                }
+            }
+        }
+
+        return { rows, count };
+    }
+
+    planEmbed(info, embed) {
+        const fk = info.foreignKeys.find(f => f.table === embed.relation);
+        if (!fk) {
+            throw new StorageQueryError(
+                `Could not find a relationship between '${info.name}' and '${embed.relation}'`, 'PGRST200'
+            );
+        }
+        return { relation: embed.relation, columns: embed.columns, from: fk.from, to: fk.to || 'id' };
+    }
+
+    attachEmbed(rows, plan) {
+        const target = this.storage.getTableInfo(plan.relation);
+        const keys = [...new Set(rows.map(r => r[plan.from]).filter(v => v !== null && v !== undefined))];
+
+        const related = new Map();
+        if (keys.length > 0) {
+            const columns = plan.columns.includes('*') ? ['*'] : plan.columns;
+            columns.filter(c => c !== '*').forEach(c => this.assertColumn(target, c));
+            const columnSql = columns.includes('*')
+                ? '*'
+                : [...new Set([...columns, plan.to])].map(quoteIdent).join(', ');
+
+            const found = this.storage.db.prepare(
+                `SELECT ${columnSql} FROM ${quoteIdent(plan.relation)} WHERE ${quoteIdent(plan.to)} IN (${keys.map(() => '?').join(', ')})`
+            ).all(...keys);
+
+            for (const row of found) {
+                const decoded = fromDbRow(target, row);
+                const key = decoded[plan.to];
+                if (!columns.includes('*') && !columns.includes(plan.to)) delete decoded[plan.to];
+                related.set(key, decoded);
+            }
+        }
+
+        for (const row of rows) {
+            row[plan.relation] = related.get(row[plan.from]) || null;
+        }
+    }
+
+    runInsert(info) {
+        const db = this.storage.db;
+        const returning = this.returning !== null;
+        const conflictSql = this.action === 'upsert' ? this.buildConflictClause(info) : null;
+
+        const insertOne = (record) => {
+            const columns = Object.keys(record).filter(column => record[column] !== undefined);
+            columns.forEach(column => this.assertColumn(info, column));
+
+            let sql = columns.length > 0
+                ? `INSERT INTO ${quoteIdent(info.name)} (${columns.map(quoteIdent).join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`
+                : `INSERT INTO ${quoteIdent(info.name)} DEFAULT VALUES`;
+            if (conflictSql) sql += conflictSql(columns);
+            if (returning) sql += ' RETURNING *';
+
+            const params = columns.map(column => toDbValue(info, column, record[column]));
+            const statement = db.prepare(sql);
+            return returning ? statement.all(...params) : (statement.run(...params), []);
+        };
+
+        const rows = db.transaction((records) => records.flatMap(insertOne))(this.values);
+        return { rows: returning ? this.projectReturning(info, rows) : null, count: null };
+    }
+
+    /**
+     * ON CONFLICT clause - target defaults to the primary key like PostgREST
+     */
+    buildConflictClause(info) {
+        const target = this.upsertOptions.onConflict
+            ? this.upsertOptions.onConflict.split(',').map(c => c.trim())
+            : info.primaryKey;
+        target.forEach(column => this.assertColumn(info, column));
+        const targetSql = target.map(quoteIdent).join(', ');
+
+        return (columns) => {
+            const updates = columns.filter(column => !target.includes(column));
+            if (this.upsertOptions.ignoreDuplicates || updates.length === 0) {
+                return ` ON CONFLICT (${targetSql}) DO NOTHING`;
+            }
+            return ` ON CONFLICT (${targetSql}) DO UPDATE SET ${updates.map(c => `${quoteIdent(c)} = excluded.${quoteIdent(c)}`).join(', ')}`;
+        };
+    }
+
+    runUpdate(info) {
+        const columns = Object.keys(this.values || {}).filter(column => this.values[column] !== undefined);
+        columns.forEach(column => this.assertColumn(info, column));
+        if (columns.length === 0) {
+            return { rows: this.returning !== null ? [] : null, count: 0 };
+        }
+
+        const where = this.buildWhere(info);
+        const returning = this.returning !== null;
+        const sql = `UPDATE ${quoteIdent(info.name)} SET ${columns.map(c => `${quoteIdent(c)} = ?`).join(', ')}${where.sql}${returning ? ' RETURNING *' : ''}`;
+        const params = [...columns.map(column => toDbValue(info, column, this.values[column])), ...where.params];
+
+        const statement = this.storage.db.prepare(sql);
+        if (returning) {
+            return { rows: this.projectReturning(info, statement.all(...params)), count: null };
+        }
+        const { changes } = statement.run(...params);
+        return { rows: null, count: changes };
+    }
+
+    runDelete(info) {
+        const where = this.buildWhere(info);
+        const returning = this.returning !== null;
+        const sql = `DELETE FROM ${quoteIdent(info.name)}${where.sql}${returning ? ' RETURNING *' : ''}`;
+
+        const statement = this.storage.db.prepare(sql);
+        if (returning) {
+            const rows = this.projectReturning(info, statement.all(...where.params));
+            return { rows, count: this.countMode ? rows.length : null };
+        }
+        const { changes } = statement.run(...where.params);
+        return { rows: null, count: this.countMode ? changes : null };
+    }
+
+    projectReturning(info, rawRows) {
+        const rows = rawRows.map(row => fromDbRow(info, row));
+        const { columns } = parseSelect(this.returning || '*');
+        if (columns.includes('*')) return rows;
+
+        columns.forEach(column => this.assertColumn(info, column));
+        return rows.map(row => Object.fromEntries(columns.map(column => [column, row[column]])));
+    }
+
+    shapeResult({ rows, count }) {
+        if (this.action !== 'select' && this.action !== 'delete') count = null;
+
+        if (!this.resultMode || rows === null) {
+            return { data: rows, error: null, count };
+        }
+
+        if (rows.length === 1) {
+            return { data: rows[0], error: null, count };
+        }
+        if (rows.length === 0 && this.resultMode === 'maybeSingle') {
+            return { data: null, error: null, count };
+        }
+        return {
+            data: null,
+            error: {
+                message: 'JSON object requested, multiple (or no) rows returned',
+                code: 'PGRST116',
+                details: `The result contains ${rows.length} rows`,
+                hint: null
+            },
+            count
+        };
+    }
+}
+
+/**
+ * =======================================================================
+ * CLIENT
+ * =======================================================================
+ */
+
+class SqliteClient {
+    constructor(db) {
+        this.db = db;
+        this.tableInfo = new Map();
+    }
+
+    getTableInfo(table) {
+        if (!this.tableInfo.has(table)) {
+            this.tableInfo.set(table, loadTableInfo(this.db, table));
+        }
+        return this.tableInfo.get(table);
+    }
+
+    from(table) {
+        return new SqliteQueryBuilder(this, table);
+    }
+
+    async rpc(name, params = {}) {
+        const fn = RPC_FUNCTIONS[name];
+        if (!fn) {
+            return {
+                data: null,
+                error: { message: `Could not find the function public.${name}`, code: 'PGRST202', details: null, hint: null }
+            };
+        }
+        try {
+            return { data: fn(this.db, params), error: null };
+        } catch (error) {
+            return { data: null, error: toPostgrestError(error) };
+        }
+    }
+}
+
+/**
+ * =======================================================================
+ * BACKEND FACTORY
+ * =======================================================================
+ */
+
+/**
+ * Create the SQLite backend
+ * @param {Object} options - { path } (':memory:' for an in-memory database),
+ *   { autoMigrate } apply pending db/migrations/sqlite on open (default true)
+ */
+function createSqliteStorage(options = {}) {
+    const dbPath = options.path || process.env.SQLITE_PATH || DEFAULT_SQLITE_PATH;
+    const autoMigrate = options.autoMigrate ?? process.env.SQLITE_AUTO_MIGRATE !== 'false';
+    let client = null;
+
+    function open() {
+        // Lazy require - the driver is only needed when this backend is selected
+        const Database = require('better-sqlite3');
+
+        if (dbPath !== ':memory:') {
+            fs.mkdirSync(path.dirname(dbPath), { recursive: true });
+        }
+
+        const db = new Database(dbPath);
+        db.pragma('journal_mode = WAL');
+        db.pragma('foreign_keys = ON');
+
+        // Local file owned by this process - keep it on the latest schema
+        if (autoMigrate) {
+            const applied = migrateSqlite(db);
+            if (applied.length > 0) {
+                logger.info(`[Storage] Applied SQLite migrations: ${applied.join(', ')}`);
+            }
+        }
+        return new SqliteClient(db);
+    }
+
+    return {
+        name: 'sqlite',
+        location: dbPath,
+        isConfigured: () => true,
+        getClient() {
+            if (!client) client = open();
+            return client;
+        },
+        close() {
+            if (client) client.db.close();
+            client = null;
+        }
+    };
+}
+
+/**
+ * =======================================================================
+ * EXPORTS
+ * =======================================================================
+ */
+
+module.exports = {
+    createSqliteStorage,
+    parseSelect,
+    DEFAULT_SQLITE_PATH,
+    RPC_FUNCTIONS
+};
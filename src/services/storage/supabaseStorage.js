@@ -0,0 +1,35 @@
+// supabaseStorage.js
+// Supabase (hosted Postgres) storage backend - the default
+//
+// Requires SUPABASE_URL and SUPABASE_SERVICE_KEY (SUPABASE_ANON_KEY is
+// accepted as a fallback key). Schema lives in db/*.sql.
+
+const { createClient } = require('@supabase/supabase-js');
+
+/**
+ * Create the Supabase backend
+ * @param {Object} options - { url, key } (defaults from env)
+ */
+function createSupabaseStorage(options = {}) {
+    const url = options.url || process.env.SUPABASE_URL;
+    const key = options.key || process.env.SUPABASE_SERVICE_KEY || process.env.SUPABASE_ANON_KEY;
+    let client = null;
+
+    return {
+        name: 'supabase',
+        location: url || null,
+        isConfigured: () => Boolean(url && key),
+        getClient() {
+            if (!url || !key) return null;
+            if (!client) client = createClient(url, key);
+            return client;
+        },
+        close() {
+            client = null;
+        }
+    };
+}
+
+module.exports = {
+    createSupabaseStorage
+};
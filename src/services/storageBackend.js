@@ -0,0 +1,137 @@
+// storageBackend.js
+// Pluggable storage layer
+//
+// Every service that persists data (stateStorage, historicalCandleStorage,
+// configService, absorptionService, replay/alert storage) gets its database
+// client from getClient() instead of building its own Supabase client.
+//
+// Backend interface:
+//   getClient()    -> supabase-js compatible client (from/rpc), or null when
+//                     the backend is not configured
+//   isConfigured() -> boolean
+//   close()
+// plus metadata: name, location
+//
+// Selected with STORAGE_BACKEND (supabase | sqlite). SQLITE_PATH overrides the
+// SQLite file location (default data/invsio.db).
+
+const { createSupabaseStorage } = require('./storage/supabaseStorage');
+const { createSqliteStorage } = require('./storage/sqliteStorage');
+const logger = require('../utils/logger');
+
+/**
+ * =======================================================================
+ * REGISTRY
+ * =======================================================================
+ */
+
+const BACKEND_FACTORIES = {
+    supabase: (options) => createSupabaseStorage(options),
+    sqlite: (options) => createSqliteStorage(options)
+};
+
+let activeBackend = null;
+let warnedUnconfigured = false;
+
+/**
+ * Build a backend by name
+ * @param {string} name - 'supabase' | 'sqlite'
+ * @param {Object} options - Backend options (url/key for supabase, path for sqlite)
+ */
+function createBackend(name, options = {}) {
+    const factory = BACKEND_FACTORIES[name];
+    if (!factory) {
+        throw new Error(`Unknown storage backend: ${name}. Available: ${Object.keys(BACKEND_FACTORIES).join(', ')}`);
+    }
+    return factory(options);
+}
+
+function createBackendFromEnv() {
+    const name = (process.env.STORAGE_BACKEND || 'supabase').toLowerCase();
+    return createBackend(name, {
+        path: process.env.SQLITE_PATH || undefined
+    });
+}
+
+/**
+ * =======================================================================
+ * ACCESSORS
+ * =======================================================================
+ */
+
+/**
+ * Get the active backend (created from env on first use)
+ */
+function getBackend() {
+    if (!activeBackend) {
+        activeBackend = createBackendFromEnv();
+        logger.info(`[Storage] Using ${activeBackend.name} backend${activeBackend.name === 'sqlite' ? ` (${activeBackend.location})` : ''}`);
+    }
+    return activeBackend;
+}
+
+/**
+ * Database client of the active backend
+ * @returns {Object|null} null when the backend is not configured
+ */
+function getClient() {
+    const backend = getBackend();
+    const client = backend.getClient();
+    if (!client && !warnedUnconfigured) {
+        warnedUnconfigured = true;
+        logger.warn(`[Storage] ${backend.name} backend not configured (set SUPABASE_URL/SUPABASE_SERVICE_KEY or STORAGE_BACKEND=sqlite)`);
+    }
+    return client;
+}
+
+/**
+ * Replace the active backend (tests, CLI tools)
+ * @param {Object|string} backend - Backend object or registered name
+ * @param {Object} options - Options when a name is given
+ */
+function setBackend(backend, options = {}) {
+    const resolved = typeof backend === 'string' ? createBackend(backend, options) : backend;
+    if (typeof resolved?.getClient !== 'function') {
+        throw new Error('Invalid storage backend, missing: getClient');
+    }
+    if (activeBackend && activeBackend !== resolved) activeBackend.close?.();
+    activeBackend = resolved;
+    warnedUnconfigured = false;
+    return activeBackend;
+}
+
+/**
+ * Close and reset to env-based selection on next getBackend()
+ */
+function resetBackend() {
+    if (activeBackend) activeBackend.close?.();
+    activeBackend = null;
+    warnedUnconfigured = false;
+}
+
+/**
+ * Summary for health/debug endpoints
+ */
+function getBackendInfo() {
+    const backend = getBackend();
+    return {
+        name: backend.name,
+        configured: backend.isConfigured ? backend.isConfigured() : true,
+        location: backend.location || null
+    };
+}
+
+/**
+ * =======================================================================
+ * EXPORTS
+ * =======================================================================
+ */
+
+module.exports = {
+    getBackend,
+    getClient,
+    setBackend,
+    resetBackend,
+    createBackend,
+    getBackendInfo
+};
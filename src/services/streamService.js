@@ -0,0 +1,257 @@
+// src/services/streamService.js
+// ============================================================================
+// Event Stream Service (in-process pub/sub for SSE clients)
+// ============================================================================
+// Publishers (refresh cron, alertService, replayRunner, sync job) call
+// publish(topic, data); subscribers receive matching events as they happen.
+//
+// Topics:
+//   market_state - new analyzer state from the refresh cron
+//   alert        - fired alerts (built-in and CUSTOM_RULE)
+//   replay       - replay batch progress / status changes
+//   sync         - historical data sync progress
+//
+// Resume: recent events are kept in a ring buffer. Event IDs are
+// "<bootId>-<seq>"; a client reconnecting with Last-Event-ID gets every
+// buffered event after it. If the ID is from another process or has fallen
+// out of the buffer, the client gets a `reset` event and should re-fetch
+// current state over REST.
+// ============================================================================
+
+const logger = require('../utils/logger');
+
+/**
+ * =======================================================================
+ * CONFIGURATION
+ * =======================================================================
+ */
+
+const TOPICS = ['market_state', 'alert', 'replay', 'sync'];
+
+const STREAM_CONFIG = {
+    bufferSize: Number(process.env.STREAM_BUFFER_SIZE) || 1000,
+    heartbeatMs: 25 * 1000,
+    retryMs: 5000
+};
+
+// Identifies this process - IDs from a previous run cannot be resumed
+const BOOT_ID = Date.now().toString(36);
+
+/**
+ * =======================================================================
+ * STATE
+ * =======================================================================
+ */
+
+const buffer = [];
+let sequence = 0;
+
+// subscriberId -> { topics: Set, symbols: Set|null, send }
+const subscribers = new Map();
+let nextSubscriberId = 1;
+
+/**
+ * =======================================================================
+ * HELPERS
+ * =======================================================================
+ */
+
+function formatEventId(seq) {
+    return `${BOOT_ID}-${seq}`;
+}
+
+/**
+ * Parse "<bootId>-<seq>"
+ * @returns {Object|null} { bootId, seq }
+ */
+function parseEventId(eventId) {
+    if (!eventId) return null;
+    const match = String(eventId).match(/^([a-z0-9]+)-(\d+)$/);
+    if (!match) return null;
+    return { bootId: match[1], seq: Number(match[2]) };
+}
+
+/**
+ * Normalize a topic list ("alert,replay" or ['alert']) - defaults to all topics
+ */
+function parseTopics(topics) {
+    const list = Array.isArray(topics)
+        ? topics
+        : String(topics || '').split(',');
+    const valid = list.map(t => t.trim()).filter(t => TOPICS.includes(t));
+    return valid.length > 0 ? valid : [...TOPICS];
+}
+
+/**
+ * Build a subscriber filter from { topics, symbols }
+ */
+function buildFilter(options = {}) {
+    const symbols = Array.isArray(options.symbols)
+        ? options.symbols
+        : String(options.symbols || '').split(',').filter(Boolean);
+
+    return {
+        topics: new Set(parseTopics(options.topics)),
+        symbols: symbols.length > 0 ? new Set(symbols.map(s => s.trim().toUpperCase())) : null
+    };
+}
+
+function matches(filter, event) {
+    if (!filter.topics.has(event.topic)) return false;
+    // Events without a symbol (e.g. sync) pass the symbol filter
+    if (filter.symbols && event.symbol && !filter.symbols.has(event.symbol)) return false;
+    return true;
+}
+
+/**
+ * =======================================================================
+ * PUBLISH / SUBSCRIBE
+ * =======================================================================
+ */
+
+/**
+ * Publish an event to all matching subscribers
+ * @param {string} topic - One of TOPICS
+ * @param {Object} data - JSON-serializable payload
+ * @param {Object} options - { symbol, type }
+ * @returns {Object|null} The event (null for unknown topics)
+ */
+function publish(topic, data, options = {}) {
+    if (!TOPICS.includes(topic)) {
+        logger.warn(`[Stream] Unknown topic: ${topic}`);
+        return null;
+    }
+
+    sequence++;
+    const event = {
+        id: formatEventId(sequence),
+        seq: sequence,
+        topic,
+        type: options.type || topic,
+        symbol: options.symbol || data?.symbol || null,
+        timestamp: Date.now(),
+        data
+    };
+
+    buffer.push(event);
+    if (buffer.length > STREAM_CONFIG.bufferSize) buffer.shift();
+
+    for (const [id, subscriber] of subscribers) {
+        if (!matches(subscriber, event)) continue;
+        try {
+            subscriber.send(event);
+        } catch (error) {
+            logger.warn(`[Stream] Dropping subscriber ${id}: ${error.message}`);
+            subscribers.delete(id);
+        }
+    }
+
+    return event;
+}
+
+/**
+ * Buffered events after `lastEventId` matching { topics, symbols }
+ * @returns {Object} { events, reset } - reset=true when the ID cannot be resumed
+ */
+function getEventsSince(lastEventId, options = {}) {
+    const filter = options.topics instanceof Set ? options : buildFilter(options);
+    const parsed = parseEventId(lastEventId);
+    if (!parsed) {
+        return { events: [], reset: !!lastEventId };
+    }
+
+    const oldestSeq = buffer.length > 0 ? buffer[0].seq : sequence + 1;
+    const resumable = parsed.bootId === BOOT_ID && parsed.seq >= oldestSeq - 1 && parsed.seq <= sequence;
+
+    if (!resumable) {
+        return { events: [], reset: true };
+    }
+
+    return {
+        events: buffer.filter(event => event.seq > parsed.seq && matches(filter, event)),
+        reset: false
+    };
+}
+
+/**
+ * Subscribe to events
+ *
+ * @param {Object} options - { topics, symbols, lastEventId }
+ * @param {Function} send - Called with each event
+ * @returns {Object} { id, backlog, reset, unsubscribe }
+ *   backlog: buffered events after lastEventId (send these first)
+ */
+function subscribe(options, send) {
+    const filter = { ...buildFilter(options), send };
+
+    const { events, reset } = getEventsSince(options.lastEventId, filter);
+
+    const id = nextSubscriberId++;
+    subscribers.set(id, filter);
+
+    return {
+        id,
+        backlog: events,
+        reset,
+        unsubscribe: () => subscribers.delete(id)
+    };
+}
+
+/**
+ * Compact market_state payload - the full analyzer output stays on the REST API
+ */
+function summarizeMarketState(metrics, meta = {}) {
+    const decision = metrics.finalDecision || {};
+    return {
+        symbol: meta.symbol || metrics.symbol || 'BTC',
+        stateId: meta.stateId || null,
+        timestamp: metrics.timestamp,
+        bias: decision.bias || null,
+        confidence: decision.confidence ?? null,
+        primaryRegime: decision.primaryRegime || metrics.marketRegime?.regime || null,
+        tradeStance: decision.tradeStance || null,
+        riskMode: decision.riskMode || null,
+        alertCount: meta.alertCount || 0
+    };
+}
+
+function getStreamStats() {
+    return {
+        bootId: BOOT_ID,
+        subscribers: subscribers.size,
+        lastEventId: sequence > 0 ? formatEventId(sequence) : null,
+        buffered: buffer.length,
+        bufferSize: STREAM_CONFIG.bufferSize,
+        oldestEventId: buffer.length > 0 ? buffer[0].id : null,
+        topics: TOPICS
+    };
+}
+
+/**
+ * Reset buffer and subscribers (tests)
+ */
+function resetStream() {
+    buffer.length = 0;
+    subscribers.clear();
+    sequence = 0;
+}
+
+/**
+ * =======================================================================
+ * EXPORTS
+ * =======================================================================
+ */
+
+module.exports = {
+    publish,
+    subscribe,
+    getEventsSince,
+    getStreamStats,
+    summarizeMarketState,
+    parseTopics,
+    resetStream,
+
+    // Constants
+    TOPICS,
+    STREAM_CONFIG
+};
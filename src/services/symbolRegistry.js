@@ -0,0 +1,202 @@
+// symbolRegistry.js - Multi-symbol support
+// Maps each supported asset to its exchange instruments
+//
+// Binance = USDT-margined perpetual (retail flow)
+// Bybit   = COIN-margined inverse perpetual (smart money flow)
+// spot    = spot pair traded next to the perpetuals (spot vs perp flow)
+//
+// Everything that is keyed per asset (cache keys, dedup buckets, alert
+// cooldowns, replay batches, historical candles) uses the BASE symbol
+// ('BTC', 'ETH', 'SOL'). Exchange instruments are only used for API calls.
+
+/**
+ * =======================================================================
+ * SYMBOL REGISTRY
+ * =======================================================================
+ */
+
+const DEFAULT_SYMBOL = 'BTC';
+
+const SYMBOL_REGISTRY = {
+    BTC: {
+        name: 'Bitcoin',
+        exchanges: {
+            Binance: { symbol: 'BTCUSDT', margin: 'USDT-margined' },
+            Bybit: { symbol: 'BTCUSD', margin: 'coin-margined' }
+        },
+        spot: 'BTCUSDT'
+    },
+    ETH: {
+        name: 'Ethereum',
+        exchanges: {
+            Binance: { symbol: 'ETHUSDT', margin: 'USDT-margined' },
+            Bybit: { symbol: 'ETHUSD', margin: 'coin-margined' }
+        },
+        spot: 'ETHUSDT'
+    },
+    SOL: {
+        name: 'Solana',
+        exchanges: {
+            Binance: { symbol: 'SOLUSDT', margin: 'USDT-margined' },
+            Bybit: { symbol: 'SOLUSD', margin: 'coin-margined' }
+        },
+        spot: 'SOLUSDT'
+    }
+};
+
+/**
+ * =======================================================================
+ * LOOKUP FUNCTIONS
+ * =======================================================================
+ */
+
+/**
+ * Resolve any user/exchange input to a registered base symbol.
+ * Accepts 'btc', 'BTC', 'BTCUSDT', 'BTCUSD'.
+ *
+ * @param {string} input - Symbol in any supported form
+ * @returns {string|null} Base symbol or null if not registered
+ */
+function resolveSymbol(input) {
+    if (!input || typeof input !== 'string') return null;
+
+    const upper = input.trim().toUpperCase();
+    if (SYMBOL_REGISTRY[upper]) return upper;
+
+    for (const [base, entry] of Object.entries(SYMBOL_REGISTRY)) {
+        const instruments = Object.values(entry.exchanges).map(e => e.symbol);
+        if (instruments.includes(upper)) return base;
+    }
+
+    return null;
+}
+
+/**
+ * Normalize a symbol to its base form.
+ * Falls back to stripping the quote currency for unregistered symbols,
+ * which matches the legacy 'BTCUSDT' -> 'BTC' behaviour.
+ *
+ * @param {string} input - Symbol in any form
+ * @returns {string} Base symbol
+ */
+function toBaseSymbol(input) {
+    const resolved = resolveSymbol(input);
+    if (resolved) return resolved;
+    if (!input) return DEFAULT_SYMBOL;
+    return String(input).toUpperCase().replace('USDT', '').replace('USD', '');
+}
+
+function isSupported(input) {
+    return resolveSymbol(input) !== null;
+}
+
+function getSymbolConfig(symbol) {
+    const base = resolveSymbol(symbol);
+    return base ? { symbol: base, ...SYMBOL_REGISTRY[base] } : null;
+}
+
+/**
+ * Get the exchange instrument for a symbol.
+ *
+ * @param {string} symbol - Base symbol or instrument
+ * @param {string} exchange - 'Binance' | 'Bybit'
+ * @returns {string|null} Exchange instrument (e.g. 'BTCUSD' for Bybit)
+ */
+function getExchangeSymbol(symbol, exchange) {
+    const base = resolveSymbol(symbol);
+    if (!base) return null;
+    return SYMBOL_REGISTRY[base].exchanges[exchange]?.symbol || null;
+}
+
+/**
+ * Get the spot pair for a symbol (same pair on every exchange).
+ * Unregistered symbols fall back to '<BASE>USDT'.
+ *
+ * @param {string} symbol - Base symbol or instrument
+ * @returns {string} Spot pair (e.g. 'BTCUSDT')
+ */
+function getSpotSymbol(symbol) {
+    const base = resolveSymbol(symbol);
+    if (base) return SYMBOL_REGISTRY[base].spot;
+    return `${toBaseSymbol(symbol)}USDT`;
+}
+
+/**
+ * Human-readable exchange mapping for API response meta
+ */
+function getExchangeMapping(symbol) {
+    const base = resolveSymbol(symbol) || DEFAULT_SYMBOL;
+    const mapping = {};
+    for (const [exchange, entry] of Object.entries(SYMBOL_REGISTRY[base].exchanges)) {
+        mapping[exchange.toLowerCase()] = `${entry.symbol} (${entry.margin})`;
+    }
+    return mapping;
+}
+
+/**
+ * Exchange/instrument pairs for the historical sync job
+ * @returns {Array} [{ name, symbol, asset }]
+ */
+function getSyncExchanges(symbols = getSupportedSymbols()) {
+    const result = [];
+    for (const symbol of symbols) {
+        const base = resolveSymbol(symbol);
+        if (!base) continue;
+        for (const [name, entry] of Object.entries(SYMBOL_REGISTRY[base].exchanges)) {
+            result.push({ name, symbol: entry.symbol, asset: base });
+        }
+    }
+    return result;
+}
+
+function getSupportedSymbols() {
+    return Object.keys(SYMBOL_REGISTRY);
+}
+
+/**
+ * Symbols the live refresh cron analyzes.
+ * Controlled by ANALYZER_SYMBOLS (comma separated), defaults to BTC only.
+ */
+function getEnabledSymbols() {
+    const raw = process.env.ANALYZER_SYMBOLS;
+    if (!raw) return [DEFAULT_SYMBOL];
+
+    const symbols = raw.split(',')
+        .map(s => resolveSymbol(s))
+        .filter(Boolean);
+
+    return symbols.length > 0 ? [...new Set(symbols)] : [DEFAULT_SYMBOL];
+}
+
+/**
+ * Cache key for a symbol's analyzer response.
+ * BTC keeps the original 'market_snapshot_btc' key.
+ */
+function getCacheKey(symbol) {
+    return `market_snapshot_${toBaseSymbol(symbol).toLowerCase()}`;
+}
+
+/**
+ * =======================================================================
+ * EXPORTS
+ * =======================================================================
+ */
+
+module.exports = {
+    // Registry
+    SYMBOL_REGISTRY,
+    DEFAULT_SYMBOL,
+
+    // Lookups
+    resolveSymbol,
+    toBaseSymbol,
+    isSupported,
+    getSymbolConfig,
+    getExchangeSymbol,
+    getSpotSymbol,
+    getExchangeMapping,
+    getSyncExchanges,
+    getSupportedSymbols,
+    getEnabledSymbols,
+    getCacheKey
+};
@@ -0,0 +1,276 @@
+// venueRegistry.js - Venues and their roles in the divergence engine
+// A venue is one derivatives market the analyzer reads (exchange + margin
+// type). Each venue is tagged with a role, and each role sits on one side
+// of the whale vs retail comparison:
+//
+//   retail        -> crowd side    (USDT-margined, high leverage)
+//   smart_money   -> informed side (coin-margined / whale flow)
+//   institutional -> informed side (institutional desks, lower weight)
+//
+// Venue ids are the keys of the market snapshot (snapshot.Binance,
+// snapshot.OKX, ...). The 'classic' profile (Binance = retail, Bybit
+// COIN-M = smart money) reproduces the original two-exchange engine.
+//
+// The active set is part of the versioned analyzer config (config.venues:
+// { active: [ids], roles: { id: role } }), so a config version always
+// compares the same venues. Configs without a venue section fall back to
+// ANALYZER_VENUES: a profile name ('classic', 'extended') or comma separated
+// venue ids with optional role overrides ('Binance,OKX,Bybit:smart_money,Deribit').
+
+const symbolRegistry = require('./symbolRegistry');
+
+/**
+ * =======================================================================
+ * REGISTRY
+ * =======================================================================
+ */
+
+// weight: how much a role counts inside its side's aggregate
+const VENUE_ROLES = {
+    retail: { side: 'crowd', weight: 1.0, label: 'Retail' },
+    smart_money: { side: 'informed', weight: 1.0, label: 'Smart money' },
+    institutional: { side: 'informed', weight: 0.5, label: 'Institutional' }
+};
+
+// exchange: provider exchange name, instrument: '{base}' template used when
+// the symbol registry has no instrument for the venue id
+const VENUE_REGISTRY = {
+    Binance: { exchange: 'Binance', role: 'retail', margin: 'USDT-margined', instrument: '{base}USDT', weight: 1 },
+    Bybit: { exchange: 'Bybit', role: 'smart_money', margin: 'coin-margined', instrument: '{base}USD', weight: 1 },
+    BybitUSDT: { exchange: 'Bybit', role: 'retail', margin: 'USDT-margined', instrument: '{base}USDT', weight: 1 },
+    OKX: { exchange: 'OKX', role: 'retail', margin: 'USDT-margined', instrument: '{base}-USDT-SWAP', weight: 1 },
+    Deribit: { exchange: 'Deribit', role: 'institutional', margin: 'coin-margined', instrument: '{base}-PERPETUAL', weight: 1 }
+};
+
+const VENUE_PROFILES = {
+    // Original Binance vs Bybit engine (compatibility)
+    classic: ['Binance', 'Bybit'],
+    extended: ['Binance', 'BybitUSDT', 'OKX', 'Bybit', 'Deribit']
+};
+
+const DEFAULT_PROFILE = 'classic';
+
+/**
+ * =======================================================================
+ * LOOKUP FUNCTIONS
+ * =======================================================================
+ */
+
+function buildVenue(id, role) {
+    const entry = VENUE_REGISTRY[id];
+    if (!entry) return null;
+    const venueRole = VENUE_ROLES[role] ? role : entry.role;
+    return { id, ...entry, role: venueRole, side: VENUE_ROLES[venueRole].side };
+}
+
+/**
+ * Parse a venue spec: profile name or 'Id[:role],Id[:role]'
+ * Unknown ids and roles are ignored; an empty result falls back to the
+ * default profile.
+ *
+ * @param {string} spec - Profile name or venue list
+ * @returns {Array} [{ id, exchange, role, side, margin, instrument, weight }]
+ */
+function parseVenueSpec(spec) {
+    const raw = (spec || '').trim();
+    const profile = VENUE_PROFILES[raw.toLowerCase()];
+    if (profile) return profile.map(id => buildVenue(id));
+
+    const venues = [];
+    for (const part of raw.split(',')) {
+        const [idInput, roleInput] = part.split(':').map(s => s.trim());
+        const id = Object.keys(VENUE_REGISTRY).find(key => key.toLowerCase() === (idInput || '').toLowerCase());
+        if (!id || venues.some(v => v.id === id)) continue;
+        venues.push(buildVenue(id, roleInput && roleInput.toLowerCase()));
+    }
+
+    return venues.length > 0 ? venues : VENUE_PROFILES[DEFAULT_PROFILE].map(id => buildVenue(id));
+}
+
+/**
+ * Venue list from a config.venues section ({ active, roles })
+ * Unknown ids are skipped (validateVenueConfig reports them); an empty
+ * result falls back to the default profile.
+ */
+function venuesFromConfig(section) {
+    const roles = section.roles || {};
+    const venues = [];
+    for (const id of Array.isArray(section.active) ? section.active : []) {
+        if (!VENUE_REGISTRY[id] || venues.some(v => v.id === id)) continue;
+        venues.push(buildVenue(id, roles[id]));
+    }
+    return venues.length > 0 ? venues : VENUE_PROFILES[DEFAULT_PROFILE].map(id => buildVenue(id));
+}
+
+/**
+ * Venues the analyzer fetches and compares: config.venues, or
+ * ANALYZER_VENUES when the config has no venue section (older configs)
+ * @param {Object} config - Analyzer config (optional)
+ */
+function getActiveVenues(config) {
+    if (config?.venues) return venuesFromConfig(config.venues);
+    return parseVenueSpec(process.env.ANALYZER_VENUES || DEFAULT_PROFILE);
+}
+
+/**
+ * Provider exchanges behind the active venues (stored candle series)
+ * @param {Object} config - Analyzer config (optional)
+ * @returns {Array<string>} e.g. ['Binance', 'Bybit']
+ */
+function getActiveExchanges(config) {
+    return [...new Set(getActiveVenues(config).map(v => v.exchange))];
+}
+
+/**
+ * config.venues for a profile, roles spelled out (DEFAULT_CONFIG)
+ */
+function getProfileConfig(profile = DEFAULT_PROFILE) {
+    const venues = getProfileVenues(profile);
+    return {
+        active: venues.map(v => v.id),
+        roles: Object.fromEntries(venues.map(v => [v.id, v.role]))
+    };
+}
+
+/**
+ * Check config.venues (called by configService.validateConfig)
+ * @returns {Object} { errors: string[], warnings: string[] }
+ */
+function validateVenueConfig(section) {
+    const errors = [];
+    const warnings = [];
+    if (section === undefined) return { errors, warnings };
+    if (!section || typeof section !== 'object' || Array.isArray(section)) {
+        errors.push('venues must be an object');
+        return { errors, warnings };
+    }
+
+    const { active, roles = {} } = section;
+    if (!Array.isArray(active) || active.length === 0) {
+        errors.push('venues.active must be a non-empty array');
+        return { errors, warnings };
+    }
+    for (const id of active) {
+        if (!VENUE_REGISTRY[id]) errors.push(`Unknown venue '${id}' (registered: ${Object.keys(VENUE_REGISTRY).join(', ')})`);
+    }
+    if (new Set(active).size !== active.length) {
+        errors.push('venues.active contains duplicates');
+    }
+
+    if (!roles || typeof roles !== 'object' || Array.isArray(roles)) {
+        errors.push('venues.roles must be an object');
+        return { errors, warnings };
+    }
+    for (const [id, role] of Object.entries(roles)) {
+        if (!VENUE_ROLES[role]) {
+            errors.push(`venues.roles.${id} must be one of: ${Object.keys(VENUE_ROLES).join(', ')}`);
+        } else if (!active.includes(id)) {
+            warnings.push(`Role for venue '${id}' is ignored (venue not active)`);
+        }
+    }
+
+    const sides = new Set(venuesFromConfig(section).map(v => v.side));
+    if (!sides.has('crowd') || !sides.has('informed')) {
+        warnings.push(`No ${sides.has('crowd') ? 'informed' : 'crowd'}-side venue - divergence is one-sided`);
+    }
+
+    return { errors, warnings };
+}
+
+function getProfileVenues(profile) {
+    return (VENUE_PROFILES[profile] || VENUE_PROFILES[DEFAULT_PROFILE]).map(id => buildVenue(id));
+}
+
+/**
+ * Profile matching a venue list (same venues, same roles), or 'custom'
+ */
+function getProfileName(venues = getActiveVenues()) {
+    const key = list => list.map(v => `${v.id}:${v.role}`).sort().join(',');
+    const match = Object.keys(VENUE_PROFILES).find(name => key(getProfileVenues(name)) === key(venues));
+    return match || 'custom';
+}
+
+/**
+ * Resolve a venue id to its definition, preferring the role from a venue
+ * list (active set) over the registry default.
+ *
+ * @param {string} id - Venue id (snapshot key)
+ * @param {Array} venues - Venue list (defaults to the active set)
+ * @returns {Object|null} Venue or null if not registered
+ */
+function resolveVenue(id, venues = getActiveVenues()) {
+    return venues.find(v => v.id === id) || buildVenue(id);
+}
+
+/**
+ * Instrument for a symbol on a venue.
+ * The symbol registry wins (per-asset exceptions), the venue template fills
+ * in the rest.
+ *
+ * @param {string} symbol - Base symbol or instrument
+ * @param {string} venueId - Venue id
+ * @returns {string|null} Instrument (e.g. 'BTC-USDT-SWAP' for OKX)
+ */
+function getVenueSymbol(symbol, venueId) {
+    const registered = symbolRegistry.getExchangeSymbol(symbol, venueId);
+    if (registered) return registered;
+
+    const venue = VENUE_REGISTRY[venueId];
+    if (!venue) return null;
+    return venue.instrument.replace('{base}', symbolRegistry.toBaseSymbol(symbol));
+}
+
+/**
+ * Venue used for single-venue inputs (price history, regime): the first
+ * crowd venue present, else the first venue present.
+ *
+ * @param {Array<string>} availableIds - Venue ids with data
+ * @param {Array} venues - Venue list (defaults to the active set)
+ * @returns {string|null} Venue id
+ */
+function getPrimaryVenueId(availableIds, venues = getActiveVenues()) {
+    const available = availableIds.map(id => resolveVenue(id, venues)).filter(Boolean);
+    const crowd = available.find(v => v.side === 'crowd');
+    return crowd?.id || available[0]?.id || null;
+}
+
+/**
+ * Human-readable venue list for API response meta
+ */
+function describeVenues(symbol, venues = getActiveVenues()) {
+    return venues.map(v => ({
+        id: v.id,
+        exchange: v.exchange,
+        role: v.role,
+        side: v.side,
+        instrument: getVenueSymbol(symbol, v.id),
+        margin: v.margin
+    }));
+}
+
+/**
+ * =======================================================================
+ * EXPORTS
+ * =======================================================================
+ */
+
+module.exports = {
+    // Registry
+    VENUE_ROLES,
+    VENUE_REGISTRY,
+    VENUE_PROFILES,
+    DEFAULT_PROFILE,
+
+    // Lookups
+    parseVenueSpec,
+    getActiveVenues,
+    getActiveExchanges,
+    getProfileConfig,
+    validateVenueConfig,
+    getProfileName,
+    getProfileVenues,
+    resolveVenue,
+    getVenueSymbol,
+    getPrimaryVenueId,
+    describeVenues
+};
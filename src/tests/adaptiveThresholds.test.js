@@ -0,0 +1,200 @@
+// adaptiveThresholds.test.js
+// Unit tests for volatility-adaptive price/OI classification thresholds
+
+const adaptiveThresholds = require('../services/adaptiveThresholds');
+const configService = require('../services/configService');
+const marketMetrics = require('../services/marketMetrics');
+
+/**
+ * =============================================================================
+ * TEST RUNNER (Simple - no external dependencies, awaits async tests)
+ * =============================================================================
+ */
+
+let passCount = 0;
+let failCount = 0;
+const tests = [];
+
+function test(name, fn) {
+    tests.push({ name, fn });
+}
+
+function assertEqual(actual, expected, message = '') {
+    if (actual !== expected) {
+        throw new Error(`${message}\n   Expected: ${expected}\n   Actual: ${actual}`);
+    }
+}
+
+function assertTrue(condition, message = 'Assertion failed') {
+    if (!condition) {
+        throw new Error(message);
+    }
+}
+
+function clone(obj) {
+    return JSON.parse(JSON.stringify(obj));
+}
+
+const BASE_4H = {
+    price: { noise: 0.65, strong: 1.3 },
+    oi: { quiet: 0.5, aggressive: 1.0 },
+    funding: 0.05
+};
+
+/**
+ * Alternating candles moving `movePct` per candle; the last `hotCount`
+ * candles move `hotMovePct` (volatility regime change)
+ */
+function makeCandles(count, movePct, hotCount = 0, hotMovePct = movePct) {
+    let close = 100000;
+    return Array.from({ length: count }, (_, i) => {
+        const move = i >= count - hotCount ? hotMovePct : movePct;
+        const open = close;
+        close = open * (1 + (i % 2 ? move : -move) / 100);
+        return {
+            time: i,
+            open,
+            high: Math.max(open, close),
+            low: Math.min(open, close),
+            close
+        };
+    });
+}
+
+/**
+ * =============================================================================
+ * RESOLVE TESTS
+ * =============================================================================
+ */
+
+test('resolveThresholds - fixed mode and short history keep the config bands', async () => {
+    const history = { priceHistory: makeCandles(50, 0.2), oiHistory: makeCandles(50, 0.2) };
+    const fixed = adaptiveThresholds.resolveThresholds(BASE_4H, history, '4h', {});
+    assertEqual(fixed.source, 'fixed');
+    assertEqual(fixed.adapted, false);
+    assertEqual(fixed.price.noise, 0.65);
+
+    const short = adaptiveThresholds.resolveThresholds(
+        BASE_4H, { priceHistory: makeCandles(10, 0.2) }, '4h', { modes: { '4h': 'atr' } }
+    );
+    assertEqual(short.source, 'fixed_fallback');
+    assertEqual(short.price.strong, 1.3);
+});
+
+test('resolveThresholds - ATR mode widens bands in a volatility spike, clamped to the scale', async () => {
+    const settings = { modes: { '4h': 'atr' } };
+    const calm = adaptiveThresholds.resolveThresholds(
+        BASE_4H, { priceHistory: makeCandles(50, 0.3) }, '4h', settings
+    );
+    assertEqual(calm.source, 'atr');
+    assertTrue(Math.abs(calm.scale.price - 1) < 0.01, `Steady volatility = fixed bands, got ${calm.scale.price}`);
+    assertEqual(calm.scale.oi, 1, 'No OI history keeps the fixed OI bands');
+
+    const spike = adaptiveThresholds.resolveThresholds(
+        BASE_4H, { priceHistory: makeCandles(50, 0.3, 14, 0.6) }, '4h', settings
+    );
+    assertTrue(Math.abs(spike.scale.price - 2) < 0.02, `Current ATR is twice the median, got ${spike.scale.price}`);
+    assertTrue(Math.abs(spike.price.noise - 0.65 * spike.scale.price) < 0.001, `noise ${spike.price.noise}`);
+    assertTrue(Math.abs(spike.price.strong - 1.3 * spike.scale.price) < 0.001, `strong ${spike.price.strong}`);
+    assertEqual(spike.base.price.noise, 0.65, 'Fixed bands are kept for the audit');
+
+    const capitulation = adaptiveThresholds.resolveThresholds(
+        BASE_4H, { priceHistory: makeCandles(50, 0.3, 14, 3) }, '4h', settings
+    );
+    assertEqual(capitulation.scale.price, 2.5, 'Clamped to scale.max');
+});
+
+test('resolveThresholds - percentile mode uses the distribution of one-candle moves', async () => {
+    const result = adaptiveThresholds.resolveThresholds(
+        BASE_4H, { priceHistory: makeCandles(50, 0.4), oiHistory: makeCandles(50, 0.1) }, '4h',
+        { modes: { '4h': 'percentile' } }
+    );
+    assertEqual(result.source, 'percentile');
+    assertTrue(Math.abs(result.price.noise - 0.4) < 0.001, `noise ${result.price.noise}`);
+    assertTrue(result.price.strong >= result.price.noise, 'strong >= noise');
+    // 0.1% OI moves are below half the fixed quiet band - clamped to scale.min
+    assertEqual(result.oi.quiet, 0.25);
+});
+
+test('validateConfig - checks adaptive threshold modes and settings', async () => {
+    const config = clone(configService.DEFAULT_CONFIG);
+    config.adaptiveThresholds.modes['4h'] = 'garch';
+    config.adaptiveThresholds.percentiles = { noise: 90, strong: 80 };
+    config.adaptiveThresholds.minCandles = 10;
+
+    const { valid, errors } = configService.validateConfig(config);
+    assertEqual(valid, false);
+    assertTrue(errors.includes('adaptiveThresholds.modes.4h must be one of: fixed, atr, percentile'), errors.join('; '));
+    assertTrue(errors.includes('adaptiveThresholds.percentiles.noise must be below percentiles.strong'), errors.join('; '));
+    assertTrue(errors.includes('adaptiveThresholds.minCandles must be greater than atrPeriod'), errors.join('; '));
+});
+
+/**
+ * =============================================================================
+ * ANALYZER INTEGRATION TESTS
+ * =============================================================================
+ */
+
+test('calculateMarketMetrics - adaptive bands drive classification and are reported', async () => {
+    // +0.9% price / +0.6% OI: a move under the fixed 4h bands, noise once
+    // the bands widen with the doubled ATR
+    const tfSnapshot = { price: 100000, price_change: 0.9, oi: 5e9, oi_change: 0.6, funding_rate_avg_pct: 0.01, cvd: 0 };
+    const marketData = {
+        symbol: 'BTC',
+        snapshot: { Binance: { '4h': tfSnapshot }, Bybit: { '4h': { ...tfSnapshot } } },
+        history: {
+            '4h': {
+                priceHistory: makeCandles(50, 0.3, 14, 0.6),
+                oiHistory: makeCandles(50, 0.3, 14, 0.6)
+            }
+        }
+    };
+
+    const config = clone(configService.DEFAULT_CONFIG);
+    config.timeframes = { ...config.timeframes, active: ['4h'], weights: { '4h': 1 } };
+    const fixed = marketMetrics.calculateMarketMetrics(marketData, {}, { config });
+    assertEqual(fixed.effectiveThresholds['4h'].source, 'fixed');
+    assertEqual(fixed.timeframes['4h'].marketRegime.regime, 'unclear');
+
+    config.adaptiveThresholds.modes['4h'] = 'atr';
+    const adaptive = marketMetrics.calculateMarketMetrics(marketData, {}, { config });
+    const used = adaptive.effectiveThresholds['4h'];
+    assertEqual(used.source, 'atr');
+    assertTrue(used.price.noise > 0.9 && used.oi.quiet > 0.6, 'Bands widened past the move');
+    assertEqual(adaptive.timeframes['4h'].effectiveThresholds, used);
+    assertEqual(adaptive.timeframes['4h'].marketRegime.regime, 'range',
+        'The same move is noise (price and OI flat) under the widened bands');
+    assertEqual(config.thresholds['4h'].price.noise, 0.65, 'Caller config is not mutated');
+});
+
+/**
+ * =============================================================================
+ * RUN ALL TESTS
+ * =============================================================================
+ */
+
+(async () => {
+    console.log('\n========================================');
+    console.log('Running adaptiveThresholds Tests');
+    console.log('========================================\n');
+
+    for (const { name, fn } of tests) {
+        try {
+            await fn();
+            console.log(`✅ PASS: ${name}`);
+            passCount++;
+        } catch (error) {
+            console.error(`❌ FAIL: ${name}`);
+            console.error(`   Error: ${error.message}`);
+            failCount++;
+        }
+    }
+
+    console.log('\n========================================');
+    console.log(`Results: ${passCount} passed, ${failCount} failed`);
+    console.log('========================================\n');
+
+    if (failCount > 0) {
+        process.exit(1);
+    }
+})();
@@ -0,0 +1,260 @@
+// alertDelivery.test.js
+// Unit tests for subscription matching, quiet hours, retry and channel delivery
+// Channels are pointed at a local mock HTTP server - no external network
+
+const http = require('http');
+
+const storageBackend = require('../services/storageBackend');
+const alertDeliveryService = require('../services/alertDeliveryService');
+const { createWebhookChannel } = require('../services/channels/webhookChannel');
+const { createTelegramChannel } = require('../services/channels/telegramChannel');
+
+const {
+    matchesSubscription,
+    isInQuietHours,
+    computeBackoff,
+    sendWithRetry,
+    deliverAlert,
+    DELIVERY_STATUS
+} = alertDeliveryService;
+
+/**
+ * =============================================================================
+ * TEST RUNNER (Simple - no external dependencies, awaits async tests)
+ * =============================================================================
+ */
+
+let passCount = 0;
+let failCount = 0;
+const tests = [];
+
+function test(name, fn) {
+    tests.push({ name, fn });
+}
+
+function assertEqual(actual, expected, message = '') {
+    if (actual !== expected) {
+        throw new Error(`${message}\n   Expected: ${expected}\n   Actual: ${actual}`);
+    }
+}
+
+function assertTrue(condition, message = 'Assertion failed') {
+    if (!condition) {
+        throw new Error(message);
+    }
+}
+
+const ALERT = {
+    id: 'alert_1',
+    timestamp: Date.UTC(2025, 11, 15, 12, 0),
+    symbol: 'BTC',
+    category: 'BIAS_SHIFT',
+    priority: 'high',
+    title: 'Bias shifted to LONG',
+    description: 'Bias moved from WAIT to LONG'
+};
+
+const FAST_RETRY = { maxAttempts: 3, backoffMs: 1 };
+
+/**
+ * Local mock server: responds with the next status from `statuses`
+ * (last one repeats) and records every request.
+ */
+function startMockServer(statuses) {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            requests.push({ url: req.url, headers: req.headers, body: JSON.parse(body || '{}') });
+            const status = statuses[Math.min(requests.length - 1, statuses.length - 1)];
+            res.writeHead(status, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ ok: status < 300 }));
+        });
+    });
+
+    return new Promise(resolve => {
+        server.listen(0, '127.0.0.1', () => {
+            resolve({ server, requests, baseUrl: `http://127.0.0.1:${server.address().port}` });
+        });
+    });
+}
+
+/**
+ * =============================================================================
+ * MATCHING TESTS
+ * =============================================================================
+ */
+
+test('matchesSubscription - empty filters match everything', () => {
+    assertTrue(matchesSubscription({ categories: [], symbols: [], minPriority: 'low' }, ALERT));
+});
+
+test('matchesSubscription - category, priority and symbol filters', () => {
+    assertTrue(!matchesSubscription({ categories: ['TRAP_DETECTED'] }, ALERT), 'category');
+    assertTrue(!matchesSubscription({ minPriority: 'critical' }, ALERT), 'priority');
+    assertTrue(matchesSubscription({ minPriority: 'medium' }, ALERT), 'priority below alert');
+    assertTrue(!matchesSubscription({ symbols: ['ETH'] }, ALERT), 'symbol');
+    assertTrue(!matchesSubscription({ enabled: false }, ALERT), 'disabled');
+});
+
+/**
+ * =============================================================================
+ * QUIET HOURS / BACKOFF TESTS
+ * =============================================================================
+ */
+
+test('isInQuietHours - window wrapping midnight', () => {
+    const quiet = { start: '22:00', end: '07:00', timezone: 'UTC' };
+    assertTrue(isInQuietHours(quiet, new Date(Date.UTC(2025, 0, 1, 23, 30))), '23:30');
+    assertTrue(isInQuietHours(quiet, new Date(Date.UTC(2025, 0, 1, 6, 59))), '06:59');
+    assertTrue(!isInQuietHours(quiet, new Date(Date.UTC(2025, 0, 1, 7, 0))), '07:00');
+});
+
+test('isInQuietHours - respects timezone', () => {
+    // 20:00 UTC = 22:00 in Jerusalem (winter, UTC+2)
+    const quiet = { start: '21:00', end: '23:00', timezone: 'Asia/Jerusalem' };
+    assertTrue(isInQuietHours(quiet, new Date(Date.UTC(2025, 0, 1, 20, 0))));
+    assertTrue(!isInQuietHours({ ...quiet, timezone: 'UTC' }, new Date(Date.UTC(2025, 0, 1, 20, 0))));
+});
+
+test('computeBackoff - exponential and capped', () => {
+    const options = { backoffMs: 100, backoffMultiplier: 2, maxBackoffMs: 300 };
+    assertEqual(computeBackoff(1, options), 100);
+    assertEqual(computeBackoff(2, options), 200);
+    assertEqual(computeBackoff(3, options), 300);
+});
+
+test('sendWithRetry - permanent failure is not retried', async () => {
+    let calls = 0;
+    const channel = { type: 'stub', send: async () => { calls++; return { success: false, status: 400, retryable: false, error: 'bad' }; } };
+    const result = await sendWithRetry(channel, ALERT, {}, FAST_RETRY);
+    assertEqual(result.success, false);
+    assertEqual(calls, 1);
+});
+
+/**
+ * =============================================================================
+ * CHANNEL DELIVERY TESTS (mock server)
+ * =============================================================================
+ */
+
+test('webhook - retries 5xx then succeeds, signs body', async () => {
+    const mock = await startMockServer([503, 200]);
+    try {
+        const channel = createWebhookChannel();
+        const result = await sendWithRetry(channel, ALERT, { url: `${mock.baseUrl}/hook`, secret: 's3cret' }, FAST_RETRY);
+
+        assertEqual(result.success, true);
+        assertEqual(result.attempts, 2);
+        assertEqual(mock.requests[1].body.alert.id, ALERT.id);
+        assertTrue(/^sha256=[0-9a-f]{64}$/.test(mock.requests[1].headers['x-invsio-signature']), 'Missing signature');
+    } finally {
+        mock.server.close();
+    }
+});
+
+test('telegram - uses configurable API base', async () => {
+    const mock = await startMockServer([200]);
+    try {
+        const channel = createTelegramChannel({ apiBase: mock.baseUrl, botToken: 'TOKEN' });
+        const result = await channel.send(ALERT, { chatId: '42' });
+
+        assertEqual(result.success, true);
+        assertEqual(mock.requests[0].url, '/botTOKEN/sendMessage');
+        assertEqual(mock.requests[0].body.chat_id, '42');
+        assertTrue(mock.requests[0].body.text.includes(ALERT.title), 'Message text missing title');
+    } finally {
+        mock.server.close();
+    }
+});
+
+test('deliverAlert - quiet hours suppress, failures are logged', async () => {
+    const mock = await startMockServer([500]);
+    try {
+        const night = new Date(Date.UTC(2025, 0, 1, 23, 0));
+        const subscriptions = [
+            { id: 'quiet', userId: 'u1', channel: 'webhook', target: { url: `${mock.baseUrl}/a` }, quietHours: { start: '22:00', end: '07:00' } },
+            { id: 'failing', userId: 'u2', channel: 'webhook', target: { url: `${mock.baseUrl}/b` } },
+            { id: 'other', userId: 'u3', channel: 'webhook', target: { url: `${mock.baseUrl}/c` }, symbols: ['SOL'] }
+        ];
+
+        const entries = await deliverAlert(ALERT, subscriptions, { ...FAST_RETRY, now: night });
+        const byId = Object.fromEntries(entries.map(e => [e.subscriptionId, e]));
+
+        assertEqual(entries.length, 2, 'Non-matching subscription should be skipped');
+        assertEqual(byId.quiet.status, DELIVERY_STATUS.SUPPRESSED);
+        assertEqual(byId.failing.status, DELIVERY_STATUS.FAILED);
+        assertEqual(byId.failing.attempts, 3);
+        assertEqual(byId.failing.responseStatus, 500);
+
+        const logged = await alertDeliveryService.getDeliveries({ subscriptionId: 'failing' });
+        assertEqual(logged.length, 1);
+    } finally {
+        mock.server.close();
+    }
+});
+
+test('subscriptions - API responses redact credentials, delivery keeps them', async () => {
+    const mock = await startMockServer([200]);
+    storageBackend.setBackend('sqlite', { path: ':memory:' });
+    try {
+        const created = await alertDeliveryService.createSubscription({
+            userId: 'u1',
+            channel: 'webhook',
+            target: { url: `${mock.baseUrl}/hook`, secret: 's3cret', headers: { Authorization: 'Bearer abc' } }
+        });
+        assertTrue(created.success, created.error);
+        assertEqual(created.subscription.target.secret, '***');
+        assertEqual(created.subscription.target.headers.Authorization, '***');
+        assertEqual(created.subscription.target.url, `${mock.baseUrl}/hook`);
+
+        const [listed] = await alertDeliveryService.listSubscriptions({ userId: 'u1' });
+        assertTrue(!JSON.stringify(listed).includes('s3cret') && !JSON.stringify(listed).includes('abc'), 'Listed target redacted');
+
+        // Echoing the listed (redacted) target back keeps the stored credentials
+        const updated = await alertDeliveryService.updateSubscription(listed.id, { target: listed.target, minPriority: 'high' });
+        assertTrue(updated.success, updated.error);
+        assertEqual(updated.subscription.target.secret, '***');
+
+        const result = await alertDeliveryService.sendTestAlert(listed.id);
+        assertEqual(result.success, true);
+        assertEqual(mock.requests[0].headers.authorization, 'Bearer abc');
+        assertTrue(/^sha256=[0-9a-f]{64}$/.test(mock.requests[0].headers['x-invsio-signature']), 'Signed with the stored secret');
+    } finally {
+        storageBackend.resetBackend();
+        mock.server.close();
+    }
+});
+
+/**
+ * =============================================================================
+ * RUN ALL TESTS
+ * =============================================================================
+ */
+
+(async () => {
+    console.log('\n========================================');
+    console.log('Running alertDelivery Tests');
+    console.log('========================================\n');
+
+    for (const { name, fn } of tests) {
+        try {
+            await fn();
+            console.log(`✅ PASS: ${name}`);
+            passCount++;
+        } catch (error) {
+            console.error(`❌ FAIL: ${name}`);
+            console.error(`   Error: ${error.message}`);
+            failCount++;
+        }
+    }
+
+    console.log('\n========================================');
+    console.log(`Results: ${passCount} passed, ${failCount} failed`);
+    console.log('========================================\n');
+
+    if (failCount > 0) {
+        process.exit(1);
+    }
+})();
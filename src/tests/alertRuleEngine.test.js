@@ -0,0 +1,179 @@
+// alertRuleEngine.test.js
+// Unit tests for the alert rule DSL and per-rule cooldowns
+
+const { parseRule, compileRule, evaluateRule, getPath } = require('../services/alertRuleEngine');
+const alertRuleService = require('../services/alertRuleService');
+
+/**
+ * =============================================================================
+ * TEST RUNNER (Simple - no external dependencies)
+ * =============================================================================
+ */
+
+let passCount = 0;
+let failCount = 0;
+
+function test(name, fn) {
+    try {
+        fn();
+        console.log(`✅ PASS: ${name}`);
+        passCount++;
+    } catch (error) {
+        console.error(`❌ FAIL: ${name}`);
+        console.error(`   Error: ${error.message}`);
+        failCount++;
+    }
+}
+
+function assertEqual(actual, expected, message = '') {
+    if (actual !== expected) {
+        throw new Error(`${message}\n   Expected: ${expected}\n   Actual: ${actual}`);
+    }
+}
+
+function assertTrue(condition, message = 'Assertion failed') {
+    if (!condition) {
+        throw new Error(message);
+    }
+}
+
+function makeState({ regime = 'distribution', zScore = 2.4, ratio = 1.8, bias = 'SHORT', confidence = 7 } = {}) {
+    return {
+        symbol: 'BTC',
+        finalDecision: { bias, confidence },
+        fundingAdvanced: { zScore },
+        exchangeDivergence: { whaleRetailRatio: ratio },
+        timeframes: {
+            '4h': { marketRegime: { regime } }
+        }
+    };
+}
+
+const TRADER_RULE = "timeframes.4h.marketRegime.regime == 'distribution' AND fundingAdvanced.zScore > 2 AND exchangeDivergence.whaleRetailRatio > 1.5";
+
+/**
+ * =============================================================================
+ * PARSER TESTS
+ * =============================================================================
+ */
+
+test('compileRule - collects referenced paths', () => {
+    const compiled = compileRule(TRADER_RULE);
+    assertTrue(compiled.success, compiled.error);
+    assertEqual(compiled.paths.length, 3);
+    assertTrue(compiled.paths.includes('timeframes.4h.marketRegime.regime'));
+});
+
+test('compileRule - reports syntax errors with position', () => {
+    assertEqual(compileRule('fundingAdvanced.zScore >').success, false);
+    assertTrue(/position 4/.test(compileRule('a > $').error), 'Expected position in error');
+    assertTrue(/Unknown function/.test(compileRule('sqrt(a) > 1').error));
+    assertTrue(/takes 2/.test(compileRule('crosses_above(a) ').error));
+});
+
+test('parseRule - AND binds tighter than OR', () => {
+    const ast = parseRule('a == 1 OR b == 1 AND c == 1');
+    assertEqual(ast.type, 'or');
+    assertEqual(ast.right.type, 'and');
+});
+
+/**
+ * =============================================================================
+ * EVALUATION TESTS
+ * =============================================================================
+ */
+
+test('evaluateRule - trader example', () => {
+    assertTrue(evaluateRule(TRADER_RULE, makeState()));
+    assertTrue(!evaluateRule(TRADER_RULE, makeState({ ratio: 1.2 })));
+    assertTrue(!evaluateRule(TRADER_RULE, makeState({ regime: 'accumulation' })));
+});
+
+test('evaluateRule - NOT, parentheses, arithmetic and abs', () => {
+    const state = makeState({ zScore: -2.5 });
+    assertTrue(evaluateRule('abs(fundingAdvanced.zScore) > 2', state));
+    assertTrue(evaluateRule('NOT (finalDecision.bias == "LONG" || finalDecision.confidence < 5)', state));
+    assertTrue(evaluateRule('fundingAdvanced.zScore * -1 >= 2.5', state));
+});
+
+test('evaluateRule - missing paths are null and never match orderings', () => {
+    const state = makeState();
+    assertEqual(getPath(state, 'oiAdvanced.trend'), null);
+    assertTrue(!evaluateRule('oiAdvanced.zScore > 0', state));
+    assertTrue(!evaluateRule('oiAdvanced.zScore < 0', state));
+    assertTrue(evaluateRule('oiAdvanced.zScore == null', state));
+});
+
+test('evaluateRule - crosses and changed use the previous state', () => {
+    const previous = makeState({ zScore: 1.8, bias: 'WAIT' });
+    const current = makeState({ zScore: 2.2, bias: 'SHORT' });
+
+    assertTrue(evaluateRule('crosses_above(fundingAdvanced.zScore, 2)', current, previous));
+    assertTrue(!evaluateRule('crosses_above(fundingAdvanced.zScore, 2)', current, current), 'Already above');
+    assertTrue(!evaluateRule('crosses_above(fundingAdvanced.zScore, 2)', current, null), 'No previous state');
+    assertTrue(evaluateRule('crosses_below(fundingAdvanced.zScore, 2)', previous, current));
+    assertTrue(evaluateRule("changed(finalDecision.bias) AND prev(finalDecision.bias) == 'WAIT'", current, previous));
+});
+
+/**
+ * =============================================================================
+ * RULE SERVICE TESTS
+ * =============================================================================
+ */
+
+test('evaluateRules - per-rule cooldown and symbol filter', () => {
+    alertRuleService.clearRuleCooldowns();
+    alertRuleService.setActiveRules([
+        { id: 'r1', userId: 'u1', name: 'Distribution squeeze', expression: TRADER_RULE, priority: 'high', cooldownMs: 60000, symbols: [], enabled: true },
+        { id: 'r2', userId: 'u1', name: 'ETH only', expression: 'finalDecision.confidence > 0', priority: 'low', cooldownMs: 60000, symbols: ['ETH'], enabled: true },
+        { id: 'r3', userId: 'u1', name: 'Broken', expression: 'a >', priority: 'low', cooldownMs: 60000, symbols: [], enabled: true }
+    ]);
+
+    const first = alertRuleService.evaluateRules(makeState(), null, 'BTC');
+    assertEqual(first.length, 1);
+    assertEqual(first[0].category, 'CUSTOM_RULE');
+    assertEqual(first[0].priority, 'high');
+    assertEqual(first[0].context.ruleId, 'r1');
+    assertEqual(first[0].context.values['fundingAdvanced.zScore'], 2.4);
+
+    assertEqual(alertRuleService.evaluateRules(makeState(), null, 'BTC').length, 0, 'Should be on cooldown');
+    assertEqual(alertRuleService.evaluateRules(makeState(), null, 'ETH').length, 2, 'Cooldown is per symbol');
+
+    alertRuleService.setActiveRules([]);
+    alertRuleService.clearRuleCooldowns();
+});
+
+test('hydrateRuleCooldowns - restores cooldown from alert history', () => {
+    alertRuleService.setActiveRules([
+        { id: 'r1', userId: 'u1', name: 'Rule', expression: 'finalDecision.confidence > 0', priority: 'low', cooldownMs: 60000, symbols: [], enabled: true }
+    ]);
+
+    const restored = alertRuleService.hydrateRuleCooldowns([
+        { alert_type: 'CUSTOM_RULE', symbol: 'BTC', timestamp: Date.now() - 1000, context_json: JSON.stringify({ ruleId: 'r1' }) }
+    ]);
+    assertEqual(restored, 1);
+    assertEqual(alertRuleService.evaluateRules(makeState(), null, 'BTC').length, 0);
+
+    alertRuleService.setActiveRules([]);
+    alertRuleService.clearRuleCooldowns();
+});
+
+/**
+ * =============================================================================
+ * RUN ALL TESTS
+ * =============================================================================
+ */
+
+console.log('\n========================================');
+console.log('Running alertRuleEngine Tests');
+console.log('========================================\n');
+
+// All tests have been defined above and run synchronously
+
+console.log('\n========================================');
+console.log(`Results: ${passCount} passed, ${failCount} failed`);
+console.log('========================================\n');
+
+if (failCount > 0) {
+    process.exit(1);
+}
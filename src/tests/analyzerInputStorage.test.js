@@ -0,0 +1,125 @@
+// analyzerInputStorage.test.js
+// Unit tests for content-addressed analyzer input encoding
+
+const {
+    canonicalJson,
+    hashInputs,
+    encodeInputs,
+    decodeInputs
+} = require('../services/analyzerInputStorage');
+
+/**
+ * =============================================================================
+ * TEST RUNNER (Simple - no external dependencies)
+ * =============================================================================
+ */
+
+let passCount = 0;
+let failCount = 0;
+
+function test(name, fn) {
+    try {
+        fn();
+        console.log(`✅ PASS: ${name}`);
+        passCount++;
+    } catch (error) {
+        console.error(`❌ FAIL: ${name}`);
+        console.error(`   Error: ${error.message}`);
+        failCount++;
+    }
+}
+
+function assertEqual(actual, expected, message = '') {
+    if (actual !== expected) {
+        throw new Error(`${message}\n   Expected: ${expected}\n   Actual: ${actual}`);
+    }
+}
+
+function assertTrue(condition, message = 'Assertion failed') {
+    if (!condition) {
+        throw new Error(message);
+    }
+}
+
+const sampleInputs = () => ({
+    snapshot: {
+        Binance: { '4h': { price: 97500, price_change: 1.2, oi: 8e9, oi_change: 0.8 } },
+        Bybit: { '4h': { price: 97480, price_change: 1.1, oi: 2e9, oi_change: 1.9 } }
+    },
+    history: {
+        '4h': { priceHistory: Array.from({ length: 50 }, (_, i) => ({ time: i, close: 97000 + i })) }
+    },
+    symbol: 'BTC'
+});
+
+/**
+ * =============================================================================
+ * CANONICAL HASH TESTS
+ * =============================================================================
+ */
+
+test('canonicalJson - key order does not matter', () => {
+    assertEqual(canonicalJson({ b: 1, a: { d: 2, c: 3 } }), canonicalJson({ a: { c: 3, d: 2 }, b: 1 }));
+});
+
+test('hashInputs - same inputs same hash, different inputs different hash', () => {
+    const a = sampleInputs();
+    const b = sampleInputs();
+    assertEqual(hashInputs(a), hashInputs(b));
+
+    b.snapshot.Binance['4h'].price_change = 1.3;
+    assertTrue(hashInputs(a) !== hashInputs(b), 'hash should change with inputs');
+});
+
+test('hashInputs - missing resolvedAbsorptions equals empty list', () => {
+    const a = sampleInputs();
+    const b = { ...sampleInputs(), resolvedAbsorptions: [] };
+    assertEqual(hashInputs(a), hashInputs(b));
+});
+
+/**
+ * =============================================================================
+ * ENCODING TESTS
+ * =============================================================================
+ */
+
+test('encodeInputs / decodeInputs - lossless round trip', () => {
+    const inputs = sampleInputs();
+    const encoded = encodeInputs(inputs);
+    const decoded = decodeInputs(encoded.payload);
+
+    assertEqual(encoded.hash, hashInputs(inputs));
+    assertEqual(canonicalJson(decoded.snapshot), canonicalJson(inputs.snapshot));
+    assertEqual(decoded.history['4h'].priceHistory.length, 50);
+    assertTrue(encoded.storedBytes < encoded.rawBytes, 'payload should be compressed');
+});
+
+test('decodeInputs - rejects unknown encoding', () => {
+    let threw = false;
+    try {
+        decodeInputs('abc', 'brotli');
+    } catch (e) {
+        threw = true;
+    }
+    assertTrue(threw, 'expected unsupported encoding error');
+});
+
+/**
+ * =============================================================================
+ * RUN ALL TESTS
+ * =============================================================================
+ */
+
+console.log('\n========================================');
+console.log('Running analyzerInputStorage Tests');
+console.log('========================================\n');
+
+// All tests have been defined above and run synchronously
+
+console.log('\n========================================');
+console.log(`Results: ${passCount} passed, ${failCount} failed`);
+console.log('========================================\n');
+
+if (failCount > 0) {
+    process.exit(1);
+}
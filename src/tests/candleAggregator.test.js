@@ -0,0 +1,187 @@
+// candleAggregator.test.js
+// Unit tests for higher-timeframe aggregation and the consistency checker
+
+const storageBackend = require('../services/storageBackend');
+const historicalCandleStorage = require('../services/historicalCandleStorage');
+const candleAggregator = require('../services/candleAggregator');
+
+/**
+ * =============================================================================
+ * TEST RUNNER (Simple - no external dependencies, awaits async tests)
+ * =============================================================================
+ */
+
+let passCount = 0;
+let failCount = 0;
+const tests = [];
+
+function test(name, fn) {
+    tests.push({ name, fn });
+}
+
+function assertEqual(actual, expected, message = '') {
+    if (actual !== expected) {
+        throw new Error(`${message}\n   Expected: ${expected}\n   Actual: ${actual}`);
+    }
+}
+
+function assertTrue(condition, message = 'Assertion failed') {
+    if (!condition) {
+        throw new Error(message);
+    }
+}
+
+const M30 = 30 * 60 * 1000;
+const H4 = 4 * 60 * 60 * 1000;
+const DAY0 = new Date('2025-12-01T00:00:00.000Z').getTime();
+
+/**
+ * Base 30m candles starting at DAY0 + offset, i = 0..count-1
+ */
+function makeBase(count, offset = 0) {
+    return Array.from({ length: count }, (_, i) => ({
+        exchange: 'Binance',
+        symbol: 'BTC',
+        timeframe: '30m',
+        timestamp: DAY0 + offset + i * M30,
+        open: 100 + i,
+        high: 110 + i,
+        low: 90 - i,
+        close: 101 + i,
+        volume: 10,
+        oi: 5000 + i,
+        oi_open: 5000 + i,
+        oi_high: 5100 + i,
+        oi_low: 4900 + i,
+        oi_close: 5001 + i,
+        buy_volume: 6,
+        sell_volume: 4,
+        funding_rate: 0.0001 * (i + 1)
+    }));
+}
+
+/**
+ * =============================================================================
+ * PURE AGGREGATION TESTS
+ * =============================================================================
+ */
+
+test('aggregateCandles - 30m into 4h OHLCV, OI, taker volume and funding', async () => {
+    const [candle] = candleAggregator.aggregateCandles(makeBase(8), '30m', '4h');
+    assertEqual(candle.timestamp, DAY0);
+    assertEqual(candle.timeframe, '4h');
+    assertEqual(candle.open, 100);
+    assertEqual(candle.high, 117);
+    assertEqual(candle.low, 83);
+    assertEqual(candle.close, 108);
+    assertEqual(candle.volume, 80);
+    assertEqual(candle.oi_open, 5000);
+    assertEqual(candle.oi_high, 5107);
+    assertEqual(candle.oi_close, 5008);
+    assertEqual(candle.buy_volume, 48);
+    assertEqual(candle.sell_volume, 32);
+    assertEqual(candle.funding_rate, 0.0008);
+});
+
+test('aggregateCandles - UTC boundaries, incomplete buckets skipped', async () => {
+    // 02:00 .. 09:30 -> 00:00 bucket has 4/8 candles, 04:00 bucket complete, 08:00 has 4/8
+    const candles = candleAggregator.aggregateCandles(makeBase(16, 2 * 60 * 60 * 1000), '30m', '4h');
+    assertEqual(candles.length, 1);
+    assertEqual(candles[0].timestamp, DAY0 + H4);
+
+    const partial = candleAggregator.aggregateCandles(makeBase(16, 2 * 60 * 60 * 1000), '30m', '4h', { allowPartial: true });
+    assertEqual(partial.length, 3);
+    assertEqual(partial[0]._baseCount, 4);
+});
+
+test('aggregateCandles - field group left out when a base candle lacks it', async () => {
+    const base = makeBase(8);
+    base[3].oi_close = null;
+    const [candle] = candleAggregator.aggregateCandles(base, '30m', '4h');
+    assertEqual(candle.close, 108);
+    assertEqual(candle.oi_close, undefined);
+});
+
+test('assertAggregatable - rejects smaller or non-multiple targets', async () => {
+    let threw = false;
+    try {
+        candleAggregator.assertAggregatable('1h', '30m');
+    } catch (e) {
+        threw = true;
+    }
+    assertTrue(threw, 'Expected 1h -> 30m to be rejected');
+});
+
+/**
+ * =============================================================================
+ * STORAGE TESTS (SQLite backend)
+ * =============================================================================
+ */
+
+test('aggregateAndStore - fill keeps native values, replace overwrites; consistency flags drift', async () => {
+    storageBackend.setBackend('sqlite', { path: ':memory:' });
+
+    try {
+        await historicalCandleStorage.upsertCandles(makeBase(16));
+        // Native 4h candle for 00:00 with a drifted close and no OI
+        await historicalCandleStorage.upsertCandles([{
+            exchange: 'Binance', symbol: 'BTC', timeframe: '4h', timestamp: DAY0,
+            open: 100, high: 117, low: 83, close: 120, volume: 80
+        }]);
+
+        const consistency = await candleAggregator.checkConsistency({ exchange: 'Binance', timeframe: '4h' });
+        assertTrue(consistency.success, consistency.error);
+        assertEqual(consistency.compared, 1);
+        assertEqual(consistency.mismatched, 1);
+        assertEqual(Object.keys(consistency.mismatches[0].fields).join(), 'close');
+        assertEqual(consistency.missingNative, 1, '04:00 bucket has no native candle');
+
+        const fill = await candleAggregator.aggregateAndStore({ exchange: 'Binance', timeframes: ['4h'] });
+        assertTrue(fill.success, fill.error);
+        assertEqual(fill.results[0].aggregated, 2);
+
+        let candles = await historicalCandleStorage.getCandles({ exchange: 'Binance', symbol: 'BTC', timeframe: '4h' });
+        assertEqual(candles.length, 2);
+        assertEqual(Number(candles[0].close), 120, 'fill keeps the native close');
+        assertEqual(Number(candles[0].oi_close), 5008, 'fill adds the missing OI');
+        assertEqual(Number(candles[1].close), 116);
+
+        await candleAggregator.aggregateAndStore({ exchange: 'Binance', timeframes: ['4h'], mode: 'replace' });
+        candles = await historicalCandleStorage.getCandles({ exchange: 'Binance', symbol: 'BTC', timeframe: '4h' });
+        assertEqual(Number(candles[0].close), 108);
+    } finally {
+        storageBackend.resetBackend();
+    }
+});
+
+/**
+ * =============================================================================
+ * RUN ALL TESTS
+ * =============================================================================
+ */
+
+(async () => {
+    console.log('\n========================================');
+    console.log('Running candleAggregator Tests');
+    console.log('========================================\n');
+
+    for (const { name, fn } of tests) {
+        try {
+            await fn();
+            console.log(`✅ PASS: ${name}`);
+            passCount++;
+        } catch (error) {
+            console.error(`❌ FAIL: ${name}`);
+            console.error(`   Error: ${error.message}`);
+            failCount++;
+        }
+    }
+
+    console.log('\n========================================');
+    console.log(`Results: ${passCount} passed, ${failCount} failed`);
+    console.log('========================================\n');
+
+    if (failCount > 0) {
+        process.exit(1);
+    }
+})();
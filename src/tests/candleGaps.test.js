@@ -0,0 +1,245 @@
+// candleGaps.test.js
+// Unit tests for candle gap detection, the gap report and targeted repair
+
+const storageBackend = require('../services/storageBackend');
+const dataProvider = require('../services/dataProvider');
+const historicalCandleStorage = require('../services/historicalCandleStorage');
+const scanCandleGaps = require('../jobs/scanCandleGaps');
+
+/**
+ * =============================================================================
+ * TEST RUNNER (Simple - no external dependencies, awaits async tests)
+ * =============================================================================
+ */
+
+let passCount = 0;
+let failCount = 0;
+const tests = [];
+
+function test(name, fn) {
+    tests.push({ name, fn });
+}
+
+function assertEqual(actual, expected, message = '') {
+    if (actual !== expected) {
+        throw new Error(`${message}\n   Expected: ${expected}\n   Actual: ${actual}`);
+    }
+}
+
+function assertTrue(condition, message = 'Assertion failed') {
+    if (!condition) {
+        throw new Error(message);
+    }
+}
+
+const H4 = 4 * 60 * 60 * 1000;
+const T0 = new Date('2025-12-01T00:00:00.000Z').getTime();
+const SERIES = { exchange: 'Binance', symbol: 'BTC', timeframe: '4h' };
+
+/**
+ * Stored candles at T0 + i*4h for each i in `indexes` (price + OI)
+ */
+function makeCandles(indexes) {
+    return indexes.map(i => ({
+        ...SERIES,
+        timestamp: T0 + i * H4,
+        open: 100 + i,
+        high: 101 + i,
+        low: 99 + i,
+        close: 100.5 + i,
+        volume: 1000,
+        oi_close: 5000 + i
+    }));
+}
+
+/**
+ * Offline provider: serves price candles for the given indexes only
+ */
+function createStubProvider(priceIndexes) {
+    const records = priceIndexes.map(i => ({ time: T0 + i * H4, open: 100 + i, high: 101 + i, low: 99 + i, close: 100.5 + i, volume: 1000 }));
+    return {
+        name: 'stub',
+        source: 'stub',
+        rateLimited: false,
+        getPriceHistory: async ({ startTime, endTime }) => records.filter(r => r.time >= startTime && r.time <= endTime),
+        getOIHistory: async () => [],
+        getFundingHistory: async () => [],
+        getTakerBuySellVolume: async () => []
+    };
+}
+
+async function withSqlite(fn) {
+    storageBackend.setBackend('sqlite', { path: ':memory:' });
+    try {
+        await fn();
+    } finally {
+        storageBackend.resetBackend();
+        dataProvider.resetProvider();
+    }
+}
+
+/**
+ * =============================================================================
+ * DETECTION TESTS
+ * =============================================================================
+ */
+
+test('findMissingRanges - groups consecutive missing candles', async () => {
+    const present = [0, 1, 4, 5, 7].map(i => T0 + i * H4);
+    const ranges = scanCandleGaps.findMissingRanges(present, '4h', T0, T0 + 7 * H4);
+    assertEqual(ranges.length, 2);
+    assertEqual(ranges[0].gapStart, T0 + 2 * H4);
+    assertEqual(ranges[0].gapEnd, T0 + 3 * H4);
+    assertEqual(ranges[0].missingCount, 2);
+    assertEqual(ranges[1].missingCount, 1);
+});
+
+test('findMissingRanges - unaligned window is rounded inward to candle boundaries', async () => {
+    const ranges = scanCandleGaps.findMissingRanges([T0 + H4], '4h', T0 - 1000, T0 + 2 * H4 + 1000);
+    assertEqual(ranges.length, 2);
+    assertEqual(ranges[0].gapStart, T0);
+    assertEqual(ranges[1].gapStart, T0 + 2 * H4);
+});
+
+/**
+ * =============================================================================
+ * GAP REPORT TESTS (SQLite backend)
+ * =============================================================================
+ */
+
+test('scanSeries - records price and OI gaps, rescan updates instead of duplicating', async () => {
+    await withSqlite(async () => {
+        const candles = makeCandles([0, 1, 2, 5, 6, 7]);
+        candles[1].oi_close = null;
+        await historicalCandleStorage.upsertCandles(candles);
+
+        const price = await scanCandleGaps.scanSeries({ ...SERIES, dataType: 'price' });
+        assertEqual(price.gaps, 1);
+        assertEqual(price.missingCandles, 2);
+        assertEqual(price.inserted, 1);
+
+        const oi = await scanCandleGaps.scanSeries({ ...SERIES, dataType: 'oi' });
+        assertEqual(oi.gaps, 2, 'Null OI column is a gap');
+
+        const again = await scanCandleGaps.scanSeries({ ...SERIES, dataType: 'price' });
+        assertEqual(again.inserted, 0);
+        assertEqual(again.updated, 1);
+
+        const { gaps } = await historicalCandleStorage.getCandleGaps({ dataType: 'price' });
+        assertEqual(gaps.length, 1);
+        assertEqual(Number(gaps[0].gap_start), T0 + 3 * H4);
+        assertEqual(gaps[0].status, 'open');
+    });
+});
+
+test('repairGaps - refetched gap is closed as repaired', async () => {
+    await withSqlite(async () => {
+        await historicalCandleStorage.upsertCandles(makeCandles([0, 1, 4, 5]));
+        dataProvider.setProvider(createStubProvider([0, 1, 2, 3, 4, 5]));
+
+        await scanCandleGaps.scanSeries({ ...SERIES, dataType: 'price' });
+        const result = await scanCandleGaps.repairGaps({ dataTypes: ['price'] });
+
+        assertTrue(result.success, result.error);
+        assertEqual(result.attempted, 1);
+        assertEqual(result.repaired, 1);
+
+        const { gaps } = await historicalCandleStorage.getCandleGaps({ dataType: 'price' });
+        assertEqual(gaps[0].status, 'repaired');
+        assertEqual(gaps[0].missing_count, 0);
+    });
+});
+
+test('repairGaps - gap still missing after max attempts becomes unrecoverable', async () => {
+    await withSqlite(async () => {
+        await historicalCandleStorage.upsertCandles(makeCandles([0, 1, 3, 4]));
+        dataProvider.setProvider(createStubProvider([0, 1, 3, 4]));
+
+        await scanCandleGaps.scanSeries({ ...SERIES, dataType: 'price' });
+        let result;
+        for (let i = 0; i < scanCandleGaps.GAP_CONFIG.maxRepairAttempts; i++) {
+            result = await scanCandleGaps.repairGaps({ dataTypes: ['price'] });
+        }
+        assertEqual(result.unrecoverable, 1);
+
+        const next = await scanCandleGaps.repairGaps({ dataTypes: ['price'] });
+        assertEqual(next.attempted, 0, 'Unrecoverable gaps are not retried by default');
+
+        // A later scan keeps the mark instead of reopening the gap
+        await scanCandleGaps.scanSeries({ ...SERIES, dataType: 'price' });
+        const { gaps } = await historicalCandleStorage.getCandleGaps({ dataType: 'price' });
+        assertEqual(gaps.length, 1);
+        assertEqual(gaps[0].status, 'unrecoverable');
+        assertEqual(gaps[0].repair_attempts, scanCandleGaps.GAP_CONFIG.maxRepairAttempts);
+    });
+});
+
+test('scanSeries - a data type with no stored values is skipped, not one window-wide gap', async () => {
+    await withSqlite(async () => {
+        await historicalCandleStorage.upsertCandles(makeCandles([0, 1, 2, 5, 6, 7]));
+
+        const liquidations = await scanCandleGaps.scanSeries({ ...SERIES, dataType: 'liquidations' });
+        assertTrue(liquidations.success, liquidations.error);
+        assertEqual(liquidations.gaps, 0);
+        assertTrue(liquidations.skipped, 'Series without data is reported as skipped');
+
+        const { gaps } = await historicalCandleStorage.getCandleGaps({ dataType: 'liquidations' });
+        assertEqual(gaps.length, 0);
+    });
+});
+
+test('repairGaps - a gap left repairing by a crashed run is retried after the timeout', async () => {
+    await withSqlite(async () => {
+        await historicalCandleStorage.upsertCandles(makeCandles([0, 1, 4, 5]));
+        dataProvider.setProvider(createStubProvider([0, 1, 2, 3, 4, 5]));
+
+        await scanCandleGaps.scanSeries({ ...SERIES, dataType: 'price' });
+        const [gap] = (await historicalCandleStorage.getCandleGaps({ dataType: 'price' })).gaps;
+
+        // Crash mid-repair: status stays 'repairing'
+        await historicalCandleStorage.updateCandleGap(gap.id, { status: 'repairing', last_repair_at: new Date().toISOString() });
+        const recent = await scanCandleGaps.repairGaps({ dataTypes: ['price'] });
+        assertEqual(recent.attempted, 0, 'A repair in flight is left alone');
+
+        const stale = new Date(Date.now() - scanCandleGaps.GAP_CONFIG.repairTimeoutMs - 1000).toISOString();
+        await historicalCandleStorage.updateCandleGap(gap.id, { last_repair_at: stale });
+        const result = await scanCandleGaps.repairGaps({ dataTypes: ['price'] });
+        assertEqual(result.attempted, 1);
+        assertEqual(result.repaired, 1);
+
+        const { gaps } = await historicalCandleStorage.getCandleGaps({ dataType: 'price' });
+        assertEqual(gaps[0].status, 'repaired');
+    });
+});
+
+/**
+ * =============================================================================
+ * RUN ALL TESTS
+ * =============================================================================
+ */
+
+(async () => {
+    console.log('\n========================================');
+    console.log('Running candleGaps Tests');
+    console.log('========================================\n');
+
+    for (const { name, fn } of tests) {
+        try {
+            await fn();
+            console.log(`✅ PASS: ${name}`);
+            passCount++;
+        } catch (error) {
+            console.error(`❌ FAIL: ${name}`);
+            console.error(`   Error: ${error.message}`);
+            failCount++;
+        }
+    }
+
+    console.log('\n========================================');
+    console.log(`Results: ${passCount} passed, ${failCount} failed`);
+    console.log('========================================\n');
+
+    if (failCount > 0) {
+        process.exit(1);
+    }
+})();
@@ -0,0 +1,192 @@
+// candleImportExport.test.js
+// Unit tests for CSV / NDJSON candle import (validation, dedup, dry run) and export
+
+const storageBackend = require('../services/storageBackend');
+const historicalCandleStorage = require('../services/historicalCandleStorage');
+const candleImportExport = require('../services/candleImportExport');
+
+/**
+ * =============================================================================
+ * TEST RUNNER (Simple - no external dependencies, awaits async tests)
+ * =============================================================================
+ */
+
+let passCount = 0;
+let failCount = 0;
+const tests = [];
+
+function test(name, fn) {
+    tests.push({ name, fn });
+}
+
+function assertEqual(actual, expected, message = '') {
+    if (actual !== expected) {
+        throw new Error(`${message}\n   Expected: ${expected}\n   Actual: ${actual}`);
+    }
+}
+
+function assertTrue(condition, message = 'Assertion failed') {
+    if (!condition) {
+        throw new Error(message);
+    }
+}
+
+const H1 = 60 * 60 * 1000;
+const T0 = new Date('2025-12-01T00:00:00.000Z').getTime();
+
+const CSV = [
+    'timestamp,open,high,low,close,volume,oi_close,funding_rate',
+    `${T0},100,110,90,105,12.5,5000,0.0001`,
+    `${T0 + H1},105,108,101,"107",8,,`,
+    `${T0 + H1},105,109,101,108,9,5010,`,          // duplicate - last one wins
+    `${T0 + 2 * H1 + 60000},1,2,0.5,1.5,1,,`,       // not on an hour boundary
+    `${T0 + 3 * H1},100,90,95,96,1,,`,              // high < low
+    `${T0 + 4 * H1},,,,,,,`                         // no data columns
+].join('\n');
+
+/**
+ * =============================================================================
+ * PARSING / VALIDATION TESTS
+ * =============================================================================
+ */
+
+test('parseCsvLine - quoted fields with commas and escaped quotes', async () => {
+    const fields = candleImportExport.parseCsvLine('a,"b,c","say ""hi""", d ');
+    assertEqual(fields.length, 4);
+    assertEqual(fields[1], 'b,c');
+    assertEqual(fields[2], 'say "hi"');
+    assertEqual(fields[3], 'd');
+});
+
+test('normalizeRecord - defaults, second timestamps and unknown columns', async () => {
+    const { row } = candleImportExport.normalizeRecord(
+        { timestamp: String(T0 / 1000), close: '101.5' },
+        { exchange: 'Binance', symbol: 'btcusdt', timeframe: '1h' }
+    );
+    assertEqual(row.timestamp, T0);
+    assertEqual(row.symbol, 'BTC');
+    assertEqual(row.close, 101.5);
+    assertEqual(row.open, undefined, 'Missing columns are left out');
+
+    const { error } = candleImportExport.normalizeRecord(
+        { timestamp: T0, close: 1, colse: 2 },
+        { exchange: 'Binance', timeframe: '1h' }
+    );
+    assertTrue(error && error.includes('colse'), 'Unknown columns are rejected');
+});
+
+/**
+ * =============================================================================
+ * IMPORT / EXPORT TESTS (SQLite backend)
+ * =============================================================================
+ */
+
+test('importCandles - dry run reports without writing, then merges and dedups', async () => {
+    storageBackend.setBackend('sqlite', { path: ':memory:' });
+    const series = { exchange: 'Binance', symbol: 'BTC', timeframe: '1h' };
+
+    try {
+        const dry = await candleImportExport.importCandles(CSV, { ...series, dryRun: true });
+        assertTrue(dry.success, dry.error);
+        assertEqual(dry.format, 'csv');
+        assertEqual(dry.rows, 6);
+        assertEqual(dry.valid, 3);
+        assertEqual(dry.invalid, 3);
+        assertEqual(dry.duplicatesInFile, 1);
+        assertEqual(dry.new, 2);
+        assertEqual(dry.written, 0);
+        assertEqual(dry.errors[0].line, 5);
+        assertEqual((await historicalCandleStorage.getCandles(series)).length, 0, 'Dry run writes nothing');
+
+        const result = await candleImportExport.importCandles(CSV, series);
+        assertEqual(result.new, 2);
+        assertEqual(result.written, 2);
+
+        // Re-import as NDJSON: both rows already exist, skip mode leaves them alone
+        const ndjson = `{"exchange":"Binance","symbol":"BTC","timeframe":"1h","time":${T0},"close":999}\n`;
+        const skip = await candleImportExport.importCandles(ndjson, { mode: 'skip' });
+        assertEqual(skip.format, 'ndjson');
+        assertEqual(skip.existing, 1);
+        assertEqual(skip.written, 0);
+
+        const candles = await historicalCandleStorage.getCandles(series);
+        assertEqual(candles.length, 2);
+        assertEqual(Number(candles[0].close), 105);
+        assertEqual(Number(candles[1].close), 108, 'Last duplicate in the file wins');
+        assertEqual(Number(candles[1].oi_close), 5010);
+
+        // Export round trip
+        let csv = '';
+        for await (const line of candleImportExport.exportCandles({ exchanges: ['Binance'], timeframes: ['1h'] })) {
+            csv += line;
+        }
+        const lines = csv.trim().split('\n');
+        assertEqual(lines.length, 3);
+        assertEqual(lines[0], candleImportExport.CANDLE_COLUMNS.join(','));
+
+        const again = await candleImportExport.importCandles(csv, { dryRun: true });
+        assertEqual(again.valid, 2);
+        assertEqual(again.existing, 2);
+    } finally {
+        storageBackend.resetBackend();
+    }
+});
+
+test('exportCandles - a failed page read fails the export instead of ending it', async () => {
+    storageBackend.setBackend('sqlite', { path: ':memory:' });
+    const original = historicalCandleStorage.getCandlePage;
+    const requested = [];
+    historicalCandleStorage.getCandlePage = async (params) => {
+        requested.push(params.exchange);
+        return { success: false, error: 'connection reset', candles: [] };
+    };
+
+    try {
+        let lines = 0;
+        let failure = null;
+        try {
+            for await (const line of candleImportExport.exportCandles({ timeframes: ['1h'] })) lines++;
+        } catch (error) {
+            failure = error;
+        }
+
+        assertTrue(failure && failure.message.includes('connection reset'), 'Export should throw');
+        assertEqual(lines, 1, 'Only the CSV header was produced');
+        assertEqual(requested[0], 'Binance', 'Defaults to the active venues\' exchanges');
+    } finally {
+        historicalCandleStorage.getCandlePage = original;
+        storageBackend.resetBackend();
+    }
+});
+
+/**
+ * =============================================================================
+ * RUN ALL TESTS
+ * =============================================================================
+ */
+
+(async () => {
+    console.log('\n========================================');
+    console.log('Running candleImportExport Tests');
+    console.log('========================================\n');
+
+    for (const { name, fn } of tests) {
+        try {
+            await fn();
+            console.log(`✅ PASS: ${name}`);
+            passCount++;
+        } catch (error) {
+            console.error(`❌ FAIL: ${name}`);
+            console.error(`   Error: ${error.message}`);
+            failCount++;
+        }
+    }
+
+    console.log('\n========================================');
+    console.log(`Results: ${passCount} passed, ${failCount} failed`);
+    console.log('========================================\n');
+
+    if (failCount > 0) {
+        process.exit(1);
+    }
+})();
@@ -0,0 +1,187 @@
+// candleVerification.test.js
+// Unit tests for full-field candle verification (sampling, tolerances, reports, re-sync)
+
+const storageBackend = require('../services/storageBackend');
+const dataProvider = require('../services/dataProvider');
+const historicalCandleStorage = require('../services/historicalCandleStorage');
+const candleVerificationService = require('../services/candleVerificationService');
+
+/**
+ * =============================================================================
+ * TEST RUNNER (Simple - no external dependencies, awaits async tests)
+ * =============================================================================
+ */
+
+let passCount = 0;
+let failCount = 0;
+const tests = [];
+
+function test(name, fn) {
+    tests.push({ name, fn });
+}
+
+function assertEqual(actual, expected, message = '') {
+    if (actual !== expected) {
+        throw new Error(`${message}\n   Expected: ${expected}\n   Actual: ${actual}`);
+    }
+}
+
+function assertTrue(condition, message = 'Assertion failed') {
+    if (!condition) {
+        throw new Error(message);
+    }
+}
+
+const H4 = 4 * 60 * 60 * 1000;
+const T0 = new Date('2025-12-01T00:00:00.000Z').getTime();
+const SERIES = { exchange: 'Binance', symbol: 'BTC', timeframe: '4h' };
+
+function priceRecord(i) {
+    return { time: T0 + i * H4, open: 100 + i, high: 102 + i, low: 99 + i, close: 101 + i, volume: 1000 + i };
+}
+
+function oiRecord(i) {
+    return { time: T0 + i * H4, open: 5000 + i, high: 5010 + i, low: 4990 + i, close: 5005 + i };
+}
+
+/**
+ * Stored candles matching the stub provider for indexes 0..count-1
+ */
+function makeCandles(count) {
+    return Array.from({ length: count }, (_, i) => {
+        const p = priceRecord(i);
+        const o = oiRecord(i);
+        return {
+            ...SERIES,
+            timestamp: p.time,
+            open: p.open, high: p.high, low: p.low, close: p.close, volume: p.volume,
+            oi_open: o.open, oi_high: o.high, oi_low: o.low, oi_close: o.close
+        };
+    });
+}
+
+function createStubProvider(count) {
+    const prices = Array.from({ length: count }, (_, i) => priceRecord(i));
+    const ois = Array.from({ length: count }, (_, i) => oiRecord(i));
+    const inWindow = rows => async ({ startTime, endTime }) => rows.filter(r => r.time >= startTime && r.time <= endTime);
+    return {
+        name: 'stub',
+        source: 'stub',
+        rateLimited: false,
+        getPriceHistory: inWindow(prices),
+        getOIHistory: inWindow(ois),
+        getFundingHistory: async () => [],
+        getTakerBuySellVolume: async () => []
+    };
+}
+
+/**
+ * =============================================================================
+ * SAMPLING / COMPARISON TESTS
+ * =============================================================================
+ */
+
+test('stratifiedSample - one sample per non-empty stratum across the window', async () => {
+    const timestamps = [0, 1, 2, 3, 8, 9].map(i => T0 + i * H4);
+    const samples = candleVerificationService.stratifiedSample(timestamps, 5, T0, T0 + 9 * H4, () => 0);
+
+    // ~2 candles per stratum - the strata covering candles 4-7 are empty
+    assertEqual(samples.length, 3);
+    assertEqual(samples[0].timestamp, T0);
+    assertEqual(samples[1].timestamp, T0 + 2 * H4);
+    assertEqual(samples[2].timestamp, T0 + 8 * H4);
+    assertEqual(samples[2].stratum.index, 4);
+});
+
+test('compareField - relative tolerance, absolute floor and missing DB values', async () => {
+    assertTrue(candleVerificationService.compareField(100.04, 100, { relative: 0.0005 }).ok);
+    assertTrue(!candleVerificationService.compareField(100.1, 100, { relative: 0.0005 }).ok);
+    assertTrue(candleVerificationService.compareField(0.0000005, 0, { relative: 0.05, absolute: 0.000001 }).ok);
+
+    const missing = candleVerificationService.compareField(null, 42, { relative: 0.01 });
+    assertEqual(missing.ok, false);
+    assertEqual(candleVerificationService.compareField(42, undefined, {}), null, 'No provider value is not compared');
+});
+
+/**
+ * =============================================================================
+ * VERIFICATION RUN TESTS (SQLite backend)
+ * =============================================================================
+ */
+
+test('verifyCandles - flags drifted fields, persists report and re-syncs the failing stratum', async () => {
+    storageBackend.setBackend('sqlite', { path: ':memory:' });
+    dataProvider.setProvider(createStubProvider(12));
+
+    try {
+        const candles = makeCandles(12);
+        candles[7].close *= 1.01;       // price drift in the third stratum
+        candles[7].oi_close = null;     // OI missing in the same candle
+        await historicalCandleStorage.upsertCandles(candles);
+
+        const result = await candleVerificationService.verifyCandles({
+            ...SERIES,
+            sampleSize: 4,
+            dataTypes: ['price', 'oi'],
+            waitForResync: true,
+            random: () => 0.5
+        });
+
+        assertTrue(result.success, result.error);
+        assertEqual(result.checked, 4);
+        assertEqual(result.mismatched, 1);
+        assertEqual(result.fieldStats.close.mismatches, 1);
+        assertTrue(result.fieldStats.close.maxDrift > 0.009, 'Drift should be ~1%');
+        assertEqual(result.fieldStats.oi_close.missingInDb, 1);
+        assertEqual(result.failingRanges.length, 1);
+        assertEqual(result.failingRanges[0].dataTypes.join(), 'price,oi');
+        assertEqual(result.resync.status, 'completed');
+
+        const [fixed] = await historicalCandleStorage.getCandles({ ...SERIES, startTime: T0 + 7 * H4, endTime: T0 + 7 * H4 });
+        assertEqual(Number(fixed.close), 108);
+        assertEqual(Number(fixed.oi_close), 5012);
+
+        const { report } = await candleVerificationService.getReport(result.reportId);
+        assertEqual(report.resync_status, 'completed');
+        assertEqual(report.results.length, 4);
+
+        const { reports } = await candleVerificationService.listReports({ exchange: 'Binance' });
+        assertEqual(reports.length, 1);
+        assertEqual(reports[0].results, undefined, 'Summaries omit per-sample results');
+    } finally {
+        storageBackend.resetBackend();
+        dataProvider.resetProvider();
+    }
+});
+
+/**
+ * =============================================================================
+ * RUN ALL TESTS
+ * =============================================================================
+ */
+
+(async () => {
+    console.log('\n========================================');
+    console.log('Running candleVerification Tests');
+    console.log('========================================\n');
+
+    for (const { name, fn } of tests) {
+        try {
+            await fn();
+            console.log(`✅ PASS: ${name}`);
+            passCount++;
+        } catch (error) {
+            console.error(`❌ FAIL: ${name}`);
+            console.error(`   Error: ${error.message}`);
+            failCount++;
+        }
+    }
+
+    console.log('\n========================================');
+    console.log(`Results: ${passCount} passed, ${failCount} failed`);
+    console.log('========================================\n');
+
+    if (failCount > 0) {
+        process.exit(1);
+    }
+})();
@@ -0,0 +1,197 @@
+// configOptimizer.test.js
+// Unit tests for optimizer search space, candidate limits and walk-forward folds
+
+const { DEFAULT_CONFIG } = require('../services/configService');
+const {
+    buildSearchSpace,
+    buildWalkForwardFolds,
+    generateNeighbour,
+    checkCandidate,
+    normalizeWeights,
+    createRandom,
+    validateOptimizerOptions,
+    startOptimization,
+    listOptimizerJobs,
+    OPTIMIZER_LIMITS
+} = require('../backtest/configOptimizer');
+
+/**
+ * =============================================================================
+ * TEST RUNNER (Simple - no external dependencies)
+ * =============================================================================
+ */
+
+let passCount = 0;
+let failCount = 0;
+
+function test(name, fn) {
+    try {
+        fn();
+        console.log(`✅ PASS: ${name}`);
+        passCount++;
+    } catch (error) {
+        console.error(`❌ FAIL: ${name}`);
+        console.error(`   Error: ${error.message}`);
+        failCount++;
+    }
+}
+
+function assertEqual(actual, expected, message = '') {
+    if (actual !== expected) {
+        throw new Error(`${message}\n   Expected: ${expected}\n   Actual: ${actual}`);
+    }
+}
+
+function assertTrue(condition, message = 'Assertion failed') {
+    if (!condition) {
+        throw new Error(message);
+    }
+}
+
+const clone = (obj) => JSON.parse(JSON.stringify(obj));
+
+/**
+ * =============================================================================
+ * SEARCH SPACE TESTS
+ * =============================================================================
+ */
+
+test('buildSearchSpace - weights use config bounds', () => {
+    const space = buildSearchSpace(DEFAULT_CONFIG, ['weights']);
+    // Opt-in signals (weight 0) are not tuned
+    const tunable = Object.values(DEFAULT_CONFIG.weights.signals).filter(w => w !== 0);
+    assertEqual(space.length, tunable.length);
+    assertTrue(space.every(p => p.maxStepPct === DEFAULT_CONFIG.bounds.weights.maxStepPct), 'weight maxStepPct');
+    assertTrue(space.every(p => p.min === DEFAULT_CONFIG.bounds.weights.min), 'weight min');
+});
+
+test('buildSearchSpace - thresholds include per-timeframe price noise', () => {
+    const paths = buildSearchSpace(DEFAULT_CONFIG, ['thresholds']).map(p => p.path);
+    assertTrue(paths.includes('thresholds.4h.price.noise'), '4h price noise missing');
+    assertTrue(paths.includes('thresholds.1d.oi.aggressive'), '1d oi aggressive missing');
+});
+
+test('normalizeWeights - sums to exactly 1', () => {
+    const signals = { a: 0.3, b: 0.3, c: 0.5 };
+    normalizeWeights(signals);
+    const sum = Object.values(signals).reduce((a, b) => a + b, 0);
+    assertTrue(Math.abs(sum - 1) < 1e-9, `sum was ${sum}`);
+});
+
+/**
+ * =============================================================================
+ * CANDIDATE TESTS
+ * =============================================================================
+ */
+
+test('generateNeighbour - candidates stay within step limits and validate', () => {
+    const space = buildSearchSpace(DEFAULT_CONFIG);
+    const random = createRandom(7);
+    let from = DEFAULT_CONFIG;
+
+    for (let i = 0; i < 50; i++) {
+        const candidate = generateNeighbour(DEFAULT_CONFIG, from, space, random);
+        if (!candidate) continue;
+        const check = checkCandidate(DEFAULT_CONFIG, candidate, space);
+        assertTrue(check.valid, check.reasons.join('; '));
+        from = candidate;
+    }
+});
+
+test('checkCandidate - rejects oversized step and inverted thresholds', () => {
+    const space = buildSearchSpace(DEFAULT_CONFIG);
+
+    const bigStep = clone(DEFAULT_CONFIG);
+    bigStep.thresholds['4h'].price.noise *= 1.5;
+    assertEqual(checkCandidate(DEFAULT_CONFIG, bigStep, space).valid, false, 'step limit');
+
+    const inverted = clone(DEFAULT_CONFIG);
+    inverted.thresholds['1h'].price.noise = inverted.thresholds['1h'].price.strong;
+    assertEqual(checkCandidate(DEFAULT_CONFIG, inverted, space).valid, false, 'ordering');
+});
+
+test('createRandom - deterministic per seed', () => {
+    const a = createRandom(42);
+    const b = createRandom(42);
+    assertEqual(a(), b());
+    assertEqual(a(), b());
+});
+
+/**
+ * =============================================================================
+ * WALK-FORWARD TESTS
+ * =============================================================================
+ */
+
+test('buildWalkForwardFolds - anchored train, test strictly after train', () => {
+    const samples = Array.from({ length: 40 }, (_, i) => ({ asOfTimestamp: i }));
+    const folds = buildWalkForwardFolds(samples, 3);
+
+    assertEqual(folds.length, 3);
+    assertEqual(folds[0].train.length, 10);
+    assertEqual(folds[2].train.length, 30);
+    assertEqual(folds[2].test.length, 10);
+
+    for (const fold of folds) {
+        assertEqual(fold.train[0].asOfTimestamp, 0, 'train is anchored at start');
+        const lastTrain = fold.train[fold.train.length - 1].asOfTimestamp;
+        assertTrue(fold.test.every(s => s.asOfTimestamp > lastTrain), 'test leaks into train');
+    }
+});
+
+/**
+ * =============================================================================
+ * OPTION LIMIT TESTS
+ * =============================================================================
+ */
+
+test('validateOptimizerOptions - defaults and in-range options pass', () => {
+    assertTrue(validateOptimizerOptions({}).valid);
+    assertTrue(validateOptimizerOptions({
+        folds: 2, iterations: 20, maxSamples: 200, minSamples: 50, topProposals: 3,
+        seed: 7, horizon: 'MACRO', groups: ['weights', 'gates']
+    }).valid);
+});
+
+test('validateOptimizerOptions - rejects oversized, non-integer and unknown options', () => {
+    const { valid, errors } = validateOptimizerOptions({
+        maxSamples: OPTIMIZER_LIMITS.maxSamples.max + 1,
+        iterations: 2.5,
+        seed: 'x',
+        horizon: 'WEEKLY',
+        groups: ['weights', 'everything']
+    });
+    assertEqual(valid, false);
+    assertEqual(errors.length, 5, errors.join('; '));
+    assertTrue(errors[0].startsWith('iterations'), errors[0]);
+
+    const inverted = validateOptimizerOptions({ minSamples: 400 });
+    assertTrue(inverted.errors.some(e => e.includes('must not exceed maxSamples')), 'minSamples above default maxSamples');
+});
+
+test('startOptimization - invalid options are rejected before a job starts', () => {
+    const result = startOptimization({ maxSamples: 1000000 });
+    assertEqual(result.success, false);
+    assertTrue(Array.isArray(result.errors) && result.errors.length === 1);
+    assertEqual(listOptimizerJobs().length, 0);
+});
+
+/**
+ * =============================================================================
+ * RUN ALL TESTS
+ * =============================================================================
+ */
+
+console.log('\n========================================');
+console.log('Running configOptimizer Tests');
+console.log('========================================\n');
+
+// All tests have been defined above and run synchronously
+
+console.log('\n========================================');
+console.log(`Results: ${passCount} passed, ${failCount} failed`);
+console.log('========================================\n');
+
+if (failCount > 0) {
+    process.exit(1);
+}
@@ -0,0 +1,198 @@
+// dataProvider.test.js
+// Unit tests for provider selection and fixture record/replay
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dataProvider = require('../services/dataProvider');
+const {
+    createFixtureProvider,
+    createRecordingProvider,
+    selectWindow
+} = require('../services/providers/fixtureProvider');
+
+/**
+ * =============================================================================
+ * TEST RUNNER (Simple - no external dependencies, awaits async tests)
+ * =============================================================================
+ */
+
+let passCount = 0;
+let failCount = 0;
+const tests = [];
+
+function test(name, fn) {
+    tests.push({ name, fn });
+}
+
+function assertEqual(actual, expected, message = '') {
+    if (actual !== expected) {
+        throw new Error(`${message}\n   Expected: ${expected}\n   Actual: ${actual}`);
+    }
+}
+
+function assertTrue(condition, message = 'Assertion failed') {
+    if (!condition) {
+        throw new Error(message);
+    }
+}
+
+const HOUR = 60 * 60 * 1000;
+const T0 = new Date('2025-12-15T00:00:00.000Z').getTime();
+
+function makeCandles(count, intervalMs = HOUR) {
+    return Array.from({ length: count }, (_, i) => ({
+        time: T0 + i * intervalMs,
+        open: String(100 + i),
+        high: String(101 + i),
+        low: String(99 + i),
+        close: String(100.5 + i),
+        volume_usd: String(1000 * (i + 1))
+    }));
+}
+
+/**
+ * =============================================================================
+ * WINDOW SELECTION TESTS
+ * =============================================================================
+ */
+
+test('selectWindow - limit only returns latest candles', () => {
+    const rows = selectWindow(makeCandles(10), { limit: 3 });
+    assertEqual(rows.length, 3);
+    assertEqual(rows[0].time, T0 + 7 * HOUR);
+});
+
+test('selectWindow - startTime pages forward', () => {
+    const rows = selectWindow(makeCandles(10), { limit: 4, startTime: T0 + 2 * HOUR });
+    assertEqual(rows.length, 4);
+    assertEqual(rows[0].time, T0 + 2 * HOUR);
+    assertEqual(rows[3].time, T0 + 5 * HOUR);
+});
+
+test('selectWindow - endTime excludes later candles', () => {
+    const rows = selectWindow(makeCandles(10), { limit: 2, endTime: T0 + 4 * HOUR });
+    assertEqual(rows.length, 2);
+    assertEqual(rows[1].time, T0 + 4 * HOUR);
+});
+
+test('selectWindow - second timestamps are normalized', () => {
+    const candles = makeCandles(3).map(c => ({ ...c, time: c.time / 1000 }));
+    const rows = selectWindow(candles, { startTime: T0 + HOUR });
+    assertEqual(rows.length, 2);
+});
+
+/**
+ * =============================================================================
+ * RECORD / REPLAY TESTS
+ * =============================================================================
+ */
+
+test('recording provider writes fixtures that replay identically', async () => {
+    const fixtureDir = fs.mkdtempSync(path.join(os.tmpdir(), 'fixtures-'));
+    const candles = makeCandles(6);
+    const params = { exchange: 'Binance', symbol: 'BTCUSDT', interval: '1h', limit: 6 };
+
+    try {
+        const live = {
+            name: 'stub',
+            getPriceHistory: async () => candles,
+            getOIHistory: async () => [],
+            getFundingHistory: async () => [],
+            getTakerBuySellVolume: async () => []
+        };
+        const recorder = createRecordingProvider(live, { fixtureDir });
+        await recorder.getPriceHistory(params);
+
+        assertTrue(fs.existsSync(path.join(fixtureDir, 'price', 'Binance_BTCUSDT_1h.json')), 'Fixture file not written');
+
+        const replay = createFixtureProvider({ fixtureDir });
+        const replayed = await replay.getPriceHistory(params);
+        assertEqual(JSON.stringify(replayed), JSON.stringify(candles));
+    } finally {
+        fs.rmSync(fixtureDir, { recursive: true, force: true });
+    }
+});
+
+test('fixture provider - missing fixture returns [] or throws when strict', async () => {
+    const fixtureDir = path.join(os.tmpdir(), 'fixtures-missing');
+    const params = { exchange: 'Bybit', symbol: 'BTCUSD', interval: 'h4', limit: 10 };
+
+    const lenient = createFixtureProvider({ fixtureDir });
+    assertEqual((await lenient.getTakerBuySellVolume(params)).length, 0);
+
+    const strict = createFixtureProvider({ fixtureDir, strict: true });
+    let threw = false;
+    try {
+        await strict.getTakerBuySellVolume(params);
+    } catch (e) {
+        threw = true;
+    }
+    assertTrue(threw, 'Strict mode should throw on missing fixture');
+});
+
+/**
+ * =============================================================================
+ * REGISTRY TESTS
+ * =============================================================================
+ */
+
+test('setProvider - by name and validation', () => {
+    const provider = dataProvider.setProvider('fixture', { fixtureDir: os.tmpdir() });
+    assertEqual(dataProvider.getProvider(), provider);
+    assertEqual(dataProvider.getProviderInfo().rateLimited, false);
+
+    let threw = false;
+    try {
+        dataProvider.setProvider({ name: 'broken', getPriceHistory: async () => [] });
+    } catch (e) {
+        threw = true;
+        assertTrue(e.message.includes('getOIHistory'), 'Should list missing methods');
+    }
+    assertTrue(threw, 'Should reject incomplete provider');
+
+    dataProvider.resetProvider();
+});
+
+test('createProvider - unknown name throws', () => {
+    let threw = false;
+    try {
+        dataProvider.createProvider('binance-direct');
+    } catch (e) {
+        threw = true;
+    }
+    assertTrue(threw, 'Should throw for unknown provider');
+});
+
+/**
+ * =============================================================================
+ * RUN ALL TESTS
+ * =============================================================================
+ */
+
+(async () => {
+    console.log('\n========================================');
+    console.log('Running dataProvider Tests');
+    console.log('========================================\n');
+
+    for (const { name, fn } of tests) {
+        try {
+            await fn();
+            console.log(`✅ PASS: ${name}`);
+            passCount++;
+        } catch (error) {
+            console.error(`❌ FAIL: ${name}`);
+            console.error(`   Error: ${error.message}`);
+            failCount++;
+        }
+    }
+
+    console.log('\n========================================');
+    console.log(`Results: ${passCount} passed, ${failCount} failed`);
+    console.log('========================================\n');
+
+    if (failCount > 0) {
+        process.exit(1);
+    }
+})();
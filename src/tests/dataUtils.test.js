@@ -65,10 +65,15 @@ test('intervalToMs - 1d', () => {
     assertEqual(intervalToMs('1d'), 24 * 60 * 60 * 1000);
 });
 
+test('intervalToMs - 15m and 1w', () => {
+    assertEqual(intervalToMs('15m'), 15 * 60 * 1000);
+    assertEqual(intervalToMs('1w'), 7 * 24 * 60 * 60 * 1000);
+});
+
 test('intervalToMs - invalid throws', () => {
     let threw = false;
     try {
-        intervalToMs('15m');
+        intervalToMs('2h');
     } catch (e) {
         threw = true;
     }
@@ -121,6 +126,17 @@ test('alignEndTimeToLastClosedCandle - exactly on boundary returns previous', ()
     assertEqual(alignedDate.getUTCHours(), 12, 'Hour should be 12');
 });
 
+test('alignStartTimeToBoundary - 1w aligns to Monday 00:00 UTC', () => {
+    // Wednesday 2025-12-17 -> week opened Monday 2025-12-15
+    const ts = new Date('2025-12-17T14:47:00.000Z').getTime();
+    assertEqual(new Date(alignStartTimeToBoundary('1w', ts)).toISOString(), '2025-12-15T00:00:00.000Z');
+
+    // Monday 00:00 is its own boundary; the last closed week ended then
+    const monday = new Date('2025-12-15T00:00:00.000Z').getTime();
+    assertEqual(alignStartTimeToBoundary('1w', monday), monday);
+    assertEqual(alignEndTimeToLastClosedCandle('1w', ts), monday);
+});
+
 test('alignStartTimeToBoundary - 4h at 14:47 returns 12:00', () => {
     const ts = new Date('2025-12-15T14:47:00.000Z').getTime();
     const aligned = alignStartTimeToBoundary('4h', ts);
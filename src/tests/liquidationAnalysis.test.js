@@ -0,0 +1,192 @@
+// liquidationAnalysis.test.js
+// Unit tests for liquidation spikes, cascades, OI confirmation and regime integration
+
+const liquidationAnalysis = require('../services/liquidationAnalysis');
+const marketMetrics = require('../services/marketMetrics');
+const configService = require('../services/configService');
+const syncHistoricalData = require('../jobs/syncHistoricalData');
+
+/**
+ * =============================================================================
+ * TEST RUNNER (Simple - no external dependencies, awaits async tests)
+ * =============================================================================
+ */
+
+let passCount = 0;
+let failCount = 0;
+const tests = [];
+
+function test(name, fn) {
+    tests.push({ name, fn });
+}
+
+function assertEqual(actual, expected, message = '') {
+    if (actual !== expected) {
+        throw new Error(`${message}\n   Expected: ${expected}\n   Actual: ${actual}`);
+    }
+}
+
+function assertTrue(condition, message = 'Assertion failed') {
+    if (!condition) {
+        throw new Error(message);
+    }
+}
+
+const H4 = 4 * 60 * 60 * 1000;
+const T0 = new Date('2025-12-01T00:00:00.000Z').getTime();
+
+/**
+ * 30 quiet candles (~$1M per side, slight noise) followed by `tail` records
+ */
+function makeHistory(tail = []) {
+    const quiet = Array.from({ length: 30 }, (_, i) => ({
+        time: T0 + i * H4,
+        longUsd: 1000000 + (i % 3) * 100000,
+        shortUsd: 1000000 + (i % 2) * 100000
+    }));
+    return [...quiet, ...tail.map((t, i) => ({ time: T0 + (30 + i) * H4, ...t }))];
+}
+
+const LONG_FLUSH = { longUsd: 40000000, shortUsd: 1000000 };
+
+/**
+ * =============================================================================
+ * ANALYSIS TESTS
+ * =============================================================================
+ */
+
+test('analyzeLiquidations - unavailable without enough history', async () => {
+    const result = liquidationAnalysis.analyzeLiquidations([{ time: T0, longUsd: 5, shortUsd: 5 }]);
+    assertEqual(result.available, false);
+    assertEqual(result.bias, 'WAIT');
+});
+
+test('analyzeLiquidations - long cascade confirmed by OI drop', async () => {
+    const result = liquidationAnalysis.analyzeLiquidations(makeHistory([LONG_FLUSH, LONG_FLUSH]), {
+        priceChange: -3,
+        oiChange: -2,
+        oiUsd: 1000000000 // 2% drop = $20M, $40M liquidated
+    });
+
+    assertTrue(result.spike.detected, 'Latest candle should spike');
+    assertEqual(result.spike.side, 'longs');
+    assertTrue(result.cascade.detected, 'Two consecutive long spikes = cascade');
+    assertEqual(result.oiConfirmation.confirmed, true);
+    assertEqual(result.squeeze, 'long_squeeze');
+    assertEqual(result.bias, 'SHORT');
+    assertEqual(result.confidence, 8);
+});
+
+test('analyzeLiquidations - finished flush turns into a reversal bias', async () => {
+    const result = liquidationAnalysis.analyzeLiquidations(
+        makeHistory([LONG_FLUSH, { longUsd: 900000, shortUsd: 1000000 }]),
+        { priceChange: 0.5, oiChange: 0.3 }
+    );
+    assertEqual(result.spike.detected, false);
+    assertEqual(result.exhaustion.detected, true);
+    assertEqual(result.bias, 'LONG');
+});
+
+/**
+ * =============================================================================
+ * ANALYZER INTEGRATION TESTS
+ * =============================================================================
+ */
+
+test('detectMarketRegime - liquidation cascade classifies a squeeze and confirms it', async () => {
+    // -1.5% price with OI flat: no covering regime from price/OI alone
+    const binance = { price_change: -1.5, oi_change: -0.1, funding_rate_avg_pct: 0.01, cvd: -1 };
+    const without = marketMetrics.detectMarketRegime(binance, {}, 'neutral', '4h');
+    assertTrue(without.regime !== 'covering', 'Price/OI alone is not a squeeze');
+    assertEqual(without.liquidationConfirmed, null);
+
+    const liquidations = liquidationAnalysis.analyzeLiquidations(makeHistory([LONG_FLUSH, LONG_FLUSH]), {
+        priceChange: -1.5, oiChange: -0.1
+    });
+    const withLiq = marketMetrics.detectMarketRegime(binance, {}, 'neutral', '4h', undefined, liquidations);
+    assertEqual(withLiq.regime, 'covering');
+    assertEqual(withLiq.subType, 'long_squeeze');
+    assertEqual(withLiq.liquidationConfirmed, true);
+
+    // OI-driven long squeeze with quiet liquidations loses confidence
+    const oiDrop = { ...binance, price_change: -2, oi_change: -2 };
+    const quiet = liquidationAnalysis.analyzeLiquidations(makeHistory([{ longUsd: 1000000, shortUsd: 1000000 }]), {
+        priceChange: -2, oiChange: -2
+    });
+    const base = marketMetrics.detectMarketRegime(oiDrop, {}, 'neutral', '4h');
+    const unconfirmed = marketMetrics.detectMarketRegime(oiDrop, {}, 'neutral', '4h', undefined, quiet);
+    assertEqual(unconfirmed.subType, 'long_squeeze');
+    assertEqual(unconfirmed.liquidationConfirmed, false);
+    assertEqual(unconfirmed.confidence, base.confidence - 2);
+});
+
+test('calculateWeightedDecision - liquidation signal is opt-in, default weights unchanged', async () => {
+    const liquidations = liquidationAnalysis.analyzeLiquidations(makeHistory([LONG_FLUSH, LONG_FLUSH]), {
+        priceChange: -1.5, oiChange: -0.1
+    });
+    assertTrue(liquidations.available, 'Liquidation data expected');
+
+    const exchangeAnalysis = { bias: 'LONG', confidence: 8, warnings: ['Whales buying'] };
+    const regime = { regime: 'trending', subType: 'healthy_bull', confidence: 6, characteristics: ['Trend'] };
+    const decisionArgs = [{ price: 100, price_change: 1 }, {}, exchangeAnalysis, regime, {}, {}, {}, null];
+
+    // Default config: liquidation data is reported but does not move the decision
+    const config = JSON.parse(JSON.stringify(configService.DEFAULT_CONFIG));
+    assertEqual(config.weights.signals.liquidations, 0);
+    assertTrue(configService.validateConfig(config).valid, 'Default config with an opt-in weight of 0 is valid');
+
+    const without = marketMetrics.calculateWeightedDecision(...decisionArgs, { timeframe: '4h', config });
+    const withData = marketMetrics.calculateWeightedDecision(...decisionArgs, { timeframe: '4h', config, liquidations });
+    assertEqual(withData.signals.find(s => s.name === 'liquidations').weight, 0);
+    assertEqual(withData.bias, without.bias);
+    assertEqual(withData.confidence, without.confidence);
+
+    // Opt in: weight taken from another signal
+    config.weights.signals.liquidations = 0.05;
+    config.weights.signals.exchange_divergence -= 0.05;
+    assertTrue(configService.validateConfig(config).valid, 'Opt-in weights are valid');
+    const optIn = marketMetrics.calculateWeightedDecision(...decisionArgs, { timeframe: '4h', config, liquidations });
+    assertEqual(optIn.signals.find(s => s.name === 'liquidations').weight, 0.05);
+});
+
+test('transformToCandles - liquidation records map to liq columns (0 kept)', async () => {
+    const [candle] = syncHistoricalData.transformToCandles(
+        [{ time: T0, long_liquidation_usd: '1250000.5', short_liquidation_usd: 0 }],
+        'Binance', '4h', 'liquidations'
+    );
+    assertEqual(candle.liq_long_usd, 1250000.5);
+    assertEqual(candle.liq_short_usd, 0);
+    assertEqual(candle.close, undefined);
+});
+
+/**
+ * =============================================================================
+ * RUN ALL TESTS
+ * =============================================================================
+ */
+
+(async () => {
+    console.log('\n========================================');
+    console.log('Running liquidationAnalysis Tests');
+    console.log('========================================\n');
+
+    for (const { name, fn } of tests) {
+        try {
+            await fn();
+            console.log(`✅ PASS: ${name}`);
+            passCount++;
+        } catch (error) {
+            console.error(`❌ FAIL: ${name}`);
+            console.error(`   Error: ${error.message}`);
+            failCount++;
+        }
+    }
+
+    console.log('\n========================================');
+    console.log(`Results: ${passCount} passed, ${failCount} failed`);
+    console.log('========================================\n');
+
+    if (failCount > 0) {
+        process.exit(1);
+    }
+})();
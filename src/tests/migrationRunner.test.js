@@ -0,0 +1,209 @@
+// migrationRunner.test.js
+// Unit tests for versioned schema migrations (SQLite executor + startup check)
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+const migrationRunner = require('../services/migrationRunner');
+const storageBackend = require('../services/storageBackend');
+
+/**
+ * =============================================================================
+ * TEST RUNNER (Simple - no external dependencies, awaits async tests)
+ * =============================================================================
+ */
+
+let passCount = 0;
+let failCount = 0;
+const tests = [];
+
+function test(name, fn) {
+    tests.push({ name, fn });
+}
+
+function assertEqual(actual, expected, message = '') {
+    if (actual !== expected) {
+        throw new Error(`${message}\n   Expected: ${expected}\n   Actual: ${actual}`);
+    }
+}
+
+function assertTrue(condition, message = 'Assertion failed') {
+    if (!condition) {
+        throw new Error(message);
+    }
+}
+
+const tempDirs = [];
+
+/**
+ * Temporary migrations dir: 001 creates a table, 002 adds a column
+ */
+function createMigrationsDir() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'invsio-migrations-'));
+    tempDirs.push(dir);
+    const sqliteDir = path.join(dir, 'sqlite');
+    fs.mkdirSync(sqliteDir);
+    fs.writeFileSync(path.join(sqliteDir, '001_widgets.up.sql'), 'CREATE TABLE widgets (id TEXT PRIMARY KEY);');
+    fs.writeFileSync(path.join(sqliteDir, '001_widgets.down.sql'), 'DROP TABLE widgets;');
+    fs.writeFileSync(path.join(sqliteDir, '002_widget_color.up.sql'), 'ALTER TABLE widgets ADD COLUMN color TEXT;');
+    fs.writeFileSync(path.join(sqliteDir, '002_widget_color.down.sql'), 'ALTER TABLE widgets DROP COLUMN color;');
+    return dir;
+}
+
+function tableColumns(db, table) {
+    return db.prepare(`PRAGMA table_info(${table})`).all().map(c => c.name);
+}
+
+/**
+ * =============================================================================
+ * MIGRATION FILE TESTS
+ * =============================================================================
+ */
+
+test('loadMigrations - postgres and sqlite ship the same versions', async () => {
+    const postgres = migrationRunner.loadMigrations('postgres').map(m => `${m.version}_${m.name}`);
+    const sqlite = migrationRunner.loadMigrations('sqlite').map(m => `${m.version}_${m.name}`);
+    assertTrue(postgres.length > 0, 'Expected at least the baseline');
+    assertEqual(postgres.join(), sqlite.join());
+});
+
+test('loadMigrations - rejects a migration without a down script', async () => {
+    const dir = createMigrationsDir();
+    fs.unlinkSync(path.join(dir, 'sqlite', '002_widget_color.down.sql'));
+
+    let error = null;
+    try {
+        migrationRunner.loadMigrations('sqlite', { dir });
+    } catch (e) {
+        error = e;
+    }
+    assertTrue(error && /needs both/.test(error.message), 'Expected missing down error');
+});
+
+/**
+ * =============================================================================
+ * SQLITE EXECUTOR TESTS
+ * =============================================================================
+ */
+
+test('migrate/rollback - applies in order, records and reverts', async () => {
+    const dir = createMigrationsDir();
+    const db = new Database(':memory:');
+    const executor = migrationRunner.createSqliteExecutor(db);
+
+    const first = await migrationRunner.migrate(executor, { dir, to: '001' });
+    assertEqual(first.applied.join(), '001_widgets');
+    assertEqual((await migrationRunner.getStatus(executor, { dir })).pending.join(), '002_widget_color');
+
+    await migrationRunner.migrate(executor, { dir });
+    assertTrue(tableColumns(db, 'widgets').includes('color'));
+    const status = await migrationRunner.getStatus(executor, { dir });
+    assertTrue(status.upToDate);
+    assertEqual(status.current, '002');
+
+    const down = await migrationRunner.rollback(executor, { dir });
+    assertEqual(down.reverted.join(), '002_widget_color');
+    assertTrue(!tableColumns(db, 'widgets').includes('color'));
+    assertEqual((await migrationRunner.getStatus(executor, { dir })).current, '001');
+    db.close();
+});
+
+test('migrate - failed migration rolls back and is not recorded', async () => {
+    const dir = createMigrationsDir();
+    fs.writeFileSync(path.join(dir, 'sqlite', '003_broken.up.sql'), 'CREATE TABLE gadgets (id TEXT); SELECT * FROM missing_table;');
+    fs.writeFileSync(path.join(dir, 'sqlite', '003_broken.down.sql'), 'DROP TABLE gadgets;');
+    const db = new Database(':memory:');
+    const executor = migrationRunner.createSqliteExecutor(db);
+
+    const result = await migrationRunner.migrate(executor, { dir });
+    assertEqual(result.success, false);
+    assertEqual(result.failed, '003_broken');
+    assertEqual(tableColumns(db, 'gadgets').length, 0, 'Partial migration must be rolled back');
+    assertEqual((await migrationRunner.getStatus(executor, { dir })).current, '002');
+    db.close();
+});
+
+test('baseline and checksum - marks without running, detects edited migrations', async () => {
+    const dir = createMigrationsDir();
+    const db = new Database(':memory:');
+    const executor = migrationRunner.createSqliteExecutor(db);
+
+    const result = await migrationRunner.baseline(executor, { dir, to: '001' });
+    assertEqual(result.marked.join(), '001_widgets');
+    assertEqual(tableColumns(db, 'widgets').length, 0, 'Baseline must not run SQL');
+
+    fs.writeFileSync(path.join(dir, 'sqlite', '001_widgets.up.sql'), 'CREATE TABLE widgets (id INTEGER PRIMARY KEY);');
+    const status = await migrationRunner.getStatus(executor, { dir });
+    assertEqual(status.modified.join(), '001_widgets');
+    assertEqual(status.upToDate, false);
+    db.close();
+});
+
+/**
+ * =============================================================================
+ * STARTUP CHECK TESTS
+ * =============================================================================
+ */
+
+test('checkSchema - sqlite backend migrates on open and reports up to date', async () => {
+    storageBackend.setBackend('sqlite', { path: ':memory:' });
+    try {
+        const result = await migrationRunner.checkSchema();
+        assertTrue(result.ok, JSON.stringify(result));
+        assertEqual(result.dialect, 'sqlite');
+        assertEqual(result.current, result.latest);
+    } finally {
+        storageBackend.resetBackend();
+    }
+});
+
+test('verifySchemaOnStartup - strict policy is fatal on pending migrations', async () => {
+    storageBackend.setBackend('sqlite', { path: ':memory:', autoMigrate: false });
+    try {
+        const warn = await migrationRunner.verifySchemaOnStartup('warn');
+        assertEqual(warn.ok, false);
+        assertEqual(warn.fatal, false);
+
+        const strict = await migrationRunner.verifySchemaOnStartup('strict');
+        assertEqual(strict.fatal, true);
+        assertTrue(strict.pending.length > 0);
+    } finally {
+        storageBackend.resetBackend();
+    }
+});
+
+/**
+ * =============================================================================
+ * RUN ALL TESTS
+ * =============================================================================
+ */
+
+(async () => {
+    console.log('\n========================================');
+    console.log('Running migrationRunner Tests');
+    console.log('========================================\n');
+
+    for (const { name, fn } of tests) {
+        try {
+            await fn();
+            console.log(`✅ PASS: ${name}`);
+            passCount++;
+        } catch (error) {
+            console.error(`❌ FAIL: ${name}`);
+            console.error(`   Error: ${error.message}`);
+            failCount++;
+        }
+    }
+
+    tempDirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true }));
+
+    console.log('\n========================================');
+    console.log(`Results: ${passCount} passed, ${failCount} failed`);
+    console.log('========================================\n');
+
+    if (failCount > 0) {
+        process.exit(1);
+    }
+})();
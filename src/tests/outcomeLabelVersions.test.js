@@ -0,0 +1,297 @@
+// outcomeLabelVersions.test.js
+// Unit tests for versioned outcome labels and multi-horizon labeling
+
+const Database = require('better-sqlite3');
+const storageBackend = require('../services/storageBackend');
+const historicalCandleStorage = require('../services/historicalCandleStorage');
+const outcomeLabelStorage = require('../services/outcomeLabelStorage');
+const migrationRunner = require('../services/migrationRunner');
+const stateStorage = require('../services/stateStorage');
+const outcomeLabelingJob = require('../backtest/outcomeLabelingJob');
+const scoreboardService = require('../backtest/scoreboardService');
+
+/**
+ * =============================================================================
+ * TEST RUNNER (Simple - no external dependencies, awaits async tests)
+ * =============================================================================
+ */
+
+let passCount = 0;
+let failCount = 0;
+const tests = [];
+
+function test(name, fn) {
+    tests.push({ name, fn });
+}
+
+function assertEqual(actual, expected, message = '') {
+    if (actual !== expected) {
+        throw new Error(`${message}\n   Expected: ${expected}\n   Actual: ${actual}`);
+    }
+}
+
+function assertTrue(condition, message = 'Assertion failed') {
+    if (!condition) {
+        throw new Error(message);
+    }
+}
+
+const M30 = 30 * 60 * 1000;
+const DAY0 = Date.UTC(2024, 0, 1);
+// Mid-hour, mid-4h signal: the first 1h / 4h buckets straddle it
+const SIGNAL_TIME = DAY0 + 75 * 60 * 1000;
+const BATCH_ID = 'batch-versions';
+
+// 30m candles from DAY0 for 7 days, close = 100 + 0.05 x index
+function makeBaseCandles() {
+    return Array.from({ length: 7 * 48 }, (_, i) => {
+        const close = 100 + i * 0.05;
+        return {
+            exchange: 'Binance',
+            symbol: 'BTC',
+            timeframe: '30m',
+            timestamp: DAY0 + i * M30,
+            open: close - 0.05,
+            high: close + 0.1,
+            low: close - 0.1,
+            close
+        };
+    });
+}
+
+async function withSeededSqlite(fn) {
+    storageBackend.setBackend('sqlite', { path: ':memory:' });
+    const { delayBetweenStates } = outcomeLabelingJob.LABELING_CONFIG;
+    outcomeLabelingJob.LABELING_CONFIG.delayBetweenStates = 0;
+    try {
+        await historicalCandleStorage.upsertCandles(makeBaseCandles());
+        const { error } = await storageBackend.getClient().from('replay_states').insert({
+            batch_id: BATCH_ID,
+            as_of_timestamp: SIGNAL_TIME,
+            timestamp: SIGNAL_TIME,
+            symbol: 'BTC',
+            bias: 'LONG',
+            confidence: 7,
+            price: 100,
+            status: 'COMPLETED',
+            full_state_json: {
+                finalDecision: { bias: 'LONG', confidence: 7 },
+                raw: { binance: { '4h': { price: 100 } } }
+            }
+        });
+        assertEqual(error, null);
+        await fn(storageBackend.getClient());
+    } finally {
+        outcomeLabelingJob.LABELING_CONFIG.delayBetweenStates = delayBetweenStates;
+        storageBackend.resetBackend();
+    }
+}
+
+/**
+ * =============================================================================
+ * FUTURE CANDLE TESTS
+ * =============================================================================
+ */
+
+test('fetchFutureCandles - one 30m fetch serves every horizon, coarser timeframes aggregated', async () => {
+    await withSeededSqlite(async () => {
+        const original = historicalCandleStorage.getCandles;
+        const fetched = [];
+        historicalCandleStorage.getCandles = async (params) => {
+            fetched.push(params.timeframe);
+            return original(params);
+        };
+
+        try {
+            const byHorizon = await outcomeLabelingJob.fetchFutureCandles(
+                SIGNAL_TIME, 'BTCUSDT', ['SCALPING', 'MICRO', 'MACRO']
+            );
+            assertEqual(fetched.join(','), '30m', 'Single fetch of the finest timeframe');
+
+            // Exactly each horizon's window (2 x 30m, 8 x 1h, 30 x 4h)
+            assertEqual(byHorizon.SCALPING.length, 2);
+            assertEqual(byHorizon.SCALPING[0].time, DAY0 + 3 * M30);
+
+            // 1h: the 01:00 bucket straddles the signal and is dropped
+            assertEqual(byHorizon.MICRO.length, 8);
+            assertEqual(byHorizon.MICRO[0].time, DAY0 + 2 * 60 * 60 * 1000);
+            assertEqual(byHorizon.MICRO[0].high, 100 + 5 * 0.05 + 0.1);
+
+            assertEqual(byHorizon.MACRO.length, 30);
+            assertEqual(byHorizon.MACRO[0].time, DAY0 + 4 * 60 * 60 * 1000);
+
+            // Single horizon: native timeframe as before
+            fetched.length = 0;
+            await outcomeLabelingJob.fetchFuturePrices(SIGNAL_TIME, 'BTCUSDT', 'SCALPING');
+            assertEqual(fetched.join(','), '30m');
+        } finally {
+            historicalCandleStorage.getCandles = original;
+        }
+    });
+});
+
+/**
+ * =============================================================================
+ * LABELING TESTS
+ * =============================================================================
+ */
+
+test('labelPendingStates - labels all horizons once per labeler version, keeps the first label on the state', async () => {
+    await withSeededSqlite(async (client) => {
+        const first = await outcomeLabelingJob.labelPendingStates({ batchId: BATCH_ID, symbol: 'BTCUSDT' });
+        assertTrue(first.success, first.error);
+        assertEqual(first.states, 1);
+        assertEqual(first.labeled, 3);
+        assertEqual(first.byHorizon.MACRO, 1);
+
+        const again = await outcomeLabelingJob.labelPendingStates({ batchId: BATCH_ID, symbol: 'BTCUSDT' });
+        assertEqual(again.states, 0, 'Nothing left for threshold-v1');
+
+        const barrier = await outcomeLabelingJob.labelPendingStates({
+            batchId: BATCH_ID, symbol: 'BTCUSDT', method: 'triple_barrier'
+        });
+        assertEqual(barrier.labeled, 3, 'A new labeler version labels the state again');
+
+        const { data: labels } = await client.from('outcome_labels').select('*').order('labeler_version');
+        assertEqual(labels.length, 6);
+        assertEqual(labels.filter(l => l.labeler_version === 'threshold-v1').map(l => l.horizon).sort().join(','), 'MACRO,MICRO,SCALPING');
+        assertTrue(labels.filter(l => l.labeler_version === 'triple_barrier-v1').every(l => l.barrier), 'Barrier results stored');
+
+        const { data: state } = await client.from('replay_states').select('outcome_horizon, outcome_method').single();
+        assertEqual(state.outcome_horizon, 'MICRO', 'Primary horizon fills the legacy columns');
+        assertEqual(state.outcome_method, 'threshold', 'Relabeling does not overwrite the state label');
+    });
+});
+
+test('labelPendingStates - only the primary horizon fills the state outcome columns', async () => {
+    await withSeededSqlite(async (client) => {
+        // Only SCALPING due yet (state between 1h and 8h old)
+        const early = await outcomeLabelingJob.labelPendingStates({ batchId: BATCH_ID, symbol: 'BTCUSDT', horizons: ['SCALPING'] });
+        assertEqual(early.labeled, 1);
+
+        const readState = async () => (await client.from('replay_states').select('outcome_label, outcome_horizon').single()).data;
+        assertEqual((await readState()).outcome_label, null, 'SCALPING label stays in outcome_labels');
+
+        // MICRO / MACRO without SCALPING read native 1h candles
+        await historicalCandleStorage.upsertCandles(makeBaseCandles()
+            .filter((c, i) => i % 2 === 0)
+            .map(c => ({ ...c, timeframe: '1h' })));
+        const later = await outcomeLabelingJob.labelPendingStates({ batchId: BATCH_ID, symbol: 'BTCUSDT' });
+        assertEqual(later.byHorizon.MICRO, 1);
+        assertEqual((await readState()).outcome_horizon, 'MICRO', 'MICRO fills the columns once due');
+    });
+});
+
+test('labelPendingStates - labeled states are excluded by the query, incomplete windows wait', async () => {
+    await withSeededSqlite(async (client) => {
+        const candidates = (horizons) => stateStorage.getLabelCandidateReplayStates({
+            batchId: BATCH_ID,
+            symbol: 'BTC',
+            labelerVersion: 'threshold-v1',
+            dueBefore: Object.fromEntries(horizons.map(h => [h, Date.now()]))
+        });
+
+        // Six days in: the 5-day MACRO window runs past the stored candles
+        const late = DAY0 + 6 * 24 * 60 * 60 * 1000;
+        await client.from('replay_states').insert({
+            batch_id: BATCH_ID, as_of_timestamp: late, timestamp: late, symbol: 'BTC',
+            bias: 'LONG', confidence: 7, price: 100, status: 'COMPLETED',
+            full_state_json: { finalDecision: { bias: 'LONG', confidence: 7 }, raw: { binance: { '4h': { price: 100 } } } }
+        });
+        assertEqual((await candidates(['SCALPING', 'MICRO', 'MACRO'])).length, 2);
+
+        const result = await outcomeLabelingJob.labelPendingStates({ batchId: BATCH_ID, symbol: 'BTCUSDT' });
+        assertEqual(result.states, 2);
+        assertEqual(result.labeled, 5);
+        assertEqual(result.byHorizon.MACRO, 1, 'Only the first state has a full MACRO window');
+        assertEqual(result.skipped, 1);
+
+        const { data: labels } = await client.from('outcome_labels').select('horizon').eq('horizon', 'MACRO');
+        assertEqual(labels.length, 1, 'Nothing stored for the incomplete window');
+        assertEqual((await candidates(['SCALPING', 'MICRO'])).length, 0, 'Fully labeled states are not returned');
+        assertEqual((await candidates(['MACRO'])).length, 1, 'Picked up again by a later run');
+    });
+});
+
+test('scoreboard / history - horizon and labeler version filters', async () => {
+    await withSeededSqlite(async (client) => {
+        await outcomeLabelingJob.labelPendingStates({ batchId: BATCH_ID, symbol: 'BTCUSDT' });
+        await outcomeLabelingJob.labelPendingStates({ batchId: BATCH_ID, symbol: 'BTCUSDT', method: 'triple_barrier' });
+
+        // One filter alone would mix labeler versions / horizons in one accuracy
+        const macroOnly = await scoreboardService.getScoreboard({ batchId: BATCH_ID, horizon: 'MACRO' });
+        assertEqual(macroOnly.success, false);
+        assertEqual(macroOnly.errors.length, 1);
+        assertEqual((await scoreboardService.getScoreboard({ batchId: BATCH_ID, labelerVersion: 'threshold-v1' })).success, false);
+
+        const macro = await scoreboardService.getScoreboard({ batchId: BATCH_ID, horizon: 'MACRO', labelerVersion: 'threshold-v1' });
+        assertEqual(macro.labeledStates, 1, 'One label per state');
+        assertEqual(macro.labelMethods.mixed, false);
+
+        const barrier = await scoreboardService.getScoreboard({ batchId: BATCH_ID, horizon: 'SCALPING', labelerVersion: 'triple_barrier-v1' });
+        assertEqual(barrier.labeledStates, 1);
+        assertEqual(barrier.labelMethods.horizons.SCALPING, 1);
+        assertEqual(barrier.barrierStats.labeledStates, 1);
+
+        const legacy = await scoreboardService.getScoreboard({ batchId: BATCH_ID });
+        assertEqual(legacy.labeledStates, 1, 'Without filters the state label is scored');
+
+        const { data: states } = await client.from('replay_states').select('id');
+        const [withLabels] = await outcomeLabelStorage.attachOutcomeLabels(states, { horizon: 'MICRO' });
+        assertEqual(withLabels.outcomeLabels.length, 2);
+    });
+});
+
+test('migration 008 - backfills existing state labels as threshold-v0', async () => {
+    const db = new Database(':memory:');
+    try {
+        migrationRunner.migrateSqlite(db);
+        db.prepare(`INSERT INTO replay_states (batch_id, as_of_timestamp, outcome_label, outcome_horizon)
+                    VALUES ('b1', ?, 'NOISE', 'MACRO')`).run(SIGNAL_TIME);
+
+        const executor = migrationRunner.createSqliteExecutor(db);
+        await migrationRunner.rollback(executor, { to: '007' });
+        migrationRunner.migrateSqlite(db);
+
+        const rows = db.prepare('SELECT * FROM outcome_labels').all();
+        assertEqual(rows.length, 1);
+        assertEqual(rows[0].state_source, 'replay');
+        assertEqual(rows[0].horizon, 'MACRO');
+        assertEqual(rows[0].labeler_version, 'threshold-v0');
+        assertEqual(rows[0].labeled_at, SIGNAL_TIME, 'Falls back to the signal time');
+    } finally {
+        db.close();
+    }
+});
+
+/**
+ * =============================================================================
+ * RUN ALL TESTS
+ * =============================================================================
+ */
+
+(async () => {
+    console.log('\n========================================');
+    console.log('Running outcomeLabelVersions Tests');
+    console.log('========================================\n');
+
+    for (const { name, fn } of tests) {
+        try {
+            await fn();
+            console.log(`✅ PASS: ${name}`);
+            passCount++;
+        } catch (error) {
+            console.error(`❌ FAIL: ${name}`);
+            console.error(`   Error: ${error.message}`);
+            failCount++;
+        }
+    }
+
+    console.log('\n========================================');
+    console.log(`Results: ${passCount} passed, ${failCount} failed`);
+    console.log('========================================\n');
+
+    if (failCount > 0) {
+        process.exit(1);
+    }
+})();
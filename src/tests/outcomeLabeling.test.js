@@ -0,0 +1,224 @@
+// outcomeLabeling.test.js
+// Unit tests for triple-barrier outcome labeling and its scoreboard metrics
+
+const outcomeLabeler = require('../services/outcomeLabeler');
+const scoreboardService = require('../backtest/scoreboardService');
+
+/**
+ * =============================================================================
+ * TEST RUNNER (Simple - no external dependencies, awaits async tests)
+ * =============================================================================
+ */
+
+let passCount = 0;
+let failCount = 0;
+const tests = [];
+
+function test(name, fn) {
+    tests.push({ name, fn });
+}
+
+function assertEqual(actual, expected, message = '') {
+    if (actual !== expected) {
+        throw new Error(`${message}\n   Expected: ${expected}\n   Actual: ${actual}`);
+    }
+}
+
+function assertTrue(condition, message = 'Assertion failed') {
+    if (!condition) {
+        throw new Error(message);
+    }
+}
+
+const HOUR = 60 * 60 * 1000;
+const SIGNAL_TIME = Date.UTC(2024, 0, 1);
+const TRIPLE_BARRIER = { method: 'triple_barrier' };
+
+function makeState(bias, confidence = 7) {
+    return {
+        timestamp: SIGNAL_TIME,
+        finalDecision: { bias, confidence },
+        raw: { binance: { '4h': { price: 100 } } }
+    };
+}
+
+// [high, low, close] per hourly candle after the signal
+function makeCandles(rows) {
+    return rows.map(([high, low, close], i) => ({ time: SIGNAL_TIME + (i + 1) * HOUR, high, low, price: close }));
+}
+
+/**
+ * =============================================================================
+ * TRIPLE-BARRIER TESTS
+ * =============================================================================
+ */
+
+test('triple barrier - profit, stop and time barriers with R-multiple and time to hit', async () => {
+    // MICRO: profit 2 units, stop 1 unit; ATR 0.5% => profit 1%, stop 0.5%
+    const options = { ...TRIPLE_BARRIER, atrPct: 0.5 };
+
+    const profit = outcomeLabeler.calculateOutcomeLabel(
+        makeState('LONG'), makeCandles([[100.3, 99.8, 100.2], [101.2, 100.1, 101]]), 'MICRO', options
+    );
+    assertEqual(profit.label, 'CONTINUATION');
+    assertEqual(profit.barrierHit, 'profit');
+    assertEqual(profit.rMultiple, 2);
+    assertEqual(profit.candlesToHit, 2);
+    assertEqual(profit.timeToHitMs, 2 * HOUR);
+    assertEqual(profit.finalPrice, 101);
+    assertEqual(profit.volatility.source, 'atr');
+    assertEqual(profit.methodVersion, outcomeLabeler.LABEL_METHOD_VERSIONS.triple_barrier);
+
+    const stop = outcomeLabeler.calculateOutcomeLabel(
+        makeState('SHORT'), makeCandles([[100.6, 99.9, 100.5]]), 'MICRO', options
+    );
+    assertEqual(stop.label, 'REVERSAL');
+    assertEqual(stop.barrierHit, 'stop');
+    assertEqual(stop.rMultiple, -1);
+
+    const time = outcomeLabeler.calculateOutcomeLabel(
+        makeState('LONG'), makeCandles([[100.3, 99.8, 100.1], [100.4, 100, 100.25]]), 'MICRO', options
+    );
+    assertEqual(time.label, 'NOISE');
+    assertEqual(time.barrierHit, 'time');
+    assertEqual(time.rMultiple, 0.5, '+0.25% close over a 0.5% stop');
+    assertEqual(time.timeToHitMs, 2 * HOUR);
+});
+
+test('triple barrier - a candle touching both barriers counts as the stop', async () => {
+    const outcome = outcomeLabeler.calculateOutcomeLabel(
+        makeState('LONG'), makeCandles([[101.5, 99, 101]]), 'MICRO', { ...TRIPLE_BARRIER, atrPct: 0.5 }
+    );
+    assertEqual(outcome.barrierHit, 'stop');
+    assertEqual(outcome.label, 'REVERSAL');
+});
+
+test('triple barrier - WAIT uses symmetric barriers and falls back to the fixed unit', async () => {
+    // No ATR: unit = MICRO significanceThreshold (0.8%), profit = 1.6%
+    const missed = outcomeLabeler.calculateOutcomeLabel(
+        makeState('WAIT'), makeCandles([[100.2, 98.3, 98.5]]), 'MICRO', TRIPLE_BARRIER
+    );
+    assertEqual(missed.volatility.source, 'significance_threshold');
+    assertEqual(missed.barriers.profitPct, 1.6);
+    assertEqual(missed.barrierHit, 'lower');
+    assertEqual(missed.label, 'CONTINUATION');
+    assertEqual(missed.waitCorrect, false);
+    assertEqual(missed.rMultiple, null);
+
+    const quiet = outcomeLabeler.calculateOutcomeLabel(
+        makeState('WAIT'), makeCandles([[101, 99, 100.5]]), 'MICRO', TRIPLE_BARRIER
+    );
+    assertEqual(quiet.label, 'NOISE');
+    assertEqual(quiet.waitCorrect, true);
+
+    // Threshold labels are unchanged and carry their own version
+    const threshold = outcomeLabeler.calculateOutcomeLabel(makeState('WAIT'), [100.2, 100.5], 'MICRO');
+    assertEqual(threshold.label, 'NOISE');
+    assertEqual(threshold.methodVersion, 'threshold-v1');
+
+    let threw = false;
+    try {
+        outcomeLabeler.calculateOutcomeLabel(makeState('LONG'), [100], 'MICRO', { method: 'meta' });
+    } catch (error) {
+        threw = /Invalid label method/.test(error.message);
+    }
+    assertTrue(threw, 'Unknown method is rejected');
+});
+
+test('triple barrier - only the horizon window counts, pending until it is complete', async () => {
+    // MICRO on 1h: 8 candles; the profit barrier (1%) is touched by the 9th
+    const options = { ...TRIPLE_BARRIER, atrPct: 0.5, timeframe: '1h' };
+    assertEqual(outcomeLabeler.getHorizonWindowCandles('MICRO', '1h'), 8);
+    assertEqual(outcomeLabeler.getHorizonWindowCandles('SCALPING', '30m'), 2);
+
+    const quiet = Array.from({ length: 8 }, () => [100.3, 99.8, 100.1]);
+    const late = outcomeLabeler.calculateOutcomeLabel(
+        makeState('LONG'), makeCandles([...quiet, [101.5, 100, 101.2]]), 'MICRO', options
+    );
+    assertEqual(late.barrierHit, 'time');
+    assertEqual(late.label, 'NOISE');
+    assertEqual(late.candlesAnalyzed, 8);
+    assertEqual(late.timeToHitMs, 8 * HOUR, 'Time barrier at the end of the horizon');
+
+    const partial = outcomeLabeler.calculateOutcomeLabel(
+        makeState('LONG'), makeCandles(quiet.slice(0, 5)), 'MICRO', options
+    );
+    assertEqual(partial.label, 'PENDING');
+    assertTrue(partial.reason.includes('5/8'), partial.reason);
+});
+
+/**
+ * =============================================================================
+ * SCOREBOARD TESTS
+ * =============================================================================
+ */
+
+test('scoreboard - method filter, version mix and barrier expectancy', async () => {
+    const row = (bias, confidence, barrier, r, extra = {}) => ({
+        bias,
+        confidence,
+        outcome_label: barrier === 'profit' ? 'CONTINUATION' : barrier === 'stop' ? 'REVERSAL' : 'NOISE',
+        outcome_method: 'triple_barrier',
+        outcome_method_version: 'triple_barrier-v1',
+        outcome_barrier: barrier,
+        outcome_r_multiple: r,
+        outcome_time_to_hit_ms: 2 * HOUR,
+        ...extra
+    });
+    const states = [
+        row('LONG', 7, 'profit', 2),
+        row('LONG', 7, 'stop', -1),
+        row('SHORT', 4, 'profit', 2),
+        row('WAIT', 2, 'time', null),
+        { bias: 'LONG', confidence: 7, outcome_label: 'CONTINUATION', outcome_method: null }
+    ];
+
+    const tripleBarrier = scoreboardService.filterByLabelMethod(states, 'triple_barrier');
+    assertEqual(tripleBarrier.length, 4);
+    assertEqual(scoreboardService.filterByLabelMethod(states, 'threshold').length, 1, 'Legacy rows are threshold labels');
+
+    const methods = scoreboardService.calculateLabelMethods(states);
+    assertEqual(methods.mixed, true);
+    assertEqual(methods.versions['threshold (unversioned)'], 1);
+
+    const stats = scoreboardService.buildScoreboardMetrics(tripleBarrier).barrierStats;
+    assertEqual(stats.directional.signals, 3);
+    assertEqual(stats.directional.hitRate, 66.7);
+    assertEqual(stats.directional.avgR, 1);
+    assertEqual(stats.expectancyByBias.LONG.avgR, 0.5);
+    assertEqual(stats.expectancyByConfidence['6-8'].count, 2);
+    assertEqual(stats.wait.correctRate, 100);
+    assertEqual(stats.avgTimeToHitMs.profit, 2 * HOUR);
+});
+
+/**
+ * =============================================================================
+ * RUN ALL TESTS
+ * =============================================================================
+ */
+
+(async () => {
+    console.log('\n========================================');
+    console.log('Running outcomeLabeling Tests');
+    console.log('========================================\n');
+
+    for (const { name, fn } of tests) {
+        try {
+            await fn();
+            console.log(`✅ PASS: ${name}`);
+            passCount++;
+        } catch (error) {
+            console.error(`❌ FAIL: ${name}`);
+            console.error(`   Error: ${error.message}`);
+            failCount++;
+        }
+    }
+
+    console.log('\n========================================');
+    console.log(`Results: ${passCount} passed, ${failCount} failed`);
+    console.log('========================================\n');
+
+    if (failCount > 0) {
+        process.exit(1);
+    }
+})();
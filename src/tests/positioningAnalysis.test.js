@@ -0,0 +1,248 @@
+// positioningAnalysis.test.js
+// Unit tests for long/short ratio extremes, top-trader vs crowd divergence and analyzer integration
+
+const positioningAnalysis = require('../services/positioningAnalysis');
+const marketMetrics = require('../services/marketMetrics');
+const configService = require('../services/configService');
+const syncHistoricalData = require('../jobs/syncHistoricalData');
+const dataProvider = require('../services/dataProvider');
+const marketDataService = require('../services/marketDataService');
+
+/**
+ * =============================================================================
+ * TEST RUNNER (Simple - no external dependencies, awaits async tests)
+ * =============================================================================
+ */
+
+let passCount = 0;
+let failCount = 0;
+const tests = [];
+
+function test(name, fn) {
+    tests.push({ name, fn });
+}
+
+function assertEqual(actual, expected, message = '') {
+    if (actual !== expected) {
+        throw new Error(`${message}\n   Expected: ${expected}\n   Actual: ${actual}`);
+    }
+}
+
+function assertTrue(condition, message = 'Assertion failed') {
+    if (!condition) {
+        throw new Error(message);
+    }
+}
+
+const H4 = 4 * 60 * 60 * 1000;
+const T0 = new Date('2025-12-01T00:00:00.000Z').getTime();
+
+/**
+ * 20 balanced candles (crowd ~52% long, top traders ~53%) followed by `tail` records
+ */
+function makeHistory(tail = []) {
+    const quiet = Array.from({ length: 20 }, (_, i) => {
+        const globalLongPct = 52 + (i % 3) * 0.5;
+        return {
+            time: T0 + i * H4,
+            globalLongPct,
+            globalRatio: globalLongPct / (100 - globalLongPct),
+            topLongPct: 53 + (i % 2) * 0.5,
+            topRatio: 1.1
+        };
+    });
+    return [...quiet, ...tail.map((t, i) => ({
+        time: T0 + (20 + i) * H4,
+        globalRatio: t.globalLongPct / (100 - t.globalLongPct),
+        topRatio: t.topLongPct / (100 - t.topLongPct),
+        ...t
+    }))];
+}
+
+// Crowd piles into longs while top traders reduce
+const CROWD_LONG_TOP_SHORT = [
+    { globalLongPct: 60, topLongPct: 50 },
+    { globalLongPct: 66, topLongPct: 47 },
+    { globalLongPct: 72, topLongPct: 44 }
+];
+
+/**
+ * =============================================================================
+ * ANALYSIS TESTS
+ * =============================================================================
+ */
+
+test('analyzePositioning - unavailable without data', async () => {
+    const result = positioningAnalysis.analyzePositioning({ Binance: [], Bybit: [] });
+    assertEqual(result.available, false);
+    assertEqual(result.bias, 'WAIT');
+    assertEqual(result.confidence, 0);
+});
+
+test('analyzeExchangePositioning - top traders short vs a long-crowded crowd', async () => {
+    const result = positioningAnalysis.analyzeExchangePositioning(makeHistory(CROWD_LONG_TOP_SHORT));
+    assertEqual(result.crowd.state, 'longs_crowded');
+    assertTrue(result.crowd.zScore >= 2, 'Ratio should be extreme vs its history');
+    assertEqual(result.topVsCrowd.state, 'top_shorter');
+    assertEqual(result.topVsCrowd.gapPts, -28);
+    assertEqual(result.topVsCrowd.trend.diverging, true);
+    assertEqual(result.bias, 'SHORT');
+    // 5 base + wide gap + crowd on the other side + trend toward SHORT
+    assertEqual(result.confidence, 8);
+});
+
+test('analyzeExchangePositioning - crowded side alone is faded, thresholds configurable', async () => {
+    const history = makeHistory([{ globalLongPct: 36, topLongPct: 38 }]);
+    const result = positioningAnalysis.analyzeExchangePositioning(history);
+    assertEqual(result.topVsCrowd.state, 'aligned');
+    assertEqual(result.crowd.state, 'shorts_crowded');
+    assertEqual(result.bias, 'LONG');
+
+    // Raw Coinglass field names normalize the same way
+    const raw = positioningAnalysis.normalizeRecord({
+        time: T0, global_account_long_percent: '36', top_position_long_percent: 38
+    });
+    assertEqual(raw.globalLongPct, 36);
+    assertEqual(raw.topLongPct, 38);
+    assertEqual(raw.globalRatio, null);
+
+    const loose = positioningAnalysis.analyzeExchangePositioning(history, { crowdShortPct: 30, extremeZScore: 100 });
+    assertEqual(loose.bias, 'WAIT');
+});
+
+test('analyzePositioning - exchanges agreeing add confidence, disagreeing remove it', async () => {
+    const shortRead = makeHistory(CROWD_LONG_TOP_SHORT);
+    const longRead = makeHistory([{ globalLongPct: 36, topLongPct: 38 }]);
+
+    const aligned = positioningAnalysis.analyzePositioning({ Binance: shortRead, Bybit: shortRead });
+    assertEqual(aligned.agreement, 'aligned');
+    assertEqual(aligned.confidence, 9);
+
+    const conflicting = positioningAnalysis.analyzePositioning({ Binance: shortRead, Bybit: longRead });
+    assertEqual(conflicting.agreement, 'conflicting');
+    assertEqual(conflicting.bias, 'SHORT');
+    assertEqual(conflicting.confidence, 6);
+});
+
+/**
+ * =============================================================================
+ * ANALYZER INTEGRATION TESTS
+ * =============================================================================
+ */
+
+test('analyzeExchangeDivergence - positioning confirms or contradicts the scenario', async () => {
+    // Bybit OI leading 3x downward -> bybit_leading SHORT
+    const binance = { price: 100, price_change: 0.1, oi: 1e9, oi_change: 0.5, cvd: 0, funding_rate_avg_pct: 0.01 };
+    const bybit = { price: 100, price_change: 0.1, oi: 5e9, oi_change: -2, cvd: 0, funding_rate_avg_pct: 0.01 };
+    const base = marketMetrics.analyzeExchangeDivergence(binance, bybit, '4h');
+    assertEqual(base.scenario, 'bybit_leading');
+    assertEqual(base.bias, 'SHORT');
+    assertEqual(base.positioning, null);
+
+    const shortRead = positioningAnalysis.analyzePositioning({ Binance: makeHistory(CROWD_LONG_TOP_SHORT) });
+    const confirmed = marketMetrics.analyzeExchangeDivergence(binance, bybit, '4h', undefined, shortRead);
+    assertEqual(confirmed.positioning.agreement, 'confirms');
+    assertEqual(confirmed.confidence, Math.min(base.confidence + 2, 10));
+    assertTrue(confirmed.warnings.some(w => w.includes('Positioning confirms')), 'Evidence line expected');
+
+    const longRead = positioningAnalysis.analyzePositioning({ Binance: makeHistory([{ globalLongPct: 36, topLongPct: 38 }]) });
+    const contradicted = marketMetrics.analyzeExchangeDivergence(binance, bybit, '4h', undefined, longRead);
+    assertEqual(contradicted.positioning.agreement, 'contradicts');
+    assertEqual(contradicted.confidence, base.confidence - 1, 'Half boost below confidence 7');
+
+    // Weighted decision: opt-in signal (default weight 0), carries weight only with data
+    const decisionArgs = [binance, bybit, base, { regime: 'neutral', confidence: 0, characteristics: ['Neutral'] }, {}, {}, {}, null];
+    const config = JSON.parse(JSON.stringify(configService.DEFAULT_CONFIG));
+    assertEqual(config.weights.signals.positioning, 0);
+    assertEqual(config.weights.signals.exchange_divergence, 0.35, 'Legacy weights unchanged');
+    const defaults = marketMetrics.calculateWeightedDecision(...decisionArgs, { timeframe: '4h', config, positioning: shortRead });
+    assertEqual(defaults.signals.find(s => s.name === 'positioning').weight, 0);
+
+    config.weights.signals.positioning = 0.05;
+    config.weights.signals.exchange_divergence = 0.30;
+    const without = marketMetrics.calculateWeightedDecision(...decisionArgs, { timeframe: '4h', config });
+    const withData = marketMetrics.calculateWeightedDecision(...decisionArgs, { timeframe: '4h', config, positioning: shortRead });
+    assertEqual(without.signals.find(s => s.name === 'positioning').weight, 0);
+    const signal = withData.signals.find(s => s.name === 'positioning');
+    assertEqual(signal.signal, 'SHORT');
+    assertEqual(signal.weight, 0.05, 'Opt-in weight with data');
+});
+
+test('transformToCandles - ratio records map to positioning columns', async () => {
+    const [global] = syncHistoricalData.transformToCandles(
+        [{ time: T0, global_account_long_percent: 61.2, global_account_long_short_ratio: 1.58 }],
+        'Binance', '4h', 'long_short_ratio'
+    );
+    assertEqual(global.global_long_pct, 61.2);
+    assertEqual(global.global_ls_ratio, 1.58);
+
+    const [top] = syncHistoricalData.transformToCandles(
+        [{ time: T0, top_position_long_percent: 48.5, top_position_long_short_ratio: 0.94 }],
+        'Binance', '4h', 'top_trader_ratio'
+    );
+    assertEqual(top.top_long_pct, 48.5);
+    assertEqual(top.top_ls_ratio, 0.94);
+    assertEqual(top.global_long_pct, undefined);
+});
+
+test('getPositioningHistory - both ratio calls are paced, records merged by time', async () => {
+    const callTimes = [];
+    const none = async () => [];
+    dataProvider.setProvider({
+        name: 'stub',
+        getPriceHistory: none,
+        getOIHistory: none,
+        getFundingHistory: none,
+        getTakerBuySellVolume: none,
+        getGlobalLongShortRatio: async () => {
+            callTimes.push(Date.now());
+            return [{ time: T0, global_account_long_percent: 61.2, global_account_long_short_ratio: 1.58 }];
+        },
+        getTopTraderPositionRatio: async () => {
+            callTimes.push(Date.now());
+            return [];
+        }
+    });
+    try {
+        const history = await marketDataService.getPositioningHistory('Binance', 'BTCUSDT', '4h', 30);
+        assertEqual(history.length, 1);
+        assertEqual(history[0].globalLongPct, 61.2);
+        assertEqual(history[0].topLongPct, null);
+    } finally {
+        dataProvider.resetProvider();
+    }
+    assertEqual(callTimes.length, 2);
+    assertTrue(callTimes[1] - callTimes[0] >= 750, `Second call paced (${callTimes[1] - callTimes[0]}ms)`);
+});
+
+/**
+ * =============================================================================
+ * RUN ALL TESTS
+ * =============================================================================
+ */
+
+(async () => {
+    console.log('\n========================================');
+    console.log('Running positioningAnalysis Tests');
+    console.log('========================================\n');
+
+    for (const { name, fn } of tests) {
+        try {
+            await fn();
+            console.log(`✅ PASS: ${name}`);
+            passCount++;
+        } catch (error) {
+            console.error(`❌ FAIL: ${name}`);
+            console.error(`   Error: ${error.message}`);
+            failCount++;
+        }
+    }
+
+    console.log('\n========================================');
+    console.log(`Results: ${passCount} passed, ${failCount} failed`);
+    console.log('========================================\n');
+
+    if (failCount > 0) {
+        process.exit(1);
+    }
+})();
@@ -0,0 +1,257 @@
+// rescoreService.test.js
+// Unit tests for read-only what-if re-scoring of stored replay states
+
+const storageBackend = require('../services/storageBackend');
+const historicalCandleStorage = require('../services/historicalCandleStorage');
+const analyzerInputStorage = require('../services/analyzerInputStorage');
+const configService = require('../services/configService');
+const marketMetrics = require('../services/marketMetrics');
+const outcomeLabeler = require('../services/outcomeLabeler');
+const rescoreService = require('../backtest/rescoreService');
+const { intervalToMs } = require('../services/dataUtils');
+
+/**
+ * =============================================================================
+ * TEST RUNNER (Simple - no external dependencies, awaits async tests)
+ * =============================================================================
+ */
+
+let passCount = 0;
+let failCount = 0;
+const tests = [];
+
+function test(name, fn) {
+    tests.push({ name, fn });
+}
+
+function assertEqual(actual, expected, message = '') {
+    if (actual !== expected) {
+        throw new Error(`${message}\n   Expected: ${expected}\n   Actual: ${actual}`);
+    }
+}
+
+function assertTrue(condition, message = 'Assertion failed') {
+    if (!condition) {
+        throw new Error(message);
+    }
+}
+
+function clone(obj) {
+    return JSON.parse(JSON.stringify(obj));
+}
+
+const HOUR = 60 * 60 * 1000;
+const AS_OF = Date.UTC(2024, 0, 1);
+
+// Binance OI building, Bybit OI falling on the same rally: SHORT under the defaults
+function makeInputs() {
+    const tf = (priceChange, oiChange) => ({
+        price: 100, price_change: priceChange, oi: 5e9, oi_change: oiChange, funding_rate_avg_pct: 0.01, cvd: 1e6
+    });
+    const snapshot = { Binance: {}, Bybit: {} };
+    for (const timeframe of ['30m', '1h', '4h', '1d']) {
+        snapshot.Binance[timeframe] = tf(1.5, 2.5);
+        snapshot.Bybit[timeframe] = tf(1.4, -0.5);
+    }
+    return { snapshot, history: {}, symbol: 'BTC', resolvedAbsorptions: [] };
+}
+
+// Hourly candles after the sample: steady rally to +3%
+function makeFutureCandles() {
+    return Array.from({ length: 48 }, (_, i) => {
+        const close = 100 * (1 + 0.03 * (i + 1) / 48);
+        return {
+            exchange: 'Binance', symbol: 'BTC', timeframe: '1h', timestamp: AS_OF + (i + 1) * HOUR,
+            open: close, high: close * 1.001, low: close * 0.999, close
+        };
+    });
+}
+
+/**
+ * Flat local candles on both venues for every active timeframe up to `asOf`
+ * (enough for buildReplayInputs to rebuild the inputs of a legacy state)
+ */
+async function seedReplayCandles(asOf) {
+    const candles = [];
+    for (const exchange of ['Binance', 'Bybit']) {
+        for (const timeframe of marketMetrics.getTimeframeConfig().active) {
+            const intervalMs = intervalToMs(timeframe);
+            const last = Math.floor(asOf / intervalMs) * intervalMs - intervalMs;
+            for (let i = 0; i < 200; i++) {
+                candles.push({
+                    exchange, symbol: 'BTC', timeframe, timestamp: last - i * intervalMs,
+                    open: 100, high: 100.5, low: 99.5, close: 100,
+                    oi_close: 5e9, funding_rate: 0.0001, buy_volume: 1e6, sell_volume: 1e6
+                });
+            }
+        }
+    }
+    await historicalCandleStorage.upsertCandles(candles);
+}
+
+/**
+ * Store one replay state produced under `config`, labeled like the labeling job
+ */
+async function seedState(client, config) {
+    const inputs = makeInputs();
+    const saved = await analyzerInputStorage.saveInputs(inputs);
+    assertTrue(saved.success, saved.error);
+
+    const candles = makeFutureCandles();
+    await historicalCandleStorage.upsertCandles(candles);
+
+    const metrics = marketMetrics.calculateMarketMetrics(
+        { snapshot: inputs.snapshot, history: inputs.history, symbol: 'BTC' }, {}, { resolvedAbsorptions: [], config }
+    );
+    const outcome = outcomeLabeler.calculateOutcomeLabel(metrics, candles.map(c => c.close), 'MICRO');
+
+    const { error } = await client.from('replay_states').insert({
+        batch_id: 'batch-rescore',
+        as_of_timestamp: AS_OF,
+        timestamp: AS_OF,
+        symbol: 'BTC',
+        status: 'COMPLETED',
+        bias: metrics.finalDecision.bias,
+        confidence: metrics.finalDecision.confidence,
+        outcome_label: outcome.label,
+        outcome_horizon: 'MICRO',
+        outcome_method: outcome.method,
+        inputs_hash: saved.hash,
+        full_state_json: metrics
+    });
+    assertEqual(error, null);
+    return metrics.finalDecision;
+}
+
+async function withSqlite(fn) {
+    storageBackend.setBackend('sqlite', { path: ':memory:' });
+    try {
+        await fn(storageBackend.getClient());
+    } finally {
+        storageBackend.resetBackend();
+    }
+}
+
+async function readStates(client) {
+    const { data } = await client.from('replay_states').select('*');
+    return JSON.stringify(data);
+}
+
+/**
+ * =============================================================================
+ * RESCORE TESTS
+ * =============================================================================
+ */
+
+test('rescoreStates - the config a state was produced under reproduces it (no changes)', async () => {
+    await withSqlite(async (client) => {
+        const config = clone(configService.DEFAULT_CONFIG);
+        const stored = await seedState(client, config);
+        assertEqual(stored.bias, 'SHORT');
+
+        const result = await rescoreService.rescoreStates(config, { symbol: 'BTC' });
+        assertTrue(result.success, result.error);
+        assertEqual(result.evaluated, 1);
+        assertEqual(result.skipped.length, 0);
+        assertEqual(result.summary.biasChanged, 0);
+        assertEqual(result.summary.confidenceChanged, 0);
+        assertEqual(result.summary.labelChanged, 0);
+        assertEqual(result.changes.length, 0);
+        assertEqual(result.scoreboard.delta.overallAccuracy, 0);
+    });
+});
+
+test('rescoreStates - a changed config reports bias and label changes and writes nothing', async () => {
+    await withSqlite(async (client) => {
+        await seedState(client, clone(configService.DEFAULT_CONFIG));
+        const before = await readStates(client);
+
+        // Structure (WAIT) outweighs the SHORT divergence/regime votes
+        const candidate = clone(configService.DEFAULT_CONFIG);
+        Object.assign(candidate.weights.signals, { structure: 0.60, exchange_divergence: 0.05, market_regime: 0.05 });
+        assertTrue(configService.validateConfig(candidate).valid, 'Candidate config is valid');
+
+        const result = await rescoreService.rescoreStates(candidate, { symbol: 'BTC' });
+        assertTrue(result.success, result.error);
+        assertEqual(result.summary.biasChanged, 1);
+        assertEqual(result.summary.labelChanged, 1);
+
+        const [change] = result.changes;
+        assertEqual(change.biasChanged, true);
+        assertEqual(change.before.bias, 'SHORT');
+        assertEqual(change.after.bias, 'WAIT');
+        assertTrue(change.after.outcomeLabel !== change.before.outcomeLabel, 'Re-labeled from local candles');
+
+        assertEqual(await readStates(client), before, 'replay_states untouched');
+        const { data: labels } = await client.from('outcome_labels').select('id');
+        assertEqual(labels.length, 0, 'No labels stored');
+    });
+});
+
+test('rescoreStates - states with refetched inputs are reported apart from the diff', async () => {
+    await withSqlite(async (client) => {
+        const config = clone(configService.DEFAULT_CONFIG);
+        const stored = await seedState(client, config);
+
+        // Legacy state (no stored inputs): inputs are rebuilt from today's candles
+        await seedReplayCandles(AS_OF - HOUR);
+        const { error } = await client.from('replay_states').insert({
+            batch_id: 'batch-legacy',
+            as_of_timestamp: AS_OF - HOUR,
+            timestamp: AS_OF - HOUR,
+            symbol: 'BTC',
+            status: 'COMPLETED',
+            bias: stored.bias,
+            confidence: stored.confidence,
+            outcome_label: 'CORRECT',
+            outcome_horizon: 'MICRO'
+        });
+        assertEqual(error, null);
+
+        const result = await rescoreService.rescoreStates(config, { symbol: 'BTC' });
+        assertTrue(result.success, result.error);
+        assertEqual(result.skipped.length, 0, JSON.stringify(result.skipped));
+        assertEqual(result.evaluated, 2);
+        assertEqual(result.inputsSource.stored, 1);
+        assertEqual(result.inputsSource.refetched, 1);
+
+        // The stored-input state reproduces; the refetched one does not leak into the diff
+        assertEqual(result.changes.length, 0);
+        assertEqual(result.summary.biasChanged, 0);
+        assertEqual(result.scoreboard.before.labeledStates, 1);
+        assertEqual(result.refetched.evaluated, 1);
+        assertTrue(Array.isArray(result.refetched.changes), 'Refetched states get their own diff');
+    });
+});
+
+/**
+ * =============================================================================
+ * RUN ALL TESTS
+ * =============================================================================
+ */
+
+(async () => {
+    console.log('\n========================================');
+    console.log('Running rescoreService Tests');
+    console.log('========================================\n');
+
+    for (const { name, fn } of tests) {
+        try {
+            await fn();
+            console.log(`✅ PASS: ${name}`);
+            passCount++;
+        } catch (error) {
+            console.error(`❌ FAIL: ${name}`);
+            console.error(`   Error: ${error.message}`);
+            failCount++;
+        }
+    }
+
+    console.log('\n========================================');
+    console.log(`Results: ${passCount} passed, ${failCount} failed`);
+    console.log('========================================\n');
+
+    if (failCount > 0) {
+        process.exit(1);
+    }
+})();
@@ -0,0 +1,164 @@
+// scoreboardBaselines.test.js
+// Unit tests for persisted scoreboard baselines and multi-baseline comparison
+
+const storageBackend = require('../services/storageBackend');
+const scoreboardService = require('../backtest/scoreboardService');
+
+/**
+ * =============================================================================
+ * TEST RUNNER (Simple - no external dependencies, awaits async tests)
+ * =============================================================================
+ */
+
+let passCount = 0;
+let failCount = 0;
+const tests = [];
+
+function test(name, fn) {
+    tests.push({ name, fn });
+}
+
+function assertEqual(actual, expected, message = '') {
+    if (actual !== expected) {
+        throw new Error(`${message}\n   Expected: ${expected}\n   Actual: ${actual}`);
+    }
+}
+
+function assertTrue(condition, message = 'Assertion failed') {
+    if (!condition) {
+        throw new Error(message);
+    }
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Minimal getScoreboard() output
+ */
+function makeScoreboard(overallAccuracy, trendingAccuracy) {
+    return {
+        totalStates: 20,
+        labeledStates: 10,
+        overallStats: { overallAccuracy, directionalAccuracy: overallAccuracy },
+        directionalAccuracy: { longAccuracy: overallAccuracy, shortAccuracy: 40 },
+        waitCorrectness: { rate: 50 },
+        performanceByRegime: { trending: { total: 5, correct: 3, accuracy: trendingAccuracy } },
+        accuracyByBias: { LONG: { total: 6, correct: 4, accuracy: 66.7 } }
+    };
+}
+
+async function withSqlite(fn) {
+    storageBackend.setBackend('sqlite', { path: ':memory:' });
+    try {
+        await fn();
+    } finally {
+        storageBackend.resetBackend();
+    }
+}
+
+/**
+ * =============================================================================
+ * PERSISTENCE TESTS
+ * =============================================================================
+ */
+
+test('saveBaseline / getBaselines - metrics and breakdowns round-trip', async () => {
+    await withSqlite(async () => {
+        const saved = await scoreboardService.saveBaseline('v1', makeScoreboard(55, 60), {
+            symbol: 'ETH', batchId: 'batch-1', configVersion: '1.2.0'
+        });
+        assertTrue(saved.success, saved.error);
+        assertTrue(!!saved.baseline.id, 'Id assigned');
+
+        const [loaded] = await scoreboardService.getBaselines({ symbol: 'ETH' });
+        assertEqual(loaded.id, saved.baseline.id);
+        assertEqual(loaded.name, 'v1');
+        assertEqual(loaded.configVersion, '1.2.0');
+        assertEqual(loaded.batchId, 'batch-1');
+        assertEqual(loaded.metrics.overallAccuracy, 55);
+        assertEqual(loaded.metrics.directionalAccuracy.longAccuracy, 55);
+        assertEqual(loaded.breakdowns.regime.trending.accuracy, 60);
+
+        assertEqual((await scoreboardService.getBaselines({ symbol: 'BTC' })).length, 0, 'Symbol filter');
+    });
+});
+
+/**
+ * =============================================================================
+ * COMPARISON TESTS
+ * =============================================================================
+ */
+
+test('compareBaselines - oldest first with step and net deltas, whatever the id order', async () => {
+    await withSqlite(async () => {
+        const ids = [];
+        for (const [name, overall, trending] of [['v1', 50, 40], ['v2', 55, 60], ['v3', 52, 70]]) {
+            const { baseline } = await scoreboardService.saveBaseline(name, makeScoreboard(overall, trending));
+            ids.push(baseline.id);
+            await sleep(5);
+        }
+
+        const result = await scoreboardService.compareBaselines({ baselineIds: [...ids].reverse() });
+        assertTrue(result.success, result.error);
+        assertEqual(result.count, 3);
+        assertEqual(result.baselines.map(b => b.name).join(','), 'v1,v2,v3');
+        assertEqual(result.topLine[0].delta, null);
+        assertEqual(result.topLine[1].delta.overallAccuracy, 5);
+        assertEqual(result.topLine[2].delta.overallAccuracy, -3);
+        assertEqual(result.breakdowns.regime.trending[2].delta, 10);
+        assertEqual(result.net.overallAccuracy, 2);
+        assertEqual(result.net.improved, true);
+
+        // No ids: latest N
+        const latest = await scoreboardService.compareBaselines({ limit: 2 });
+        assertEqual(latest.baselines.map(b => b.name).join(','), 'v2,v3');
+    });
+});
+
+test('compareBaselines - duplicate ids are compared once, only missing ids are reported', async () => {
+    await withSqlite(async () => {
+        const { baseline: first } = await scoreboardService.saveBaseline('v1', makeScoreboard(50, 40));
+        await sleep(5);
+        const { baseline: second } = await scoreboardService.saveBaseline('v2', makeScoreboard(60, 50));
+
+        const duplicated = await scoreboardService.compareBaselines({ baselineIds: [first.id, second.id, first.id] });
+        assertTrue(duplicated.success, duplicated.error);
+        assertEqual(duplicated.count, 2);
+
+        const missing = await scoreboardService.compareBaselines({ baselineIds: [first.id, 'nope', 'nope'] });
+        assertEqual(missing.success, false);
+        assertEqual(missing.error, 'Baseline not found: nope');
+    });
+});
+
+/**
+ * =============================================================================
+ * RUN ALL TESTS
+ * =============================================================================
+ */
+
+(async () => {
+    console.log('\n========================================');
+    console.log('Running scoreboardBaselines Tests');
+    console.log('========================================\n');
+
+    for (const { name, fn } of tests) {
+        try {
+            await fn();
+            console.log(`✅ PASS: ${name}`);
+            passCount++;
+        } catch (error) {
+            console.error(`❌ FAIL: ${name}`);
+            console.error(`   Error: ${error.message}`);
+            failCount++;
+        }
+    }
+
+    console.log('\n========================================');
+    console.log(`Results: ${passCount} passed, ${failCount} failed`);
+    console.log('========================================\n');
+
+    if (failCount > 0) {
+        process.exit(1);
+    }
+})();
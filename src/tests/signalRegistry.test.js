@@ -0,0 +1,200 @@
+// signalRegistry.test.js
+// Unit tests for the decision signal registry and its config discovery
+
+const signalRegistry = require('../services/signalRegistry');
+const configService = require('../services/configService');
+const marketMetrics = require('../services/marketMetrics');
+
+/**
+ * =============================================================================
+ * TEST RUNNER (Simple - no external dependencies, awaits async tests)
+ * =============================================================================
+ */
+
+let passCount = 0;
+let failCount = 0;
+const tests = [];
+
+function test(name, fn) {
+    tests.push({ name, fn });
+}
+
+function assertEqual(actual, expected, message = '') {
+    if (actual !== expected) {
+        throw new Error(`${message}\n   Expected: ${expected}\n   Actual: ${actual}`);
+    }
+}
+
+function assertTrue(condition, message = 'Assertion failed') {
+    if (!condition) {
+        throw new Error(message);
+    }
+}
+
+function clone(obj) {
+    return JSON.parse(JSON.stringify(obj));
+}
+
+// Neutral inputs: every built-in signal produces a WAIT/low-confidence vote
+function decide(config) {
+    return marketMetrics.calculateWeightedDecision(
+        { price: 100, price_change: 0.1, cvd: 0 },
+        {},
+        { bias: 'LONG', confidence: 8, warnings: ['Whales buying'] },
+        { regime: 'unclear', subType: 'mixed_signals', confidence: 4, characteristics: ['No clear regime'] },
+        {},
+        null,
+        {},
+        null,
+        { timeframe: '4h', config }
+    );
+}
+
+// Test signal: LONG once price change reaches settings.minChange
+const momentumSignal = {
+    name: 'test_momentum',
+    inputs: ['binanceData'],
+    defaultWeight: 0.10,
+    configSchema: {
+        minChange: { type: 'number', default: 0.05, min: 0, max: 5 }
+    },
+    compute({ binanceData }, settings) {
+        return {
+            signal: binanceData.price_change >= settings.minChange ? 'LONG' : 'WAIT',
+            confidence: 9,
+            reasoning: `Momentum ${binanceData.price_change}%`
+        };
+    }
+};
+
+/**
+ * =============================================================================
+ * REGISTRY TESTS
+ * =============================================================================
+ */
+
+test('built-in signals - registration order and default weights', async () => {
+    const names = signalRegistry.getSignals().map(s => s.name);
+    assertEqual(names.join(','),
+        'exchange_divergence,market_regime,structure,vwap,technical,funding,cvd,liquidations,positioning,absorption');
+
+    const weights = signalRegistry.getDefaultWeights();
+    assertEqual(weights.absorption, undefined, 'Absorption is self-weighted');
+    const sum = Object.values(weights).reduce((a, b) => a + b, 0);
+    assertTrue(Math.abs(sum - 1) < configService.WEIGHTS_SUM_TOLERANCE, `Default weights sum to 1.0, got ${sum}`);
+    assertEqual(configService.validateConfig(configService.DEFAULT_CONFIG).valid, true);
+
+    let threw = false;
+    try {
+        signalRegistry.registerSignal({ name: 'broken', inputs: [], defaultWeight: 'high' });
+    } catch (error) {
+        threw = /compute/.test(error.message) && /defaultWeight/.test(error.message);
+    }
+    assertTrue(threw, 'Invalid signal should be rejected with all problems listed');
+});
+
+test('calculateWeightedDecision - registered signal votes with its config weight and reports contributions', async () => {
+    signalRegistry.registerSignal(momentumSignal);
+    try {
+        const config = clone(configService.DEFAULT_CONFIG);
+        config.weights.signals.exchange_divergence = 0.15;
+        config.weights.signals.test_momentum = 0.10;
+
+        const decision = decide(config);
+        const momentum = decision.signals.find(s => s.name === 'test_momentum');
+        assertEqual(momentum.signal, 'LONG');
+        assertEqual(momentum.weight, 0.10);
+        assertEqual(decision.signals[decision.signals.length - 1].name, 'test_momentum', 'Runs after built-ins');
+
+        // contribution = confidence * weight / total active weight (0-10 scale)
+        const activeWeight = decision.signals.reduce((a, s) => a + s.weight, 0);
+        assertEqual(momentum.contribution, Number((9 * 0.10 / activeWeight).toFixed(2)));
+        const longTotal = decision.signals
+            .filter(s => s.signal === 'LONG')
+            .reduce((a, s) => a + (s.confidence * s.weight) / activeWeight, 0);
+        assertEqual(decision.scores.long, Number(longTotal.toFixed(1)));
+
+        // Settings come from config.signals
+        config.signals = { test_momentum: { minChange: 1 } };
+        assertEqual(decide(config).signals.find(s => s.name === 'test_momentum').signal, 'WAIT');
+    } finally {
+        signalRegistry.unregisterSignal('test_momentum');
+    }
+    assertEqual(signalRegistry.getSignal('test_momentum'), null);
+});
+
+test('calculateWeightedDecision - disabled signals are skipped and reported', async () => {
+    const config = clone(configService.DEFAULT_CONFIG);
+    const base = decide(config);
+    assertEqual(base.disabledSignals.length, 0);
+    assertTrue(base.signals.some(s => s.name === 'exchange_divergence'));
+
+    config.signals.exchange_divergence.enabled = false;
+    const without = decide(config);
+    assertEqual(without.disabledSignals.join(','), 'exchange_divergence');
+    assertTrue(!without.signals.some(s => s.name === 'exchange_divergence'), 'Disabled signal not scored');
+    assertTrue(without.scores.long < base.scores.long, 'The only LONG vote is gone');
+
+    // A stored weight of 0 falls back to the default weight (pre-registry behavior)
+    const zeroWeight = clone(configService.DEFAULT_CONFIG);
+    zeroWeight.weights.signals.exchange_divergence = 0;
+    const fallback = decide(zeroWeight);
+    assertEqual(fallback.signals.find(s => s.name === 'exchange_divergence').weight, 0.35);
+    assertEqual(fallback.scores.long, base.scores.long);
+});
+
+test('validateConfig - discovers registered signals and checks their settings', async () => {
+    signalRegistry.registerSignal(momentumSignal);
+    try {
+        const config = clone(configService.DEFAULT_CONFIG);
+        config.weights.signals.legacy_signal = 0.05;
+        config.weights.signals.exchange_divergence = 0.20;
+        config.signals.test_momentum = { enabled: true, minChange: 10 };
+        config.signals.structure.enabled = 'yes';
+
+        const result = configService.validateConfig(config);
+        assertEqual(result.valid, false);
+        assertTrue(result.errors.includes("Setting 'signals.test_momentum.minChange' = 10 is above maximum 5"), result.errors.join('; '));
+        assertTrue(result.errors.includes("Setting 'signals.structure.enabled' must be a boolean"), result.errors.join('; '));
+        assertTrue(result.warnings.includes("Missing weight for signal 'test_momentum', using default 0.1"), result.warnings.join('; '));
+        assertTrue(result.warnings.includes("Weight 'legacy_signal' has no registered signal"), result.warnings.join('; '));
+    } finally {
+        signalRegistry.unregisterSignal('test_momentum');
+    }
+
+    const allOff = clone(configService.DEFAULT_CONFIG);
+    for (const name of Object.keys(allOff.weights.signals)) allOff.signals[name].enabled = false;
+    assertTrue(configService.validateConfig(allOff).errors.includes('At least one weighted signal must be enabled'));
+});
+
+/**
+ * =============================================================================
+ * RUN ALL TESTS
+ * =============================================================================
+ */
+
+(async () => {
+    console.log('\n========================================');
+    console.log('Running signalRegistry Tests');
+    console.log('========================================\n');
+
+    for (const { name, fn } of tests) {
+        try {
+            await fn();
+            console.log(`✅ PASS: ${name}`);
+            passCount++;
+        } catch (error) {
+            console.error(`❌ FAIL: ${name}`);
+            console.error(`   Error: ${error.message}`);
+            failCount++;
+        }
+    }
+
+    console.log('\n========================================');
+    console.log(`Results: ${passCount} passed, ${failCount} failed`);
+    console.log('========================================\n');
+
+    if (failCount > 0) {
+        process.exit(1);
+    }
+})();
@@ -0,0 +1,256 @@
+// spotPerpAnalysis.test.js
+// Unit tests for spot vs perp CVD, basis, leadership and regime integration
+
+const spotPerpAnalysis = require('../services/spotPerpAnalysis');
+const marketMetrics = require('../services/marketMetrics');
+const symbolRegistry = require('../services/symbolRegistry');
+const dataProvider = require('../services/dataProvider');
+const syncHistoricalData = require('../jobs/syncHistoricalData');
+const marketDataService = require('../services/marketDataService');
+const configService = require('../services/configService');
+
+/**
+ * =============================================================================
+ * TEST RUNNER (Simple - no external dependencies, awaits async tests)
+ * =============================================================================
+ */
+
+let passCount = 0;
+let failCount = 0;
+const tests = [];
+
+function test(name, fn) {
+    tests.push({ name, fn });
+}
+
+function assertEqual(actual, expected, message = '') {
+    if (actual !== expected) {
+        throw new Error(`${message}\n   Expected: ${expected}\n   Actual: ${actual}`);
+    }
+}
+
+function assertTrue(condition, message = 'Assertion failed') {
+    if (!condition) {
+        throw new Error(message);
+    }
+}
+
+const H4 = 4 * 60 * 60 * 1000;
+const T0 = new Date('2025-12-01T00:00:00.000Z').getTime();
+
+/**
+ * `count` taker flow candles with constant buy/sell USD
+ */
+function makeFlow(buyUsd, sellUsd, count = 12) {
+    return Array.from({ length: count }, (_, i) => ({ time: T0 + i * H4, buyUsd, sellUsd }));
+}
+
+/**
+ * Price candles; perp premium grows from 0 to `premiumPct` over the series
+ */
+function makePrices(premiumPct, count = 12) {
+    const spot = Array.from({ length: count }, (_, i) => ({ time: T0 + i * H4, close: 100000 }));
+    const perp = spot.map((c, i) => ({ time: c.time, close: 100000 * (1 + (premiumPct * i / (count - 1)) / 100) }));
+    return { spot, perp };
+}
+
+// Perp buyers lifting price while spot flow is flat, perp premium expanding
+function perpLedRally() {
+    const prices = makePrices(0.1);
+    return spotPerpAnalysis.analyzeSpotPerp({
+        spotTaker: makeFlow(1000000, 1000000),
+        perpTaker: makeFlow(30000000, 10000000),
+        spotPrice: prices.spot,
+        perpPrice: prices.perp
+    }, { priceDirection: 'UP' });
+}
+
+/**
+ * =============================================================================
+ * ANALYSIS TESTS
+ * =============================================================================
+ */
+
+test('analyzeSpotPerp - unavailable without spot flow', async () => {
+    const result = spotPerpAnalysis.analyzeSpotPerp({ perpTaker: makeFlow(2, 1) }, { priceChange: 1 });
+    assertEqual(result.available, false);
+    assertEqual(result.scenario, null);
+    assertEqual(result.bias, 'WAIT');
+});
+
+test('analyzeSpotPerp - perp-led rally with flat spot CVD is a SHORT', async () => {
+    const result = perpLedRally();
+    assertEqual(result.spotCvd.direction, 'flat');
+    assertEqual(result.perpCvd.direction, 'rising');
+    assertEqual(result.leader, 'perp');
+    assertEqual(result.basis.state, 'premium');
+    assertEqual(result.basis.expanding, true);
+    assertEqual(result.scenario, 'perp_led_rally');
+    assertEqual(result.bias, 'SHORT');
+    assertEqual(result.confidence, 6);
+});
+
+test('analyzeSpotPerp - spot-led rally (raw Coinglass records) is a LONG', async () => {
+    const spot = makeFlow(30000000, 10000000).map(c => ({
+        time: c.time, taker_buy_volume_usd: c.buyUsd, taker_sell_volume_usd: c.sellUsd
+    }));
+    const prices = makePrices(0);
+    const result = spotPerpAnalysis.analyzeSpotPerp({
+        spotTaker: spot,
+        perpTaker: makeFlow(11000000, 10000000),
+        spotPrice: prices.spot,
+        perpPrice: prices.perp
+    }, { priceChange: 2 });
+
+    assertEqual(result.leader, 'spot');
+    assertEqual(result.flow.spotShare, 0.952);
+    assertEqual(result.basis.state, 'neutral');
+    assertEqual(result.scenario, 'spot_led_rally');
+    assertEqual(result.bias, 'LONG');
+    assertEqual(result.confidence, 8);
+});
+
+/**
+ * =============================================================================
+ * ANALYZER INTEGRATION TESTS
+ * =============================================================================
+ */
+
+test('detectMarketRegime - perp-led rally flags a long trap, spot-led confirms a trend', async () => {
+    const binance = { price_change: 2, oi_change: 0.1, funding_rate_avg_pct: 0.01, cvd: 1 };
+    const without = marketMetrics.detectMarketRegime(binance, {}, 'neutral', '4h');
+    assertEqual(without.regime, 'unclear');
+    assertEqual(without.spotPerpScenario, null);
+
+    const trap = marketMetrics.detectMarketRegime(binance, {}, 'neutral', '4h', undefined, null, perpLedRally());
+    assertEqual(trap.regime, 'trap');
+    assertEqual(trap.subType, 'long_trap');
+    assertEqual(trap.spotPerpScenario, 'perp_led_rally');
+    assertTrue(trap.characteristics.includes('Perp-led rally with flat spot CVD'), 'Trap reason should be listed');
+
+    const trending = { price_change: 2, oi_change: 3, funding_rate_avg_pct: 0.01, cvd: 1 };
+    const spotLed = {
+        available: true, scenario: 'spot_led_rally', reasoning: 'Spot-led rally: spot CVD rising'
+    };
+    const base = marketMetrics.detectMarketRegime(trending, {}, 'synchronized_bullish', '4h');
+    const confirmed = marketMetrics.detectMarketRegime(trending, {}, 'synchronized_bullish', '4h', undefined, null, spotLed);
+    assertEqual(base.subType, 'healthy_bull');
+    assertEqual(confirmed.subType, 'healthy_bull');
+    assertEqual(confirmed.confidence, Math.min(base.confidence + 1, 10));
+});
+
+test('spot ingestion - spot symbol fetch and spot column mapping', async () => {
+    assertEqual(symbolRegistry.getSpotSymbol('BTC'), 'BTCUSDT');
+    assertEqual(symbolRegistry.getSpotSymbol('DOGEUSDT'), 'DOGEUSDT');
+
+    const requested = [];
+    const record = async params => {
+        requested.push(params.symbol);
+        return [];
+    };
+    dataProvider.setProvider({
+        name: 'stub',
+        getPriceHistory: record,
+        getOIHistory: record,
+        getFundingHistory: record,
+        getTakerBuySellVolume: record,
+        getSpotTakerBuySellVolume: record
+    });
+    try {
+        await syncHistoricalData.fetchSeries('spot_taker_volume', { exchange: 'Binance', symbol: 'BTC', interval: '4h' });
+        await syncHistoricalData.fetchSeries('taker_volume', { exchange: 'Binance', symbol: 'BTCUSDT', interval: '4h' });
+        // No provider method = no data
+        const spotPrice = await syncHistoricalData.fetchSeries('spot_price', { exchange: 'Binance', symbol: 'BTC', interval: '4h' });
+        assertEqual(spotPrice.length, 0);
+    } finally {
+        dataProvider.resetProvider();
+    }
+    assertEqual(requested.join(','), 'BTCUSDT,BTCUSDT');
+
+    const [price] = syncHistoricalData.transformToCandles(
+        [{ time: T0, open: 99000, high: 101000, low: 98000, close: 100000, volume_usd: 5000000 }],
+        'Binance', '4h', 'spot_price'
+    );
+    assertEqual(price.spot_close, 100000);
+    assertEqual(price.spot_volume, 5000000);
+    assertEqual(price.close, undefined);
+
+    const [flow] = syncHistoricalData.transformToCandles(
+        [{ time: T0, taker_buy_volume_usd: 3000000, taker_sell_volume_usd: 0 }],
+        'Binance', '4h', 'spot_taker_volume'
+    );
+    assertEqual(flow.spot_buy_volume, 3000000);
+    assertEqual(flow.spot_sell_volume, 0);
+    assertEqual(flow.buy_volume, undefined);
+});
+
+test('live fetch - spot/perp is opt-in and reuses the CVD perp taker series', async () => {
+    const calls = [];
+    const candles = (method, params) => {
+        calls.push(`${method}:${params.exchange}:${params.interval}`);
+        return Array.from({ length: 30 }, (_, i) => ({
+            time: T0 + i * H4, open: 100, high: 101, low: 99, close: 100,
+            taker_buy_volume_usd: 2000000, taker_sell_volume_usd: 1000000
+        }));
+    };
+    const methods = ['getPriceOHLC', 'getOpenInterestOHLC', 'getFundingRateOHLC', 'getTakerBuySellVolume',
+        'getPriceHistory', 'getOIHistory', 'getFundingHistory', 'getSpotPriceHistory', 'getSpotTakerBuySellVolume'];
+    dataProvider.setProvider({
+        name: 'stub',
+        rateLimited: false,
+        ...Object.fromEntries(methods.map(method => [method, async params => candles(method, params)]))
+    });
+    const regimeSettings = configService.DEFAULT_CONFIG.signals.market_regime;
+    const count = method => calls.filter(c => c.startsWith(`${method}:`)).length;
+    try {
+        const off = await marketDataService.getFuturesMarketData('BTC', { timeframes: ['4h'] });
+        assertEqual(count('getSpotPriceHistory') + count('getSpotTakerBuySellVolume'), 0, 'No spot fetches by default');
+        assertEqual(count('getTakerBuySellVolume'), 2, 'Perp taker only for the per-venue CVD');
+        assertEqual(off.history['4h'].perpTakerHistory.length, 0);
+
+        calls.length = 0;
+        regimeSettings.spotPerp = true;
+        const on = await marketDataService.getFuturesMarketData('BTC', { timeframes: ['4h'] });
+        assertEqual(count('getSpotPriceHistory'), 1);
+        assertEqual(count('getSpotTakerBuySellVolume'), 1);
+        assertEqual(count('getTakerBuySellVolume'), 2, 'Perp taker series reused from the CVD fetch');
+        assertEqual(on.history['4h'].perpTakerHistory.length, 30);
+        assertEqual(on.history['4h'].perpTakerHistory[0].buyUsd, 2000000);
+        assertEqual(on.history['4h'].spotTakerHistory.length, 30);
+    } finally {
+        regimeSettings.spotPerp = false;
+        dataProvider.resetProvider();
+    }
+});
+
+/**
+ * =============================================================================
+ * RUN ALL TESTS
+ * =============================================================================
+ */
+
+(async () => {
+    console.log('\n========================================');
+    console.log('Running spotPerpAnalysis Tests');
+    console.log('========================================\n');
+
+    for (const { name, fn } of tests) {
+        try {
+            await fn();
+            console.log(`✅ PASS: ${name}`);
+            passCount++;
+        } catch (error) {
+            console.error(`❌ FAIL: ${name}`);
+            console.error(`   Error: ${error.message}`);
+            failCount++;
+        }
+    }
+
+    console.log('\n========================================');
+    console.log(`Results: ${passCount} passed, ${failCount} failed`);
+    console.log('========================================\n');
+
+    if (failCount > 0) {
+        process.exit(1);
+    }
+})();
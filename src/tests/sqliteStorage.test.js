@@ -0,0 +1,221 @@
+// sqliteStorage.test.js
+// Unit tests for the SQLite storage backend (supabase-js compatible query builder)
+
+const { createSqliteStorage, parseSelect } = require('../services/storage/sqliteStorage');
+const storageBackend = require('../services/storageBackend');
+
+/**
+ * =============================================================================
+ * TEST RUNNER (Simple - no external dependencies, awaits async tests)
+ * =============================================================================
+ */
+
+let passCount = 0;
+let failCount = 0;
+const tests = [];
+
+function test(name, fn) {
+    tests.push({ name, fn });
+}
+
+function assertEqual(actual, expected, message = '') {
+    if (actual !== expected) {
+        throw new Error(`${message}\n   Expected: ${expected}\n   Actual: ${actual}`);
+    }
+}
+
+function assertTrue(condition, message = 'Assertion failed') {
+    if (!condition) {
+        throw new Error(message);
+    }
+}
+
+function createClient() {
+    return createSqliteStorage({ path: ':memory:' }).getClient();
+}
+
+function candle(timestamp, close) {
+    return { exchange: 'Binance', symbol: 'BTC', timeframe: '4h', timestamp, open: 1, close };
+}
+
+/**
+ * =============================================================================
+ * QUERY BUILDER TESTS
+ * =============================================================================
+ */
+
+test('parseSelect - columns and embedded relations', async () => {
+    const parsed = parseSelect(`
+        *,
+        market_states (bias, confidence)
+    `);
+    assertEqual(parsed.columns.join(), '*');
+    assertEqual(parsed.embeds[0].relation, 'market_states');
+    assertEqual(parsed.embeds[0].columns.join(), 'bias,confidence');
+});
+
+test('insert/select - JSON and BOOLEAN columns round-trip, UUID ids generated', async () => {
+    const client = createClient();
+    const { data, error } = await client
+        .from('alert_subscriptions')
+        .insert({ user_id: 'u1', channel: 'webhook', target: { url: 'http://x' }, categories: ['BIAS_SHIFT'], enabled: false })
+        .select()
+        .single();
+
+    assertEqual(error, null);
+    assertTrue(/^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/.test(data.id), `Bad UUID ${data.id}`);
+    assertEqual(data.target.url, 'http://x');
+    assertEqual(data.categories[0], 'BIAS_SHIFT');
+    assertEqual(data.enabled, false);
+
+    const { data: rows } = await client.from('alert_subscriptions').select('id, enabled').eq('enabled', false);
+    assertEqual(rows.length, 1);
+    assertEqual(Object.keys(rows[0]).join(), 'id,enabled');
+});
+
+test('filters, ordering (Postgres null placement), range and count', async () => {
+    const client = createClient();
+    await client.from('historical_candles').insert([candle(1000, 10), candle(2000, null), candle(3000, 30)]);
+
+    const { data: desc } = await client.from('historical_candles').select('close').order('close', { ascending: false });
+    assertEqual(desc[0].close, null, 'DESC puts nulls first');
+
+    const { data: page } = await client
+        .from('historical_candles')
+        .select('timestamp')
+        .gte('timestamp', 1000)
+        .not('close', 'is', null)
+        .order('timestamp', { ascending: true })
+        .range(1, 1);
+    assertEqual(page.length, 1);
+    assertEqual(page[0].timestamp, 3000);
+
+    const { data, count } = await client
+        .from('historical_candles')
+        .select('*', { count: 'exact', head: true })
+        .in('timestamp', [1000, 3000]);
+    assertEqual(data, null);
+    assertEqual(count, 2);
+});
+
+test('upsert - onConflict updates, ignoreDuplicates skips', async () => {
+    const client = createClient();
+    const onConflict = 'exchange,symbol,timeframe,timestamp';
+
+    await client.from('historical_candles').upsert([candle(1000, 10)], { onConflict });
+    await client.from('historical_candles').upsert([candle(1000, 11)], { onConflict });
+    await client.from('historical_candles').upsert([candle(1000, 99)], { onConflict, ignoreDuplicates: true });
+
+    const { data } = await client.from('historical_candles').select('close');
+    assertEqual(data.length, 1);
+    assertEqual(data[0].close, 11);
+});
+
+test('single/maybeSingle and unique violations use Postgres error codes', async () => {
+    const client = createClient();
+
+    const missing = await client.from('market_states').select('*').eq('id', 'nope').single();
+    assertEqual(missing.error.code, 'PGRST116');
+    const maybe = await client.from('market_states').select('*').eq('id', 'nope').maybeSingle();
+    assertEqual(maybe.error, null);
+    assertEqual(maybe.data, null);
+
+    const event = { symbol: 'BTC', timeframe: '4h', cvd_direction: 'BUY', detected_at: 1 };
+    await client.from('absorption_events').insert(event);
+    const duplicate = await client.from('absorption_events').insert(event);
+    assertEqual(duplicate.error.code, '23505', 'Open absorption per symbol/timeframe/direction is unique');
+
+    const unknown = await client.from('market_states').select('nope');
+    assertEqual(unknown.error.code, '42703');
+});
+
+test('embedded select, delete count and rpc', async () => {
+    const client = createClient();
+    await client.from('market_states').insert({ id: 's1', timestamp: 1, bias: 'LONG', confidence: 7, full_state_json: {} });
+    await client.from('alerts_history').insert([
+        { timestamp: 2, alert_type: 'BIAS_SHIFT', market_state_id: 's1' },
+        { timestamp: 3, alert_type: 'TRAP_DETECTED' }
+    ]);
+
+    const { data } = await client
+        .from('alerts_history')
+        .select('alert_type, market_states (bias, confidence)')
+        .order('timestamp', { ascending: true });
+    assertEqual(data[0].market_states.bias, 'LONG');
+    assertEqual(data[1].market_states, null);
+    assertEqual(data[0].market_state_id, undefined, 'FK column only fetched for the join');
+
+    const { count } = await client.from('alerts_history').delete({ count: 'exact' }).lt('timestamp', 3);
+    assertEqual(count, 1);
+
+    const { data: event } = await client
+        .from('absorption_events')
+        .insert({ symbol: 'BTC', timeframe: '4h', cvd_direction: 'SELL', detected_at: 1 })
+        .select('id')
+        .single();
+    assertEqual((await client.rpc('increment_absorption_extension', { row_id: event.id })).error, null);
+    const { data: after } = await client.from('absorption_events').select('extensions_used').eq('id', event.id).single();
+    assertEqual(after.extensions_used, 1);
+});
+
+/**
+ * =============================================================================
+ * SERVICE INTEGRATION TEST
+ * =============================================================================
+ */
+
+test('stateStorage - saves and reads states through the sqlite backend', async () => {
+    storageBackend.setBackend('sqlite', { path: ':memory:' });
+    const stateStorage = require('../services/stateStorage');
+
+    try {
+        const state = {
+            timestamp: Date.now(),
+            symbol: 'ETH',
+            finalDecision: { bias: 'SHORT', confidence: 6 },
+            raw: { binance: { '4h': { price: 2500 } } }
+        };
+        const saved = await stateStorage.saveMarketState(state, { symbol: 'ETH' });
+        assertTrue(saved.success, saved.error);
+
+        const latest = await stateStorage.getLatestState('ETH');
+        assertEqual(latest.id, saved.id);
+        assertEqual(latest.bias, 'SHORT');
+        assertEqual(latest.full_state_json.raw.binance['4h'].price, 2500);
+        assertEqual(await stateStorage.getStateCount('ETH'), 1);
+    } finally {
+        storageBackend.resetBackend();
+    }
+});
+
+/**
+ * =============================================================================
+ * RUN ALL TESTS
+ * =============================================================================
+ */
+
+(async () => {
+    console.log('\n========================================');
+    console.log('Running sqliteStorage Tests');
+    console.log('========================================\n');
+
+    for (const { name, fn } of tests) {
+        try {
+            await fn();
+            console.log(`✅ PASS: ${name}`);
+            passCount++;
+        } catch (error) {
+            console.error(`❌ FAIL: ${name}`);
+            console.error(`   Error: ${error.message}`);
+            failCount++;
+        }
+    }
+
+    console.log('\n========================================');
+    console.log(`Results: ${passCount} passed, ${failCount} failed`);
+    console.log('========================================\n');
+
+    if (failCount > 0) {
+        process.exit(1);
+    }
+})();
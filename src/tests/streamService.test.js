@@ -0,0 +1,180 @@
+// streamService.test.js
+// Unit tests for topic filtering, Last-Event-ID resume and the SSE route
+
+const http = require('http');
+const express = require('express');
+
+const streamService = require('../services/streamService');
+const streamRoutes = require('../routes/streamRoutes');
+
+/**
+ * =============================================================================
+ * TEST RUNNER (Simple - no external dependencies, awaits async tests)
+ * =============================================================================
+ */
+
+let passCount = 0;
+let failCount = 0;
+const tests = [];
+
+function test(name, fn) {
+    tests.push({ name, fn });
+}
+
+function assertEqual(actual, expected, message = '') {
+    if (actual !== expected) {
+        throw new Error(`${message}\n   Expected: ${expected}\n   Actual: ${actual}`);
+    }
+}
+
+function assertTrue(condition, message = 'Assertion failed') {
+    if (!condition) {
+        throw new Error(message);
+    }
+}
+
+/**
+ * Read an SSE response until `count` events arrived, then disconnect
+ */
+function readSseEvents(url, headers, count) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+            req.destroy();
+            reject(new Error('Timed out waiting for SSE events'));
+        }, 3000);
+
+        const req = http.get(url, { headers }, (res) => {
+            let raw = '';
+            const events = [];
+            res.on('data', (chunk) => {
+                raw += chunk;
+                const blocks = raw.split('\n\n');
+                raw = blocks.pop();
+                for (const block of blocks) {
+                    const fields = Object.fromEntries(block.split('\n')
+                        .filter(line => line && !line.startsWith(':'))
+                        .map(line => [line.slice(0, line.indexOf(':')), line.slice(line.indexOf(':') + 2)]));
+                    if (fields.event) events.push(fields);
+                }
+                if (events.length >= count) {
+                    clearTimeout(timer);
+                    req.destroy();
+                    resolve(events);
+                }
+            });
+        });
+        req.on('error', (error) => {
+            if (error.code !== 'ECONNRESET') reject(error);
+        });
+    });
+}
+
+/**
+ * =============================================================================
+ * SERVICE TESTS
+ * =============================================================================
+ */
+
+test('subscribe - receives only matching topics and symbols', async () => {
+    streamService.resetStream();
+    const received = [];
+    const sub = streamService.subscribe({ topics: 'alert', symbols: ['ETH'] }, e => received.push(e));
+
+    streamService.publish('alert', { category: 'BIAS_SHIFT' }, { symbol: 'BTC' });
+    streamService.publish('alert', { category: 'TRAP_DETECTED' }, { symbol: 'ETH' });
+    streamService.publish('sync', { isRunning: true });
+    sub.unsubscribe();
+
+    assertEqual(received.length, 1);
+    assertEqual(received[0].data.category, 'TRAP_DETECTED');
+});
+
+test('subscribe - resumes after Last-Event-ID', async () => {
+    streamService.resetStream();
+    const first = streamService.publish('replay', { completedSamples: 1 });
+    streamService.publish('replay', { completedSamples: 2 });
+    streamService.publish('replay', { completedSamples: 3 });
+
+    const sub = streamService.subscribe({ topics: 'replay', lastEventId: first.id }, () => {});
+    sub.unsubscribe();
+
+    assertEqual(sub.reset, false);
+    assertEqual(sub.backlog.length, 2);
+    assertEqual(sub.backlog[0].data.completedSamples, 2);
+});
+
+test('getEventsSince - unknown or evicted IDs request a reset', async () => {
+    streamService.resetStream();
+    streamService.publish('sync', { isRunning: true });
+
+    assertEqual(streamService.getEventsSince('otherboot-1').reset, true, 'Foreign boot ID');
+    assertEqual(streamService.getEventsSince('garbage').reset, true, 'Malformed ID');
+    assertEqual(streamService.getEventsSince(null).reset, false, 'No ID = fresh client');
+});
+
+/**
+ * =============================================================================
+ * SSE ROUTE TEST
+ * =============================================================================
+ */
+
+test('GET /api/stream - replays backlog then streams live events', async () => {
+    streamService.resetStream();
+    const app = express();
+    app.use('/api/stream', streamRoutes);
+    const server = await new Promise(resolve => {
+        const s = app.listen(0, '127.0.0.1', () => resolve(s));
+    });
+
+    try {
+        const seen = streamService.publish('market_state', { symbol: 'BTC', bias: 'WAIT' });
+        streamService.publish('market_state', { symbol: 'BTC', bias: 'LONG' });
+
+        const url = `http://127.0.0.1:${server.address().port}/api/stream?topics=market_state`;
+        const pending = readSseEvents(url, { 'Last-Event-ID': seen.id }, 2);
+
+        // Live event once the client is connected
+        setTimeout(() => streamService.publish('market_state', { symbol: 'BTC', bias: 'SHORT' }), 100);
+
+        const events = await pending;
+        assertEqual(events[0].event, 'market_state');
+        assertEqual(JSON.parse(events[0].data).data.bias, 'LONG', 'Backlog event');
+        assertEqual(JSON.parse(events[1].data).data.bias, 'SHORT', 'Live event');
+        assertTrue(events[1].id.endsWith('-3'), `Unexpected id ${events[1].id}`);
+    } finally {
+        server.close();
+        streamService.resetStream();
+    }
+});
+
+/**
+ * =============================================================================
+ * RUN ALL TESTS
+ * =============================================================================
+ */
+
+(async () => {
+    console.log('\n========================================');
+    console.log('Running streamService Tests');
+    console.log('========================================\n');
+
+    for (const { name, fn } of tests) {
+        try {
+            await fn();
+            console.log(`✅ PASS: ${name}`);
+            passCount++;
+        } catch (error) {
+            console.error(`❌ FAIL: ${name}`);
+            console.error(`   Error: ${error.message}`);
+            failCount++;
+        }
+    }
+
+    console.log('\n========================================');
+    console.log(`Results: ${passCount} passed, ${failCount} failed`);
+    console.log('========================================\n');
+
+    if (failCount > 0) {
+        process.exit(1);
+    }
+})();
@@ -0,0 +1,155 @@
+// symbolRegistry.test.js
+// Unit tests for symbol resolution and per-exchange instrument mapping
+
+const {
+    resolveSymbol,
+    toBaseSymbol,
+    getExchangeSymbol,
+    getExchangeMapping,
+    getSyncExchanges,
+    getEnabledSymbols,
+    getCacheKey
+} = require('../services/symbolRegistry');
+
+/**
+ * =============================================================================
+ * TEST RUNNER (Simple - no external dependencies)
+ * =============================================================================
+ */
+
+let passCount = 0;
+let failCount = 0;
+
+function test(name, fn) {
+    try {
+        fn();
+        console.log(`✅ PASS: ${name}`);
+        passCount++;
+    } catch (error) {
+        console.error(`❌ FAIL: ${name}`);
+        console.error(`   Error: ${error.message}`);
+        failCount++;
+    }
+}
+
+function assertEqual(actual, expected, message = '') {
+    if (actual !== expected) {
+        throw new Error(`${message}\n   Expected: ${expected}\n   Actual: ${actual}`);
+    }
+}
+
+function assertTrue(condition, message = 'Assertion failed') {
+    if (!condition) {
+        throw new Error(message);
+    }
+}
+
+/**
+ * =============================================================================
+ * RESOLUTION TESTS
+ * =============================================================================
+ */
+
+test('resolveSymbol - base symbol, any case', () => {
+    assertEqual(resolveSymbol('btc'), 'BTC');
+    assertEqual(resolveSymbol('ETH'), 'ETH');
+    assertEqual(resolveSymbol(' sol '), 'SOL');
+});
+
+test('resolveSymbol - exchange instruments', () => {
+    assertEqual(resolveSymbol('BTCUSDT'), 'BTC');
+    assertEqual(resolveSymbol('ETHUSD'), 'ETH');
+    assertEqual(resolveSymbol('solusdt'), 'SOL');
+});
+
+test('resolveSymbol - unknown returns null', () => {
+    assertEqual(resolveSymbol('DOGE'), null);
+    assertEqual(resolveSymbol(''), null);
+    assertEqual(resolveSymbol(undefined), null);
+});
+
+test('toBaseSymbol - falls back to stripping quote currency', () => {
+    assertEqual(toBaseSymbol('ETHUSDT'), 'ETH');
+    assertEqual(toBaseSymbol('DOGEUSDT'), 'DOGE');
+    assertEqual(toBaseSymbol(null), 'BTC');
+});
+
+/**
+ * =============================================================================
+ * EXCHANGE MAPPING TESTS
+ * =============================================================================
+ */
+
+test('getExchangeSymbol - Binance USDT-M, Bybit COIN-M', () => {
+    assertEqual(getExchangeSymbol('BTC', 'Binance'), 'BTCUSDT');
+    assertEqual(getExchangeSymbol('BTC', 'Bybit'), 'BTCUSD');
+    assertEqual(getExchangeSymbol('ETHUSDT', 'Bybit'), 'ETHUSD');
+    assertEqual(getExchangeSymbol('SOL', 'Binance'), 'SOLUSDT');
+});
+
+test('getExchangeSymbol - unknown exchange or symbol returns null', () => {
+    assertEqual(getExchangeSymbol('BTC', 'OKX'), null);
+    assertEqual(getExchangeSymbol('DOGE', 'Binance'), null);
+});
+
+test('getExchangeMapping - response meta format', () => {
+    const mapping = getExchangeMapping('ETH');
+    assertEqual(mapping.binance, 'ETHUSDT (USDT-margined)');
+    assertEqual(mapping.bybit, 'ETHUSD (coin-margined)');
+});
+
+test('getSyncExchanges - tags each instrument with its asset', () => {
+    const exchanges = getSyncExchanges(['BTC', 'SOL']);
+    assertEqual(exchanges.length, 4);
+    const bybitSol = exchanges.find(e => e.name === 'Bybit' && e.asset === 'SOL');
+    assertTrue(bybitSol, 'Bybit SOL entry missing');
+    assertEqual(bybitSol.symbol, 'SOLUSD');
+});
+
+/**
+ * =============================================================================
+ * PER-SYMBOL KEYS
+ * =============================================================================
+ */
+
+test('getCacheKey - BTC keeps legacy key', () => {
+    assertEqual(getCacheKey('BTC'), 'market_snapshot_btc');
+    assertEqual(getCacheKey('BTCUSDT'), 'market_snapshot_btc');
+    assertEqual(getCacheKey('eth'), 'market_snapshot_eth');
+});
+
+test('getEnabledSymbols - defaults to BTC, parses ANALYZER_SYMBOLS', () => {
+    const original = process.env.ANALYZER_SYMBOLS;
+
+    delete process.env.ANALYZER_SYMBOLS;
+    assertEqual(getEnabledSymbols().join(','), 'BTC');
+
+    process.env.ANALYZER_SYMBOLS = 'btc, ethusdt,SOL,DOGE,eth';
+    assertEqual(getEnabledSymbols().join(','), 'BTC,ETH,SOL');
+
+    if (original === undefined) {
+        delete process.env.ANALYZER_SYMBOLS;
+    } else {
+        process.env.ANALYZER_SYMBOLS = original;
+    }
+});
+
+/**
+ * =============================================================================
+ * RUN ALL TESTS
+ * =============================================================================
+ */
+
+console.log('\n========================================');
+console.log('Running symbolRegistry Tests');
+console.log('========================================\n');
+
+// All tests have been defined above and run synchronously
+
+console.log('\n========================================');
+console.log(`Results: ${passCount} passed, ${failCount} failed`);
+console.log('========================================\n');
+
+if (failCount > 0) {
+    process.exit(1);
+}
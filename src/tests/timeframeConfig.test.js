@@ -0,0 +1,141 @@
+// timeframeConfig.test.js
+// Unit tests for the config-driven timeframe set, aggregation weights and buckets
+
+const configService = require('../services/configService');
+const marketMetrics = require('../services/marketMetrics');
+
+/**
+ * =============================================================================
+ * TEST RUNNER (Simple - no external dependencies, awaits async tests)
+ * =============================================================================
+ */
+
+let passCount = 0;
+let failCount = 0;
+const tests = [];
+
+function test(name, fn) {
+    tests.push({ name, fn });
+}
+
+function assertEqual(actual, expected, message = '') {
+    if (actual !== expected) {
+        throw new Error(`${message}\n   Expected: ${expected}\n   Actual: ${actual}`);
+    }
+}
+
+function assertTrue(condition, message = 'Assertion failed') {
+    if (!condition) {
+        throw new Error(message);
+    }
+}
+
+function clone(obj) {
+    return JSON.parse(JSON.stringify(obj));
+}
+
+/**
+ * =============================================================================
+ * CONFIG TESTS
+ * =============================================================================
+ */
+
+test('getTimeframeConfig - defaults match the legacy pipeline', async () => {
+    const tf = marketMetrics.getTimeframeConfig(configService.DEFAULT_CONFIG);
+    assertEqual(tf.active.join(','), '30m,1h,4h,1d');
+    assertEqual(tf.weights['4h'], 0.30);
+    assertEqual(tf.biasBuffer, 1.2);
+    assertEqual(tf.buckets.scalping.join(','), '1h,30m');
+
+    // Stored configs without the section fall back to the defaults
+    const legacy = marketMetrics.getTimeframeConfig({ weights: {} });
+    assertEqual(legacy.active.join(','), '30m,1h,4h,1d');
+    assertEqual(marketMetrics.isScalpingTimeframe('30m', {}), true);
+    assertEqual(marketMetrics.isScalpingTimeframe('4h', {}), false);
+});
+
+test('validateConfig - accepts a 15m/1w timeframe set with matching weights', async () => {
+    const config = clone(configService.DEFAULT_CONFIG);
+    config.timeframes = {
+        active: ['15m', '1h', '4h', '1d', '1w'],
+        weights: { '15m': 0.15, '1h': 0.20, '4h': 0.30, '1d': 0.20, '1w': 0.15 },
+        biasBuffer: 1.3,
+        buckets: { macro: ['1w', '1d'], micro: ['4h', '1h'], scalping: ['1h', '15m'] }
+    };
+
+    const result = configService.validateConfig(config);
+    assertEqual(result.valid, true, result.errors.join('; '));
+    assertEqual(result.warnings.length, 0, result.warnings.join('; '));
+    assertTrue(marketMetrics.isScalpingTimeframe('15m', config), '15m is in the scalping bucket');
+});
+
+test('validateConfig - rejects bad timeframe sets, weights and buckets', async () => {
+    const config = clone(configService.DEFAULT_CONFIG);
+    config.timeframes.active = ['30m', '1h', '4h', '2h'];
+    config.timeframes.weights = { '30m': 0.25, '1h': 0.25, '4h': 0.30, '1d': 0.20 };
+    config.timeframes.biasBuffer = 0.8;
+    config.timeframes.buckets.swing = ['1d'];
+
+    const { valid, errors, warnings } = configService.validateConfig(config);
+    assertEqual(valid, false);
+    assertTrue(errors.some(e => e.startsWith("Unsupported timeframe '2h'")), errors.join('; '));
+    assertTrue(errors.includes("Missing aggregation weight for timeframe '2h'"), errors.join('; '));
+    assertTrue(errors.includes('Timeframe weights must sum to 1.0, got 0.8000'), errors.join('; '));
+    assertTrue(errors.some(e => e.startsWith('timeframes.biasBuffer')), errors.join('; '));
+    assertTrue(errors.some(e => e.startsWith("Unknown timeframe bucket 'swing'")), errors.join('; '));
+    assertTrue(warnings.includes("Timeframe weight '1d' is ignored (timeframe not active)"), warnings.join('; '));
+    assertTrue(warnings.includes("Bucket 'macro' uses inactive timeframe '1d'"), warnings.join('; '));
+});
+
+/**
+ * =============================================================================
+ * PIPELINE TESTS
+ * =============================================================================
+ */
+
+test('generateTimeframeBuckets - bucket membership comes from config', async () => {
+    const scores = long => ({ finalDecision: { scores: { long, short: 1, wait: 1 } } });
+    const tfMetrics = { '15m': scores(8), '30m': scores(1), '1h': scores(1), '4h': scores(1), '1d': scores(1) };
+
+    const config = clone(configService.DEFAULT_CONFIG);
+    const legacy = marketMetrics.generateTimeframeBuckets(tfMetrics, config);
+    assertEqual(legacy.scalping.timeframes.join(','), '1h,30m');
+
+    config.timeframes.buckets.scalping = ['15m'];
+    const fast = marketMetrics.generateTimeframeBuckets(tfMetrics, config);
+    assertEqual(fast.scalping.timeframes.join(','), '15m');
+    assertEqual(fast.scalping.bias, 'BULLISH');
+    assertTrue(legacy.scalping.bias !== 'BULLISH', 'The 15m vote is only used once it is in the bucket');
+});
+
+/**
+ * =============================================================================
+ * RUN ALL TESTS
+ * =============================================================================
+ */
+
+(async () => {
+    console.log('\n========================================');
+    console.log('Running timeframeConfig Tests');
+    console.log('========================================\n');
+
+    for (const { name, fn } of tests) {
+        try {
+            await fn();
+            console.log(`✅ PASS: ${name}`);
+            passCount++;
+        } catch (error) {
+            console.error(`❌ FAIL: ${name}`);
+            console.error(`   Error: ${error.message}`);
+            failCount++;
+        }
+    }
+
+    console.log('\n========================================');
+    console.log(`Results: ${passCount} passed, ${failCount} failed`);
+    console.log('========================================\n');
+
+    if (failCount > 0) {
+        process.exit(1);
+    }
+})();
@@ -0,0 +1,222 @@
+// venueDivergence.test.js
+// Unit tests for the venue registry and the role-weighted multi-venue divergence engine
+
+const venueRegistry = require('../services/venueRegistry');
+const marketMetrics = require('../services/marketMetrics');
+const configService = require('../services/configService');
+
+/**
+ * =============================================================================
+ * TEST RUNNER (Simple - no external dependencies, awaits async tests)
+ * =============================================================================
+ */
+
+let passCount = 0;
+let failCount = 0;
+const tests = [];
+
+function test(name, fn) {
+    tests.push({ name, fn });
+}
+
+function assertEqual(actual, expected, message = '') {
+    if (actual !== expected) {
+        throw new Error(`${message}\n   Expected: ${expected}\n   Actual: ${actual}`);
+    }
+}
+
+function assertTrue(condition, message = 'Assertion failed') {
+    if (!condition) {
+        throw new Error(message);
+    }
+}
+
+/**
+ * Timeframe snapshot in the marketDataService shape
+ */
+function venue(priceChange, oiChange, cvd, oi = 1e9) {
+    return { price: 100, price_change: priceChange, oi, oi_change: oiChange, cvd, funding_rate_avg_pct: 0.01, volume: 1e8 };
+}
+
+// Whale distribution: price up strongly, informed OI dumping, crowd OI rising with selling CVD
+const CROWD_BUYING = venue(2, 1.5, -5e8);
+const INFORMED_DUMPING = venue(2, -2, -1e8, 5e9);
+
+/**
+ * =============================================================================
+ * REGISTRY TESTS
+ * =============================================================================
+ */
+
+test('parseVenueSpec - profiles, role overrides and fallback', async () => {
+    const classic = venueRegistry.parseVenueSpec('classic');
+    assertEqual(classic.map(v => v.id).join(','), 'Binance,Bybit');
+    assertEqual(classic[1].side, 'informed');
+
+    const custom = venueRegistry.parseVenueSpec('binance, okx:smart_money, Deribit, Nope, OKX');
+    assertEqual(custom.map(v => v.id).join(','), 'Binance,OKX,Deribit');
+    assertEqual(custom[1].role, 'smart_money');
+    assertEqual(custom[1].side, 'informed');
+    assertEqual(custom[2].role, 'institutional');
+    assertEqual(venueRegistry.getProfileName(custom), 'custom');
+    assertEqual(venueRegistry.getProfileName(venueRegistry.parseVenueSpec('EXTENDED')), 'extended');
+
+    assertEqual(venueRegistry.parseVenueSpec('Nope').map(v => v.id).join(','), 'Binance,Bybit', 'Falls back to classic');
+
+    // Symbol registry first, venue template otherwise
+    assertEqual(venueRegistry.getVenueSymbol('ETH', 'Bybit'), 'ETHUSD');
+    assertEqual(venueRegistry.getVenueSymbol('ETHUSDT', 'OKX'), 'ETH-USDT-SWAP');
+    assertEqual(venueRegistry.getVenueSymbol('BTC', 'Deribit'), 'BTC-PERPETUAL');
+});
+
+/**
+ * =============================================================================
+ * DIVERGENCE ENGINE TESTS
+ * =============================================================================
+ */
+
+test('analyzeExchangeDivergence - classic profile matches the two-exchange engine', async () => {
+    const original = process.env.ANALYZER_VENUES;
+    process.env.ANALYZER_VENUES = 'Binance:smart_money,Bybit:retail';
+    try {
+        // Compatibility wrapper ignores ANALYZER_VENUES
+        const result = marketMetrics.analyzeExchangeDivergence(CROWD_BUYING, INFORMED_DUMPING, '4h');
+        assertEqual(result.profile, 'classic');
+        assertEqual(result.scenario, 'whale_distribution');
+        assertTrue(result.bias.includes('SHORT'), 'Distribution is bearish');
+        assertEqual(result.warnings[1], 'Bybit OI -2.00% while Binance +1.50%');
+        assertEqual(result.sides.informed.label, 'Bybit');
+        assertEqual(result.roles.retail.venues.join(','), 'Binance');
+
+        const explicit = marketMetrics.analyzeVenueDivergence(
+            { Binance: CROWD_BUYING, Bybit: INFORMED_DUMPING }, '4h', undefined, null,
+            venueRegistry.getProfileVenues('classic')
+        );
+        assertEqual(explicit.confidence, result.confidence);
+        assertEqual(explicit.warnings.join('|'), result.warnings.join('|'));
+    } finally {
+        if (original === undefined) delete process.env.ANALYZER_VENUES;
+        else process.env.ANALYZER_VENUES = original;
+    }
+});
+
+test('analyzeVenueDivergence - scenarios run on OI-weighted role aggregates', async () => {
+    const venues = venueRegistry.getProfileVenues('extended');
+
+    // Big OKX selling drowns out a small Binance: crowd aggregate OI is +1.4%
+    const crowdAggregate = marketMetrics.aggregateVenueSnapshots([
+        { venue: venueRegistry.resolveVenue('Binance', venues), data: venue(2, 1, -1e8, 1e9) },
+        { venue: venueRegistry.resolveVenue('OKX', venues), data: venue(2, 1.5, -4e8, 4e9) }
+    ]);
+    assertEqual(Number(crowdAggregate.oi_change.toFixed(2)), 1.4);
+    assertEqual(crowdAggregate.cvd, -5e8, 'CVD is summed');
+    assertEqual(crowdAggregate.oi, 5e9, 'OI is summed');
+
+    const result = marketMetrics.analyzeVenueDivergence({
+        Binance: venue(2, 1, -1e8, 1e9),
+        OKX: venue(2, 1.5, -4e8, 4e9),
+        Bybit: INFORMED_DUMPING
+    }, '4h', undefined, null, venues);
+
+    assertEqual(result.scenario, 'whale_distribution');
+    assertEqual(result.warnings[1], 'Bybit OI -2.00% while Retail venues +1.40%');
+    assertEqual(result.sides.crowd.venues.join(','), 'Binance,OKX');
+    assertEqual(result.venues.OKX.role, 'retail');
+    assertEqual(result.profile, 'extended');
+});
+
+test('analyzeVenueDivergence - split informed roles cost confidence, missing side is flagged', async () => {
+    const venues = venueRegistry.getProfileVenues('extended');
+    const base = marketMetrics.analyzeVenueDivergence(
+        { Binance: CROWD_BUYING, Bybit: INFORMED_DUMPING }, '4h', undefined, null, venues
+    );
+
+    // Deribit (institutional, half weight) adding OI while Bybit dumps
+    const split = marketMetrics.analyzeVenueDivergence(
+        { Binance: CROWD_BUYING, Bybit: INFORMED_DUMPING, Deribit: venue(2, 3, 1e7, 1e9) }, '4h', undefined, null, venues
+    );
+    assertEqual(split.roles.institutional.oi_direction, 'RISING');
+    assertEqual(split.roles.smart_money.oi_direction, 'FALLING');
+    assertTrue(split.warnings.some(w => w.startsWith('⚠️ Informed venues split')), 'Split warning expected');
+    assertTrue(split.confidence <= base.confidence, 'Split read should not gain confidence');
+
+    const oneSided = marketMetrics.analyzeVenueDivergence({ Binance: CROWD_BUYING }, '4h', undefined, null, venues);
+    assertTrue(oneSided.warnings.some(w => w.includes('No smart money venue data')), 'Missing side warning expected');
+});
+
+test('config.venues - venue set and roles come from the config, ANALYZER_VENUES only without a venue section', async () => {
+    const original = process.env.ANALYZER_VENUES;
+    process.env.ANALYZER_VENUES = 'extended';
+    try {
+        const config = JSON.parse(JSON.stringify(configService.DEFAULT_CONFIG));
+        assertEqual(venueRegistry.getActiveVenues(config).map(v => v.id).join(','), 'Binance,Bybit');
+        assertEqual(venueRegistry.getActiveVenues({}).length, 5, 'Env fallback for configs without venues');
+
+        // Same snapshot on a host with another ANALYZER_VENUES: only config venues compared
+        const snapshot = {
+            Binance: { '4h': CROWD_BUYING },
+            Bybit: { '4h': INFORMED_DUMPING },
+            OKX: { '4h': venue(-2, 3, 1e8) }
+        };
+        config.timeframes = { ...config.timeframes, active: ['4h'], weights: { '4h': 1 } };
+        const metrics = marketMetrics.calculateMarketMetrics({ snapshot, history: {}, symbol: 'BTC' }, {}, { config });
+        const divergence = metrics.timeframes['4h'].exchangeDivergence;
+        assertEqual(Object.keys(divergence.venues).join(','), 'Binance,Bybit');
+        assertEqual(divergence.profile, 'classic');
+
+        // Roles from the config (default venue list of analyzeVenueDivergence too)
+        config.venues.roles = { Binance: 'smart_money', Bybit: 'retail' };
+        const flipped = marketMetrics.analyzeVenueDivergence({ Binance: CROWD_BUYING, Bybit: INFORMED_DUMPING }, '4h', config);
+        assertEqual(flipped.sides.informed.label, 'Binance');
+        assertEqual(flipped.profile, 'custom');
+    } finally {
+        if (original === undefined) delete process.env.ANALYZER_VENUES;
+        else process.env.ANALYZER_VENUES = original;
+    }
+});
+
+test('validateConfig - checks venue ids and roles', async () => {
+    assertEqual(configService.validateConfig(configService.DEFAULT_CONFIG).valid, true);
+
+    const config = JSON.parse(JSON.stringify(configService.DEFAULT_CONFIG));
+    config.venues = { active: ['Binance', 'Nope', 'Binance'], roles: { Binance: 'whale', OKX: 'retail' } };
+    const { valid, errors, warnings } = configService.validateConfig(config);
+    assertEqual(valid, false);
+    assertTrue(errors.some(e => e.startsWith("Unknown venue 'Nope'")), errors.join('; '));
+    assertTrue(errors.includes('venues.active contains duplicates'), errors.join('; '));
+    assertTrue(errors.includes('venues.roles.Binance must be one of: retail, smart_money, institutional'), errors.join('; '));
+    assertTrue(warnings.includes("Role for venue 'OKX' is ignored (venue not active)"), warnings.join('; '));
+    assertTrue(warnings.includes('No informed-side venue - divergence is one-sided'), warnings.join('; '));
+});
+
+/**
+ * =============================================================================
+ * RUN ALL TESTS
+ * =============================================================================
+ */
+
+(async () => {
+    console.log('\n========================================');
+    console.log('Running venueDivergence Tests');
+    console.log('========================================\n');
+
+    for (const { name, fn } of tests) {
+        try {
+            await fn();
+            console.log(`✅ PASS: ${name}`);
+            passCount++;
+        } catch (error) {
+            console.error(`❌ FAIL: ${name}`);
+            console.error(`   Error: ${error.message}`);
+            failCount++;
+        }
+    }
+
+    console.log('\n========================================');
+    console.log(`Results: ${passCount} passed, ${failCount} failed`);
+    console.log('========================================\n');
+
+    if (failCount > 0) {
+        process.exit(1);
+    }
+})();
@@ -0,0 +1,24 @@
+// buildInfo.js
+// Single source for build/version info (health endpoint, analyzer meta,
+// and the build version recorded with every saved state)
+
+const BUILD_INFO = {
+    version: '2.2.1',
+    buildDate: '2025-12-12T13:30:00Z',
+    gitRef: process.env.GIT_SHA || 'local-dev',
+    p0CvdFix: true,  // Confirms timeframe-correct CVD is deployed
+    cvdIntervals: ['m30', 'h1', 'h4', 'h24']  // Available CVD intervals
+};
+
+/**
+ * Compact build identifier stored alongside analyzer outputs
+ * e.g. "2.2.1+a1b2c3d"
+ */
+function getBuildVersion() {
+    return `${BUILD_INFO.version}+${BUILD_INFO.gitRef}`;
+}
+
+module.exports = {
+    BUILD_INFO,
+    getBuildVersion
+};